@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// Phone-only customers have no email. Databases created before phone login
+// keep a non-sparse unique email_1 index, which treats every missing email as
+// the same null value and rejects the second phone-only signup.
+async function fixUserEmailIndex() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const collection = mongoose.connection.db.collection('users');
+
+    const indexes = await collection.indexes();
+    const emailIndex = indexes.find(i => i.name === 'email_1');
+    console.log('Current email index:', emailIndex || 'none');
+
+    // Explicit nulls would still collide under a sparse index
+    const cleared = await collection.updateMany({ email: null }, { $unset: { email: '' } });
+    console.log(`Cleared null email on ${cleared.modifiedCount} users`);
+
+    if (emailIndex && emailIndex.sparse) {
+      console.log('email_1 is already sparse, nothing to rebuild');
+    } else {
+      if (emailIndex) {
+        await collection.dropIndex('email_1');
+        console.log('Dropped index: email_1');
+      }
+      await collection.createIndex(
+        { email: 1 },
+        { name: 'email_1', unique: true, sparse: true }
+      );
+      console.log('Created sparse unique index on email');
+    }
+
+    console.log('\nUpdated indexes:');
+    const newIndexes = await collection.indexes();
+    console.log(newIndexes.map(i => ({ name: i.name, key: i.key, sparse: i.sparse, unique: i.unique })));
+
+    console.log('\nDone!');
+    process.exit(0);
+  } catch (error) {
+    console.error('Error:', error);
+    process.exit(1);
+  }
+}
+
+fixUserEmailIndex();
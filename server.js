@@ -1,8 +1,15 @@
 const app = require('./src/app');
 const connectDB = require('./src/config/database');
+const { startJobs } = require('./src/jobs');
 
 const PORT = process.env.PORT || 5000;
 
+// Payment webhooks mark orders paid; never accept them signed with the development secret
+if (process.env.NODE_ENV === 'production' && !process.env.PAYMENT_WEBHOOK_SECRET) {
+  console.error('❌ PAYMENT_WEBHOOK_SECRET must be set in production');
+  process.exit(1);
+}
+
 // ============================================
 // KEEP-ALIVE: Prevent Render Free Tier Sleep
 // ============================================
@@ -40,6 +47,9 @@ const server = app.listen(PORT, () => {
   if (process.env.NODE_ENV === 'production') {
     keepAlive();
   }
+
+  // Scheduled jobs (loyalty points expiry, ...)
+  startJobs();
 });
 
 // Handle unhandled promise rejections
@@ -17,6 +17,7 @@ const customerRoutes = require('./routes/customer/customerRoutes');
 const adminRoutes = require('./routes/admin/adminRoutes');
 const centerAdminRoutes = require('./routes/centerAdmin/centerAdminRoutes');
 const supportRoutes = require('./routes/support/supportRoutes');
+const riderRoutes = require('./routes/rider/riderRoutes');
 
 // SuperAdmin routes
 const superAdminAuthRoutes = require('./routes/superAdminAuthRoutes');
@@ -41,6 +42,7 @@ const deliveryRoutes = require('./routes/delivery');
 const adminServiceRoutes = require('./routes/admin/serviceRoutes');
 const branchServiceRoutes = require('./routes/admin/branchServiceRoutes');
 const barcodeRoutes = require('./routes/barcode');
+const paymentRoutes = require('./routes/payments');
 
 const app = express();
 
@@ -88,7 +90,15 @@ if (process.env.NODE_ENV === 'production') {
 }
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+// Keep the raw body so payment webhooks can verify their signatures
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhook')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Logging
@@ -123,6 +133,7 @@ app.use('/api/services', servicesRoutes);
 app.use('/api/customer', customerRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/support', supportRoutes);
+app.use('/api/rider', riderRoutes);
 
 // SuperAdmin routes
 app.use('/api/superadmin/auth', superAdminAuthRoutes);
@@ -155,6 +166,7 @@ app.use('/api/delivery', deliveryRoutes);
 app.use('/api/admin/services', adminServiceRoutes);
 app.use('/api/admin/branches', branchServiceRoutes);
 app.use('/api/barcode', barcodeRoutes);
+app.use('/api/payments', paymentRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -5,7 +5,8 @@ const USER_ROLES = {
   BRANCH_MANAGER: 'branch_manager',
   SUPPORT_AGENT: 'support_agent',
   CENTER_ADMIN: 'center_admin',
-  STAFF: 'staff' // Washer/Ironer
+  STAFF: 'staff', // Washer/Ironer
+  RIDER: 'rider' // In-house pickup / delivery rider
 };
 
 // Order Status
@@ -230,7 +231,8 @@ const REFUND_TYPES = {
 // Payment Methods
 const PAYMENT_METHODS = {
   ONLINE: 'online',
-  COD: 'cod'
+  COD: 'cod',
+  WALLET: 'wallet' // Paid in full from store credit
 };
 
 // Staff Roles
@@ -268,12 +270,23 @@ const NOTIFICATION_TYPES = {
   ORDER_OUT_FOR_DELIVERY: 'order_out_for_delivery',
   ORDER_DELIVERED: 'order_delivered',
   ORDER_CANCELLED: 'order_cancelled',
+  PAYMENT_RECEIVED: 'payment_received',
+  PAYMENT_FAILED: 'payment_failed',
   LOW_INVENTORY: 'low_inventory',
   NEW_COMPLAINT: 'new_complaint',
   REFUND_REQUEST: 'refund_request',
   REWARD_POINTS: 'reward_points',
   MILESTONE_ACHIEVED: 'milestone_achieved',
-  VIP_UPGRADE: 'vip_upgrade'
+  VIP_UPGRADE: 'vip_upgrade',
+  LOYALTY_TIER_CHANGED: 'loyalty_tier_changed',
+  POINTS_EXPIRED: 'points_expired',
+  SUBSCRIPTION_ORDER_CREATED: 'subscription_order_created',
+  SUBSCRIPTION_ORDER_FAILED: 'subscription_order_failed',
+  SUBSCRIPTION_PAYMENT_DUE: 'subscription_payment_due',
+  ORDER_WEIGHT_ADJUSTED: 'order_weight_adjusted',
+  HANDOVER_OTP: 'handover_otp',
+  ORDER_RESCHEDULED: 'order_rescheduled',
+  HANDOVER_FAILED: 'handover_failed'
 };
 
 // Consumption Rates (per service)
@@ -291,9 +304,112 @@ const CONSUMPTION_RATES = {
 const REFUND_LIMITS = {
   [USER_ROLES.SUPPORT_AGENT]: 0,
   [USER_ROLES.ADMIN]: 500,
-  [USER_ROLES.CENTER_ADMIN]: Infinity
+  [USER_ROLES.BRANCH_MANAGER]: 500,
+  [USER_ROLES.CENTER_ADMIN]: Infinity,
+  superadmin: Infinity,
+  system: Infinity // Automatic refunds for cancelled prepaid orders
 };
 
+// Wallet ledger accounts. Every wallet movement is a balanced journal entry
+// between the customer's wallet (a liability) and one of the contra accounts.
+const WALLET_ACCOUNTS = {
+  CUSTOMER_WALLET: 'customer_wallet',
+  REFUNDS: 'store_credit_refunds',
+  GOODWILL: 'goodwill_compensation',
+  PROMOTIONS: 'promotional_credit',
+  ORDER_SETTLEMENT: 'order_settlement',
+  SUBSCRIPTIONS: 'subscription_fees',
+  ADJUSTMENTS: 'manual_adjustments'
+};
+
+// Wallet entry source -> contra account
+const WALLET_SOURCES = {
+  refund: WALLET_ACCOUNTS.REFUNDS,
+  goodwill: WALLET_ACCOUNTS.GOODWILL,
+  promotion: WALLET_ACCOUNTS.PROMOTIONS,
+  checkout: WALLET_ACCOUNTS.ORDER_SETTLEMENT,
+  checkout_reversal: WALLET_ACCOUNTS.ORDER_SETTLEMENT,
+  subscription: WALLET_ACCOUNTS.SUBSCRIPTIONS,
+  adjustment: WALLET_ACCOUNTS.ADJUSTMENTS
+};
+
+// Loyalty program defaults (overridable through the `loyalty_program` setting).
+// A tier is reached when rolling spend OR rolling delivered orders meet its
+// minimum; earnRate is points per ₹100 of the order total.
+const LOYALTY_DEFAULTS = {
+  ROLLING_WINDOW_DAYS: 365,
+  POINT_VALUE: 1, // ₹ per point at redemption
+  MIN_REDEMPTION_POINTS: 50,
+  MAX_REDEMPTION_PERCENT: 20, // Share of the order that points can pay for
+  EXPIRY_MONTHS: 12,
+  VIP_MIN_TIER: 'gold', // Customers flagged VIP never drop below this tier
+  TIERS: [
+    { key: 'bronze', name: 'Bronze', minSpend: 0, minOrders: 0, earnRate: 1, benefits: { discountPercent: 0, freeExpress: false } },
+    { key: 'silver', name: 'Silver', minSpend: 5000, minOrders: 10, earnRate: 1.5, benefits: { discountPercent: 0, freeExpress: false } },
+    { key: 'gold', name: 'Gold', minSpend: 15000, minOrders: 25, earnRate: 2, benefits: { discountPercent: 5, freeExpress: false } },
+    { key: 'platinum', name: 'Platinum', minSpend: 40000, minOrders: 50, earnRate: 3, benefits: { discountPercent: 10, freeExpress: true } }
+  ]
+};
+
+// Subscription plans
+const SUBSCRIPTION_CONFIG = {
+  GENERATE_DAYS_AHEAD: 1, // Orders are created this many days before the pickup
+  UPCOMING_PREVIEW: 8, // Upcoming pickup dates shown to the customer
+  FEE_PAYMENT_METHODS: ['wallet', 'cod'] // cod: fee is collected with the period's first pickup
+};
+
+// Weight-based (per_kg) orders
+const WEIGHT_CONFIG = {
+  // Orders can be weighed at pickup or at branch intake, before processing starts
+  WEIGH_IN_STATUSES: ['placed', 'assigned_to_branch', 'assigned_to_logistics_pickup', 'picked'],
+  MAX_ORDER_WEIGHT_KG: 200,
+  MIN_ADJUSTMENT: 1, // ₹; smaller price differences are absorbed
+  WEIGH_IN_LOCK_SECONDS: 120 // A weigh-in lock older than this is treated as abandoned
+};
+
+// GST invoicing. SAC codes are chosen by Service.category unless the service sets its own.
+const GST_CONFIG = {
+  SAC_CODES: {
+    laundry: '999713',      // Textile cleaning services
+    dry_cleaning: '999712', // Dry-cleaning services
+    pressing: '999714',     // Pressing services
+    specialty: '999713',
+    other: '999719'
+  },
+  DEFAULT_SAC: '999713',
+  DELIVERY_SAC: '996813',   // Local delivery services
+  FINANCIAL_YEAR_START_MONTH: 3, // April (0-based)
+  INVOICE_PREFIX: 'INV',
+  CREDIT_NOTE_PREFIX: 'CN',
+  DEBIT_NOTE_PREFIX: 'DN',
+  ISSUE_LOCK_SECONDS: 60 // An order's invoice claim older than this is treated as abandoned
+};
+
+// Thermal printing: printable width per paper roll (203 dpi, font A)
+const PRINT_CONFIG = {
+  PAPER: {
+    58: { columns: 32, dots: 384, printableMm: 48 },
+    80: { columns: 48, dots: 576, printableMm: 72 }
+  },
+  DEFAULT_PAPER_WIDTH: 80,
+  LABEL_HEIGHT_MM: 40,
+  BARCODE_HEIGHT_DOTS: 80,
+  LABEL_BARCODE_HEIGHT_DOTS: 60,
+  FORMATS: ['escpos', 'pdf']
+};
+
+// Default plant stations for barcode scanning (a branch can configure its own).
+// pieceStatus / orderStatus are applied when a garment or order is scanned there;
+// a first scan must happen at an entry station.
+const DEFAULT_SCAN_STATIONS = [
+  { code: 'intake', name: 'Intake', isEntry: true, nextStations: ['washing'], pieceStatus: null, orderStatus: null },
+  { code: 'washing', name: 'Washing', nextStations: ['ironing', 'qc'], pieceStatus: 'in_progress', orderStatus: 'in_process' },
+  { code: 'ironing', name: 'Ironing', nextStations: ['qc', 'packing'], pieceStatus: 'completed', orderStatus: null },
+  { code: 'qc', name: 'Quality Check', nextStations: ['packing', 'washing'], pieceStatus: 'quality_check', orderStatus: null },
+  { code: 'packing', name: 'Packing', nextStations: ['dispatch'], pieceStatus: 'ready', orderStatus: 'ready' },
+  { code: 'dispatch', name: 'Dispatch', nextStations: [], pieceStatus: null, orderStatus: null }
+];
+
 // OpenRouteService API Configuration
 const OPENROUTE_CONFIG = {
   BASE_URL: 'https://api.openrouteservice.org',
@@ -306,6 +422,128 @@ const OPENROUTE_CONFIG = {
   DAILY_LIMIT: 2000 // Free tier limit
 };
 
+// Distance / geocoding providers (see DistanceService)
+const DISTANCE_CONFIG = {
+  // Providers tried in order; haversine needs coordinates, pincode needs a centroid table
+  PROVIDERS: (process.env.DISTANCE_PROVIDERS || 'openroute,pincode,haversine').split(',').map(name => name.trim()),
+  ROAD_FACTOR: 1.3,              // straight-line km -> estimated road km
+  AVERAGE_SPEED_KMPH: 25,        // for estimated durations
+  COORDINATE_PRECISION: 4,       // decimals kept in distance cache keys (~11 m)
+  GEOCODE_CACHE_DAYS: 90,
+  DISTANCE_CACHE_DAYS: 30,
+  FAILURE_COOLDOWN_MS: 5 * 60 * 1000, // skip a provider this long after it fails
+  PINCODE_CENTROIDS_FILE: process.env.PINCODE_CENTROIDS_FILE || null // defaults to src/data/pincodeCentroids.json
+};
+
+// Delivery run planning (see RoutePlanningService)
+const ROUTE_PLANNING_CONFIG = {
+  SERVICE_MINUTES: 8,            // time spent at each stop
+  DEFAULT_SHIFT: { start: '09:00', end: '19:00' },
+  DEFAULT_CAPACITY: { orders: 20, weightKg: 60 },
+  MAX_VEHICLES: 25,
+  MAX_IMPROVEMENT_PASSES: 50,    // local search rounds after the first insertion
+  MANIFEST_FORMATS: ['csv', 'pdf']
+};
+
+// In-house riders: handover OTPs, proof uploads and failed attempts (see RiderService)
+const RIDER_CONFIG = {
+  VEHICLE_TYPES: ['bicycle', 'motorcycle', 'scooter', 'car', 'van'],
+  OTP_LENGTH: 4,
+  OTP_TTL_MINUTES: 180,
+  OTP_MAX_ATTEMPTS: 5,
+  OTP_RESEND_SECONDS: 60,
+  GEO_STAMP_MAX_ACCURACY_M: 200,  // coarser fixes are rejected
+  GEO_STAMP_FAR_M: 300,           // handovers further than this from the address are flagged
+  PROOF_IMAGE_TYPES: ['image/jpeg', 'image/png', 'image/webp'],
+  MAX_PHOTO_BYTES: 3 * 1024 * 1024,
+  MAX_SIGNATURE_BYTES: 512 * 1024,
+  UPLOAD_DIR: process.env.UPLOAD_DIR || null, // defaults to <project>/uploads
+  MAX_ATTEMPTS: 3,                // failed attempts per leg before the branch has to step in
+  RESCHEDULE_DAYS: 7,             // how far ahead to look for a new pickup slot
+  // reschedule: whether a failed attempt with this reason is booked again automatically
+  FAILURE_REASONS: {
+    customer_unavailable: { label: 'Customer not available', reschedule: true },
+    customer_requested_later: { label: 'Customer asked to come another time', reschedule: true },
+    premises_closed: { label: 'Premises closed / no access', reschedule: true },
+    vehicle_issue: { label: 'Vehicle breakdown or delay', reschedule: true },
+    address_not_found: { label: 'Address not found', reschedule: false },
+    refused: { label: 'Customer refused the handover', reschedule: false },
+    other: { label: 'Other', reschedule: true }
+  }
+};
+
+// Role-based permissions (see PermissionService)
+const PERMISSION_CONFIG = {
+  FULL_ACCESS_ROLES: ['center_admin', 'superadmin'], // not checked against a Role
+  ROLE_CACHE_SECONDS: 60,         // resolved roles are reused for this long
+  MAX_INHERITANCE_DEPTH: 10       // parentRole links followed at most
+};
+
+// Customer password reset (see authController.forgotPassword / resetPassword)
+const PASSWORD_RESET_CONFIG = {
+  TOKEN_TTL_MINUTES: 60,
+  WINDOW_MINUTES: 15,
+  MAX_REQUESTS_PER_EMAIL: 3,      // forgot-password requests per email address in a window
+  MAX_REQUESTS_PER_IP: 10,        // forgot-password requests per IP in a window
+  MAX_RESET_ATTEMPTS: 10          // reset-password submissions per IP in a window
+};
+
+// Customer and staff sign-in sessions (see UserSessionService)
+const SESSION_CONFIG = {
+  ACCESS_TOKEN_MINUTES: parseInt(process.env.ACCESS_TOKEN_MINUTES, 10) || 15,
+  REFRESH_TOKEN_DAYS: parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30,
+  MAX_SESSIONS_PER_USER: 10,      // the oldest session is signed out beyond this
+  ROTATED_TOKENS_KEPT: 20,        // earlier refresh tokens remembered per session to catch reuse
+  ACTIVITY_UPDATE_SECONDS: 300    // how often lastActiveAt is written
+};
+
+// Multi-factor sign-in for admins (see mfaService) and the failed-login IP tracking in sessionService
+const MFA_CONFIG = {
+  ISSUER: process.env.MFA_ISSUER || 'LaundryPro',
+  USER_ROLES: ['admin', 'branch_manager'],   // User roles that may turn MFA on
+  OTP_TTL_MINUTES: 10,
+  OTP_MAX_ATTEMPTS: 3,
+  CHALLENGE_TOKEN_MINUTES: 10,    // password accepted, second factor pending
+  MAX_VERIFY_REQUESTS: 10,        // code submissions per IP per challenge window
+  MAX_FAILED_VERIFICATIONS: 5,    // wrong second-factor answers per account before lockout
+  LOCKOUT_MINUTES: 15,
+  TOTP_STEP_SECONDS: 30,
+  TOTP_DIGITS: 6,
+  TOTP_WINDOW: 1,                 // steps of clock drift accepted either side
+  BACKUP_CODE_COUNT: 10,
+  IP_FAILED_LOGIN_LIMIT: 5,       // failed logins before an IP is flagged
+  IP_TRACKING_MINUTES: 60
+};
+
+// Customer sign-up and login with a phone OTP (see PhoneAuthService)
+const PHONE_AUTH_CONFIG = {
+  DEFAULT_COUNTRY_CODE: '91',     // numbers entered without a country code
+  ACCOUNT_COUNTRY_CODE: '91',     // User.phone holds the national number for this country
+  OTP_TTL_MINUTES: 5,
+  RESEND_COOLDOWN_SECONDS: 60,
+  MAX_VERIFY_ATTEMPTS: 5,         // wrong codes before a new one must be requested
+  MAX_SENDS_PER_HOUR: 5,          // OTP messages per number and IP
+  MAX_VERIFY_REQUESTS_PER_HOUR: 20
+};
+
+// Outgoing SMS; 'console' prints messages, 'file' appends them to SMS_LOG_FILE.
+// Both are development providers only; production must set SMS_PROVIDER to a real gateway.
+const SMS_CONFIG = {
+  PROVIDER: process.env.SMS_PROVIDER || (process.env.NODE_ENV === 'production' ? null : 'console'),
+  SENDER_ID: process.env.SMS_SENDER_ID || 'LNDPRO',
+  LOG_FILE: process.env.SMS_LOG_FILE || 'logs/sms.log'
+};
+
+// Online payment gateway settings. The mock gateway and its well-known secret
+// are development defaults only; production must configure both (see server.js).
+const PAYMENT_GATEWAY_CONFIG = {
+  DEFAULT_GATEWAY: process.env.PAYMENT_GATEWAY || (process.env.NODE_ENV === 'production' ? null : 'mock'),
+  CURRENCY: 'INR',
+  WEBHOOK_SECRET: process.env.PAYMENT_WEBHOOK_SECRET || (process.env.NODE_ENV === 'production' ? null : 'mock-webhook-secret'),
+  SIGNATURE_HEADER: 'x-payment-signature',
+  PAYMENT_ORDER_TTL_MINUTES: 30
+};
+
 // Delivery Pricing Defaults
 const DELIVERY_PRICING_DEFAULTS = {
   BASE_DISTANCE: 3,        // km - free delivery zone
@@ -316,6 +554,33 @@ const DELIVERY_PRICING_DEFAULTS = {
   FALLBACK_FLAT_RATE: 50   // ₹ flat rate when API fails
 };
 
+// Item Pricing Defaults (used when the active pricing version does not override them)
+const PRICING_DEFAULTS = {
+  TAX_RATE: 18,                  // GST percentage
+  EXPRESS_SURCHARGE_PERCENT: 50, // % of subtotal for express orders
+  ROUNDING_RULE: 'round_nearest',
+  CATEGORY_MULTIPLIERS: {
+    [CLOTHING_CATEGORIES.NORMAL]: 1,
+    [CLOTHING_CATEGORIES.DELICATE]: 1.5,
+    [CLOTHING_CATEGORIES.WOOLEN]: 2
+  },
+  // Maps order service codes to Pricing.serviceItems categories
+  SERVICE_PRICING_CATEGORIES: {
+    [SERVICES.WASH_FOLD]: 'wash_fold',
+    [SERVICES.WASH_IRON]: 'wash_fold',
+    [SERVICES.PREMIUM_LAUNDRY]: 'wash_fold',
+    [SERVICES.WASHING]: 'wash_fold',
+    [SERVICES.DRY_CLEAN]: 'dry_cleaning',
+    [SERVICES.PREMIUM_DRY_CLEAN]: 'dry_cleaning',
+    [SERVICES.DRY_CLEANING]: 'dry_cleaning',
+    [SERVICES.STEAM_PRESS]: 'iron_press',
+    [SERVICES.PREMIUM_STEAM_PRESS]: 'iron_press',
+    [SERVICES.STARCHING]: 'iron_press',
+    [SERVICES.IRONING]: 'iron_press',
+    shoe_cleaning: 'shoe_cleaning'
+  }
+};
+
 module.exports = {
   USER_ROLES,
   ORDER_STATUS,
@@ -334,6 +599,25 @@ module.exports = {
   NOTIFICATION_TYPES,
   CONSUMPTION_RATES,
   REFUND_LIMITS,
+  WALLET_ACCOUNTS,
+  WALLET_SOURCES,
+  LOYALTY_DEFAULTS,
+  SUBSCRIPTION_CONFIG,
+  WEIGHT_CONFIG,
+  GST_CONFIG,
+  PRINT_CONFIG,
+  DEFAULT_SCAN_STATIONS,
   OPENROUTE_CONFIG,
-  DELIVERY_PRICING_DEFAULTS
+  DISTANCE_CONFIG,
+  ROUTE_PLANNING_CONFIG,
+  RIDER_CONFIG,
+  PERMISSION_CONFIG,
+  PASSWORD_RESET_CONFIG,
+  SESSION_CONFIG,
+  MFA_CONFIG,
+  PHONE_AUTH_CONFIG,
+  SMS_CONFIG,
+  PAYMENT_GATEWAY_CONFIG,
+  DELIVERY_PRICING_DEFAULTS,
+  PRICING_DEFAULTS
 };
\ No newline at end of file
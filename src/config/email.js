@@ -203,7 +203,7 @@ const emailTemplates = {
           
           <table style="width: 100%; border-collapse: collapse; margin: 15px 0;">
             <tr><td style="padding: 8px 0; color: #6b7280;">📅 Pickup</td><td style="text-align: right; color: #1f2937;">${new Date(order.pickupDate).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' })} - ${order.pickupTimeSlot}</td></tr>
-            <tr><td style="padding: 8px 0; color: #6b7280;">💳 Payment</td><td style="text-align: right; color: #1f2937;">${order.paymentMethod === 'cod' ? 'Cash on Delivery' : 'Online'}</td></tr>
+            <tr><td style="padding: 8px 0; color: #6b7280;">💳 Payment</td><td style="text-align: right; color: #1f2937;">${order.paymentMethod === 'cod' ? 'Cash on Delivery' : order.paymentMethod === 'wallet' ? 'Wallet' : 'Online'}${order.walletPayment?.amount > 0 && order.paymentMethod !== 'wallet' ? ` (₹${order.walletPayment.amount} from wallet)` : ''}</td></tr>
             <tr><td style="padding: 8px 0; color: #6b7280; font-weight: bold;">💰 Total</td><td style="text-align: right; color: #0d9488; font-weight: bold; font-size: 18px;">₹${order.pricing?.total || order.totalAmount || '0'}</td></tr>
           </table>
           
@@ -269,6 +269,52 @@ const emailTemplates = {
         </div>
       </div>
     `
+  }),
+
+  passwordReset: (token, user, expiresInMinutes = 60) => ({
+    from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+    to: user.email,
+    subject: 'Reset your LaundryPro password',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="text-align: center; margin-bottom: 20px;">
+          <h1 style="color: #14b8a6; margin: 0;">LaundryPro</h1>
+        </div>
+
+        <div style="background: #f8fafc; padding: 25px; border-radius: 10px;">
+          <h2 style="color: #1f2937;">Reset your password</h2>
+          <p style="color: #4b5563;">Hi ${user.name}, we received a request to reset the password of your account.</p>
+
+          <div style="text-align: center; margin: 25px 0;">
+            <a href="${process.env.FRONTEND_URL}/auth/reset-password?token=${token}"
+               style="background: linear-gradient(135deg, #14b8a6, #06b6d4); color: white; padding: 15px 30px; text-decoration: none; border-radius: 8px; font-weight: bold; display: inline-block;">
+              Reset Password
+            </a>
+          </div>
+
+          <p style="color: #6b7280; font-size: 13px;">This link expires in ${expiresInMinutes} minutes and works once. If you did not ask for it, you can ignore this email.</p>
+        </div>
+      </div>
+    `
+  }),
+
+  passwordChanged: (user) => ({
+    from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+    to: user.email,
+    subject: 'Your LaundryPro password was changed',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="text-align: center; margin-bottom: 20px;">
+          <h1 style="color: #14b8a6; margin: 0;">LaundryPro</h1>
+        </div>
+
+        <div style="background: #f8fafc; padding: 25px; border-radius: 10px;">
+          <h2 style="color: #1f2937;">Password changed</h2>
+          <p style="color: #4b5563;">Hi ${user.name}, the password of your account was just reset and you have been signed out on all devices.</p>
+          <p style="color: #6b7280; font-size: 13px;">If this wasn't you, please contact support right away.</p>
+        </div>
+      </div>
+    `
   })
 };
 
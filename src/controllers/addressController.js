@@ -1,5 +1,18 @@
 const Address = require('../models/Address');
 
+// Pin sent by the client ({ lat, lng }); null clears it
+const toCoordinates = (coordinates) => {
+  if (!coordinates || coordinates.lat === undefined || coordinates.lng === undefined) {
+    return undefined;
+  }
+  return {
+    lat: Number(coordinates.lat),
+    lng: Number(coordinates.lng),
+    source: 'customer',
+    updatedAt: new Date()
+  };
+};
+
 // Get all addresses for the authenticated user
 const getAddresses = async (req, res) => {
   try {
@@ -69,6 +82,7 @@ const addAddress = async (req, res) => {
       city,
       state,
       pincode,
+      coordinates,
       addressType,
       isDefault
     } = req.body;
@@ -89,6 +103,7 @@ const addAddress = async (req, res) => {
       city,
       state,
       pincode,
+      coordinates: toCoordinates(coordinates),
       addressType,
       isDefault: existingAddressCount === 0 ? true : isDefault // First address is always default
     });
@@ -137,6 +152,7 @@ const updateAddress = async (req, res) => {
       city,
       state,
       pincode,
+      coordinates,
       addressType,
       isDefault
     } = req.body;
@@ -166,6 +182,14 @@ const updateAddress = async (req, res) => {
     if (addressType !== undefined) address.addressType = addressType;
     if (isDefault !== undefined) address.isDefault = isDefault;
 
+    if (coordinates !== undefined) {
+      address.coordinates = toCoordinates(coordinates);
+    } else if (address.coordinates?.source === 'geocoded' &&
+      ['addressLine1', 'addressLine2', 'landmark', 'city', 'pincode'].some(field => address.isModified(field))) {
+      // The old geocode no longer matches the address; it is looked up again when next needed
+      address.coordinates = undefined;
+    }
+
     await address.save();
 
     res.status(200).json({
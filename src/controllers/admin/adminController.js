@@ -5,6 +5,10 @@ const LogisticsPartner = require('../../models/LogisticsPartner');
 const Ticket = require('../../models/Ticket');
 const Refund = require('../../models/Refund');
 const OrderService = require('../../services/orderService');
+const RefundService = require('../../services/refundService');
+const WeightService = require('../../services/weightService');
+const BranchRoutingService = require('../../services/branchRoutingService');
+const UserSessionService = require('../../services/userSessionService');
 const { 
   sendSuccess, 
   sendError, 
@@ -12,7 +16,7 @@ const {
   getPagination,
   formatPaginationResponse
 } = require('../../utils/helpers');
-const { ORDER_STATUS, USER_ROLES, TICKET_STATUS, REFUND_STATUS, REFUND_LIMITS } = require('../../config/constants');
+const { ORDER_STATUS, USER_ROLES, TICKET_STATUS } = require('../../config/constants');
 
 // @desc    Get admin dashboard data
 // @route   GET /api/admin/dashboard
@@ -131,45 +135,49 @@ const getAllOrders = asyncHandler(async (req, res) => {
   sendSuccess(res, response, 'Orders retrieved successfully');
 });
 
-// @desc    Assign order to branch
+// @desc    Get ranked branch candidates for an order
+// @route   GET /api/admin/orders/:orderId/branch-candidates
+// @access  Private (Admin/Center Admin)
+const getBranchCandidates = asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.orderId);
+  if (!order) {
+    return sendError(res, 'ORDER_NOT_FOUND', 'Order not found', 404);
+  }
+
+  const candidates = await BranchRoutingService.getOrderCandidates(order);
+
+  sendSuccess(res, {
+    currentBranch: order.branch,
+    routing: order.routing,
+    candidates
+  }, 'Branch candidates retrieved successfully');
+});
+
+// @desc    Assign order to branch (best ranked branch when no branchId is given)
 // @route   PUT /api/admin/orders/:orderId/assign-branch
 // @access  Private (Admin/Center Admin)
 const assignOrderToBranch = asyncHandler(async (req, res) => {
   const { orderId } = req.params;
-  const { branchId } = req.body;
-
-  if (!branchId) {
-    return sendError(res, 'BRANCH_REQUIRED', 'Branch ID is required', 400);
-  }
+  const { branchId, override } = req.body;
 
   const order = await Order.findById(orderId);
   if (!order) {
     return sendError(res, 'ORDER_NOT_FOUND', 'Order not found', 404);
   }
 
-  if (order.status !== ORDER_STATUS.PLACED) {
-    return sendError(res, 'INVALID_STATUS', 'Order cannot be assigned at this stage', 400);
-  }
-
-  const branch = await Branch.findById(branchId);
-  if (!branch || !branch.isActive) {
-    return sendError(res, 'BRANCH_NOT_FOUND', 'Branch not found or inactive', 404);
-  }
-
-  // Check branch capacity
-  if (!branch.hasCapacity()) {
-    return sendError(res, 'BRANCH_FULL', 'Branch has reached capacity', 400);
-  }
-
-  // Update order
-  order.branch = branchId;
-  await order.updateStatus(ORDER_STATUS.ASSIGNED_TO_BRANCH, req.user._id, `Assigned to branch: ${branch.name}`);
+  const { candidate } = await BranchRoutingService.assignOrder(order, {
+    branchId,
+    override: override === true
+  }, {
+    id: req.user._id,
+    role: req.user.role
+  });
 
   const updatedOrder = await Order.findById(orderId)
     .populate('branch', 'name code')
     .populate('customer', 'name phone');
 
-  sendSuccess(res, { order: updatedOrder }, 'Order assigned to branch successfully');
+  sendSuccess(res, { order: updatedOrder, routing: candidate }, 'Order assigned to branch successfully');
 });
 
 // @desc    Assign order to logistics partner
@@ -220,7 +228,7 @@ const assignOrderToLogistics = asyncHandler(async (req, res) => {
 
   // Update order
   order.logisticsPartner = logisticsPartnerId;
-  await order.updateStatus(newStatus, req.user._id, notes);
+  await order.updateStatus(newStatus, req.user._id, notes, req.user.role);
 
   const updatedOrder = await Order.findById(orderId)
     .populate('logisticsPartner', 'companyName contactPerson')
@@ -236,14 +244,9 @@ const updateOrderStatus = asyncHandler(async (req, res) => {
   const { orderId } = req.params;
   const { status, notes } = req.body;
 
-  // Validate status
-  const validStatuses = Object.values(ORDER_STATUS);
-  if (!validStatuses.includes(status)) {
-    return sendError(res, 'INVALID_STATUS', 'Invalid order status', 400);
-  }
-
-  // Use OrderService to update status and send notifications
-  const order = await OrderService.updateOrderStatus(orderId, status, req.user._id, notes || 'Status updated by admin');
+  // Use OrderService to update status and send notifications.
+  // Unknown statuses and illegal transitions are rejected by the state machine.
+  await OrderService.updateOrderStatus(orderId, status, req.user._id, notes || 'Status updated by admin', req.user.role);
 
   const updatedOrder = await Order.findById(orderId)
     .populate('customer', 'name phone')
@@ -320,6 +323,11 @@ const toggleCustomerStatus = asyncHandler(async (req, res) => {
   customer.isActive = !customer.isActive;
   await customer.save();
 
+  // A deactivated customer is signed out on every device right away
+  if (!customer.isActive) {
+    await UserSessionService.revokeAll(customer._id, 'deactivated');
+  }
+
   sendSuccess(res, { 
     customer: { 
       _id: customer._id, 
@@ -565,35 +573,26 @@ const getRefundById = asyncHandler(async (req, res) => {
 // @route   POST /api/admin/refunds
 // @access  Private (Admin)
 const createRefundRequest = asyncHandler(async (req, res) => {
-  const { orderId, amount, reason, category, ticketId } = req.body;
+  const { orderId, amount, reason, category, ticketId, method = 'original_method' } = req.body;
 
   if (!orderId || !amount || !reason || !category) {
     return sendError(res, 'MISSING_DATA', 'Order ID, amount, reason, and category are required', 400);
   }
 
-  const order = await Order.findById(orderId).populate('customer');
+  const order = await Order.findById(orderId);
   if (!order) {
     return sendError(res, 'ORDER_NOT_FOUND', 'Order not found', 404);
   }
 
-  // Validate amount
-  if (amount > order.pricing.total) {
-    return sendError(res, 'INVALID_AMOUNT', 'Refund amount cannot exceed order total', 400);
-  }
-
-  const refund = new Refund({
-    order: orderId,
-    customer: order.customer._id,
-    ticket: ticketId,
+  // Amount is capped at what the customer paid, less other refunds on the order
+  const refund = await RefundService.createRefund({
+    order,
     amount,
     reason,
     category,
-    type: amount === order.pricing.total ? 'full' : 'partial',
-    requestedBy: req.user._id,
-    status: REFUND_STATUS.REQUESTED
-  });
-
-  await refund.save();
+    method,
+    ticketId
+  }, RefundService.actorFromRequest(req));
 
   const populatedRefund = await Refund.findById(refund._id)
     .populate('order', 'orderNumber')
@@ -608,25 +607,14 @@ const createRefundRequest = asyncHandler(async (req, res) => {
 const approveRefund = asyncHandler(async (req, res) => {
   const { refundId } = req.params;
   const { notes } = req.body;
-  const user = req.user;
 
   const refund = await Refund.findById(refundId);
   if (!refund) {
     return sendError(res, 'REFUND_NOT_FOUND', 'Refund not found', 404);
   }
 
-  if (refund.status !== REFUND_STATUS.REQUESTED) {
-    return sendError(res, 'INVALID_STATUS', 'Refund cannot be approved at this stage', 400);
-  }
-
-  // Check admin refund limit (₹500 for admin)
-  const adminLimit = REFUND_LIMITS[USER_ROLES.ADMIN] || 500;
-  
-  if (refund.amount > adminLimit) {
-    return sendError(res, 'LIMIT_EXCEEDED', `Refund amount exceeds your limit of ₹${adminLimit}. Please escalate to Center Admin.`, 400);
-  }
-
-  await refund.approve(user._id, notes || 'Approved by admin');
+  // Enforces REFUND_LIMITS for the approver's role
+  await RefundService.approve(refund, RefundService.actorFromRequest(req), notes || 'Approved by admin');
 
   const updatedRefund = await Refund.findById(refundId)
     .populate('approvedBy', 'name');
@@ -650,11 +638,7 @@ const rejectRefund = asyncHandler(async (req, res) => {
     return sendError(res, 'REFUND_NOT_FOUND', 'Refund not found', 404);
   }
 
-  if (refund.status !== REFUND_STATUS.REQUESTED) {
-    return sendError(res, 'INVALID_STATUS', 'Refund cannot be rejected at this stage', 400);
-  }
-
-  await refund.reject(req.user._id, reason);
+  await RefundService.reject(refund, RefundService.actorFromRequest(req), reason);
 
   const updatedRefund = await Refund.findById(refundId)
     .populate('rejectedBy', 'name');
@@ -687,6 +671,8 @@ const escalateRefund = asyncHandler(async (req, res) => {
   }
 
   await refund.escalate(centerAdmin._id, reason);
+  await RefundService.audit(RefundService.actorFromRequest(req), 'escalate_refund', refund,
+    `Escalated refund ${refund.refundNumber} to center admin: ${reason}`);
 
   const updatedRefund = await Refund.findById(refundId)
     .populate('escalatedTo', 'name');
@@ -699,21 +685,14 @@ const escalateRefund = asyncHandler(async (req, res) => {
 // @access  Private (Admin)
 const processRefund = asyncHandler(async (req, res) => {
   const { refundId } = req.params;
-  const { transactionId } = req.body;
 
   const refund = await Refund.findById(refundId);
   if (!refund) {
     return sendError(res, 'REFUND_NOT_FOUND', 'Refund not found', 404);
   }
 
-  if (refund.status !== REFUND_STATUS.APPROVED) {
-    return sendError(res, 'INVALID_STATUS', 'Only approved refunds can be processed', 400);
-  }
-
-  // Generate transaction ID if not provided
-  const txnId = transactionId || `TXN${Date.now()}`;
-  
-  await refund.process(req.user._id, txnId);
+  // Pays out through the gateway, store credit or a recorded manual transfer
+  await RefundService.execute(refund, RefundService.actorFromRequest(req));
 
   const updatedRefund = await Refund.findById(refundId)
     .populate('processedBy', 'name');
@@ -857,6 +836,7 @@ const getPayments = asyncHandler(async (req, res) => {
     amount: order.pricing?.total || 0,
     method: order.paymentMethod === 'cod' ? 'Cash' : 
             order.paymentMethod === 'online' ? 'UPI' : 
+            order.paymentMethod === 'wallet' ? 'Wallet' :
             order.paymentMethod || 'Cash',
     status: order.paymentStatus === 'paid' ? 'completed' : 
             order.paymentStatus === 'pending' ? 'pending' :
@@ -1354,7 +1334,11 @@ const updatePaymentStatus = asyncHandler(async (req, res) => {
   const { orderId } = req.params;
   const { paymentStatus, transactionId } = req.body;
 
-  const validStatuses = ['pending', 'paid', 'failed', 'refunded'];
+  if (paymentStatus === 'refunded') {
+    return sendError(res, 'USE_REFUNDS', 'Refunds must be issued through the refunds API so money is actually returned', 400);
+  }
+
+  const validStatuses = ['pending', 'paid', 'failed'];
   if (!validStatuses.includes(paymentStatus)) {
     return sendError(res, 'INVALID_STATUS', 'Invalid payment status', 400);
   }
@@ -1367,11 +1351,8 @@ const updatePaymentStatus = asyncHandler(async (req, res) => {
   order.paymentStatus = paymentStatus;
   
   if (paymentStatus === 'paid') {
-    order.paymentDetails = {
-      ...order.paymentDetails,
-      paidAt: new Date(),
-      transactionId: transactionId || order.paymentDetails?.transactionId || `MANUAL-${order.orderNumber}`
-    };
+    order.paymentDetails.paidAt = new Date();
+    order.paymentDetails.transactionId = transactionId || order.paymentDetails?.transactionId || `MANUAL-${order.orderNumber}`;
   }
 
   await order.save();
@@ -1383,6 +1364,33 @@ const updatePaymentStatus = asyncHandler(async (req, res) => {
   sendSuccess(res, { order: updatedOrder }, 'Payment status updated successfully');
 });
 
+// @desc    Record the measured weight of a per-kg order and reprice it
+// @route   PUT /api/admin/orders/:orderId/weight
+// @access  Private (Admin/Center Admin)
+const recordOrderWeight = asyncHandler(async (req, res) => {
+  const { totalWeightKg, weights, stage } = req.body;
+
+  if (totalWeightKg === undefined && !Array.isArray(weights)) {
+    return sendError(res, 'MISSING_WEIGHT', 'Provide totalWeightKg or per-item weights', 400);
+  }
+
+  const order = await Order.findById(req.params.orderId);
+  if (!order) {
+    return sendError(res, 'ORDER_NOT_FOUND', 'Order not found', 404);
+  }
+
+  const { adjustment } = await WeightService.recordWeighIn(order, { totalWeightKg, weights, stage },
+    RefundService.actorFromRequest(req));
+
+  sendSuccess(res, {
+    orderNumber: order.orderNumber,
+    weight: order.weight,
+    pricing: order.pricing,
+    paymentStatus: order.paymentStatus,
+    adjustment
+  }, 'Order weight recorded successfully');
+});
+
 // @desc    Fix all delivered orders with pending payment
 // @route   POST /api/admin/fix-delivered-payments
 // @access  Private (Admin/Center Admin)
@@ -1405,10 +1413,12 @@ const fixDeliveredPayments = asyncHandler(async (req, res) => {
 module.exports = {
   getDashboard,
   getAllOrders,
+  getBranchCandidates,
   assignOrderToBranch,
   assignOrderToLogistics,
   updateOrderStatus,
   updatePaymentStatus,
+  recordOrderWeight,
   fixDeliveredPayments,
   getCustomers,
   toggleCustomerStatus,
@@ -0,0 +1,125 @@
+const AuditLog = require('../../models/AuditLog');
+const Branch = require('../../models/Branch');
+const DeliveryZone = require('../../models/DeliveryZone');
+const DeliveryZoneService = require('../../services/deliveryZoneService');
+const distanceService = require('../../services/distanceService');
+const { sendSuccess, sendError, asyncHandler } = require('../../utils/helpers');
+
+const ZONE_ACTIONS = {
+  create_delivery_zone: 'Created',
+  update_delivery_zone: 'Updated',
+  deactivate_delivery_zone: 'Deactivated'
+};
+
+const logZoneChange = (req, action, branch, zone, changes) => AuditLog.logAction({
+  userId: req.user._id,
+  userType: req.user.role === 'center_admin' ? 'center_admin' : 'admin',
+  userEmail: req.user.email,
+  action,
+  category: 'branches',
+  description: `${ZONE_ACTIONS[action]} delivery zone ${zone.name} of branch ${branch.code}`,
+  ipAddress: req.ip,
+  userAgent: req.get('User-Agent'),
+  resourceType: 'delivery_zone',
+  resourceId: zone._id.toString(),
+  changes,
+  status: 'success',
+  riskLevel: 'low'
+});
+
+const findBranch = (branchId) => Branch.findById(branchId).select('name code');
+
+/**
+ * @desc    List a branch's delivery zones
+ * @route   GET /api/admin/branches/:branchId/zones?includeInactive=true
+ * @access  Private (Admin/Center Admin)
+ */
+const getBranchZones = asyncHandler(async (req, res) => {
+  const branch = await findBranch(req.params.branchId);
+  if (!branch) {
+    return sendError(res, 'BRANCH_NOT_FOUND', 'Branch not found', 404);
+  }
+
+  const zones = await DeliveryZoneService.listForBranch(branch._id, {
+    includeInactive: req.query.includeInactive === 'true'
+  });
+
+  sendSuccess(res, { branch, zones }, 'Delivery zones retrieved successfully');
+});
+
+/**
+ * @desc    Create a delivery zone (GeoJSON Polygon / MultiPolygon, or a Feature wrapping one)
+ * @route   POST /api/admin/branches/:branchId/zones
+ * @access  Private (Admin/Center Admin)
+ */
+const createBranchZone = asyncHandler(async (req, res) => {
+  const branch = await findBranch(req.params.branchId);
+  if (!branch) {
+    return sendError(res, 'BRANCH_NOT_FOUND', 'Branch not found', 404);
+  }
+
+  const zone = await DeliveryZoneService.createZone(branch._id, req.body, req.user._id);
+  await logZoneChange(req, 'create_delivery_zone', branch, zone, { after: zone.toObject() });
+
+  sendSuccess(res, { zone }, 'Delivery zone created successfully', 201);
+});
+
+/**
+ * @desc    Update a delivery zone
+ * @route   PUT /api/admin/branches/:branchId/zones/:zoneId
+ * @access  Private (Admin/Center Admin)
+ */
+const updateBranchZone = asyncHandler(async (req, res) => {
+  const branch = await findBranch(req.params.branchId);
+  if (!branch) {
+    return sendError(res, 'BRANCH_NOT_FOUND', 'Branch not found', 404);
+  }
+
+  const before = (await DeliveryZoneService.getZone(branch._id, req.params.zoneId)).toObject();
+  const zone = await DeliveryZoneService.updateZone(branch._id, req.params.zoneId, req.body, req.user._id);
+  await logZoneChange(req, 'update_delivery_zone', branch, zone, { before, after: zone.toObject() });
+
+  sendSuccess(res, { zone }, 'Delivery zone updated successfully');
+});
+
+/**
+ * @desc    Deactivate a delivery zone (kept for the orders that reference it)
+ * @route   DELETE /api/admin/branches/:branchId/zones/:zoneId
+ * @access  Private (Admin/Center Admin)
+ */
+const deactivateBranchZone = asyncHandler(async (req, res) => {
+  const branch = await findBranch(req.params.branchId);
+  if (!branch) {
+    return sendError(res, 'BRANCH_NOT_FOUND', 'Branch not found', 404);
+  }
+
+  const zone = await DeliveryZoneService.updateZone(branch._id, req.params.zoneId, { isActive: false }, req.user._id);
+  await logZoneChange(req, 'deactivate_delivery_zone', branch, zone, { before: { isActive: true }, after: { isActive: false } });
+
+  sendSuccess(res, { zone }, 'Delivery zone deactivated successfully');
+});
+
+/**
+ * @desc    Which zones contain a point (for checking zone drawings)
+ * @route   GET /api/admin/zones/lookup?lat=&lng=
+ * @access  Private (Admin/Center Admin)
+ */
+const lookupZones = asyncHandler(async (req, res) => {
+  const location = { lat: parseFloat(req.query.lat), lng: parseFloat(req.query.lng) };
+  if (!distanceService.validateCoordinates(location)) {
+    return sendError(res, 'INVALID_COORDINATES', 'Valid lat and lng are required', 400);
+  }
+
+  const zones = await DeliveryZoneService.findZonesAt(location);
+  await DeliveryZone.populate(zones, { path: 'branch', select: 'name code' });
+
+  sendSuccess(res, { location, zones }, 'Zones at location retrieved successfully');
+});
+
+module.exports = {
+  getBranchZones,
+  createBranchZone,
+  updateBranchZone,
+  deactivateBranchZone,
+  lookupZones
+};
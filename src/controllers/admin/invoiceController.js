@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const Order = require('../../models/Order');
+const Invoice = require('../../models/Invoice');
+const InvoiceService = require('../../services/invoiceService');
+const { sendInvoicePdf } = require('../customer/invoiceController');
+const { sendSuccess, sendError, asyncHandler } = require('../../utils/helpers');
+
+/**
+ * @desc    Invoice register: invoices, credit notes and debit notes
+ * @route   GET /api/admin/invoices?branchId=&financialYear=&documentType=&from=&to=&page=&limit=
+ * @access  Private (Admin/Center Admin)
+ */
+const getInvoices = asyncHandler(async (req, res) => {
+  const { branchId, financialYear, documentType, from, to } = req.query;
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+  const query = {};
+  if (branchId) query.branch = branchId;
+  if (financialYear) query.financialYear = financialYear;
+  if (documentType) query.documentType = documentType;
+  if (from || to) {
+    query.issuedAt = {};
+    if (from) query.issuedAt.$gte = new Date(from);
+    if (to) query.issuedAt.$lte = new Date(to);
+  }
+
+  const [invoices, total, totals] = await Promise.all([
+    Invoice.find(query)
+      .populate('branch', 'name code')
+      .select('-lines')
+      .sort({ issuedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Invoice.countDocuments(query),
+    Invoice.aggregate([
+      // Aggregation does not cast ids
+      { $match: branchId ? { ...query, branch: new mongoose.Types.ObjectId(branchId) } : query },
+      {
+        $group: {
+          _id: '$documentType',
+          count: { $sum: 1 },
+          taxableValue: { $sum: '$taxableValue' },
+          cgst: { $sum: '$cgst' },
+          sgst: { $sum: '$sgst' },
+          igst: { $sum: '$igst' },
+          total: { $sum: '$total' }
+        }
+      }
+    ])
+  ]);
+
+  sendSuccess(res, {
+    invoices,
+    totals,
+    pagination: { current: page, pages: Math.ceil(total / limit), total, limit }
+  }, 'Invoices retrieved successfully');
+});
+
+/**
+ * @desc    An order's invoice documents
+ * @route   GET /api/admin/orders/:orderId/invoices
+ * @access  Private (Admin/Center Admin)
+ */
+const getOrderInvoices = asyncHandler(async (req, res) => {
+  const documents = await InvoiceService.getOrderDocuments(req.params.orderId);
+
+  sendSuccess(res, { documents }, 'Invoices retrieved successfully');
+});
+
+/**
+ * @desc    Issue the order's invoice now
+ * @route   POST /api/admin/orders/:orderId/invoice
+ * @access  Private (Admin/Center Admin)
+ */
+const issueOrderInvoice = asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.orderId);
+  if (!order) {
+    return sendError(res, 'ORDER_NOT_FOUND', 'Order not found', 404);
+  }
+
+  const invoice = await InvoiceService.issueForOrder(order, { id: req.user._id, role: req.user.role });
+
+  sendSuccess(res, { invoice }, 'Invoice issued successfully', 201);
+});
+
+/**
+ * @desc    Download any invoice document
+ * @route   GET /api/admin/invoices/:invoiceId/pdf
+ * @access  Private (Admin/Center Admin)
+ */
+const downloadInvoice = asyncHandler(async (req, res) => {
+  const invoice = await Invoice.findById(req.params.invoiceId);
+  if (!invoice) {
+    return sendError(res, 'INVOICE_NOT_FOUND', 'Invoice not found', 404);
+  }
+
+  await sendInvoicePdf(res, invoice);
+});
+
+module.exports = {
+  getInvoices,
+  getOrderInvoices,
+  issueOrderInvoice,
+  downloadInvoice
+};
@@ -0,0 +1,47 @@
+const AuditLog = require('../../models/AuditLog');
+const LoyaltyService = require('../../services/loyaltyService');
+const { sendSuccess, asyncHandler } = require('../../utils/helpers');
+
+/**
+ * @desc    Get the loyalty program (tiers, earn rates, redemption and expiry rules)
+ * @route   GET /api/admin/loyalty/program
+ * @access  Private (Admin/Center Admin)
+ */
+const getLoyaltyProgram = asyncHandler(async (req, res) => {
+  const program = await LoyaltyService.getProgram();
+
+  sendSuccess(res, { program }, 'Loyalty program retrieved successfully');
+});
+
+/**
+ * @desc    Update the loyalty program
+ * @route   PUT /api/admin/loyalty/program
+ * @access  Private (Center Admin)
+ */
+const updateLoyaltyProgram = asyncHandler(async (req, res) => {
+  const before = await LoyaltyService.getProgram();
+  const program = await LoyaltyService.updateProgram(req.body, req.user._id);
+
+  await AuditLog.logAction({
+    userId: req.user._id,
+    userType: 'center_admin',
+    userEmail: req.user.email,
+    action: 'update_loyalty_program',
+    category: 'pricing',
+    description: 'Updated loyalty program',
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    resourceType: 'settings',
+    resourceId: 'loyalty_program',
+    changes: { before, after: program },
+    status: 'success',
+    riskLevel: 'medium'
+  });
+
+  sendSuccess(res, { program }, 'Loyalty program updated successfully');
+});
+
+module.exports = {
+  getLoyaltyProgram,
+  updateLoyaltyProgram
+};
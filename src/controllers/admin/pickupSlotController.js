@@ -0,0 +1,89 @@
+const Branch = require('../../models/Branch');
+const PickupSlotService = require('../../services/pickupSlotService');
+const { sendSuccess, sendError, asyncHandler } = require('../../utils/helpers');
+
+// Branch managers may only manage slots at their own branch
+const loadBranch = async (req, res) => {
+  const { branchId } = req.params;
+
+  if (req.user.role === 'branch_manager' &&
+    (!req.user.assignedBranch || req.user.assignedBranch.toString() !== branchId)) {
+    sendError(res, 'BRANCH_ACCESS_DENIED', 'You can only manage slots for your own branch', 403);
+    return null;
+  }
+
+  const branch = await Branch.findById(branchId);
+  if (!branch) {
+    sendError(res, 'BRANCH_NOT_FOUND', 'Branch not found', 404);
+    return null;
+  }
+  return branch;
+};
+
+/**
+ * @desc    Get pickup slot capacity and bookings for a branch
+ * @route   GET /api/admin/branches/:branchId/slots?date=&days=
+ * @access  Private (Admin/Center Admin/Branch Manager)
+ */
+const getBranchSlots = asyncHandler(async (req, res) => {
+  const branch = await loadBranch(req, res);
+  if (!branch) return;
+
+  const dayCount = Math.min(Math.max(parseInt(req.query.days) || 7, 1), 31);
+  const start = req.query.date ? new Date(req.query.date) : new Date();
+  if (isNaN(start.getTime())) {
+    return sendError(res, 'INVALID_DATE', 'Date is invalid', 400);
+  }
+
+  const days = [];
+  for (let i = 0; i < dayCount; i++) {
+    const day = new Date(start);
+    day.setDate(start.getDate() + i);
+    days.push(await PickupSlotService.getAvailability(branch, day));
+  }
+
+  sendSuccess(res, {
+    branch: { _id: branch._id, name: branch.name, code: branch.code },
+    dailyCapacity: branch.capacity?.maxOrdersPerDay,
+    template: PickupSlotService.getSlotTemplate(branch),
+    days
+  }, 'Pickup slots retrieved successfully');
+});
+
+/**
+ * @desc    Block / unblock pickup slots or override their capacity
+ * @route   PUT /api/admin/branches/:branchId/slots
+ * @access  Private (Admin/Center Admin/Branch Manager)
+ */
+const updateBranchSlot = asyncHandler(async (req, res) => {
+  const { date, timeSlot, isBlocked, blockReason, capacityOverride } = req.body;
+
+  if (!date) {
+    return sendError(res, 'DATE_REQUIRED', 'Date is required', 400);
+  }
+  if (isBlocked === undefined && capacityOverride === undefined) {
+    return sendError(res, 'NO_CHANGES', 'Provide isBlocked or capacityOverride', 400);
+  }
+
+  const branch = await loadBranch(req, res);
+  if (!branch) return;
+
+  // null clears an override and falls back to the branch capacity
+  const override = capacityOverride === undefined || capacityOverride === null
+    ? capacityOverride
+    : Number(capacityOverride);
+
+  const availability = await PickupSlotService.updateSlot(branch, date, {
+    timeSlot,
+    isBlocked,
+    blockReason,
+    capacityOverride: override
+  }, req.user._id);
+
+  sendSuccess(res, { availability }, 'Pickup slots updated successfully');
+});
+
+module.exports = {
+  getBranchSlots,
+  updateBranchSlot
+};
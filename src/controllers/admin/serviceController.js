@@ -64,7 +64,8 @@ const createService = asyncHandler(async (req, res) => {
     basePriceMultiplier,
     turnaroundTime,
     isExpressAvailable,
-    sortOrder
+    sortOrder,
+    sacCode
   } = req.body
 
   // Check if service code already exists
@@ -84,6 +85,7 @@ const createService = asyncHandler(async (req, res) => {
     turnaroundTime,
     isExpressAvailable,
     sortOrder,
+    sacCode,
     createdBy: req.user._id
   })
 
@@ -110,7 +112,8 @@ const updateService = asyncHandler(async (req, res) => {
     turnaroundTime,
     isExpressAvailable,
     isActive,
-    sortOrder
+    sortOrder,
+    sacCode
   } = req.body
 
   // Update fields
@@ -124,6 +127,7 @@ const updateService = asyncHandler(async (req, res) => {
   if (isExpressAvailable !== undefined) service.isExpressAvailable = isExpressAvailable
   if (isActive !== undefined) service.isActive = isActive
   if (sortOrder !== undefined) service.sortOrder = sortOrder
+  if (sacCode !== undefined) service.sacCode = sacCode || undefined
 
   await service.save()
 
@@ -0,0 +1,141 @@
+const AuditLog = require('../../models/AuditLog');
+const Subscription = require('../../models/Subscription');
+const SubscriptionPlan = require('../../models/SubscriptionPlan');
+const { sendSuccess, sendError, asyncHandler } = require('../../utils/helpers');
+
+// Fields an admin may set on a plan
+const PLAN_FIELDS = [
+  'name', 'code', 'description', 'monthlyFee', 'pickupsPerPeriod', 'maxWeightKgPerPickup',
+  'maxItemsPerPickup', 'overageRatePerKg', 'includedServices', 'extraDiscountPercent',
+  'includesDelivery', 'branches', 'isActive'
+];
+
+const pickPlanFields = (body) => PLAN_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}, {});
+
+const logPlanChange = (req, action, plan, changes) => AuditLog.logAction({
+  userId: req.user._id,
+  userType: 'center_admin',
+  userEmail: req.user.email,
+  action,
+  category: 'pricing',
+  description: `${action === 'create_subscription_plan' ? 'Created' : 'Updated'} subscription plan ${plan.code}`,
+  ipAddress: req.ip,
+  userAgent: req.get('User-Agent'),
+  resourceType: 'settings',
+  resourceId: plan._id.toString(),
+  changes,
+  status: 'success',
+  riskLevel: 'medium'
+});
+
+/**
+ * @desc    List subscription plans with their subscriber counts
+ * @route   GET /api/admin/subscription-plans
+ * @access  Private (Admin/Center Admin)
+ */
+const getSubscriptionPlans = asyncHandler(async (req, res) => {
+  const [plans, counts] = await Promise.all([
+    SubscriptionPlan.find().sort({ isActive: -1, monthlyFee: 1 }),
+    Subscription.aggregate([
+      { $match: { status: { $ne: 'cancelled' } } },
+      { $group: { _id: { plan: '$plan', status: '$status' }, count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const subscribers = {};
+  counts.forEach(({ _id, count }) => {
+    const key = _id.plan.toString();
+    subscribers[key] = subscribers[key] || {};
+    subscribers[key][_id.status] = count;
+  });
+
+  sendSuccess(res, {
+    plans: plans.map(plan => ({ ...plan.toObject(), subscribers: subscribers[plan._id.toString()] || {} }))
+  }, 'Subscription plans retrieved successfully');
+});
+
+/**
+ * @desc    Create a subscription plan
+ * @route   POST /api/admin/subscription-plans
+ * @access  Private (Center Admin)
+ */
+const createSubscriptionPlan = asyncHandler(async (req, res) => {
+  const fields = pickPlanFields(req.body);
+  if (!fields.name || !fields.code || fields.monthlyFee === undefined || !fields.pickupsPerPeriod) {
+    return sendError(res, 'MISSING_FIELDS', 'name, code, monthlyFee and pickupsPerPeriod are required', 400);
+  }
+
+  if (await SubscriptionPlan.exists({ code: String(fields.code).toUpperCase() })) {
+    return sendError(res, 'DUPLICATE_CODE', 'A plan with this code already exists', 409);
+  }
+
+  const plan = await SubscriptionPlan.create({ ...fields, createdBy: req.user._id });
+  await logPlanChange(req, 'create_subscription_plan', plan, { after: plan.toObject() });
+
+  sendSuccess(res, { plan }, 'Subscription plan created successfully', 201);
+});
+
+/**
+ * @desc    Update a subscription plan. Changes apply from each subscriber's next period.
+ * @route   PUT /api/admin/subscription-plans/:planId
+ * @access  Private (Center Admin)
+ */
+const updateSubscriptionPlan = asyncHandler(async (req, res) => {
+  const plan = await SubscriptionPlan.findById(req.params.planId);
+  if (!plan) {
+    return sendError(res, 'PLAN_NOT_FOUND', 'Subscription plan not found', 404);
+  }
+
+  const fields = pickPlanFields(req.body);
+  delete fields.code; // Codes are permanent
+
+  const before = plan.toObject();
+  plan.set({ ...fields, updatedBy: req.user._id });
+  await plan.save();
+  await logPlanChange(req, 'update_subscription_plan', plan, { before, after: plan.toObject() });
+
+  sendSuccess(res, { plan }, 'Subscription plan updated successfully');
+});
+
+/**
+ * @desc    List customer subscriptions
+ * @route   GET /api/admin/subscriptions?status=&planId=&branchId=&page=&limit=
+ * @access  Private (Admin/Center Admin)
+ */
+const getSubscriptions = asyncHandler(async (req, res) => {
+  const { status, planId, branchId } = req.query;
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+  const query = {};
+  if (status) query.status = status;
+  if (planId) query.plan = planId;
+  if (branchId) query.branch = branchId;
+
+  const [subscriptions, total] = await Promise.all([
+    Subscription.find(query)
+      .populate('customer', 'name email phone')
+      .populate('plan', 'name code')
+      .populate('branch', 'name code')
+      .select('-occurrences')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Subscription.countDocuments(query)
+  ]);
+
+  sendSuccess(res, {
+    subscriptions,
+    pagination: { current: page, pages: Math.ceil(total / limit), total, limit }
+  }, 'Subscriptions retrieved successfully');
+});
+
+module.exports = {
+  getSubscriptionPlans,
+  createSubscriptionPlan,
+  updateSubscriptionPlan,
+  getSubscriptions
+};
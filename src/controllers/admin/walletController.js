@@ -0,0 +1,121 @@
+const User = require('../../models/User');
+const AuditLog = require('../../models/AuditLog');
+const WalletService = require('../../services/walletService');
+const RefundService = require('../../services/refundService');
+const { sendSuccess, sendError, asyncHandler } = require('../../utils/helpers');
+
+// Sources an admin may post a manual adjustment under
+const ADJUSTMENT_SOURCES = ['adjustment', 'promotion', 'goodwill'];
+
+/**
+ * @desc    Get a customer's wallet balance and statement
+ * @route   GET /api/admin/customers/:customerId/wallet?page=&limit=&from=&to=
+ * @access  Private (Admin/Center Admin)
+ */
+const getCustomerWallet = asyncHandler(async (req, res) => {
+  const customer = await User.findOne({ _id: req.params.customerId, role: 'customer' }).select('name email phone');
+  if (!customer) {
+    return sendError(res, 'CUSTOMER_NOT_FOUND', 'Customer not found', 404);
+  }
+
+  const { page, limit, from, to, source, direction } = req.query;
+  const [wallet, ledger, statement] = await Promise.all([
+    WalletService.getBalance(customer._id),
+    WalletService.getLedgerBalance(customer._id),
+    WalletService.getStatement(customer._id, { page, limit, from, to, source, direction })
+  ]);
+
+  sendSuccess(res, {
+    customer,
+    wallet: { ...wallet, ledgerBalance: ledger.balance },
+    ...statement
+  }, 'Customer wallet retrieved successfully');
+});
+
+/**
+ * @desc    Credit or debit a customer's wallet by hand
+ * @route   POST /api/admin/customers/:customerId/wallet/adjustments
+ * @access  Private (Admin/Center Admin)
+ */
+const createWalletAdjustment = asyncHandler(async (req, res) => {
+  const { type, amount, reason, source = 'adjustment', orderId } = req.body;
+  const value = Number(amount);
+
+  if (!['credit', 'debit'].includes(type)) {
+    return sendError(res, 'INVALID_TYPE', 'Type must be credit or debit', 400);
+  }
+  if (!(value > 0)) {
+    return sendError(res, 'INVALID_AMOUNT', 'Amount must be greater than zero', 400);
+  }
+  if (!reason || !reason.trim()) {
+    return sendError(res, 'REASON_REQUIRED', 'A reason is required for wallet adjustments', 400);
+  }
+  if (!ADJUSTMENT_SOURCES.includes(source) || (type === 'debit' && source !== 'adjustment')) {
+    return sendError(res, 'INVALID_SOURCE', 'Debits must use the adjustment source; credits may use adjustment, promotion or goodwill', 400);
+  }
+
+  const customer = await User.findOne({ _id: req.params.customerId, role: 'customer' }).select('email');
+  if (!customer) {
+    return sendError(res, 'CUSTOMER_NOT_FOUND', 'Customer not found', 404);
+  }
+
+  const actor = RefundService.actorFromRequest(req);
+  const auditEntry = {
+    userId: req.user._id,
+    userType: req.user.role === 'superadmin' ? 'center_admin' : req.user.role,
+    userEmail: req.user.email,
+    action: 'wallet_adjustment',
+    category: 'financial',
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    resourceType: 'wallet',
+    resourceId: customer._id.toString(),
+    riskLevel: value >= 1000 ? 'high' : 'medium',
+    metadata: { type, amount: value, source, reason, orderId }
+  };
+
+  // Credits are handed out under the same per-role ceiling as refunds
+  const limit = RefundService.getRefundLimit(req.user.role);
+  if (type === 'credit' && value > limit) {
+    await AuditLog.logAction({
+      ...auditEntry,
+      description: `Wallet credit of ₹${value} for ${customer.email} exceeds the ₹${limit} limit`,
+      status: 'failure'
+    });
+    return sendError(res, 'LIMIT_EXCEEDED', `You can credit at most ₹${limit}; ask a center admin`, 403);
+  }
+
+  let entry;
+  try {
+    entry = await WalletService.post({
+      userId: customer._id,
+      direction: type,
+      amount: value,
+      source,
+      description: reason.trim(),
+      references: { order: orderId || undefined },
+      actor
+    });
+  } catch (error) {
+    await AuditLog.logAction({
+      ...auditEntry,
+      description: `Wallet ${type} of ₹${value} for ${customer.email} failed: ${error.message}`,
+      status: 'failure'
+    });
+    throw error;
+  }
+
+  await AuditLog.logAction({
+    ...auditEntry,
+    description: `Wallet ${type} of ₹${value} for ${customer.email} (${source})`,
+    status: 'success',
+    metadata: { ...auditEntry.metadata, entryNumber: entry.entryNumber, balanceAfter: entry.balanceAfter }
+  });
+
+  sendSuccess(res, { entry, balance: entry.balanceAfter }, 'Wallet adjusted successfully', 201);
+});
+
+module.exports = {
+  getCustomerWallet,
+  createWalletAdjustment
+};
@@ -1,10 +1,68 @@
 const User = require('../models/User');
 const AdminInvitation = require('../models/AdminInvitation');
 const { hashPassword, comparePassword } = require('../utils/password');
-const { generateAccessToken, generateEmailVerificationToken, verifyEmailVerificationToken } = require('../utils/jwt');
-const { sendEmail, emailTemplates } = require('../config/email');
-const { setAuthCookie, clearAuthCookie } = require('../utils/cookieConfig');
+const { generateEmailVerificationToken, verifyEmailVerificationToken } = require('../utils/jwt');
+const { sendEmail, sendEmailAsync, emailTemplates } = require('../config/email');
+const {
+  setAuthCookie,
+  setRefreshCookie,
+  clearAuthCookie,
+  clearRefreshCookie,
+  getRefreshTokenFromRequest
+} = require('../utils/cookieConfig');
+const UserSessionService = require('../services/userSessionService');
+const mfaService = require('../services/mfaService');
+const PhoneAuthService = require('../services/phoneAuthService');
+const AuditLog = require('../models/AuditLog');
 const crypto = require('crypto');
+const { PASSWORD_RESET_CONFIG, MFA_CONFIG } = require('../config/constants');
+
+// Start a server-side session and set both auth cookies
+const startSession = async (user, req, res) => {
+  const tokens = await UserSessionService.createSession(user, req);
+  setAuthCookie(res, tokens.accessToken);
+  setRefreshCookie(res, tokens.refreshToken);
+  return tokens;
+};
+
+const clearSessionCookies = (res) => {
+  clearAuthCookie(res);
+  clearRefreshCookie(res);
+};
+
+// PhoneAuthError carries its own status and code; anything else is a 500
+const sendPhoneAuthError = (res, error, label, message) => {
+  if (error instanceof PhoneAuthService.PhoneAuthError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.error,
+      message: error.message,
+      ...error.details
+    });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message
+  });
+};
+
+// User fields returned when a sign-in completes
+const toAuthUser = (user) => ({
+  _id: user._id,
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  phone: user.phone,
+  role: user.role,
+  permissions: user.permissions || {},
+  assignedBranch: user.assignedBranch,
+  isEmailVerified: user.isEmailVerified,
+  phoneVerified: user.phoneVerified,
+  isActive: user.isActive,
+  lastLogin: user.lastLogin,
+  mfaEnabled: Boolean(user.mfa && user.mfa.isEnabled)
+});
 
 // Register new user
 const register = async (req, res) => {
@@ -108,8 +166,8 @@ const verifyEmail = async (req, res) => {
     user.isEmailVerified = true;
     await user.save();
 
-    // Generate access token
-    const accessToken = generateAccessToken(user._id, user.email, user.role);
+    // Sign the user in on this device
+    const tokens = await startSession(user, req, res);
 
     res.status(200).json({
       success: true,
@@ -123,7 +181,9 @@ const verifyEmail = async (req, res) => {
           role: user.role,
           isEmailVerified: user.isEmailVerified
         },
-        token: accessToken
+        token: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+        expiresIn: tokens.accessTokenExpiresIn
       }
     });
 
@@ -193,7 +253,8 @@ const login = async (req, res) => {
     // Find user and include password
     const user = await User.findOne({ email }).select('+password');
     
-    if (!user) {
+    // Phone-only accounts have no password and sign in by OTP
+    if (!user || !user.password) {
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
@@ -218,33 +279,35 @@ const login = async (req, res) => {
       });
     }
 
+    // Admins and branch managers with MFA confirm a second factor before a session starts
+    if (user.mfa && user.mfa.isEnabled && MFA_CONFIG.USER_ROLES.includes(user.role)) {
+      const challenge = await mfaService.sendChallenge(user, 'login');
+
+      return res.status(200).json({
+        success: true,
+        message: challenge.message,
+        data: {
+          requiresMFA: true,
+          mfaMethod: challenge.method,
+          mfaToken: mfaService.createChallengeToken({ userId: user._id, email: user.email })
+        }
+      });
+    }
+
     // Update last login
     await user.updateLastLogin();
 
-    // Generate access token
-    const accessToken = generateAccessToken(user._id, user.email, user.role);
-
-    // Set HTTP-only cookie
-    setAuthCookie(res, accessToken);
+    // Start a session and set HTTP-only cookies
+    const tokens = await startSession(user, req, res);
 
     res.status(200).json({
       success: true,
       message: 'Login successful!',
       data: {
-        user: {
-          _id: user._id,
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          phone: user.phone,
-          role: user.role,
-          permissions: user.permissions || {},
-          assignedBranch: user.assignedBranch,
-          isEmailVerified: user.isEmailVerified,
-          isActive: user.isActive,
-          lastLogin: user.lastLogin
-        },
-        token: accessToken  // Still send token for backward compatibility
+        user: toAuthUser(user),
+        token: tokens.accessToken,  // Still send token for backward compatibility
+        refreshToken: tokens.refreshToken,
+        expiresIn: tokens.accessTokenExpiresIn
       }
     });
 
@@ -257,6 +320,343 @@ const login = async (req, res) => {
   }
 };
 
+// Phone login step 1 - text a code; unknown numbers get an account on verify
+const sendPhoneOtp = async (req, res) => {
+  try {
+    const result = await PhoneAuthService.requestLoginCode(req.body.phone);
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification code sent',
+      data: result
+    });
+
+  } catch (error) {
+    sendPhoneAuthError(res, error, 'Send phone OTP', 'Failed to send verification code');
+  }
+};
+
+// Phone login step 2 - check the code, sign up if needed and start a session
+const verifyPhoneOtp = async (req, res) => {
+  try {
+    const { phone, otp, name } = req.body;
+
+    const { user, isNewUser } = await PhoneAuthService.loginWithCode({ phone, otp, name });
+
+    await user.updateLastLogin();
+    const tokens = await startSession(user, req, res);
+
+    res.status(isNewUser ? 201 : 200).json({
+      success: true,
+      message: isNewUser ? 'Account created successfully!' : 'Login successful!',
+      data: {
+        user: toAuthUser(user),
+        isNewUser,
+        token: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+        expiresIn: tokens.accessTokenExpiresIn
+      }
+    });
+
+  } catch (error) {
+    sendPhoneAuthError(res, error, 'Verify phone OTP', 'Phone verification failed. Please try again.');
+  }
+};
+
+// Text a code to a number to add to (or verify on) the signed-in account
+const sendPhoneLinkOtp = async (req, res) => {
+  try {
+    const result = await PhoneAuthService.requestLinkCode(req.user, req.body.phone);
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification code sent',
+      data: result
+    });
+
+  } catch (error) {
+    sendPhoneAuthError(res, error, 'Send phone link OTP', 'Failed to send verification code');
+  }
+};
+
+// Confirm the code and put the number on the signed-in account
+const verifyPhoneLink = async (req, res) => {
+  try {
+    const user = await PhoneAuthService.linkPhone(req.user, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'Phone number verified successfully!',
+      data: {
+        phone: user.phone,
+        phoneVerified: user.phoneVerified
+      }
+    });
+
+  } catch (error) {
+    sendPhoneAuthError(res, error, 'Verify phone link', 'Failed to verify phone number');
+  }
+};
+
+// Add an email and password to a phone-only account; the email still needs verifying
+const linkEmail = async (req, res) => {
+  try {
+    const user = await PhoneAuthService.linkEmail(req.user, req.body);
+
+    const verificationToken = generateEmailVerificationToken(user._id, user.email);
+    const emailResult = await sendEmail(emailTemplates.verification(verificationToken, user.email));
+
+    if (!emailResult.success) {
+      console.error('Failed to send verification email:', emailResult.error);
+      // Don't fail linking if email fails; verification can be resent
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Email linked. Please check your email to verify it.',
+      data: {
+        email: user.email,
+        isEmailVerified: user.isEmailVerified,
+        emailSent: emailResult.success
+      }
+    });
+
+  } catch (error) {
+    sendPhoneAuthError(res, error, 'Link email', 'Failed to link email');
+  }
+};
+
+// Login step 2 - answer the MFA challenge with an OTP, authenticator code or backup code
+const verifyLoginMFA = async (req, res) => {
+  try {
+    const { mfaToken, otp, backupCode } = req.body;
+
+    const decoded = mfaService.verifyChallengeToken(mfaToken);
+    const user = decoded && decoded.userId
+      ? await User.findById(decoded.userId).select('+mfa.secret +mfa.backupCodes')
+      : null;
+
+    if (!user || !user.isActive || !user.mfa || !user.mfa.isEnabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired MFA token'
+      });
+    }
+
+    if (!otp && !backupCode) {
+      return res.status(400).json({
+        success: false,
+        message: 'OTP or backup code is required'
+      });
+    }
+
+    const result = await mfaService.verifyChallenge(user, { otp, backupCode }, 'login');
+
+    if (!result.success) {
+      try {
+        await AuditLog.logAction({
+          userId: user._id,
+          userType: user.role,
+          userEmail: user.email,
+          action: 'failed_mfa',
+          category: 'auth',
+          description: 'Failed MFA verification',
+          ipAddress: req.ip || 'unknown',
+          userAgent: req.get('User-Agent'),
+          status: 'failure',
+          riskLevel: 'high',
+          errorMessage: result.message
+        });
+      } catch (logError) {
+        console.error('Failed to log MFA failure:', logError);
+        // Don't throw - the response is what matters
+      }
+
+      return res.status(result.code === 'MFA_LOCKED' ? 429 : 401).json({
+        success: false,
+        error: result.code,
+        message: result.message
+      });
+    }
+
+    user.mfa.lastUsed = new Date();
+    await user.updateLastLogin();
+
+    const tokens = await startSession(user, req, res);
+
+    res.status(200).json({
+      success: true,
+      message: 'Login successful!',
+      data: {
+        user: toAuthUser(user),
+        token: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+        expiresIn: tokens.accessTokenExpiresIn,
+        backupCodesLeft: result.backupCodesLeft
+      }
+    });
+
+  } catch (error) {
+    console.error('MFA verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'MFA verification failed. Please try again.'
+    });
+  }
+};
+
+// Start authenticator-app setup - returns the secret and QR data to scan
+const setupMFA = async (req, res) => {
+  try {
+    if (req.user.mfa && req.user.mfa.isEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'MFA is already enabled'
+      });
+    }
+
+    const setup = await mfaService.startTOTPSetup(req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: setup
+    });
+
+  } catch (error) {
+    console.error('Setup MFA error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start MFA setup'
+    });
+  }
+};
+
+// Enable MFA - { method: 'email' } or { method: 'totp', code } after setup
+const enableMFA = async (req, res) => {
+  try {
+    const { method = 'email', code } = req.body;
+
+    if (!['email', 'totp'].includes(method)) {
+      return res.status(400).json({
+        success: false,
+        message: 'MFA method must be email or totp'
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+mfa.pendingSecret');
+
+    if (user.mfa && user.mfa.isEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'MFA is already enabled'
+      });
+    }
+
+    const result = await mfaService.enableMFA(user, { method, code });
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'MFA enabled successfully. Please save your backup codes.',
+      data: {
+        method: result.method,
+        backupCodes: result.backupCodes
+      }
+    });
+
+  } catch (error) {
+    console.error('Enable MFA error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to enable MFA'
+    });
+  }
+};
+
+// Disable MFA - requires the password
+const disableMFA = async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    const user = await User.findById(req.user._id).select('+password');
+    const isPasswordValid = password && await comparePassword(password, user.password);
+
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid password'
+      });
+    }
+
+    if (!user.mfa || !user.mfa.isEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'MFA is not enabled'
+      });
+    }
+
+    await mfaService.disableMFA(user);
+
+    res.status(200).json({
+      success: true,
+      message: 'MFA disabled successfully'
+    });
+
+  } catch (error) {
+    console.error('Disable MFA error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to disable MFA'
+    });
+  }
+};
+
+// Regenerate MFA backup codes - requires the password; earlier codes stop working
+const regenerateBackupCodes = async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    const user = await User.findById(req.user._id).select('+password');
+    const isPasswordValid = password && await comparePassword(password, user.password);
+
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid password'
+      });
+    }
+
+    if (!user.mfa || !user.mfa.isEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'MFA is not enabled'
+      });
+    }
+
+    const backupCodes = await mfaService.regenerateBackupCodes(user);
+
+    res.status(200).json({
+      success: true,
+      message: 'New backup codes generated. Earlier codes no longer work.',
+      data: { backupCodes }
+    });
+
+  } catch (error) {
+    console.error('Regenerate backup codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to regenerate backup codes'
+    });
+  }
+};
+
 // Get current user profile
 const getProfile = async (req, res) => {
   try {
@@ -309,6 +709,14 @@ const updateProfile = async (req, res) => {
 
     // Check if phone is being changed and if it's already taken
     if (phone && phone !== user.phone) {
+      // A verified number may be how the user signs in; change it with a code instead
+      if (user.phoneVerified) {
+        return res.status(400).json({
+          success: false,
+          message: 'Verified phone numbers are changed with a verification code'
+        });
+      }
+
       const existingUser = await User.findOne({ phone, _id: { $ne: user._id } });
       if (existingUser) {
         return res.status(400).json({
@@ -353,11 +761,17 @@ const updateProfile = async (req, res) => {
   }
 };
 
-// Logout (clear cookie)
+// Logout - end this device's session and clear cookies
 const logout = async (req, res) => {
   try {
-    // Clear the auth cookie
-    clearAuthCookie(res);
+    if (req.user && req.sessionId) {
+      await UserSessionService.revokeSession(req.user._id, req.sessionId, 'logout');
+    } else {
+      // Access token already expired; the refresh token identifies the session
+      await UserSessionService.revokeByRefreshToken(getRefreshTokenFromRequest(req), 'logout');
+    }
+
+    clearSessionCookies(res);
     
     res.status(200).json({
       success: true,
@@ -372,6 +786,212 @@ const logout = async (req, res) => {
   }
 };
 
+// Refresh - swap the refresh token for a new access and refresh token
+const refreshSession = async (req, res) => {
+  try {
+    const refreshToken = getRefreshTokenFromRequest(req);
+
+    if (!refreshToken) {
+      return res.status(401).json({
+        success: false,
+        error: 'INVALID_REFRESH_TOKEN',
+        message: 'Refresh token is required'
+      });
+    }
+
+    const tokens = await UserSessionService.refresh(refreshToken, req, (userId) => User.findOne({ _id: userId, isActive: true }));
+
+    setAuthCookie(res, tokens.accessToken);
+    setRefreshCookie(res, tokens.refreshToken);
+
+    res.status(200).json({
+      success: true,
+      message: 'Session refreshed',
+      data: {
+        token: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+        expiresIn: tokens.accessTokenExpiresIn
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof UserSessionService.SessionError) {
+      clearSessionCookies(res);
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.error,
+        message: error.message
+      });
+    }
+    console.error('Refresh session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refresh session'
+    });
+  }
+};
+
+// List the devices the user is signed in on
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await UserSessionService.listSessions(req.user._id, req.sessionId);
+
+    res.status(200).json({
+      success: true,
+      data: { sessions }
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sessions'
+    });
+  }
+};
+
+// Sign out one device
+const revokeSession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    await UserSessionService.revokeSession(req.user._id, sessionId, 'user_revoked');
+
+    const isCurrent = req.sessionId && req.sessionId.toString() === sessionId;
+    if (isCurrent) clearSessionCookies(res);
+
+    res.status(200).json({
+      success: true,
+      message: isCurrent ? 'Logged out successfully' : 'Session revoked'
+    });
+
+  } catch (error) {
+    if (error instanceof UserSessionService.SessionError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.error,
+        message: error.message
+      });
+    }
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke session'
+    });
+  }
+};
+
+// Sign out every other device; ?includeCurrent=true signs out this one too
+const revokeAllSessions = async (req, res) => {
+  try {
+    const includeCurrent = req.query.includeCurrent === 'true';
+
+    const revoked = await UserSessionService.revokeAll(req.user._id, 'revoke_all', {
+      exceptSessionId: includeCurrent ? null : req.sessionId
+    });
+
+    if (includeCurrent) clearSessionCookies(res);
+
+    res.status(200).json({
+      success: true,
+      message: includeCurrent ? 'Logged out from all devices' : 'Logged out from all other devices',
+      data: { revoked }
+    });
+
+  } catch (error) {
+    console.error('Revoke all sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke sessions'
+    });
+  }
+};
+
+// Forgot password - email a single-use reset link
+const forgotPassword = async (req, res) => {
+  // Same answer whether or not the account exists
+  const genericResponse = {
+    success: true,
+    message: 'If an account exists with this email, a password reset link has been sent.'
+  };
+
+  try {
+    const email = String(req.body.email).trim().toLowerCase();
+    const user = await User.findOne({ email });
+
+    if (!user || !user.isActive) {
+      return res.status(200).json(genericResponse);
+    }
+
+    // Only the hash is stored; a new request replaces any earlier link
+    const resetToken = user.generatePasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+
+    const emailOptions = emailTemplates.passwordReset(resetToken, user, PASSWORD_RESET_CONFIG.TOKEN_TTL_MINUTES);
+    const emailResult = await sendEmail(emailOptions);
+
+    if (!emailResult.success) {
+      console.error('Failed to send password reset email:', emailResult.error);
+      await User.updateOne({ _id: user._id }, { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } });
+    }
+
+    res.status(200).json(genericResponse);
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process password reset request'
+    });
+  }
+};
+
+// Reset password with the emailed token; signs the user out everywhere
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const tokenHash = crypto.createHash('sha256').update(String(token)).digest('hex');
+    // Consume the token in one update so two requests can't both use it
+    const user = await User.findOneAndUpdate(
+      { passwordResetToken: tokenHash, passwordResetExpires: { $gt: Date.now() } },
+      { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    // Password is hashed by the pre-save hook
+    user.password = password;
+    // A second back so tokens issued right after the reset are still accepted
+    user.passwordChangedAt = new Date(Date.now() - 1000);
+    // Receiving the link proves the address
+    user.isEmailVerified = true;
+    await user.save();
+
+    await UserSessionService.revokeAll(user._id, 'password_reset');
+    clearSessionCookies(res);
+    sendEmailAsync(emailTemplates.passwordChanged(user));
+
+    res.status(200).json({
+      success: true,
+      message: 'Password reset successfully. Please log in with your new password.'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset password'
+    });
+  }
+};
+
 // Verify invitation token
 const verifyInvitation = async (req, res) => {
   try {
@@ -529,11 +1149,8 @@ const acceptInvitation = async (req, res) => {
     // Mark invitation as accepted
     await invitation.markAccepted();
 
-    // Generate access token
-    const accessToken = generateAccessToken(user._id, user.email, user.role);
-
-    // Set HTTP-only cookie
-    setAuthCookie(res, accessToken);
+    // Start a session and set HTTP-only cookies
+    const tokens = await startSession(user, req, res);
 
     res.status(201).json({
       success: true,
@@ -551,7 +1168,9 @@ const acceptInvitation = async (req, res) => {
           isEmailVerified: user.isEmailVerified,
           isActive: user.isActive
         },
-        token: accessToken
+        token: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+        expiresIn: tokens.accessTokenExpiresIn
       }
     });
   } catch (error) {
@@ -568,9 +1187,25 @@ module.exports = {
   verifyEmail,
   resendVerificationEmail,
   login,
+  sendPhoneOtp,
+  verifyPhoneOtp,
+  sendPhoneLinkOtp,
+  verifyPhoneLink,
+  linkEmail,
+  verifyLoginMFA,
+  setupMFA,
+  enableMFA,
+  disableMFA,
+  regenerateBackupCodes,
   getProfile,
   updateProfile,
   logout,
+  refreshSession,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
+  forgotPassword,
+  resetPassword,
   verifyInvitation,
   acceptInvitation
 };
\ No newline at end of file
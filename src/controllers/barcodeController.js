@@ -5,9 +5,43 @@
 
 const Order = require('../models/Order');
 const OrderItem = require('../models/OrderItem');
+const OrderService = require('../services/orderService');
+const RefundService = require('../services/refundService');
+const WeightService = require('../services/weightService');
+const GarmentTagService = require('../services/garmentTagService');
+const ScanService = require('../services/scanService');
+const PrintService = require('../services/printService');
+const Branch = require('../models/Branch');
+const ScanEvent = require('../models/ScanEvent');
+const AuditLog = require('../models/AuditLog');
+const { checkTransition } = require('../services/orderStateMachine');
 const { sendSuccess, sendError, asyncHandler } = require('../utils/helpers');
 const { isValidBarcode, getBarcodeData } = require('../utils/barcode');
 
+// Scanner device id from the X-Device-Id header or the request body
+const getDeviceId = (req) => req.get('X-Device-Id') || req.body?.deviceId || null;
+
+// Branch a station request is about: the user's own branch, or ?branchId= for admins
+const resolveRequestBranch = async (req) => {
+  const branchId = await ScanService.resolveScannerBranch(req.user, req.query.branchId || req.body?.branchId);
+  return branchId ? Branch.findById(branchId) : null;
+};
+
+// Send a rendered receipt or label batch; ?download=true saves it instead of opening it
+const sendPrintOutput = (req, res, output) => {
+  const disposition = req.query.download === 'true' ? 'attachment' : 'inline';
+  res.set({
+    'Content-Type': output.contentType,
+    'Content-Disposition': `${disposition}; filename="${output.filename}"`,
+    'Content-Length': output.content.length
+  });
+  if (output.count !== undefined) res.set('X-Label-Count', String(output.count));
+  res.send(output.content);
+};
+
+// Comma-separated ?tagCodes= list
+const parseTagCodes = (value) => (value ? String(value).split(',').map(code => code.trim()).filter(Boolean) : []);
+
 // @desc    Scan barcode and get order details
 // @route   GET /api/barcode/scan/:barcode
 // @access  Private (Staff/Admin)
@@ -19,8 +53,14 @@ const scanBarcode = asyncHandler(async (req, res) => {
     return sendError(res, 'INVALID_BARCODE', 'Invalid barcode format', 400);
   }
 
+  // A garment tag resolves to its order
+  let scannedTag = null;
+  if (GarmentTagService.isTagCode(barcode)) {
+    scannedTag = await GarmentTagService.findByCode(barcode);
+  }
+
   // Find order by barcode or order number
-  const order = await Order.findOne({
+  const order = await Order.findOne(scannedTag ? { _id: scannedTag.order } : {
     $or: [
       { barcode: barcode.toUpperCase() },
       { orderNumber: barcode.toUpperCase() }
@@ -60,10 +100,15 @@ const scanBarcode = asyncHandler(async (req, res) => {
     
     // Service Details
     items: itemDetails.map(item => ({
+      id: item._id,
       itemType: item.itemType,
       service: item.service,
       category: item.category,
       quantity: item.quantity,
+      processingStatus: item.processingStatus,
+      unit: item.unit,
+      estimatedWeightKg: item.estimatedWeightKg,
+      actualWeightKg: item.actualWeightKg,
       unitPrice: item.unitPrice,
       totalPrice: item.totalPrice,
       specialInstructions: item.specialInstructions
@@ -90,6 +135,19 @@ const scanBarcode = asyncHandler(async (req, res) => {
     pickupAddress: order.pickupAddress,
     deliveryAddress: order.deliveryAddress,
     
+    // Weight (per-kg orders)
+    weight: order.weight,
+
+    // Garment tags
+    tagSummary: order.tagSummary,
+    scannedTag: scannedTag ? {
+      tagCode: scannedTag.tagCode,
+      orderItem: scannedTag.orderItem,
+      pieceNumber: scannedTag.pieceNumber,
+      status: scannedTag.status,
+      history: scannedTag.history
+    } : undefined,
+
     // Flags
     isExpress: order.isExpress,
     isVIPOrder: order.isVIPOrder,
@@ -155,21 +213,287 @@ const updateStatusViaScan = asyncHandler(async (req, res) => {
     return sendError(res, 'ORDER_NOT_FOUND', 'No order found with this barcode', 404);
   }
 
-  // Update status
-  await order.updateStatus(status, req.user._id, notes || `Status updated via barcode scan`);
+  const scan = { code: barcode, order, user: req.user, deviceId: getDeviceId(req), statusBefore: order.status, notes };
+
+  const scannerBranch = await ScanService.resolveScannerBranch(req.user);
+  if (scannerBranch && !scannerBranch.equals(order.branch)) {
+    await ScanService.logStatusScan({ ...scan, result: 'rejected', rejectionCode: 'WRONG_BRANCH', rejectionReason: 'Order belongs to another branch' });
+    return sendError(res, 'WRONG_BRANCH', `Order ${order.orderNumber} belongs to another branch`, 409);
+  }
+
+  const transition = checkTransition(order, status, req.user.role);
+  if (!transition.allowed) {
+    await ScanService.logStatusScan({ ...scan, result: 'rejected', rejectionCode: transition.error, rejectionReason: transition.message });
+    return sendError(res, transition.error, transition.message, transition.statusCode);
+  }
+
+  // Update status through OrderService so payment status and notifications follow
+  await OrderService.updateOrderStatus(order._id, status, req.user._id, notes || `Status updated via barcode scan`, req.user.role);
+  await ScanService.logStatusScan({ ...scan, statusAfter: status });
 
   sendSuccess(res, { 
     orderNumber: order.orderNumber,
     barcode: order.barcode,
+    previousStatus: transition.details.from,
     newStatus: status
   }, 'Order status updated successfully');
 });
 
-// @desc    Bulk scan multiple barcodes
+// @desc    Record an order's weight at pickup or branch intake via barcode scan
+// @route   POST /api/barcode/scan/:barcode/weight
+// @access  Private (Staff/Admin)
+const recordWeightViaScan = asyncHandler(async (req, res) => {
+  const { barcode } = req.params;
+  const { totalWeightKg, weights, stage } = req.body;
+
+  if (totalWeightKg === undefined && !Array.isArray(weights)) {
+    return sendError(res, 'MISSING_WEIGHT', 'Provide totalWeightKg or per-item weights', 400);
+  }
+
+  const order = await Order.findOne({
+    $or: [
+      { barcode: barcode.toUpperCase() },
+      { orderNumber: barcode.toUpperCase() }
+    ]
+  });
+
+  if (!order) {
+    return sendError(res, 'ORDER_NOT_FOUND', 'No order found with this barcode', 404);
+  }
+
+  const { adjustment } = await WeightService.recordWeighIn(order, { totalWeightKg, weights, stage },
+    RefundService.actorFromRequest(req));
+
+  sendSuccess(res, {
+    orderNumber: order.orderNumber,
+    barcode: order.barcode,
+    weight: order.weight,
+    total: order.pricing.total,
+    adjustment
+  }, 'Order weight recorded successfully');
+});
+
+// @desc    Issue garment tags for every piece of an order (idempotent)
+// @route   POST /api/barcode/order/:orderId/tags
+// @access  Private (Staff/Admin)
+const generateOrderTags = asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.orderId);
+  if (!order) {
+    return sendError(res, 'ORDER_NOT_FOUND', 'Order not found', 404);
+  }
+
+  await GarmentTagService.generateForOrder(order);
+  const result = await GarmentTagService.getOrderTags(order._id);
+
+  sendSuccess(res, result, 'Garment tags issued successfully', 201);
+});
+
+// @desc    Get an order's garment tags with printable label data
+// @route   GET /api/barcode/order/:orderId/tags
+// @access  Private (Staff/Admin)
+const getOrderTags = asyncHandler(async (req, res) => {
+  const result = await GarmentTagService.getOrderTags(req.params.orderId);
+
+  sendSuccess(res, result, 'Garment tags retrieved successfully');
+});
+
+// @desc    Record that tag labels were printed
+// @route   POST /api/barcode/order/:orderId/tags/printed
+// @access  Private (Staff/Admin)
+const markTagsPrinted = asyncHandler(async (req, res) => {
+  const printed = await GarmentTagService.markPrinted(req.params.orderId, req.body.tagCodes);
+
+  sendSuccess(res, { printed }, 'Tags marked as printed');
+});
+
+// @desc    Look up a single garment by its tag
+// @route   GET /api/barcode/tag/:tagCode
+// @access  Private (Staff/Admin)
+const getTag = asyncHandler(async (req, res) => {
+  const tag = await GarmentTagService.findByCode(req.params.tagCode);
+  await tag.populate([
+    { path: 'order', select: 'orderNumber barcode status branch customer', populate: { path: 'customer', select: 'name phone' } },
+    { path: 'orderItem', select: 'itemType service category quantity processingStatus specialInstructions' },
+    { path: 'history.scannedBy', select: 'name role' }
+  ]);
+
+  sendSuccess(res, { tag }, 'Garment found successfully');
+});
+
+// @desc    Scan a garment into its next processing status
+// @route   PUT /api/barcode/tag/:tagCode/status
+// @access  Private (Staff/Admin)
+const scanTag = asyncHandler(async (req, res) => {
+  const { status, notes } = req.body;
+
+  const { tag, order, itemStatus, progress } = await GarmentTagService.scanPiece(
+    req.params.tagCode, status, { id: req.user._id, role: req.user.role }, notes
+  );
+
+  sendSuccess(res, {
+    tagCode: tag.tagCode,
+    status: tag.status,
+    orderNumber: order.orderNumber,
+    itemStatus,
+    progress,
+    allPiecesReady: progress.total > 0 && progress.ready >= progress.total
+  }, 'Garment scanned successfully');
+});
+
+// @desc    Scan a garment tag or order barcode at a plant station
+// @route   POST /api/barcode/stations/:station/scan
+// @access  Private (Staff/Admin)
+const scanAtStation = asyncHandler(async (req, res) => {
+  const { code, notes, branchId } = req.body;
+
+  if (!code) {
+    return sendError(res, 'MISSING_CODE', 'code is required', 400);
+  }
+
+  const result = await ScanService.scanAtStation({
+    code,
+    station: req.params.station,
+    user: req.user,
+    deviceId: getDeviceId(req),
+    branchId,
+    notes
+  });
+
+  sendSuccess(res, result, 'Scan accepted');
+});
+
+// @desc    Get the branch's scanning stations
+// @route   GET /api/barcode/stations?branchId=
+// @access  Private (Staff/Admin)
+const getStations = asyncHandler(async (req, res) => {
+  const branch = await resolveRequestBranch(req);
+  if (!branch) {
+    return sendError(res, 'BRANCH_REQUIRED', 'branchId is required', 400);
+  }
+
+  sendSuccess(res, {
+    branch: { _id: branch._id, name: branch.name, code: branch.code },
+    stations: ScanService.getStations(branch),
+    isDefault: (branch.scanStations || []).length === 0
+  }, 'Stations retrieved successfully');
+});
+
+// @desc    Configure the branch's scanning stations and allowed next stations
+// @route   PUT /api/barcode/stations
+// @access  Private (Branch Manager/Admin)
+const updateStations = asyncHandler(async (req, res) => {
+  const branch = await resolveRequestBranch(req);
+  if (!branch) {
+    return sendError(res, 'BRANCH_REQUIRED', 'branchId is required', 400);
+  }
+
+  const before = ScanService.getStations(branch);
+  const stations = await ScanService.updateStations(branch, req.body.stations);
+
+  await AuditLog.logAction({
+    userId: req.user._id,
+    userType: req.user.role === 'branch_manager' ? 'branch_manager' : 'admin',
+    userEmail: req.user.email,
+    action: 'update_scan_stations',
+    category: 'branches',
+    description: `Updated scanning stations for branch ${branch.code}`,
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    resourceType: 'branch',
+    resourceId: branch._id.toString(),
+    changes: { before, after: stations },
+    status: 'success',
+    riskLevel: 'low'
+  });
+
+  sendSuccess(res, { stations }, 'Stations updated successfully');
+});
+
+// @desc    Scan history for an order, a garment or a branch
+// @route   GET /api/barcode/events?orderId=&tagCode=&branchId=&station=&result=&page=&limit=
+// @access  Private (Staff/Admin)
+const getScanEvents = asyncHandler(async (req, res) => {
+  const { orderId, tagCode, station, result } = req.query;
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+  const query = {};
+  const scannerBranch = await ScanService.resolveScannerBranch(req.user, req.query.branchId);
+  if (scannerBranch) query.branch = scannerBranch;
+  if (orderId) query.order = orderId;
+  if (tagCode) query.code = String(tagCode).toUpperCase();
+  if (station) query.station = station;
+  if (result) query.result = result;
+
+  const [events, total] = await Promise.all([
+    ScanEvent.find(query)
+      .populate('staff', 'name role')
+      .populate('order', 'orderNumber')
+      .sort({ scannedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    ScanEvent.countDocuments(query)
+  ]);
+
+  sendSuccess(res, {
+    events,
+    pagination: { current: page, pages: Math.ceil(total / limit), total, limit }
+  }, 'Scan events retrieved successfully');
+});
+
+// @desc    Per-station and per-staff throughput for a branch
+// @route   GET /api/barcode/reports/throughput?branchId=&from=&to=
+// @access  Private (Branch Manager/Admin)
+const getThroughputReport = asyncHandler(async (req, res) => {
+  const branch = await resolveRequestBranch(req);
+  if (!branch) {
+    return sendError(res, 'BRANCH_REQUIRED', 'branchId is required', 400);
+  }
+
+  const report = await ScanService.getThroughput(branch._id, { from: req.query.from, to: req.query.to });
+
+  sendSuccess(res, {
+    branch: { _id: branch._id, name: branch.name, code: branch.code },
+    ...report
+  }, 'Throughput report generated successfully');
+});
+
+// @desc    Print the intake receipt for a thermal printer
+// @route   GET /api/barcode/order/:orderId/receipt?format=escpos|pdf&width=58|80
+// @access  Private (Staff/Admin)
+const printReceipt = asyncHandler(async (req, res) => {
+  const branchId = await ScanService.resolveScannerBranch(req.user);
+
+  const output = await PrintService.renderReceipt(req.params.orderId, {
+    format: req.query.format,
+    width: req.query.width,
+    branchId
+  });
+
+  sendPrintOutput(req, res, output);
+});
+
+// @desc    Print garment tag labels for a thermal printer
+// @route   GET /api/barcode/order/:orderId/labels?format=escpos|pdf&width=58|80&tagCodes=
+// @access  Private (Staff/Admin)
+const printLabels = asyncHandler(async (req, res) => {
+  const branchId = await ScanService.resolveScannerBranch(req.user);
+
+  const output = await PrintService.renderLabels(req.params.orderId, {
+    format: req.query.format,
+    width: req.query.width,
+    tagCodes: parseTagCodes(req.query.tagCodes),
+    branchId
+  });
+
+  sendPrintOutput(req, res, output);
+});
+
+// @desc    Bulk scan multiple barcodes (optionally moving them all to a new status)
 // @route   POST /api/barcode/bulk-scan
 // @access  Private (Staff/Admin)
 const bulkScan = asyncHandler(async (req, res) => {
-  const { barcodes } = req.body;
+  const { barcodes, status, notes } = req.body;
 
   if (!barcodes || !Array.isArray(barcodes) || barcodes.length === 0) {
     return sendError(res, 'INVALID_INPUT', 'Please provide an array of barcodes', 400);
@@ -177,6 +501,9 @@ const bulkScan = asyncHandler(async (req, res) => {
 
   const results = [];
   const notFound = [];
+  const rejected = [];
+  const deviceId = getDeviceId(req);
+  const scannerBranch = status ? await ScanService.resolveScannerBranch(req.user) : null;
 
   for (const barcode of barcodes) {
     const order = await Order.findOne({
@@ -186,7 +513,44 @@ const bulkScan = asyncHandler(async (req, res) => {
       ]
     })
       .populate('customer', 'name phone')
-      .select('orderNumber barcode status customer pricing.total isExpress');
+      .select('orderNumber barcode status serviceType branch logisticsPartner customer pricing.total isExpress tagSummary');
+
+    if (order && status) {
+      const scan = { code: barcode, order, user: req.user, deviceId, statusBefore: order.status, notes };
+
+      // Each order is validated on its own; illegal moves are reported, not applied
+      let transition = scannerBranch && !scannerBranch.equals(order.branch)
+        ? { allowed: false, error: 'WRONG_BRANCH', message: 'Order belongs to another branch', statusCode: 409 }
+        : checkTransition(order, status, req.user.role);
+
+      if (transition.allowed) {
+        try {
+          await OrderService.updateOrderStatus(order._id, status, req.user._id, notes || 'Status updated via bulk barcode scan', req.user.role);
+        } catch (error) {
+          // The order moved since the check or failed a precondition: report it and go on with the batch
+          transition = {
+            allowed: false,
+            error: error.error || 'STATUS_UPDATE_FAILED',
+            message: error.message,
+            statusCode: error.statusCode || 500
+          };
+        }
+      }
+
+      if (!transition.allowed) {
+        await ScanService.logStatusScan({ ...scan, result: 'rejected', rejectionCode: transition.error, rejectionReason: transition.message });
+        rejected.push({
+          barcode: order.barcode,
+          orderNumber: order.orderNumber,
+          status: order.status,
+          error: transition.error,
+          message: transition.message
+        });
+        continue;
+      }
+      await ScanService.logStatusScan({ ...scan, statusAfter: status });
+      order.status = status;
+    }
 
     if (order) {
       results.push({
@@ -206,9 +570,11 @@ const bulkScan = asyncHandler(async (req, res) => {
   sendSuccess(res, { 
     found: results,
     notFound,
+    rejected,
     totalScanned: barcodes.length,
     foundCount: results.length,
-    notFoundCount: notFound.length
+    notFoundCount: notFound.length,
+    rejectedCount: rejected.length
   }, 'Bulk scan completed');
 });
 
@@ -216,5 +582,20 @@ module.exports = {
   scanBarcode,
   getOrderBarcode,
   updateStatusViaScan,
+  recordWeightViaScan,
+  generateOrderTags,
+  getOrderTags,
+  markTagsPrinted,
+  getTag,
+  scanTag,
+  scanAtStation,
+  getStations,
+  updateStations,
+  getScanEvents,
+  getThroughputReport,
+  printReceipt,
+  printLabels,
+  sendPrintOutput,
+  parseTagCodes,
   bulkScan
 };
@@ -2,6 +2,9 @@ const Order = require('../../models/Order');
 const User = require('../../models/User');
 const Branch = require('../../models/Branch');
 const OrderService = require('../../services/orderService');
+const PrintService = require('../../services/printService');
+const { sendPrintOutput, parseTagCodes } = require('../barcodeController');
+const { checkTransition } = require('../../services/orderStateMachine');
 const { 
   sendSuccess, 
   sendError, 
@@ -189,22 +192,14 @@ const updateOrderStatus = asyncHandler(async (req, res) => {
     return sendError(res, 'ORDER_NOT_FOUND', 'Order not found in your branch', 404);
   }
 
-  // Valid status transitions for branch
-  const validTransitions = {
-    'placed': ['in_process'],
-    'assigned_to_branch': ['in_process'],
-    'picked': ['in_process'],
-    'in_process': ['ready'],
-    'ready': ['out_for_delivery'],
-    'out_for_delivery': ['delivered']
-  };
-
-  if (!validTransitions[order.status]?.includes(status)) {
-    return sendError(res, 'INVALID_TRANSITION', `Cannot change status from ${order.status} to ${status}`, 400);
+  // Validate against the order state machine before touching the order
+  const transition = checkTransition(order, status, user.role);
+  if (!transition.allowed) {
+    return sendError(res, transition.error, transition.message, transition.statusCode);
   }
 
   // Use OrderService to update status and send notifications
-  await OrderService.updateOrderStatus(orderId, status, user._id, notes || 'Status updated by branch manager');
+  await OrderService.updateOrderStatus(orderId, status, user._id, notes || 'Status updated by branch manager', user.role);
 
   const updatedOrder = await Order.findById(orderId)
     .populate('customer', 'name phone')
@@ -251,19 +246,23 @@ const assignStaffToOrder = asyncHandler(async (req, res) => {
     order.estimatedDeliveryDate = estimatedDate;
   }
   
-  if (order.status === 'assigned_to_branch' || order.status === 'picked') {
-    order.status = 'in_process';
-  }
-  
-  if (!order.statusHistory) order.statusHistory = [];
-  order.statusHistory.push({
-    status: order.status,
-    updatedBy: user._id,
-    updatedAt: new Date(),
-    notes: `Assigned to ${staff.name}`
-  });
+  // Start processing if the order is waiting at the branch, otherwise just log the assignment
+  const startsProcessing = ['assigned_to_branch', 'picked'].includes(order.status) &&
+    checkTransition(order, 'in_process', user.role).allowed;
 
-  await order.save();
+  if (startsProcessing) {
+    await order.updateStatus('in_process', user._id, `Assigned to ${staff.name}`, user.role);
+  } else {
+    if (!order.statusHistory) order.statusHistory = [];
+    order.statusHistory.push({
+      status: order.status,
+      updatedBy: user._id,
+      updatedAt: new Date(),
+      notes: `Assigned to ${staff.name}`
+    });
+
+    await order.save();
+  }
 
   const updatedOrder = await Order.findById(orderId)
     .populate('customer', 'name phone');
@@ -1362,3 +1361,43 @@ module.exports.getServiceItems = getServiceItems;
 module.exports.addServiceItem = addServiceItem;
 module.exports.updateServiceItem = updateServiceItem;
 module.exports.deleteServiceItem = deleteServiceItem;
+
+// @desc    Print an order's intake receipt for the branch thermal printer
+// @route   GET /api/center-admin/orders/:orderId/receipt?format=escpos|pdf&width=58|80
+// @access  Private (Branch Manager)
+const printOrderReceipt = asyncHandler(async (req, res) => {
+  const branch = await Branch.findOne({ manager: req.user._id });
+  if (!branch) {
+    return sendError(res, 'NO_BRANCH', 'No branch assigned', 404);
+  }
+
+  const output = await PrintService.renderReceipt(req.params.orderId, {
+    format: req.query.format,
+    width: req.query.width,
+    branchId: branch._id
+  });
+
+  sendPrintOutput(req, res, output);
+});
+
+// @desc    Print an order's garment tag labels for the branch thermal printer
+// @route   GET /api/center-admin/orders/:orderId/labels?format=escpos|pdf&width=58|80&tagCodes=
+// @access  Private (Branch Manager)
+const printOrderLabels = asyncHandler(async (req, res) => {
+  const branch = await Branch.findOne({ manager: req.user._id });
+  if (!branch) {
+    return sendError(res, 'NO_BRANCH', 'No branch assigned', 404);
+  }
+
+  const output = await PrintService.renderLabels(req.params.orderId, {
+    format: req.query.format,
+    width: req.query.width,
+    tagCodes: parseTagCodes(req.query.tagCodes),
+    branchId: branch._id
+  });
+
+  sendPrintOutput(req, res, output);
+});
+
+module.exports.printOrderReceipt = printOrderReceipt;
+module.exports.printOrderLabels = printOrderLabels;
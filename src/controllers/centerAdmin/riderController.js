@@ -0,0 +1,147 @@
+const Order = require('../../models/Order');
+const RiderService = require('../../services/riderService');
+const RoutePlanningService = require('../../services/routePlanningService');
+const { resolveBranch } = require('./routePlanController');
+const { sendSuccess, sendError, asyncHandler } = require('../../utils/helpers');
+
+const actorOf = (req) => ({ id: req.user._id, role: req.user.role });
+
+// @desc    List the branch's riders with shift and current load
+// @route   GET /api/center-admin/riders?includeInactive=true
+// @access  Private (Branch Manager/Admin)
+const getRiders = asyncHandler(async (req, res) => {
+  const branch = await resolveBranch(req, res);
+  if (!branch) return;
+
+  const riders = await RiderService.listRiders(branch._id, { includeInactive: req.query.includeInactive === 'true' });
+
+  sendSuccess(res, { riders }, 'Riders retrieved successfully');
+});
+
+// @desc    Add a rider { name, email, phone, password, vehicle: { type, registrationNumber, capacityOrders, capacityKg }, shifts: [{ day, start, end }] }
+// @route   POST /api/center-admin/riders
+// @access  Private (Branch Manager/Admin)
+const createRider = asyncHandler(async (req, res) => {
+  const branch = await resolveBranch(req, res);
+  if (!branch) return;
+
+  const rider = await RiderService.createRider(branch, req.body, req.user._id);
+
+  sendSuccess(res, { rider: RiderService.toSummary(rider) }, 'Rider added successfully', 201);
+});
+
+// @desc    Update a rider's details, vehicle or shifts
+// @route   PUT /api/center-admin/riders/:riderId
+// @access  Private (Branch Manager/Admin)
+const updateRider = asyncHandler(async (req, res) => {
+  const branch = await resolveBranch(req, res);
+  if (!branch) return;
+
+  const rider = await RiderService.updateRider(branch._id, req.params.riderId, req.body);
+
+  sendSuccess(res, { rider: RiderService.toSummary(rider) }, 'Rider updated successfully');
+});
+
+// @desc    Give an order's next pickup / delivery to a rider { riderId }
+// @route   POST /api/center-admin/orders/:orderId/rider
+// @access  Private (Branch Manager/Admin)
+const assignOrderToRider = asyncHandler(async (req, res) => {
+  const branch = await resolveBranch(req, res);
+  if (!branch) return;
+
+  const order = await Order.findOne({ _id: req.params.orderId, branch: branch._id }).catch(() => null);
+  if (!order) {
+    return sendError(res, 'ORDER_NOT_FOUND', 'Order not found', 404);
+  }
+
+  const rider = await RiderService.getRider(branch._id, req.body.riderId);
+  await RiderService.assignOrder(order, rider, actorOf(req));
+
+  sendSuccess(res, {
+    orderId: order._id,
+    status: order.status,
+    riderAssignment: order.riderAssignment
+  }, `Order assigned to ${rider.user.name}`);
+});
+
+// @desc    Take an order back from its rider
+// @route   DELETE /api/center-admin/orders/:orderId/rider
+// @access  Private (Branch Manager/Admin)
+const unassignOrderRider = asyncHandler(async (req, res) => {
+  const branch = await resolveBranch(req, res);
+  if (!branch) return;
+
+  const order = await Order.findOne({ _id: req.params.orderId, branch: branch._id }).catch(() => null);
+  if (!order) {
+    return sendError(res, 'ORDER_NOT_FOUND', 'Order not found', 404);
+  }
+
+  await RiderService.unassignOrder(order, actorOf(req));
+
+  sendSuccess(res, { orderId: order._id, status: order.status }, 'Rider assignment removed');
+});
+
+// @desc    Give every stop of a planned run to a rider { riderId } (defaults to the rider the run was planned for)
+// @route   POST /api/center-admin/route-plans/:planId/runs/:runNumber/assign
+// @access  Private (Branch Manager/Admin)
+const assignRunToRider = asyncHandler(async (req, res) => {
+  const branch = await resolveBranch(req, res);
+  if (!branch) return;
+
+  const plan = await RoutePlanningService.getPlan(req.params.planId, branch._id);
+  const result = await RiderService.assignRun(plan, req.params.runNumber, req.body.riderId, actorOf(req));
+
+  sendSuccess(res, result, `${result.assigned.length} stop(s) assigned, ${result.skipped.length} skipped`);
+});
+
+// @desc    Get an order's handovers and failed attempts
+// @route   GET /api/center-admin/orders/:orderId/handovers
+// @access  Private (Branch Manager/Admin)
+const getOrderHandovers = asyncHandler(async (req, res) => {
+  const branch = await resolveBranch(req, res);
+  if (!branch) return;
+
+  const order = await Order.findOne({ _id: req.params.orderId, branch: branch._id })
+    .select('orderNumber status riderAssignment handovers failedAttempts')
+    .populate(['handovers.rider', 'failedAttempts.rider', 'riderAssignment.rider'].map(path => ({
+      path,
+      select: 'user vehicle',
+      populate: { path: 'user', select: 'name phone' }
+    })))
+    .catch(() => null);
+  if (!order) {
+    return sendError(res, 'ORDER_NOT_FOUND', 'Order not found', 404);
+  }
+
+  sendSuccess(res, {
+    orderNumber: order.orderNumber,
+    status: order.status,
+    riderAssignment: order.riderAssignment,
+    handovers: order.handovers,
+    failedAttempts: order.failedAttempts
+  }, 'Handovers retrieved successfully');
+});
+
+// @desc    View a handover / failed-attempt photo or signature
+// @route   GET /api/center-admin/orders/:orderId/handovers/:recordId/:kind (kind = photo | signature)
+// @access  Private (Branch Manager/Admin)
+const getHandoverFile = asyncHandler(async (req, res) => {
+  const branch = await resolveBranch(req, res);
+  if (!branch) return;
+
+  const file = await RiderService.getProofFile(branch._id, req.params.orderId, req.params.recordId, req.params.kind);
+
+  res.type(file.contentType);
+  res.sendFile(file.path);
+});
+
+module.exports = {
+  getRiders,
+  createRider,
+  updateRider,
+  assignOrderToRider,
+  unassignOrderRider,
+  assignRunToRider,
+  getOrderHandovers,
+  getHandoverFile
+};
@@ -0,0 +1,89 @@
+const Branch = require('../../models/Branch');
+const RoutePlanningService = require('../../services/routePlanningService');
+const RiderService = require('../../services/riderService');
+const { sendPrintOutput } = require('../barcodeController');
+const { sendSuccess, sendError, asyncHandler } = require('../../utils/helpers');
+
+// Branch managers plan their own branch; admins name one with ?branchId= (or branchId in the body)
+const resolveBranch = async (req, res) => {
+  if (req.user.role === 'branch_manager') {
+    const branch = await Branch.findOne({ manager: req.user._id });
+    if (!branch) sendError(res, 'NO_BRANCH', 'No branch assigned', 404);
+    return branch;
+  }
+
+  const branchId = req.query.branchId || req.body?.branchId;
+  const branch = branchId ? await Branch.findById(branchId).catch(() => null) : null;
+  if (!branch) sendError(res, 'BRANCH_REQUIRED', 'A valid branchId is required', 400);
+  return branch;
+};
+
+// @desc    Plan the day's pickup and delivery runs over the given vehicles / riders
+//          { date, vehicles: [{ name, riderName, riderPhone, capacity: { orders, weightKg }, shiftStart, shiftEnd }], serviceMinutes }
+//          or { date, riders: [riderId], serviceMinutes } to plan over the branch's riders on shift that day
+// @route   POST /api/center-admin/route-plans
+// @access  Private (Branch Manager/Admin)
+const createRoutePlan = asyncHandler(async (req, res) => {
+  const branch = await resolveBranch(req, res);
+  if (!branch) return;
+
+  const options = { ...req.body };
+  if (Array.isArray(req.body.riders) && req.body.date) {
+    options.vehicles = await RiderService.toPlanningVehicles(branch._id, req.body.riders, req.body.date);
+  }
+
+  const plan = await RoutePlanningService.plan(branch, options, req.user._id);
+
+  sendSuccess(res, { plan }, `Planned ${plan.totals.stops} stops over ${plan.totals.vehiclesUsed} run(s)`, 201);
+});
+
+// @desc    List the branch's route plans
+// @route   GET /api/center-admin/route-plans?date=&includeSuperseded=true
+// @access  Private (Branch Manager/Admin)
+const getRoutePlans = asyncHandler(async (req, res) => {
+  const branch = await resolveBranch(req, res);
+  if (!branch) return;
+
+  const plans = await RoutePlanningService.listPlans(branch._id, {
+    date: req.query.date,
+    includeSuperseded: req.query.includeSuperseded === 'true'
+  });
+
+  sendSuccess(res, { plans }, 'Route plans retrieved successfully');
+});
+
+// @desc    Get a route plan with its runs and stops
+// @route   GET /api/center-admin/route-plans/:planId
+// @access  Private (Branch Manager/Admin)
+const getRoutePlan = asyncHandler(async (req, res) => {
+  const branch = await resolveBranch(req, res);
+  if (!branch) return;
+
+  const plan = await RoutePlanningService.getPlan(req.params.planId, branch._id);
+
+  sendSuccess(res, { plan }, 'Route plan retrieved successfully');
+});
+
+// @desc    Download a plan's run manifest, all runs or just ?run=
+// @route   GET /api/center-admin/route-plans/:planId/manifest?format=csv|pdf&run=&download=true
+// @access  Private (Branch Manager/Admin)
+const downloadRouteManifest = asyncHandler(async (req, res) => {
+  const branch = await resolveBranch(req, res);
+  if (!branch) return;
+
+  const plan = await RoutePlanningService.getPlan(req.params.planId, branch._id);
+  const output = await RoutePlanningService.renderManifest(plan, {
+    format: req.query.format,
+    run: req.query.run
+  });
+
+  sendPrintOutput(req, res, output);
+});
+
+module.exports = {
+  resolveBranch,
+  createRoutePlan,
+  getRoutePlans,
+  getRoutePlan,
+  downloadRouteManifest
+};
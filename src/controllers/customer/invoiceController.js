@@ -0,0 +1,68 @@
+const Order = require('../../models/Order');
+const Invoice = require('../../models/Invoice');
+const InvoiceService = require('../../services/invoiceService');
+const { renderInvoicePdf } = require('../../utils/invoicePdf');
+const { sendSuccess, sendError, asyncHandler } = require('../../utils/helpers');
+
+// Stream an invoice document as a PDF download
+const sendInvoicePdf = async (res, invoice) => {
+  const pdf = await renderInvoicePdf(invoice);
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${invoice.number.replace(/\//g, '-')}.pdf"`,
+    'Content-Length': pdf.length
+  });
+  res.send(pdf);
+};
+
+// @desc    Download the order's GST invoice (issued on first download)
+// @route   GET /api/customer/orders/:orderId/invoice
+// @access  Private (Customer)
+const downloadInvoice = asyncHandler(async (req, res) => {
+  const order = await Order.findOne({ _id: req.params.orderId, customer: req.user._id });
+  if (!order) {
+    return sendError(res, 'ORDER_NOT_FOUND', 'Order not found', 404);
+  }
+
+  const invoice = await InvoiceService.issueForOrder(order, { id: req.user._id, role: req.user.role });
+
+  await sendInvoicePdf(res, invoice);
+});
+
+// @desc    List the order's invoice, credit notes and debit notes
+// @route   GET /api/customer/orders/:orderId/invoices
+// @access  Private (Customer)
+const getOrderInvoices = asyncHandler(async (req, res) => {
+  const order = await Order.findOne({ _id: req.params.orderId, customer: req.user._id }).select('_id');
+  if (!order) {
+    return sendError(res, 'ORDER_NOT_FOUND', 'Order not found', 404);
+  }
+
+  const documents = await InvoiceService.getOrderDocuments(order._id)
+    .select('documentType number issuedAt originalInvoiceNumber reason taxableValue totalTax total');
+
+  sendSuccess(res, { documents }, 'Invoices retrieved successfully');
+});
+
+// @desc    Download one of the order's invoice documents
+// @route   GET /api/customer/orders/:orderId/invoices/:invoiceId
+// @access  Private (Customer)
+const downloadInvoiceDocument = asyncHandler(async (req, res) => {
+  const invoice = await Invoice.findOne({
+    _id: req.params.invoiceId,
+    order: req.params.orderId,
+    customer: req.user._id
+  });
+  if (!invoice) {
+    return sendError(res, 'INVOICE_NOT_FOUND', 'Invoice not found', 404);
+  }
+
+  await sendInvoicePdf(res, invoice);
+});
+
+module.exports = {
+  sendInvoicePdf,
+  downloadInvoice,
+  getOrderInvoices,
+  downloadInvoiceDocument
+};
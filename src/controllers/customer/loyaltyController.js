@@ -0,0 +1,33 @@
+const LoyaltyService = require('../../services/loyaltyService');
+const { sendSuccess, sendError, asyncHandler } = require('../../utils/helpers');
+
+const HISTORY_TYPES = ['earn', 'redeem', 'expire', 'reverse_earn', 'reverse_redeem', 'adjust'];
+
+// @desc    Get points balance, tier, benefits and progress to the next tier
+// @route   GET /api/customer/loyalty
+// @access  Private (Customer)
+const getLoyaltySummary = asyncHandler(async (req, res) => {
+  const summary = await LoyaltyService.getSummary(req.user._id);
+
+  sendSuccess(res, summary, 'Loyalty summary retrieved successfully');
+});
+
+// @desc    Get points history
+// @route   GET /api/customer/loyalty/history?page=&limit=&type=
+// @access  Private (Customer)
+const getPointsHistory = asyncHandler(async (req, res) => {
+  const { page, limit, type } = req.query;
+
+  if (type && !HISTORY_TYPES.includes(type)) {
+    return sendError(res, 'INVALID_TYPE', `Type must be one of ${HISTORY_TYPES.join(', ')}`, 400);
+  }
+
+  const history = await LoyaltyService.getHistory(req.user._id, { page, limit, type });
+
+  sendSuccess(res, history, 'Points history retrieved successfully');
+});
+
+module.exports = {
+  getLoyaltySummary,
+  getPointsHistory
+};
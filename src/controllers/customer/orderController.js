@@ -1,21 +1,30 @@
+const mongoose = require('mongoose');
 const Order = require('../../models/Order');
 const OrderItem = require('../../models/OrderItem');
 const User = require('../../models/User');
 const Address = require('../../models/Address');
 const Branch = require('../../models/Branch');
 const NotificationService = require('../../services/notificationService');
+const OrderService = require('../../services/orderService');
+const PricingService = require('../../services/pricingService');
+const PromotionService = require('../../services/promotionService');
+const PickupSlotService = require('../../services/pickupSlotService');
+const PaymentService = require('../../services/paymentService');
+const WalletService = require('../../services/walletService');
+const LoyaltyService = require('../../services/loyaltyService');
+const WeightService = require('../../services/weightService');
+const BranchRoutingService = require('../../services/branchRoutingService');
+const DeliveryZoneService = require('../../services/deliveryZoneService');
 const { sendEmail, sendEmailAsync, emailTemplates } = require('../../config/email');
 const { 
   sendSuccess, 
   sendError, 
   asyncHandler, 
-  calculateItemPrice, 
-  calculateOrderTotal,
   calculateDeliveryDate,
   getPagination,
   formatPaginationResponse
 } = require('../../utils/helpers');
-const { ORDER_STATUS } = require('../../config/constants');
+const { ORDER_STATUS, PAYMENT_METHODS } = require('../../config/constants');
 
 // @desc    Create new order
 // @route   POST /api/customer/orders
@@ -32,7 +41,11 @@ const createOrder = asyncHandler(async (req, res) => {
     specialInstructions,
     branchId,
     serviceType, // 'full_service', 'self_drop_self_pickup', 'self_drop_home_delivery', 'home_pickup_self_pickup'
-    deliveryDetails
+    deliveryDetails,
+    promoCode,
+    useWallet,
+    walletAmount,
+    redeemPoints
   } = req.body;
 
   const customer = await User.findById(req.user._id);
@@ -66,80 +79,21 @@ const createOrder = asyncHandler(async (req, res) => {
     }
   }
 
-  let branch;
-
-  // If customer selected a branch, use that
-  if (branchId) {
-    branch = await Branch.findOne({ _id: branchId, isActive: true });
-    if (!branch) {
-      return sendError(res, 'BRANCH_NOT_FOUND', 'Selected branch not found or inactive', 404);
-    }
-  } else if (pickupAddress) {
-    // Find available branch for pickup pincode (or use default branch if none found)
-    branch = await Branch.findOne({
-      'serviceAreas.pincode': pickupAddress.pincode,
-      isActive: true
-    });
-
-    // If no branch found for pincode, get any active branch (for demo purposes)
-    if (!branch) {
-      branch = await Branch.findOne({ isActive: true });
-    }
-
-    // If still no branch, create a default one for demo
-    if (!branch) {
-      branch = await Branch.create({
-        name: 'Main Branch',
-        code: 'MAIN001',
-        address: {
-          addressLine1: 'Demo Address',
-          city: pickupAddress.city,
-          state: 'India',
-          pincode: pickupAddress.pincode
-        },
-        contact: {
-          phone: '9999999999',
-          email: 'branch@demo.com'
-        },
-        serviceAreas: [{
-          pincode: pickupAddress.pincode,
-          deliveryCharge: 30,
-          isActive: true
-        }],
-        isActive: true
-      });
-    }
-  } else {
-    // No pickup address and no branch selected - get any active branch
-    branch = await Branch.findOne({ isActive: true });
-    if (!branch) {
-      return sendError(res, 'BRANCH_NOT_FOUND', 'No active branch available', 404);
-    }
-  }
-
-  // Calculate pricing for each item
-  const orderItems = [];
-  let totalAmount = 0;
-
-  for (const item of items) {
-    const pricing = calculateItemPrice(item.itemType, item.service, item.category, isExpress);
-    const itemTotal = pricing.unitPrice * item.quantity;
-    totalAmount += itemTotal;
-
-    orderItems.push({
-      itemType: item.itemType,
-      service: item.service,
-      category: item.category,
-      quantity: item.quantity,
-      basePrice: pricing.basePrice,
-      serviceMultiplier: pricing.serviceMultiplier,
-      categoryMultiplier: pricing.categoryMultiplier,
-      expressMultiplier: pricing.expressMultiplier,
-      unitPrice: pricing.unitPrice,
-      totalPrice: itemTotal,
-      specialInstructions: item.specialInstructions || ''
-    });
-  }
+  // Route the order: the customer's chosen branch must be able to take it,
+  // otherwise the best ranked branch for the pickup (or delivery) address is used
+  const routingAddress = pickupAddress || deliveryAddress;
+  const location = await BranchRoutingService.resolveLocation(routingAddress);
+  const { branch, candidate } = await BranchRoutingService.route({
+    branchId,
+    location,
+    pincode: routingAddress?.pincode || null,
+    requireCoverage: Boolean(routingAddress),
+    services: (items || []).map(item => item.service),
+    pickupDate,
+    weightKg: (items || []).reduce((sum, item) => sum + (Number(item.weightKg) || 0), 0),
+    isExpress: Boolean(isExpress)
+  });
+  const zone = candidate.zone;
 
   // Calculate order total
   // Use delivery charge from distance calculation if available, otherwise use branch service area charge
@@ -148,7 +102,10 @@ const createOrder = asyncHandler(async (req, res) => {
   // Only charge delivery if home delivery is involved
   if (needsDeliveryAddress || needsPickupAddress) {
     deliveryCharge = 30; // default delivery charge
-    if (deliveryDetails && typeof deliveryDetails.deliveryCharge === 'number') {
+    if (zone) {
+      // Zone fees are set by admins and are not taken from the client
+      deliveryCharge = zone.deliveryFee;
+    } else if (deliveryDetails && typeof deliveryDetails.deliveryCharge === 'number') {
       deliveryCharge = deliveryDetails.deliveryCharge;
     } else if (pickupAddress && branch.serviceAreas) {
       const serviceArea = branch.serviceAreas.find(area => area.pincode === pickupAddress.pincode);
@@ -168,14 +125,78 @@ const createOrder = asyncHandler(async (req, res) => {
     deliveryCharge = Math.max(0, deliveryCharge - serviceTypeDiscount);
   }
   
-  const pricing = calculateOrderTotal(items, deliveryCharge, serviceTypeDiscount, 0.18); // 18% tax
+  // Loyalty tier benefits and any points the customer wants to spend
+  const loyalty = await LoyaltyService.getCheckoutBenefits(customer, redeemPoints);
+
+  // Price every item with the pricing engine (active pricing version, catalogue, branch multipliers)
+  const quote = await PricingService.quote(items, {
+    branchId: branch._id,
+    isExpress,
+    deliveryCharge,
+    discount: serviceTypeDiscount,
+    discountCode: promoCode || null,
+    customer,
+    pickupDate: new Date(pickupDate),
+    loyalty
+  });
+
+  const pricing = {
+    ...quote.pricing,
+    breakdown: quote.lines
+  };
+
+  if (zone) {
+    DeliveryZoneService.checkOrderTerms(zone, { subtotal: quote.pricing.subtotal, isExpress });
+  }
+
+  // per_kg items are priced on the customer's estimate until the order is weighed
+  const estimatedWeightKg = WeightService.estimateFromLines(quote.lines);
+  await WeightService.checkDailyCapacity(branch, pickupDate, estimatedWeightKg);
+
+  // Store credit can pay for all of the order (paymentMethod 'wallet') or part of it,
+  // with the rest collected by COD or online payment
+  let walletShare = 0;
+  if (paymentMethod === PAYMENT_METHODS.WALLET || useWallet || walletAmount !== undefined) {
+    walletShare = WalletService.planCheckout(
+      customer.walletBalance || 0,
+      pricing.total,
+      walletAmount !== undefined && walletAmount !== null ? walletAmount : null
+    );
+    if (paymentMethod === PAYMENT_METHODS.WALLET && walletShare < pricing.total) {
+      return sendError(res, 'WALLET_PARTIAL_PAYMENT',
+        'Wallet does not cover the full amount; choose cod or online for the remainder', 400);
+    }
+  }
+  pricing.amountDue = Math.round((pricing.total - walletShare) * 100) / 100;
+  const paidByWallet = walletShare > 0 && pricing.amountDue === 0;
+
+  const orderItems = quote.lines.map((line, index) => ({
+    itemType: line.itemType,
+    service: line.service,
+    category: line.category,
+    quantity: line.quantity,
+    unit: line.unit,
+    estimatedWeightKg: line.weightKg || undefined,
+    priceSource: line.priceSource,
+    catalogueItem: line.catalogueItem,
+    basePrice: line.basePrice,
+    serviceMultiplier: line.serviceMultiplier,
+    categoryMultiplier: line.categoryMultiplier,
+    expressMultiplier: 1, // Express is charged at order level (pricing.expressCharge)
+    unitPrice: line.unitPrice,
+    totalPrice: line.totalPrice,
+    specialInstructions: items[index].specialInstructions || ''
+  }));
 
   // Generate order number
   const orderCount = await Order.countDocuments();
   const orderNumber = `ORD${Date.now()}${String(orderCount + 1).padStart(4, '0')}`;
 
+  const orderId = new mongoose.Types.ObjectId();
+
   // Create order
-  const order = await Order.create({
+  const orderData = {
+    _id: orderId,
     orderNumber,
     customer: req.user._id,
     branch: branch._id,
@@ -187,7 +208,11 @@ const createOrder = asyncHandler(async (req, res) => {
       addressLine2: pickupAddress.addressLine2,
       landmark: pickupAddress.landmark,
       city: pickupAddress.city,
-      pincode: pickupAddress.pincode
+      state: pickupAddress.state,
+      pincode: pickupAddress.pincode,
+      coordinates: pickupAddress.coordinates?.lat !== undefined
+        ? { lat: pickupAddress.coordinates.lat, lng: pickupAddress.coordinates.lng }
+        : undefined
     } : null,
     deliveryAddress: deliveryAddress ? {
       name: deliveryAddress.name,
@@ -196,13 +221,23 @@ const createOrder = asyncHandler(async (req, res) => {
       addressLine2: deliveryAddress.addressLine2,
       landmark: deliveryAddress.landmark,
       city: deliveryAddress.city,
-      pincode: deliveryAddress.pincode
+      state: deliveryAddress.state,
+      pincode: deliveryAddress.pincode,
+      coordinates: deliveryAddress.coordinates?.lat !== undefined
+        ? { lat: deliveryAddress.coordinates.lat, lng: deliveryAddress.coordinates.lng }
+        : undefined
     } : null,
+    routing: BranchRoutingService.toRoutingRecord(candidate, branchId ? 'customer' : 'auto', req.user._id),
+    deliveryZone: BranchRoutingService.toZoneRecord(zone),
     pickupDate: new Date(pickupDate),
     pickupTimeSlot,
     estimatedDeliveryDate: calculateDeliveryDate(pickupDate, isExpress),
     pricing,
-    paymentMethod,
+    pricingVersion: quote.pricingVersion || undefined,
+    paymentMethod: paidByWallet ? PAYMENT_METHODS.WALLET : paymentMethod,
+    paymentStatus: paidByWallet ? 'paid' : 'pending',
+    paymentDetails: paidByWallet ? { paidAt: new Date() } : undefined,
+    weight: estimatedWeightKg ? { estimatedKg: estimatedWeightKg } : undefined,
     isExpress,
     isVIPOrder: customer.isVIP,
     specialInstructions,
@@ -219,27 +254,99 @@ const createOrder = asyncHandler(async (req, res) => {
       updatedAt: new Date(),
       notes: 'Order placed by customer'
     }]
-  });
+  };
 
-  // Create order items
+  // Hold the pickup slot and redeem the discount code before the order exists,
+  // so slot capacity and usage caps hold under concurrent checkouts. Anything
+  // held is given back if the order can't be created in full.
+  let slot = null;
+  let zoneSlot = null;
+  let redemption = null;
+  let walletEntry = null;
+  let pointsRedemption = null;
+  let order = null;
   const createdItems = [];
-  for (const itemData of orderItems) {
-    const orderItem = await OrderItem.create({
-      order: order._id,
-      ...itemData
-    });
-    createdItems.push(orderItem);
+  try {
+    slot = await PickupSlotService.reserve(branch, pickupDate, pickupTimeSlot);
+    orderData.pickupSlot = { slot: slot._id, reservedAt: new Date() };
+
+    // The zone's per-slot cap is held the same way as the branch slot
+    if (zone) {
+      zoneSlot = await DeliveryZoneService.reserveSlot(zone, pickupDate, pickupTimeSlot);
+      orderData.deliveryZone.slot = zoneSlot._id;
+    }
+
+    if (quote.promotion) {
+      const policy = PromotionService.findPolicy(quote.pricingDocument, quote.promotion.code);
+      redemption = await PromotionService.redeem({
+        pricing: quote.pricingDocument,
+        policy,
+        customer,
+        orderId,
+        branchId: branch._id,
+        amount: quote.promotion.discount
+      });
+      orderData.promotion = { ...quote.promotion, redemption: redemption._id };
+    }
+
+    if (pricing.loyalty?.pointsRedeemed > 0) {
+      pointsRedemption = await LoyaltyService.redeemForOrder(customer._id, pricing.loyalty.pointsRedeemed,
+        { _id: orderId, orderNumber });
+      orderData.loyalty = { redemption: pointsRedemption._id };
+    }
+
+    if (walletShare > 0) {
+      walletEntry = await WalletService.debitForOrder(
+        { _id: orderId, orderNumber, customer: customer._id },
+        walletShare,
+        { id: req.user._id, role: req.user.role, email: req.user.email }
+      );
+      orderData.walletPayment = { amount: walletShare, entry: walletEntry._id };
+    }
+
+    order = await Order.create(orderData);
+
+    for (const itemData of orderItems) {
+      const orderItem = await OrderItem.create({
+        order: order._id,
+        ...itemData
+      });
+      createdItems.push(orderItem);
+    }
+
+    // Update order with item references
+    order.items = createdItems.map(item => item._id);
+    await order.save();
+  } catch (error) {
+    if (order) {
+      await OrderItem.deleteMany({ order: orderId });
+      await Order.deleteOne({ _id: orderId });
+    }
+    if (slot) {
+      await PickupSlotService.release(slot._id);
+    }
+    if (zoneSlot) {
+      await DeliveryZoneService.releaseSlot(zoneSlot._id);
+    }
+    if (redemption) {
+      await PromotionService.reverseForOrder(orderId, 'Order creation failed');
+    }
+    if (pointsRedemption) {
+      await LoyaltyService.restoreRedeemed({ _id: orderId, orderNumber }, 'Order creation failed');
+    }
+    if (walletEntry) {
+      await WalletService.reverseOrderDebit(
+        { _id: orderId, orderNumber, customer: customer._id, walletPayment: { amount: walletShare } },
+        'Order creation failed'
+      );
+    }
+    throw error;
   }
 
-  // Update order with item references
-  order.items = createdItems.map(item => item._id);
-  await order.save();
+  await PricingService.recordUsage(quote.pricingVersion, pricing.total);
 
-  // Update customer stats
+  // Update customer stats (points are earned on delivery, see LoyaltyService.earnForOrder)
   customer.totalOrders += 1;
-  if (customer.isVIP) {
-    customer.rewardPoints += Math.floor(pricing.total / 100); // 1 point per ₹100
-  }
   await customer.save();
 
   // Populate order for response
@@ -264,7 +371,18 @@ const createOrder = asyncHandler(async (req, res) => {
     console.log('⚠️ Email queuing error:', error.message);
   }
 
-  sendSuccess(res, { order: populatedOrder }, 'Order created successfully', 201);
+  // Online orders get a gateway payment order straight away; if the gateway is
+  // unavailable the customer can retry from POST /orders/:orderId/payment
+  let payment = null;
+  if (order.paymentMethod === PAYMENT_METHODS.ONLINE) {
+    try {
+      ({ checkout: payment } = await PaymentService.createPaymentOrder(order));
+    } catch (error) {
+      console.error('Failed to create payment order:', error.message);
+    }
+  }
+
+  sendSuccess(res, { order: populatedOrder, payment }, 'Order created successfully', 201);
 });
 
 // @desc    Get customer orders
@@ -355,21 +473,24 @@ const cancelOrder = asyncHandler(async (req, res) => {
     return sendError(res, 'ORDER_NOT_FOUND', 'Order not found', 404);
   }
 
-  if (!order.canBeCancelled()) {
+  if (!order.canBeCancelled(req.user.role)) {
     return sendError(res, 'CANNOT_CANCEL', 'Order cannot be cancelled at this stage', 400);
   }
 
-  // Update order status
-  await order.updateStatus(ORDER_STATUS.CANCELLED, req.user._id, reason || 'Cancelled by customer');
-  
-  order.isCancelled = true;
   order.cancellationReason = reason || 'Cancelled by customer';
   order.cancelledBy = req.user._id;
-  order.cancelledAt = new Date();
-  
   await order.save();
 
-  sendSuccess(res, { order }, 'Order cancelled successfully');
+  // Update order status (payment handling and notifications follow the cancellation)
+  const cancelledOrder = await OrderService.updateOrderStatus(
+    order._id,
+    ORDER_STATUS.CANCELLED,
+    req.user._id,
+    reason || 'Cancelled by customer',
+    req.user.role
+  );
+
+  sendSuccess(res, { order: cancelledOrder }, 'Order cancelled successfully');
 });
 
 // @desc    Rate order
@@ -419,6 +540,16 @@ const reorder = asyncHandler(async (req, res) => {
     return sendError(res, 'ORDER_NOT_FOUND', 'Original order not found', 404);
   }
 
+  // Suggest the first open pickup slot tomorrow at the original branch
+  const pickupDate = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  let pickupTimeSlot = '09:00-11:00';
+  const branch = originalOrder.branch ? await Branch.findById(originalOrder.branch) : null;
+  if (branch) {
+    const availability = await PickupSlotService.getAvailability(branch, pickupDate);
+    const openSlot = availability.slots.find(slot => slot.status === 'available');
+    if (openSlot) pickupTimeSlot = openSlot.timeSlot;
+  }
+
   // Create reorder data
   const reorderData = {
     items: originalOrder.items.map(item => ({
@@ -430,8 +561,9 @@ const reorder = asyncHandler(async (req, res) => {
     })),
     pickupAddressId: null, // Will need to be provided by frontend
     deliveryAddressId: null, // Will need to be provided by frontend
-    pickupDate: new Date(Date.now() + 24 * 60 * 60 * 1000), // Tomorrow
-    pickupTimeSlot: '09:00-11:00', // Default slot
+    pickupDate, // Tomorrow
+    pickupTimeSlot,
+    branchId: originalOrder.branch,
     paymentMethod: originalOrder.paymentMethod,
     isExpress: originalOrder.isExpress,
     specialInstructions: originalOrder.specialInstructions
@@ -0,0 +1,36 @@
+const Order = require('../../models/Order');
+const PaymentService = require('../../services/paymentService');
+const { sendSuccess, sendError, asyncHandler } = require('../../utils/helpers');
+
+// @desc    Start (or retry) online payment for an order
+// @route   POST /api/customer/orders/:orderId/payment
+// @access  Private (Customer)
+const createPayment = asyncHandler(async (req, res) => {
+  const order = await Order.findOne({ _id: req.params.orderId, customer: req.user._id });
+  if (!order) {
+    return sendError(res, 'ORDER_NOT_FOUND', 'Order not found', 404);
+  }
+
+  const { checkout } = await PaymentService.createPaymentOrder(order);
+
+  sendSuccess(res, { payment: checkout }, 'Payment order created successfully', 201);
+});
+
+// @desc    Get payment status and attempts for an order
+// @route   GET /api/customer/orders/:orderId/payment
+// @access  Private (Customer)
+const getPaymentStatus = asyncHandler(async (req, res) => {
+  const order = await Order.findOne({ _id: req.params.orderId, customer: req.user._id });
+  if (!order) {
+    return sendError(res, 'ORDER_NOT_FOUND', 'Order not found', 404);
+  }
+
+  const payment = await PaymentService.getPaymentSummary(order);
+
+  sendSuccess(res, { payment }, 'Payment status retrieved successfully');
+});
+
+module.exports = {
+  createPayment,
+  getPaymentStatus
+};
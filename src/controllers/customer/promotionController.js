@@ -0,0 +1,41 @@
+const PricingService = require('../../services/pricingService');
+const PromotionService = require('../../services/promotionService');
+const { sendSuccess, sendError, asyncHandler } = require('../../utils/helpers');
+
+// @desc    Get discount codes redeemed by the customer
+// @route   GET /api/customer/promotions/redemptions
+// @access  Private (Customer)
+const getRedemptions = asyncHandler(async (req, res) => {
+  const redemptions = await PromotionService.getCustomerRedemptions(req.user._id);
+
+  sendSuccess(res, { redemptions }, 'Discount redemptions retrieved successfully');
+});
+
+// @desc    Check a discount code against a cart before checkout
+// @route   POST /api/customer/promotions/validate
+// @access  Private (Customer)
+const validatePromoCode = asyncHandler(async (req, res) => {
+  const { promoCode, items, branchId, isExpress = false } = req.body;
+
+  if (!promoCode) {
+    return sendError(res, 'PROMO_CODE_REQUIRED', 'Promo code is required', 400);
+  }
+
+  const quote = await PricingService.quote(items, {
+    branchId: branchId || null,
+    isExpress,
+    discountCode: promoCode,
+    customer: req.user
+  });
+
+  sendSuccess(res, {
+    isValid: true,
+    promotion: quote.promotion,
+    pricing: quote.pricing
+  }, 'Promo code applied successfully');
+});
+
+module.exports = {
+  getRedemptions,
+  validatePromoCode
+};
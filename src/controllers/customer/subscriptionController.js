@@ -0,0 +1,191 @@
+const Subscription = require('../../models/Subscription');
+const SubscriptionService = require('../../services/subscriptionService');
+const { sendSuccess, sendError, asyncHandler } = require('../../utils/helpers');
+
+// Load one of the customer's subscriptions
+const findOwnSubscription = (req) => Subscription.findOne({ _id: req.params.id, customer: req.user._id });
+
+// @desc    List subscription plans
+// @route   GET /api/customer/subscription-plans?branchId=
+// @access  Private (Customer)
+const getPlans = asyncHandler(async (req, res) => {
+  const plans = await SubscriptionService.listPlans({ branchId: req.query.branchId });
+
+  sendSuccess(res, { plans }, 'Subscription plans retrieved successfully');
+});
+
+// @desc    Subscribe to a plan
+// @route   POST /api/customer/subscriptions
+// @access  Private (Customer)
+const createSubscription = asyncHandler(async (req, res) => {
+  const { planId, branchId, pickupAddressId, deliveryAddressId, daysOfWeek, timeSlot, items } = req.body;
+
+  if (!planId || !branchId || !pickupAddressId || !deliveryAddressId || !daysOfWeek || !timeSlot || !items) {
+    return sendError(res, 'MISSING_FIELDS',
+      'planId, branchId, pickupAddressId, deliveryAddressId, daysOfWeek, timeSlot and items are required', 400);
+  }
+
+  const subscription = await SubscriptionService.subscribe(req.user, req.body);
+
+  sendSuccess(res, {
+    subscription,
+    ...SubscriptionService.getOverview(subscription)
+  }, subscription.status === 'past_due'
+    ? 'Subscription created; the first fee could not be taken from your wallet'
+    : 'Subscription created successfully', 201);
+});
+
+// @desc    Get the customer's subscriptions
+// @route   GET /api/customer/subscriptions
+// @access  Private (Customer)
+const getSubscriptions = asyncHandler(async (req, res) => {
+  const subscriptions = await Subscription.find({ customer: req.user._id })
+    .populate('plan', 'name code monthlyFee pickupsPerPeriod')
+    .populate('branch', 'name code')
+    .sort({ createdAt: -1 });
+
+  sendSuccess(res, { subscriptions }, 'Subscriptions retrieved successfully');
+});
+
+// @desc    Get a subscription with its quota and upcoming pickups
+// @route   GET /api/customer/subscriptions/:id
+// @access  Private (Customer)
+const getSubscription = asyncHandler(async (req, res) => {
+  const subscription = await findOwnSubscription(req)
+    .populate('plan')
+    .populate('branch', 'name code');
+
+  if (!subscription) {
+    return sendError(res, 'SUBSCRIPTION_NOT_FOUND', 'Subscription not found', 404);
+  }
+
+  sendSuccess(res, {
+    subscription,
+    ...SubscriptionService.getOverview(subscription)
+  }, 'Subscription retrieved successfully');
+});
+
+// @desc    Change schedule, addresses, items or fee payment method
+// @route   PUT /api/customer/subscriptions/:id
+// @access  Private (Customer)
+const updateSubscription = asyncHandler(async (req, res) => {
+  const subscription = await findOwnSubscription(req);
+  if (!subscription) {
+    return sendError(res, 'SUBSCRIPTION_NOT_FOUND', 'Subscription not found', 404);
+  }
+
+  await SubscriptionService.update(subscription, req.body);
+
+  sendSuccess(res, {
+    subscription,
+    ...SubscriptionService.getOverview(subscription)
+  }, 'Subscription updated successfully');
+});
+
+// @desc    Pause a subscription, optionally until a date
+// @route   POST /api/customer/subscriptions/:id/pause
+// @access  Private (Customer)
+const pauseSubscription = asyncHandler(async (req, res) => {
+  const subscription = await findOwnSubscription(req);
+  if (!subscription) {
+    return sendError(res, 'SUBSCRIPTION_NOT_FOUND', 'Subscription not found', 404);
+  }
+
+  await SubscriptionService.pause(subscription, req.body.until);
+
+  sendSuccess(res, { subscription }, 'Subscription paused');
+});
+
+// @desc    Resume a paused subscription
+// @route   POST /api/customer/subscriptions/:id/resume
+// @access  Private (Customer)
+const resumeSubscription = asyncHandler(async (req, res) => {
+  const subscription = await findOwnSubscription(req);
+  if (!subscription) {
+    return sendError(res, 'SUBSCRIPTION_NOT_FOUND', 'Subscription not found', 404);
+  }
+
+  await SubscriptionService.resume(subscription);
+
+  sendSuccess(res, {
+    subscription,
+    ...SubscriptionService.getOverview(subscription)
+  }, 'Subscription resumed');
+});
+
+// @desc    Skip one scheduled pickup
+// @route   POST /api/customer/subscriptions/:id/skip
+// @access  Private (Customer)
+const skipPickup = asyncHandler(async (req, res) => {
+  if (!req.body.date) {
+    return sendError(res, 'MISSING_FIELDS', 'date is required', 400);
+  }
+
+  const subscription = await findOwnSubscription(req);
+  if (!subscription) {
+    return sendError(res, 'SUBSCRIPTION_NOT_FOUND', 'Subscription not found', 404);
+  }
+
+  await SubscriptionService.skip(subscription, req.body.date);
+
+  sendSuccess(res, SubscriptionService.getOverview(subscription), 'Pickup skipped');
+});
+
+// @desc    Undo a skipped pickup
+// @route   DELETE /api/customer/subscriptions/:id/skip/:date
+// @access  Private (Customer)
+const unskipPickup = asyncHandler(async (req, res) => {
+  const subscription = await findOwnSubscription(req);
+  if (!subscription) {
+    return sendError(res, 'SUBSCRIPTION_NOT_FOUND', 'Subscription not found', 404);
+  }
+
+  await SubscriptionService.unskip(subscription, req.params.date);
+
+  sendSuccess(res, SubscriptionService.getOverview(subscription), 'Pickup restored');
+});
+
+// @desc    Pay an overdue subscription fee from the wallet
+// @route   POST /api/customer/subscriptions/:id/pay
+// @access  Private (Customer)
+const paySubscriptionFee = asyncHandler(async (req, res) => {
+  const subscription = await findOwnSubscription(req);
+  if (!subscription) {
+    return sendError(res, 'SUBSCRIPTION_NOT_FOUND', 'Subscription not found', 404);
+  }
+
+  await SubscriptionService.retryPayment(subscription);
+
+  sendSuccess(res, {
+    subscription,
+    ...SubscriptionService.getOverview(subscription)
+  }, 'Subscription fee paid');
+});
+
+// @desc    Cancel a subscription (orders already created are kept)
+// @route   POST /api/customer/subscriptions/:id/cancel
+// @access  Private (Customer)
+const cancelSubscription = asyncHandler(async (req, res) => {
+  const subscription = await findOwnSubscription(req);
+  if (!subscription) {
+    return sendError(res, 'SUBSCRIPTION_NOT_FOUND', 'Subscription not found', 404);
+  }
+
+  await SubscriptionService.cancel(subscription, req.body.reason);
+
+  sendSuccess(res, { subscription }, 'Subscription cancelled');
+});
+
+module.exports = {
+  getPlans,
+  createSubscription,
+  getSubscriptions,
+  getSubscription,
+  updateSubscription,
+  pauseSubscription,
+  resumeSubscription,
+  skipPickup,
+  unskipPickup,
+  paySubscriptionFee,
+  cancelSubscription
+};
@@ -1,5 +1,6 @@
 const Ticket = require('../../models/Ticket');
 const Order = require('../../models/Order');
+const GarmentTag = require('../../models/GarmentTag');
 const { 
   sendSuccess, 
   sendError, 
@@ -13,7 +14,7 @@ const { TICKET_STATUS, TICKET_CATEGORIES } = require('../../config/constants');
 // @route   POST /api/customer/tickets
 // @access  Private (Customer)
 const createTicket = asyncHandler(async (req, res) => {
-  const { title, description, category, relatedOrderId } = req.body;
+  const { title, description, category, relatedOrderId, tagCodes } = req.body;
   const customerId = req.user._id;
 
   if (!title || !description || !category) {
@@ -34,12 +35,26 @@ const createTicket = asyncHandler(async (req, res) => {
     }
   }
 
+  // Pieces the ticket is about must be tags of the related order
+  let garmentTags = [];
+  if (Array.isArray(tagCodes) && tagCodes.length > 0) {
+    if (!relatedOrder) {
+      return sendError(res, 'ORDER_REQUIRED', 'relatedOrderId is required when tagging garments', 400);
+    }
+    garmentTags = [...new Set(tagCodes.map(code => String(code).toUpperCase()))];
+    const found = await GarmentTag.countDocuments({ order: relatedOrder._id, tagCode: { $in: garmentTags } });
+    if (found !== garmentTags.length) {
+      return sendError(res, 'INVALID_TAGS', 'Some tag codes do not belong to this order', 400);
+    }
+  }
+
   const ticket = await Ticket.create({
     title,
     description,
     category,
     raisedBy: customerId,
     relatedOrder: relatedOrderId || undefined,
+    garmentTags,
     status: TICKET_STATUS.OPEN,
     messages: [{
       sender: customerId,
@@ -0,0 +1,38 @@
+const WalletService = require('../../services/walletService');
+const { WALLET_SOURCES } = require('../../config/constants');
+const { sendSuccess, sendError, asyncHandler } = require('../../utils/helpers');
+
+// @desc    Get wallet balance
+// @route   GET /api/customer/wallet
+// @access  Private (Customer)
+const getWallet = asyncHandler(async (req, res) => {
+  const { balance, currency, lifetimeCredits, lifetimeDebits } = await WalletService.getBalance(req.user._id);
+
+  sendSuccess(res, { balance, currency, lifetimeCredits, lifetimeDebits }, 'Wallet retrieved successfully');
+});
+
+// @desc    Get wallet statement
+// @route   GET /api/customer/wallet/statement?page=&limit=&from=&to=&source=&direction=
+// @access  Private (Customer)
+const getWalletStatement = asyncHandler(async (req, res) => {
+  const { page, limit, from, to, source, direction } = req.query;
+
+  if ((from && isNaN(new Date(from).getTime())) || (to && isNaN(new Date(to).getTime()))) {
+    return sendError(res, 'INVALID_DATE', 'from and to must be valid dates', 400);
+  }
+  if (source && !WALLET_SOURCES[source]) {
+    return sendError(res, 'INVALID_SOURCE', 'Unknown wallet source', 400);
+  }
+  if (direction && !['credit', 'debit'].includes(direction)) {
+    return sendError(res, 'INVALID_DIRECTION', 'Direction must be credit or debit', 400);
+  }
+
+  const statement = await WalletService.getStatement(req.user._id, { page, limit, from, to, source, direction });
+
+  sendSuccess(res, statement, 'Wallet statement retrieved successfully');
+});
+
+module.exports = {
+  getWallet,
+  getWalletStatement
+};
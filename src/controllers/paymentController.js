@@ -0,0 +1,52 @@
+const Order = require('../models/Order');
+const PaymentOrder = require('../models/PaymentOrder');
+const PaymentService = require('../services/paymentService');
+const { getGateway } = require('../services/paymentGateways');
+const { sendSuccess, sendError, asyncHandler } = require('../utils/helpers');
+const { PAYMENT_GATEWAY_CONFIG } = require('../config/constants');
+
+// @desc    Receive a signed payment gateway webhook
+// @route   POST /api/payments/webhook/:gateway
+// @access  Public (signature verified)
+const handleWebhook = asyncHandler(async (req, res) => {
+  const signature = req.get(PAYMENT_GATEWAY_CONFIG.SIGNATURE_HEADER);
+  const rawBody = req.rawBody ? req.rawBody.toString('utf8') : '';
+
+  const result = await PaymentService.handleWebhook(req.params.gateway, rawBody, signature, req.body);
+
+  sendSuccess(res, result, result.duplicate ? 'Webhook already processed' : 'Webhook processed');
+});
+
+// @desc    Simulate the mock gateway completing or failing a payment
+// @route   POST /api/payments/mock/simulate
+// @access  Private (Customer) - development only
+const simulateMockPayment = asyncHandler(async (req, res) => {
+  const { gatewayOrderId, outcome = 'success', method = 'upi' } = req.body;
+
+  if (!['success', 'failure'].includes(outcome)) {
+    return sendError(res, 'INVALID_OUTCOME', 'Outcome must be success or failure', 400);
+  }
+
+  const paymentOrder = await PaymentOrder.findOne({ gateway: 'mock', gatewayOrderId });
+  if (!paymentOrder || paymentOrder.customer.toString() !== req.user._id.toString()) {
+    return sendError(res, 'PAYMENT_ORDER_NOT_FOUND', 'Payment order not found', 404);
+  }
+
+  // Goes through the same signed-webhook path a real callback would
+  const webhook = getGateway('mock').buildWebhook({
+    gatewayOrderId,
+    amount: paymentOrder.amount,
+    outcome,
+    method
+  });
+  const result = await PaymentService.handleWebhook('mock', webhook.rawBody, webhook.signature, webhook.payload);
+
+  const order = await Order.findById(paymentOrder.order).select('orderNumber paymentStatus paymentDetails');
+
+  sendSuccess(res, { result, order }, 'Mock payment simulated');
+});
+
+module.exports = {
+  handleWebhook,
+  simulateMockPayment
+};
@@ -0,0 +1,117 @@
+const RiderService = require('../../services/riderService');
+const { sendSuccess, asyncHandler } = require('../../utils/helpers');
+const { RIDER_CONFIG } = require('../../config/constants');
+
+// @desc    Get the signed-in rider's profile, shift and load
+// @route   GET /api/rider/me
+// @access  Private (Rider)
+const getMyProfile = asyncHandler(async (req, res) => {
+  const rider = await RiderService.getRiderForUser(req.user);
+  const load = await RiderService.getLoad([rider._id]);
+
+  sendSuccess(res, { rider: RiderService.toSummary(rider, load.get(rider._id.toString())) }, 'Rider profile retrieved successfully');
+});
+
+// @desc    Go available / off duty { status }
+// @route   PUT /api/rider/me/status
+// @access  Private (Rider)
+const updateMyStatus = asyncHandler(async (req, res) => {
+  const rider = await RiderService.getRiderForUser(req.user);
+  await RiderService.setStatus(rider, req.body.status);
+
+  sendSuccess(res, { status: rider.status }, 'Status updated successfully');
+});
+
+// @desc    Report the current location { lat, lng, accuracy }
+// @route   POST /api/rider/me/location
+// @access  Private (Rider)
+const updateMyLocation = asyncHandler(async (req, res) => {
+  const rider = await RiderService.getRiderForUser(req.user);
+  await RiderService.updateLocation(rider, req.body);
+
+  sendSuccess(res, { lastLocation: rider.lastLocation }, 'Location updated');
+});
+
+// @desc    List my open pickup and delivery stops, in run order
+// @route   GET /api/rider/stops?date=YYYY-MM-DD
+// @access  Private (Rider)
+const getMyStops = asyncHandler(async (req, res) => {
+  const rider = await RiderService.getRiderForUser(req.user);
+  const stops = await RiderService.listStops(rider, { date: req.query.date });
+
+  sendSuccess(res, { stops, count: stops.length }, 'Stops retrieved successfully');
+});
+
+// @desc    Set off for a stop; sends the customer the handover code
+// @route   POST /api/rider/stops/:orderId/start
+// @access  Private (Rider)
+const startStop = asyncHandler(async (req, res) => {
+  const rider = await RiderService.getRiderForUser(req.user);
+  const order = await RiderService.startStop(rider, req.user, req.params.orderId);
+
+  sendSuccess(res, { stop: RiderService.toStop(order) }, 'Stop started, handover code sent to the customer');
+});
+
+// @desc    Send the customer a new handover code
+// @route   POST /api/rider/stops/:orderId/otp
+// @access  Private (Rider)
+const resendHandoverOtp = asyncHandler(async (req, res) => {
+  const rider = await RiderService.getRiderForUser(req.user);
+  await RiderService.resendOtp(rider, req.params.orderId);
+
+  sendSuccess(res, null, 'Handover code sent to the customer');
+});
+
+// @desc    Mark a stop picked up / delivered { otp, photo, signature, location, recipientName, notes }
+//          photo and signature are base64 data URLs; location is { lat, lng, accuracy }
+// @route   POST /api/rider/stops/:orderId/complete
+// @access  Private (Rider)
+const completeStop = asyncHandler(async (req, res) => {
+  const rider = await RiderService.getRiderForUser(req.user);
+  const order = await RiderService.completeStop(rider, req.user, req.params.orderId, req.body);
+  const handover = order.handovers[order.handovers.length - 1];
+
+  sendSuccess(res, {
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    status: order.status,
+    handover
+  }, handover.leg === 'pickup' ? 'Order picked up' : 'Order delivered');
+});
+
+// @desc    Report a failed pickup / delivery attempt { reason, notes, photo, location }
+// @route   POST /api/rider/stops/:orderId/fail
+// @access  Private (Rider)
+const failStop = asyncHandler(async (req, res) => {
+  const rider = await RiderService.getRiderForUser(req.user);
+  const { order, attempt, rescheduledTo } = await RiderService.failStop(rider, req.user, req.params.orderId, req.body);
+
+  sendSuccess(res, {
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    status: order.status,
+    attempt,
+    rescheduledTo
+  }, rescheduledTo ? 'Attempt recorded and rescheduled' : 'Attempt recorded, the branch will follow up');
+});
+
+// @desc    List the failed-attempt reasons
+// @route   GET /api/rider/failure-reasons
+// @access  Private (Rider)
+const getFailureReasons = asyncHandler(async (req, res) => {
+  const reasons = Object.entries(RIDER_CONFIG.FAILURE_REASONS).map(([value, reason]) => ({ value, ...reason }));
+
+  sendSuccess(res, { reasons }, 'Failure reasons retrieved successfully');
+});
+
+module.exports = {
+  getMyProfile,
+  updateMyStatus,
+  updateMyLocation,
+  getMyStops,
+  startStop,
+  resendHandoverOtp,
+  completeStop,
+  failStop,
+  getFailureReasons
+};
@@ -1,11 +1,13 @@
 const Branch = require('../models/Branch');
 const Service = require('../models/Service');
+const PricingService = require('../services/pricingService');
+const PickupSlotService = require('../services/pickupSlotService');
+const DeliveryZoneService = require('../services/deliveryZoneService');
+const distanceService = require('../services/distanceService');
 const { 
   sendSuccess, 
   sendError, 
   asyncHandler, 
-  calculateItemPrice, 
-  calculateOrderTotal,
   getTimeSlots,
   isValidTimeSlot
 } = require('../utils/helpers');
@@ -15,73 +17,155 @@ const { SERVICES, CLOTHING_CATEGORIES, ITEM_TYPES } = require('../config/constan
 // @route   POST /api/services/calculate
 // @access  Public
 const calculatePricing = asyncHandler(async (req, res) => {
-  const { items, isExpress = false } = req.body;
+  const { items, isExpress = false, branchId, deliveryCharge = 0, promoCode, pickupDate } = req.body;
 
   if (!items || !Array.isArray(items) || items.length === 0) {
     return sendError(res, 'INVALID_ITEMS', 'Items array is required', 400);
   }
 
-  const calculatedItems = [];
-  let subtotal = 0;
-
   for (const item of items) {
     const { itemType, service, category, quantity } = item;
 
     if (!itemType || !service || !category || !quantity) {
       return sendError(res, 'INVALID_ITEM', 'Each item must have itemType, service, category, and quantity', 400);
     }
+  }
 
-    const pricing = calculateItemPrice(itemType, service, category, isExpress);
-    const itemTotal = pricing.unitPrice * quantity;
-    subtotal += itemTotal;
-
-    calculatedItems.push({
-      ...item,
-      pricing,
-      totalPrice: itemTotal
-    });
+  if (pickupDate && isNaN(new Date(pickupDate).getTime())) {
+    return sendError(res, 'INVALID_PICKUP_DATE', 'Pickup date is invalid', 400);
   }
 
-  // Calculate order total with default values
-  const orderTotal = calculateOrderTotal(items.map(item => ({
-    ...item,
-    isExpress
-  })));
+  const quote = await PricingService.quote(items, {
+    branchId: branchId || null,
+    isExpress,
+    deliveryCharge: Number(deliveryCharge) || 0,
+    discountCode: promoCode || null,
+    customer: req.user || null,
+    pickupDate: pickupDate ? new Date(pickupDate) : null
+  });
+
+  const calculatedItems = quote.lines.map((line, index) => ({
+    ...items[index],
+    pricing: line,
+    totalPrice: line.totalPrice
+  }));
 
   sendSuccess(res, {
     items: calculatedItems,
-    subtotal,
-    orderTotal,
-    isExpress
+    subtotal: quote.pricing.subtotal,
+    orderTotal: quote.pricing,
+    surcharges: quote.pricing.surcharges,
+    isExpress,
+    minimumOrderValue: quote.minimumOrderValue,
+    meetsMinimumOrder: quote.meetsMinimumOrder,
+    promotion: quote.promotion,
+    pricingVersion: quote.pricingVersion
   }, 'Pricing calculated successfully');
 });
 
-// @desc    Get available time slots
-// @route   GET /api/services/time-slots
+// @desc    Get available time slots (live capacity when branchId and date are given)
+// @route   GET /api/services/time-slots?branchId=&date=&days=
 // @access  Public
 const getAvailableTimeSlots = asyncHandler(async (req, res) => {
+  const { branchId, date, days = 1 } = req.query;
   const timeSlots = getTimeSlots();
-  
-  sendSuccess(res, { timeSlots }, 'Time slots retrieved successfully');
+
+  if (!branchId) {
+    return sendSuccess(res, { timeSlots }, 'Time slots retrieved successfully');
+  }
+
+  const branch = await Branch.findOne({ _id: branchId, isActive: true });
+  if (!branch) {
+    return sendError(res, 'BRANCH_NOT_FOUND', 'Branch not found or inactive', 404);
+  }
+
+  const dayCount = Math.min(Math.max(parseInt(days) || 1, 1), 14);
+  const start = date ? new Date(date) : new Date();
+  if (isNaN(start.getTime())) {
+    return sendError(res, 'INVALID_DATE', 'Date is invalid', 400);
+  }
+
+  const availability = [];
+  for (let i = 0; i < dayCount; i++) {
+    const day = new Date(start);
+    day.setDate(start.getDate() + i);
+    availability.push(await PickupSlotService.getAvailability(branch, day));
+  }
+
+  sendSuccess(res, {
+    timeSlots,
+    branch: { _id: branch._id, name: branch.name, code: branch.code },
+    availability
+  }, 'Time slots retrieved successfully');
 });
 
-// @desc    Check service availability by pincode
-// @route   GET /api/services/availability/:pincode
+// @desc    Check service availability by location (delivery zones) or pincode
+// @route   GET /api/services/availability/:pincode?lat=&lng=
+// @route   GET /api/services/availability?lat=&lng=
 // @access  Public
 const checkServiceAvailability = asyncHandler(async (req, res) => {
   const { pincode } = req.params;
+  const { lat, lng } = req.query;
 
-  if (!pincode) {
-    return sendError(res, 'PINCODE_REQUIRED', 'Pincode is required', 400);
+  if (!pincode && (lat === undefined || lng === undefined)) {
+    return sendError(res, 'LOCATION_REQUIRED', 'Pincode or lat/lng is required', 400);
   }
 
-  // Find branches serving this pincode
-  const branches = await Branch.find({
-    'serviceAreas.pincode': pincode,
-    isActive: true
-  }).select('name code address serviceAreas');
+  // Zones need a point; without one the pincode's centroid is used as an approximation
+  let location = null;
+  let isApproximate = false;
+  if (lat !== undefined && lng !== undefined) {
+    location = { lat: parseFloat(lat), lng: parseFloat(lng) };
+    if (!distanceService.validateCoordinates(location)) {
+      return sendError(res, 'INVALID_COORDINATES', 'Invalid coordinates', 400);
+    }
+  } else {
+    const geocode = await distanceService.geocodeAddress(`${pincode}, India`);
+    if (geocode.status === 'OK') {
+      location = { lat: geocode.lat, lng: geocode.lng };
+      isApproximate = true;
+    }
+  }
 
-  if (branches.length === 0) {
+  const branches = await Branch.find({ isActive: true, status: 'active' })
+    .select('name code address serviceAreas');
+  const { zonedBranches, zoneByBranch } = await DeliveryZoneService.getCoverage(
+    branches.map(branch => branch._id),
+    location
+  );
+
+  // Branches with zones serve points inside them; the rest serve their pincode list
+  const serviceDetails = branches
+    .map(branch => {
+      const key = branch._id.toString();
+      const details = {
+        branchId: branch._id,
+        branchName: branch.name,
+        branchCode: branch.code
+      };
+
+      if (zonedBranches.has(key)) {
+        const zone = zoneByBranch.get(key);
+        return zone && {
+          ...details,
+          zone: DeliveryZoneService.toSummary(zone),
+          deliveryCharge: zone.deliveryFee,
+          minimumOrderValue: zone.minimumOrderValue,
+          expressAvailable: zone.expressAvailable
+        };
+      }
+
+      const serviceArea = pincode && branch.serviceAreas.find(area => area.pincode === pincode && area.isActive !== false);
+      return serviceArea && {
+        ...details,
+        deliveryCharge: serviceArea.deliveryCharge || 0,
+        estimatedPickupTime: serviceArea.estimatedPickupTime || '2-4 hours'
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.deliveryCharge - b.deliveryCharge);
+
+  if (serviceDetails.length === 0) {
     return sendSuccess(res, {
       available: false,
       message: 'Service not available in your area',
@@ -89,21 +173,10 @@ const checkServiceAvailability = asyncHandler(async (req, res) => {
     }, 'Service availability checked');
   }
 
-  // Get service area details for this pincode
-  const serviceDetails = branches.map(branch => {
-    const serviceArea = branch.serviceAreas.find(area => area.pincode === pincode);
-    return {
-      branchId: branch._id,
-      branchName: branch.name,
-      branchCode: branch.code,
-      deliveryCharge: serviceArea?.deliveryCharge || 0,
-      estimatedPickupTime: serviceArea?.estimatedPickupTime || '2-4 hours'
-    };
-  });
-
   sendSuccess(res, {
     available: true,
     message: 'Service available in your area',
+    isApproximate,
     branches: serviceDetails
   }, 'Service availability checked');
 });
@@ -24,7 +24,7 @@ class CenterAdminAuthController {
       // Find admin
       const admin = await CenterAdmin.findOne({ email: email.toLowerCase() })
       if (!admin) {
-        sessionService.recordFailedAttempt(ipAddress)
+        await sessionService.recordFailedAttempt(ipAddress)
         
         await AuditLog.logAction({
           userId: null,
@@ -80,7 +80,7 @@ class CenterAdminAuthController {
       const isValidPassword = await admin.comparePassword(password)
       if (!isValidPassword) {
         await admin.incLoginAttempts()
-        sessionService.recordFailedAttempt(ipAddress)
+        await sessionService.recordFailedAttempt(ipAddress)
 
         await AuditLog.logAction({
           userId: admin._id,
@@ -107,32 +107,21 @@ class CenterAdminAuthController {
 
       // Check if MFA is enabled
       if (admin.mfa && admin.mfa.isEnabled) {
-        // Send OTP for MFA
-        const otpResult = await mfaService.sendOTP(admin.email, 'login')
-        
-        if (!otpResult.success) {
-          return res.status(500).json({
-            success: false,
-            message: 'Failed to send verification code'
-          })
-        }
+        // Email a code, or expect one from the authenticator app
+        const challenge = await mfaService.sendChallenge(admin, 'login')
 
         // Generate temporary token for MFA verification
-        const mfaToken = jwt.sign(
-          { 
-            adminId: admin._id,
-            email: admin.email,
-            step: 'mfa_pending'
-          },
-          process.env.JWT_SECRET,
-          { expiresIn: '10m' }
-        )
+        const mfaToken = mfaService.createChallengeToken({
+          adminId: admin._id,
+          email: admin.email
+        })
 
         return res.json({
           success: true,
           requiresMFA: true,
+          mfaMethod: challenge.method,
           mfaToken,
-          message: 'Verification code sent to your email'
+          message: challenge.message
         })
       }
 
@@ -190,21 +179,16 @@ class CenterAdminAuthController {
         })
       }
 
-      let verificationResult
-
-      if (otp) {
-        // Verify OTP
-        verificationResult = mfaService.verifyOTP(admin.email, otp, 'login')
-      } else if (backupCode) {
-        // Verify backup code
-        verificationResult = await mfaService.verifyBackupCode(admin, backupCode)
-      } else {
+      if (!otp && !backupCode) {
         return res.status(400).json({
           success: false,
           message: 'OTP or backup code is required'
         })
       }
 
+      // Email OTP or authenticator code per the admin's method, or a backup code
+      const verificationResult = await mfaService.verifyChallenge(admin, { otp, backupCode }, 'login')
+
       if (!verificationResult.success) {
         const ipAddress = req.ip || req.connection.remoteAddress || '127.0.0.1'
         
@@ -222,7 +206,7 @@ class CenterAdminAuthController {
           errorMessage: verificationResult.message
         })
 
-        return res.status(401).json(verificationResult)
+        return res.status(verificationResult.code === 'MFA_LOCKED' ? 429 : 401).json(verificationResult)
       }
 
       // Update MFA last used
@@ -373,7 +357,12 @@ class CenterAdminAuthController {
         })
       }
 
-      const result = await mfaService.enableMFA(admin)
+      const { method = 'email', code } = req.body
+
+      const result = await mfaService.enableMFA(admin, { method, code })
+      if (!result.success) {
+        return res.status(400).json(result)
+      }
 
       await AuditLog.logAction({
         userId: admin._id,
@@ -381,7 +370,7 @@ class CenterAdminAuthController {
         userEmail: admin.email,
         action: 'enable_mfa',
         category: 'auth',
-        description: 'MFA enabled',
+        description: `MFA enabled (${result.method})`,
         ipAddress: req.ip,
         userAgent: req.get('User-Agent'),
         sessionId: req.sessionId,
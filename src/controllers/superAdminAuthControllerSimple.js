@@ -2,12 +2,83 @@ const CenterAdmin = require('../models/CenterAdmin')
 const SuperAdmin = require('../models/SuperAdmin')
 const AuditLog = require('../models/AuditLog')
 const sessionService = require('../services/sessionService')
+const mfaService = require('../services/mfaService')
 const jwt = require('jsonwebtoken')
 const crypto = require('crypto')
 const { validationResult } = require('express-validator')
 const { setSuperAdminAuthCookie, clearSuperAdminAuthCookie } = require('../utils/cookieConfig')
 const { sendEmail } = require('../config/email')
 
+// Create the session, set the cookie and answer the login request
+const completeLogin = async (admin, adminType, { rememberMe, mfaUsed }, req, res) => {
+  // Create session
+  const sessionResult = await sessionService.createSession(admin, req)
+  
+  // Token expiry based on Remember Me
+  // Remember Me: 30 days, Otherwise: 24 hours
+  const tokenExpiry = rememberMe ? '30d' : '24h'
+  
+  // Generate JWT token with real session ID
+  const token = jwt.sign(
+    {
+      adminId: admin._id,
+      email: admin.email,
+      role: admin.role,
+      sessionId: sessionResult.sessionId,
+      rememberMe: !!rememberMe
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: tokenExpiry }
+  )
+
+  // Set HTTP-only cookie with appropriate expiry
+  const cookieMaxAge = rememberMe ? 30 * 24 * 60 * 60 * 1000 : undefined // 30 days or session
+  setSuperAdminAuthCookie(res, token, cookieMaxAge)
+
+  // Update last login
+  admin.lastLogin = new Date()
+  admin.lastLoginIP = req.ip || req.connection.remoteAddress || '127.0.0.1'
+  await admin.save()
+
+  // Log successful login
+  try {
+    await AuditLog.logAction({
+      userId: admin._id,
+      userType: adminType,
+      userEmail: admin.email,
+      action: 'login',
+      category: 'auth',
+      description: `${adminType} login successful`,
+      ipAddress: req.ip || '127.0.0.1',
+      userAgent: req.get('User-Agent') || 'Unknown',
+      status: 'success',
+      riskLevel: 'low',
+      metadata: {
+        loginMethod: 'password',
+        mfaUsed
+      }
+    })
+  } catch (logError) {
+    console.error('Failed to log login:', logError)
+    // Don't fail login if logging fails
+  }
+
+  return res.json({
+    success: true,
+    token,
+    admin: {
+      id: admin._id,
+      name: admin.name,
+      email: admin.email,
+      role: admin.role,
+      permissions: admin.permissions,
+      avatar: admin.avatar,
+      mfaEnabled: admin.mfa ? admin.mfa.isEnabled : false
+    },
+    message: 'Login successful'
+  })
+}
+
 class CenterAdminAuthController {
   // Login - Simplified version
   async login(req, res) {
@@ -56,72 +127,26 @@ class CenterAdminAuthController {
         })
       }
 
-      // Create session
-      const sessionResult = await sessionService.createSession(admin, req)
-      
-      // Token expiry based on Remember Me
-      // Remember Me: 30 days, Otherwise: 24 hours
-      const tokenExpiry = rememberMe ? '30d' : '24h'
-      
-      // Generate JWT token with real session ID
-      const token = jwt.sign(
-        {
+      // Second factor: hand out a short-lived challenge token instead of a session
+      if (admin.mfa && admin.mfa.isEnabled) {
+        const challenge = await mfaService.sendChallenge(admin, 'login')
+        const mfaToken = mfaService.createChallengeToken({
           adminId: admin._id,
+          adminType,
           email: admin.email,
-          role: admin.role,
-          sessionId: sessionResult.sessionId,
           rememberMe: !!rememberMe
-        },
-        process.env.JWT_SECRET,
-        { expiresIn: tokenExpiry }
-      )
-
-      // Set HTTP-only cookie with appropriate expiry
-      const cookieMaxAge = rememberMe ? 30 * 24 * 60 * 60 * 1000 : undefined // 30 days or session
-      setSuperAdminAuthCookie(res, token, cookieMaxAge)
-
-      // Update last login
-      admin.lastLogin = new Date()
-      admin.lastLoginIP = req.ip || req.connection.remoteAddress || '127.0.0.1'
-      await admin.save()
+        })
 
-      // Log successful login
-      try {
-        await AuditLog.logAction({
-          userId: admin._id,
-          userType: adminType,
-          userEmail: admin.email,
-          action: 'login',
-          category: 'auth',
-          description: `${adminType} login successful`,
-          ipAddress: req.ip || '127.0.0.1',
-          userAgent: req.get('User-Agent') || 'Unknown',
-          status: 'success',
-          riskLevel: 'low',
-          metadata: {
-            loginMethod: 'password',
-            mfaUsed: false
-          }
+        return res.json({
+          success: true,
+          requiresMFA: true,
+          mfaMethod: challenge.method,
+          mfaToken,
+          message: challenge.message
         })
-      } catch (logError) {
-        console.error('Failed to log login:', logError)
-        // Don't fail login if logging fails
       }
 
-      return res.json({
-        success: true,
-        token,
-        admin: {
-          id: admin._id,
-          name: admin.name,
-          email: admin.email,
-          role: admin.role,
-          permissions: admin.permissions,
-          avatar: admin.avatar,
-          mfaEnabled: admin.mfa ? admin.mfa.isEnabled : false
-        },
-        message: 'Login successful'
-      })
+      return completeLogin(admin, adminType, { rememberMe, mfaUsed: false }, req, res)
 
     } catch (error) {
       console.error('Login error:', error)
@@ -179,12 +204,74 @@ class CenterAdminAuthController {
     }
   }
 
-  // Verify MFA - Placeholder for future
+  // Verify MFA - second login step with the challenge token from login
   async verifyMFA(req, res) {
-    return res.status(501).json({
-      success: false,
-      message: 'MFA not implemented in simplified version'
-    })
+    try {
+      const { mfaToken, otp, backupCode } = req.body
+
+      const decoded = mfaService.verifyChallengeToken(mfaToken)
+      if (!decoded) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid or expired MFA token'
+        })
+      }
+
+      const AdminModel = decoded.adminType === 'superadmin' ? SuperAdmin : CenterAdmin
+      const admin = await AdminModel.findById(decoded.adminId)
+      if (!admin || !admin.isActive || !admin.mfa || !admin.mfa.isEnabled) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid MFA token'
+        })
+      }
+
+      if (!otp && !backupCode) {
+        return res.status(400).json({
+          success: false,
+          message: 'OTP or backup code is required'
+        })
+      }
+
+      const verificationResult = await mfaService.verifyChallenge(admin, { otp, backupCode }, 'login')
+
+      if (!verificationResult.success) {
+        try {
+          await AuditLog.logAction({
+            userId: admin._id,
+            userType: decoded.adminType,
+            userEmail: admin.email,
+            action: 'failed_mfa',
+            category: 'auth',
+            description: 'Failed MFA verification',
+            ipAddress: req.ip || '127.0.0.1',
+            userAgent: req.get('User-Agent') || 'Unknown',
+            status: 'failure',
+            riskLevel: 'high',
+            errorMessage: verificationResult.message
+          })
+        } catch (logError) {
+          console.error('Failed to log MFA failure:', logError)
+        }
+
+        return res.status(verificationResult.code === 'MFA_LOCKED' ? 429 : 401).json({
+          success: false,
+          error: verificationResult.code,
+          message: verificationResult.message
+        })
+      }
+
+      admin.mfa.lastUsed = new Date()
+      await admin.save()
+
+      return completeLogin(admin, decoded.adminType, { rememberMe: decoded.rememberMe, mfaUsed: true }, req, res)
+    } catch (error) {
+      console.error('MFA verification error:', error)
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      })
+    }
   }
 
   // Logout All - Placeholder for future
@@ -195,20 +282,181 @@ class CenterAdminAuthController {
     })
   }
 
-  // Enable MFA - Placeholder for future
+  // Start authenticator-app setup - returns the secret and QR data to scan
+  async setupMFA(req, res) {
+    try {
+      const admin = req.admin
+
+      if (admin.mfa && admin.mfa.isEnabled) {
+        return res.status(400).json({
+          success: false,
+          message: 'MFA is already enabled'
+        })
+      }
+
+      const setup = await mfaService.startTOTPSetup(admin)
+
+      return res.json({
+        success: true,
+        ...setup,
+        message: 'Scan the QR code with your authenticator app, then confirm with a code'
+      })
+    } catch (error) {
+      console.error('Setup MFA error:', error)
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      })
+    }
+  }
+
+  // Enable MFA - { method: 'email' } or { method: 'totp', code } after setup
   async enableMFA(req, res) {
-    return res.status(501).json({
-      success: false,
-      message: 'MFA not implemented in simplified version'
-    })
+    try {
+      const admin = req.admin
+      const { method = 'email', code } = req.body
+
+      if (!['email', 'totp'].includes(method)) {
+        return res.status(400).json({
+          success: false,
+          message: 'MFA method must be email or totp'
+        })
+      }
+
+      if (admin.mfa && admin.mfa.isEnabled) {
+        return res.status(400).json({
+          success: false,
+          message: 'MFA is already enabled'
+        })
+      }
+
+      const result = await mfaService.enableMFA(admin, { method, code })
+      if (!result.success) {
+        return res.status(400).json(result)
+      }
+
+      try {
+        await AuditLog.logAction({
+          userId: admin._id,
+          userType: admin.role,
+          userEmail: admin.email,
+          action: 'enable_mfa',
+          category: 'auth',
+          description: `MFA enabled (${method})`,
+          ipAddress: req.ip || '127.0.0.1',
+          userAgent: req.get('User-Agent') || 'Unknown',
+          sessionId: req.sessionId,
+          status: 'success',
+          riskLevel: 'low'
+        })
+      } catch (logError) {
+        console.error('Failed to log action:', logError)
+      }
+
+      return res.json({
+        success: true,
+        method,
+        backupCodes: result.backupCodes,
+        message: 'MFA enabled successfully. Please save your backup codes.'
+      })
+    } catch (error) {
+      console.error('Enable MFA error:', error)
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      })
+    }
   }
 
-  // Disable MFA - Placeholder for future
+  // Disable MFA - requires the password
   async disableMFA(req, res) {
-    return res.status(501).json({
-      success: false,
-      message: 'MFA not implemented in simplified version'
-    })
+    try {
+      const admin = req.admin
+      const { password } = req.body
+
+      const isValidPassword = password && await admin.comparePassword(password)
+      if (!isValidPassword) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid password'
+        })
+      }
+
+      if (!admin.mfa || !admin.mfa.isEnabled) {
+        return res.status(400).json({
+          success: false,
+          message: 'MFA is not enabled'
+        })
+      }
+
+      await mfaService.disableMFA(admin)
+
+      try {
+        await AuditLog.logAction({
+          userId: admin._id,
+          userType: admin.role,
+          userEmail: admin.email,
+          action: 'disable_mfa',
+          category: 'auth',
+          description: 'MFA disabled',
+          ipAddress: req.ip || '127.0.0.1',
+          userAgent: req.get('User-Agent') || 'Unknown',
+          sessionId: req.sessionId,
+          status: 'success',
+          riskLevel: 'medium'
+        })
+      } catch (logError) {
+        console.error('Failed to log action:', logError)
+      }
+
+      return res.json({
+        success: true,
+        message: 'MFA disabled successfully'
+      })
+    } catch (error) {
+      console.error('Disable MFA error:', error)
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      })
+    }
+  }
+
+  // Regenerate backup codes - requires the password; earlier codes stop working
+  async regenerateBackupCodes(req, res) {
+    try {
+      const admin = req.admin
+      const { password } = req.body
+
+      const isValidPassword = password && await admin.comparePassword(password)
+      if (!isValidPassword) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid password'
+        })
+      }
+
+      if (!admin.mfa || !admin.mfa.isEnabled) {
+        return res.status(400).json({
+          success: false,
+          message: 'MFA is not enabled'
+        })
+      }
+
+      const backupCodes = await mfaService.regenerateBackupCodes(admin)
+
+      return res.json({
+        success: true,
+        backupCodes,
+        message: 'New backup codes generated. Earlier codes no longer work.'
+      })
+    } catch (error) {
+      console.error('Regenerate backup codes error:', error)
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      })
+    }
   }
 
   // Forgot Password - Send reset email
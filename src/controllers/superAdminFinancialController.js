@@ -3,6 +3,9 @@ const Settlement = require('../models/Settlement')
 const FinancialReport = require('../models/FinancialReport')
 const Order = require('../models/Order')
 const AuditLog = require('../models/AuditLog')
+const Refund = require('../models/Refund')
+const RefundService = require('../services/refundService')
+const { REFUND_STATUS } = require('../config/constants')
 const { validationResult } = require('express-validator')
 
 class CenterAdminFinancialController {
@@ -367,6 +370,27 @@ class CenterAdminFinancialController {
         })
       }
 
+      // Refunds from the refund pipeline are approved and paid out in one step.
+      // One that is already approved (its payout failed) is paid out again.
+      if (transaction.refundId) {
+        const refund = await Refund.findById(transaction.refundId)
+        if (refund) {
+          const actor = RefundService.actorFromRequest(req)
+          if (refund.status !== REFUND_STATUS.APPROVED) {
+            await RefundService.approve(refund, actor, notes)
+          }
+          const processed = await RefundService.execute(refund, actor)
+          return res.json({
+            success: true,
+            message: 'Refund approved and processed successfully',
+            data: {
+              transaction: await Transaction.findById(transactionId),
+              refund: processed
+            }
+          })
+        }
+      }
+
       if (transaction.approvalStatus !== 'pending') {
         return res.status(400).json({
           success: false,
@@ -405,6 +429,13 @@ class CenterAdminFinancialController {
         data: { transaction }
       })
     } catch (error) {
+      if (error instanceof RefundService.RefundError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.error,
+          message: error.message
+        })
+      }
       console.error('Approve refund error:', error)
       return res.status(500).json({
         success: false,
@@ -450,6 +481,21 @@ class CenterAdminFinancialController {
         })
       }
 
+      if (transaction.refundId) {
+        const refund = await Refund.findById(transaction.refundId)
+        if (refund) {
+          await RefundService.reject(refund, RefundService.actorFromRequest(req), reason)
+          return res.json({
+            success: true,
+            message: 'Refund rejected successfully',
+            data: {
+              transaction: await Transaction.findById(transactionId),
+              refund
+            }
+          })
+        }
+      }
+
       // Reject the refund
       await transaction.reject(req.admin._id, reason)
 
@@ -481,6 +527,13 @@ class CenterAdminFinancialController {
         data: { transaction }
       })
     } catch (error) {
+      if (error instanceof RefundService.RefundError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.error,
+          message: error.message
+        })
+      }
       console.error('Reject refund error:', error)
       return res.status(500).json({
         success: false,
@@ -1,6 +1,7 @@
 const LogisticsPartner = require('../models/LogisticsPartner');
 const Order = require('../models/Order');
 const AuditLog = require('../models/AuditLog');
+const { checkTransition } = require('../services/orderStateMachine');
 
 // Get all logistics partners
 exports.getAllPartners = async (req, res) => {
@@ -250,22 +251,26 @@ exports.assignOrder = async (req, res) => {
     
     order.logisticsPartner = partnerId;
     
-    // Update status based on assignment type
-    if (assignmentType === 'pickup') {
-      order.status = 'assigned_to_logistics_pickup';
-    } else if (assignmentType === 'delivery') {
-      order.status = 'assigned_to_logistics_delivery';
+    // Update status based on assignment type (validated by the order state machine)
+    const newStatus = assignmentType === 'pickup'
+      ? 'assigned_to_logistics_pickup'
+      : assignmentType === 'delivery' ? 'assigned_to_logistics_delivery' : null;
+
+    if (newStatus) {
+      const transition = checkTransition(order, newStatus, req.admin.role);
+      if (!transition.allowed) {
+        return res.status(transition.statusCode).json({
+          success: false,
+          error: transition.error,
+          message: transition.message,
+          details: transition.details
+        });
+      }
+      await order.updateStatus(newStatus, req.admin._id, `Assigned to ${partner.companyName} for ${assignmentType}`, req.admin.role);
+    } else {
+      await order.save();
     }
     
-    order.statusHistory.push({
-      status: order.status,
-      updatedBy: req.admin._id,
-      updatedAt: new Date(),
-      notes: `Assigned to ${partner.companyName} for ${assignmentType}`
-    });
-    
-    await order.save();
-    
     // Update partner metrics
     partner.performance.totalOrders += 1;
     await partner.save();
@@ -1,7 +1,9 @@
 const Order = require('../models/Order');
-const Branch = require('../models/Branch');
 const LogisticsPartner = require('../models/LogisticsPartner');
 const User = require('../models/User');
+const OrderService = require('../services/orderService');
+const BranchRoutingService = require('../services/branchRoutingService');
+const { checkTransition } = require('../services/orderStateMachine');
 const {
   sendSuccess,
   sendError,
@@ -67,39 +69,28 @@ const getOrderById = asyncHandler(async (req, res) => {
 // @access  Private (Center Admin)
 const assignOrderToBranch = asyncHandler(async (req, res) => {
   const { orderId } = req.params;
-  const { branchId } = req.body;
+  const { branchId, override } = req.body;
 
   const order = await Order.findById(orderId);
   if (!order) {
     return sendError(res, 'ORDER_NOT_FOUND', 'Order not found', 404);
   }
 
-  const branch = await Branch.findById(branchId);
-  if (!branch) {
-    return sendError(res, 'BRANCH_NOT_FOUND', 'Branch not found', 404);
-  }
-
-  if (!branch.isActive) {
-    return sendError(res, 'BRANCH_INACTIVE', 'Branch is not active', 400);
-  }
-
-  order.branch = branchId;
-  order.status = ORDER_STATUS.ASSIGNED_TO_BRANCH;
-  order.statusHistory.push({
-    status: ORDER_STATUS.ASSIGNED_TO_BRANCH,
-    updatedBy: req.admin?._id || null,
-    updatedAt: new Date(),
-    notes: `Assigned to branch: ${branch.name}`
+  // Without a branchId the best ranked branch is used; a chosen branch must pass routing checks unless overridden
+  const { candidate } = await BranchRoutingService.assignOrder(order, {
+    branchId,
+    override: override === true
+  }, {
+    id: req.admin?._id || null,
+    role: req.admin?.role
   });
 
-  await order.save();
-
   const populatedOrder = await Order.findById(order._id)
     .populate('customer', 'name email phone')
     .populate('branch', 'name code')
     .populate('items');
 
-  sendSuccess(res, { order: populatedOrder }, 'Order assigned to branch successfully');
+  sendSuccess(res, { order: populatedOrder, routing: candidate }, 'Order assigned to branch successfully');
 });
 
 // @desc    Assign logistics partner
@@ -126,20 +117,17 @@ const assignLogisticsPartner = asyncHandler(async (req, res) => {
   order.logisticsPartner = logisticsPartnerId;
   
   // Determine if this is for pickup or delivery
-  const isForPickup = ['assigned_to_branch'].includes(order.status);
+  const isForPickup = [ORDER_STATUS.PLACED, ORDER_STATUS.ASSIGNED_TO_BRANCH].includes(order.status);
   const newStatus = isForPickup 
     ? ORDER_STATUS.ASSIGNED_TO_LOGISTICS_PICKUP 
     : ORDER_STATUS.ASSIGNED_TO_LOGISTICS_DELIVERY;
 
-  order.status = newStatus;
-  order.statusHistory.push({
-    status: newStatus,
-    updatedBy: req.admin?._id || null,
-    updatedAt: new Date(),
-    notes: `Logistics partner assigned: ${logisticsPartner.companyName} for ${isForPickup ? 'pickup' : 'delivery'}`
-  });
-
-  await order.save();
+  await order.updateStatus(
+    newStatus,
+    req.admin?._id || null,
+    `Logistics partner assigned: ${logisticsPartner.companyName} for ${isForPickup ? 'pickup' : 'delivery'}`,
+    req.admin?.role
+  );
 
   const populatedOrder = await Order.findById(order._id)
     .populate('customer', 'name email phone')
@@ -162,26 +150,14 @@ const updateOrderStatus = asyncHandler(async (req, res) => {
     return sendError(res, 'ORDER_NOT_FOUND', 'Order not found', 404);
   }
 
-  // Validate status transition
-  const validStatuses = Object.values(ORDER_STATUS);
-  if (!validStatuses.includes(status)) {
-    return sendError(res, 'INVALID_STATUS', 'Invalid order status', 400);
-  }
-
-  order.status = status;
-  order.statusHistory.push({
-    status,
-    updatedBy: req.admin?._id || null,
-    updatedAt: new Date(),
-    notes: notes || `Status updated to ${status}`
-  });
-
-  // Set delivery date if delivered
-  if (status === ORDER_STATUS.DELIVERED) {
-    order.actualDeliveryDate = new Date();
+  // Validate status transition against the order state machine
+  const transition = checkTransition(order, status, req.admin?.role);
+  if (!transition.allowed) {
+    return sendError(res, transition.error, transition.message, transition.statusCode);
   }
 
-  await order.save();
+  // OrderService handles payment status and notifications for the new status
+  await OrderService.updateOrderStatus(orderId, status, req.admin?._id || null, notes || `Status updated to ${status}`, req.admin?.role);
 
   const populatedOrder = await Order.findById(order._id)
     .populate('customer', 'name email phone')
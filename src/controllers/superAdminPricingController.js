@@ -1,5 +1,9 @@
 const Pricing = require('../models/Pricing')
 const AuditLog = require('../models/AuditLog')
+const PricingService = require('../services/pricingService')
+const PromotionService = require('../services/promotionService')
+const HolidayPricingService = require('../services/holidayPricingService')
+const User = require('../models/User')
 const { validationResult } = require('express-validator')
 
 class CenterAdminPricingController {
@@ -417,29 +421,43 @@ class CenterAdminPricingController {
         })
       }
 
-      // Get active pricing
-      const pricing = await Pricing.getActivePricing()
-      if (!pricing) {
+      // Same engine as checkout; options.pricingId previews a specific (e.g. draft) version
+      const quote = await PricingService.quote(items, {
+        branchId: options.branchId || null,
+        isExpress: !!options.isExpress,
+        deliveryCharge: Number(options.deliveryCharge) || 0,
+        discount: Number(options.discount) || 0,
+        pricingId: options.pricingId || null,
+        at: options.orderDate ? new Date(options.orderDate) : new Date(),
+        pickupDate: options.pickupDate ? new Date(options.pickupDate) : null
+      })
+
+      if (!quote.pricingVersion) {
         return res.status(404).json({
           success: false,
           message: 'No active pricing configuration found'
         })
       }
 
-      // Calculate total
-      const calculation = pricing.calculateOrderTotal(items, options)
-
       return res.json({
         success: true,
         data: {
-          calculation,
-          pricingVersion: pricing.version
+          calculation: {
+            itemDetails: quote.lines,
+            ...quote.pricing,
+            expressRule: quote.expressRule,
+            minimumOrderValue: quote.minimumOrderValue,
+            meetsMinimumOrder: quote.meetsMinimumOrder
+          },
+          pricingVersion: quote.pricingVersion.version,
+          pricing: quote.pricingVersion
         }
       })
     } catch (error) {
       console.error('Calculate price error:', error)
-      return res.status(500).json({
+      return res.status(error.statusCode || 500).json({
         success: false,
+        error: error.error,
         message: error.message || 'Failed to calculate price'
       })
     }
@@ -532,7 +550,7 @@ class CenterAdminPricingController {
         })
       }
 
-      const pricing = await Pricing.getActivePricing()
+      const pricing = await PricingService.getActivePricing()
       if (!pricing) {
         return res.status(404).json({
           success: false,
@@ -540,25 +558,34 @@ class CenterAdminPricingController {
         })
       }
 
-      const discountResult = pricing.applyDiscount(orderValue, code, customerInfo)
+      // Same checks as checkout; customer-specific rules apply when a customerId is given
+      const customer = customerInfo.customerId
+        ? await User.findById(customerInfo.customerId)
+        : null
 
-      if (!discountResult.appliedDiscount) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid or expired discount code'
-        })
-      }
+      const result = await PromotionService.evaluate(pricing, code, {
+        customer,
+        branchId: customerInfo.branchId || null,
+        subtotal: Number(orderValue) || 0
+      })
 
       return res.json({
         success: true,
         data: {
           isValid: true,
-          discount: discountResult.discount,
-          discountPolicy: discountResult.appliedDiscount,
-          finalAmount: discountResult.finalAmount
+          discount: result.discount,
+          discountPolicy: result.policy,
+          finalAmount: Math.round(((Number(orderValue) || 0) - result.discount) * 100) / 100
         }
       })
     } catch (error) {
+      if (error instanceof PromotionService.PromotionError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.error,
+          message: error.message
+        })
+      }
       console.error('Validate discount code error:', error)
       return res.status(500).json({
         success: false,
@@ -647,6 +674,66 @@ class CenterAdminPricingController {
       })
     }
   }
+
+  // Preview a holiday pricing rule against last year's orders
+  async previewHolidayPricing(req, res) {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        })
+      }
+
+      const { pricingId } = req.params
+      const { ruleId, rule: draftRule, branchId, yearsBack = 1 } = req.body
+
+      const pricing = await Pricing.findById(pricingId)
+      if (!pricing) {
+        return res.status(404).json({
+          success: false,
+          message: 'Pricing configuration not found'
+        })
+      }
+
+      // Either a saved rule on this version or an unsaved draft from the editor
+      const rule = ruleId ? pricing.holidayPricing.id(ruleId) : draftRule
+      if (!rule) {
+        return res.status(404).json({
+          success: false,
+          message: 'Holiday pricing rule not found'
+        })
+      }
+
+      if (new Date(rule.endDate) < new Date(rule.startDate)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Rule end date must be after start date'
+        })
+      }
+
+      const preview = await HolidayPricingService.previewRule(rule, {
+        branchId: branchId || null,
+        yearsBack: Number(yearsBack) || 1
+      })
+
+      return res.json({
+        success: true,
+        data: {
+          pricing: { _id: pricing._id, name: pricing.name, version: pricing.version },
+          preview
+        }
+      })
+    } catch (error) {
+      console.error('Preview holiday pricing error:', error)
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to preview holiday pricing rule'
+      })
+    }
+  }
 }
 
 module.exports = new CenterAdminPricingController()
\ No newline at end of file
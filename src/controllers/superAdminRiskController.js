@@ -2,6 +2,7 @@ const Complaint = require('../models/Complaint')
 const BlacklistEntry = require('../models/Blacklist')
 const SLAConfig = require('../models/SLAConfig')
 const AuditLog = require('../models/AuditLog')
+const WalletService = require('../services/walletService')
 const { validationResult } = require('express-validator')
 
 class CenterAdminRiskController {
@@ -345,6 +346,31 @@ class CenterAdminRiskController {
         })
       }
 
+      // Compensation is paid to the customer's wallet as goodwill credit. The
+      // complaint id keys the entry, so retrying a failed resolve never pays twice.
+      let walletEntry = null
+      if (resolutionType === 'compensation' && Number(amount) > 0) {
+        try {
+          walletEntry = await WalletService.credit({
+            userId: complaint.customerId,
+            amount: Number(amount),
+            source: 'goodwill',
+            description: `Compensation for complaint ${complaint.complaintId}`,
+            references: { complaint: complaint._id, order: complaint.orderId },
+            idempotencyKey: `complaint:${complaint._id}`,
+            actor: { id: req.admin._id, role: 'center_admin', email: req.admin.email }
+          })
+        } catch (error) {
+          if (error instanceof WalletService.WalletError) {
+            return res.status(error.statusCode).json({
+              success: false,
+              message: error.message
+            })
+          }
+          throw error
+        }
+      }
+
       // Resolve the complaint
       await complaint.resolve(req.admin._id, resolution, resolutionType, amount)
 
@@ -366,14 +392,15 @@ class CenterAdminRiskController {
         metadata: {
           complaintId: complaint.complaintId,
           resolutionType,
-          amount
+          amount,
+          walletEntry: walletEntry?.entryNumber
         }
       })
 
       return res.json({
         success: true,
         message: 'Complaint resolved successfully',
-        data: { complaint }
+        data: { complaint, walletEntry }
       })
     } catch (error) {
       console.error('Resolve complaint error:', error)
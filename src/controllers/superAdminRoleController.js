@@ -1,6 +1,7 @@
 const Role = require('../models/Role')
 const User = require('../models/User')
 const AuditLog = require('../models/AuditLog')
+const PermissionService = require('../services/permissionService')
 const { validationResult } = require('express-validator')
 
 class CenterAdminRoleController {
@@ -149,6 +150,7 @@ class CenterAdminRoleController {
 
       const role = new Role(roleData)
       await role.save()
+      PermissionService.clearCache()
 
       // Update parent role's child roles if specified
       if (roleData.parentRole) {
@@ -233,6 +235,7 @@ class CenterAdminRoleController {
       Object.assign(role, updateData)
       role.lastModifiedBy = req.admin._id
       await role.save()
+      PermissionService.clearCache()
 
       // Log the update
       await AuditLog.logAction({
@@ -314,6 +317,7 @@ class CenterAdminRoleController {
       )
 
       await Role.findByIdAndDelete(roleId)
+      PermissionService.clearCache()
 
       // Log the deletion
       await AuditLog.logAction({
@@ -365,6 +369,7 @@ class CenterAdminRoleController {
       }
 
       await role.addPermission(module, actions, restrictions)
+      PermissionService.clearCache()
 
       // Log the permission addition
       await AuditLog.logAction({
@@ -418,6 +423,7 @@ class CenterAdminRoleController {
       }
 
       await role.removePermission(module, action)
+      PermissionService.clearCache()
 
       // Log the permission removal
       await AuditLog.logAction({
@@ -535,6 +541,7 @@ class CenterAdminRoleController {
   async initializeDefaultRoles(req, res) {
     try {
       const createdRoles = await Role.createDefaultRoles(req.admin._id)
+      PermissionService.clearCache()
 
       // Log the initialization
       await AuditLog.logAction({
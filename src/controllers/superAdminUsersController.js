@@ -1,5 +1,6 @@
 const User = require('../models/User');
 const Branch = require('../models/Branch');
+const UserSessionService = require('../services/userSessionService');
 const bcrypt = require('bcryptjs');
 
 // Get all users
@@ -108,6 +109,11 @@ exports.updateUserStatus = async (req, res) => {
       return res.status(404).json({ success: false, message: 'User not found' });
     }
 
+    // Sign a deactivated user out on every device right away
+    if (!user.isActive) {
+      await UserSessionService.revokeAll(user._id, 'deactivated');
+    }
+
     res.json({
       success: true,
       message: `User ${isActive ? 'activated' : 'deactivated'} successfully`,
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const LoyaltyService = require('../services/loyaltyService');
+const SubscriptionService = require('../services/subscriptionService');
+
+/**
+ * Background jobs run on an interval inside the API process.
+ * A job is skipped while the database is disconnected or while its previous
+ * run is still going.
+ */
+const JOBS = [
+  {
+    name: 'loyalty-points-expiry',
+    intervalMinutes: parseInt(process.env.LOYALTY_EXPIRY_INTERVAL_MINUTES) || 60,
+    run: () => LoyaltyService.expirePoints()
+  },
+  {
+    name: 'subscription-orders',
+    intervalMinutes: parseInt(process.env.SUBSCRIPTION_JOB_INTERVAL_MINUTES) || 60,
+    run: () => SubscriptionService.runDue()
+  }
+];
+
+const startJobs = () => {
+  JOBS.forEach(job => {
+    let running = false;
+
+    const tick = async () => {
+      if (running || mongoose.connection.readyState !== 1) return;
+      running = true;
+      try {
+        const result = await job.run();
+        // Jobs return a summary of counts; quiet ticks are not logged
+        if (Object.values(result || {}).some(count => count > 0)) {
+          console.log(`⏱️  Job ${job.name} finished`, result);
+        }
+      } catch (error) {
+        console.error(`❌ Job ${job.name} failed:`, error.message);
+      } finally {
+        running = false;
+      }
+    };
+
+    setInterval(tick, job.intervalMinutes * 60 * 1000).unref();
+  });
+
+  console.log(`⏱️  Background jobs scheduled: ${JOBS.map(job => job.name).join(', ')}`);
+};
+
+module.exports = { startJobs, JOBS };
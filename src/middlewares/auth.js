@@ -4,6 +4,7 @@ const CenterAdmin = require('../models/CenterAdmin');
 const SuperAdmin = require('../models/SuperAdmin');
 const { verifyAccessToken, verifyToken } = require('../utils/jwt');
 const { getTokenFromRequest } = require('../utils/cookieConfig');
+const UserSessionService = require('../services/userSessionService');
 
 // Protect routes - require authentication
 const protect = async (req, res, next) => {
@@ -39,8 +40,27 @@ const protect = async (req, res, next) => {
         });
       }
 
+      // Sessions from before a password reset are void
+      if (user.changedPasswordAfter(decoded.iat)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Password was changed. Please log in again.'
+        });
+      }
+
+      // The session the token was issued for must not be revoked or expired
+      const session = await UserSessionService.validate(user._id, decoded.sid);
+      if (!session) {
+        return res.status(401).json({
+          success: false,
+          error: 'SESSION_EXPIRED',
+          message: 'Session has ended. Please log in again.'
+        });
+      }
+
       // Add user to request object
       req.user = user;
+      req.sessionId = session._id;
       next();
     } catch (error) {
       return res.status(401).json({
@@ -93,8 +113,12 @@ const protectAny = async (req, res, next) => {
       // Try as regular user (has userId)
       if (decoded.userId) {
         const user = await User.findById(decoded.userId).select('-password');
-        if (user && user.isActive) {
+        const session = user && user.isActive && !user.changedPasswordAfter(decoded.iat)
+          ? await UserSessionService.validate(user._id, decoded.sid)
+          : null;
+        if (session) {
           req.user = user;
+          req.sessionId = session._id;
           req.isCenterAdmin = false;
           return next();
         }
@@ -169,8 +193,12 @@ const optionalAuth = async (req, res, next) => {
         const decoded = verifyAccessToken(token);
         const user = await User.findById(decoded.userId).select('-password');
         
-        if (user && user.isActive) {
+        const session = user && user.isActive && !user.changedPasswordAfter(decoded.iat)
+          ? await UserSessionService.validate(user._id, decoded.sid)
+          : null;
+        if (session) {
           req.user = user;
+          req.sessionId = session._id;
         }
       } catch (error) {
         // Token is invalid, but we continue without user
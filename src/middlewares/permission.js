@@ -0,0 +1,80 @@
+const PermissionService = require('../services/permissionService');
+
+/**
+ * Require a Role permission, e.g. requirePermission('orders', 'update')
+ * @param {string} module - Role permission module (orders, customers, finances, ...)
+ * @param {string} action - create | read | update | delete | approve | export
+ * @param {Object} [options]
+ * @param {Function} [options.branch] - (req) => branch id the request acts on; defaults to
+ *   the branch of the named order, or a branchId in the params / query / body
+ *
+ * A request that names an order and sends a branchId in its body (moving the
+ * order there) must be allowed on both the order's branch and that branch.
+ * @param {Function} [options.amount] - (req) => amount checked against the permission's maxAmount
+ * @param {Function} [options.refundAmount] - (req) => amount checked against the role's refund limit
+ * @param {Function} [options.discount] - (req) => discount percent checked against the role's limit
+ * @param {boolean} [options.crossBranch] - the route spans all branches, so branch-restricted roles may not use it
+ *
+ * On success `req.permission` holds { module, action, role, restrictions, branchScope };
+ * branchScope is the user's branch when the permission is limited to it.
+ */
+const requirePermission = (module, action, options = {}) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'UNAUTHORIZED',
+        message: 'Authentication required'
+      });
+    }
+
+    try {
+      const resolve = async (key) => (options[key] ? options[key](req) : undefined);
+      const context = {
+        targetBranch: options.branch ? await options.branch(req) : await PermissionService.getTargetBranch(req),
+        amount: await resolve('amount'),
+        refundAmount: await resolve('refundAmount'),
+        discount: await resolve('discount'),
+        crossBranch: Boolean(options.crossBranch)
+      };
+      if (context.targetBranch) context.targetBranch = context.targetBranch.toString();
+
+      let result = await PermissionService.check(req.user, module, action, context);
+
+      const destination = options.branch ? null : PermissionService.getDestinationBranch(req);
+      if (result.allowed && destination && destination !== context.targetBranch) {
+        context.targetBranch = destination;
+        result = await PermissionService.check(req.user, module, action, context);
+      }
+
+      if (!result.allowed) {
+        await PermissionService.logDenial(req, module, action, result, context);
+        return res.status(403).json({
+          success: false,
+          error: result.code,
+          message: result.reason
+        });
+      }
+
+      req.permission = {
+        module,
+        action,
+        role: result.role,
+        restrictions: result.restrictions || {},
+        branchScope: result.branchScope
+      };
+      next();
+    } catch (error) {
+      console.error('Permission middleware error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'SERVER_ERROR',
+        message: 'Error checking permissions'
+      });
+    }
+  };
+};
+
+module.exports = {
+  requirePermission
+};
@@ -0,0 +1,76 @@
+const rateLimit = require('express-rate-limit');
+const { PASSWORD_RESET_CONFIG, MFA_CONFIG, PHONE_AUTH_CONFIG } = require('../config/constants');
+const { normalizePhone } = require('../utils/phone');
+
+const tooManyRequests = (message) => (req, res) => {
+  res.status(429).json({
+    success: false,
+    error: 'TOO_MANY_REQUESTS',
+    message
+  });
+};
+
+// Forgot-password requests, counted per email address whichever IP they come from
+const forgotPasswordEmailLimiter = rateLimit({
+  windowMs: PASSWORD_RESET_CONFIG.WINDOW_MINUTES * 60 * 1000,
+  max: PASSWORD_RESET_CONFIG.MAX_REQUESTS_PER_EMAIL,
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => `email:${String(req.body?.email || '').trim().toLowerCase()}`,
+  handler: tooManyRequests('Too many password reset requests. Please try again later.')
+});
+
+// Forgot-password requests, counted per IP whichever addresses it asks for
+const forgotPasswordIpLimiter = rateLimit({
+  windowMs: PASSWORD_RESET_CONFIG.WINDOW_MINUTES * 60 * 1000,
+  max: PASSWORD_RESET_CONFIG.MAX_REQUESTS_PER_IP,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: tooManyRequests('Too many password reset requests. Please try again later.')
+});
+
+// Reset-password submissions, counted per IP
+const resetPasswordLimiter = rateLimit({
+  windowMs: PASSWORD_RESET_CONFIG.WINDOW_MINUTES * 60 * 1000,
+  max: PASSWORD_RESET_CONFIG.MAX_RESET_ATTEMPTS,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: tooManyRequests('Too many password reset attempts. Please try again later.')
+});
+
+// Second-factor code submissions, counted per IP
+const mfaVerifyLimiter = rateLimit({
+  windowMs: MFA_CONFIG.CHALLENGE_TOKEN_MINUTES * 60 * 1000,
+  max: MFA_CONFIG.MAX_VERIFY_REQUESTS,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: tooManyRequests('Too many verification attempts. Please try again later.')
+});
+
+// Phone OTP messages, counted per number and IP
+const phoneOtpLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: PHONE_AUTH_CONFIG.MAX_SENDS_PER_HOUR,
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => `${req.ip}:${normalizePhone(req.body?.phone) || String(req.body?.phone || '')}`,
+  handler: tooManyRequests('Too many verification codes requested. Please try again later.')
+});
+
+// Phone OTP submissions, counted per IP
+const phoneVerifyLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: PHONE_AUTH_CONFIG.MAX_VERIFY_REQUESTS_PER_HOUR,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: tooManyRequests('Too many verification attempts. Please try again later.')
+});
+
+module.exports = {
+  forgotPasswordEmailLimiter,
+  forgotPasswordIpLimiter,
+  resetPasswordLimiter,
+  mfaVerifyLimiter,
+  phoneOtpLimiter,
+  phoneVerifyLimiter
+};
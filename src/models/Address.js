@@ -50,6 +50,24 @@ const addressSchema = new mongoose.Schema({
     required: [true, 'Pincode is required'],
     match: [/^[1-9][0-9]{5}$/, 'Please enter a valid 6-digit pincode']
   },
+  // Pin dropped by the customer, or geocoded on first use for branch routing
+  coordinates: {
+    lat: {
+      type: Number,
+      min: [-90, 'Latitude must be between -90 and 90'],
+      max: [90, 'Latitude must be between -90 and 90']
+    },
+    lng: {
+      type: Number,
+      min: [-180, 'Longitude must be between -180 and 180'],
+      max: [180, 'Longitude must be between -180 and 180']
+    },
+    source: {
+      type: String,
+      enum: ['customer', 'geocoded']
+    },
+    updatedAt: Date
+  },
   addressType: {
     type: String,
     enum: ['home', 'office', 'other'],
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// Requests made to a metered external API per day, checked against its daily limit
+const apiUsageSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  // Calendar day in YYYY-MM-DD (server local time)
+  date: {
+    type: String,
+    required: true,
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format']
+  },
+  requests: {
+    type: Number,
+    default: 0
+  },
+  // Calls not made because the limit was reached
+  rejected: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+apiUsageSchema.index({ provider: 1, date: 1 }, { unique: true });
+
+/**
+ * Take one request from today's allowance
+ * @returns {Promise<boolean>} false when the daily limit is used up
+ */
+apiUsageSchema.statics.consume = async function(provider, date, limit) {
+  try {
+    await this.updateOne(
+      { provider, date },
+      { $setOnInsert: { requests: 0, rejected: 0 } },
+      { upsert: true }
+    );
+  } catch (error) {
+    // A concurrent upsert created it first
+    if (error.code !== 11000) throw error;
+  }
+
+  const usage = await this.findOneAndUpdate(
+    { provider, date, requests: { $lt: limit } },
+    { $inc: { requests: 1 } },
+    { new: true }
+  );
+  if (usage) return true;
+
+  await this.updateOne({ provider, date }, { $inc: { rejected: 1 } });
+  return false;
+};
+
+module.exports = mongoose.model('ApiUsage', apiUsageSchema);
@@ -3,7 +3,7 @@ const mongoose = require('mongoose')
 const auditLogSchema = new mongoose.Schema({
   // User Information
   userId: { type: mongoose.Schema.Types.ObjectId, required: true },
-  userType: { type: String, required: true, enum: ['center_admin', 'branch_manager', 'customer', 'system'] },
+  userType: { type: String, required: true, enum: ['superadmin', 'center_admin', 'admin', 'branch_manager', 'support_agent', 'staff', 'rider', 'customer', 'system'] },
   userEmail: { type: String, required: true },
   
   // Action Details
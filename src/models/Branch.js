@@ -71,6 +71,14 @@ const branchSchema = new mongoose.Schema({
       lng: { type: Number }
     }
   },
+  // GST registration printed on invoices; the state decides CGST/SGST vs IGST
+  gstin: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: [/^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/, 'Please enter a valid GSTIN']
+  },
+  legalName: String,
   contact: {
     phone: { type: String, required: true },
     email: String,
@@ -162,6 +170,32 @@ const branchSchema = new mongoose.Schema({
     createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'CenterAdmin' }
   }],
   
+  // Barcode scanning stations in the plant; empty means DEFAULT_SCAN_STATIONS
+  scanStations: [{
+    code: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true
+    },
+    name: String,
+    isEntry: {
+      type: Boolean,
+      default: false
+    },
+    nextStations: [String],
+    pieceStatus: {
+      type: String,
+      enum: ['pending', 'in_progress', 'completed', 'quality_check', 'ready', null]
+    },
+    orderStatus: String,
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+    _id: false
+  }],
+
   // Financial Settings
   financials: {
     refundLimit: {
@@ -250,30 +284,48 @@ branchSchema.index({ code: 1 });
 branchSchema.index({ 'serviceAreas.pincode': 1 });
 branchSchema.index({ isActive: 1 });
 
-// Check if branch is operational today
-branchSchema.methods.isOperationalToday = function() {
+// Check if branch is operational on a day (working day, not a holiday, branch active)
+branchSchema.methods.isOperationalOn = function(date = new Date()) {
   try {
     const days = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-    const today = days[new Date().getDay()];
-    const isWorkingDay = this.operatingHours?.workingDays?.includes(today) ?? false;
-    
-    // Check if today is a holiday
-    const todayDate = new Date().toDateString();
-    const isHoliday = this.holidays?.some(holiday => 
-      holiday.date && holiday.date.toDateString() === todayDate
-    ) ?? false;
-    
+    const day = new Date(date);
+    const workingDays = this.operatingHours?.workingDays?.length
+      ? this.operatingHours.workingDays
+      : ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+    const isWorkingDay = workingDays.includes(days[day.getDay()]);
+
+    const isHoliday = this.holidays?.some(holiday => {
+      if (!holiday.date) return false;
+      const holidayDate = new Date(holiday.date);
+      return holiday.isRecurring
+        ? holidayDate.getMonth() === day.getMonth() && holidayDate.getDate() === day.getDate()
+        : holidayDate.toDateString() === day.toDateString();
+    }) ?? false;
+
     return isWorkingDay && !isHoliday && this.isActive && this.status === 'active';
   } catch (error) {
-    console.error('Error in isOperationalToday:', error);
+    console.error('Error in isOperationalOn:', error);
     return this.isActive && this.status === 'active';
   }
 };
 
-// Check capacity availability
-branchSchema.methods.hasCapacity = function(additionalOrders = 1, additionalWeight = 0) {
-  // This would need to be calculated based on today's orders
-  // For now, returning true - will implement in service layer
+// Check if branch is operational today
+branchSchema.methods.isOperationalToday = function() {
+  return this.isOperationalOn(new Date());
+};
+
+// Check capacity availability for a day, given what is already booked on it
+// (load: { orders, weightKg } - see BranchRoutingService.getDailyLoad)
+branchSchema.methods.hasCapacity = function(additionalOrders = 1, additionalWeight = 0, load = {}) {
+  const maxOrders = this.capacity?.maxOrdersPerDay;
+  const maxWeight = this.capacity?.maxWeightPerDay;
+
+  if (maxOrders && (load.orders || 0) + additionalOrders > maxOrders) {
+    return false;
+  }
+  if (maxWeight && additionalWeight > 0 && (load.weightKg || 0) + additionalWeight > maxWeight) {
+    return false;
+  }
   return true;
 };
 
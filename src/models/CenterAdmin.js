@@ -13,9 +13,13 @@ const sessionSchema = new mongoose.Schema({
 })
 
 const mfaSchema = new mongoose.Schema({
-  secret: { type: String },
+  secret: { type: String },          // encrypted TOTP secret
+  pendingSecret: { type: String },   // TOTP secret awaiting its first code
+  method: { type: String, enum: ['email', 'totp'], default: 'email' },
   isEnabled: { type: Boolean, default: false },
-  backupCodes: [{ type: String }],
+  backupCodes: [{ type: String }],   // sha256 hashes
+  lastTotpStep: { type: Number },    // a TOTP code is accepted once
+  enabledAt: { type: Date },
   lastUsed: { type: Date }
 })
 
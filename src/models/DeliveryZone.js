@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+// An area a branch delivers to, drawn as a GeoJSON polygon. A branch with
+// zones serves exactly the points inside them; one without zones falls back
+// to its serviceable radius and serviceAreas pincodes.
+const isPosition = (position) => Array.isArray(position) && position.length >= 2 &&
+  typeof position[0] === 'number' && position[0] >= -180 && position[0] <= 180 &&
+  typeof position[1] === 'number' && position[1] >= -90 && position[1] <= 90;
+
+// Closed ring of [lng, lat] positions: at least 4, first equal to last
+const isRing = (ring) => Array.isArray(ring) && ring.length >= 4 && ring.every(isPosition) &&
+  ring[0][0] === ring[ring.length - 1][0] && ring[0][1] === ring[ring.length - 1][1];
+
+const isPolygon = (rings) => Array.isArray(rings) && rings.length > 0 && rings.every(isRing);
+
+const deliveryZoneSchema = new mongoose.Schema({
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Zone name is required'],
+    trim: true,
+    maxlength: [100, 'Zone name cannot exceed 100 characters']
+  },
+  area: {
+    type: {
+      type: String,
+      enum: ['Polygon', 'MultiPolygon'],
+      required: true
+    },
+    coordinates: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+      validate: {
+        validator: function(coordinates) {
+          return this.area?.type === 'MultiPolygon'
+            ? Array.isArray(coordinates) && coordinates.length > 0 && coordinates.every(isPolygon)
+            : isPolygon(coordinates);
+        },
+        message: 'Zone must be a GeoJSON polygon of closed [longitude, latitude] rings'
+      }
+    }
+  },
+  deliveryFee: {
+    type: Number,
+    required: [true, 'Delivery fee is required'],
+    min: 0
+  },
+  // Smallest order subtotal accepted from this zone (0 = no minimum)
+  minimumOrderValue: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  expressAvailable: {
+    type: Boolean,
+    default: true
+  },
+  // Pickups taken from this zone per time slot (null = only the branch slot capacity applies)
+  slotCapacity: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  // Where zones of one branch overlap, the higher priority wins
+  priority: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+deliveryZoneSchema.index({ area: '2dsphere' });
+deliveryZoneSchema.index({ branch: 1, isActive: 1 });
+
+module.exports = mongoose.model('DeliveryZone', deliveryZoneSchema);
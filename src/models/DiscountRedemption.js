@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// One record per discount code use - drives reversals and seeds DiscountUsage counters
+const discountRedemptionSchema = new mongoose.Schema({
+  pricing: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pricing',
+    required: true
+  },
+  policyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  code: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['active', 'reversed'],
+    default: 'active'
+  },
+  redeemedAt: {
+    type: Date,
+    default: Date.now
+  },
+  reversedAt: Date,
+  reversalReason: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+discountRedemptionSchema.index({ policyId: 1, customer: 1, status: 1 });
+discountRedemptionSchema.index({ order: 1 }, { unique: true });
+discountRedemptionSchema.index({ code: 1, createdAt: -1 });
+
+// Count active redemptions of a policy by a customer
+discountRedemptionSchema.statics.countActiveForCustomer = function(policyId, customerId) {
+  return this.countDocuments({ policyId, customer: customerId, status: 'active' });
+};
+
+module.exports = mongoose.model('DiscountRedemption', discountRedemptionSchema);
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Active redemptions of one discount policy by one customer. The per-customer
+// cap is enforced with a conditional $inc on this counter.
+const discountUsageSchema = new mongoose.Schema({
+  policyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+discountUsageSchema.index({ policyId: 1, customer: 1 }, { unique: true });
+
+module.exports = mongoose.model('DiscountUsage', discountUsageSchema);
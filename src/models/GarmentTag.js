@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// Piece statuses mirror OrderItem.processingStatus
+const PIECE_STATUSES = ['pending', 'in_progress', 'completed', 'quality_check', 'ready'];
+
+// One physical garment. An OrderItem with quantity 5 gets five tags; the tag
+// code is the order barcode plus the piece's sequence in the order.
+const garmentTagSchema = new mongoose.Schema({
+  tagCode: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  orderItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OrderItem',
+    required: true
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  },
+  sequence: {
+    type: Number,
+    required: true
+  }, // 1..n across the order
+  pieceNumber: {
+    type: Number,
+    required: true
+  }, // 1..quantity within the item
+  status: {
+    type: String,
+    enum: PIECE_STATUSES,
+    default: 'pending'
+  },
+  currentStation: String, // Last station the piece was scanned at
+  lastScannedAt: Date,
+  lastScannedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  history: [{
+    status: {
+      type: String,
+      enum: PIECE_STATUSES
+    },
+    scannedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    scannedAt: {
+      type: Date,
+      default: Date.now
+    },
+    notes: String,
+    _id: false
+  }],
+  printedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+garmentTagSchema.index({ order: 1, sequence: 1 }, { unique: true });
+garmentTagSchema.index({ orderItem: 1, pieceNumber: 1 });
+
+garmentTagSchema.statics.PIECE_STATUSES = PIECE_STATUSES;
+
+module.exports = mongoose.model('GarmentTag', garmentTagSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Geocodes and road distances returned by an online provider, kept so repeat
+// quotes for the same address or coordinate pair do not spend API quota.
+const geoCacheSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['geocode', 'distance'],
+    required: true
+  },
+  // Normalized address, or "lat,lng|lat,lng" for distances
+  key: {
+    type: String,
+    required: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  result: {
+    lat: Number,
+    lng: Number,
+    formattedAddress: String,
+    distance: Number, // km
+    duration: Number  // minutes
+  },
+  hits: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+geoCacheSchema.index({ kind: 1, key: 1 }, { unique: true });
+geoCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('GeoCache', geoCacheSchema);
@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+
+const partySchema = new mongoose.Schema({
+  name: String,
+  gstin: String,
+  email: String,
+  phone: String,
+  address: String,
+  state: String
+}, { _id: false });
+
+// A GST tax invoice for an order, or a credit / debit note against it.
+// Documents are immutable once issued; corrections are made with further notes.
+const invoiceSchema = new mongoose.Schema({
+  documentType: {
+    type: String,
+    enum: ['invoice', 'credit_note', 'debit_note'],
+    required: true
+  },
+  number: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  financialYear: {
+    type: String,
+    required: true
+  },
+  sequence: {
+    type: Number,
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  orderNumber: String,
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: true
+  },
+  // Credit / debit notes point at the invoice they amend
+  originalInvoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  originalInvoiceNumber: String,
+  reason: String,
+  seller: partySchema,
+  buyer: partySchema,
+  placeOfSupply: String,
+  supplyType: {
+    type: String,
+    enum: ['intra_state', 'inter_state'],
+    required: true
+  },
+  lines: [{
+    description: String,
+    sacCode: String,
+    quantity: Number,
+    unit: String,
+    unitPrice: Number,
+    amount: Number,
+    _id: false
+  }],
+  discount: {
+    type: Number,
+    default: 0
+  },
+  taxableValue: {
+    type: Number,
+    required: true
+  },
+  taxRate: Number,
+  cgst: {
+    type: Number,
+    default: 0
+  },
+  sgst: {
+    type: Number,
+    default: 0
+  },
+  igst: {
+    type: Number,
+    default: 0
+  },
+  totalTax: {
+    type: Number,
+    default: 0
+  },
+  roundOff: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    required: true
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+invoiceSchema.index({ order: 1, documentType: 1 });
+invoiceSchema.index({ branch: 1, financialYear: 1, documentType: 1, sequence: 1 });
+invoiceSchema.index({ customer: 1, issuedAt: -1 });
+// One tax invoice per order
+invoiceSchema.index({ order: 1 }, { unique: true, partialFilterExpression: { documentType: 'invoice' } });
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
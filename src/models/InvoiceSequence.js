@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// Running invoice / credit note counter per branch and financial year.
+// GST requires numbers that are consecutive and unique within a financial year.
+const invoiceSequenceSchema = new mongoose.Schema({
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: true
+  },
+  financialYear: {
+    type: String,
+    required: true
+  }, // e.g. 2026-27
+  documentType: {
+    type: String,
+    enum: ['invoice', 'credit_note', 'debit_note'],
+    required: true
+  },
+  lastNumber: {
+    type: Number,
+    default: 0
+  },
+  // Numbers taken by documents that then failed to save; reused first so the series has no gaps
+  released: {
+    type: [Number],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+invoiceSequenceSchema.index({ branch: 1, financialYear: 1, documentType: 1 }, { unique: true });
+
+// Atomically take the next number in the series, reusing a released one first
+invoiceSequenceSchema.statics.next = async function(branchId, financialYear, documentType) {
+  const reused = await this.findOneAndUpdate(
+    { branch: branchId, financialYear, documentType, 'released.0': { $exists: true } },
+    { $pop: { released: -1 } }
+  );
+  if (reused) return reused.released[0];
+
+  const sequence = await this.findOneAndUpdate(
+    { branch: branchId, financialYear, documentType },
+    { $inc: { lastNumber: 1 } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+  return sequence.lastNumber;
+};
+
+// Give back a number whose document was never stored
+invoiceSequenceSchema.statics.release = function(branchId, financialYear, documentType, number) {
+  return this.updateOne(
+    { branch: branchId, financialYear, documentType },
+    { $push: { released: { $each: [number], $sort: 1 } } }
+  );
+};
+
+module.exports = mongoose.model('InvoiceSequence', invoiceSequenceSchema);
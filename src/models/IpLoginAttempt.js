@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Failed admin logins per IP address, shared by every app instance.
+// A record lapses (TTL index) once the IP has been quiet for the tracking window.
+const ipLoginAttemptSchema = new mongoose.Schema({
+  ipAddress: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  lastAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  flagged: {
+    type: Boolean,
+    default: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+ipLoginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IpLoginAttempt', ipLoginAttemptSchema);
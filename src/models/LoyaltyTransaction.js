@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// Points history. Earn entries are also the lots that redemptions and expiry
+// draw down (oldest expiry first) through `remainingPoints`.
+const loyaltyTransactionSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['earn', 'redeem', 'expire', 'reverse_earn', 'reverse_redeem', 'adjust'],
+    required: true
+  },
+  // Signed: positive adds to the balance, negative takes from it
+  points: {
+    type: Number,
+    required: true
+  },
+  balanceAfter: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  description: {
+    type: String,
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  tier: String,
+  // Earn lots
+  expiresAt: Date,
+  remainingPoints: Number,
+  // Redemptions and reversals: which lots the points came from
+  lots: [{
+    lot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'LoyaltyTransaction'
+    },
+    points: Number,
+    _id: false
+  }],
+  // Guards against the same event being posted twice (e.g. `earn:<orderId>`)
+  idempotencyKey: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+loyaltyTransactionSchema.index({ customer: 1, createdAt: -1 });
+loyaltyTransactionSchema.index({ type: 1, expiresAt: 1, remainingPoints: 1 });
+loyaltyTransactionSchema.index({ idempotencyKey: 1 }, { unique: true, sparse: true });
+loyaltyTransactionSchema.index({ order: 1, type: 1 });
+
+module.exports = mongoose.model('LoyaltyTransaction', loyaltyTransactionSchema);
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Second-factor answers per account (authenticator, backup or email code),
+// shared by every app instance. Counts attempts for the lockout window and
+// lapses (TTL index) when it ends; a correct answer removes it.
+const mfaAttemptSchema = new mongoose.Schema({
+  // '<Model>:<id>' - the same account id can exist in User and the admin collections
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+mfaAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('MfaAttempt', mfaAttemptSchema);
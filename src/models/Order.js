@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const { ORDER_STATUS, PAYMENT_METHODS } = require('../config/constants');
+const { assertTransition, getAllowedTransitions } = require('../services/orderStateMachine');
 
 const orderSchema = new mongoose.Schema({
   orderNumber: {
@@ -31,6 +32,40 @@ const orderSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Branch'
   },
+  // How the branch was chosen (see BranchRoutingService)
+  routing: {
+    method: {
+      type: String,
+      enum: ['auto', 'customer', 'admin']
+    },
+    distanceKm: Number,
+    reasons: [String],
+    override: {
+      type: Boolean,
+      default: false
+    },
+    routedAt: Date,
+    routedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  // Delivery zone the pickup point fell in, with the terms applied
+  deliveryZone: {
+    zone: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DeliveryZone'
+    },
+    name: String,
+    deliveryFee: Number,
+    minimumOrderValue: Number,
+    // Booking counted against the zone's slotCapacity
+    slot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ZoneSlot'
+    },
+    slotReleasedAt: Date
+  },
   // Pickup details
   pickupAddress: {
     name: String,
@@ -39,7 +74,12 @@ const orderSchema = new mongoose.Schema({
     addressLine2: String,
     landmark: String,
     city: String,
-    pincode: String
+    state: String,
+    pincode: String,
+    coordinates: {
+      lat: Number,
+      lng: Number
+    }
   },
   pickupDate: {
     type: Date,
@@ -49,6 +89,15 @@ const orderSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Capacity reservation for the pickup slot (released on cancellation)
+  pickupSlot: {
+    slot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PickupSlot'
+    },
+    reservedAt: Date,
+    releasedAt: Date
+  },
   // Delivery details
   deliveryAddress: {
     name: String,
@@ -57,7 +106,12 @@ const orderSchema = new mongoose.Schema({
     addressLine2: String,
     landmark: String,
     city: String,
-    pincode: String
+    state: String,
+    pincode: String,
+    coordinates: {
+      lat: Number,
+      lng: Number
+    }
   },
   estimatedDeliveryDate: Date,
   actualDeliveryDate: Date,
@@ -76,6 +130,24 @@ const orderSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    holidaySurcharge: {
+      type: Number,
+      default: 0
+    },
+    // Holiday / surge rules applied at checkout, one entry per rule
+    surcharges: [{
+      rule: mongoose.Schema.Types.ObjectId,
+      name: String,
+      type: { type: String },
+      value: Number,
+      appliedOn: {
+        type: String,
+        enum: ['order_date', 'pickup_date']
+      },
+      coveredSubtotal: Number,
+      amount: Number,
+      _id: false
+    }],
     deliveryCharge: {
       type: Number,
       default: 0
@@ -84,6 +156,10 @@ const orderSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    promoDiscount: {
+      type: Number,
+      default: 0
+    },
     tax: {
       type: Number,
       default: 0
@@ -91,8 +167,92 @@ const orderSchema = new mongoose.Schema({
     total: {
       type: Number,
       required: true
+    },
+    // Subscription orders: catalogue value covered by the plan, and the plan
+    // fee when it is collected with this pickup
+    subscriptionCredit: {
+      type: Number,
+      default: 0
+    },
+    subscriptionFee: {
+      type: Number,
+      default: 0
+    },
+    // Subscription orders: weight above the plan allowance, charged at weigh-in
+    weightOverage: {
+      type: Number,
+      default: 0
+    },
+    // Loyalty tier benefits and points redeemed at checkout
+    loyalty: {
+      tier: String,
+      tierDiscount: {
+        type: Number,
+        default: 0
+      },
+      expressWaived: {
+        type: Number,
+        default: 0
+      },
+      pointsRedeemed: {
+        type: Number,
+        default: 0
+      },
+      pointsDiscount: {
+        type: Number,
+        default: 0
+      }
+    },
+    // Total less the wallet share; what is collected by COD or online payment
+    amountDue: Number,
+    taxRate: Number,
+    // Line-item price breakdown produced by the pricing engine
+    breakdown: [{
+      itemType: String,
+      name: String,
+      service: String,
+      category: String,
+      quantity: Number,
+      unit: String,
+      weightKg: Number,
+      priceSource: {
+        type: String,
+        enum: ['pricing_version', 'catalogue']
+      },
+      catalogueItem: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ServiceItem'
+      },
+      pricingItem: mongoose.Schema.Types.ObjectId,
+      basePrice: Number,
+      serviceMultiplier: Number,
+      categoryMultiplier: Number,
+      unitPrice: Number,
+      totalPrice: Number,
+      _id: false
+    }]
+  },
+  // Discount code applied at checkout
+  promotion: {
+    code: String,
+    policyId: mongoose.Schema.Types.ObjectId,
+    name: String,
+    type: { type: String },
+    discount: Number,
+    redemption: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DiscountRedemption'
     }
   },
+  // Pricing version used to price this order (snapshot for audit)
+  pricingVersion: {
+    pricing: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Pricing'
+    },
+    name: String,
+    version: String
+  },
   // Distance-based delivery details
   deliveryDetails: {
     distance: {
@@ -125,12 +285,146 @@ const orderSchema = new mongoose.Schema({
   },
   paymentStatus: {
     type: String,
-    enum: ['pending', 'paid', 'failed', 'refunded'],
+    enum: ['pending', 'paid', 'failed', 'partially_refunded', 'refunded'],
     default: 'pending'
   },
   paymentDetails: {
     transactionId: String,
-    paidAt: Date
+    paidAt: Date,
+    // Online payments
+    gateway: String,
+    paymentOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PaymentOrder'
+    },
+    gatewayOrderId: String,
+    paymentId: String,
+    method: String,
+    failureReason: String,
+    failedAt: Date
+  },
+  // Set on orders generated from a subscription
+  subscription: {
+    subscription: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Subscription'
+    },
+    plan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SubscriptionPlan'
+    },
+    date: String, // Scheduled pickup date (YYYY-MM-DD)
+    maxWeightKg: Number,
+    overageRatePerKg: Number
+  },
+  // Garment tags issued for the order and how many pieces have been scanned ready
+  tagSummary: {
+    total: {
+      type: Number,
+      default: 0
+    },
+    ready: {
+      type: Number,
+      default: 0
+    },
+    generatedAt: Date
+  },
+  // Last plant station the order (or all of its pieces) was scanned at
+  currentStation: String,
+  // Weight of the per_kg lines: estimated at booking, measured at pickup or branch intake
+  weight: {
+    estimatedKg: Number,
+    actualKg: Number,
+    weighedAt: Date,
+    weighedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    stage: {
+      type: String,
+      enum: ['pickup', 'intake']
+    },
+    // Set while a weigh-in is being settled so two scans can't settle the same snapshot
+    lockedAt: Date
+  },
+  // Price changes caused by weigh-ins and how each difference was settled
+  weightAdjustments: [{
+    stage: {
+      type: String,
+      enum: ['pickup', 'intake']
+    },
+    weightKg: Number,
+    previousTotal: Number,
+    newTotal: Number,
+    difference: Number, // Positive: customer owes more
+    settlement: {
+      type: String,
+      enum: ['amount_due_updated', 'payment_pending', 'paid', 'wallet_debited', 'collect_on_delivery', 'refunded', 'refund_pending', 'absorbed']
+    },
+    paymentOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PaymentOrder'
+    },
+    walletEntry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WalletEntry'
+    },
+    refund: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Refund'
+    },
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    recordedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Loyalty points movements caused by this order
+  loyalty: {
+    redemption: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'LoyaltyTransaction'
+    },
+    redemptionRestoredAt: Date,
+    pointsEarned: {
+      type: Number,
+      default: 0
+    },
+    pointsReversed: {
+      type: Number,
+      default: 0
+    },
+    earnedAt: Date
+  },
+  // Share of the total paid from store credit at checkout
+  walletPayment: {
+    amount: {
+      type: Number,
+      default: 0
+    },
+    entry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WalletEntry'
+    },
+    reversedAt: Date,
+    reversalEntry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WalletEntry'
+    }
+  },
+  // Money returned to the customer; `reserved` includes refunds awaiting approval
+  refundSummary: {
+    reserved: {
+      type: Number,
+      default: 0
+    },
+    refunded: {
+      type: Number,
+      default: 0
+    }
   },
   // Status tracking
   status: {
@@ -155,6 +449,113 @@ const orderSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'LogisticsPartner'
   },
+  // In-house rider handling the current pickup / delivery leg (instead of a logistics partner)
+  riderAssignment: {
+    rider: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Rider'
+    },
+    leg: {
+      type: String,
+      enum: ['pickup', 'delivery']
+    },
+    routePlan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RoutePlan'
+    },
+    sequence: Number,
+    assignedAt: Date,
+    assignedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  // Code the customer gives the rider at handover (only its hash is kept)
+  handoverOtp: {
+    hash: {
+      type: String,
+      select: false
+    },
+    leg: {
+      type: String,
+      enum: ['pickup', 'delivery']
+    },
+    sentAt: Date,
+    expiresAt: Date,
+    attempts: {
+      type: Number,
+      default: 0
+    }
+  },
+  // Proof of each completed handover
+  handovers: [{
+    leg: {
+      type: String,
+      enum: ['pickup', 'delivery']
+    },
+    rider: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Rider'
+    },
+    otpVerified: Boolean,
+    recipientName: String,
+    photo: {
+      path: String,
+      contentType: String,
+      size: Number
+    },
+    signature: {
+      path: String,
+      contentType: String,
+      size: Number
+    },
+    geo: {
+      lat: Number,
+      lng: Number,
+      accuracy: Number,
+      // Distance from the address pin; far handovers are flagged for review
+      distanceFromAddressM: Number,
+      isFar: Boolean
+    },
+    notes: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Failed pickup / delivery attempts and what was booked instead
+  failedAttempts: [{
+    leg: {
+      type: String,
+      enum: ['pickup', 'delivery']
+    },
+    rider: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Rider'
+    },
+    reason: String,
+    notes: String,
+    photo: {
+      path: String,
+      contentType: String,
+      size: Number
+    },
+    geo: {
+      lat: Number,
+      lng: Number,
+      accuracy: Number,
+      distanceFromAddressM: Number,
+      isFar: Boolean
+    },
+    rescheduledTo: {
+      date: Date,
+      timeSlot: String
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   // Special instructions
   specialInstructions: String,
   // Staff assignment
@@ -200,7 +601,14 @@ const orderSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
-  invoiceUrl: String
+  invoiceUrl: String,
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  invoiceNumber: String,
+  // Set while the invoice is being issued so only one request takes a number
+  invoicePendingAt: Date
 }, {
   timestamps: true
 });
@@ -212,6 +620,12 @@ orderSchema.index({ customer: 1, createdAt: -1 });
 orderSchema.index({ branch: 1, status: 1 });
 orderSchema.index({ status: 1, createdAt: -1 });
 orderSchema.index({ pickupDate: 1 });
+orderSchema.index({ 'riderAssignment.rider': 1, status: 1 });
+// One order per subscription pickup date
+orderSchema.index(
+  { 'subscription.subscription': 1, 'subscription.date': 1 },
+  { unique: true, partialFilterExpression: { 'subscription.subscription': { $exists: true } } }
+);
 
 // Generate order number and barcode
 orderSchema.pre('save', async function(next) {
@@ -233,8 +647,19 @@ orderSchema.pre('save', async function(next) {
 });
 
 // Update status with history
-orderSchema.methods.updateStatus = function(newStatus, updatedBy, notes = '') {
+// Every move is validated against the order state machine; `role` is the
+// actor's role (required - jobs pass 'system' explicitly) and illegal moves throw OrderTransitionError.
+orderSchema.methods.updateStatus = function(newStatus, updatedBy, notes = '', role) {
+  assertTransition(this, newStatus, role);
+
   this.status = newStatus;
+  if (newStatus === ORDER_STATUS.DELIVERED && !this.actualDeliveryDate) {
+    this.actualDeliveryDate = new Date();
+  }
+  if (newStatus === ORDER_STATUS.CANCELLED) {
+    this.isCancelled = true;
+    this.cancelledAt = this.cancelledAt || new Date();
+  }
   this.statusHistory.push({
     status: newStatus,
     updatedBy,
@@ -244,14 +669,14 @@ orderSchema.methods.updateStatus = function(newStatus, updatedBy, notes = '') {
   return this.save();
 };
 
-// Check if order can be cancelled
-orderSchema.methods.canBeCancelled = function() {
-  const cancellableStatuses = [
-    ORDER_STATUS.PLACED,
-    ORDER_STATUS.ASSIGNED_TO_BRANCH,
-    ORDER_STATUS.ASSIGNED_TO_LOGISTICS_PICKUP
-  ];
-  return cancellableStatuses.includes(this.status);
+// Statuses this order may move to next, optionally for a given role
+orderSchema.methods.getNextStatuses = function(role = null) {
+  return getAllowedTransitions(this.status, role);
+};
+
+// Check if order can be cancelled (by the given role, customer by default)
+orderSchema.methods.canBeCancelled = function(role = 'customer') {
+  return getAllowedTransitions(this.status, role).includes(ORDER_STATUS.CANCELLED);
 };
 
 module.exports = mongoose.model('Order', orderSchema);
\ No newline at end of file
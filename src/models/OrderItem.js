@@ -29,7 +29,23 @@ const orderItemSchema = new mongoose.Schema({
     required: true,
     min: 1
   },
+  // per_kg lines are billed on weight: the booking estimate until the order is weighed
+  unit: {
+    type: String,
+    enum: ['per_piece', 'per_kg', 'per_pair', 'per_set'],
+    default: 'per_piece'
+  },
+  estimatedWeightKg: Number,
+  actualWeightKg: Number,
   // Pricing breakdown
+  priceSource: {
+    type: String,
+    enum: ['pricing_version', 'catalogue']
+  },
+  catalogueItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ServiceItem'
+  },
   basePrice: {
     type: Number,
     required: true
@@ -100,9 +116,15 @@ const orderItemSchema = new mongoose.Schema({
 orderItemSchema.index({ order: 1 });
 orderItemSchema.index({ processingStatus: 1 });
 
+// Quantity (or kilograms) the line is billed on
+orderItemSchema.methods.getBillableQuantity = function() {
+  if (this.unit !== 'per_kg') return this.quantity;
+  return this.actualWeightKg ?? this.estimatedWeightKg ?? this.quantity;
+};
+
 // Calculate total price
 orderItemSchema.pre('save', function(next) {
-  this.totalPrice = this.unitPrice * this.quantity;
+  this.totalPrice = Math.round(this.unitPrice * this.getBillableQuantity() * 100) / 100;
   next();
 });
 
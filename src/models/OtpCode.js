@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// A one-time code waiting to be entered (email OTP for admin sign-in, ...).
+// Only the hash of the code is stored; one live code per key and purpose.
+// The TTL index removes codes as soon as they lapse.
+const otpCodeSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  purpose: {
+    type: String,
+    required: true
+  },
+  codeHash: {
+    type: String,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  sentAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+otpCodeSchema.index({ key: 1, purpose: 1 }, { unique: true });
+otpCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OtpCode', otpCodeSchema);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// One gateway payment order per online checkout attempt
+const paymentOrderSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  gateway: {
+    type: String,
+    required: true
+  },
+  gatewayOrderId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // The order's own payment, or the extra charge after a weigh-in
+  purpose: {
+    type: String,
+    enum: ['order', 'weight_adjustment'],
+    default: 'order'
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  status: {
+    type: String,
+    enum: ['created', 'paid', 'failed', 'expired'],
+    default: 'created'
+  },
+  paymentId: String,
+  method: String,
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  failureReason: String,
+  failureCode: String,
+  paidAt: Date,
+  expiresAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+paymentOrderSchema.index({ order: 1, createdAt: -1 });
+paymentOrderSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('PaymentOrder', paymentOrderSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Bookings for one pickup time slot at one branch on one day.
+// Capacity comes from the branch settings unless an admin overrides it.
+const pickupSlotSchema = new mongoose.Schema({
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: true
+  },
+  // Calendar day in YYYY-MM-DD (branch local time)
+  date: {
+    type: String,
+    required: true,
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format']
+  },
+  timeSlot: {
+    type: String,
+    required: true
+  },
+  booked: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Admin override of the derived capacity (null = use branch capacity)
+  capacityOverride: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  isBlocked: {
+    type: Boolean,
+    default: false
+  },
+  blockReason: String,
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+pickupSlotSchema.index({ branch: 1, date: 1, timeSlot: 1 }, { unique: true });
+
+module.exports = mongoose.model('PickupSlot', pickupSlotSchema);
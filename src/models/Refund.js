@@ -89,6 +89,18 @@ const refundSchema = new mongoose.Schema({
   },
   processedAt: Date,
   transactionId: String,
+  // Ledger entry and gateway reference for the money movement
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  gatewayRefundId: String,
+  source: {
+    type: String,
+    enum: ['manual', 'cancellation', 'weight_adjustment', 'late_payment'],
+    default: 'manual'
+  },
+  failureReason: String,
   // Payment details
   paymentMethod: {
     type: String,
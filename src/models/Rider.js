@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const { RIDER_CONFIG } = require('../config/constants');
+
+// An in-house pickup / delivery rider of a branch. The login is a User with
+// role 'rider'; this holds the vehicle, the weekly shifts and the live status.
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const riderSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: true
+  },
+  vehicle: {
+    type: {
+      type: String,
+      enum: RIDER_CONFIG.VEHICLE_TYPES,
+      default: 'motorcycle'
+    },
+    registrationNumber: {
+      type: String,
+      uppercase: true,
+      trim: true
+    },
+    // What the vehicle carries at once
+    capacityOrders: {
+      type: Number,
+      default: 20,
+      min: 1
+    },
+    capacityKg: {
+      type: Number,
+      default: 60,
+      min: 1
+    }
+  },
+  // Weekly shifts; a day without an entry is a day off
+  shifts: [{
+    _id: false,
+    day: {
+      type: String,
+      enum: DAYS,
+      required: true
+    },
+    start: {
+      type: String,
+      required: true,
+      match: [TIME_PATTERN, 'Shift times must be HH:mm']
+    },
+    end: {
+      type: String,
+      required: true,
+      match: [TIME_PATTERN, 'Shift times must be HH:mm']
+    }
+  }],
+  status: {
+    type: String,
+    enum: ['off_duty', 'available', 'on_run'],
+    default: 'off_duty'
+  },
+  lastLocation: {
+    lat: Number,
+    lng: Number,
+    accuracy: Number,
+    at: Date
+  },
+  stats: {
+    pickups: { type: Number, default: 0 },
+    deliveries: { type: Number, default: 0 },
+    failedAttempts: { type: Number, default: 0 }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+riderSchema.index({ branch: 1, isActive: 1 });
+
+riderSchema.path('shifts').validate(function(shifts) {
+  return shifts.every(shift => shift.start < shift.end) &&
+    new Set(shifts.map(shift => shift.day)).size === shifts.length;
+}, 'Each day can have one shift, starting before it ends');
+
+// The shift worked on a date, or null on a day off
+riderSchema.methods.getShift = function(date = new Date()) {
+  const day = DAYS[new Date(date).getDay()];
+  return this.shifts.find(shift => shift.day === day) || null;
+};
+
+// Check whether the rider is on shift at a moment
+riderSchema.methods.isOnShift = function(at = new Date()) {
+  const shift = this.getShift(at);
+  if (!shift) return false;
+  const time = `${String(at.getHours()).padStart(2, '0')}:${String(at.getMinutes()).padStart(2, '0')}`;
+  return time >= shift.start && time < shift.end;
+};
+
+module.exports = mongoose.model('Rider', riderSchema);
@@ -18,6 +18,145 @@ const permissionSchema = new mongoose.Schema({
   }
 })
 
+const ALL_ACTIONS = ['create', 'read', 'update', 'delete', 'approve', 'export']
+const OWN_BRANCH = { branchRestriction: true }
+
+// Roles every install starts with. The names match User.role, so each user
+// gets the permissions of the Role of the same name.
+const DEFAULT_ROLES = [
+  {
+    name: 'admin',
+    displayName: 'Administrator',
+    description: 'Runs day-to-day operations across all branches',
+    level: 1,
+    category: 'management',
+    permissions: [
+      { module: 'orders', actions: ALL_ACTIONS },
+      { module: 'customers', actions: ALL_ACTIONS },
+      { module: 'inventory', actions: ALL_ACTIONS },
+      { module: 'staff', actions: ALL_ACTIONS },
+      { module: 'finances', actions: ['create', 'read', 'update', 'approve', 'export'] },
+      { module: 'reports', actions: ['read', 'export'] },
+      { module: 'analytics', actions: ['read', 'export'] },
+      // Without 'approve': platform-wide programmes stay with the center admin
+      { module: 'settings', actions: ['create', 'read', 'update', 'delete'] }
+    ],
+    settings: {
+      canCreateUsers: true,
+      canViewReports: true,
+      canExportData: true
+    },
+    financialLimits: {
+      canProcessPayments: true,
+      canViewFinancials: true
+    },
+    systemAccess: {
+      adminPanelAccess: true
+    },
+    isSystemRole: true
+  },
+  {
+    name: 'branch_manager',
+    displayName: 'Branch Manager',
+    description: 'Full control over branch operations',
+    level: 2,
+    category: 'management',
+    permissions: [
+      { module: 'orders', actions: ['create', 'read', 'update', 'delete'], restrictions: OWN_BRANCH },
+      { module: 'customers', actions: ['create', 'read', 'update'], restrictions: OWN_BRANCH },
+      { module: 'staff', actions: ['create', 'read', 'update', 'delete'], restrictions: OWN_BRANCH },
+      { module: 'inventory', actions: ['create', 'read', 'update', 'delete'], restrictions: OWN_BRANCH },
+      { module: 'settings', actions: ['create', 'read', 'update', 'delete'], restrictions: OWN_BRANCH },
+      { module: 'reports', actions: ['read', 'export'], restrictions: OWN_BRANCH },
+      { module: 'analytics', actions: ['read'], restrictions: OWN_BRANCH },
+      { module: 'finances', actions: ['read'], restrictions: { maxAmount: 5000, branchRestriction: true } }
+    ],
+    settings: {
+      canCreateUsers: true,
+      canViewReports: true,
+      canExportData: true
+    },
+    financialLimits: {
+      maxRefundAmount: 1000,
+      maxDiscountPercent: 15,
+      canViewFinancials: true
+    },
+    isSystemRole: true
+  },
+  {
+    name: 'assistant_manager',
+    displayName: 'Assistant Manager',
+    description: 'Assists branch manager with daily operations',
+    level: 3,
+    category: 'management',
+    permissions: [
+      { module: 'orders', actions: ['create', 'read', 'update'], restrictions: OWN_BRANCH },
+      { module: 'customers', actions: ['create', 'read', 'update'], restrictions: OWN_BRANCH },
+      { module: 'reports', actions: ['read'], restrictions: OWN_BRANCH }
+    ],
+    financialLimits: {
+      maxRefundAmount: 500,
+      maxDiscountPercent: 10
+    },
+    isSystemRole: true
+  },
+  {
+    name: 'supervisor',
+    displayName: 'Supervisor',
+    description: 'Supervises daily operations and staff',
+    level: 4,
+    category: 'operations',
+    permissions: [
+      { module: 'orders', actions: ['read', 'update'], restrictions: OWN_BRANCH },
+      { module: 'customers', actions: ['read', 'update'], restrictions: OWN_BRANCH }
+    ],
+    financialLimits: {
+      maxRefundAmount: 200,
+      maxDiscountPercent: 5
+    },
+    isSystemRole: true
+  },
+  {
+    name: 'support_agent',
+    displayName: 'Support Agent',
+    description: 'Handles customer tickets and order queries',
+    level: 4,
+    category: 'support',
+    permissions: [
+      { module: 'orders', actions: ['read'] },
+      { module: 'customers', actions: ['read', 'update'] }
+    ],
+    isSystemRole: true
+  },
+  {
+    name: 'staff',
+    displayName: 'Staff Member',
+    description: 'Basic operational access',
+    level: 5,
+    category: 'operations',
+    permissions: [
+      { module: 'orders', actions: ['read', 'update'], restrictions: OWN_BRANCH },
+      { module: 'customers', actions: ['read'], restrictions: OWN_BRANCH }
+    ],
+    isSystemRole: true
+  },
+  {
+    name: 'driver',
+    displayName: 'Delivery Driver',
+    description: 'Pickup and delivery operations',
+    level: 6,
+    category: 'operations',
+    permissions: [
+      { module: 'orders', actions: ['read', 'update'] }
+    ],
+    operationalLimits: {
+      canCancelOrders: false,
+      canModifyOrders: false
+    },
+    isSystemRole: true
+  }
+]
+
 const roleSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -178,28 +317,42 @@ roleSchema.methods.removePermission = function(module, action = null) {
 }
 
 // Method to check if role can perform action with restrictions
+// context: { amount, discount, refundAmount, userBranch, targetBranch } - branches as strings
 roleSchema.methods.canPerformAction = function(module, action, context = {}) {
   const permission = this.permissions.find(p => p.module === module)
   
   if (!permission || !permission.actions.includes(action)) {
-    return { allowed: false, reason: 'Permission not granted' }
+    return { allowed: false, code: 'PERMISSION_NOT_GRANTED', reason: 'Permission not granted' }
   }
   
-  const restrictions = permission.restrictions
+  const restrictions = permission.restrictions || {}
+  const limits = this.financialLimits || {}
   
   // Check amount restrictions
   if (restrictions.maxAmount && context.amount > restrictions.maxAmount) {
     return { 
       allowed: false, 
+      code: 'AMOUNT_LIMIT_EXCEEDED',
       reason: `Amount exceeds limit of ₹${restrictions.maxAmount}` 
     }
   }
   
+  // Check refund limit of the role
+  if (limits.maxRefundAmount && context.refundAmount > limits.maxRefundAmount) {
+    return { 
+      allowed: false, 
+      code: 'REFUND_LIMIT_EXCEEDED',
+      reason: `Refund exceeds limit of ₹${limits.maxRefundAmount}` 
+    }
+  }
+  
   // Check discount restrictions
-  if (restrictions.maxDiscount && context.discount > restrictions.maxDiscount) {
+  const maxDiscount = restrictions.maxDiscount || limits.maxDiscountPercent
+  if (maxDiscount && context.discount > maxDiscount) {
     return { 
       allowed: false, 
-      reason: `Discount exceeds limit of ${restrictions.maxDiscount}%` 
+      code: 'DISCOUNT_LIMIT_EXCEEDED',
+      reason: `Discount exceeds limit of ${maxDiscount}%` 
     }
   }
   
@@ -210,122 +363,31 @@ roleSchema.methods.canPerformAction = function(module, action, context = {}) {
     if (hour < 9 || hour > 18) {
       return { 
         allowed: false, 
+        code: 'OUTSIDE_BUSINESS_HOURS',
         reason: 'Action only allowed during business hours (9 AM - 6 PM)' 
       }
     }
   }
   
   // Check branch restrictions
-  if (restrictions.branchRestriction && context.userBranch !== context.targetBranch) {
+  if (restrictions.branchRestriction && (!context.userBranch || context.userBranch !== context.targetBranch)) {
     return { 
       allowed: false, 
+      code: 'BRANCH_RESTRICTED',
       reason: 'Action restricted to own branch only' 
     }
   }
   
-  return { allowed: true }
+  return { allowed: true, restrictions }
 }
 
 // Static method to create default roles
 roleSchema.statics.createDefaultRoles = async function(createdBy) {
-  const defaultRoles = [
-    {
-      name: 'branch_manager',
-      displayName: 'Branch Manager',
-      description: 'Full control over branch operations',
-      level: 2,
-      category: 'management',
-      permissions: [
-        { module: 'orders', actions: ['create', 'read', 'update', 'delete'] },
-        { module: 'customers', actions: ['create', 'read', 'update'] },
-        { module: 'staff', actions: ['create', 'read', 'update'] },
-        { module: 'reports', actions: ['read', 'export'] },
-        { module: 'finances', actions: ['read'], restrictions: { maxAmount: 5000 } }
-      ],
-      settings: {
-        canCreateUsers: true,
-        canViewReports: true,
-        canExportData: true
-      },
-      financialLimits: {
-        maxRefundAmount: 1000,
-        maxDiscountPercent: 15,
-        canViewFinancials: true
-      },
-      isSystemRole: true,
-      createdBy
-    },
-    {
-      name: 'assistant_manager',
-      displayName: 'Assistant Manager',
-      description: 'Assists branch manager with daily operations',
-      level: 3,
-      category: 'management',
-      permissions: [
-        { module: 'orders', actions: ['create', 'read', 'update'] },
-        { module: 'customers', actions: ['create', 'read', 'update'] },
-        { module: 'reports', actions: ['read'] }
-      ],
-      financialLimits: {
-        maxRefundAmount: 500,
-        maxDiscountPercent: 10
-      },
-      isSystemRole: true,
-      createdBy
-    },
-    {
-      name: 'supervisor',
-      displayName: 'Supervisor',
-      description: 'Supervises daily operations and staff',
-      level: 4,
-      category: 'operations',
-      permissions: [
-        { module: 'orders', actions: ['read', 'update'] },
-        { module: 'customers', actions: ['read', 'update'] }
-      ],
-      financialLimits: {
-        maxRefundAmount: 200,
-        maxDiscountPercent: 5
-      },
-      isSystemRole: true,
-      createdBy
-    },
-    {
-      name: 'staff',
-      displayName: 'Staff Member',
-      description: 'Basic operational access',
-      level: 5,
-      category: 'operations',
-      permissions: [
-        { module: 'orders', actions: ['read', 'update'] },
-        { module: 'customers', actions: ['read'] }
-      ],
-      isSystemRole: true,
-      createdBy
-    },
-    {
-      name: 'driver',
-      displayName: 'Delivery Driver',
-      description: 'Pickup and delivery operations',
-      level: 6,
-      category: 'operations',
-      permissions: [
-        { module: 'orders', actions: ['read', 'update'] }
-      ],
-      operationalLimits: {
-        canCancelOrders: false,
-        canModifyOrders: false
-      },
-      isSystemRole: true,
-      createdBy
-    }
-  ]
-  
   const createdRoles = []
-  for (const roleData of defaultRoles) {
+  for (const roleData of DEFAULT_ROLES) {
     const existingRole = await this.findOne({ name: roleData.name })
     if (!existingRole) {
-      const role = new this(roleData)
+      const role = new this({ ...roleData, createdBy })
       await role.save()
       createdRoles.push(role)
     }
@@ -334,4 +396,9 @@ roleSchema.statics.createDefaultRoles = async function(createdBy) {
   return createdRoles
 }
 
-module.exports = mongoose.model('Role', roleSchema)
\ No newline at end of file
+const Role = mongoose.model('Role', roleSchema)
+
+// Built-in definitions, also used for a role name that has no Role document yet
+Role.DEFAULT_ROLES = DEFAULT_ROLES
+
+module.exports = Role
\ No newline at end of file
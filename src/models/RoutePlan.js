@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+
+// A branch's delivery runs for one day, as planned by RoutePlanningService:
+// one run per vehicle with its stops in visiting order, plus the stops that
+// could not be fitted in. Planning the same day again supersedes the plan.
+const stopSchema = new mongoose.Schema({
+  sequence: {
+    type: Number,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['pickup', 'delivery'],
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  orderNumber: String,
+  customerName: String,
+  phone: String,
+  address: String,
+  pincode: String,
+  coordinates: {
+    lat: Number,
+    lng: Number
+  },
+  // Where the coordinates came from: the order, a cached geocode or a pincode centroid
+  locationSource: {
+    type: String,
+    enum: ['order', 'geocoded', 'pincode', 'district']
+  },
+  timeSlot: String,
+  eta: Date,
+  // Minutes spent waiting for the time slot to open
+  waitMinutes: {
+    type: Number,
+    default: 0
+  },
+  distanceFromPreviousKm: Number,
+  weightKg: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+const runSchema = new mongoose.Schema({
+  runNumber: {
+    type: Number,
+    required: true
+  },
+  vehicle: {
+    id: String,
+    name: String,
+    type: { type: String },
+    registrationNumber: String,
+    riderName: String,
+    riderPhone: String,
+    capacityOrders: Number,
+    capacityKg: Number,
+    shiftStart: String,
+    shiftEnd: String
+  },
+  stops: [stopSchema],
+  distanceKm: {
+    type: Number,
+    default: 0
+  },
+  durationMinutes: {
+    type: Number,
+    default: 0
+  },
+  startAt: Date,
+  returnAt: Date,
+  // Most the vehicle carries at any point of the run
+  peakLoad: {
+    orders: { type: Number, default: 0 },
+    weightKg: { type: Number, default: 0 }
+  }
+}, { _id: false });
+
+const routePlanSchema = new mongoose.Schema({
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: true
+  },
+  // Calendar day (YYYY-MM-DD) the runs are for
+  date: {
+    type: String,
+    required: true,
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Date must be YYYY-MM-DD']
+  },
+  status: {
+    type: String,
+    enum: ['planned', 'superseded'],
+    default: 'planned'
+  },
+  runs: [runSchema],
+  unassigned: [{
+    _id: false,
+    type: { type: String, enum: ['pickup', 'delivery'] },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    },
+    orderNumber: String,
+    timeSlot: String,
+    reason: String,
+    message: String
+  }],
+  settings: {
+    serviceMinutes: Number,
+    averageSpeedKmph: Number,
+    roadFactor: Number
+  },
+  totals: {
+    stops: { type: Number, default: 0 },
+    unassigned: { type: Number, default: 0 },
+    distanceKm: { type: Number, default: 0 },
+    vehiclesUsed: { type: Number, default: 0 }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+routePlanSchema.index({ branch: 1, date: -1, status: 1 });
+routePlanSchema.index({ 'runs.stops.order': 1 });
+
+module.exports = mongoose.model('RoutePlan', routePlanSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// One barcode scan in a branch: who scanned what, where, on which device, and
+// whether it was accepted. Rejected scans are kept for troubleshooting.
+const scanEventSchema = new mongoose.Schema({
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  },
+  station: String, // Station code; null for status scans made outside the station flow
+  scanType: {
+    type: String,
+    enum: ['order', 'piece'],
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  }, // What was scanned (order barcode, order number or tag code)
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  garmentTag: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GarmentTag'
+  },
+  staff: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  staffRole: String,
+  deviceId: String,
+  result: {
+    type: String,
+    enum: ['accepted', 'rejected'],
+    required: true
+  },
+  rejectionReason: String,
+  rejectionCode: String,
+  fromStation: String,
+  statusBefore: String,
+  statusAfter: String,
+  notes: String,
+  scannedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes
+scanEventSchema.index({ branch: 1, scannedAt: -1 });
+scanEventSchema.index({ branch: 1, station: 1, scannedAt: -1 });
+scanEventSchema.index({ order: 1, scannedAt: 1 });
+scanEventSchema.index({ garmentTag: 1, scannedAt: 1 });
+scanEventSchema.index({ staff: 1, scannedAt: -1 });
+
+module.exports = mongoose.model('ScanEvent', scanEventSchema);
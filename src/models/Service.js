@@ -31,6 +31,12 @@ const serviceSchema = new mongoose.Schema({
     enum: ['laundry', 'dry_cleaning', 'pressing', 'specialty', 'other'],
     default: 'laundry'
   },
+  // SAC code printed on GST invoices (defaults by category, see GST_CONFIG)
+  sacCode: {
+    type: String,
+    trim: true,
+    match: [/^\d{4,8}$/, 'SAC code must be 4 to 8 digits']
+  },
   // Base pricing multiplier (can be overridden at branch level)
   basePriceMultiplier: {
     type: Number,
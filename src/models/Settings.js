@@ -1,5 +1,5 @@
 const mongoose = require('mongoose');
-const { DELIVERY_PRICING_DEFAULTS } = require('../config/constants');
+const { DELIVERY_PRICING_DEFAULTS, LOYALTY_DEFAULTS } = require('../config/constants');
 
 const settingsSchema = new mongoose.Schema({
   key: {
@@ -135,4 +135,21 @@ settingsSchema.statics.updateDeliveryPricing = async function(config, updatedBy)
   });
 };
 
+// Static method to get the loyalty program config
+settingsSchema.statics.getLoyaltyProgram = async function() {
+  const setting = await this.findOne({ key: 'loyalty_program', isActive: true });
+
+  // Return defaults for anything not configured
+  return {
+    rollingWindowDays: LOYALTY_DEFAULTS.ROLLING_WINDOW_DAYS,
+    pointValue: LOYALTY_DEFAULTS.POINT_VALUE,
+    minRedemptionPoints: LOYALTY_DEFAULTS.MIN_REDEMPTION_POINTS,
+    maxRedemptionPercent: LOYALTY_DEFAULTS.MAX_REDEMPTION_PERCENT,
+    expiryMonths: LOYALTY_DEFAULTS.EXPIRY_MONTHS,
+    vipMinTier: LOYALTY_DEFAULTS.VIP_MIN_TIER,
+    tiers: LOYALTY_DEFAULTS.TIERS,
+    ...(setting ? setting.value : {})
+  };
+};
+
 module.exports = mongoose.model('Settings', settingsSchema);
@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+const { SUBSCRIPTION_CONFIG } = require('../config/constants');
+
+// A customer's recurring pickup on a SubscriptionPlan. The scheduler turns each
+// scheduled date into an Order; `periods` tracks the monthly fee and quota.
+const subscriptionSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  plan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SubscriptionPlan',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'paused', 'past_due', 'cancelled'],
+    default: 'active'
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: true
+  },
+  pickupAddressId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Address',
+    required: true
+  },
+  deliveryAddressId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Address',
+    required: true
+  },
+  schedule: {
+    frequency: {
+      type: String,
+      enum: ['weekly', 'biweekly'],
+      default: 'weekly'
+    },
+    daysOfWeek: [{
+      type: Number,
+      min: 0,
+      max: 6
+    }],
+    timeSlot: {
+      type: String,
+      required: true
+    }
+  },
+  // Items picked up each time (same shape as POST /api/customer/orders items)
+  items: [{
+    itemType: String,
+    service: String,
+    category: String,
+    quantity: Number,
+    specialInstructions: String,
+    _id: false
+  }],
+  specialInstructions: String,
+  feePaymentMethod: {
+    type: String,
+    enum: SUBSCRIPTION_CONFIG.FEE_PAYMENT_METHODS,
+    default: 'wallet'
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  // YYYY-MM-DD dates the customer asked to skip
+  skippedDates: [String],
+  pausedAt: Date,
+  pausedUntil: Date,
+  cancelledAt: Date,
+  cancellationReason: String,
+  // Monthly billing periods, newest last
+  periods: [{
+    start: Date,
+    end: Date,
+    fee: Number,
+    pickupsAllowed: Number,
+    pickupsUsed: {
+      type: Number,
+      default: 0
+    },
+    feeStatus: {
+      type: String,
+      enum: ['pending', 'paid', 'collect_on_pickup', 'waived'],
+      default: 'pending'
+    },
+    feePaidAt: Date,
+    walletEntry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WalletEntry'
+    },
+    feeOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    }
+  }],
+  // What happened on each scheduled date
+  occurrences: [{
+    date: String,
+    status: {
+      type: String,
+      enum: ['generated', 'skipped', 'failed'],
+      required: true
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    },
+    reason: String,
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    _id: false
+  }],
+  nextPickupDate: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+subscriptionSchema.index({ customer: 1, status: 1 });
+subscriptionSchema.index({ status: 1, nextPickupDate: 1 });
+
+// Current billing period (the one containing `at`)
+subscriptionSchema.methods.getPeriod = function(at = new Date()) {
+  return this.periods.find(period => period.start <= at && at < period.end) || null;
+};
+
+module.exports = mongoose.model('Subscription', subscriptionSchema);
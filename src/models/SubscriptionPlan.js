@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const { SERVICES } = require('../config/constants');
+
+// A recurring pickup plan, e.g. "4 pickups/month up to 6 kg each"
+const subscriptionPlanSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  description: String,
+  monthlyFee: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  pickupsPerPeriod: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Per-pickup allowance; weight above it is charged at overageRatePerKg
+  maxWeightKgPerPickup: {
+    type: Number,
+    min: 0
+  },
+  maxItemsPerPickup: {
+    type: Number,
+    min: 1
+  },
+  overageRatePerKg: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Services covered by the fee; other services are charged at catalogue price less extraDiscountPercent
+  includedServices: [{
+    type: String,
+    enum: Object.values(SERVICES)
+  }],
+  extraDiscountPercent: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  includesDelivery: {
+    type: Boolean,
+    default: true
+  },
+  // Only these branches offer the plan; empty means every branch
+  branches: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+subscriptionPlanSchema.index({ isActive: 1 });
+
+module.exports = mongoose.model('SubscriptionPlan', subscriptionPlanSchema);
@@ -12,12 +12,26 @@ const sessionSchema = new mongoose.Schema({
   expiresAt: { type: Date, required: true }
 })
 
+const mfaSchema = new mongoose.Schema({
+  secret: { type: String },          // encrypted TOTP secret
+  pendingSecret: { type: String },   // TOTP secret awaiting its first code
+  method: { type: String, enum: ['email', 'totp'], default: 'email' },
+  isEnabled: { type: Boolean, default: false },
+  backupCodes: [{ type: String }],   // sha256 hashes
+  lastTotpStep: { type: Number },    // a TOTP code is accepted once
+  enabledAt: { type: Date },
+  lastUsed: { type: Date }
+})
+
 const superAdminSchema = new mongoose.Schema({
   name: { type: String, required: true },
   email: { type: String, required: true, unique: true },
   password: { type: String, required: true },
   role: { type: String, default: 'superadmin' },
   
+  // MFA Configuration
+  mfa: mfaSchema,
+  
   // Session Management
   sessions: [sessionSchema],
   
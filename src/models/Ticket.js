@@ -44,6 +44,11 @@ const ticketSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Order'
   },
+  // Garment tag codes the ticket is about (e.g. the missing pieces)
+  garmentTags: [{
+    type: String,
+    uppercase: true
+  }],
   // Resolution
   resolution: {
     type: String
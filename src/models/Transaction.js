@@ -31,6 +31,7 @@ const transactionSchema = new mongoose.Schema({
     type: String,
     enum: [
       'order_payment',
+      'weight_adjustment',
       'partial_refund',
       'full_refund',
       'driver_settlement',
@@ -94,6 +95,10 @@ const transactionSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId, 
     ref: 'User'
   },
+  refundId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Refund'
+  },
   
   // Payment Details
   paymentMethod: {
@@ -103,7 +108,7 @@ const transactionSchema = new mongoose.Schema({
   },
   paymentGateway: {
     type: String,
-    enum: ['razorpay', 'stripe', 'paytm', 'phonepe', 'gpay', 'manual']
+    enum: ['razorpay', 'stripe', 'paytm', 'phonepe', 'gpay', 'manual', 'mock']
   },
   
   // Bank Details (for settlements)
@@ -161,10 +166,11 @@ const transactionSchema = new mongoose.Schema({
   maxRetries: { type: Number, default: 3 },
   
   // Audit Trail
+  // Gateway payments and cancellation refunds are recorded by the system, not by an admin
   createdBy: { 
     type: mongoose.Schema.Types.ObjectId, 
     ref: 'CenterAdmin',
-    required: true
+    required: function() { return !['payment', 'refund'].includes(this.type) }
   },
   ipAddress: String,
   userAgent: String,
@@ -1,6 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
-const { USER_ROLES, WORKER_TYPES } = require('../config/constants');
+const { USER_ROLES, WORKER_TYPES, PASSWORD_RESET_CONFIG } = require('../config/constants');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -9,10 +9,13 @@ const userSchema = new mongoose.Schema({
     trim: true,
     maxlength: [50, 'Name cannot exceed 50 characters']
   },
+  // Optional for accounts created with a phone OTP; linked later
+  // Sparse so phone-only accounts can omit it; older databases need
+  // fix-user-email-index.js to rebuild email_1
   email: {
     type: String,
-    required: [true, 'Email is required'],
     unique: true,
+    sparse: true,
     lowercase: true,
     trim: true,
     match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
@@ -23,9 +26,10 @@ const userSchema = new mongoose.Schema({
     unique: true,
     match: [/^[6-9]\d{9}$/, 'Please enter a valid 10-digit phone number']
   },
+  // Required once an email is linked; phone-only accounts sign in by OTP
   password: {
     type: String,
-    required: [true, 'Password is required'],
+    required: [function() { return Boolean(this.email); }, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters'],
     select: false
   },
@@ -90,6 +94,29 @@ const userSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Loyalty tier, re-evaluated from rolling spend and delivered orders
+  loyalty: {
+    tier: {
+      type: String,
+      default: 'bronze'
+    },
+    rollingSpend: {
+      type: Number,
+      default: 0
+    },
+    rollingOrders: {
+      type: Number,
+      default: 0
+    },
+    evaluatedAt: Date,
+    tierChangedAt: Date
+  },
+  // Store credit available at checkout
+  walletBalance: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   // Email verification
   isEmailVerified: {
     type: Boolean,
@@ -112,6 +139,35 @@ const userSchema = new mongoose.Schema({
     type: Date,
     select: false
   },
+  // Tokens issued before this are no longer accepted
+  passwordChangedAt: Date,
+  // Second sign-in factor (admins and branch managers, see mfaService)
+  mfa: {
+    isEnabled: {
+      type: Boolean,
+      default: false
+    },
+    method: {
+      type: String,
+      enum: ['email', 'totp'],
+      default: 'email'
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    backupCodes: {
+      type: [String],
+      select: false
+    },
+    lastTotpStep: Number,
+    enabledAt: Date,
+    lastUsed: Date
+  },
   // Timestamps
   lastLogin: Date,
   phoneVerified: {
@@ -123,7 +179,6 @@ const userSchema = new mongoose.Schema({
 });
 
 // Index for performance
-userSchema.index({ email: 1 });
 userSchema.index({ phone: 1 });
 userSchema.index({ role: 1 });
 
@@ -163,9 +218,15 @@ userSchema.methods.generatePasswordResetToken = function() {
   const token = crypto.randomBytes(32).toString('hex');
   
   this.passwordResetToken = crypto.createHash('sha256').update(token).digest('hex');
-  this.passwordResetExpires = Date.now() + 60 * 60 * 1000; // 1 hour
+  this.passwordResetExpires = Date.now() + PASSWORD_RESET_CONFIG.TOKEN_TTL_MINUTES * 60 * 1000;
   
   return token;
 };
 
+// Check whether the password changed after a token was issued (iat in seconds)
+userSchema.methods.changedPasswordAfter = function(issuedAt) {
+  if (!this.passwordChangedAt || !issuedAt) return false;
+  return issuedAt * 1000 < this.passwordChangedAt.getTime();
+};
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// A signed-in device of a customer or staff user. The refresh token is
+// `<session id>.<secret>`; only the hash of the current secret is kept, plus
+// the hashes of the secrets it replaced so a replayed one can be recognised.
+const userSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  rotatedHashes: {
+    type: [String],
+    select: false
+  },
+  device: {
+    name: String,
+    userAgent: String,
+    ipAddress: String,
+    location: String
+  },
+  lastActiveAt: {
+    type: Date,
+    default: Date.now
+  },
+  refreshedAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'user_revoked', 'revoke_all', 'password_reset', 'deactivated', 'token_reuse', 'session_limit']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+userSessionSchema.index({ user: 1, revokedAt: 1, expiresAt: 1 });
+// Expired sessions are removed a week after they lapse
+userSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+userSessionSchema.methods.isActive = function(at = new Date()) {
+  return !this.revokedAt && this.expiresAt > at;
+};
+
+module.exports = mongoose.model('UserSession', userSessionSchema);
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const { WALLET_SOURCES } = require('../config/constants');
+
+// One journal entry per wallet movement. `lines` holds the double-entry legs
+// (customer wallet against a contra account) and must balance; `direction`,
+// `amount` and `balanceAfter` are the wallet-side view used for statements.
+const walletEntrySchema = new mongoose.Schema({
+  entryNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  direction: {
+    type: String,
+    enum: ['credit', 'debit'],
+    required: true
+  },
+  source: {
+    type: String,
+    enum: Object.keys(WALLET_SOURCES),
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  balanceAfter: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  lines: [{
+    account: {
+      type: String,
+      required: true
+    },
+    debit: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    credit: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    _id: false
+  }],
+  description: {
+    type: String,
+    required: true
+  },
+  // What caused the movement
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  refund: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Refund'
+  },
+  complaint: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Complaint'
+  },
+  // Guards against the same event being posted twice (e.g. `refund:<id>`)
+  idempotencyKey: String,
+  createdBy: {
+    id: mongoose.Schema.Types.ObjectId,
+    role: String,
+    email: String
+  },
+  metadata: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: true
+});
+
+// Indexes
+walletEntrySchema.index({ user: 1, createdAt: -1 });
+walletEntrySchema.index({ idempotencyKey: 1 }, { unique: true, sparse: true });
+walletEntrySchema.index({ order: 1 });
+walletEntrySchema.index({ source: 1, createdAt: -1 });
+
+// Debits and credits across the legs must net to zero
+walletEntrySchema.pre('validate', function(next) {
+  const totals = this.lines.reduce((sum, line) => ({
+    debit: sum.debit + (line.debit || 0),
+    credit: sum.credit + (line.credit || 0)
+  }), { debit: 0, credit: 0 });
+
+  if (this.lines.length < 2 || Math.abs(totals.debit - totals.credit) > 0.001) {
+    return next(new Error('Wallet journal entry is not balanced'));
+  }
+  next();
+});
+
+module.exports = mongoose.model('WalletEntry', walletEntrySchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Every gateway webhook we accept, keyed by the provider's event id so
+// redelivered events are recognised and not applied twice
+const webhookEventSchema = new mongoose.Schema({
+  gateway: {
+    type: String,
+    required: true
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  type: String,
+  gatewayOrderId: String,
+  paymentId: String,
+  status: {
+    type: String,
+    enum: ['processing', 'processed', 'ignored', 'failed'],
+    default: 'processing'
+  },
+  result: String,
+  payload: mongoose.Schema.Types.Mixed,
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+webhookEventSchema.index({ gateway: 1, eventId: 1 }, { unique: true });
+webhookEventSchema.index({ gatewayOrderId: 1 });
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
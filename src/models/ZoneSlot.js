@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Pickups booked from one delivery zone in one time slot on one day.
+// DeliveryZone.slotCapacity is enforced with a conditional $inc on `booked`.
+const zoneSlotSchema = new mongoose.Schema({
+  zone: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeliveryZone',
+    required: true
+  },
+  // Calendar day in YYYY-MM-DD (branch local time), as on PickupSlot
+  date: {
+    type: String,
+    required: true,
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format']
+  },
+  timeSlot: {
+    type: String,
+    required: true
+  },
+  booked: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+zoneSlotSchema.index({ zone: 1, date: 1, timeSlot: 1 }, { unique: true });
+
+module.exports = mongoose.model('ZoneSlot', zoneSlotSchema);
@@ -1,12 +1,16 @@
 const express = require('express');
 const { protect } = require('../../middlewares/auth');
+const { requirePermission } = require('../../middlewares/permission');
+const Refund = require('../../models/Refund');
 const {
   getDashboard,
   getAllOrders,
+  getBranchCandidates,
   assignOrderToBranch,
   assignOrderToLogistics,
   updateOrderStatus,
   updatePaymentStatus,
+  recordOrderWeight,
   fixDeliveredPayments,
   getCustomers,
   toggleCustomerStatus,
@@ -58,79 +62,159 @@ const {
   updateBranchDeliveryPricing
 } = require('../../controllers/admin/deliveryPricingController');
 
+const {
+  getBranchZones,
+  createBranchZone,
+  updateBranchZone,
+  deactivateBranchZone,
+  lookupZones
+} = require('../../controllers/admin/deliveryZoneController');
+
+const {
+  getBranchSlots,
+  updateBranchSlot
+} = require('../../controllers/admin/pickupSlotController');
+
+const {
+  getCustomerWallet,
+  createWalletAdjustment
+} = require('../../controllers/admin/walletController');
+
+const {
+  getLoyaltyProgram,
+  updateLoyaltyProgram
+} = require('../../controllers/admin/loyaltyController');
+
+const {
+  getSubscriptionPlans,
+  createSubscriptionPlan,
+  updateSubscriptionPlan,
+  getSubscriptions
+} = require('../../controllers/admin/subscriptionPlanController');
+
+const {
+  getInvoices,
+  getOrderInvoices,
+  issueOrderInvoice,
+  downloadInvoice
+} = require('../../controllers/admin/invoiceController');
+
 const router = express.Router();
 
+// The admin console spans all branches: a permission limited to the user's own
+// branch only gets through where the request names that branch or one of its orders
+const allow = (module, action, options = {}) => requirePermission(module, action, { crossBranch: true, ...options });
+
+// Amount of the refund a route acts on, checked against the role's refund limit
+const refundAmount = async (req) => {
+  const refund = await Refund.findById(req.params.refundId).select('amount').catch(() => null);
+  return refund?.amount;
+};
+
 // Apply authentication
 router.use(protect);
 
 // Dashboard routes
-router.get('/dashboard', getDashboard);
+router.get('/dashboard', allow('analytics', 'read'), getDashboard);
 
 // Analytics routes for charts
-router.get('/analytics/weekly-orders', getWeeklyOrders);
-router.get('/analytics/order-status', getOrderStatusDistribution);
-router.get('/analytics/revenue', getRevenueData);
-router.get('/analytics/hourly-orders', getHourlyOrders);
-router.get('/analytics/service-distribution', getServiceDistribution);
+router.get('/analytics/weekly-orders', allow('analytics', 'read'), getWeeklyOrders);
+router.get('/analytics/order-status', allow('analytics', 'read'), getOrderStatusDistribution);
+router.get('/analytics/revenue', allow('analytics', 'read'), getRevenueData);
+router.get('/analytics/hourly-orders', allow('analytics', 'read'), getHourlyOrders);
+router.get('/analytics/service-distribution', allow('analytics', 'read'), getServiceDistribution);
 
 // Order management routes
-router.get('/orders', getAllOrders);
-router.put('/orders/:orderId/assign-branch', assignOrderToBranch);
-router.put('/orders/:orderId/assign-logistics', assignOrderToLogistics);
-router.put('/orders/:orderId/status', updateOrderStatus);
-router.put('/orders/:orderId/payment-status', updatePaymentStatus);
-router.post('/fix-delivered-payments', fixDeliveredPayments);
+router.get('/orders', allow('orders', 'read'), getAllOrders);
+router.get('/orders/:orderId/branch-candidates', allow('orders', 'read'), getBranchCandidates);
+router.put('/orders/:orderId/assign-branch', allow('orders', 'update'), assignOrderToBranch);
+router.put('/orders/:orderId/assign-logistics', allow('orders', 'update'), assignOrderToLogistics);
+router.put('/orders/:orderId/status', allow('orders', 'update'), updateOrderStatus);
+router.put('/orders/:orderId/payment-status', allow('finances', 'update'), updatePaymentStatus);
+router.put('/orders/:orderId/weight', allow('orders', 'update'), recordOrderWeight);
+router.post('/fix-delivered-payments', allow('finances', 'update'), fixDeliveredPayments);
 
 // Customer management routes
-router.get('/customers', getCustomers);
-router.put('/customers/:customerId/toggle-status', toggleCustomerStatus);
-router.put('/customers/:customerId/vip', tagVIPCustomer);
+router.get('/customers', allow('customers', 'read'), getCustomers);
+router.put('/customers/:customerId/toggle-status', allow('customers', 'update'), toggleCustomerStatus);
+router.put('/customers/:customerId/vip', allow('customers', 'update'), tagVIPCustomer);
+router.get('/customers/:customerId/wallet', allow('finances', 'read'), getCustomerWallet);
+router.post('/customers/:customerId/wallet/adjustments', allow('finances', 'create', {
+  amount: (req) => Math.abs(Number(req.body.amount)) || 0
+}), createWalletAdjustment);
+
+// Loyalty program routes
+router.get('/loyalty/program', allow('settings', 'read'), getLoyaltyProgram);
+router.put('/loyalty/program', allow('settings', 'approve'), updateLoyaltyProgram);
+
+// Subscription plan routes
+router.get('/subscription-plans', allow('settings', 'read'), getSubscriptionPlans);
+router.post('/subscription-plans', allow('settings', 'approve'), createSubscriptionPlan);
+router.put('/subscription-plans/:planId', allow('settings', 'approve'), updateSubscriptionPlan);
+router.get('/subscriptions', allow('finances', 'read'), getSubscriptions);
+
+// Invoice routes
+router.get('/invoices', allow('finances', 'read'), getInvoices);
+router.get('/invoices/:invoiceId/pdf', allow('finances', 'read'), downloadInvoice);
+router.get('/orders/:orderId/invoices', allow('finances', 'read'), getOrderInvoices);
+router.post('/orders/:orderId/invoice', allow('finances', 'create'), issueOrderInvoice);
 
 // Complaint management routes
-router.get('/complaints', getComplaints);
-router.get('/complaints/:complaintId', getComplaintById);
-router.put('/complaints/:complaintId/assign', assignComplaint);
-router.put('/complaints/:complaintId/status', updateComplaintStatus);
+router.get('/complaints', allow('customers', 'read'), getComplaints);
+router.get('/complaints/:complaintId', allow('customers', 'read'), getComplaintById);
+router.put('/complaints/:complaintId/assign', allow('customers', 'update'), assignComplaint);
+router.put('/complaints/:complaintId/status', allow('customers', 'update'), updateComplaintStatus);
 
 // Refund management routes
-router.get('/refunds', getRefundRequests);
-router.get('/refunds/:refundId', getRefundById);
-router.post('/refunds', createRefundRequest);
-router.put('/refunds/:refundId/approve', approveRefund);
-router.put('/refunds/:refundId/reject', rejectRefund);
-router.put('/refunds/:refundId/escalate', escalateRefund);
-router.put('/refunds/:refundId/process', processRefund);
+router.get('/refunds', allow('finances', 'read'), getRefundRequests);
+router.get('/refunds/:refundId', allow('finances', 'read'), getRefundById);
+router.post('/refunds', allow('finances', 'create', { refundAmount: (req) => Number(req.body.amount) || 0 }), createRefundRequest);
+router.put('/refunds/:refundId/approve', allow('finances', 'approve', { refundAmount }), approveRefund);
+router.put('/refunds/:refundId/reject', allow('finances', 'approve'), rejectRefund);
+router.put('/refunds/:refundId/escalate', allow('finances', 'update'), escalateRefund);
+router.put('/refunds/:refundId/process', allow('finances', 'update', { refundAmount }), processRefund);
 
 // Support agents and logistics partners
-router.get('/support-agents', getSupportAgents);
-router.get('/logistics-partners', getLogisticsPartners);
+router.get('/support-agents', allow('staff', 'read'), getSupportAgents);
+router.get('/logistics-partners', allow('staff', 'read'), getLogisticsPartners);
 
 // Payment management routes
-router.get('/payments', getPayments);
-router.get('/payments/stats', getPaymentStats);
+router.get('/payments', allow('finances', 'read'), getPayments);
+router.get('/payments/stats', allow('finances', 'read'), getPaymentStats);
 
 // Analytics routes
-router.get('/analytics', getAnalytics);
+router.get('/analytics', allow('analytics', 'read'), getAnalytics);
 
 // Staff management routes
-router.get('/staff', getStaff);
-router.get('/staff/:staffId', getStaffById);
-router.post('/staff', createStaff);
-router.put('/staff/:staffId', updateStaff);
-router.delete('/staff/:staffId', deleteStaff);
-router.put('/staff/:staffId/reactivate', reactivateStaff);
-router.patch('/staff/:userId/status', toggleStaffStatus);
+router.get('/staff', allow('staff', 'read'), getStaff);
+router.get('/staff/:staffId', allow('staff', 'read'), getStaffById);
+router.post('/staff', allow('staff', 'create'), createStaff);
+router.put('/staff/:staffId', allow('staff', 'update'), updateStaff);
+router.delete('/staff/:staffId', allow('staff', 'delete'), deleteStaff);
+router.put('/staff/:staffId/reactivate', allow('staff', 'update'), reactivateStaff);
+router.patch('/staff/:userId/status', allow('staff', 'update'), toggleStaffStatus);
 
 // Branch management routes
-router.get('/branches', getBranches);
-router.get('/branches/coordinates-status', getBranchesCoordinatesStatus);
-router.get('/branches/:branchId/coordinates', getBranchCoordinates);
-router.put('/branches/:branchId/coordinates', updateBranchCoordinates);
-router.put('/branches/:branchId/delivery-pricing', updateBranchDeliveryPricing);
+router.get('/branches', allow('settings', 'read'), getBranches);
+router.get('/branches/coordinates-status', allow('settings', 'read'), getBranchesCoordinatesStatus);
+router.get('/branches/:branchId/coordinates', allow('settings', 'read'), getBranchCoordinates);
+router.put('/branches/:branchId/coordinates', allow('settings', 'update'), updateBranchCoordinates);
+router.put('/branches/:branchId/delivery-pricing', allow('settings', 'update'), updateBranchDeliveryPricing);
+
+// Delivery zone routes
+router.get('/zones/lookup', allow('settings', 'read'), lookupZones);
+router.get('/branches/:branchId/zones', allow('settings', 'read'), getBranchZones);
+router.post('/branches/:branchId/zones', allow('settings', 'create'), createBranchZone);
+router.put('/branches/:branchId/zones/:zoneId', allow('settings', 'update'), updateBranchZone);
+router.delete('/branches/:branchId/zones/:zoneId', allow('settings', 'delete'), deactivateBranchZone);
+
+// Pickup slot capacity routes
+router.get('/branches/:branchId/slots', allow('settings', 'read'), getBranchSlots);
+router.put('/branches/:branchId/slots', allow('settings', 'update'), updateBranchSlot);
 
 // Delivery pricing routes
-router.get('/delivery-pricing', getDeliveryPricing);
-router.put('/delivery-pricing', updateDeliveryPricing);
+router.get('/delivery-pricing', allow('settings', 'read'), getDeliveryPricing);
+router.put('/delivery-pricing', allow('settings', 'update'), updateDeliveryPricing);
 
 // Notification routes
 router.get('/notifications', getNotifications);
@@ -138,4 +222,4 @@ router.get('/notifications/unread-count', getUnreadNotificationCount);
 router.put('/notifications/mark-read', markNotificationsAsRead);
 router.put('/notifications/mark-all-read', markAllNotificationsAsRead);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -4,20 +4,21 @@ const {
   getBranchServices,
   bulkAssignServices
 } = require('../../controllers/admin/serviceController')
-const { protect, restrictTo } = require('../../middlewares/auth')
+const { protect } = require('../../middlewares/auth')
+const { requirePermission } = require('../../middlewares/permission')
 
 // All routes require authentication
 router.use(protect)
 
 // Get services for a specific branch
 router.get('/:branchId/services', 
-  restrictTo('admin', 'super_admin', 'center_admin', 'branch_manager'), 
+  requirePermission('settings', 'read'), 
   getBranchServices
 )
 
 // Bulk assign services to branch
 router.post('/:branchId/services/bulk', 
-  restrictTo('admin', 'super_admin', 'center_admin'), 
+  requirePermission('settings', 'update'), 
   bulkAssignServices
 )
 
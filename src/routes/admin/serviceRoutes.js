@@ -12,27 +12,31 @@ const {
   getBranchServices,
   bulkAssignServices
 } = require('../../controllers/admin/serviceController')
-const { protectAny, restrictTo } = require('../../middlewares/auth')
+const { protectAny } = require('../../middlewares/auth')
+const { requirePermission } = require('../../middlewares/permission')
+
+// The service catalogue is shared by all branches; changing it is not covered by a branch-restricted permission
+const ALL_BRANCHES = { crossBranch: true }
 
 // All routes require authentication (protectAny accepts both user and center admin tokens)
 router.use(protectAny)
 
 // Service CRUD routes
 router.route('/')
-  .get(restrictTo('admin', 'super_admin', 'center_admin', 'branch_manager'), getServices)
-  .post(restrictTo('admin', 'super_admin', 'center_admin'), createService)
+  .get(requirePermission('settings', 'read'), getServices)
+  .post(requirePermission('settings', 'create', ALL_BRANCHES), createService)
 
 router.route('/:id')
-  .get(restrictTo('admin', 'super_admin', 'center_admin', 'branch_manager'), getService)
-  .put(restrictTo('admin', 'super_admin', 'center_admin'), updateService)
-  .delete(restrictTo('admin', 'super_admin'), deleteService)
+  .get(requirePermission('settings', 'read'), getService)
+  .put(requirePermission('settings', 'update', ALL_BRANCHES), updateService)
+  .delete(requirePermission('settings', 'delete', ALL_BRANCHES), deleteService)
 
 // Branch assignment routes
 router.route('/:id/branches')
-  .post(restrictTo('admin', 'super_admin', 'center_admin'), assignServiceToBranch)
+  .post(requirePermission('settings', 'update', ALL_BRANCHES), assignServiceToBranch)
 
 router.route('/:id/branches/:branchId')
-  .put(restrictTo('admin', 'super_admin', 'center_admin'), updateBranchService)
-  .delete(restrictTo('admin', 'super_admin', 'center_admin'), removeServiceFromBranch)
+  .put(requirePermission('settings', 'update', ALL_BRANCHES), updateBranchService)
+  .delete(requirePermission('settings', 'update', ALL_BRANCHES), removeServiceFromBranch)
 
 module.exports = router
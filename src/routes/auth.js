@@ -7,15 +7,40 @@ const {
   verifyEmail,
   resendVerificationEmail,
   login,
+  sendPhoneOtp,
+  verifyPhoneOtp,
+  sendPhoneLinkOtp,
+  verifyPhoneLink,
+  linkEmail,
+  verifyLoginMFA,
+  setupMFA,
+  enableMFA,
+  disableMFA,
+  regenerateBackupCodes,
   getProfile,
   updateProfile,
   logout,
+  refreshSession,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
+  forgotPassword,
+  resetPassword,
   verifyInvitation,
   acceptInvitation
 } = require('../controllers/authController');
 
 // Import middleware
-const { protect } = require('../middlewares/auth');
+const { protect, optionalAuth, restrictTo } = require('../middlewares/auth');
+const {
+  forgotPasswordIpLimiter,
+  forgotPasswordEmailLimiter,
+  resetPasswordLimiter,
+  mfaVerifyLimiter,
+  phoneOtpLimiter,
+  phoneVerifyLimiter
+} = require('../middlewares/rateLimiter');
+const { MFA_CONFIG } = require('../config/constants');
 
 // Import validation
 const {
@@ -23,6 +48,11 @@ const {
   loginValidation,
   emailVerificationValidation,
   profileUpdateValidation,
+  passwordResetRequestValidation,
+  passwordResetValidation,
+  phoneOtpRequestValidation,
+  phoneOtpVerifyValidation,
+  emailLinkValidation,
   validate
 } = require('../utils/validation');
 
@@ -31,6 +61,14 @@ router.post('/register', validate(registerValidation), register);
 router.post('/verify-email', validate(emailVerificationValidation), verifyEmail);
 router.post('/resend-verification', resendVerificationEmail);
 router.post('/login', validate(loginValidation), login);
+router.post('/mfa/verify', mfaVerifyLimiter, verifyLoginMFA);
+router.post('/phone/send-otp', phoneOtpLimiter, validate(phoneOtpRequestValidation), sendPhoneOtp);
+router.post('/phone/verify', phoneVerifyLimiter, validate(phoneOtpVerifyValidation), verifyPhoneOtp);
+router.post('/refresh', refreshSession);
+// Works with an expired access token as long as the refresh token is sent
+router.post('/logout', optionalAuth, logout);
+router.post('/forgot-password', forgotPasswordIpLimiter, forgotPasswordEmailLimiter, validate(passwordResetRequestValidation), forgotPassword);
+router.post('/reset-password', resetPasswordLimiter, validate(passwordResetValidation), resetPassword);
 
 // Invitation routes (public)
 router.get('/invitation/:token', verifyInvitation);
@@ -41,6 +79,21 @@ router.use(protect); // All routes below require authentication
 
 router.get('/profile', getProfile);
 router.put('/profile', validate(profileUpdateValidation), updateProfile);
-router.post('/logout', logout);
+
+// Link a phone or email to the signed-in account
+router.post('/phone/link/send-otp', phoneOtpLimiter, validate(phoneOtpRequestValidation), sendPhoneLinkOtp);
+router.post('/phone/link/verify', phoneVerifyLimiter, validate(phoneOtpVerifyValidation), verifyPhoneLink);
+router.post('/email/link', validate(emailLinkValidation), linkEmail);
+
+// Signed-in devices
+router.get('/sessions', getSessions);
+router.delete('/sessions', revokeAllSessions);
+router.delete('/sessions/:sessionId', revokeSession);
+
+// Multi-factor sign-in (admins and branch managers)
+router.post('/mfa/setup', restrictTo(...MFA_CONFIG.USER_ROLES), setupMFA);
+router.post('/mfa/enable', restrictTo(...MFA_CONFIG.USER_ROLES), enableMFA);
+router.post('/mfa/disable', restrictTo(...MFA_CONFIG.USER_ROLES), disableMFA);
+router.post('/mfa/backup-codes', restrictTo(...MFA_CONFIG.USER_ROLES), regenerateBackupCodes);
 
 module.exports = router;
\ No newline at end of file
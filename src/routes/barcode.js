@@ -1,26 +1,63 @@
 const express = require('express');
 const router = express.Router();
-const { protect, restrictTo } = require('../middlewares/auth');
+const { protect } = require('../middlewares/auth');
+const { requirePermission } = require('../middlewares/permission');
 const {
   scanBarcode,
   getOrderBarcode,
   updateStatusViaScan,
+  recordWeightViaScan,
+  generateOrderTags,
+  getOrderTags,
+  markTagsPrinted,
+  getTag,
+  scanTag,
+  scanAtStation,
+  getStations,
+  updateStations,
+  getScanEvents,
+  getThroughputReport,
+  printReceipt,
+  printLabels,
   bulkScan
 } = require('../controllers/barcodeController');
 
 // All routes require authentication
 router.use(protect);
 
-// Scan barcode - accessible by staff, branch managers, admins
-router.get('/scan/:barcode', restrictTo('admin', 'super_admin', 'center_admin', 'branch_manager', 'operations_admin', 'support_agent'), scanBarcode);
+// Scan barcode - anyone who can read orders
+router.get('/scan/:barcode', requirePermission('orders', 'read'), scanBarcode);
 
 // Get barcode for order - accessible by all authenticated users
 router.get('/order/:orderId', getOrderBarcode);
 
-// Update status via scan - staff and admin only
-router.put('/scan/:barcode/status', restrictTo('admin', 'super_admin', 'center_admin', 'branch_manager', 'operations_admin'), updateStatusViaScan);
+// Update status via scan - needs order updates
+router.put('/scan/:barcode/status', requirePermission('orders', 'update'), updateStatusViaScan);
 
-// Bulk scan - staff and admin only
-router.post('/bulk-scan', restrictTo('admin', 'super_admin', 'center_admin', 'branch_manager', 'operations_admin'), bulkScan);
+// Record weight at pickup or intake
+router.post('/scan/:barcode/weight', requirePermission('orders', 'update'), recordWeightViaScan);
+
+// Garment tags
+router.route('/order/:orderId/tags')
+  .get(requirePermission('orders', 'read'), getOrderTags)
+  .post(requirePermission('orders', 'update'), generateOrderTags);
+router.post('/order/:orderId/tags/printed', requirePermission('orders', 'update'), markTagsPrinted);
+router.get('/tag/:tagCode', requirePermission('orders', 'read'), getTag);
+router.put('/tag/:tagCode/status', requirePermission('orders', 'update'), scanTag);
+
+// Thermal printing - ESC/POS bytes or a PDF sized to the paper roll
+router.get('/order/:orderId/receipt', requirePermission('orders', 'read'), printReceipt);
+router.get('/order/:orderId/labels', requirePermission('orders', 'read'), printLabels);
+
+// Station workflow - scans are checked against the branch's station order
+router.route('/stations')
+  .get(requirePermission('settings', 'read'), getStations)
+  .put(requirePermission('settings', 'update'), updateStations);
+router.post('/stations/:station/scan', requirePermission('orders', 'update'), scanAtStation);
+router.get('/events', requirePermission('orders', 'read'), getScanEvents);
+router.get('/reports/throughput', requirePermission('reports', 'read'), getThroughputReport);
+
+// Bulk scan
+router.post('/bulk-scan', requirePermission('orders', 'update'), bulkScan);
 
 module.exports = router;
@@ -1,5 +1,6 @@
 const express = require('express');
-const { protect, restrictTo } = require('../../middlewares/auth');
+const { protect } = require('../../middlewares/auth');
+const { requirePermission } = require('../../middlewares/permission');
 const {
   getDashboard,
   getOrders,
@@ -30,54 +31,89 @@ const {
   getServiceItems,
   addServiceItem,
   updateServiceItem,
-  deleteServiceItem
+  deleteServiceItem,
+  printOrderReceipt,
+  printOrderLabels
 } = require('../../controllers/centerAdmin/centerAdminController');
+const {
+  createRoutePlan,
+  getRoutePlans,
+  getRoutePlan,
+  downloadRouteManifest
+} = require('../../controllers/centerAdmin/routePlanController');
+const {
+  getRiders,
+  createRider,
+  updateRider,
+  assignOrderToRider,
+  unassignOrderRider,
+  assignRunToRider,
+  getOrderHandovers,
+  getHandoverFile
+} = require('../../controllers/centerAdmin/riderController');
 
 const router = express.Router();
 
-// Apply authentication and role restriction
+// Apply authentication; each route checks its Role permission
 router.use(protect);
-router.use(restrictTo('branch_manager', 'admin', 'center_admin'));
 
 // Dashboard
-router.get('/dashboard', getDashboard);
+router.get('/dashboard', requirePermission('analytics', 'read'), getDashboard);
 
 // Orders
-router.get('/orders', getOrders);
-router.put('/orders/:orderId/status', updateOrderStatus);
-router.put('/orders/:orderId/assign', assignStaffToOrder);
+router.get('/orders', requirePermission('orders', 'read'), getOrders);
+router.put('/orders/:orderId/status', requirePermission('orders', 'update'), updateOrderStatus);
+router.put('/orders/:orderId/assign', requirePermission('orders', 'update'), assignStaffToOrder);
+router.get('/orders/:orderId/receipt', requirePermission('orders', 'read'), printOrderReceipt);
+router.get('/orders/:orderId/labels', requirePermission('orders', 'read'), printOrderLabels);
+router.post('/orders/:orderId/rider', requirePermission('orders', 'update'), assignOrderToRider);
+router.delete('/orders/:orderId/rider', requirePermission('orders', 'update'), unassignOrderRider);
+router.get('/orders/:orderId/handovers', requirePermission('orders', 'read'), getOrderHandovers);
+router.get('/orders/:orderId/handovers/:recordId/:kind', requirePermission('orders', 'read'), getHandoverFile);
+
+// Pickup / delivery run planning
+router.post('/route-plans', requirePermission('orders', 'update'), createRoutePlan);
+router.get('/route-plans', requirePermission('orders', 'read'), getRoutePlans);
+router.get('/route-plans/:planId', requirePermission('orders', 'read'), getRoutePlan);
+router.get('/route-plans/:planId/manifest', requirePermission('orders', 'read'), downloadRouteManifest);
+router.post('/route-plans/:planId/runs/:runNumber/assign', requirePermission('orders', 'update'), assignRunToRider);
+
+// Riders
+router.get('/riders', requirePermission('staff', 'read'), getRiders);
+router.post('/riders', requirePermission('staff', 'create'), createRider);
+router.put('/riders/:riderId', requirePermission('staff', 'update'), updateRider);
 
 // Staff
-router.get('/staff', getStaff);
-router.patch('/staff/:staffId/availability', toggleStaffAvailability);
+router.get('/staff', requirePermission('staff', 'read'), getStaff);
+router.patch('/staff/:staffId/availability', requirePermission('staff', 'update'), toggleStaffAvailability);
 
 // Workers Management
-router.get('/worker-types', getWorkerTypes);
-router.post('/workers', addWorker);
-router.put('/workers/:workerId', updateWorker);
-router.delete('/workers/:workerId', deleteWorker);
+router.get('/worker-types', requirePermission('staff', 'read'), getWorkerTypes);
+router.post('/workers', requirePermission('staff', 'create'), addWorker);
+router.put('/workers/:workerId', requirePermission('staff', 'update'), updateWorker);
+router.delete('/workers/:workerId', requirePermission('staff', 'delete'), deleteWorker);
 
 // Inventory
-router.get('/inventory', getInventory);
-router.post('/inventory', addInventoryItem);
-router.put('/inventory/:itemId/stock', updateInventoryStock);
-router.delete('/inventory/:itemId', deleteInventoryItem);
+router.get('/inventory', requirePermission('inventory', 'read'), getInventory);
+router.post('/inventory', requirePermission('inventory', 'create'), addInventoryItem);
+router.put('/inventory/:itemId/stock', requirePermission('inventory', 'update'), updateInventoryStock);
+router.delete('/inventory/:itemId', requirePermission('inventory', 'delete'), deleteInventoryItem);
 
 // Analytics
-router.get('/analytics', getAnalytics);
+router.get('/analytics', requirePermission('analytics', 'read'), getAnalytics);
 
 // Services Management (enable/disable services for branch + create custom services)
-router.get('/services', getBranchServices);
-router.post('/services', createBranchService);
-router.put('/services/:serviceId/toggle', toggleBranchService);
-router.put('/services/:serviceId/settings', updateBranchServiceSettings);
-router.delete('/services/:serviceId', deleteBranchService);
+router.get('/services', requirePermission('settings', 'read'), getBranchServices);
+router.post('/services', requirePermission('settings', 'create'), createBranchService);
+router.put('/services/:serviceId/toggle', requirePermission('settings', 'update'), toggleBranchService);
+router.put('/services/:serviceId/settings', requirePermission('settings', 'update'), updateBranchServiceSettings);
+router.delete('/services/:serviceId', requirePermission('settings', 'delete'), deleteBranchService);
 
 // Service Items Management (add items to services)
-router.get('/services/:serviceId/items', getServiceItems);
-router.post('/services/:serviceId/items', addServiceItem);
-router.put('/services/:serviceId/items/:itemId', updateServiceItem);
-router.delete('/services/:serviceId/items/:itemId', deleteServiceItem);
+router.get('/services/:serviceId/items', requirePermission('settings', 'read'), getServiceItems);
+router.post('/services/:serviceId/items', requirePermission('settings', 'create'), addServiceItem);
+router.put('/services/:serviceId/items/:itemId', requirePermission('settings', 'update'), updateServiceItem);
+router.delete('/services/:serviceId/items/:itemId', requirePermission('settings', 'delete'), deleteServiceItem);
 
 // Notifications
 router.get('/notifications', getNotifications);
@@ -86,7 +122,7 @@ router.put('/notifications/mark-read', markNotificationsAsRead);
 router.put('/notifications/mark-all-read', markAllNotificationsAsRead);
 
 // Settings
-router.get('/settings', getSettings);
-router.put('/settings', updateSettings);
+router.get('/settings', requirePermission('settings', 'read'), getSettings);
+router.put('/settings', requirePermission('settings', 'update'), updateSettings);
 
 module.exports = router;
@@ -31,6 +31,40 @@ const {
   getCategories,
   submitFeedback
 } = require('../../controllers/customer/ticketController');
+const {
+  createPayment,
+  getPaymentStatus
+} = require('../../controllers/customer/paymentController');
+const {
+  getWallet,
+  getWalletStatement
+} = require('../../controllers/customer/walletController');
+const {
+  getLoyaltySummary,
+  getPointsHistory
+} = require('../../controllers/customer/loyaltyController');
+const {
+  getPlans,
+  createSubscription,
+  getSubscriptions,
+  getSubscription,
+  updateSubscription,
+  pauseSubscription,
+  resumeSubscription,
+  skipPickup,
+  unskipPickup,
+  paySubscriptionFee,
+  cancelSubscription
+} = require('../../controllers/customer/subscriptionController');
+const {
+  downloadInvoice,
+  getOrderInvoices,
+  downloadInvoiceDocument
+} = require('../../controllers/customer/invoiceController');
+const {
+  getRedemptions,
+  validatePromoCode
+} = require('../../controllers/customer/promotionController');
 const { addressValidation, validate } = require('../../utils/validation');
 
 const router = express.Router();
@@ -61,6 +95,45 @@ router.put('/orders/:orderId/cancel', cancelOrder);
 router.put('/orders/:orderId/rate', rateOrder);
 router.post('/orders/:orderId/reorder', reorder);
 
+// Invoice routes
+router.get('/orders/:orderId/invoice', downloadInvoice);
+router.get('/orders/:orderId/invoices', getOrderInvoices);
+router.get('/orders/:orderId/invoices/:invoiceId', downloadInvoiceDocument);
+
+// Payment routes
+router.route('/orders/:orderId/payment')
+  .get(getPaymentStatus)
+  .post(createPayment);
+
+// Wallet routes
+router.get('/wallet', getWallet);
+router.get('/wallet/statement', getWalletStatement);
+
+// Loyalty routes
+router.get('/loyalty', getLoyaltySummary);
+router.get('/loyalty/history', getPointsHistory);
+
+// Subscription routes
+router.get('/subscription-plans', getPlans);
+router.route('/subscriptions')
+  .get(getSubscriptions)
+  .post(createSubscription);
+
+router.route('/subscriptions/:id')
+  .get(getSubscription)
+  .put(updateSubscription);
+
+router.post('/subscriptions/:id/pause', pauseSubscription);
+router.post('/subscriptions/:id/resume', resumeSubscription);
+router.post('/subscriptions/:id/skip', skipPickup);
+router.delete('/subscriptions/:id/skip/:date', unskipPickup);
+router.post('/subscriptions/:id/pay', paySubscriptionFee);
+router.post('/subscriptions/:id/cancel', cancelSubscription);
+
+// Promotion routes
+router.post('/promotions/validate', validatePromoCode);
+router.get('/promotions/redemptions', getRedemptions);
+
 // Notification routes
 router.get('/notifications', getNotifications);
 router.get('/notifications/unread-count', getUnreadCount);
@@ -2,9 +2,43 @@ const express = require('express');
 const router = express.Router();
 const distanceService = require('../services/distanceService');
 const deliveryPricingService = require('../services/deliveryPricingService');
+const DeliveryZoneService = require('../services/deliveryZoneService');
 const Branch = require('../models/Branch');
 const Settings = require('../models/Settings');
 
+// Quote for a branch with delivery zones: the zone's fee replaces distance pricing
+const buildZoneQuote = (zone, distanceResult, isExpress, branch) => {
+  const distance = distanceResult.status === 'OK' ? distanceResult.distance : null;
+  const branchInfo = { id: branch._id, name: branch.name, code: branch.code };
+
+  if (!zone) {
+    return {
+      distance,
+      deliveryCharge: 0,
+      isServiceable: false,
+      isFallback: false,
+      zone: null,
+      branch: branchInfo,
+      message: 'Sorry, this address is outside our delivery zones.'
+    };
+  }
+
+  const expressBlocked = isExpress && !zone.expressAvailable;
+  return {
+    distance,
+    duration: distanceResult.duration,
+    deliveryCharge: zone.deliveryFee,
+    isServiceable: !expressBlocked,
+    isFallback: false,
+    zone: DeliveryZoneService.toSummary(zone),
+    minimumOrderValue: zone.minimumOrderValue,
+    branch: branchInfo,
+    message: expressBlocked
+      ? `Express service is not available in ${zone.name}.`
+      : (zone.deliveryFee === 0 ? 'Free delivery!' : `₹${zone.deliveryFee} delivery charge for ${zone.name}`)
+  };
+};
+
 /**
  * @route   POST /api/delivery/geocode
  * @desc    Geocode an address to coordinates
@@ -29,7 +63,8 @@ router.post('/geocode', async (req, res) => {
         data: {
           lat: result.lat,
           lng: result.lng,
-          formattedAddress: result.formattedAddress
+          formattedAddress: result.formattedAddress,
+          precision: result.precision
         }
       });
     } else {
@@ -107,11 +142,29 @@ router.post('/calculate-distance', async (req, res) => {
       ].filter(Boolean).join(', ');
     }
 
-    // Calculate distance
-    const distanceResult = await distanceService.calculateDistanceFromAddresses(
-      addressString,
-      `${branch.address.addressLine1}, ${branch.address.city}, ${branch.address.pincode}, India`
-    );
+    // Geocode the customer address and measure to the branch's configured coordinates
+    const customerCoords = await distanceService.geocodeAddress(addressString);
+    const distanceResult = customerCoords.status === 'OK'
+      ? await distanceService.calculateDistance(
+        { lat: customerCoords.lat, lng: customerCoords.lng },
+        { lat: branch.coordinates.latitude, lng: branch.coordinates.longitude }
+      )
+      : distanceService.getFallbackResponse('Could not locate the pickup address');
+    // A pincode-centroid location only gives an estimate
+    if (distanceResult.status === 'OK' && customerCoords.precision !== 'address') {
+      distanceResult.isEstimate = true;
+    }
+
+    // Branches with delivery zones price by the zone the customer is in
+    if (customerCoords.status === 'OK') {
+      const { hasZones, zone } = await DeliveryZoneService.resolveForBranch(branch._id, customerCoords);
+      if (hasZones) {
+        return res.json({
+          success: true,
+          data: { ...buildZoneQuote(zone, distanceResult, isExpress, branch), isEstimate: customerCoords.precision !== 'address' }
+        });
+      }
+    }
 
     // If API failed, use fallback pricing
     if (distanceResult.status !== 'OK' || distanceResult.useFallbackPricing) {
@@ -148,6 +201,8 @@ router.post('/calculate-distance', async (req, res) => {
         deliveryCharge: chargeResult.charge,
         isServiceable: chargeResult.isServiceable,
         isFallback: false,
+        isEstimate: Boolean(distanceResult.isEstimate),
+        provider: distanceResult.provider,
         breakdown: chargeResult.breakdown,
         branch: {
           id: branch._id,
@@ -251,6 +306,11 @@ router.post('/calculate-by-coordinates', async (req, res) => {
       { lat: branch.coordinates.latitude, lng: branch.coordinates.longitude }
     );
 
+    const { hasZones, zone } = await DeliveryZoneService.resolveForBranch(branch._id, { lat: customerLat, lng: customerLng });
+    if (hasZones) {
+      return res.json({ success: true, data: buildZoneQuote(zone, distanceResult, isExpress, branch) });
+    }
+
     if (distanceResult.status !== 'OK') {
       const fallback = deliveryPricingService.getFallbackCharge(isExpress);
       return res.json({
@@ -279,6 +339,8 @@ router.post('/calculate-by-coordinates', async (req, res) => {
         duration: distanceResult.duration,
         deliveryCharge: chargeResult.charge,
         isServiceable: chargeResult.isServiceable,
+        isEstimate: Boolean(distanceResult.isEstimate),
+        provider: distanceResult.provider,
         breakdown: chargeResult.breakdown
       }
     });
@@ -0,0 +1,18 @@
+const express = require('express');
+const { protect } = require('../middlewares/auth');
+const {
+  handleWebhook,
+  simulateMockPayment
+} = require('../controllers/paymentController');
+
+const router = express.Router();
+
+// Gateway callbacks are authenticated by their signature, not by a user token
+router.post('/webhook/:gateway', handleWebhook);
+
+// Local mock gateway - lets developers and tests complete a checkout
+if (process.env.NODE_ENV !== 'production') {
+  router.post('/mock/simulate', protect, simulateMockPayment);
+}
+
+module.exports = router;
@@ -0,0 +1,34 @@
+const express = require('express');
+const { protect, restrictTo } = require('../../middlewares/auth');
+const {
+  getMyProfile,
+  updateMyStatus,
+  updateMyLocation,
+  getMyStops,
+  startStop,
+  resendHandoverOtp,
+  completeStop,
+  failStop,
+  getFailureReasons
+} = require('../../controllers/rider/riderController');
+
+const router = express.Router();
+
+// Apply authentication and role restriction
+router.use(protect);
+router.use(restrictTo('rider'));
+
+// Profile
+router.get('/me', getMyProfile);
+router.put('/me/status', updateMyStatus);
+router.post('/me/location', updateMyLocation);
+
+// Stops
+router.get('/stops', getMyStops);
+router.post('/stops/:orderId/start', startStop);
+router.post('/stops/:orderId/otp', resendHandoverOtp);
+router.post('/stops/:orderId/complete', completeStop);
+router.post('/stops/:orderId/fail', failStop);
+router.get('/failure-reasons', getFailureReasons);
+
+module.exports = router;
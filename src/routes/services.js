@@ -1,4 +1,5 @@
 const express = require('express');
+const { optionalAuth } = require('../middlewares/auth');
 const {
   calculatePricing,
   getAvailableTimeSlots,
@@ -10,8 +11,10 @@ const {
 
 const router = express.Router();
 
-router.post('/calculate', calculatePricing);
+// Optional auth lets signed-in customers preview promo codes with their own eligibility
+router.post('/calculate', optionalAuth, calculatePricing);
 router.get('/time-slots', getAvailableTimeSlots);
+router.get('/availability', checkServiceAvailability);
 router.get('/availability/:pincode', checkServiceAvailability);
 router.get('/types', getServiceTypes);
 router.get('/branches', getActiveBranches);
@@ -4,6 +4,7 @@ const superAdminAuthController = require('../controllers/superAdminAuthControlle
 const { authenticateSuperAdmin } = require('../middlewares/superAdminAuthSimple')
 const { body } = require('express-validator')
 const NotificationService = require('../services/notificationService')
+const { mfaVerifyLimiter } = require('../middlewares/rateLimiter')
 const { sendSuccess, sendError, asyncHandler } = require('../utils/helpers')
 
 // Validation middleware
@@ -41,8 +42,9 @@ router.post('/reset-password',
   superAdminAuthController.resetPassword
 )
 
-// MFA Verification - Placeholder
+// MFA Verification - second login step
 router.post('/verify-mfa',
+  mfaVerifyLimiter,
   superAdminAuthController.verifyMFA
 )
 
@@ -66,18 +68,30 @@ router.get('/profile',
   superAdminAuthController.getProfile
 )
 
-// Enable MFA - Placeholder
+// Start authenticator-app setup
+router.post('/mfa/setup',
+  authenticateSuperAdmin,
+  superAdminAuthController.setupMFA
+)
+
+// Enable MFA (email OTP, or authenticator app after setup)
 router.post('/mfa/enable',
   authenticateSuperAdmin,
   superAdminAuthController.enableMFA
 )
 
-// Disable MFA - Placeholder
+// Disable MFA
 router.post('/mfa/disable',
   authenticateSuperAdmin,
   superAdminAuthController.disableMFA
 )
 
+// Regenerate MFA backup codes
+router.post('/mfa/backup-codes',
+  authenticateSuperAdmin,
+  superAdminAuthController.regenerateBackupCodes
+)
+
 // Refresh Session - Extend session on activity
 router.post('/refresh-session',
   authenticateSuperAdmin,
@@ -165,4 +165,43 @@ router.post('/:pricingId/clone',
   superAdminPricingController.clonePricingConfiguration
 )
 
+// Preview a holiday pricing rule against last year's orders
+router.post('/:pricingId/holiday-pricing/preview',
+  param('pricingId').isMongoId().withMessage('Valid pricing ID is required'),
+  body('ruleId')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid rule ID is required'),
+  body('rule')
+    .if(body('ruleId').not().exists())
+    .isObject()
+    .withMessage('Either ruleId or a rule definition is required'),
+  body('rule.type')
+    .if(body('ruleId').not().exists())
+    .isIn(['percentage_increase', 'fixed_surcharge', 'multiplier'])
+    .withMessage('Valid holiday pricing type is required'),
+  body('rule.value')
+    .if(body('ruleId').not().exists())
+    .isFloat({ min: 0 })
+    .withMessage('Rule value must be a positive number'),
+  body('rule.startDate')
+    .if(body('ruleId').not().exists())
+    .isISO8601()
+    .withMessage('Valid start date is required'),
+  body('rule.endDate')
+    .if(body('ruleId').not().exists())
+    .isISO8601()
+    .withMessage('Valid end date is required'),
+  body('branchId')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid branch ID is required'),
+  body('yearsBack')
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Years back must be between 1 and 5'),
+  logAdminAction('preview_holiday_pricing', 'settings'),
+  superAdminPricingController.previewHolidayPricing
+)
+
 module.exports = router
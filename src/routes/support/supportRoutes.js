@@ -1,5 +1,6 @@
 const express = require('express');
 const { protect } = require('../../middlewares/auth');
+const { requirePermission } = require('../../middlewares/permission');
 const {
   getSupportDashboard,
   getTickets,
@@ -15,23 +16,26 @@ const {
 
 const router = express.Router();
 
+// Tickets and customers are not tied to a branch, so branch-restricted permissions do not cover them
+const ALL_BRANCHES = { crossBranch: true };
+
 // Apply authentication
 router.use(protect);
 
 // Dashboard
-router.get('/dashboard', getSupportDashboard);
+router.get('/dashboard', requirePermission('customers', 'read', ALL_BRANCHES), getSupportDashboard);
 
 // Customers
-router.get('/customers', getCustomers);
-router.get('/customers/:customerId', getCustomerById);
+router.get('/customers', requirePermission('customers', 'read', ALL_BRANCHES), getCustomers);
+router.get('/customers/:customerId', requirePermission('customers', 'read', ALL_BRANCHES), getCustomerById);
 
 // Tickets
-router.get('/tickets', getTickets);
-router.get('/tickets/:ticketId', getTicketById);
-router.put('/tickets/:ticketId/status', updateTicketStatus);
-router.put('/tickets/:ticketId/assign', assignTicket);
-router.post('/tickets/:ticketId/messages', addMessageToTicket);
-router.put('/tickets/:ticketId/escalate', escalateTicket);
-router.put('/tickets/:ticketId/resolve', resolveTicket);
+router.get('/tickets', requirePermission('customers', 'read', ALL_BRANCHES), getTickets);
+router.get('/tickets/:ticketId', requirePermission('customers', 'read', ALL_BRANCHES), getTicketById);
+router.put('/tickets/:ticketId/status', requirePermission('customers', 'update', ALL_BRANCHES), updateTicketStatus);
+router.put('/tickets/:ticketId/assign', requirePermission('customers', 'update', ALL_BRANCHES), assignTicket);
+router.post('/tickets/:ticketId/messages', requirePermission('customers', 'update', ALL_BRANCHES), addMessageToTicket);
+router.put('/tickets/:ticketId/escalate', requirePermission('customers', 'update', ALL_BRANCHES), escalateTicket);
+router.put('/tickets/:ticketId/resolve', requirePermission('customers', 'update', ALL_BRANCHES), resolveTicket);
 
 module.exports = router;
\ No newline at end of file
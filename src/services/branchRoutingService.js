@@ -0,0 +1,472 @@
+const mongoose = require('mongoose');
+const Branch = require('../models/Branch');
+const Order = require('../models/Order');
+const OrderItem = require('../models/OrderItem');
+const Service = require('../models/Service');
+const PickupSlotService = require('./pickupSlotService');
+const DeliveryZoneService = require('./deliveryZoneService');
+const distanceService = require('./distanceService');
+const { ORDER_STATUS } = require('../config/constants');
+
+/**
+ * Branch Routing Service
+ * Decides which branch serves an order. Every active branch is checked for
+ * coverage (the pickup point inside one of its delivery zones, or for branches
+ * without zones within its serviceable radius or a served pincode), the
+ * requested services, whether it works on the pickup day and whether it has
+ * capacity left that day. Candidates come back ranked, each with the reasons
+ * it passed or failed. Branches are never created here.
+ */
+
+// Structured routing error - `error` and `statusCode` are used by the global error handler
+class RoutingError extends Error {
+  constructor(error, message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'RoutingError';
+    this.error = error;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const hasCoordinates = (coords) => coords && distanceService.validateCoordinates(coords) &&
+  !(coords.lat === 0 && coords.lng === 0);
+
+const addressToString = (address) => [
+  address.addressLine1,
+  address.addressLine2,
+  address.landmark,
+  address.city,
+  address.pincode,
+  'India'
+].filter(Boolean).join(', ');
+
+const reason = (code, ok, message) => ({ code, ok, message });
+
+class BranchRoutingService {
+  /**
+   * Coordinates of a customer address: the stored pin, otherwise a geocode
+   * that is saved back on the address for next time
+   * @param {Object} address - Address document or order address snapshot
+   * @returns {Promise<{ lat: number, lng: number, source: string } | null>}
+   */
+  static async resolveLocation(address) {
+    if (!address) return null;
+
+    const stored = address.coordinates;
+    if (hasCoordinates(stored)) {
+      return { lat: stored.lat, lng: stored.lng, source: stored.source || 'customer' };
+    }
+
+    const result = await distanceService.geocodeAddress(addressToString(address));
+    if (result.status !== 'OK' || !hasCoordinates(result)) {
+      return null;
+    }
+
+    // Only a real geocode is worth keeping; pincode centroids are looked up again next time
+    if (result.precision === 'address' && typeof address.save === 'function') {
+      try {
+        address.coordinates = { lat: result.lat, lng: result.lng, source: 'geocoded', updatedAt: new Date() };
+        await address.save();
+      } catch (error) {
+        console.error('Failed to store geocoded address coordinates:', error);
+        // Don't throw - routing can go ahead with the coordinates it has
+      }
+    }
+
+    return { lat: result.lat, lng: result.lng, source: result.precision === 'address' ? 'geocoded' : 'pincode' };
+  }
+
+  /**
+   * Orders and estimated kg already booked per branch on a pickup day
+   * @returns {Promise<Map<string, { orders: number, weightKg: number }>>}
+   */
+  static async getDailyLoad(branchIds, pickupDate, excludeOrderId = null) {
+    const start = new Date(pickupDate);
+    start.setHours(0, 0, 0, 0);
+    const end = new Date(start);
+    end.setDate(end.getDate() + 1);
+
+    const match = {
+      branch: { $in: branchIds.map(id => new mongoose.Types.ObjectId(String(id))) },
+      pickupDate: { $gte: start, $lt: end },
+      status: { $ne: ORDER_STATUS.CANCELLED }
+    };
+    if (excludeOrderId) {
+      match._id = { $ne: new mongoose.Types.ObjectId(String(excludeOrderId)) };
+    }
+
+    const rows = await Order.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$branch',
+          orders: { $sum: 1 },
+          weightKg: { $sum: { $ifNull: ['$weight.estimatedKg', 0] } }
+        }
+      }
+    ]);
+
+    return new Map(rows.map(row => [row._id.toString(), { orders: row.orders, weightKg: round(row.weightKg) }]));
+  }
+
+  // Services that can be booked at a branch; branch-created services only at their own branch
+  static checkServices(branch, serviceDocs) {
+    const unavailable = serviceDocs.filter(service =>
+      !service.isActive ||
+      !service.isActiveForBranch(branch._id) ||
+      (service.createdByBranch && service.createdByBranch.toString() !== branch._id.toString())
+    );
+
+    if (serviceDocs.length === 0) {
+      return reason('SERVICES', true, 'No specific services requested');
+    }
+    return unavailable.length === 0
+      ? reason('SERVICES', true, 'Offers all requested services')
+      : reason('SERVICES', false, `Does not offer ${unavailable.map(service => service.displayName || service.code).join(', ')}`);
+  }
+
+  /**
+   * Whether a branch serves the pickup point. Branches with delivery zones
+   * serve exactly the points inside them; others use the serviceable radius,
+   * with served pincodes as a fallback.
+   * @param {Object} zones - DeliveryZoneService.getCoverage result
+   */
+  static checkCoverage(branch, location, pincode, zones = null) {
+    const branchLocation = {
+      lat: branch.coordinates?.latitude,
+      lng: branch.coordinates?.longitude
+    };
+    const radius = branch.serviceableRadius || 20;
+    const pincodeMatch = Boolean(pincode) && (branch.serviceAreas || [])
+      .some(area => area.pincode === pincode && area.isActive !== false);
+
+    let distanceKm = null;
+    if (location && hasCoordinates(branchLocation)) {
+      distanceKm = round(distanceService.calculateHaversineDistance(branchLocation, location));
+    }
+
+    if (zones?.zonedBranches.has(branch._id.toString())) {
+      const zone = zones.zoneByBranch.get(branch._id.toString());
+      if (zone) {
+        return { distanceKm, zone, check: reason('COVERAGE', true, `Inside delivery zone ${zone.name}`) };
+      }
+      return {
+        distanceKm,
+        check: reason('COVERAGE', false, location
+          ? 'Outside the branch delivery zones'
+          : 'Pickup location unknown; this branch only serves its delivery zones')
+      };
+    }
+
+    if (distanceKm !== null && distanceKm <= radius) {
+      return { distanceKm, check: reason('COVERAGE', true, `${distanceKm} km away, within the ${radius} km service radius`) };
+    }
+    if (pincodeMatch) {
+      return {
+        distanceKm,
+        check: reason('COVERAGE', true, distanceKm !== null
+          ? `${distanceKm} km away, but pincode ${pincode} is a served area`
+          : `Pincode ${pincode} is a served area`)
+      };
+    }
+    if (distanceKm !== null) {
+      return { distanceKm, check: reason('COVERAGE', false, `${distanceKm} km away, outside the ${radius} km service radius`) };
+    }
+    return {
+      distanceKm,
+      check: reason('COVERAGE', false, hasCoordinates(branchLocation)
+        ? `Pickup location unknown and pincode ${pincode || '-'} is not a served area`
+        : `Branch location not configured and pincode ${pincode || '-'} is not a served area`)
+    };
+  }
+
+  /**
+   * Evaluate branches for an order and rank them: eligible branches first,
+   * nearest first, then least loaded
+   * @param {Object} request
+   * @param {Object} [request.location] - { lat, lng } of the pickup (or delivery) address
+   * @param {string} [request.pincode] - Pincode of that address
+   * @param {boolean} [request.requireCoverage=true] - false when the customer drops off and collects
+   * @param {string[]} [request.services] - Service codes on the order
+   * @param {Date|string} request.pickupDate
+   * @param {number} [request.weightKg] - Estimated kg of the order
+   * @param {boolean} [request.isExpress] - Excludes zones without express service
+   * @param {string[]} [request.branchIds] - Evaluate only these branches (active or not)
+   * @param {string} [request.excludeOrderId] - Order not counted in the day's load (re-assignment)
+   * @returns {Promise<Object[]>} Candidates with branch summary, eligible flag, distance, zone, load and reasons
+   */
+  static async rank({
+    location = null,
+    pincode = null,
+    requireCoverage = true,
+    services = [],
+    pickupDate,
+    weightKg = 0,
+    isExpress = false,
+    branchIds = null,
+    excludeOrderId = null
+  }) {
+    const day = new Date(pickupDate);
+    if (isNaN(day.getTime())) {
+      throw new RoutingError('INVALID_DATE', 'Pickup date is invalid', 400);
+    }
+
+    const branches = await Branch.find(branchIds ? { _id: { $in: branchIds } } : { isActive: true, status: 'active' });
+    if (branches.length === 0) return [];
+
+    const codes = [...new Set(services.filter(Boolean).map(code => String(code).toLowerCase()))];
+    const serviceDocs = codes.length ? await Service.find({ code: { $in: codes } }) : [];
+    const loads = await this.getDailyLoad(branches.map(branch => branch._id), day, excludeOrderId);
+    const dateKey = PickupSlotService.toDateKey(day);
+    const isToday = dateKey === PickupSlotService.toDateKey(new Date());
+    const zones = requireCoverage
+      ? await DeliveryZoneService.getCoverage(branches.map(branch => branch._id), location)
+      : null;
+
+    const candidates = branches.map(branch => {
+      const reasons = [];
+
+      const isActive = branch.isActive && branch.status === 'active';
+      reasons.push(reason('STATUS', isActive, isActive ? 'Branch is active' : `Branch is ${branch.isActive ? branch.status : 'inactive'}`));
+
+      let distanceKm = null;
+      let zone = null;
+      if (requireCoverage) {
+        const coverage = this.checkCoverage(branch, location, pincode, zones);
+        distanceKm = coverage.distanceKm;
+        zone = coverage.zone || null;
+        reasons.push(coverage.check);
+      }
+      if (isExpress && zone && !zone.expressAvailable) {
+        reasons.push(reason('EXPRESS', false, `Express service is not available in ${zone.name}`));
+      }
+
+      const isOpen = isToday ? branch.isOperationalToday() : branch.isOperationalOn(day);
+      reasons.push(reason('OPERATING_DAY', isOpen, isOpen
+        ? `Open on ${dateKey}`
+        : PickupSlotService.getDayStatus(branch, dateKey).reason || `Closed on ${dateKey}`));
+
+      reasons.push(this.checkServices(branch, serviceDocs));
+
+      const load = loads.get(branch._id.toString()) || { orders: 0, weightKg: 0 };
+      const hasCapacity = branch.hasCapacity(1, weightKg || 0, load);
+      const maxOrders = branch.capacity?.maxOrdersPerDay || null;
+      reasons.push(reason('CAPACITY', hasCapacity, hasCapacity
+        ? `${load.orders} of ${maxOrders || 'unlimited'} orders booked for the day`
+        : `Fully booked for the day (${load.orders} orders, ${load.weightKg} kg)`));
+
+      return {
+        branch: {
+          _id: branch._id,
+          name: branch.name,
+          code: branch.code,
+          address: branch.address
+        },
+        eligible: reasons.every(entry => entry.ok),
+        distanceKm,
+        zone: zone ? DeliveryZoneService.toSummary(zone) : null,
+        load: {
+          orders: load.orders,
+          maxOrdersPerDay: maxOrders,
+          weightKg: load.weightKg,
+          maxWeightPerDay: branch.capacity?.maxWeightPerDay || null,
+          utilization: maxOrders ? round(load.orders / maxOrders) : 0
+        },
+        reasons,
+        document: branch
+      };
+    });
+
+    candidates.sort((a, b) => {
+      if (a.eligible !== b.eligible) return a.eligible ? -1 : 1;
+      const distanceA = a.distanceKm ?? Infinity;
+      const distanceB = b.distanceKm ?? Infinity;
+      if (distanceA !== distanceB) return distanceA - distanceB;
+      return a.load.utilization - b.load.utilization;
+    });
+
+    return candidates;
+  }
+
+  // Candidate without the branch document, for API responses
+  static toResponse(candidate) {
+    const { document, ...rest } = candidate;
+    return rest;
+  }
+
+  /**
+   * Pick the branch for an order. With `branchId` that branch must be eligible
+   * (unless `override` is set by an admin); otherwise the best ranked branch is used.
+   * @param {Object} request - rank() options plus { branchId, override }
+   * @returns {Promise<{ branch: Object, candidate: Object, candidates: Object[] }>}
+   */
+  static async route({ branchId = null, override = false, ...request }) {
+    let candidates;
+    if (branchId) {
+      if (!mongoose.Types.ObjectId.isValid(branchId)) {
+        throw new RoutingError('BRANCH_NOT_FOUND', 'Selected branch not found', 404);
+      }
+      const active = await Branch.find({ isActive: true, status: 'active' }).select('_id');
+      candidates = await this.rank({
+        ...request,
+        branchIds: [...new Set([...active.map(branch => branch._id.toString()), String(branchId)])]
+      });
+    } else {
+      candidates = await this.rank(request);
+    }
+
+    const responses = candidates.map(candidate => this.toResponse(candidate));
+
+    if (branchId) {
+      const chosen = candidates.find(candidate => candidate.branch._id.toString() === String(branchId));
+      if (!chosen) {
+        throw new RoutingError('BRANCH_NOT_FOUND', 'Selected branch not found', 404);
+      }
+
+      const blocking = chosen.reasons.filter(entry => !entry.ok && !(override && entry.code !== 'STATUS'));
+      if (blocking.length > 0) {
+        throw new RoutingError('BRANCH_UNAVAILABLE', `${chosen.branch.name} cannot take this order: ${blocking.map(entry => entry.message).join('; ')}`, 409, {
+          branch: this.toResponse(chosen),
+          alternatives: responses.filter(candidate => candidate.eligible).slice(0, 3)
+        });
+      }
+      return { branch: chosen.document, candidate: this.toResponse(chosen), candidates: responses };
+    }
+
+    const best = candidates[0];
+    if (!best || !best.eligible) {
+      throw new RoutingError('NO_BRANCH_AVAILABLE', 'No branch can take this order for the chosen address and pickup date', 422, {
+        candidates: responses
+      });
+    }
+    return { branch: best.document, candidate: this.toResponse(best), candidates: responses };
+  }
+
+  // Routing request for an existing order: its pickup (or delivery) point, services, day and weight
+  static async buildOrderRequest(order) {
+    const snapshot = order.pickupAddress?.addressLine1
+      ? order.pickupAddress
+      : (order.deliveryAddress?.addressLine1 ? order.deliveryAddress : null);
+
+    let location = null;
+    if (snapshot) {
+      location = await this.resolveLocation(snapshot.toObject ? snapshot.toObject() : snapshot);
+      if (location?.source === 'geocoded' && !hasCoordinates(snapshot.coordinates)) {
+        snapshot.coordinates = { lat: location.lat, lng: location.lng };
+      }
+    }
+
+    const services = await OrderItem.distinct('service', { order: order._id });
+
+    return {
+      location,
+      pincode: snapshot?.pincode || null,
+      requireCoverage: Boolean(snapshot),
+      services,
+      pickupDate: order.pickupDate,
+      weightKg: order.weight?.estimatedKg || 0,
+      isExpress: Boolean(order.isExpress),
+      excludeOrderId: order._id
+    };
+  }
+
+  // Ranked candidates for an existing order
+  static async getOrderCandidates(order) {
+    const candidates = await this.rank(await this.buildOrderRequest(order));
+    return candidates.map(candidate => this.toResponse(candidate));
+  }
+
+  /**
+   * Assign (or re-assign) an order that has not been picked up yet. Without
+   * `branchId` the best ranked branch is used. Moving branches moves the
+   * pickup slot reservation with it.
+   * @param {Object} order - Order document
+   * @param {Object} options - { branchId, override }
+   * @param {Object} actor - { id, role, name }
+   * @returns {Promise<{ order: Object, branch: Object, candidate: Object }>}
+   */
+  static async assignOrder(order, { branchId = null, override = false } = {}, actor = {}) {
+    if (![ORDER_STATUS.PLACED, ORDER_STATUS.ASSIGNED_TO_BRANCH].includes(order.status)) {
+      throw new RoutingError('INVALID_STATUS', 'Order cannot be assigned at this stage', 400, { status: order.status });
+    }
+
+    const request = await this.buildOrderRequest(order);
+    const { branch, candidate } = await this.route({ ...request, branchId, override: Boolean(branchId) && override });
+
+    const previousBranch = order.branch ? order.branch.toString() : null;
+    const isMove = previousBranch !== branch._id.toString();
+
+    const previousZone = order.deliveryZone?.zone ? order.deliveryZone.zone.toString() : null;
+    const zoneChanged = previousZone !== (candidate.zone ? candidate.zone._id.toString() : null);
+    const hasPickupSlot = Boolean(order.pickupDate && order.pickupTimeSlot);
+
+    // Hold slots at the new branch and zone before letting go of the old ones
+    let zoneSlot = null;
+    if (zoneChanged && candidate.zone && hasPickupSlot) {
+      zoneSlot = await DeliveryZoneService.reserveSlot(candidate.zone, order.pickupDate, order.pickupTimeSlot);
+    }
+    if (isMove && hasPickupSlot) {
+      let slot;
+      try {
+        slot = await PickupSlotService.reserve(branch, order.pickupDate, order.pickupTimeSlot);
+      } catch (error) {
+        if (zoneSlot) await DeliveryZoneService.releaseSlot(zoneSlot._id);
+        throw error;
+      }
+      await PickupSlotService.releaseForOrder(order);
+      order.pickupSlot = { slot: slot._id, reservedAt: new Date() };
+    }
+
+    if (zoneChanged) {
+      await DeliveryZoneService.releaseForOrder(order);
+    }
+    const zoneBooking = zoneChanged
+      ? { slot: zoneSlot?._id }
+      : { slot: order.deliveryZone?.slot, slotReleasedAt: order.deliveryZone?.slotReleasedAt };
+
+    order.branch = branch._id;
+    order.deliveryZone = candidate.zone ? { ...this.toZoneRecord(candidate.zone), ...zoneBooking } : undefined;
+    order.routing = this.toRoutingRecord(candidate, 'admin', actor.id, Boolean(branchId) && override);
+
+    const note = `${previousBranch && isMove ? 'Re-assigned' : 'Assigned'} to branch: ${branch.name}${order.routing.override ? ' (manual override)' : ''}`;
+    if (order.status === ORDER_STATUS.ASSIGNED_TO_BRANCH) {
+      order.statusHistory.push({
+        status: order.status,
+        updatedBy: actor.id || null,
+        updatedAt: new Date(),
+        notes: note
+      });
+      await order.save();
+    } else {
+      await order.updateStatus(ORDER_STATUS.ASSIGNED_TO_BRANCH, actor.id || null, note, actor.role);
+    }
+
+    return { order, branch, candidate };
+  }
+
+  // Delivery zone record stored on the order (undefined when the branch has no zones)
+  static toZoneRecord(zone) {
+    return zone
+      ? { zone: zone._id, name: zone.name, deliveryFee: zone.deliveryFee, minimumOrderValue: zone.minimumOrderValue }
+      : undefined;
+  }
+
+  // Routing record stored on the order
+  static toRoutingRecord(candidate, method, actor = null, override = false) {
+    return {
+      method,
+      distanceKm: candidate.distanceKm,
+      reasons: candidate.reasons.map(entry => entry.message),
+      override,
+      routedAt: new Date(),
+      routedBy: actor || undefined
+    };
+  }
+}
+
+BranchRoutingService.RoutingError = RoutingError;
+
+module.exports = BranchRoutingService;
@@ -0,0 +1,246 @@
+const mongoose = require('mongoose');
+const DeliveryZone = require('../models/DeliveryZone');
+const ZoneSlot = require('../models/ZoneSlot');
+const Order = require('../models/Order');
+const PickupSlotService = require('./pickupSlotService');
+const { ORDER_STATUS } = require('../config/constants');
+
+/**
+ * Delivery Zone Service
+ * Resolves which branch zone a point falls in (point-in-polygon on the
+ * 2dsphere index) and enforces the zone's terms: delivery fee, minimum
+ * order value, express availability and pickups per time slot.
+ */
+
+// Structured zone error - `error` and `statusCode` are used by the global error handler
+class ZoneError extends Error {
+  constructor(error, message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'ZoneError';
+    this.error = error;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+const ZONE_FIELDS = ['name', 'area', 'deliveryFee', 'minimumOrderValue', 'expressAvailable', 'slotCapacity', 'priority', 'isActive'];
+
+class DeliveryZoneService {
+  // GeoJSON point for a { lat, lng } location
+  static toPoint(location) {
+    return { type: 'Point', coordinates: [Number(location.lng), Number(location.lat)] };
+  }
+
+  /**
+   * Active zones containing a point, best first (priority, then lowest fee)
+   * @param {Object} location - { lat, lng }
+   * @param {string[]} [branchIds] - Only zones of these branches
+   */
+  static async findZonesAt(location, branchIds = null) {
+    const query = {
+      isActive: true,
+      area: { $geoIntersects: { $geometry: this.toPoint(location) } }
+    };
+    if (branchIds) {
+      query.branch = { $in: branchIds };
+    }
+    return DeliveryZone.find(query).sort({ priority: -1, deliveryFee: 1 });
+  }
+
+  /**
+   * Zone coverage for a set of branches at a point
+   * @returns {Promise<{ zonedBranches: Set<string>, zoneByBranch: Map<string, Object> }>}
+   *   zonedBranches - branches that define zones (they only serve inside them)
+   *   zoneByBranch - the winning zone of each branch that covers the point
+   */
+  static async getCoverage(branchIds, location = null) {
+    const zonedIds = await DeliveryZone.distinct('branch', { branch: { $in: branchIds }, isActive: true });
+    const zonedBranches = new Set(zonedIds.map(id => id.toString()));
+    const zoneByBranch = new Map();
+
+    if (location && zonedBranches.size > 0) {
+      const zones = await this.findZonesAt(location, zonedIds);
+      zones.forEach(zone => {
+        const key = zone.branch.toString();
+        if (!zoneByBranch.has(key)) zoneByBranch.set(key, zone);
+      });
+    }
+
+    return { zonedBranches, zoneByBranch };
+  }
+
+  /**
+   * Zone of one branch at a point
+   * @returns {Promise<{ hasZones: boolean, zone: Object|null }>}
+   */
+  static async resolveForBranch(branchId, location) {
+    const { zonedBranches, zoneByBranch } = await this.getCoverage([branchId], location);
+    const key = branchId.toString();
+    return { hasZones: zonedBranches.has(key), zone: zoneByBranch.get(key) || null };
+  }
+
+  // Zone terms as shown to customers and stored on orders
+  static toSummary(zone) {
+    return {
+      _id: zone._id,
+      name: zone.name,
+      deliveryFee: zone.deliveryFee,
+      minimumOrderValue: zone.minimumOrderValue,
+      expressAvailable: zone.expressAvailable,
+      slotCapacity: zone.slotCapacity
+    };
+  }
+
+  // Zone terms that an order must meet before it is placed
+  static checkOrderTerms(zone, { subtotal, isExpress }) {
+    if (isExpress && !zone.expressAvailable) {
+      throw new ZoneError('EXPRESS_NOT_AVAILABLE', `Express service is not available in ${zone.name}`, 400, {
+        zone: this.toSummary(zone)
+      });
+    }
+    if (zone.minimumOrderValue > 0 && subtotal < zone.minimumOrderValue) {
+      throw new ZoneError('ZONE_MINIMUM_ORDER', `Orders from ${zone.name} must be at least ₹${zone.minimumOrderValue}`, 400, {
+        zone: this.toSummary(zone),
+        subtotal
+      });
+    }
+  }
+
+  // Pickups already booked from a zone in one time slot
+  static async countSlotPickups(zone, pickupDate, timeSlot) {
+    const start = new Date(pickupDate);
+    start.setHours(0, 0, 0, 0);
+    const end = new Date(start);
+    end.setDate(end.getDate() + 1);
+
+    return Order.countDocuments({
+      'deliveryZone.zone': zone._id,
+      pickupDate: { $gte: start, $lt: end },
+      pickupTimeSlot: timeSlot,
+      status: { $ne: ORDER_STATUS.CANCELLED }
+    });
+  }
+
+  /**
+   * Take one pickup from a zone's time slot. The capacity check and the
+   * increment happen in a single conditional update, as for branch pickup
+   * slots, so concurrent checkouts cannot overbook the zone. Bookings are
+   * counted even without a cap so one added later starts from the real count.
+   * @returns {Promise<Object>} the ZoneSlot document after the reservation
+   */
+  static async reserveSlot(zone, pickupDate, timeSlot) {
+    const key = { zone: zone._id, date: PickupSlotService.toDateKey(pickupDate), timeSlot };
+
+    // Make sure the counter exists before the conditional increment; a new one
+    // starts from the pickups booked before zone slots were counted
+    if (!(await ZoneSlot.exists(key))) {
+      try {
+        const booked = await this.countSlotPickups(zone, PickupSlotService.fromDateKey(key.date), timeSlot);
+        await ZoneSlot.updateOne(key, { $setOnInsert: { booked } }, { upsert: true });
+      } catch (error) {
+        // A concurrent upsert created it first
+        if (error.code !== 11000) throw error;
+      }
+    }
+
+    const hasCap = zone.slotCapacity !== null && zone.slotCapacity !== undefined;
+    const slot = await ZoneSlot.findOneAndUpdate(
+      hasCap ? { ...key, booked: { $lt: zone.slotCapacity } } : key,
+      { $inc: { booked: 1 } },
+      { new: true }
+    );
+
+    if (!slot) {
+      throw new ZoneError('ZONE_SLOT_FULL', `No more pickups can be taken from ${zone.name} in this time slot, please choose another`, 409, {
+        zone: this.toSummary(zone),
+        timeSlot
+      });
+    }
+    return slot;
+  }
+
+  // Give back one pickup in a zone slot
+  static async releaseSlot(slotId) {
+    await ZoneSlot.updateOne(
+      { _id: slotId, booked: { $gt: 0 } },
+      { $inc: { booked: -1 } }
+    );
+  }
+
+  // Release the zone slot held by an order (idempotent - only the first call frees it)
+  static async releaseForOrder(order) {
+    const slotId = order.deliveryZone?.slot;
+    if (!slotId) return false;
+
+    const result = await Order.updateOne(
+      { _id: order._id, 'deliveryZone.slot': slotId, 'deliveryZone.slotReleasedAt': null },
+      { $set: { 'deliveryZone.slotReleasedAt': new Date() } }
+    );
+    if (result.modifiedCount === 0) return false;
+
+    await this.releaseSlot(slotId);
+    return true;
+  }
+
+  // Zones of a branch, for admins
+  static async listForBranch(branchId, { includeInactive = false } = {}) {
+    const query = { branch: branchId };
+    if (!includeInactive) query.isActive = true;
+    return DeliveryZone.find(query).sort({ priority: -1, name: 1 });
+  }
+
+  static async createZone(branchId, data, userId) {
+    const zone = new DeliveryZone({ branch: branchId, createdBy: userId, updatedBy: userId });
+    this.applyChanges(zone, data);
+    return this.saveZone(zone);
+  }
+
+  static async updateZone(branchId, zoneId, data, userId) {
+    const zone = await this.getZone(branchId, zoneId);
+    this.applyChanges(zone, data);
+    zone.updatedBy = userId;
+    return this.saveZone(zone);
+  }
+
+  static async getZone(branchId, zoneId) {
+    if (!mongoose.Types.ObjectId.isValid(zoneId)) {
+      throw new ZoneError('ZONE_NOT_FOUND', 'Delivery zone not found', 404);
+    }
+    const zone = await DeliveryZone.findOne({ _id: zoneId, branch: branchId });
+    if (!zone) {
+      throw new ZoneError('ZONE_NOT_FOUND', 'Delivery zone not found', 404);
+    }
+    return zone;
+  }
+
+  static applyChanges(zone, data) {
+    ZONE_FIELDS.forEach(field => {
+      if (data[field] !== undefined) zone[field] = data[field];
+    });
+    // Accept a GeoJSON Feature as well as a bare geometry
+    if (data.area?.type === 'Feature') {
+      zone.area = data.area.geometry;
+    }
+  }
+
+  // Save, reporting invalid polygons (self-intersecting rings are rejected by the 2dsphere index)
+  static async saveZone(zone) {
+    try {
+      return await zone.save();
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        throw new ZoneError('INVALID_ZONE', Object.values(error.errors).map(err => err.message).join(', '), 400);
+      }
+      if (error.code === 16755 || /geo/i.test(error.message || '')) {
+        throw new ZoneError('INVALID_ZONE_GEOMETRY', 'Zone polygon is not valid GeoJSON (check for crossing edges)', 400, {
+          reason: error.message
+        });
+      }
+      throw error;
+    }
+  }
+}
+
+DeliveryZoneService.ZoneError = ZoneError;
+
+module.exports = DeliveryZoneService;
@@ -0,0 +1,274 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const ApiUsage = require('../models/ApiUsage');
+const { OPENROUTE_CONFIG, DISTANCE_CONFIG } = require('../config/constants');
+
+/**
+ * Distance Providers
+ * Interchangeable sources of geocodes and road distances used by DistanceService.
+ * Each provider may implement:
+ *   geocode(address)      -> { lat, lng, formattedAddress, precision } | null (not found)
+ *   route(origin, dest)   -> { distance (km), duration (min) } | null (no route)
+ * and throws ProviderUnavailableError when it cannot answer right now
+ * (no key, quota used up, network down), so the next provider is tried.
+ * Providers that call out over the network set `requiresNetwork`.
+ */
+
+class ProviderUnavailableError extends Error {
+  constructor(provider, reason) {
+    super(`${provider}: ${reason}`);
+    this.name = 'ProviderUnavailableError';
+    this.provider = provider;
+    this.reason = reason;
+  }
+}
+
+// Network failures where retrying straight away will not help
+const OFFLINE_CODES = ['ENOTFOUND', 'EAI_AGAIN', 'ECONNREFUSED', 'ENETUNREACH', 'EHOSTUNREACH', 'ECONNRESET'];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const todayKey = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+};
+
+const toRad = (deg) => deg * (Math.PI / 180);
+
+/**
+ * Straight-line distance using the Haversine formula
+ * @returns {number} Distance in kilometers
+ */
+const haversineKm = (origin, destination) => {
+  const R = 6371; // Earth's radius in km
+  const dLat = toRad(destination.lat - origin.lat);
+  const dLng = toRad(destination.lng - origin.lng);
+
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRad(origin.lat)) * Math.cos(toRad(destination.lat)) *
+    Math.sin(dLng / 2) * Math.sin(dLng / 2);
+
+  return Math.round(R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a)) * 100) / 100;
+};
+
+/**
+ * OpenRouteService - road distances and geocoding over the network.
+ * Every request is counted against OPENROUTE_CONFIG.DAILY_LIMIT.
+ */
+class OpenRouteProvider {
+  constructor(apiKey = process.env.OPENROUTE_API_KEY) {
+    this.name = 'openroute';
+    this.cacheable = true;
+    this.requiresNetwork = true;
+    this.apiKey = apiKey;
+    this.retryDelays = [1000, 2000, 4000]; // Exponential backoff
+  }
+
+  async takeQuota() {
+    try {
+      return await ApiUsage.consume(this.name, todayKey(), OPENROUTE_CONFIG.DAILY_LIMIT);
+    } catch (error) {
+      console.error('OpenRouteService quota check failed:', error.message);
+      return true; // Don't block quotes on the usage counter
+    }
+  }
+
+  // Send a request with retries; resolves to the response, or null for "nothing found"
+  async request(send) {
+    if (!this.apiKey) {
+      throw new ProviderUnavailableError(this.name, 'API key not configured');
+    }
+
+    let lastError = null;
+    for (let attempt = 0; attempt < OPENROUTE_CONFIG.MAX_RETRIES; attempt++) {
+      if (!(await this.takeQuota())) {
+        throw new ProviderUnavailableError(this.name, 'Daily quota exceeded');
+      }
+
+      try {
+        return await send();
+      } catch (error) {
+        lastError = error;
+        const status = error.response?.status;
+        console.error(`OpenRouteService attempt ${attempt + 1} failed:`, error.message);
+
+        if (status === 401 || status === 403) {
+          throw new ProviderUnavailableError(this.name, status === 401 ? 'Invalid API key' : 'API quota exceeded');
+        }
+        if (status === 429) {
+          throw new ProviderUnavailableError(this.name, 'Rate limited');
+        }
+        if (status === 400 || status === 404) {
+          return null; // Unroutable points or unknown address
+        }
+        if (!error.response && OFFLINE_CODES.includes(error.code)) {
+          throw new ProviderUnavailableError(this.name, 'Network unavailable');
+        }
+
+        if (attempt < OPENROUTE_CONFIG.MAX_RETRIES - 1) {
+          await new Promise(resolve => setTimeout(resolve, this.retryDelays[attempt]));
+        }
+      }
+    }
+
+    throw new ProviderUnavailableError(this.name, `Unavailable after retries (${lastError?.message})`);
+  }
+
+  async geocode(address) {
+    const response = await this.request(() => axios.get(
+      `${OPENROUTE_CONFIG.BASE_URL}${OPENROUTE_CONFIG.ENDPOINTS.GEOCODE}`,
+      {
+        params: {
+          api_key: this.apiKey,
+          text: address,
+          'boundary.country': 'IN', // Restrict to India
+          size: 1
+        },
+        timeout: OPENROUTE_CONFIG.TIMEOUT
+      }
+    ));
+
+    const feature = response?.data?.features?.[0];
+    if (!feature) return null;
+
+    return {
+      lat: feature.geometry.coordinates[1],
+      lng: feature.geometry.coordinates[0],
+      formattedAddress: feature.properties.label,
+      precision: 'address'
+    };
+  }
+
+  async route(origin, destination) {
+    // OpenRouteService uses [lng, lat] format
+    const response = await this.request(() => axios.post(
+      `${OPENROUTE_CONFIG.BASE_URL}${OPENROUTE_CONFIG.ENDPOINTS.DIRECTIONS}`,
+      {
+        coordinates: [
+          [origin.lng, origin.lat],
+          [destination.lng, destination.lat]
+        ]
+      },
+      {
+        headers: {
+          'Authorization': this.apiKey,
+          'Content-Type': 'application/json'
+        },
+        timeout: OPENROUTE_CONFIG.TIMEOUT
+      }
+    ));
+
+    const summary = response?.data?.routes?.[0]?.summary;
+    if (!summary) return null;
+
+    return {
+      distance: Math.round((summary.distance / 1000) * 100) / 100, // Convert meters to km, round to 2 decimals
+      duration: Math.round(summary.duration / 60) // Convert seconds to minutes
+    };
+  }
+}
+
+/**
+ * Pincode centroids from a local table - a coarse geocode that needs no network.
+ * Unknown pincodes fall back to the average of their sorting district (first 3 digits).
+ */
+class PincodeCentroidProvider {
+  constructor(file = DISTANCE_CONFIG.PINCODE_CENTROIDS_FILE || path.join(__dirname, '../data/pincodeCentroids.json')) {
+    this.name = 'pincode';
+    this.cacheable = false;
+    this.file = file;
+    this.centroids = null;
+  }
+
+  // JSON { "560001": [lat, lng] } or CSV lines "pincode,lat,lng"
+  load() {
+    if (this.centroids) return this.centroids;
+
+    this.centroids = new Map();
+    try {
+      const content = fs.readFileSync(this.file, 'utf8');
+      if (this.file.endsWith('.csv')) {
+        content.split(/\r?\n/).forEach(line => {
+          const [pincode, lat, lng] = line.split(',').map(value => value.trim());
+          if (/^[1-9]\d{5}$/.test(pincode) && !isNaN(parseFloat(lat)) && !isNaN(parseFloat(lng))) {
+            this.centroids.set(pincode, [parseFloat(lat), parseFloat(lng)]);
+          }
+        });
+      } else {
+        Object.entries(JSON.parse(content)).forEach(([pincode, coords]) => {
+          this.centroids.set(pincode, coords);
+        });
+      }
+    } catch (error) {
+      console.error(`Failed to load pincode centroids from ${this.file}:`, error.message);
+    }
+    return this.centroids;
+  }
+
+  async geocode(address) {
+    const pincode = String(address).match(/\b[1-9]\d{5}\b/)?.[0];
+    if (!pincode) return null;
+
+    const centroids = this.load();
+    const exact = centroids.get(pincode);
+    if (exact) {
+      return { lat: exact[0], lng: exact[1], formattedAddress: `Pincode ${pincode}`, precision: 'pincode' };
+    }
+
+    const district = [...centroids.entries()].filter(([code]) => code.startsWith(pincode.slice(0, 3)));
+    if (district.length === 0) return null;
+
+    return {
+      lat: Math.round(district.reduce((sum, [, coords]) => sum + coords[0], 0) / district.length * 1e6) / 1e6,
+      lng: Math.round(district.reduce((sum, [, coords]) => sum + coords[1], 0) / district.length * 1e6) / 1e6,
+      formattedAddress: `Pincode area ${pincode.slice(0, 3)}xxx`,
+      precision: 'district'
+    };
+  }
+}
+
+/**
+ * Straight-line distance scaled by a road factor - always available once
+ * both ends have coordinates.
+ */
+class HaversineProvider {
+  constructor(roadFactor = DISTANCE_CONFIG.ROAD_FACTOR, speedKmph = DISTANCE_CONFIG.AVERAGE_SPEED_KMPH) {
+    this.name = 'haversine';
+    this.cacheable = false;
+    this.roadFactor = roadFactor;
+    this.speedKmph = speedKmph;
+  }
+
+  async route(origin, destination) {
+    const distance = Math.round(haversineKm(origin, destination) * this.roadFactor * 100) / 100;
+    return {
+      distance,
+      duration: Math.round(distance / this.speedKmph * 60)
+    };
+  }
+}
+
+const PROVIDERS = {
+  openroute: OpenRouteProvider,
+  pincode: PincodeCentroidProvider,
+  haversine: HaversineProvider
+};
+
+// Instantiate providers by name, in order; unknown names are skipped
+const createProviders = (names = DISTANCE_CONFIG.PROVIDERS) => names
+  .filter(name => {
+    if (!PROVIDERS[name]) console.error(`Unknown distance provider "${name}" ignored`);
+    return Boolean(PROVIDERS[name]);
+  })
+  .map(name => new PROVIDERS[name]());
+
+module.exports = {
+  ProviderUnavailableError,
+  OpenRouteProvider,
+  PincodeCentroidProvider,
+  HaversineProvider,
+  createProviders,
+  haversineKm
+};
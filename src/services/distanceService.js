@@ -1,30 +1,29 @@
-const axios = require('axios');
+const GeoCache = require('../models/GeoCache');
+const { createProviders, haversineKm, ProviderUnavailableError } = require('./distanceProviders');
+const { DISTANCE_CONFIG } = require('../config/constants');
 
 /**
- * Distance Service - Uses OpenRouteService API for distance calculations
- * Free tier: 2000 requests/day
+ * Distance Service - geocoding and road distances for delivery quotes
+ * Providers are tried in DISTANCE_CONFIG.PROVIDERS order (OpenRouteService,
+ * pincode centroids, Haversine with a road factor), so quotes keep working
+ * when the API key is missing, the daily quota is used up or there is no
+ * network. Online results are cached in GeoCache by normalized address or
+ * coordinate pair.
  * API Docs: https://openrouteservice.org/dev/#/api-docs
  */
 class DistanceService {
-  constructor() {
-    this.apiKey = process.env.OPENROUTE_API_KEY;
-    this.baseUrl = 'https://api.openrouteservice.org';
-    this.maxRetries = 3;
-    this.retryDelays = [1000, 2000, 4000]; // Exponential backoff
+  constructor(providers = createProviders()) {
+    this.providers = providers;
+    this.unavailableUntil = new Map(); // provider name -> timestamp
   }
 
   /**
    * Calculate distance between two coordinate points
    * @param {Object} origin - { lat: number, lng: number }
    * @param {Object} destination - { lat: number, lng: number }
-   * @returns {Promise<{ distance: number, duration: number, status: string }>}
+   * @returns {Promise<{ distance: number, duration: number, status: string, provider: string, isEstimate: boolean }>}
    */
   async calculateDistance(origin, destination) {
-    if (!this.apiKey) {
-      console.error('OpenRouteService API key not configured');
-      return this.getFallbackResponse('API key not configured');
-    }
-
     // Validate coordinates
     if (!this.validateCoordinates(origin) || !this.validateCoordinates(destination)) {
       return {
@@ -35,123 +34,82 @@ class DistanceService {
       };
     }
 
-    let lastError = null;
-
-    for (let attempt = 0; attempt < this.maxRetries; attempt++) {
-      try {
-        // OpenRouteService uses [lng, lat] format
-        const response = await axios.post(
-          `${this.baseUrl}/v2/directions/driving-car`,
-          {
-            coordinates: [
-              [origin.lng, origin.lat],
-              [destination.lng, destination.lat]
-            ]
-          },
-          {
-            headers: {
-              'Authorization': this.apiKey,
-              'Content-Type': 'application/json'
-            },
-            timeout: 10000
-          }
-        );
-
-        if (response.data && response.data.routes && response.data.routes.length > 0) {
-          const route = response.data.routes[0];
-          const summary = route.summary;
-
-          return {
-            distance: Math.round((summary.distance / 1000) * 100) / 100, // Convert meters to km, round to 2 decimals
-            duration: Math.round(summary.duration / 60), // Convert seconds to minutes
-            status: 'OK'
-          };
-        }
-
-        return this.getFallbackResponse('No route found');
-
-      } catch (error) {
-        lastError = error;
-        console.error(`Distance API attempt ${attempt + 1} failed:`, error.message);
+    const key = `${this.coordinateKey(origin)}|${this.coordinateKey(destination)}`;
+    const cached = await this.readCache('distance', key);
+    if (cached) {
+      return {
+        distance: cached.result.distance,
+        duration: cached.result.duration,
+        status: 'OK',
+        provider: cached.provider,
+        isEstimate: false,
+        cached: true
+      };
+    }
 
-        // Don't retry on certain errors
-        if (error.response?.status === 401) {
-          return this.getFallbackResponse('Invalid API key');
-        }
-        if (error.response?.status === 403) {
-          return this.getFallbackResponse('API quota exceeded');
-        }
+    const answer = await this.ask('route', [origin, destination]);
+    if (!answer) {
+      return this.getFallbackResponse('No distance provider available');
+    }
 
-        // Wait before retry
-        if (attempt < this.maxRetries - 1) {
-          await this.sleep(this.retryDelays[attempt]);
-        }
-      }
+    const { provider, result } = answer;
+    if (provider.cacheable) {
+      await this.writeCache('distance', key, provider.name, result, DISTANCE_CONFIG.DISTANCE_CACHE_DAYS);
     }
 
-    console.error('All distance API retries failed:', lastError?.message);
-    return this.getFallbackResponse('API unavailable after retries');
+    return {
+      distance: result.distance,
+      duration: result.duration,
+      status: 'OK',
+      provider: provider.name,
+      isEstimate: !provider.cacheable
+    };
   }
 
   /**
    * Geocode an address to coordinates
    * @param {string} address - Full address string
-   * @returns {Promise<{ lat: number, lng: number, status: string }>}
+   * @param {Object} [options] - { offline } skips providers that need the network (the cache is still read)
+   * @returns {Promise<{ lat: number, lng: number, status: string, precision?: string, provider?: string }>}
+   *   precision is 'address' for a real geocode, 'pincode' / 'district' for a centroid
    */
-  async geocodeAddress(address) {
-    if (!this.apiKey) {
-      return { lat: 0, lng: 0, status: 'API_KEY_MISSING' };
-    }
-
+  async geocodeAddress(address, { offline = false } = {}) {
     if (!address || address.trim().length < 5) {
       return { lat: 0, lng: 0, status: 'INVALID_ADDRESS' };
     }
 
-    let lastError = null;
-
-    for (let attempt = 0; attempt < this.maxRetries; attempt++) {
-      try {
-        const response = await axios.get(
-          `${this.baseUrl}/geocode/search`,
-          {
-            params: {
-              api_key: this.apiKey,
-              text: address,
-              'boundary.country': 'IN', // Restrict to India
-              size: 1
-            },
-            timeout: 10000
-          }
-        );
-
-        if (response.data?.features?.length > 0) {
-          const coords = response.data.features[0].geometry.coordinates;
-          return {
-            lat: coords[1],
-            lng: coords[0],
-            status: 'OK',
-            formattedAddress: response.data.features[0].properties.label
-          };
-        }
-
-        return { lat: 0, lng: 0, status: 'NOT_FOUND' };
-
-      } catch (error) {
-        lastError = error;
-        console.error(`Geocoding attempt ${attempt + 1} failed:`, error.message);
+    const key = this.normalizeAddress(address);
+    const cached = await this.readCache('geocode', key);
+    if (cached) {
+      return {
+        lat: cached.result.lat,
+        lng: cached.result.lng,
+        status: 'OK',
+        formattedAddress: cached.result.formattedAddress,
+        precision: 'address',
+        provider: cached.provider,
+        cached: true
+      };
+    }
 
-        if (error.response?.status === 401 || error.response?.status === 403) {
-          return { lat: 0, lng: 0, status: 'API_ERROR' };
-        }
+    const answer = await this.ask('geocode', [address], { offline });
+    if (!answer) {
+      return { lat: 0, lng: 0, status: answer === null ? 'NOT_FOUND' : 'API_UNAVAILABLE' };
+    }
 
-        if (attempt < this.maxRetries - 1) {
-          await this.sleep(this.retryDelays[attempt]);
-        }
-      }
+    const { provider, result } = answer;
+    if (provider.cacheable) {
+      await this.writeCache('geocode', key, provider.name, result, DISTANCE_CONFIG.GEOCODE_CACHE_DAYS);
     }
 
-    console.error('All geocoding retries failed:', lastError?.message);
-    return { lat: 0, lng: 0, status: 'API_UNAVAILABLE' };
+    return {
+      lat: result.lat,
+      lng: result.lng,
+      status: 'OK',
+      formattedAddress: result.formattedAddress,
+      precision: result.precision,
+      provider: provider.name
+    };
   }
 
   /**
@@ -184,10 +142,93 @@ class DistanceService {
     }
 
     // Calculate distance
-    return this.calculateDistance(
+    const result = await this.calculateDistance(
       { lat: originCoords.lat, lng: originCoords.lng },
       { lat: destCoords.lat, lng: destCoords.lng }
     );
+
+    // A centroid geocode makes any distance an estimate
+    if (result.status === 'OK' && (originCoords.precision !== 'address' || destCoords.precision !== 'address')) {
+      result.isEstimate = true;
+    }
+    return result;
+  }
+
+  /**
+   * Ask each provider in turn. Resolves to { provider, result } from the first
+   * that answers, null when the ones that could answer found nothing, and
+   * undefined when none could answer at all. `offline` skips the providers
+   * that need the network.
+   */
+  async ask(method, args, { offline = false } = {}) {
+    let answered = false;
+
+    for (const provider of this.providers) {
+      if (typeof provider[method] !== 'function') continue;
+      if (offline && provider.requiresNetwork) continue;
+      if ((this.unavailableUntil.get(provider.name) || 0) > Date.now()) continue;
+
+      try {
+        const result = await provider[method](...args);
+        answered = true;
+        if (result) return { provider, result };
+      } catch (error) {
+        if (!(error instanceof ProviderUnavailableError)) {
+          console.error(`Distance provider ${provider.name} failed:`, error);
+        }
+        // Give a failing provider a rest so later quotes don't wait on it
+        this.unavailableUntil.set(provider.name, Date.now() + DISTANCE_CONFIG.FAILURE_COOLDOWN_MS);
+        console.error(`Distance provider ${provider.name} unavailable: ${error.reason || error.message}`);
+      }
+    }
+
+    return answered ? null : undefined;
+  }
+
+  async readCache(kind, key) {
+    try {
+      const entry = await GeoCache.findOneAndUpdate(
+        { kind, key, expiresAt: { $gt: new Date() } },
+        { $inc: { hits: 1 } },
+        { new: true }
+      );
+      return entry;
+    } catch (error) {
+      console.error('Geo cache read failed:', error.message);
+      return null; // Don't throw - fall through to the providers
+    }
+  }
+
+  async writeCache(kind, key, provider, result, days) {
+    try {
+      await GeoCache.updateOne(
+        { kind, key },
+        {
+          $set: {
+            provider,
+            result,
+            expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+          }
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      console.error('Geo cache write failed:', error.message);
+      // Don't throw - the result is still good
+    }
+  }
+
+  // Cache key for an address: lowercase words separated by single spaces
+  normalizeAddress(address) {
+    return String(address)
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+  }
+
+  // Cache key for a point, rounded so nearby repeats share an entry
+  coordinateKey(coords) {
+    return `${coords.lat.toFixed(DISTANCE_CONFIG.COORDINATE_PRECISION)},${coords.lng.toFixed(DISTANCE_CONFIG.COORDINATE_PRECISION)}`;
   }
 
   /**
@@ -210,19 +251,19 @@ class DistanceService {
    */
   validateCoordinates(coords) {
     if (!coords || typeof coords !== 'object') return false;
-    
+
     const { lat, lng } = coords;
-    
+
     if (typeof lat !== 'number' || typeof lng !== 'number') return false;
     if (isNaN(lat) || isNaN(lng)) return false;
     if (lat < -90 || lat > 90) return false;
     if (lng < -180 || lng > 180) return false;
-    
+
     return true;
   }
 
   /**
-   * Get fallback response when API fails
+   * Get fallback response when no provider can answer
    * @param {string} reason - Reason for fallback
    * @returns {Object}
    */
@@ -237,37 +278,13 @@ class DistanceService {
   }
 
   /**
-   * Sleep utility for retry delays
-   * @param {number} ms - Milliseconds to sleep
-   */
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
-
-  /**
-   * Calculate straight-line distance using Haversine formula (backup)
+   * Calculate straight-line distance using Haversine formula
    * @param {Object} origin - { lat: number, lng: number }
    * @param {Object} destination - { lat: number, lng: number }
    * @returns {number} Distance in kilometers
    */
   calculateHaversineDistance(origin, destination) {
-    const R = 6371; // Earth's radius in km
-    const dLat = this.toRad(destination.lat - origin.lat);
-    const dLng = this.toRad(destination.lng - origin.lng);
-    
-    const a = 
-      Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-      Math.cos(this.toRad(origin.lat)) * Math.cos(this.toRad(destination.lat)) *
-      Math.sin(dLng / 2) * Math.sin(dLng / 2);
-    
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-    const distance = R * c;
-    
-    return Math.round(distance * 100) / 100;
-  }
-
-  toRad(deg) {
-    return deg * (Math.PI / 180);
+    return haversineKm(origin, destination);
   }
 }
 
@@ -0,0 +1,262 @@
+const Order = require('../models/Order');
+const OrderItem = require('../models/OrderItem');
+const GarmentTag = require('../models/GarmentTag');
+const { ORDER_STATUS } = require('../config/constants');
+
+/**
+ * Garment Tag Service
+ * Issues one tag per physical piece of an order and moves pieces through the
+ * plant. OrderItem.processingStatus follows its least advanced piece, and the
+ * order's tagSummary feeds the "all pieces ready" check in the order state machine.
+ */
+
+// Structured tag error - `error` and `statusCode` are used by the global error handler
+class TagError extends Error {
+  constructor(error, message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'TagError';
+    this.error = error;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+const PIECE_STATUSES = GarmentTag.PIECE_STATUSES;
+
+// Piece moves: forward through the plant, or back to washing after a failed quality check
+const PIECE_TRANSITIONS = {
+  pending: ['in_progress'],
+  in_progress: ['completed'],
+  completed: ['quality_check', 'ready'],
+  quality_check: ['ready', 'in_progress'],
+  ready: []
+};
+
+// Tags can be issued from intake until the order leaves the plant
+const TAGGING_STATUSES = [
+  ORDER_STATUS.ASSIGNED_TO_BRANCH,
+  ORDER_STATUS.ASSIGNED_TO_LOGISTICS_PICKUP,
+  ORDER_STATUS.PICKED,
+  ORDER_STATUS.IN_PROCESS
+];
+const SCANNING_STATUSES = [ORDER_STATUS.PICKED, ORDER_STATUS.IN_PROCESS];
+
+const TAG_CODE_PATTERN = /^LP\d{10}-\d{3}$/;
+
+class GarmentTagService {
+  static isTagCode(code) {
+    return TAG_CODE_PATTERN.test(String(code || '').toUpperCase());
+  }
+
+  static buildTagCode(barcode, sequence) {
+    return `${barcode}-${String(sequence).padStart(3, '0')}`;
+  }
+
+  /**
+   * Issue tags for every piece of an order. Safe to call again: pieces that
+   * already have a tag keep it, and pieces added since (a larger quantity)
+   * get new ones.
+   * @returns {Promise<Object[]>} all tags of the order
+   */
+  static async generateForOrder(order) {
+    if (!TAGGING_STATUSES.includes(order.status)) {
+      throw new TagError('TAGGING_CLOSED', `Tags cannot be issued while the order is ${order.status}`, 409, {
+        status: order.status
+      });
+    }
+    if (!order.barcode) {
+      // The pre-save hook assigns the barcode tag codes are built on
+      await order.save();
+    }
+
+    const [items, existing] = await Promise.all([
+      OrderItem.find({ order: order._id }).sort({ createdAt: 1, _id: 1 }),
+      GarmentTag.find({ order: order._id })
+    ]);
+    if (items.length === 0) {
+      throw new TagError('NO_ITEMS', 'This order has no items to tag', 400);
+    }
+
+    let sequence = existing.reduce((max, tag) => Math.max(max, tag.sequence), 0);
+    const toCreate = [];
+    for (const item of items) {
+      const tagged = existing.filter(tag => tag.orderItem.equals(item._id)).length;
+      for (let piece = tagged + 1; piece <= item.quantity; piece++) {
+        sequence += 1;
+        toCreate.push({
+          tagCode: this.buildTagCode(order.barcode, sequence),
+          order: order._id,
+          orderItem: item._id,
+          branch: order.branch?._id || order.branch,
+          sequence,
+          pieceNumber: piece,
+          status: 'pending'
+        });
+      }
+    }
+
+    if (toCreate.length > 0) {
+      try {
+        await GarmentTag.insertMany(toCreate, { ordered: false });
+      } catch (error) {
+        // A concurrent call issued the same sequence numbers first
+        if (error.code !== 11000) throw error;
+      }
+    }
+
+    await this.refreshOrderSummary(order._id, { generatedAt: new Date() });
+    return GarmentTag.find({ order: order._id }).sort({ sequence: 1 });
+  }
+
+  // Recount the order's tags after a change
+  static async refreshOrderSummary(orderId, extra = {}) {
+    const [total, ready] = await Promise.all([
+      GarmentTag.countDocuments({ order: orderId }),
+      GarmentTag.countDocuments({ order: orderId, status: 'ready' })
+    ]);
+    const set = { 'tagSummary.total': total, 'tagSummary.ready': ready };
+    if (extra.generatedAt) set['tagSummary.generatedAt'] = extra.generatedAt;
+    await Order.updateOne({ _id: orderId }, { $set: set });
+    return { total, ready };
+  }
+
+  // An item is as far along as its least advanced piece
+  static async refreshItemStatus(orderItemId) {
+    const tags = await GarmentTag.find({ orderItem: orderItemId }).select('status');
+    if (tags.length === 0) return null;
+    const status = PIECE_STATUSES[Math.min(...tags.map(tag => PIECE_STATUSES.indexOf(tag.status)))];
+    await OrderItem.updateOne({ _id: orderItemId }, { $set: { processingStatus: status } });
+    return status;
+  }
+
+  static async findByCode(tagCode) {
+    const tag = await GarmentTag.findOne({ tagCode: String(tagCode).toUpperCase() });
+    if (!tag) {
+      throw new TagError('TAG_NOT_FOUND', 'No garment found with this tag', 404);
+    }
+    return tag;
+  }
+
+  /**
+   * Scan one piece into a new processing status
+   * @param {string} tagCode
+   * @param {string} status - One of PIECE_STATUSES
+   * @param {Object} actor - { id, role }
+   * @param {string} notes
+   * @returns {Promise<{ tag: Object, itemStatus: string, progress: { total: number, ready: number } }>}
+   */
+  static async scanPiece(tagCode, status, actor, notes = '') {
+    if (!PIECE_STATUSES.includes(status)) {
+      throw new TagError('INVALID_STATUS', `Status must be one of ${PIECE_STATUSES.join(', ')}`, 400);
+    }
+
+    const tag = await this.findByCode(tagCode);
+    const order = await Order.findById(tag.order).select('orderNumber status branch');
+    if (!order || !SCANNING_STATUSES.includes(order.status)) {
+      throw new TagError('ORDER_NOT_IN_PLANT', `Pieces can only be scanned while the order is picked or in process`, 409, {
+        status: order?.status
+      });
+    }
+
+    if (!PIECE_TRANSITIONS[tag.status].includes(status)) {
+      throw new TagError('INVALID_PIECE_TRANSITION', `Piece ${tag.tagCode} cannot move from ${tag.status} to ${status}`, 409, {
+        from: tag.status,
+        to: status,
+        allowed: PIECE_TRANSITIONS[tag.status]
+      });
+    }
+
+    // Conditional on the status read above so two scanners can't both move the piece
+    const updated = await GarmentTag.findOneAndUpdate(
+      { _id: tag._id, status: tag.status },
+      {
+        $set: { status, lastScannedAt: new Date(), lastScannedBy: actor.id },
+        $push: { history: { status, scannedBy: actor.id, scannedAt: new Date(), notes } }
+      },
+      { new: true }
+    );
+    if (!updated) {
+      throw new TagError('SCAN_CONFLICT', 'This piece was scanned by someone else just now, scan it again', 409);
+    }
+
+    const itemStatus = await this.refreshItemStatus(tag.orderItem);
+    const progress = await this.refreshOrderSummary(tag.order);
+
+    return { tag: updated, order, itemStatus, progress };
+  }
+
+  /**
+   * Printable label data for a tag (rendered by the label printer / frontend)
+   */
+  static buildLabel(tag, order, item, totalPieces) {
+    return {
+      tagCode: tag.tagCode,
+      format: 'CODE128',
+      orderNumber: order.orderNumber,
+      orderBarcode: order.barcode,
+      customerName: order.customer?.name ? order.customer.name.split(' ')[0] : undefined,
+      branchCode: order.branch?.code,
+      itemType: item?.itemType,
+      service: item?.service,
+      category: item?.category,
+      piece: `${tag.sequence}/${totalPieces}`,
+      itemPiece: `${tag.pieceNumber}/${item?.quantity ?? '?'}`,
+      isExpress: order.isExpress,
+      dueDate: order.estimatedDeliveryDate,
+      specialInstructions: item?.specialInstructions || undefined
+    };
+  }
+
+  // Tags of an order with their label data
+  static async getOrderTags(orderId) {
+    const order = await Order.findById(orderId)
+      .populate('customer', 'name')
+      .populate('branch', 'name code')
+      .select('orderNumber barcode status isExpress estimatedDeliveryDate customer branch tagSummary');
+    if (!order) {
+      throw new TagError('ORDER_NOT_FOUND', 'Order not found', 404);
+    }
+
+    const [tags, items] = await Promise.all([
+      GarmentTag.find({ order: order._id }).sort({ sequence: 1 }),
+      OrderItem.find({ order: order._id })
+    ]);
+    const itemsById = new Map(items.map(item => [item._id.toString(), item]));
+
+    return {
+      order,
+      tags: tags.map(tag => ({
+        tagCode: tag.tagCode,
+        orderItem: tag.orderItem,
+        sequence: tag.sequence,
+        pieceNumber: tag.pieceNumber,
+        status: tag.status,
+        lastScannedAt: tag.lastScannedAt,
+        label: this.buildLabel(tag, order, itemsById.get(tag.orderItem.toString()), tags.length)
+      })),
+      progress: {
+        total: tags.length,
+        ready: tags.filter(tag => tag.status === 'ready').length,
+        byStatus: PIECE_STATUSES.reduce((counts, status) => {
+          counts[status] = tags.filter(tag => tag.status === status).length;
+          return counts;
+        }, {})
+      }
+    };
+  }
+
+  // Record that labels were printed
+  static async markPrinted(orderId, tagCodes = null) {
+    const query = { order: orderId };
+    if (Array.isArray(tagCodes) && tagCodes.length > 0) {
+      query.tagCode = { $in: tagCodes.map(code => String(code).toUpperCase()) };
+    }
+    const result = await GarmentTag.updateMany(query, { $set: { printedAt: new Date() } });
+    return result.modifiedCount;
+  }
+}
+
+GarmentTagService.TagError = TagError;
+GarmentTagService.PIECE_STATUSES = PIECE_STATUSES;
+
+module.exports = GarmentTagService;
@@ -0,0 +1,210 @@
+const Order = require('../models/Order');
+const { ORDER_STATUS, PRICING_DEFAULTS } = require('../config/constants');
+
+/**
+ * Holiday Pricing Service
+ * Evaluates Pricing.holidayPricing rules (festival / surge surcharges) for
+ * quotes and orders, and replays a rule against past orders for previews.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Month/day as a sortable number (e.g. 10 Nov -> 1110) for recurring rules
+const monthDayKey = (date) => (date.getMonth() + 1) * 100 + date.getDate();
+
+class HolidayPricingService {
+  // Check whether a date falls inside a rule's window (recurring rules ignore the year)
+  static isDateInRule(rule, date) {
+    if (!date) return false;
+    const at = new Date(date);
+    const start = new Date(rule.startDate);
+    const end = new Date(rule.endDate);
+
+    if (!rule.isRecurring) {
+      return at >= start && at <= end;
+    }
+
+    // Windows longer than a year recur every day
+    if (end - start >= 365 * DAY_MS) return true;
+
+    const key = monthDayKey(at);
+    const startKey = monthDayKey(start);
+    const endKey = monthDayKey(end);
+
+    // Window wraps the new year (e.g. 25 Dec - 2 Jan)
+    if (startKey > endKey) {
+      return key >= startKey || key <= endKey;
+    }
+    return key >= startKey && key <= endKey;
+  }
+
+  // Check whether a rule applies to an order line's service
+  static isLineCovered(rule, line) {
+    const services = rule.applicableServices || [];
+    if (services.length === 0 || services.includes('all')) return true;
+    const pricingCategory = PRICING_DEFAULTS.SERVICE_PRICING_CATEGORIES[line.service] || line.service;
+    return services.includes(pricingCategory);
+  }
+
+  // Surcharge amount for one rule over the covered lines
+  static calculateRuleAmount(rule, coveredSubtotal) {
+    switch (rule.type) {
+      case 'percentage_increase':
+        return coveredSubtotal * rule.value / 100;
+      case 'fixed_surcharge':
+        return rule.value;
+      case 'multiplier':
+        return coveredSubtotal * Math.max(rule.value - 1, 0);
+      default:
+        return 0;
+    }
+  }
+
+  /**
+   * Evaluate a set of holiday rules against order lines
+   * @param {Array} rules - holidayPricing rules
+   * @param {Array} lines - priced lines ({ service, totalPrice })
+   * @param {Object} dates - { placedAt, pickupDate }
+   * @param {Object} options - { includeInactive } (previews evaluate draft rules)
+   * @returns {{ surcharges: Array, total: number }}
+   */
+  static evaluate(rules = [], lines = [], dates = {}, options = {}) {
+    const { placedAt = new Date(), pickupDate = null } = dates;
+    const surcharges = [];
+
+    for (const rule of rules) {
+      if (!rule.isActive && !options.includeInactive) continue;
+
+      const placedMatch = this.isDateInRule(rule, placedAt);
+      const pickupMatch = this.isDateInRule(rule, pickupDate);
+      if (!placedMatch && !pickupMatch) continue;
+
+      const covered = lines.filter(line => this.isLineCovered(rule, line));
+      if (covered.length === 0) continue;
+
+      const coveredSubtotal = covered.reduce((sum, line) => sum + line.totalPrice, 0);
+      const amount = Math.round(this.calculateRuleAmount(rule, coveredSubtotal) * 100) / 100;
+      if (amount <= 0) continue;
+
+      surcharges.push({
+        rule: rule._id,
+        name: rule.name,
+        type: rule.type,
+        value: rule.value,
+        appliedOn: placedMatch ? 'order_date' : 'pickup_date',
+        coveredSubtotal,
+        amount
+      });
+    }
+
+    return {
+      surcharges,
+      total: surcharges.reduce((sum, surcharge) => sum + surcharge.amount, 0)
+    };
+  }
+
+  // Shift a rule's window back by a number of years (used for previews)
+  static shiftRule(rule, years = 1) {
+    const shift = (date) => {
+      const shifted = new Date(date);
+      shifted.setFullYear(shifted.getFullYear() - years);
+      return shifted;
+    };
+    return {
+      ...(rule.toObject ? rule.toObject() : rule),
+      startDate: shift(rule.startDate),
+      endDate: shift(rule.endDate),
+      isRecurring: false
+    };
+  }
+
+  /**
+   * Replay a rule against last year's orders to show what it would have charged
+   * @param {Object} rule - holidayPricing rule (active or not)
+   * @param {Object} options - { branchId, yearsBack }
+   */
+  static async previewRule(rule, options = {}) {
+    const { branchId = null, yearsBack = 1 } = options;
+    const window = this.shiftRule(rule, yearsBack);
+
+    const query = {
+      status: { $ne: ORDER_STATUS.CANCELLED },
+      $or: [
+        { createdAt: { $gte: window.startDate, $lte: window.endDate } },
+        { pickupDate: { $gte: window.startDate, $lte: window.endDate } }
+      ]
+    };
+    if (branchId) query.branch = branchId;
+
+    const orders = await Order.find(query)
+      .populate('items', 'service totalPrice')
+      .populate('branch', 'name code')
+      .select('orderNumber branch pricing items createdAt pickupDate');
+
+    const byBranch = {};
+    const samples = [];
+    let ordersAffected = 0;
+    let totalSurcharge = 0;
+    let revenueInWindow = 0;
+
+    for (const order of orders) {
+      // Prefer the stored breakdown; older orders fall back to their OrderItems
+      const lines = order.pricing?.breakdown?.length
+        ? order.pricing.breakdown
+        : (order.items || []).map(item => ({ service: item.service, totalPrice: item.totalPrice }));
+
+      revenueInWindow += order.pricing?.total || 0;
+
+      const result = this.evaluate([window], lines, {
+        placedAt: order.createdAt,
+        pickupDate: order.pickupDate
+      }, { includeInactive: true });
+
+      if (result.total <= 0) continue;
+
+      ordersAffected += 1;
+      totalSurcharge += result.total;
+
+      const branchKey = order.branch ? order.branch._id.toString() : 'unassigned';
+      if (!byBranch[branchKey]) {
+        byBranch[branchKey] = {
+          branchId: order.branch?._id || null,
+          branchName: order.branch?.name || 'Unassigned',
+          orders: 0,
+          surcharge: 0
+        };
+      }
+      byBranch[branchKey].orders += 1;
+      byBranch[branchKey].surcharge += result.total;
+
+      if (samples.length < 20) {
+        samples.push({
+          orderNumber: order.orderNumber,
+          createdAt: order.createdAt,
+          pickupDate: order.pickupDate,
+          originalTotal: order.pricing?.total || 0,
+          surcharge: result.total
+        });
+      }
+    }
+
+    return {
+      rule: {
+        name: rule.name,
+        type: rule.type,
+        value: rule.value,
+        applicableServices: rule.applicableServices
+      },
+      window: { startDate: window.startDate, endDate: window.endDate },
+      ordersInWindow: orders.length,
+      ordersAffected,
+      revenueInWindow: Math.round(revenueInWindow),
+      totalSurcharge: Math.round(totalSurcharge),
+      averageSurcharge: ordersAffected > 0 ? Math.round(totalSurcharge / ordersAffected) : 0,
+      byBranch: Object.values(byBranch).map(entry => ({ ...entry, surcharge: Math.round(entry.surcharge) })),
+      samples
+    };
+  }
+}
+
+module.exports = HolidayPricingService;
@@ -0,0 +1,377 @@
+const Invoice = require('../models/Invoice');
+const InvoiceSequence = require('../models/InvoiceSequence');
+const Order = require('../models/Order');
+const OrderItem = require('../models/OrderItem');
+const Branch = require('../models/Branch');
+const User = require('../models/User');
+const Service = require('../models/Service');
+const { ORDER_STATUS, GST_CONFIG, PRICING_DEFAULTS } = require('../config/constants');
+
+/**
+ * Invoice Service
+ * Issues GST tax invoices for orders and the credit / debit notes that amend
+ * them. Numbers run per branch and financial year. Tax is split into CGST and
+ * SGST when the branch and the place of supply are in the same state, IGST
+ * otherwise. Amounts are taken from the order's pricing so the invoice always
+ * matches what the customer was charged.
+ */
+
+// Structured invoice error - `error` and `statusCode` are used by the global error handler
+class InvoiceError extends Error {
+  constructor(error, message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'InvoiceError';
+    this.error = error;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+const DOCUMENT_PREFIXES = {
+  invoice: GST_CONFIG.INVOICE_PREFIX,
+  credit_note: GST_CONFIG.CREDIT_NOTE_PREFIX,
+  debit_note: GST_CONFIG.DEBIT_NOTE_PREFIX
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const normalizeState = (state) => String(state || '').toLowerCase().replace(/[^a-z]/g, '');
+
+// Addresses default their state to "India" when none was given; that is no place of supply
+const isKnownState = (state) => Boolean(normalizeState(state)) && normalizeState(state) !== 'india';
+
+const formatAddress = (address) => address
+  ? [address.addressLine1, address.addressLine2, address.landmark, address.city, address.state, address.pincode]
+    .filter(Boolean)
+    .join(', ')
+  : '';
+
+const humanize = (value) => String(value || '')
+  .split('_')
+  .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+  .join(' ');
+
+class InvoiceService {
+  // Indian financial year (April to March) a date falls in, e.g. "2026-27"
+  static getFinancialYear(date = new Date()) {
+    const year = date.getMonth() >= GST_CONFIG.FINANCIAL_YEAR_START_MONTH
+      ? date.getFullYear()
+      : date.getFullYear() - 1;
+    return `${year}-${String((year + 1) % 100).padStart(2, '0')}`;
+  }
+
+  static formatNumber(documentType, branchCode, financialYear, sequence) {
+    return `${DOCUMENT_PREFIXES[documentType]}/${branchCode}/${financialYear}/${String(sequence).padStart(5, '0')}`;
+  }
+
+  // Supplies within the branch's state carry CGST + SGST, anything else IGST
+  static getSupplyType(sellerState, placeOfSupply) {
+    return placeOfSupply && normalizeState(sellerState) !== normalizeState(placeOfSupply)
+      ? 'inter_state'
+      : 'intra_state';
+  }
+
+  static splitTax(totalTax, supplyType) {
+    const tax = round(totalTax);
+    if (supplyType === 'inter_state') {
+      return { cgst: 0, sgst: 0, igst: tax, totalTax: tax };
+    }
+    const cgst = round(tax / 2);
+    return { cgst, sgst: round(tax - cgst), igst: 0, totalTax: tax };
+  }
+
+  static getSacCode(service) {
+    return service?.sacCode || GST_CONFIG.SAC_CODES[service?.category] || GST_CONFIG.DEFAULT_SAC;
+  }
+
+  /**
+   * Seller and buyer details. The place of supply is the customer's delivery
+   * (or pickup) state; when the order has no state on record the branch's
+   * own state is used.
+   */
+  static buildParties(order, branch, customer) {
+    const address = order.deliveryAddress?.addressLine1 ? order.deliveryAddress : order.pickupAddress;
+    const placeOfSupply = isKnownState(address?.state) ? address.state : branch.address?.state;
+
+    return {
+      seller: {
+        name: branch.legalName || branch.name,
+        gstin: branch.gstin,
+        email: branch.contact?.email,
+        phone: branch.contact?.phone,
+        address: formatAddress(branch.address),
+        state: branch.address?.state
+      },
+      buyer: {
+        name: address?.name || customer?.name,
+        email: customer?.email,
+        phone: address?.phone || customer?.phone,
+        address: formatAddress(address),
+        state: placeOfSupply
+      },
+      placeOfSupply,
+      supplyType: this.getSupplyType(branch.address?.state, placeOfSupply)
+    };
+  }
+
+  // Invoice lines, discount and tax for an order, taken from its stored pricing
+  static async buildOrderContent(order) {
+    const items = await OrderItem.find({ order: order._id }).sort({ createdAt: 1, _id: 1 });
+    const services = await Service.find({ code: { $in: [...new Set(items.map(item => item.service))] } })
+      .select('code displayName category sacCode');
+    const servicesByCode = new Map(services.map(service => [service.code, service]));
+
+    const pricing = order.pricing || {};
+    const taxRate = pricing.taxRate ?? PRICING_DEFAULTS.TAX_RATE;
+
+    const lines = items.map(item => {
+      const service = servicesByCode.get(item.service);
+      return {
+        description: `${humanize(item.itemType)} - ${service?.displayName || humanize(item.service)} (${humanize(item.category)})`,
+        sacCode: this.getSacCode(service),
+        quantity: item.getBillableQuantity(),
+        unit: item.unit === 'per_kg' ? 'kg' : 'pcs',
+        unitPrice: item.unitPrice,
+        amount: round(item.totalPrice)
+      };
+    });
+
+    const defaultSac = lines[0]?.sacCode || GST_CONFIG.DEFAULT_SAC;
+    const charges = [
+      ['Express service', pricing.expressCharge, defaultSac],
+      ['Holiday surcharge', pricing.holidaySurcharge, defaultSac],
+      ['Weight above plan allowance', pricing.weightOverage, defaultSac],
+      ['Pickup and delivery', pricing.deliveryCharge, GST_CONFIG.DELIVERY_SAC]
+    ];
+    charges.forEach(([description, amount, sacCode]) => {
+      if (amount > 0) {
+        lines.push({ description, sacCode, quantity: 1, unit: 'service', unitPrice: round(amount), amount: round(amount) });
+      }
+    });
+
+    let totalTax = pricing.tax || 0;
+
+    // A subscription fee collected with the order is added after tax, so it is GST-inclusive
+    if (pricing.subscriptionFee > 0) {
+      const feeValue = round(pricing.subscriptionFee * 100 / (100 + taxRate));
+      totalTax += pricing.subscriptionFee - feeValue;
+      lines.push({ description: 'Subscription plan fee', sacCode: defaultSac, quantity: 1, unit: 'service', unitPrice: feeValue, amount: feeValue });
+    }
+
+    const discount = round((pricing.discount || 0) + (pricing.loyalty?.pointsDiscount || 0));
+    const taxableValue = round(lines.reduce((sum, line) => sum + line.amount, 0) - discount);
+    const total = round(pricing.total || 0);
+
+    return {
+      lines,
+      discount,
+      taxableValue,
+      taxRate,
+      totalTax: round(totalTax),
+      roundOff: round(total - taxableValue - round(totalTax)),
+      total
+    };
+  }
+
+  // Create a numbered document; the number is taken only once everything else is ready
+  static async createDocument(documentType, { order, branch, customer, content, reason, originalInvoice }, actor = {}) {
+    const issuedAt = new Date();
+    const financialYear = this.getFinancialYear(issuedAt);
+    const parties = originalInvoice
+      ? {
+        seller: originalInvoice.seller,
+        buyer: originalInvoice.buyer,
+        placeOfSupply: originalInvoice.placeOfSupply,
+        supplyType: originalInvoice.supplyType
+      }
+      : this.buildParties(order, branch, customer);
+
+    const sequence = await InvoiceSequence.next(branch._id, financialYear, documentType);
+
+    try {
+      return await Invoice.create({
+        documentType,
+        number: this.formatNumber(documentType, branch.code, financialYear, sequence),
+        financialYear,
+        sequence,
+        order: order._id,
+        orderNumber: order.orderNumber,
+        customer: order.customer._id || order.customer,
+        branch: branch._id,
+        originalInvoice: originalInvoice?._id,
+        originalInvoiceNumber: originalInvoice?.number,
+        reason,
+        ...parties,
+        lines: content.lines,
+        discount: content.discount || 0,
+        taxableValue: content.taxableValue,
+        taxRate: content.taxRate,
+        ...this.splitTax(content.totalTax, parties.supplyType),
+        roundOff: content.roundOff || 0,
+        total: content.total,
+        issuedAt,
+        issuedBy: actor.id
+      });
+    } catch (error) {
+      // An unsaved document must not leave a gap in the series
+      await InvoiceSequence.release(branch._id, financialYear, documentType, sequence);
+      throw error;
+    }
+  }
+
+  static getOrderInvoice(orderId) {
+    return Invoice.findOne({ order: orderId, documentType: 'invoice' });
+  }
+
+  static getOrderDocuments(orderId) {
+    return Invoice.find({ order: orderId }).sort({ issuedAt: 1 });
+  }
+
+  /**
+   * The order's tax invoice, issued on first request
+   * @param {Object} order
+   * @param {Object} actor - { id, role }
+   * @returns {Promise<Object>} Invoice document
+   */
+  static async issueForOrder(order, actor = {}) {
+    const existing = await this.getOrderInvoice(order._id);
+    if (existing) return existing;
+
+    if (order.status === ORDER_STATUS.CANCELLED) {
+      throw new InvoiceError('ORDER_CANCELLED', 'Cancelled orders are not invoiced', 409);
+    }
+
+    const [branch, customer] = await Promise.all([
+      order.branch ? Branch.findById(order.branch._id || order.branch) : null,
+      User.findById(order.customer._id || order.customer).select('name email phone')
+    ]);
+    if (!branch) {
+      throw new InvoiceError('NO_BRANCH', 'An invoice can only be issued once the order has a branch', 409);
+    }
+
+    const content = await this.buildOrderContent(order);
+
+    // Claim the order before taking a number, so a concurrent request can't burn one
+    const staleBefore = new Date(Date.now() - GST_CONFIG.ISSUE_LOCK_SECONDS * 1000);
+    const claimed = await Order.updateOne(
+      {
+        _id: order._id,
+        invoice: null,
+        $or: [{ invoicePendingAt: null }, { invoicePendingAt: { $lt: staleBefore } }]
+      },
+      { $set: { invoicePendingAt: new Date() } }
+    );
+    if (claimed.modifiedCount === 0) {
+      const issued = await this.getOrderInvoice(order._id);
+      if (issued) return issued;
+      throw new InvoiceError('INVOICE_IN_PROGRESS', 'The invoice for this order is being issued, please try again shortly', 409);
+    }
+
+    let invoice;
+    try {
+      invoice = await this.createDocument('invoice', { order, branch, customer, content }, actor);
+    } catch (error) {
+      await Order.updateOne({ _id: order._id }, { $unset: { invoicePendingAt: 1 } });
+      // Issued by a concurrent request; keep theirs
+      if (error.code === 11000 && error.keyPattern?.order) {
+        return this.getOrderInvoice(order._id);
+      }
+      throw error;
+    }
+
+    await Order.updateOne({ _id: order._id }, {
+      $set: {
+        invoice: invoice._id,
+        invoiceNumber: invoice.number,
+        invoiceGenerated: true,
+        invoiceUrl: `/api/customer/orders/${order._id}/invoice`
+      },
+      $unset: { invoicePendingAt: 1 }
+    });
+
+    return invoice;
+  }
+
+  // What is currently billed on the order: the invoice plus debit notes less credit notes
+  static async getNetInvoiced(orderId) {
+    const documents = await this.getOrderDocuments(orderId);
+    return documents.reduce((net, document) => {
+      const sign = document.documentType === 'credit_note' ? -1 : 1;
+      net.taxableValue = round(net.taxableValue + sign * document.taxableValue);
+      net.totalTax = round(net.totalTax + sign * document.totalTax);
+      net.roundOff = round(net.roundOff + sign * (document.roundOff || 0));
+      net.total = round(net.total + sign * document.total);
+      return net;
+    }, { taxableValue: 0, totalTax: 0, roundOff: 0, total: 0 });
+  }
+
+  /**
+   * Issue a credit or debit note against the order's invoice.
+   * Nothing is issued if the order was never invoiced.
+   * @returns {Promise<Object|null>}
+   */
+  static async issueNote(order, documentType, { reason, description, taxableValue, totalTax, roundOff = 0 }, actor = {}) {
+    const invoice = await this.getOrderInvoice(order._id);
+    if (!invoice) return null;
+
+    const branch = await Branch.findById(invoice.branch);
+    const total = round(taxableValue + totalTax + roundOff);
+    if (total <= 0) return null;
+
+    return this.createDocument(documentType, {
+      order,
+      branch,
+      originalInvoice: invoice,
+      reason,
+      content: {
+        lines: [{
+          description,
+          sacCode: invoice.lines[0]?.sacCode || GST_CONFIG.DEFAULT_SAC,
+          quantity: 1,
+          unit: 'service',
+          unitPrice: round(taxableValue),
+          amount: round(taxableValue)
+        }],
+        taxableValue: round(taxableValue),
+        taxRate: invoice.taxRate,
+        totalTax: round(totalTax),
+        roundOff,
+        total
+      }
+    }, actor);
+  }
+
+  // Credit whatever is still billed on a cancelled order
+  static async creditOnCancellation(order, actor = {}) {
+    const net = await this.getNetInvoiced(order._id);
+    if (net.total <= 0) return null;
+
+    return this.issueNote(order, 'credit_note', {
+      reason: order.cancellationReason || 'Order cancelled',
+      description: `Cancellation of order ${order.orderNumber}`,
+      taxableValue: net.taxableValue,
+      totalTax: net.totalTax,
+      roundOff: net.roundOff
+    }, actor);
+  }
+
+  // A weigh-in after invoicing changes the bill: debit note if it went up, credit note if down
+  static async noteForWeightAdjustment(order, adjustment, actor = {}) {
+    if (!adjustment.difference) return null;
+
+    const amount = Math.abs(adjustment.difference);
+    const taxRate = order.pricing.taxRate ?? PRICING_DEFAULTS.TAX_RATE;
+    const taxableValue = round(amount * 100 / (100 + taxRate));
+
+    return this.issueNote(order, adjustment.difference > 0 ? 'debit_note' : 'credit_note', {
+      reason: `Weight recorded at ${adjustment.stage}: ${adjustment.weightKg} kg`,
+      description: `Weight adjustment for order ${order.orderNumber}`,
+      taxableValue,
+      totalTax: round(amount - taxableValue)
+    }, actor);
+  }
+}
+
+InvoiceService.InvoiceError = InvoiceError;
+
+module.exports = InvoiceService;
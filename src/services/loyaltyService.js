@@ -0,0 +1,637 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Order = require('../models/Order');
+const Settings = require('../models/Settings');
+const LoyaltyTransaction = require('../models/LoyaltyTransaction');
+const NotificationService = require('./notificationService');
+const { ORDER_STATUS, NOTIFICATION_TYPES } = require('../config/constants');
+
+/**
+ * Loyalty Service
+ * Tiers from rolling spend and delivered orders, points earned on delivery at
+ * the tier's rate, redeemed at checkout under a cap, expired per earn lot and
+ * reversed when an order is cancelled or refunded. User.rewardPoints is the
+ * running balance; LoyaltyTransaction is the history behind it.
+ */
+
+// Structured loyalty error - `error` and `statusCode` are used by the global error handler
+class LoyaltyError extends Error {
+  constructor(error, message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'LoyaltyError';
+    this.error = error;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  result.setMonth(result.getMonth() + months);
+  return result;
+};
+
+class LoyaltyService {
+  static getProgram() {
+    return Settings.getLoyaltyProgram();
+  }
+
+  /**
+   * Validate a loyalty program config; returns the normalised program
+   * @throws {LoyaltyError} INVALID_PROGRAM
+   */
+  static validateProgram(program) {
+    const errors = [];
+    const number = (value, min, max, field) => {
+      const parsed = Number(value);
+      if (isNaN(parsed) || parsed < min || parsed > max) {
+        errors.push(`${field} must be between ${min} and ${max}`);
+      }
+      return parsed;
+    };
+
+    const normalised = {
+      rollingWindowDays: number(program.rollingWindowDays, 30, 730, 'rollingWindowDays'),
+      pointValue: number(program.pointValue, 0.01, 100, 'pointValue'),
+      minRedemptionPoints: number(program.minRedemptionPoints, 0, 100000, 'minRedemptionPoints'),
+      maxRedemptionPercent: number(program.maxRedemptionPercent, 0, 100, 'maxRedemptionPercent'),
+      expiryMonths: number(program.expiryMonths, 1, 60, 'expiryMonths'),
+      vipMinTier: program.vipMinTier || null
+    };
+
+    const tiers = Array.isArray(program.tiers) ? program.tiers : [];
+    if (tiers.length === 0) {
+      errors.push('At least one tier is required');
+    }
+    normalised.tiers = tiers.map((tier, index) => ({
+      key: String(tier.key || '').trim().toLowerCase(),
+      name: String(tier.name || tier.key || '').trim(),
+      minSpend: number(tier.minSpend ?? 0, 0, 10000000, `tiers[${index}].minSpend`),
+      minOrders: number(tier.minOrders ?? 0, 0, 100000, `tiers[${index}].minOrders`),
+      earnRate: number(tier.earnRate ?? 0, 0, 100, `tiers[${index}].earnRate`),
+      benefits: {
+        discountPercent: number(tier.benefits?.discountPercent ?? 0, 0, 50, `tiers[${index}].benefits.discountPercent`),
+        freeExpress: Boolean(tier.benefits?.freeExpress)
+      }
+    })).sort((a, b) => a.minSpend - b.minSpend || a.minOrders - b.minOrders);
+
+    const keys = normalised.tiers.map(tier => tier.key);
+    if (keys.some(key => !key)) errors.push('Every tier needs a key');
+    if (new Set(keys).size !== keys.length) errors.push('Tier keys must be unique');
+    if (normalised.tiers[0] && (normalised.tiers[0].minSpend > 0 || normalised.tiers[0].minOrders > 0)) {
+      errors.push('The entry tier must have minSpend and minOrders of 0');
+    }
+    if (normalised.vipMinTier && !keys.includes(normalised.vipMinTier)) {
+      errors.push('vipMinTier must be one of the tier keys');
+    }
+
+    if (errors.length > 0) {
+      throw new LoyaltyError('INVALID_PROGRAM', 'Loyalty program is invalid', 400, { errors });
+    }
+    return normalised;
+  }
+
+  // Merge changes into the current program, validate and save
+  static async updateProgram(changes, updatedBy) {
+    const current = await this.getProgram();
+    const program = this.validateProgram({ ...current, ...changes });
+    await Settings.setSetting('loyalty_program', program, {
+      description: 'Loyalty tiers, earn rates, redemption and expiry rules',
+      category: 'pricing',
+      updatedBy
+    });
+    return program;
+  }
+
+  // Highest tier whose spend or order threshold is met; VIPs keep the VIP floor
+  static resolveTier(program, { spend, orders }, isVIP = false) {
+    let index = 0;
+    program.tiers.forEach((tier, i) => {
+      if (spend >= tier.minSpend || orders >= tier.minOrders) index = i;
+    });
+    if (isVIP && program.vipMinTier) {
+      const vipIndex = program.tiers.findIndex(tier => tier.key === program.vipMinTier);
+      index = Math.max(index, vipIndex);
+    }
+    return program.tiers[index];
+  }
+
+  // Net spend and delivered orders inside the rolling window
+  static async getRollingStats(customerId, program) {
+    const since = new Date(Date.now() - program.rollingWindowDays * 24 * 60 * 60 * 1000);
+    const [stats] = await Order.aggregate([
+      {
+        $match: {
+          customer: new mongoose.Types.ObjectId(customerId),
+          status: ORDER_STATUS.DELIVERED,
+          actualDeliveryDate: { $gte: since }
+        }
+      },
+      {
+        $group: {
+          _id: null,
+          spend: { $sum: { $subtract: ['$pricing.total', { $ifNull: ['$refundSummary.refunded', 0] }] } },
+          orders: { $sum: 1 }
+        }
+      }
+    ]);
+    return { spend: round(Math.max(stats?.spend || 0, 0)), orders: stats?.orders || 0 };
+  }
+
+  /**
+   * Re-evaluate a customer's tier and cache it on the user
+   * @returns {Promise<{ tier: Object, stats: Object, changed: boolean }>}
+   */
+  static async refreshTier(customerId, program = null, { notify = true } = {}) {
+    program = program || await this.getProgram();
+    const customer = await User.findById(customerId).select('isVIP loyalty');
+    if (!customer) {
+      throw new LoyaltyError('CUSTOMER_NOT_FOUND', 'Customer not found', 404);
+    }
+
+    const stats = await this.getRollingStats(customerId, program);
+    const tier = this.resolveTier(program, stats, customer.isVIP);
+    const previous = customer.loyalty?.tier;
+    const changed = Boolean(previous) && previous !== tier.key;
+
+    await User.updateOne({ _id: customerId }, {
+      $set: {
+        'loyalty.tier': tier.key,
+        'loyalty.rollingSpend': stats.spend,
+        'loyalty.rollingOrders': stats.orders,
+        'loyalty.evaluatedAt': new Date(),
+        ...(changed || !previous ? { 'loyalty.tierChangedAt': new Date() } : {})
+      }
+    });
+
+    if (changed && notify) {
+      const upgraded = program.tiers.findIndex(t => t.key === tier.key) >
+        program.tiers.findIndex(t => t.key === previous);
+      try {
+        await NotificationService.createNotification({
+          recipientId: customerId,
+          type: NOTIFICATION_TYPES.LOYALTY_TIER_CHANGED,
+          title: upgraded ? `Welcome to ${tier.name}!` : `Your tier is now ${tier.name}`,
+          message: upgraded
+            ? `You've reached ${tier.name}. You now earn ${tier.earnRate} points per ₹100.`
+            : `Your loyalty tier changed to ${tier.name} based on the last ${program.rollingWindowDays} days.`,
+          data: { tier: tier.key, previousTier: previous }
+        });
+      } catch (error) {
+        console.error('Error sending tier notification:', error);
+      }
+    }
+
+    return { tier, stats, changed };
+  }
+
+  /**
+   * Tier benefits and a validated points request for a checkout, in the shape
+   * PricingService.quote takes as its `loyalty` option
+   */
+  static async getCheckoutBenefits(customer, redeemPoints = 0) {
+    const program = await this.getProgram();
+    const { tier } = await this.refreshTier(customer._id, program);
+
+    const points = parseInt(redeemPoints) || 0;
+    if (points < 0) {
+      throw new LoyaltyError('INVALID_POINTS', 'Points to redeem must be a positive number', 400);
+    }
+    if (points > 0) {
+      if (points < program.minRedemptionPoints) {
+        throw new LoyaltyError('BELOW_MINIMUM_REDEMPTION',
+          `At least ${program.minRedemptionPoints} points must be redeemed at a time`, 400);
+      }
+      const balance = (await User.findById(customer._id).select('rewardPoints'))?.rewardPoints || 0;
+      if (points > balance) {
+        throw new LoyaltyError('INSUFFICIENT_POINTS', 'Not enough reward points', 400, { balance, requested: points });
+      }
+    }
+
+    return {
+      tier: tier.key,
+      discountPercent: tier.benefits.discountPercent,
+      freeExpress: tier.benefits.freeExpress,
+      redeemPoints: points,
+      pointValue: program.pointValue,
+      maxRedemptionPercent: program.maxRedemptionPercent
+    };
+  }
+
+  // Give balances that pre-date lots (the old VIP points) a lot so they can be spent and expire
+  static async ensureOpeningLot(customerId, program = null) {
+    const customer = await User.findById(customerId).select('rewardPoints');
+    if (!customer) return;
+
+    const [lots] = await LoyaltyTransaction.aggregate([
+      { $match: { customer: new mongoose.Types.ObjectId(customerId), remainingPoints: { $gt: 0 } } },
+      { $group: { _id: null, remaining: { $sum: '$remainingPoints' } } }
+    ]);
+    const untracked = (customer.rewardPoints || 0) - (lots?.remaining || 0);
+    if (untracked <= 0) return;
+
+    program = program || await this.getProgram();
+    try {
+      await LoyaltyTransaction.create({
+        customer: customerId,
+        type: 'adjust',
+        points: 0,
+        balanceAfter: customer.rewardPoints,
+        description: 'Existing points balance carried over',
+        expiresAt: addMonths(new Date(), program.expiryMonths),
+        remainingPoints: untracked,
+        idempotencyKey: `opening:${customerId}`
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  // Draw points down from lots, the preferred lot first and then by earliest expiry
+  static async consumeLots(customerId, points, preferredLot = null) {
+    const lots = await LoyaltyTransaction.find({
+      customer: customerId,
+      remainingPoints: { $gt: 0 },
+      expiresAt: { $gt: new Date() }
+    }).sort({ expiresAt: 1, createdAt: 1 });
+
+    if (preferredLot) {
+      lots.sort((a, b) => (b._id.equals(preferredLot) ? 1 : 0) - (a._id.equals(preferredLot) ? 1 : 0));
+    }
+
+    const used = [];
+    let left = points;
+    for (const lot of lots) {
+      if (left <= 0) break;
+      const take = Math.min(lot.remainingPoints, left);
+      const updated = await LoyaltyTransaction.updateOne(
+        { _id: lot._id, remainingPoints: { $gte: take } },
+        { $inc: { remainingPoints: -take } }
+      );
+      if (updated.modifiedCount === 1) {
+        used.push({ lot: lot._id, points: take });
+        left -= take;
+      }
+    }
+    return used;
+  }
+
+  /**
+   * Spend points on an order at checkout. The balance is taken atomically so
+   * concurrent checkouts can't spend the same points twice.
+   */
+  static async redeemForOrder(customerId, points, order) {
+    await this.ensureOpeningLot(customerId);
+
+    const customer = await User.findOneAndUpdate(
+      { _id: customerId, rewardPoints: { $gte: points } },
+      { $inc: { rewardPoints: -points } },
+      { new: true }
+    ).select('rewardPoints loyalty');
+    if (!customer) {
+      throw new LoyaltyError('INSUFFICIENT_POINTS', 'Not enough reward points', 400);
+    }
+
+    const lots = await this.consumeLots(customerId, points);
+    return LoyaltyTransaction.create({
+      customer: customerId,
+      type: 'redeem',
+      points: -points,
+      balanceAfter: customer.rewardPoints,
+      description: `Redeemed on order ${order.orderNumber}`,
+      order: order._id,
+      tier: customer.loyalty?.tier,
+      lots,
+      idempotencyKey: `redeem:${order._id}`,
+      createdBy: customerId
+    });
+  }
+
+  // Give back points spent on an order; safe to call more than once
+  static async restoreRedeemed(order, reason = 'Order cancelled') {
+    const redemption = await LoyaltyTransaction.findOne({ order: order._id, type: 'redeem' });
+    if (!redemption) return null;
+
+    const idempotencyKey = `reverse_redeem:${order._id}`;
+    const existing = await LoyaltyTransaction.findOne({ idempotencyKey });
+    if (existing) return existing;
+
+    const points = Math.abs(redemption.points);
+    const untracked = points - redemption.lots.reduce((sum, used) => sum + used.points, 0);
+    const current = await User.findById(redemption.customer).select('rewardPoints');
+
+    // The ledger entry claims the reversal first; only the caller whose insert
+    // wins the unique idempotency key gives the points back
+    let entry;
+    try {
+      entry = await LoyaltyTransaction.create({
+        customer: redemption.customer,
+        type: 'reverse_redeem',
+        points,
+        balanceAfter: (current?.rewardPoints || 0) + points,
+        description: `${reason} - points returned from order ${order.orderNumber}`,
+        order: order._id,
+        lots: redemption.lots,
+        idempotencyKey,
+        // Points whose lots could not be drawn down at redemption come back as a fresh lot
+        ...(untracked > 0 ? {
+          remainingPoints: untracked,
+          expiresAt: addMonths(new Date(), (await this.getProgram()).expiryMonths)
+        } : {})
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      return LoyaltyTransaction.findOne({ idempotencyKey });
+    }
+
+    const customer = await User.findByIdAndUpdate(
+      redemption.customer,
+      { $inc: { rewardPoints: points } },
+      { new: true }
+    ).select('rewardPoints');
+
+    // Points go back to the lots they came from; expired lots are expired again on the next run
+    for (const used of redemption.lots) {
+      await LoyaltyTransaction.updateOne({ _id: used.lot }, { $inc: { remainingPoints: used.points } });
+    }
+
+    if (customer && customer.rewardPoints !== entry.balanceAfter) {
+      entry.balanceAfter = customer.rewardPoints;
+      await LoyaltyTransaction.updateOne({ _id: entry._id }, { $set: { balanceAfter: customer.rewardPoints } });
+    }
+
+    await Order.updateOne({ _id: order._id }, { $set: { 'loyalty.redemptionRestoredAt': new Date() } });
+    return entry;
+  }
+
+  /**
+   * Award points for a delivered order at the customer's (refreshed) tier rate
+   */
+  static async earnForOrder(order) {
+    const customerId = order.customer._id || order.customer;
+    const program = await this.getProgram();
+    const { tier } = await this.refreshTier(customerId, program);
+
+    const points = Math.floor(order.pricing.total / 100 * tier.earnRate);
+    if (points <= 0) return null;
+
+    const idempotencyKey = `earn:${order._id}`;
+    if (await LoyaltyTransaction.exists({ idempotencyKey })) return null;
+
+    const customer = await User.findByIdAndUpdate(customerId, { $inc: { rewardPoints: points } }, { new: true })
+      .select('rewardPoints');
+
+    let entry;
+    try {
+      entry = await LoyaltyTransaction.create({
+        customer: customerId,
+        type: 'earn',
+        points,
+        balanceAfter: customer.rewardPoints,
+        description: `Earned on order ${order.orderNumber}`,
+        order: order._id,
+        tier: tier.key,
+        expiresAt: addMonths(new Date(), program.expiryMonths),
+        remainingPoints: points,
+        idempotencyKey
+      });
+    } catch (error) {
+      await User.updateOne({ _id: customerId }, { $inc: { rewardPoints: -points } });
+      if (error.code === 11000) return null;
+      throw error;
+    }
+
+    await Order.updateOne(
+      { _id: order._id },
+      { $set: { 'loyalty.pointsEarned': points, 'loyalty.earnedAt': new Date() } }
+    );
+
+    try {
+      await NotificationService.createNotification({
+        recipientId: customerId,
+        type: NOTIFICATION_TYPES.REWARD_POINTS,
+        title: 'Reward Points Earned',
+        message: `You earned ${points} reward points for order ${order.orderNumber}!`,
+        data: { orderId: order._id, pointsEarned: points, tier: tier.key }
+      });
+    } catch (error) {
+      console.error('Error sending reward points notification:', error);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Take back points earned on an order. Points already spent can't be
+   * recovered, so at most the current balance is taken.
+   */
+  static async reverseEarned(order, points, reason, idempotencyKey) {
+    if (points <= 0) return null;
+    if (await LoyaltyTransaction.exists({ idempotencyKey })) return null;
+
+    const customerId = order.customer._id || order.customer;
+    const current = await User.findById(customerId).select('rewardPoints');
+    const take = Math.min(points, current?.rewardPoints || 0);
+    if (take <= 0) return null;
+
+    const customer = await User.findOneAndUpdate(
+      { _id: customerId, rewardPoints: { $gte: take } },
+      { $inc: { rewardPoints: -take } },
+      { new: true }
+    ).select('rewardPoints');
+    if (!customer) return null;
+
+    const earnLot = await LoyaltyTransaction.findOne({ order: order._id, type: 'earn' }).select('_id');
+    const lots = await this.consumeLots(customerId, take, earnLot?._id);
+
+    let entry;
+    try {
+      entry = await LoyaltyTransaction.create({
+        customer: customerId,
+        type: 'reverse_earn',
+        points: -take,
+        balanceAfter: customer.rewardPoints,
+        description: `${reason} - points earned on order ${order.orderNumber} reversed`,
+        order: order._id,
+        lots,
+        idempotencyKey
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      await User.updateOne({ _id: customerId }, { $inc: { rewardPoints: take } });
+      for (const used of lots) {
+        await LoyaltyTransaction.updateOne({ _id: used.lot }, { $inc: { remainingPoints: used.points } });
+      }
+      return null;
+    }
+
+    await Order.updateOne({ _id: order._id }, { $inc: { 'loyalty.pointsReversed': take } });
+    return entry;
+  }
+
+  // Undo every points movement an order caused (cancellation or full refund)
+  static async reverseForOrder(order, reason = 'Order cancelled') {
+    const restored = await this.restoreRedeemed(order, reason);
+    const earned = (order.loyalty?.pointsEarned || 0) - (order.loyalty?.pointsReversed || 0);
+    const reversed = await this.reverseEarned(order, earned, reason, `reverse_earn:${order._id}`);
+    return { restored, reversed };
+  }
+
+  /**
+   * Reverse points for a completed refund: everything on a full refund,
+   * earned points in proportion to the amount on a partial one
+   */
+  static async reverseForRefund(order, refund, paidAmount) {
+    if (order.paymentStatus === 'refunded') {
+      return this.reverseForOrder(order, `Refund ${refund.refundNumber}`);
+    }
+    const earned = order.loyalty?.pointsEarned || 0;
+    if (earned <= 0 || !(paidAmount > 0)) return null;
+
+    const points = Math.floor(earned * Math.min(refund.amount / paidAmount, 1));
+    const reversed = await this.reverseEarned(order, points, `Refund ${refund.refundNumber}`, `reverse_earn:${refund._id}`);
+    return { restored: null, reversed };
+  }
+
+  /**
+   * Expire every lot past its expiry date. Run on a schedule (see src/jobs).
+   * @returns {Promise<{ lots: number, points: number, customers: number }>}
+   */
+  static async expirePoints(now = new Date()) {
+    const lots = await LoyaltyTransaction.find({
+      remainingPoints: { $gt: 0 },
+      expiresAt: { $lte: now }
+    }).limit(1000);
+
+    const perCustomer = new Map();
+    let expiredLots = 0;
+    for (const lot of lots) {
+      const points = lot.remainingPoints;
+      const claimed = await LoyaltyTransaction.updateOne(
+        { _id: lot._id, remainingPoints: points },
+        { $set: { remainingPoints: 0 } }
+      );
+      if (claimed.modifiedCount !== 1) continue;
+
+      const customer = await User.findOneAndUpdate(
+        { _id: lot.customer },
+        [{ $set: { rewardPoints: { $max: [0, { $subtract: ['$rewardPoints', points] }] } } }],
+        { new: true }
+      ).select('rewardPoints');
+
+      await LoyaltyTransaction.create({
+        customer: lot.customer,
+        type: 'expire',
+        points: -points,
+        balanceAfter: customer?.rewardPoints || 0,
+        description: `${points} points expired`,
+        order: lot.order,
+        lots: [{ lot: lot._id, points }]
+      });
+
+      expiredLots += 1;
+      const key = lot.customer.toString();
+      perCustomer.set(key, (perCustomer.get(key) || 0) + points);
+    }
+
+    for (const [customerId, points] of perCustomer) {
+      try {
+        await NotificationService.createNotification({
+          recipientId: customerId,
+          type: NOTIFICATION_TYPES.POINTS_EXPIRED,
+          title: 'Reward Points Expired',
+          message: `${points} of your reward points have expired.`,
+          data: { pointsExpired: points }
+        });
+      } catch (error) {
+        console.error('Error sending points expiry notification:', error);
+      }
+    }
+
+    return {
+      lots: expiredLots,
+      points: [...perCustomer.values()].reduce((sum, points) => sum + points, 0),
+      customers: perCustomer.size
+    };
+  }
+
+  // Balance, tier, progress to the next tier and points expiring soon
+  static async getSummary(customerId) {
+    const program = await this.getProgram();
+    await this.ensureOpeningLot(customerId, program);
+    const { tier, stats } = await this.refreshTier(customerId, program);
+    const customer = await User.findById(customerId).select('rewardPoints');
+
+    const tierIndex = program.tiers.findIndex(t => t.key === tier.key);
+    const nextTier = program.tiers[tierIndex + 1] || null;
+
+    const soon = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
+    const expiring = await LoyaltyTransaction.find({
+      customer: customerId,
+      remainingPoints: { $gt: 0 },
+      expiresAt: { $gt: new Date(), $lte: soon }
+    }).select('remainingPoints expiresAt').sort({ expiresAt: 1 });
+
+    return {
+      points: customer?.rewardPoints || 0,
+      pointValue: program.pointValue,
+      redeemableValue: round((customer?.rewardPoints || 0) * program.pointValue),
+      redemption: {
+        minPoints: program.minRedemptionPoints,
+        maxPercentOfOrder: program.maxRedemptionPercent
+      },
+      tier: {
+        key: tier.key,
+        name: tier.name,
+        earnRate: tier.earnRate,
+        benefits: tier.benefits
+      },
+      rolling: { ...stats, windowDays: program.rollingWindowDays },
+      nextTier: nextTier ? {
+        key: nextTier.key,
+        name: nextTier.name,
+        spendNeeded: round(Math.max(nextTier.minSpend - stats.spend, 0)),
+        ordersNeeded: Math.max(nextTier.minOrders - stats.orders, 0)
+      } : null,
+      expiringSoon: {
+        points: expiring.reduce((sum, lot) => sum + lot.remainingPoints, 0),
+        lots: expiring
+      }
+    };
+  }
+
+  // Paginated points history
+  static async getHistory(customerId, { page = 1, limit = 20, type } = {}) {
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const query = { customer: customerId, points: { $ne: 0 } };
+    if (type) query.type = type;
+
+    const [entries, total] = await Promise.all([
+      LoyaltyTransaction.find(query)
+        .select('type points balanceAfter description order tier expiresAt remainingPoints createdAt')
+        .populate('order', 'orderNumber')
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      LoyaltyTransaction.countDocuments(query)
+    ]);
+
+    return {
+      entries,
+      pagination: {
+        current: pageNum,
+        pages: Math.ceil(total / limitNum),
+        total,
+        limit: limitNum
+      }
+    };
+  }
+}
+
+LoyaltyService.LoyaltyError = LoyaltyError;
+
+module.exports = LoyaltyService;
@@ -1,19 +1,39 @@
 const crypto = require('crypto')
+const jwt = require('jsonwebtoken')
+const OtpCode = require('../models/OtpCode')
+const MfaAttempt = require('../models/MfaAttempt')
 const { sendEmail } = require('../config/email')
+const { MFA_CONFIG } = require('../config/constants')
 
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+
+// Second sign-in factor for CenterAdmin / SuperAdmin and for admin and
+// branch manager Users. Accounts carry an `mfa` sub-document:
+// { isEnabled, method: 'email' | 'totp', secret, pendingSecret, backupCodes, lastTotpStep }
+// Email codes live in MongoDB (OtpCode) so they survive restarts and work
+// across instances; TOTP follows RFC 6238 (HMAC-SHA1, 30s steps, 6 digits).
 class MFAService {
   constructor() {
-    this.otpStore = new Map() // In production, use Redis
-    this.otpExpiry = 10 * 60 * 1000 // 10 minutes
+    this.otpExpiry = MFA_CONFIG.OTP_TTL_MINUTES * 60 * 1000
   }
 
   // Generate OTP
   generateOTP() {
-    return Math.floor(100000 + Math.random() * 900000).toString()
+    return crypto.randomInt(100000, 1000000).toString()
+  }
+
+  hashCode(code) {
+    return crypto.createHash('sha256').update(String(code)).digest('hex')
+  }
+
+  codesMatch(hash, expectedHash) {
+    const a = Buffer.from(hash, 'hex')
+    const b = Buffer.from(expectedHash, 'hex')
+    return a.length === b.length && crypto.timingSafeEqual(a, b)
   }
 
   // Generate backup codes
-  generateBackupCodes(count = 10) {
+  generateBackupCodes(count = MFA_CONFIG.BACKUP_CODE_COUNT) {
     const codes = []
     for (let i = 0; i < count; i++) {
       codes.push(crypto.randomBytes(4).toString('hex').toUpperCase())
@@ -21,19 +41,68 @@ class MFAService {
     return codes
   }
 
+  normalizeBackupCode(code) {
+    return String(code || '').replace(/[\s-]/g, '').toUpperCase()
+  }
+
+  // Store a fresh code for key + purpose, replacing any earlier one
+  async issueCode(key, purpose, ttlMs = this.otpExpiry) {
+    const otp = this.generateOTP()
+    const expiresAt = new Date(Date.now() + ttlMs)
+
+    await OtpCode.findOneAndUpdate(
+      { key, purpose },
+      { $set: { codeHash: this.hashCode(otp), attempts: 0, sentAt: new Date(), expiresAt } },
+      { upsert: true, setDefaultsOnInsert: true }
+    )
+
+    return { otp, expiresAt }
+  }
+
+  // Check a code for key + purpose; a matching code can be used once
+  async checkCode(key, purpose, code, maxAttempts = MFA_CONFIG.OTP_MAX_ATTEMPTS) {
+    const now = new Date()
+
+    // Claim an attempt up front so parallel guesses all count
+    const record = await OtpCode.findOneAndUpdate(
+      { key, purpose, expiresAt: { $gt: now }, attempts: { $lt: maxAttempts } },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    )
+
+    if (!record) {
+      const stale = await OtpCode.findOneAndDelete({ key, purpose })
+      if (!stale) {
+        return { success: false, code: 'OTP_NOT_FOUND', message: 'No verification code found. Please request a new one.' }
+      }
+      if (stale.expiresAt <= now) {
+        return { success: false, code: 'OTP_EXPIRED', message: 'Verification code has expired. Please request a new one.' }
+      }
+      return { success: false, code: 'OTP_ATTEMPTS_EXCEEDED', message: 'Too many failed attempts. Please request a new code.' }
+    }
+
+    if (!this.codesMatch(this.hashCode(String(code || '').trim()), record.codeHash)) {
+      return {
+        success: false,
+        code: 'OTP_INVALID',
+        message: 'Invalid verification code. Please try again.',
+        attemptsLeft: Math.max(0, maxAttempts - record.attempts)
+      }
+    }
+
+    // Only the request that removes the record succeeds
+    const consumed = await OtpCode.findOneAndDelete({ _id: record._id, codeHash: record.codeHash })
+    if (!consumed) {
+      return { success: false, code: 'OTP_NOT_FOUND', message: 'No verification code found. Please request a new one.' }
+    }
+
+    return { success: true, message: 'Verification successful' }
+  }
+
   // Send OTP via email
   async sendOTP(email, purpose = 'login') {
     try {
-      const otp = this.generateOTP()
-      const expiresAt = Date.now() + this.otpExpiry
-      
-      // Store OTP (in production, use Redis with TTL)
-      const otpKey = `${email}:${purpose}`
-      this.otpStore.set(otpKey, {
-        otp,
-        expiresAt,
-        attempts: 0
-      })
+      const { otp, expiresAt } = await this.issueCode(email.toLowerCase(), purpose)
 
       // Email template
       const subject = purpose === 'login' ? 'Login Verification Code' : 'Security Verification Code'
@@ -42,21 +111,21 @@ class MFAService {
           <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center;">
             <h1 style="color: white; margin: 0;">LaundryPro Admin</h1>
           </div>
-          
+
           <div style="padding: 30px; background: #f8f9fa;">
             <h2 style="color: #333; margin-bottom: 20px;">Verification Code</h2>
             <p style="color: #666; font-size: 16px; line-height: 1.5;">
               Your verification code for ${purpose} is:
             </p>
-            
+
             <div style="background: white; border: 2px solid #667eea; border-radius: 8px; padding: 20px; margin: 20px 0; text-align: center;">
               <span style="font-size: 32px; font-weight: bold; color: #667eea; letter-spacing: 5px;">${otp}</span>
             </div>
-            
+
             <p style="color: #666; font-size: 14px;">
-              This code will expire in 10 minutes. If you didn't request this code, please ignore this email.
+              This code will expire in ${MFA_CONFIG.OTP_TTL_MINUTES} minutes. If you didn't request this code, please ignore this email.
             </p>
-            
+
             <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #ddd;">
               <p style="color: #999; font-size: 12px; margin: 0;">
                 This is an automated message from LaundryPro Admin System.
@@ -66,12 +135,17 @@ class MFAService {
         </div>
       `
 
-      await sendEmail({
+      const emailResult = await sendEmail({
         to: email,
         subject,
         html
       })
 
+      if (!emailResult.success) {
+        await OtpCode.deleteOne({ key: email.toLowerCase(), purpose })
+        throw new Error(emailResult.error || 'Email not sent')
+      }
+
       return {
         success: true,
         message: 'OTP sent successfully',
@@ -84,103 +158,321 @@ class MFAService {
   }
 
   // Verify OTP
-  verifyOTP(email, otp, purpose = 'login') {
-    const otpKey = `${email}:${purpose}`
-    const storedData = this.otpStore.get(otpKey)
+  async verifyOTP(email, otp, purpose = 'login') {
+    return this.checkCode(email.toLowerCase(), purpose, otp)
+  }
 
-    if (!storedData) {
-      return {
-        success: false,
-        message: 'No verification code found. Please request a new one.'
-      }
-    }
+  // TOTP secrets are stored encrypted (AES-256-GCM) with a key derived from
+  // MFA_ENCRYPTION_KEY, falling back to JWT_SECRET
+  encryptionKey() {
+    return crypto.createHash('sha256').update(process.env.MFA_ENCRYPTION_KEY || process.env.JWT_SECRET || '').digest()
+  }
 
-    // Check expiry
-    if (Date.now() > storedData.expiresAt) {
-      this.otpStore.delete(otpKey)
-      return {
-        success: false,
-        message: 'Verification code has expired. Please request a new one.'
-      }
+  encryptSecret(secret) {
+    const iv = crypto.randomBytes(12)
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.encryptionKey(), iv)
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()])
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.')
+  }
+
+  decryptSecret(stored) {
+    const [iv, tag, encrypted] = String(stored).split('.').map(part => Buffer.from(part, 'base64'))
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.encryptionKey(), iv)
+    decipher.setAuthTag(tag)
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8')
+  }
+
+  base32Encode(buffer) {
+    let bits = ''
+    for (const byte of buffer) bits += byte.toString(2).padStart(8, '0')
+    let output = ''
+    for (let i = 0; i < bits.length; i += 5) {
+      output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)]
     }
+    return output
+  }
 
-    // Check attempts
-    if (storedData.attempts >= 3) {
-      this.otpStore.delete(otpKey)
-      return {
-        success: false,
-        message: 'Too many failed attempts. Please request a new code.'
-      }
+  base32Decode(input) {
+    let bits = ''
+    for (const char of String(input).toUpperCase().replace(/=+$/, '')) {
+      const index = BASE32_ALPHABET.indexOf(char)
+      if (index === -1) throw new Error('Invalid base32 secret')
+      bits += index.toString(2).padStart(5, '0')
     }
+    const bytes = []
+    for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2))
+    return Buffer.from(bytes)
+  }
 
-    // Verify OTP
-    if (storedData.otp !== otp) {
-      storedData.attempts++
-      return {
-        success: false,
-        message: 'Invalid verification code. Please try again.'
-      }
+  // RFC 6238 code for a base32 secret at a time step
+  generateTOTP(secret, step) {
+    const counter = Buffer.alloc(8)
+    counter.writeBigUInt64BE(BigInt(step))
+    const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(counter).digest()
+    const offset = hmac[hmac.length - 1] & 0x0f
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff
+    return (binary % 10 ** MFA_CONFIG.TOTP_DIGITS).toString().padStart(MFA_CONFIG.TOTP_DIGITS, '0')
+  }
+
+  currentStep(at = Date.now()) {
+    return Math.floor(at / 1000 / MFA_CONFIG.TOTP_STEP_SECONDS)
+  }
+
+  /**
+   * Match a TOTP code within the allowed clock drift
+   * @returns {number|null} the matching time step, or null
+   */
+  matchTOTP(secret, token, afterStep = -1) {
+    const code = String(token || '').replace(/\s/g, '')
+    if (!/^\d+$/.test(code) || code.length !== MFA_CONFIG.TOTP_DIGITS) return null
+
+    const now = this.currentStep()
+    for (let step = now - MFA_CONFIG.TOTP_WINDOW; step <= now + MFA_CONFIG.TOTP_WINDOW; step++) {
+      if (step <= afterStep) continue
+      const expected = this.generateTOTP(secret, step)
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) return step
     }
+    return null
+  }
+
+  // otpauth:// URI encoded into the enrolment QR code by the client
+  buildOtpauthUrl(secret, accountName) {
+    const issuer = MFA_CONFIG.ISSUER
+    const label = encodeURIComponent(`${issuer}:${accountName}`)
+    const params = new URLSearchParams({
+      secret,
+      issuer,
+      algorithm: 'SHA1',
+      digits: String(MFA_CONFIG.TOTP_DIGITS),
+      period: String(MFA_CONFIG.TOTP_STEP_SECONDS)
+    })
+    return `otpauth://totp/${label}?${params.toString()}`
+  }
+
+  // Start authenticator-app enrolment: the secret stays pending until a code confirms it
+  async startTOTPSetup(account) {
+    const secret = this.base32Encode(crypto.randomBytes(20))
 
-    // Success - remove OTP
-    this.otpStore.delete(otpKey)
+    account.mfa = account.mfa || {}
+    account.mfa.pendingSecret = this.encryptSecret(secret)
+    await account.save()
+
+    const otpauthUrl = this.buildOtpauthUrl(secret, account.email)
     return {
-      success: true,
-      message: 'Verification successful'
+      secret,
+      otpauthUrl,
+      qrData: otpauthUrl
     }
   }
 
-  // Verify backup code
+  // Verify backup code; the code is pulled in one update so it can't be spent twice
   async verifyBackupCode(admin, code) {
-    if (!admin.mfa.backupCodes || !admin.mfa.backupCodes.includes(code)) {
+    const normalized = this.normalizeBackupCode(code)
+    const hash = this.hashCode(normalized)
+    const codes = (admin.mfa && admin.mfa.backupCodes) || []
+    // Codes issued before hashing was introduced are still stored in plain text
+    const match = normalized && codes.find(stored => stored === hash || stored === normalized)
+
+    const consumed = match && await admin.constructor.updateOne(
+      { _id: admin._id, 'mfa.backupCodes': match },
+      { $pull: { 'mfa.backupCodes': match } }
+    )
+    if (!consumed || consumed.modifiedCount === 0) {
       return {
         success: false,
         message: 'Invalid backup code'
       }
     }
 
-    // Remove used backup code
-    admin.mfa.backupCodes = admin.mfa.backupCodes.filter(c => c !== code)
-    await admin.save()
+    // Mirror the stored list without marking it for a later save to overwrite
+    admin.mfa.backupCodes = codes.filter(c => c !== match)
+    admin.unmarkModified('mfa.backupCodes')
 
     return {
       success: true,
-      message: 'Backup code verified successfully'
+      message: 'Backup code verified successfully',
+      backupCodesLeft: admin.mfa.backupCodes.length
+    }
+  }
+
+  // Verify an authenticator-app code; each time step is accepted once
+  async verifyTOTPCode(account, token) {
+    if (!account.mfa || !account.mfa.secret) {
+      return { success: false, message: 'Authenticator app is not set up' }
+    }
+
+    const step = this.matchTOTP(this.decryptSecret(account.mfa.secret), token, account.mfa.lastTotpStep ?? -1)
+    if (step === null) {
+      return { success: false, message: 'Invalid verification code. Please try again.' }
+    }
+
+    // Only one request can move lastTotpStep forward to this step
+    const claimed = await account.constructor.updateOne(
+      { _id: account._id, $or: [{ 'mfa.lastTotpStep': null }, { 'mfa.lastTotpStep': { $lt: step } }] },
+      { $set: { 'mfa.lastTotpStep': step } }
+    )
+    if (claimed.modifiedCount === 0) {
+      return { success: false, message: 'Invalid verification code. Please try again.' }
     }
+
+    account.mfa.lastTotpStep = step
+    account.unmarkModified('mfa.lastTotpStep')
+    return { success: true, message: 'Verification successful' }
   }
 
-  // Enable MFA for user
-  async enableMFA(admin) {
+  attemptKey(account) {
+    return `${account.constructor.modelName}:${account._id}`
+  }
+
+  // Claim one second-factor attempt for an account; false once it is locked out
+  async claimAttempt(account) {
+    const key = this.attemptKey(account)
+    const now = new Date()
+
+    // A lapsed record the TTL monitor hasn't removed yet starts over
+    await MfaAttempt.deleteOne({ key, expiresAt: { $lte: now } })
     try {
-      const backupCodes = this.generateBackupCodes()
-      
-      admin.mfa = {
-        isEnabled: true,
-        backupCodes,
-        lastUsed: new Date()
-      }
-      
-      await admin.save()
+      await MfaAttempt.updateOne(
+        { key },
+        { $setOnInsert: { attempts: 0, expiresAt: new Date(now.getTime() + MFA_CONFIG.LOCKOUT_MINUTES * 60 * 1000) } },
+        { upsert: true }
+      )
+    } catch (error) {
+      // A concurrent upsert created it first
+      if (error.code !== 11000) throw error
+    }
+
+    const claimed = await MfaAttempt.findOneAndUpdate(
+      { key, attempts: { $lt: MFA_CONFIG.MAX_FAILED_VERIFICATIONS } },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    )
+    return Boolean(claimed)
+  }
+
+  async clearAttempts(account) {
+    await MfaAttempt.deleteOne({ key: this.attemptKey(account) })
+  }
 
+  // Send the login challenge for the account's method (TOTP needs nothing sent)
+  async sendChallenge(account, purpose = 'login') {
+    if (account.mfa.method === 'totp') {
+      return { method: 'totp', message: 'Enter the code from your authenticator app' }
+    }
+    await this.sendOTP(account.email, purpose)
+    return { method: 'email', message: 'Verification code sent to your email' }
+  }
+
+  // Verify a login challenge answer: `otp` for the account's method, or a backup code.
+  // Every answer counts against the account, so rotating IPs doesn't buy more guesses.
+  async verifyChallenge(account, { otp, backupCode } = {}, purpose = 'login') {
+    if (!backupCode && !otp) return { success: false, message: 'OTP or backup code is required' }
+
+    if (!(await this.claimAttempt(account))) {
       return {
-        success: true,
-        backupCodes,
-        message: 'MFA enabled successfully'
+        success: false,
+        code: 'MFA_LOCKED',
+        message: `Too many failed attempts. Please try again in ${MFA_CONFIG.LOCKOUT_MINUTES} minutes.`
       }
+    }
+
+    let result
+    if (backupCode) {
+      result = await this.verifyBackupCode(account, backupCode)
+    } else if (account.mfa.method === 'totp') {
+      result = await this.verifyTOTPCode(account, otp)
+    } else {
+      result = await this.verifyOTP(account.email, otp, purpose)
+    }
+
+    if (result.success) await this.clearAttempts(account)
+    return result
+  }
+
+  // Short-lived token proving the password step passed; `subject` identifies the account
+  createChallengeToken(subject) {
+    return jwt.sign(
+      { ...subject, step: 'mfa_pending' },
+      process.env.JWT_SECRET,
+      { expiresIn: `${MFA_CONFIG.CHALLENGE_TOKEN_MINUTES}m` }
+    )
+  }
+
+  verifyChallengeToken(token) {
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET)
+      return decoded.step === 'mfa_pending' ? decoded : null
     } catch (error) {
-      throw new Error('Failed to enable MFA')
+      return null
     }
   }
 
+  /**
+   * Enable MFA for user
+   * @param {Object} admin - CenterAdmin, SuperAdmin or User document
+   * @param {Object} [options] - { method: 'email' | 'totp', code } - TOTP needs a code
+   *   from the app to confirm the secret started by startTOTPSetup
+   */
+  async enableMFA(admin, { method = 'email', code } = {}) {
+    let secret
+    let lastTotpStep
+
+    if (method === 'totp') {
+      if (!admin.mfa || !admin.mfa.pendingSecret) {
+        return { success: false, message: 'Start authenticator setup first' }
+      }
+      const step = this.matchTOTP(this.decryptSecret(admin.mfa.pendingSecret), code)
+      if (step === null) {
+        return { success: false, message: 'Invalid verification code. Please try again.' }
+      }
+      secret = admin.mfa.pendingSecret
+      lastTotpStep = step
+    }
+
+    const backupCodes = this.generateBackupCodes()
+
+    admin.mfa = {
+      isEnabled: true,
+      method,
+      secret,
+      pendingSecret: undefined,
+      backupCodes: backupCodes.map(c => this.hashCode(c)),
+      lastTotpStep,
+      enabledAt: new Date(),
+      lastUsed: new Date()
+    }
+
+    await admin.save()
+
+    return {
+      success: true,
+      method,
+      backupCodes,
+      message: 'MFA enabled successfully'
+    }
+  }
+
+  // Replace the backup codes; the plain codes are only ever shown here
+  async regenerateBackupCodes(admin) {
+    const backupCodes = this.generateBackupCodes()
+    admin.mfa.backupCodes = backupCodes.map(c => this.hashCode(c))
+    await admin.save()
+    return backupCodes
+  }
+
   // Disable MFA for user
   async disableMFA(admin) {
     try {
       admin.mfa = {
         isEnabled: false,
+        method: 'email',
+        secret: undefined,
+        pendingSecret: undefined,
         backupCodes: [],
+        lastTotpStep: undefined,
         lastUsed: null
       }
-      
+
       await admin.save()
 
       return {
@@ -191,16 +483,6 @@ class MFAService {
       throw new Error('Failed to disable MFA')
     }
   }
-
-  // Clean expired OTPs (call periodically)
-  cleanExpiredOTPs() {
-    const now = Date.now()
-    for (const [key, data] of this.otpStore.entries()) {
-      if (now > data.expiresAt) {
-        this.otpStore.delete(key)
-      }
-    }
-  }
 }
 
-module.exports = new MFAService()
\ No newline at end of file
+module.exports = new MFAService()
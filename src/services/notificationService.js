@@ -79,6 +79,46 @@ class NotificationService {
     });
   }
 
+  // Payment notifications
+  static async notifyPaymentReceived(customerId, order, amount) {
+    return this.createNotification({
+      recipientId: customerId,
+      type: NOTIFICATION_TYPES.PAYMENT_RECEIVED,
+      title: 'Payment Received',
+      message: `We received your payment of ₹${amount} for order ${order.orderNumber}.`,
+      data: { orderId: order._id, additionalData: { amount } }
+    });
+  }
+
+  static async notifyPaymentFailed(customerId, order, reason) {
+    return this.createNotification({
+      recipientId: customerId,
+      type: NOTIFICATION_TYPES.PAYMENT_FAILED,
+      title: 'Payment Failed',
+      message: `Your payment for order ${order.orderNumber} did not go through${reason ? `: ${reason}` : ''}. You can retry from the order page.`,
+      data: { orderId: order._id }
+    });
+  }
+
+  static async notifyWeightAdjusted(customerId, order, adjustment) {
+    const settlementText = {
+      amount_due_updated: `The amount payable is now ₹${order.pricing.amountDue ?? order.pricing.total}.`,
+      payment_pending: `Please pay the difference of ₹${adjustment.difference} from the order page.`,
+      wallet_debited: `₹${adjustment.difference} was taken from your wallet.`,
+      collect_on_delivery: `₹${adjustment.difference} will be collected on delivery.`,
+      refunded: `₹${Math.abs(adjustment.difference)} has been refunded.`,
+      refund_pending: `A refund of ₹${Math.abs(adjustment.difference)} is being processed.`
+    }[adjustment.settlement] || '';
+
+    return this.createNotification({
+      recipientId: customerId,
+      type: NOTIFICATION_TYPES.ORDER_WEIGHT_ADJUSTED,
+      title: 'Order Weighed',
+      message: `Your order ${order.orderNumber} weighed ${adjustment.weightKg} kg. The new total is ₹${adjustment.newTotal} (was ₹${adjustment.previousTotal}). ${settlementText}`.trim(),
+      data: { orderId: order._id, additionalData: { ...adjustment } }
+    });
+  }
+
   // Branch notifications
   static async notifyNewOrderToBranch(branchManagerId, order) {
     return this.createNotification({
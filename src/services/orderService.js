@@ -2,26 +2,49 @@ const Order = require('../models/Order');
 const User = require('../models/User');
 const Branch = require('../models/Branch');
 const NotificationService = require('./notificationService');
-const { ORDER_STATUS, NOTIFICATION_TYPES } = require('../config/constants');
+const PromotionService = require('./promotionService');
+const PickupSlotService = require('./pickupSlotService');
+const DeliveryZoneService = require('./deliveryZoneService');
+const RefundService = require('./refundService');
+const WalletService = require('./walletService');
+const LoyaltyService = require('./loyaltyService');
+const SubscriptionService = require('./subscriptionService');
+const GarmentTagService = require('./garmentTagService');
+const InvoiceService = require('./invoiceService');
+const { ORDER_STATUS, NOTIFICATION_TYPES, PAYMENT_METHODS } = require('../config/constants');
 
 class OrderService {
   // Update order status with notifications
-  static async updateOrderStatus(orderId, newStatus, updatedBy, notes = '') {
+  // `role` is the actor's role and is checked against the order state machine;
+  // it is required, background jobs pass 'system' explicitly
+  static async updateOrderStatus(orderId, newStatus, updatedBy, notes = '', role) {
     try {
       const order = await Order.findById(orderId)
         .populate('customer', '_id name')
         .populate('branch', 'manager');
 
       if (!order) {
-        throw new Error('Order not found');
+        const notFound = new Error('Order not found');
+        notFound.error = 'ORDER_NOT_FOUND';
+        notFound.statusCode = 404;
+        throw notFound;
       }
 
-      // Update order status
-      await order.updateStatus(newStatus, updatedBy, notes);
+      // Update order status (throws OrderTransitionError on illegal moves)
+      await order.updateStatus(newStatus, updatedBy, notes, role);
 
       // Handle payment status updates based on order status
       await this.handlePaymentStatusUpdate(order, newStatus);
 
+      // Undo checkout side effects (discount redemptions, etc.) on cancellation
+      await this.handleCancellation(order, newStatus, updatedBy);
+
+      // Tag every piece when processing starts, if intake didn't already
+      await this.handleProcessingStart(order, newStatus);
+
+      // Delivered orders are invoiced if the customer hasn't downloaded one yet
+      await this.handleDelivered(order, newStatus, updatedBy);
+
       // Send notifications based on status
       await this.sendStatusNotifications(order, newStatus);
 
@@ -35,26 +58,21 @@ class OrderService {
   // Handle payment status updates based on order status
   static async handlePaymentStatusUpdate(order, newStatus) {
     try {
-      // When order is delivered, mark payment as paid (especially for COD)
+      // When a COD order is delivered the cash is collected at the door.
+      // Online orders are only marked paid by the payment gateway webhook.
       if (newStatus === ORDER_STATUS.DELIVERED) {
-        if (order.paymentStatus !== 'paid') {
+        if (order.paymentStatus !== 'paid' && order.paymentMethod === PAYMENT_METHODS.COD) {
           order.paymentStatus = 'paid';
-          order.paymentDetails = {
-            ...order.paymentDetails,
-            paidAt: new Date(),
-            transactionId: order.paymentDetails?.transactionId || `COD-${order.orderNumber}`
-          };
+          order.paymentDetails.paidAt = new Date();
+          order.paymentDetails.transactionId = order.paymentDetails?.transactionId || `COD-${order.orderNumber}`;
           await order.save();
         }
       }
       
-      // When order is cancelled, handle refund if already paid
+      // When order is cancelled before payment, close the payment out.
+      // Paid orders are refunded by handleCancellation through RefundService.
       if (newStatus === ORDER_STATUS.CANCELLED) {
-        if (order.paymentStatus === 'paid' && order.paymentMethod !== 'cod') {
-          // Mark for refund processing (actual refund handled separately)
-          order.paymentStatus = 'refunded';
-          await order.save();
-        } else if (order.paymentStatus === 'pending') {
+        if (order.paymentStatus === 'pending') {
           // No payment was made, just mark as cancelled
           order.paymentStatus = 'failed';
           await order.save();
@@ -66,6 +84,84 @@ class OrderService {
     }
   }
 
+  // Reverse checkout side effects when an order is cancelled
+  static async handleCancellation(order, newStatus, updatedBy = null) {
+    if (newStatus !== ORDER_STATUS.CANCELLED) return;
+
+    try {
+      await PromotionService.reverseForOrder(order._id, order.cancellationReason || 'Order cancelled');
+    } catch (error) {
+      console.error('Error reversing discount redemption:', error);
+      // Don't throw - the cancellation itself has already been recorded
+    }
+
+    try {
+      await PickupSlotService.releaseForOrder(order);
+    } catch (error) {
+      console.error('Error releasing pickup slot:', error);
+    }
+
+    try {
+      await DeliveryZoneService.releaseForOrder(order);
+    } catch (error) {
+      console.error('Error releasing delivery zone slot:', error);
+    }
+
+    try {
+      await RefundService.refundOnCancellation(order, updatedBy);
+    } catch (error) {
+      // The refund stays approved (or pending approval) and can be retried from the admin panel
+      console.error('Error refunding cancelled order:', error);
+    }
+
+    try {
+      await LoyaltyService.reverseForOrder(order, order.cancellationReason || 'Order cancelled');
+    } catch (error) {
+      console.error('Error reversing loyalty points:', error);
+    }
+
+    try {
+      await WalletService.reverseOrderDebit(order, order.cancellationReason || 'Order cancelled',
+        { id: updatedBy, role: 'system', email: 'system' });
+    } catch (error) {
+      console.error('Error returning wallet payment:', error);
+    }
+
+    if (order.subscription?.subscription) {
+      try {
+        await SubscriptionService.releaseQuotaForOrder(order);
+      } catch (error) {
+        console.error('Error releasing subscription pickup:', error);
+      }
+    }
+
+    try {
+      await InvoiceService.creditOnCancellation(order, { id: updatedBy, role: 'system' });
+    } catch (error) {
+      console.error('Error issuing credit note:', error);
+    }
+  }
+
+  static async handleProcessingStart(order, newStatus) {
+    if (newStatus !== ORDER_STATUS.IN_PROCESS || order.tagSummary?.total > 0) return;
+
+    try {
+      await GarmentTagService.generateForOrder(order);
+    } catch (error) {
+      console.error('Error issuing garment tags:', error);
+    }
+  }
+
+  static async handleDelivered(order, newStatus, updatedBy = null) {
+    if (newStatus !== ORDER_STATUS.DELIVERED || order.invoice) return;
+
+    try {
+      await InvoiceService.issueForOrder(order, { id: updatedBy, role: 'system' });
+    } catch (error) {
+      console.error('Error issuing invoice:', error);
+    }
+  }
+
   // Send notifications based on order status
   static async sendStatusNotifications(order, status) {
     try {
@@ -143,22 +239,6 @@ class OrderService {
       const customer = await User.findById(customerId);
       if (!customer) return;
 
-      // Add reward points for VIP customers
-      if (customer.isVIP) {
-        const points = Math.floor(order.pricing.total / 100); // 1 point per ₹100
-        customer.rewardPoints += points;
-
-        if (points > 0) {
-          await NotificationService.createNotification({
-            recipientId: customerId,
-            type: NOTIFICATION_TYPES.REWARD_POINTS,
-            title: 'Reward Points Earned',
-            message: `You earned ${points} reward points for order ${order.orderNumber}!`,
-            data: { orderId: order._id, pointsEarned: points }
-          });
-        }
-      }
-
       // Update total orders count
       customer.totalOrders += 1;
 
@@ -169,6 +249,13 @@ class OrderService {
     } catch (error) {
       console.error('Error updating customer stats:', error);
     }
+
+    // Reward points at the customer's loyalty tier rate
+    try {
+      await LoyaltyService.earnForOrder(order);
+    } catch (error) {
+      console.error('Error awarding loyalty points:', error);
+    }
   }
 
   // Check and notify about customer milestones
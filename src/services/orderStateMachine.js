@@ -0,0 +1,263 @@
+const { ORDER_STATUS } = require('../config/constants');
+
+/**
+ * Order State Machine
+ * Declares every legal order status transition, who may perform it and the
+ * preconditions the order must satisfy before the move is allowed.
+ */
+
+// Actor groups. 'system' is used for moves made by background jobs and
+// internal services rather than by a signed-in user; they must pass it explicitly.
+const ADMINS = ['admin', 'center_admin', 'superadmin'];
+const BRANCH_OPS = ['branch_manager', 'staff'];
+const RIDERS = ['rider'];
+const SYSTEM = ['system'];
+
+const SELF_PICKUP_SERVICE_TYPES = ['self_drop_self_pickup', 'home_pickup_self_pickup'];
+const SELF_DROP_SERVICE_TYPES = ['self_drop_self_pickup', 'self_drop_home_delivery'];
+
+// Preconditions - each returns null when satisfied or a reason string otherwise
+const PRECONDITIONS = {
+  hasBranch: (order) => (order.branch ? null : 'Order must be assigned to a branch'),
+  // A logistics partner or one of the branch's own riders
+  hasCarrier: (order) => (
+    order.logisticsPartner || order.riderAssignment?.rider
+      ? null
+      : 'A logistics partner or rider must be assigned first'
+  ),
+  isSelfDrop: (order) => (
+    SELF_DROP_SERVICE_TYPES.includes(order.serviceType)
+      ? null
+      : 'Only self-drop orders can skip the pickup step'
+  ),
+  // Tagged orders can only be marked ready once every piece has been scanned ready
+  allPiecesReady: (order) => {
+    const total = order.tagSummary?.total || 0;
+    const ready = order.tagSummary?.ready || 0;
+    return total === 0 || ready >= total
+      ? null
+      : `${total - ready} of ${total} pieces have not been scanned ready`;
+  },
+  isSelfPickup: (order) => (
+    SELF_PICKUP_SERVICE_TYPES.includes(order.serviceType)
+      ? null
+      : 'Only self-pickup orders can be handed over directly from the branch'
+  )
+};
+
+// Transition graph: from -> to -> { roles, preconditions }
+const TRANSITIONS = {
+  [ORDER_STATUS.PLACED]: {
+    [ORDER_STATUS.ASSIGNED_TO_BRANCH]: {
+      roles: [...ADMINS, ...SYSTEM],
+      preconditions: ['hasBranch']
+    },
+    [ORDER_STATUS.ASSIGNED_TO_LOGISTICS_PICKUP]: {
+      roles: [...ADMINS, 'branch_manager'],
+      preconditions: ['hasBranch', 'hasCarrier']
+    },
+    [ORDER_STATUS.PICKED]: {
+      roles: [...ADMINS, ...BRANCH_OPS],
+      preconditions: ['hasBranch', 'isSelfDrop']
+    },
+    [ORDER_STATUS.IN_PROCESS]: {
+      roles: [...ADMINS, ...BRANCH_OPS],
+      preconditions: ['hasBranch']
+    },
+    [ORDER_STATUS.CANCELLED]: {
+      roles: ['customer', ...ADMINS, 'branch_manager', 'support_agent', ...SYSTEM],
+      preconditions: []
+    }
+  },
+  [ORDER_STATUS.ASSIGNED_TO_BRANCH]: {
+    [ORDER_STATUS.ASSIGNED_TO_LOGISTICS_PICKUP]: {
+      roles: [...ADMINS, 'branch_manager'],
+      preconditions: ['hasCarrier']
+    },
+    [ORDER_STATUS.PICKED]: {
+      roles: [...ADMINS, ...BRANCH_OPS],
+      preconditions: ['isSelfDrop']
+    },
+    [ORDER_STATUS.IN_PROCESS]: {
+      roles: [...ADMINS, ...BRANCH_OPS],
+      preconditions: []
+    },
+    [ORDER_STATUS.CANCELLED]: {
+      roles: ['customer', ...ADMINS, 'branch_manager', 'support_agent', ...SYSTEM],
+      preconditions: []
+    }
+  },
+  [ORDER_STATUS.ASSIGNED_TO_LOGISTICS_PICKUP]: {
+    [ORDER_STATUS.PICKED]: {
+      roles: [...ADMINS, ...BRANCH_OPS, ...RIDERS],
+      preconditions: ['hasCarrier']
+    },
+    [ORDER_STATUS.CANCELLED]: {
+      roles: ['customer', ...ADMINS, 'branch_manager', 'support_agent', ...SYSTEM],
+      preconditions: []
+    }
+  },
+  [ORDER_STATUS.PICKED]: {
+    [ORDER_STATUS.IN_PROCESS]: {
+      roles: [...ADMINS, ...BRANCH_OPS],
+      preconditions: ['hasBranch']
+    },
+    [ORDER_STATUS.CANCELLED]: {
+      roles: [...ADMINS],
+      preconditions: []
+    }
+  },
+  [ORDER_STATUS.IN_PROCESS]: {
+    [ORDER_STATUS.READY]: {
+      roles: [...ADMINS, ...BRANCH_OPS],
+      preconditions: ['allPiecesReady']
+    }
+  },
+  [ORDER_STATUS.READY]: {
+    [ORDER_STATUS.ASSIGNED_TO_LOGISTICS_DELIVERY]: {
+      roles: [...ADMINS, 'branch_manager'],
+      preconditions: ['hasCarrier']
+    },
+    [ORDER_STATUS.OUT_FOR_DELIVERY]: {
+      roles: [...ADMINS, ...BRANCH_OPS],
+      preconditions: []
+    },
+    [ORDER_STATUS.DELIVERED]: {
+      roles: [...ADMINS, ...BRANCH_OPS],
+      preconditions: ['isSelfPickup']
+    }
+  },
+  [ORDER_STATUS.ASSIGNED_TO_LOGISTICS_DELIVERY]: {
+    [ORDER_STATUS.OUT_FOR_DELIVERY]: {
+      roles: [...ADMINS, ...BRANCH_OPS, ...RIDERS],
+      preconditions: ['hasCarrier']
+    },
+    // Handed back before leaving the branch (e.g. the rider reported a failed attempt)
+    [ORDER_STATUS.READY]: {
+      roles: [...ADMINS, 'branch_manager', ...RIDERS, ...SYSTEM],
+      preconditions: []
+    }
+  },
+  [ORDER_STATUS.OUT_FOR_DELIVERY]: {
+    [ORDER_STATUS.DELIVERED]: {
+      roles: [...ADMINS, ...BRANCH_OPS, ...RIDERS],
+      preconditions: []
+    },
+    // Failed delivery attempt - parcel goes back to the branch shelf
+    [ORDER_STATUS.READY]: {
+      roles: [...ADMINS, 'branch_manager', ...RIDERS, ...SYSTEM],
+      preconditions: []
+    }
+  },
+  [ORDER_STATUS.DELIVERED]: {},
+  [ORDER_STATUS.CANCELLED]: {}
+};
+
+// Structured error raised for illegal or unauthorised transitions.
+// `error` and `statusCode` are picked up by the global error handler.
+class OrderTransitionError extends Error {
+  constructor(error, message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'OrderTransitionError';
+    this.error = error;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+// Normalise actor role names used across the user/admin models.
+// A missing role stays null - it is never promoted to 'system'.
+const normalizeRole = (role) => {
+  if (!role) return null;
+  if (role === 'super_admin') return 'superadmin';
+  return role;
+};
+
+// Get the transition rule between two statuses (or null if not declared)
+const getTransition = (from, to) => {
+  return (TRANSITIONS[from] && TRANSITIONS[from][to]) || null;
+};
+
+// List statuses reachable from the current one, optionally for a given role
+const getAllowedTransitions = (from, role = null) => {
+  const targets = TRANSITIONS[from] || {};
+  return Object.keys(targets).filter(to => !role || targets[to].roles.includes(normalizeRole(role)));
+};
+
+// Check whether a status is terminal (no outgoing transitions)
+const isTerminal = (status) => {
+  return Object.keys(TRANSITIONS[status] || {}).length === 0;
+};
+
+// Validate a transition, returning { allowed, error?, message?, details? }
+const checkTransition = (order, to, role) => {
+  const from = order.status;
+  const actorRole = normalizeRole(role);
+  const details = { from, to, role: actorRole };
+
+  if (!actorRole) {
+    return { allowed: false, error: 'ROLE_REQUIRED', message: 'An actor role is required to change order status', statusCode: 403, details };
+  }
+
+  if (!Object.values(ORDER_STATUS).includes(to)) {
+    return { allowed: false, error: 'INVALID_STATUS', message: `Unknown order status: ${to}`, statusCode: 400, details };
+  }
+
+  const rule = getTransition(from, to);
+  if (!rule) {
+    return {
+      allowed: false,
+      error: 'INVALID_TRANSITION',
+      message: `Cannot change status from ${from} to ${to}`,
+      statusCode: 400,
+      details: { ...details, allowedTransitions: getAllowedTransitions(from) }
+    };
+  }
+
+  if (!rule.roles.includes(actorRole)) {
+    return {
+      allowed: false,
+      error: 'TRANSITION_FORBIDDEN',
+      message: `Role ${actorRole} cannot change status from ${from} to ${to}`,
+      statusCode: 403,
+      details: { ...details, allowedRoles: rule.roles }
+    };
+  }
+
+  const failed = rule.preconditions
+    .map(name => PRECONDITIONS[name](order))
+    .filter(Boolean);
+
+  if (failed.length > 0) {
+    return {
+      allowed: false,
+      error: 'TRANSITION_PRECONDITION_FAILED',
+      message: failed[0],
+      statusCode: 400,
+      details: { ...details, failedPreconditions: failed }
+    };
+  }
+
+  return { allowed: true, details };
+};
+
+// Validate a transition and throw OrderTransitionError if it is not allowed
+const assertTransition = (order, to, role) => {
+  const result = checkTransition(order, to, role);
+  if (!result.allowed) {
+    throw new OrderTransitionError(result.error, result.message, result.statusCode, result.details);
+  }
+  return result;
+};
+
+module.exports = {
+  TRANSITIONS,
+  PRECONDITIONS,
+  OrderTransitionError,
+  normalizeRole,
+  getTransition,
+  getAllowedTransitions,
+  isTerminal,
+  checkTransition,
+  assertTransition
+};
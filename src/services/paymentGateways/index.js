@@ -0,0 +1,37 @@
+const MockGateway = require('./mockGateway');
+const { PAYMENT_GATEWAY_CONFIG } = require('../../config/constants');
+
+/**
+ * Payment gateway registry
+ * Real providers (razorpay, stripe, paytm, phonepe) plug in here by
+ * implementing the adapter contract documented in mockGateway.js.
+ */
+
+const adapters = {};
+
+// The mock gateway settles anything signed with a known secret - never in production
+if (process.env.NODE_ENV !== 'production') {
+  adapters.mock = () => new MockGateway();
+}
+
+const instances = {};
+
+// Get a gateway adapter by name (defaults to PAYMENT_GATEWAY)
+const getGateway = (name = PAYMENT_GATEWAY_CONFIG.DEFAULT_GATEWAY) => {
+  if (!name || !Object.prototype.hasOwnProperty.call(adapters, name)) return null;
+  if (!instances[name]) {
+    instances[name] = adapters[name]();
+  }
+  return instances[name];
+};
+
+// Register an adapter factory (used to add providers or swap one in tests)
+const registerGateway = (name, factory) => {
+  adapters[name] = factory;
+  delete instances[name];
+};
+
+module.exports = {
+  getGateway,
+  registerGateway
+};
@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const { PAYMENT_GATEWAY_CONFIG } = require('../../config/constants');
+
+/**
+ * Mock Payment Gateway
+ * Local provider with the same shape as a real adapter. Payment orders are
+ * generated ids and webhooks are HMAC-SHA256 signed with PAYMENT_WEBHOOK_SECRET,
+ * so signature checks and idempotency work end to end without network access.
+ *
+ * Adapter contract:
+ *   createOrder({ amount, currency, receipt, notes }) -> { gatewayOrderId, amount, currency, status, checkout }
+ *   verifySignature(rawBody, signature) -> boolean
+ *   parseEvent(payload) -> { eventId, type, gatewayOrderId, paymentId, amount, method, failureReason, failureCode }
+ *   refund({ paymentId, amount, notes }) -> { refundId, status: 'processed'|'pending', amount }
+ * Amounts passed to and returned from adapters are in rupees.
+ */
+
+const toPaise = (amount) => Math.round(amount * 100);
+const fromPaise = (amount) => Math.round(amount) / 100;
+const randomId = (prefix) => `${prefix}_mock_${crypto.randomBytes(8).toString('hex')}`;
+
+// Gateway method names -> Transaction.paymentMethod
+const METHOD_MAP = {
+  card: 'card',
+  upi: 'upi',
+  netbanking: 'net_banking',
+  wallet: 'wallet'
+};
+
+class MockGateway {
+  constructor(secret = PAYMENT_GATEWAY_CONFIG.WEBHOOK_SECRET) {
+    this.name = 'mock';
+    this.secret = secret;
+  }
+
+  sign(rawBody) {
+    return crypto.createHmac('sha256', this.secret).update(rawBody).digest('hex');
+  }
+
+  async createOrder({ amount, currency = PAYMENT_GATEWAY_CONFIG.CURRENCY, receipt, notes = {} }) {
+    return {
+      gatewayOrderId: randomId('order'),
+      amount,
+      currency,
+      status: 'created',
+      checkout: {
+        gateway: this.name,
+        amount: toPaise(amount),
+        currency,
+        receipt,
+        notes
+      }
+    };
+  }
+
+  verifySignature(rawBody, signature) {
+    if (!rawBody || !signature) return false;
+    const expected = Buffer.from(this.sign(rawBody), 'hex');
+    const received = Buffer.from(String(signature), 'hex');
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  parseEvent(payload) {
+    const payment = payload?.payload?.payment || {};
+    const types = {
+      'payment.captured': 'payment.succeeded',
+      'payment.failed': 'payment.failed'
+    };
+
+    return {
+      eventId: payload?.id,
+      type: types[payload?.event] || payload?.event,
+      gatewayOrderId: payment.order_id,
+      paymentId: payment.id,
+      amount: typeof payment.amount === 'number' ? fromPaise(payment.amount) : null,
+      method: METHOD_MAP[payment.method] || 'card',
+      failureReason: payment.error_description || null,
+      failureCode: payment.error_code || null
+    };
+  }
+
+  async refund({ paymentId, amount, notes = {} }) {
+    if (!paymentId) {
+      throw new Error('Payment id is required for a gateway refund');
+    }
+    return {
+      refundId: randomId('rfnd'),
+      status: 'processed',
+      amount,
+      notes
+    };
+  }
+
+  /**
+   * Build a signed webhook the way the provider would send it
+   * (used by the development simulate endpoint).
+   * @param {Object} options - { gatewayOrderId, amount, outcome: 'success'|'failure', method }
+   */
+  buildWebhook({ gatewayOrderId, amount, outcome = 'success', method = 'upi' }) {
+    const succeeded = outcome === 'success';
+    const payload = {
+      id: randomId('evt'),
+      event: succeeded ? 'payment.captured' : 'payment.failed',
+      created_at: Math.floor(Date.now() / 1000),
+      payload: {
+        payment: {
+          id: randomId('pay'),
+          order_id: gatewayOrderId,
+          amount: toPaise(amount),
+          method,
+          ...(succeeded ? {} : {
+            error_code: 'PAYMENT_DECLINED',
+            error_description: 'Payment declined by the issuing bank'
+          })
+        }
+      }
+    };
+    const rawBody = JSON.stringify(payload);
+    return { payload, rawBody, signature: this.sign(rawBody) };
+  }
+}
+
+module.exports = MockGateway;
@@ -0,0 +1,414 @@
+const crypto = require('crypto');
+const Order = require('../models/Order');
+const PaymentOrder = require('../models/PaymentOrder');
+const Refund = require('../models/Refund');
+const Transaction = require('../models/Transaction');
+const WebhookEvent = require('../models/WebhookEvent');
+const NotificationService = require('./notificationService');
+const RefundService = require('./refundService');
+const WeightService = require('./weightService');
+const { getGateway } = require('./paymentGateways');
+const { ORDER_STATUS, PAYMENT_METHODS, PAYMENT_GATEWAY_CONFIG, REFUND_STATUS } = require('../config/constants');
+
+/**
+ * Payment Service
+ * Creates gateway payment orders for online checkouts and reconciles signed
+ * gateway webhooks into Transaction records and Order.paymentStatus.
+ */
+
+// Structured payment error - `error` and `statusCode` are used by the global error handler
+class PaymentError extends Error {
+  constructor(error, message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'PaymentError';
+    this.error = error;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+// Order payment statuses that a captured payment must not overwrite
+const SETTLED_PAYMENT_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+
+const generateTransactionId = (prefix = 'PAY') => {
+  const timestamp = Date.now().toString().slice(-8);
+  const random = crypto.randomBytes(3).toString('hex').toUpperCase();
+  return `${prefix}${timestamp}${random}`;
+};
+
+class PaymentService {
+  // Resolve a gateway adapter or fail with a 404
+  static getGatewayOrFail(name) {
+    const gateway = getGateway(name);
+    if (!gateway) {
+      throw new PaymentError('UNKNOWN_GATEWAY', `Payment gateway ${name} is not configured`, 404);
+    }
+    return gateway;
+  }
+
+  /**
+   * Create (or reuse) a gateway payment order for an online order
+   * @param {Object} order - Order document
+   * @returns {Promise<{ paymentOrder: Object, checkout: Object }>}
+   */
+  static async createPaymentOrder(order) {
+    if (order.paymentMethod !== PAYMENT_METHODS.ONLINE) {
+      throw new PaymentError('PAYMENT_METHOD_NOT_ONLINE', 'This order is not set up for online payment', 400);
+    }
+    // A paid order can still owe the difference from a weigh-in
+    const isPaid = ['paid', 'partially_refunded'].includes(order.paymentStatus);
+    const adjustmentDue = isPaid ? WeightService.getPendingCharge(order) : 0;
+    if (isPaid && adjustmentDue <= 0) {
+      throw new PaymentError('ALREADY_PAID', 'This order has already been paid', 409);
+    }
+    if (order.status === ORDER_STATUS.CANCELLED) {
+      throw new PaymentError('ORDER_CANCELLED', 'Cannot pay for a cancelled order', 400);
+    }
+
+    const gateway = this.getGatewayOrFail(PAYMENT_GATEWAY_CONFIG.DEFAULT_GATEWAY);
+    const purpose = adjustmentDue > 0 ? 'weight_adjustment' : 'order';
+    // Any wallet share was taken at checkout; the gateway collects the rest
+    const amount = purpose === 'order' ? (order.pricing.amountDue ?? order.pricing.total) : adjustmentDue;
+
+    // Reuse an open payment order for the same amount so retries don't pile up
+    let paymentOrder = await PaymentOrder.findOne({
+      order: order._id,
+      gateway: gateway.name,
+      status: 'created',
+      purpose,
+      amount,
+      expiresAt: { $gt: new Date() }
+    }).sort({ createdAt: -1 });
+
+    let gatewayData = null;
+    if (!paymentOrder) {
+      const created = await gateway.createOrder({
+        amount,
+        currency: PAYMENT_GATEWAY_CONFIG.CURRENCY,
+        receipt: order.orderNumber,
+        notes: { orderId: order._id.toString() }
+      });
+
+      paymentOrder = await PaymentOrder.create({
+        order: order._id,
+        customer: order.customer._id || order.customer,
+        gateway: gateway.name,
+        gatewayOrderId: created.gatewayOrderId,
+        amount,
+        purpose,
+        currency: created.currency,
+        expiresAt: new Date(Date.now() + PAYMENT_GATEWAY_CONFIG.PAYMENT_ORDER_TTL_MINUTES * 60 * 1000)
+      });
+      gatewayData = created.checkout;
+    }
+
+    await Order.updateOne(
+      { _id: order._id, paymentStatus: { $nin: ['paid', 'partially_refunded'] } },
+      {
+        $set: {
+          paymentStatus: 'pending',
+          'paymentDetails.gateway': gateway.name,
+          'paymentDetails.paymentOrder': paymentOrder._id,
+          'paymentDetails.gatewayOrderId': paymentOrder.gatewayOrderId
+        }
+      }
+    );
+
+    return {
+      paymentOrder,
+      checkout: {
+        gateway: gateway.name,
+        gatewayOrderId: paymentOrder.gatewayOrderId,
+        amount: paymentOrder.amount,
+        purpose: paymentOrder.purpose,
+        currency: paymentOrder.currency,
+        expiresAt: paymentOrder.expiresAt,
+        ...(gatewayData ? { gatewayData } : {})
+      }
+    };
+  }
+
+  /**
+   * Verify and apply a gateway webhook. Each provider event is recorded once;
+   * redeliveries of an event that was already handled are acknowledged
+   * without being applied again.
+   * @returns {Promise<{ duplicate: boolean, status: string, result: string }>}
+   */
+  static async handleWebhook(gatewayName, rawBody, signature, payload) {
+    const gateway = this.getGatewayOrFail(gatewayName);
+
+    if (!gateway.verifySignature(rawBody, signature)) {
+      throw new PaymentError('INVALID_SIGNATURE', 'Webhook signature verification failed', 401);
+    }
+
+    const event = gateway.parseEvent(payload);
+    if (!event.eventId || !event.gatewayOrderId) {
+      throw new PaymentError('INVALID_EVENT', 'Webhook payload is missing event or order id', 400);
+    }
+
+    let record;
+    try {
+      record = await WebhookEvent.create({
+        gateway: gateway.name,
+        eventId: event.eventId,
+        type: event.type,
+        gatewayOrderId: event.gatewayOrderId,
+        paymentId: event.paymentId,
+        payload
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      const existing = await WebhookEvent.findOne({ gateway: gateway.name, eventId: event.eventId });
+      return { duplicate: true, status: existing?.status, result: existing?.result };
+    }
+
+    try {
+      const { status, result } = await this.applyEvent(gateway, event);
+      record.status = status;
+      record.result = result;
+      record.processedAt = new Date();
+      await record.save();
+      return { duplicate: false, status, result };
+    } catch (error) {
+      // Forget the event so the gateway's retry is processed again
+      await WebhookEvent.deleteOne({ _id: record._id });
+      throw error;
+    }
+  }
+
+  // Apply a parsed gateway event to its payment order, order and ledger
+  static async applyEvent(gateway, event) {
+    const paymentOrder = await PaymentOrder.findOne({ gateway: gateway.name, gatewayOrderId: event.gatewayOrderId });
+    if (!paymentOrder) {
+      return { status: 'ignored', result: 'UNKNOWN_PAYMENT_ORDER' };
+    }
+
+    if (event.type === 'payment.succeeded') {
+      return this.markPaid(gateway, paymentOrder, event);
+    }
+    if (event.type === 'payment.failed') {
+      return this.markFailed(gateway, paymentOrder, event);
+    }
+    return { status: 'ignored', result: 'UNHANDLED_EVENT_TYPE' };
+  }
+
+  static async markPaid(gateway, paymentOrder, event) {
+    if (event.amount !== null && Math.abs(event.amount - paymentOrder.amount) > 0.01) {
+      return { status: 'ignored', result: 'AMOUNT_MISMATCH' };
+    }
+
+    // Only one event can move the payment order to paid
+    let claimed = await PaymentOrder.findOneAndUpdate(
+      { _id: paymentOrder._id, status: { $ne: 'paid' } },
+      { status: 'paid', paymentId: event.paymentId, method: event.method, paidAt: new Date() },
+      { new: true }
+    );
+    if (!claimed) {
+      // Resume a capture whose ledger write failed on an earlier delivery
+      claimed = await PaymentOrder.findOne({
+        _id: paymentOrder._id,
+        status: 'paid',
+        paymentId: event.paymentId,
+        transaction: null
+      });
+      if (!claimed) {
+        return { status: 'ignored', result: 'ALREADY_PAID' };
+      }
+    }
+
+    const order = await Order.findById(paymentOrder.order);
+    const transaction = await Transaction.create({
+      transactionId: generateTransactionId('PAY'),
+      externalTransactionId: event.paymentId,
+      type: 'payment',
+      subType: paymentOrder.purpose === 'weight_adjustment' ? 'weight_adjustment' : 'order_payment',
+      amount: paymentOrder.amount,
+      netAmount: paymentOrder.amount,
+      currency: paymentOrder.currency,
+      status: 'completed',
+      orderId: paymentOrder.order,
+      customerId: paymentOrder.customer,
+      branchId: order?.branch,
+      paymentMethod: event.method,
+      paymentGateway: gateway.name,
+      description: `Online payment for order ${order?.orderNumber || paymentOrder.order}`,
+      processedAt: new Date(),
+      completedAt: new Date()
+    });
+
+    claimed.transaction = transaction._id;
+    await claimed.save();
+
+    // The order is updated conditionally, so a cancellation or another payment
+    // order that settled it first wins; the money then goes back to the customer
+    let applied;
+    if (claimed.purpose === 'weight_adjustment') {
+      // The order itself was already paid; only the weigh-in difference is settled
+      applied = await Order.updateOne(
+        { _id: paymentOrder.order, status: { $ne: ORDER_STATUS.CANCELLED } },
+        {
+          $set: {
+            'weightAdjustments.$[adjustment].settlement': 'paid',
+            'weightAdjustments.$[adjustment].paymentOrder': claimed._id
+          }
+        },
+        { arrayFilters: [{ 'adjustment.settlement': 'payment_pending' }] }
+      );
+    } else {
+      applied = await Order.updateOne(
+        { _id: paymentOrder.order, status: { $ne: ORDER_STATUS.CANCELLED }, paymentStatus: { $nin: SETTLED_PAYMENT_STATUSES } },
+        {
+          $set: {
+            paymentStatus: 'paid',
+            'paymentDetails.transactionId': transaction.transactionId,
+            'paymentDetails.paidAt': claimed.paidAt,
+            'paymentDetails.gateway': gateway.name,
+            'paymentDetails.paymentOrder': claimed._id,
+            'paymentDetails.gatewayOrderId': claimed.gatewayOrderId,
+            'paymentDetails.paymentId': event.paymentId,
+            'paymentDetails.method': event.method
+          },
+          $unset: { 'paymentDetails.failureReason': '', 'paymentDetails.failedAt': '' }
+        }
+      );
+    }
+
+    if (applied.matchedCount === 0) {
+      return this.refundLatePayment(claimed, transaction);
+    }
+
+    if (order) {
+      try {
+        await NotificationService.notifyPaymentReceived(order.customer, order, paymentOrder.amount);
+      } catch (error) {
+        console.error('Error sending payment notification:', error);
+      }
+    }
+
+    return { status: 'processed', result: 'PAID' };
+  }
+
+  /**
+   * Send back a payment captured for an order that was cancelled or already
+   * settled. The refund goes through RefundService like any other; when it
+   * can't be created the payment Transaction is tagged for a manual refund.
+   */
+  static async refundLatePayment(paymentOrder, transaction) {
+    const order = await Order.findById(paymentOrder.order);
+    const reason = order?.status === ORDER_STATUS.CANCELLED
+      ? 'Payment received after the order was cancelled'
+      : 'Payment received for an order that was already paid';
+
+    try {
+      if (!order) {
+        throw new PaymentError('ORDER_NOT_FOUND', 'Order not found', 404);
+      }
+      const refund = await RefundService.createRefund({
+        order,
+        amount: paymentOrder.amount,
+        reason,
+        category: 'other',
+        method: 'original_method',
+        source: 'late_payment',
+        execute: true
+      }, RefundService.systemActor());
+      return { status: 'processed', result: refund.status === REFUND_STATUS.COMPLETED ? 'REFUNDED' : 'REFUND_PENDING' };
+    } catch (error) {
+      // A refund that was created but not paid out stays approved for a retry
+      console.error(`Late payment ${transaction.transactionId} needs a manual refund:`, error);
+      await Transaction.updateOne(
+        { _id: transaction._id },
+        { $addToSet: { tags: 'refund_required' }, $set: { notes: `${reason}; refund failed: ${error.message}` } }
+      );
+      return { status: 'processed', result: 'REFUND_REQUIRED' };
+    }
+  }
+
+  static async markFailed(gateway, paymentOrder, event) {
+    // A late failure never overrides a successful payment
+    const failed = await PaymentOrder.findOneAndUpdate(
+      { _id: paymentOrder._id, status: { $in: ['created', 'failed'] } },
+      { status: 'failed', failureReason: event.failureReason, failureCode: event.failureCode },
+      { new: true }
+    );
+    if (!failed) {
+      return { status: 'ignored', result: 'ALREADY_PAID' };
+    }
+
+    const order = await Order.findById(paymentOrder.order);
+    await Transaction.create({
+      transactionId: generateTransactionId('PAY'),
+      externalTransactionId: event.paymentId,
+      type: 'payment',
+      subType: 'order_payment',
+      amount: paymentOrder.amount,
+      netAmount: paymentOrder.amount,
+      currency: paymentOrder.currency,
+      status: 'failed',
+      orderId: paymentOrder.order,
+      customerId: paymentOrder.customer,
+      branchId: order?.branch,
+      paymentMethod: event.method,
+      paymentGateway: gateway.name,
+      description: `Failed online payment for order ${order?.orderNumber || paymentOrder.order}`,
+      failureReason: event.failureReason,
+      failureCode: event.failureCode
+    });
+
+    await Order.updateOne(
+      { _id: paymentOrder.order, paymentStatus: { $nin: SETTLED_PAYMENT_STATUSES } },
+      {
+        $set: {
+          paymentStatus: 'failed',
+          'paymentDetails.failureReason': event.failureReason,
+          'paymentDetails.failedAt': new Date()
+        }
+      }
+    );
+
+    if (order && !SETTLED_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+      try {
+        await NotificationService.notifyPaymentFailed(order.customer, order, event.failureReason);
+      } catch (error) {
+        console.error('Error sending payment notification:', error);
+      }
+    }
+
+    return { status: 'processed', result: 'FAILED' };
+  }
+
+  // Payment orders, gateway transactions and refunds for an order
+  static async getPaymentSummary(order) {
+    const [paymentOrders, transactions, refunds] = await Promise.all([
+      PaymentOrder.find({ order: order._id })
+        .select('gateway gatewayOrderId amount purpose currency status method paymentId failureReason paidAt expiresAt createdAt')
+        .sort({ createdAt: -1 }),
+      Transaction.find({ orderId: order._id, type: 'payment' })
+        .select('transactionId externalTransactionId amount status paymentMethod paymentGateway failureReason createdAt')
+        .sort({ createdAt: -1 }),
+      Refund.find({ order: order._id })
+        .select('refundNumber amount type status paymentMethod reason createdAt processedAt')
+        .sort({ createdAt: -1 })
+    ]);
+
+    return {
+      paymentMethod: order.paymentMethod,
+      paymentStatus: order.paymentStatus,
+      amountDue: ['paid', 'partially_refunded'].includes(order.paymentStatus)
+        ? WeightService.getPendingCharge(order)
+        : (order.pricing.amountDue ?? order.pricing.total),
+      collectOnDelivery: WeightService.getCollectOnDelivery(order),
+      paymentDetails: order.paymentDetails,
+      walletPayment: order.walletPayment,
+      weightAdjustments: order.weightAdjustments,
+      refundSummary: order.refundSummary,
+      paymentOrders,
+      transactions,
+      refunds
+    };
+  }
+}
+
+PaymentService.PaymentError = PaymentError;
+
+module.exports = PaymentService;
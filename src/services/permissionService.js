@@ -0,0 +1,191 @@
+const mongoose = require('mongoose');
+const Role = require('../models/Role');
+const Branch = require('../models/Branch');
+const Order = require('../models/Order');
+const AuditLog = require('../models/AuditLog');
+const { PERMISSION_CONFIG } = require('../config/constants');
+
+/**
+ * Permission Service
+ * Checks a user against the Role of the same name as their `role`: the Role
+ * document managed under /api/superadmin/roles, or the built-in definition
+ * while none exists. Permissions of parent roles are inherited; module
+ * restrictions (branch scope, amount and refund limits, business hours) are
+ * applied through Role#canPerformAction.
+ */
+
+// name -> { role, expiresAt }
+const roleCache = new Map();
+
+const toId = (value) => (value ? (value._id || value).toString() : null);
+
+// A child's actions are added to what it inherits; its own restrictions win
+const mergePermissions = (own, inherited) => {
+  const merged = own.map(permission => ({
+    module: permission.module,
+    actions: [...permission.actions],
+    restrictions: permission.restrictions ? { ...(permission.restrictions.toObject?.() || permission.restrictions) } : {}
+  }));
+
+  inherited.forEach(permission => {
+    const existing = merged.find(entry => entry.module === permission.module);
+    if (existing) {
+      existing.actions = [...new Set([...existing.actions, ...permission.actions])];
+    } else {
+      merged.push(permission);
+    }
+  });
+  return merged;
+};
+
+class PermissionService {
+  /**
+   * The effective role for a role name, permissions of its ancestors included
+   * @returns {Promise<Object|null>} an unsaved Role document, or null for an unknown role
+   */
+  static async resolveRole(name) {
+    const cached = roleCache.get(name);
+    if (cached && cached.expiresAt > Date.now()) return cached.role;
+
+    let role = await Role.findOne({ name });
+    if (!role) {
+      const definition = Role.DEFAULT_ROLES.find(entry => entry.name === name);
+      role = definition ? new Role(definition) : null;
+    }
+
+    let effective = null;
+    if (role) {
+      let permissions = mergePermissions(role.permissions, []);
+      const visited = new Set([role._id.toString()]);
+      let parentId = role.parentRole;
+
+      while (parentId && visited.size <= PERMISSION_CONFIG.MAX_INHERITANCE_DEPTH && !visited.has(parentId.toString())) {
+        visited.add(parentId.toString());
+        const parent = await Role.findById(parentId);
+        if (!parent || !parent.isActive) break;
+        permissions = mergePermissions(permissions, mergePermissions(parent.permissions, []));
+        parentId = parent.parentRole;
+      }
+
+      effective = new Role({ ...role.toObject(), permissions });
+    }
+
+    roleCache.set(name, { role: effective, expiresAt: Date.now() + PERMISSION_CONFIG.ROLE_CACHE_SECONDS * 1000 });
+    return effective;
+  }
+
+  // Drop resolved roles after roles or their permissions change
+  static clearCache() {
+    roleCache.clear();
+  }
+
+  // The branch a user works at: their assignment, or the branch they manage
+  static async getUserBranch(user) {
+    if (user.assignedBranch) return toId(user.assignedBranch);
+    const branch = await Branch.findOne({ manager: user._id }).select('_id');
+    return toId(branch);
+  }
+
+  /**
+   * The branch a request acts on: the stored branch of the order it names,
+   * else a branchId in the params, query or body. Null when it names none.
+   * A branchId sent along with an order never overrides the order's branch.
+   */
+  static async getTargetBranch(req) {
+    const orderId = req.params.orderId || req.body?.orderId;
+    if (orderId) {
+      if (!mongoose.Types.ObjectId.isValid(orderId)) return null;
+      const order = await Order.findById(orderId).select('branch');
+      return toId(order?.branch);
+    }
+
+    const branchId = req.params.branchId || req.query.branchId || req.body?.branchId;
+    return branchId ? String(branchId) : null;
+  }
+
+  /**
+   * The branch a request moves an order to: a branchId in the body of a
+   * request that names an order. It is checked on its own, after the order's.
+   */
+  static getDestinationBranch(req) {
+    const orderId = req.params.orderId || req.body?.orderId;
+    const branchId = req.body?.branchId;
+    return orderId && branchId ? String(branchId) : null;
+  }
+
+  /**
+   * Check whether a user may perform an action on a module
+   * @param {Object} context - { targetBranch, amount, refundAmount, discount, crossBranch }
+   *   A request that names no branch acts on the user's own branch, unless it
+   *   spans all branches (crossBranch), which a branch-restricted permission does not allow.
+   * @returns {Promise<{ allowed: boolean, code?: string, reason?: string, role?: string, restrictions?: Object, branchScope?: string }>}
+   */
+  static async check(user, module, action, context = {}) {
+    if (PERMISSION_CONFIG.FULL_ACCESS_ROLES.includes(user.role)) {
+      return { allowed: true, role: user.role, restrictions: {}, branchScope: null };
+    }
+
+    const role = await this.resolveRole(user.role);
+    if (!role) {
+      return { allowed: false, code: 'NO_ROLE', reason: 'No permissions are defined for your role', role: user.role };
+    }
+    if (!role.isActive) {
+      return { allowed: false, code: 'ROLE_INACTIVE', reason: 'Your role has been deactivated', role: role.name };
+    }
+
+    const permission = role.permissions.find(entry => entry.module === module);
+    const branchRestricted = Boolean(permission?.restrictions?.branchRestriction);
+    const userBranch = branchRestricted ? await this.getUserBranch(user) : null;
+    const targetBranch = context.targetBranch || (context.crossBranch ? null : userBranch);
+
+    const result = role.canPerformAction(module, action, {
+      amount: context.amount,
+      refundAmount: context.refundAmount,
+      discount: context.discount,
+      userBranch,
+      targetBranch
+    });
+
+    return {
+      ...result,
+      role: role.name,
+      restrictions: result.restrictions ? { ...(result.restrictions.toObject?.() || result.restrictions) } : undefined,
+      branchScope: branchRestricted ? userBranch : null
+    };
+  }
+
+  // Record a refused request; never fails the request itself
+  static async logDenial(req, module, action, result, context = {}) {
+    try {
+      const userTypes = AuditLog.schema.path('userType').enumValues;
+      await AuditLog.logAction({
+        userId: req.user._id,
+        userType: userTypes.includes(req.user.role) ? req.user.role : 'system',
+        userEmail: req.user.email || 'unknown',
+        action: 'permission_denied',
+        category: 'auth',
+        description: `Denied ${module}:${action} on ${req.method} ${req.originalUrl} - ${result.reason}`,
+        ipAddress: req.ip || 'unknown',
+        userAgent: req.get('User-Agent'),
+        resourceType: module,
+        resourceId: req.params.orderId || req.params.branchId || undefined,
+        status: 'failure',
+        errorMessage: result.reason,
+        riskLevel: result.code === 'BRANCH_RESTRICTED' ? 'high' : 'medium',
+        metadata: {
+          module,
+          action,
+          code: result.code,
+          role: result.role || req.user.role,
+          targetBranch: context.targetBranch || null,
+          amount: context.amount ?? context.refundAmount ?? null
+        }
+      });
+    } catch (error) {
+      console.error('Failed to log permission denial:', error);
+      // Don't throw - the request is refused either way
+    }
+  }
+}
+
+module.exports = PermissionService;
@@ -0,0 +1,229 @@
+const User = require('../models/User');
+const OtpCode = require('../models/OtpCode');
+const mfaService = require('./mfaService');
+const { getSmsProvider } = require('./smsProviders');
+const { normalizePhone, toAccountPhone, maskPhone } = require('../utils/phone');
+const { PHONE_AUTH_CONFIG, USER_ROLES } = require('../config/constants');
+
+/**
+ * Phone Auth Service
+ * Customer sign-up and login with a 6-digit code sent by SMS, plus linking a
+ * phone or an email to an existing account. Numbers are normalized to E.164
+ * for codes and SMS; User.phone keeps the national number. Codes share the
+ * OtpCode store with admin MFA, keyed by the E.164 number.
+ */
+
+// Structured phone auth error - `error` and `statusCode` are used by the global error handler
+class PhoneAuthError extends Error {
+  constructor(error, message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'PhoneAuthError';
+    this.error = error;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+const LOGIN_PURPOSE = 'phone_login';
+const linkPurpose = (userId) => `phone_link:${userId}`;
+
+class PhoneAuthService {
+  /**
+   * Normalize a number and check it can be an account phone
+   * @returns {{ e164: string, accountPhone: string }}
+   */
+  static parsePhone(input) {
+    const e164 = normalizePhone(input);
+    if (!e164) {
+      throw new PhoneAuthError('INVALID_PHONE', 'Please enter a valid mobile number');
+    }
+
+    const accountPhone = toAccountPhone(e164);
+    if (!accountPhone) {
+      throw new PhoneAuthError(
+        'PHONE_NOT_SUPPORTED',
+        `Phone login is available for +${PHONE_AUTH_CONFIG.ACCOUNT_COUNTRY_CODE} mobile numbers only`
+      );
+    }
+
+    return { e164, accountPhone };
+  }
+
+  /**
+   * Text a code to a number, honouring the resend cooldown
+   * @returns {Promise<{ phone: string, expiresAt: Date, resendAfter: number }>}
+   */
+  static async sendCode(e164, purpose) {
+    const now = Date.now();
+    const cooldownMs = PHONE_AUTH_CONFIG.RESEND_COOLDOWN_SECONDS * 1000;
+
+    const existing = await OtpCode.findOne({ key: e164, purpose }).select('sentAt expiresAt');
+    if (existing && existing.expiresAt > now && now - existing.sentAt.getTime() < cooldownMs) {
+      const retryAfter = Math.ceil((cooldownMs - (now - existing.sentAt.getTime())) / 1000);
+      throw new PhoneAuthError(
+        'OTP_COOLDOWN',
+        `Please wait ${retryAfter} seconds before requesting another code`,
+        429,
+        { retryAfter }
+      );
+    }
+
+    const provider = getSmsProvider();
+    if (!provider) {
+      throw new PhoneAuthError('SMS_UNAVAILABLE', 'SMS delivery is not configured', 503);
+    }
+
+    const { otp, expiresAt } = await mfaService.issueCode(e164, purpose, PHONE_AUTH_CONFIG.OTP_TTL_MINUTES * 60 * 1000);
+
+    try {
+      await provider.send({
+        to: e164,
+        body: `${otp} is your LaundryPro verification code. It expires in ${PHONE_AUTH_CONFIG.OTP_TTL_MINUTES} minutes. Do not share it with anyone.`
+      });
+    } catch (error) {
+      console.error(`SMS via ${provider.name} failed:`, error);
+      await OtpCode.deleteOne({ key: e164, purpose });
+      throw new PhoneAuthError('SMS_FAILED', 'Could not send the verification code. Please try again.', 502);
+    }
+
+    return {
+      phone: maskPhone(e164),
+      expiresAt,
+      resendAfter: PHONE_AUTH_CONFIG.RESEND_COOLDOWN_SECONDS
+    };
+  }
+
+  static async checkCode(e164, purpose, otp) {
+    const result = await mfaService.checkCode(e164, purpose, otp, PHONE_AUTH_CONFIG.MAX_VERIFY_ATTEMPTS);
+    if (!result.success) {
+      throw new PhoneAuthError(result.code, result.message, 400,
+        result.attemptsLeft !== undefined ? { attemptsLeft: result.attemptsLeft } : {});
+    }
+  }
+
+  // An account whose phone was entered at email sign-up but never confirmed
+  // can't be entered with that phone; the number may not be theirs
+  static assertPhoneLoginAllowed(user) {
+    if (!user) return;
+    if (!user.phoneVerified) {
+      throw new PhoneAuthError(
+        'PHONE_NOT_VERIFIED',
+        'This number is on an account that has not verified it. Log in with your email and verify the number from your profile.',
+        409
+      );
+    }
+    if (!user.isActive) {
+      throw new PhoneAuthError('ACCOUNT_DEACTIVATED', 'Account is deactivated. Please contact support.', 401);
+    }
+    // Staff sign in with email and password (and MFA where enabled)
+    if (user.role !== USER_ROLES.CUSTOMER) {
+      throw new PhoneAuthError('PHONE_LOGIN_NOT_ALLOWED', 'Please log in with your email and password', 403);
+    }
+  }
+
+  /**
+   * Send a login / sign-up code
+   * @returns {Promise<{ phone, expiresAt, resendAfter, isNewUser }>}
+   */
+  static async requestLoginCode(phoneInput) {
+    const { e164, accountPhone } = this.parsePhone(phoneInput);
+
+    const user = await User.findOne({ phone: accountPhone });
+    this.assertPhoneLoginAllowed(user);
+
+    const sent = await this.sendCode(e164, LOGIN_PURPOSE);
+    return { ...sent, isNewUser: !user };
+  }
+
+  /**
+   * Log in with a code, creating the account on first use
+   * @returns {Promise<{ user, isNewUser: boolean }>}
+   */
+  static async loginWithCode({ phone: phoneInput, otp, name }) {
+    const { e164, accountPhone } = this.parsePhone(phoneInput);
+
+    const existing = await User.findOne({ phone: accountPhone });
+    this.assertPhoneLoginAllowed(existing);
+
+    // Checked before the code is used up, so the same code works on retry
+    if (!existing && !name) {
+      throw new PhoneAuthError('NAME_REQUIRED', 'Name is required to create an account');
+    }
+
+    await this.checkCode(e164, LOGIN_PURPOSE, otp);
+
+    if (existing) return { user: existing, isNewUser: false };
+
+    try {
+      const user = await User.create({
+        name,
+        phone: accountPhone,
+        phoneVerified: true
+      });
+      return { user, isNewUser: true };
+    } catch (error) {
+      // Only a phone collision means a concurrent signup; anything else is a real fault
+      if (error.code === 11000 && error.keyPattern?.phone) {
+        throw new PhoneAuthError('PHONE_TAKEN', 'An account with this number was just created. Please log in again.', 409);
+      }
+      throw error;
+    }
+  }
+
+  // Another account that already owns this number blocks linking it
+  static async assertPhoneAvailable(accountPhone, userId) {
+    const owner = await User.findOne({ phone: accountPhone, _id: { $ne: userId } }).select('_id');
+    if (owner) {
+      throw new PhoneAuthError('PHONE_TAKEN', 'Phone number is already registered with another account', 409);
+    }
+  }
+
+  // Send a code to a number the signed-in user wants on their account
+  static async requestLinkCode(user, phoneInput) {
+    const { e164, accountPhone } = this.parsePhone(phoneInput);
+
+    if (user.phone === accountPhone && user.phoneVerified) {
+      throw new PhoneAuthError('PHONE_ALREADY_VERIFIED', 'This number is already verified on your account');
+    }
+    await this.assertPhoneAvailable(accountPhone, user._id);
+
+    return this.sendCode(e164, linkPurpose(user._id));
+  }
+
+  // Put a confirmed number on the signed-in user's account
+  static async linkPhone(user, { phone: phoneInput, otp }) {
+    const { e164, accountPhone } = this.parsePhone(phoneInput);
+
+    await this.assertPhoneAvailable(accountPhone, user._id);
+    await this.checkCode(e164, linkPurpose(user._id), otp);
+
+    user.phone = accountPhone;
+    user.phoneVerified = true;
+    await user.save();
+    return user;
+  }
+
+  // Give a phone-only account an email and password for email login
+  static async linkEmail(user, { email, password }) {
+    if (user.email) {
+      throw new PhoneAuthError('EMAIL_ALREADY_LINKED', 'An email address is already linked to this account');
+    }
+
+    const normalizedEmail = String(email).trim().toLowerCase();
+    const owner = await User.findOne({ email: normalizedEmail }).select('_id');
+    if (owner) {
+      throw new PhoneAuthError('EMAIL_TAKEN', 'User with this email already exists', 409);
+    }
+
+    // Password is hashed by the pre-save hook
+    user.email = normalizedEmail;
+    user.password = password;
+    user.isEmailVerified = false;
+    await user.save();
+    return user;
+  }
+}
+
+PhoneAuthService.PhoneAuthError = PhoneAuthError;
+
+module.exports = PhoneAuthService;
@@ -0,0 +1,309 @@
+const PickupSlot = require('../models/PickupSlot');
+const Order = require('../models/Order');
+const { getTimeSlots } = require('../utils/helpers');
+
+/**
+ * Pickup Slot Service
+ * Derives per-slot pickup capacity from branch settings, reports live
+ * availability and reserves / releases slots atomically.
+ */
+
+// Structured slot error - `error` and `statusCode` are used by the global error handler
+class SlotError extends Error {
+  constructor(error, message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'SlotError';
+    this.error = error;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DEFAULT_WORKING_DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// '09:30' -> 570
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time || '0:0').split(':').map(Number);
+  return (hours || 0) * 60 + (minutes || 0);
+};
+
+const overlap = (startA, endA, startB, endB) => Math.max(0, Math.min(endA, endB) - Math.max(startA, startB));
+
+const pad = (value) => String(value).padStart(2, '0');
+
+class PickupSlotService {
+  // Calendar day key (YYYY-MM-DD, server local time) for a date or date string
+  static toDateKey(date) {
+    if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) return date;
+    const value = new Date(date);
+    if (isNaN(value.getTime())) {
+      throw new SlotError('INVALID_DATE', 'Pickup date is invalid', 400);
+    }
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  }
+
+  // Date object at local midnight for a date key
+  static fromDateKey(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(year, month - 1, day);
+  }
+
+  // Check whether the branch takes pickups on a day
+  static getDayStatus(branch, dateKey) {
+    if (!branch.isActive || (branch.status && branch.status !== 'active')) {
+      return { isOpen: false, reason: 'Branch is not accepting orders' };
+    }
+
+    const date = this.fromDateKey(dateKey);
+    const workingDays = branch.operatingHours?.workingDays?.length
+      ? branch.operatingHours.workingDays
+      : DEFAULT_WORKING_DAYS;
+    if (!workingDays.includes(DAYS[date.getDay()])) {
+      return { isOpen: false, reason: 'Branch is closed on this day' };
+    }
+
+    const holiday = (branch.holidays || []).find(entry => {
+      if (!entry.date) return false;
+      const holidayDate = new Date(entry.date);
+      if (entry.isRecurring) {
+        return holidayDate.getMonth() === date.getMonth() && holidayDate.getDate() === date.getDate();
+      }
+      return this.toDateKey(holidayDate) === dateKey;
+    });
+    if (holiday) {
+      return { isOpen: false, reason: holiday.reason || 'Branch holiday' };
+    }
+
+    return { isOpen: true, reason: null };
+  }
+
+  /**
+   * Split the branch's daily order capacity across the standard time slots,
+   * in proportion to the working minutes each slot has (inside opening hours,
+   * outside the lunch break). Slots with no working minutes are not offered.
+   * @returns {Array<{ timeSlot, start, end, capacity }>}
+   */
+  static getSlotTemplate(branch) {
+    const open = toMinutes(branch.operatingHours?.openTime || '09:00');
+    const close = toMinutes(branch.operatingHours?.closeTime || '18:00');
+    const lunch = branch.operatingHours?.lunchBreak;
+    const lunchStart = lunch?.start ? toMinutes(lunch.start) : 0;
+    const lunchEnd = lunch?.end ? toMinutes(lunch.end) : 0;
+    const dailyCapacity = branch.capacity?.maxOrdersPerDay || 0;
+
+    const windows = getTimeSlots()
+      .map(timeSlot => {
+        const [start, end] = timeSlot.split('-').map(toMinutes);
+        const minutes = overlap(start, end, open, close) -
+          overlap(Math.max(start, open), Math.min(end, close), lunchStart, lunchEnd);
+        return { timeSlot, start, end, minutes: Math.max(minutes, 0) };
+      })
+      .filter(window => window.minutes > 0);
+
+    const totalMinutes = windows.reduce((sum, window) => sum + window.minutes, 0);
+    if (totalMinutes === 0) return [];
+
+    // Largest-remainder split so slot capacities add up to the daily capacity
+    const shares = windows.map(window => dailyCapacity * window.minutes / totalMinutes);
+    const capacities = shares.map(Math.floor);
+    let remainder = dailyCapacity - capacities.reduce((sum, value) => sum + value, 0);
+    shares
+      .map((share, index) => ({ index, fraction: share - Math.floor(share) }))
+      .sort((a, b) => b.fraction - a.fraction)
+      .forEach(({ index }) => {
+        if (remainder > 0) {
+          capacities[index] += 1;
+          remainder -= 1;
+        }
+      });
+
+    return windows.map((window, index) => ({
+      timeSlot: window.timeSlot,
+      start: window.start,
+      end: window.end,
+      capacity: capacities[index]
+    }));
+  }
+
+  // Effective capacity of a slot after admin overrides
+  static getEffectiveCapacity(template, slotDoc) {
+    if (slotDoc && slotDoc.capacityOverride !== null && slotDoc.capacityOverride !== undefined) {
+      return slotDoc.capacityOverride;
+    }
+    return template.capacity;
+  }
+
+  /**
+   * Live availability for a branch on a day
+   * @param {Object} branch - Branch document
+   * @param {Date|string} date - Day to check
+   */
+  static async getAvailability(branch, date) {
+    const dateKey = this.toDateKey(date);
+    const dayStatus = this.getDayStatus(branch, dateKey);
+
+    if (!dayStatus.isOpen) {
+      return { date: dateKey, isOpen: false, reason: dayStatus.reason, slots: [] };
+    }
+
+    const template = this.getSlotTemplate(branch);
+    const slotDocs = await PickupSlot.find({ branch: branch._id, date: dateKey });
+    const now = new Date();
+    const isToday = this.toDateKey(now) === dateKey;
+    const isPastDay = this.fromDateKey(dateKey) < this.fromDateKey(this.toDateKey(now));
+    const nowMinutes = now.getHours() * 60 + now.getMinutes();
+
+    const slots = template.map(entry => {
+      const slotDoc = slotDocs.find(doc => doc.timeSlot === entry.timeSlot);
+      const capacity = this.getEffectiveCapacity(entry, slotDoc);
+      const booked = slotDoc ? slotDoc.booked : 0;
+      const isPast = isPastDay || (isToday && entry.start <= nowMinutes);
+
+      let status = 'available';
+      if (isPast) status = 'past';
+      else if (slotDoc?.isBlocked) status = 'blocked';
+      else if (booked >= capacity) status = 'full';
+
+      return {
+        timeSlot: entry.timeSlot,
+        capacity,
+        defaultCapacity: entry.capacity,
+        booked,
+        available: status === 'available' ? capacity - booked : 0,
+        isBlocked: !!slotDoc?.isBlocked,
+        blockReason: slotDoc?.blockReason || null,
+        isOverridden: !!slotDoc && slotDoc.capacityOverride !== null && slotDoc.capacityOverride !== undefined,
+        status
+      };
+    });
+
+    return { date: dateKey, isOpen: true, reason: null, slots };
+  }
+
+  /**
+   * Reserve one booking in a slot. The capacity check and the increment happen
+   * in a single conditional update, so concurrent checkouts cannot overbook.
+   * @returns {Promise<Object>} the PickupSlot document after the reservation
+   */
+  static async reserve(branch, date, timeSlot) {
+    const dateKey = this.toDateKey(date);
+    const details = { branchId: branch._id, date: dateKey, timeSlot };
+
+    const dayStatus = this.getDayStatus(branch, dateKey);
+    if (!dayStatus.isOpen) {
+      throw new SlotError('BRANCH_CLOSED', dayStatus.reason, 400, details);
+    }
+
+    const entry = this.getSlotTemplate(branch).find(window => window.timeSlot === timeSlot);
+    if (!entry) {
+      throw new SlotError('SLOT_NOT_OFFERED', `Time slot ${timeSlot} is not offered by this branch`, 400, details);
+    }
+
+    const now = new Date();
+    const today = this.toDateKey(now);
+    if (dateKey < today || (dateKey === today && entry.start <= now.getHours() * 60 + now.getMinutes())) {
+      throw new SlotError('SLOT_IN_PAST', 'This time slot has already started', 400, details);
+    }
+
+    // Make sure the slot document exists before the conditional increment
+    try {
+      await PickupSlot.updateOne(
+        { branch: branch._id, date: dateKey, timeSlot },
+        { $setOnInsert: { booked: 0 } },
+        { upsert: true }
+      );
+    } catch (error) {
+      // A concurrent upsert created it first
+      if (error.code !== 11000) throw error;
+    }
+
+    const slot = await PickupSlot.findOneAndUpdate(
+      {
+        branch: branch._id,
+        date: dateKey,
+        timeSlot,
+        isBlocked: false,
+        $expr: { $lt: ['$booked', { $ifNull: ['$capacityOverride', entry.capacity] }] }
+      },
+      { $inc: { booked: 1 } },
+      { new: true }
+    );
+
+    if (!slot) {
+      const current = await PickupSlot.findOne({ branch: branch._id, date: dateKey, timeSlot });
+      if (current?.isBlocked) {
+        throw new SlotError('SLOT_BLOCKED', current.blockReason || 'This time slot is not available', 409, details);
+      }
+      throw new SlotError('SLOT_FULL', 'This time slot is fully booked, please choose another', 409, details);
+    }
+
+    return slot;
+  }
+
+  // Give back one booking in a slot
+  static async release(slotId) {
+    await PickupSlot.updateOne(
+      { _id: slotId, booked: { $gt: 0 } },
+      { $inc: { booked: -1 } }
+    );
+  }
+
+  // Release the slot held by an order (idempotent - only the first call frees it)
+  static async releaseForOrder(order) {
+    if (!order.pickupSlot?.slot) return false;
+
+    const result = await Order.updateOne(
+      { _id: order._id, 'pickupSlot.slot': order.pickupSlot.slot, 'pickupSlot.releasedAt': null },
+      { $set: { 'pickupSlot.releasedAt': new Date() } }
+    );
+    if (result.modifiedCount === 0) return false;
+
+    await this.release(order.pickupSlot.slot);
+    return true;
+  }
+
+  /**
+   * Block / unblock a slot or override its capacity. Without a timeSlot the
+   * change applies to every slot the branch offers that day.
+   * @param {Object} branch - Branch document
+   * @param {Date|string} date - Day to change
+   * @param {Object} changes - { timeSlot, isBlocked, blockReason, capacityOverride }
+   * @param {ObjectId} updatedBy - User making the change
+   */
+  static async updateSlot(branch, date, changes, updatedBy) {
+    const dateKey = this.toDateKey(date);
+    const template = this.getSlotTemplate(branch);
+    const { timeSlot, isBlocked, blockReason, capacityOverride } = changes;
+
+    if (timeSlot && !template.some(window => window.timeSlot === timeSlot)) {
+      throw new SlotError('SLOT_NOT_OFFERED', `Time slot ${timeSlot} is not offered by this branch`, 400, { timeSlot });
+    }
+    if (capacityOverride !== undefined && capacityOverride !== null &&
+      (!Number.isInteger(capacityOverride) || capacityOverride < 0)) {
+      throw new SlotError('INVALID_CAPACITY', 'Capacity override must be a non-negative whole number', 400);
+    }
+
+    const update = { updatedBy };
+    if (isBlocked !== undefined) {
+      update.isBlocked = !!isBlocked;
+      update.blockReason = isBlocked ? (blockReason || 'Blocked by admin') : null;
+    }
+    if (capacityOverride !== undefined) {
+      update.capacityOverride = capacityOverride;
+    }
+
+    const timeSlots = timeSlot ? [timeSlot] : template.map(window => window.timeSlot);
+    await Promise.all(timeSlots.map(slot => PickupSlot.updateOne(
+      { branch: branch._id, date: dateKey, timeSlot: slot },
+      { $set: update, $setOnInsert: { booked: 0 } },
+      { upsert: true }
+    )));
+
+    return this.getAvailability(branch, dateKey);
+  }
+}
+
+PickupSlotService.SlotError = SlotError;
+
+module.exports = PickupSlotService;
@@ -0,0 +1,385 @@
+const Pricing = require('../models/Pricing');
+const ServiceItem = require('../models/ServiceItem');
+const Service = require('../models/Service');
+const PromotionService = require('./promotionService');
+const HolidayPricingService = require('./holidayPricingService');
+const { PRICING_DEFAULTS } = require('../config/constants');
+
+/**
+ * Pricing Service
+ * Single pricing engine for checkout, customer quotes and admin price checks.
+ * Resolves prices from the active approved Pricing version, the ServiceItem
+ * catalogue and per-branch Service multipliers.
+ */
+
+// Structured pricing error - `error` and `statusCode` are used by the global error handler
+class PricingError extends Error {
+  constructor(error, message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'PricingError';
+    this.error = error;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+const roundAmount = (amount, rule = PRICING_DEFAULTS.ROUNDING_RULE) => {
+  switch (rule) {
+    case 'round_up':
+      return Math.ceil(amount);
+    case 'round_down':
+      return Math.floor(amount);
+    default:
+      return Math.round(amount);
+  }
+};
+
+const normalizeName = (value) => String(value || '').trim().toLowerCase();
+
+class PricingService {
+  // Get the active, approved pricing version effective at a given date
+  static async getActivePricing(at = new Date()) {
+    return Pricing.findOne({
+      isActive: true,
+      approvalStatus: 'approved',
+      $and: [
+        { $or: [{ effectiveFrom: null }, { effectiveFrom: { $lte: at } }] },
+        { $or: [{ effectiveTo: null }, { effectiveTo: { $gte: at } }] }
+      ]
+    }).sort({ isDefault: -1, effectiveFrom: -1 });
+  }
+
+  // Load a specific pricing version (used by admins to preview drafts)
+  static async getPricingById(pricingId) {
+    const pricing = await Pricing.findById(pricingId);
+    if (!pricing) {
+      throw new PricingError('PRICING_NOT_FOUND', 'Pricing configuration not found', 404);
+    }
+    return pricing;
+  }
+
+  // Load catalogue items and services referenced by the order items
+  static async loadCatalogue(items, branchId = null) {
+    const itemIds = [...new Set(items.map(item => item.itemType).filter(Boolean))];
+    const serviceCodes = [...new Set(items.map(item => item.service).filter(Boolean))];
+
+    const branchScope = [
+      { createdByBranch: { $exists: false } },
+      { createdByBranch: null }
+    ];
+    if (branchId) {
+      branchScope.push({ createdByBranch: branchId });
+    }
+
+    const [catalogueItems, services] = await Promise.all([
+      itemIds.length > 0
+        ? ServiceItem.find({ itemId: { $in: itemIds }, isActive: true, $or: branchScope })
+        : [],
+      serviceCodes.length > 0
+        ? Service.find({ code: { $in: serviceCodes.map(code => code.toLowerCase()) } })
+        : []
+    ]);
+
+    return { catalogueItems, services };
+  }
+
+  // Pick the catalogue entry for an item, preferring branch-specific and same-service items
+  static findCatalogueItem(catalogueItems, itemType, service, branchId) {
+    const candidates = catalogueItems.filter(entry => entry.itemId === itemType);
+    const score = (entry) => {
+      let points = 0;
+      if (entry.service === service) points += 2;
+      if (branchId && entry.createdByBranch && entry.createdByBranch.toString() === branchId.toString()) points += 1;
+      return points;
+    };
+    return candidates.sort((a, b) => score(b) - score(a))[0] || null;
+  }
+
+  // Find an override for the item in the pricing version
+  static findPricingItem(pricing, names, pricingCategory) {
+    if (!pricing) return null;
+    const wanted = names.map(normalizeName).filter(Boolean);
+    return pricing.serviceItems.find(entry =>
+      entry.isActive &&
+      (!pricingCategory || entry.category === pricingCategory) &&
+      wanted.includes(normalizeName(entry.name))
+    ) || null;
+  }
+
+  // Price a single order line
+  static resolveLine(item, context) {
+    const { pricing, catalogueItems, services, branchId } = context;
+    const { itemType, service, category, quantity } = item;
+
+    if (!quantity || quantity <= 0) {
+      throw new PricingError('INVALID_QUANTITY', `Invalid quantity for ${itemType || item.name}`, 400, { item });
+    }
+
+    const catalogueItem = itemType
+      ? this.findCatalogueItem(catalogueItems, itemType, service, branchId)
+      : null;
+
+    const serviceDoc = service
+      ? services.find(entry => entry.code === service.toLowerCase())
+      : null;
+
+    if (serviceDoc && branchId && (!serviceDoc.isActive || !serviceDoc.isActiveForBranch(branchId))) {
+      throw new PricingError('SERVICE_UNAVAILABLE', `Service ${service} is not available at this branch`, 400, { service });
+    }
+
+    const pricingCategory = service
+      ? (PRICING_DEFAULTS.SERVICE_PRICING_CATEGORIES[service] || 'additional')
+      : null;
+    const pricingItem = this.findPricingItem(
+      pricing,
+      [item.name, catalogueItem?.name, itemType],
+      pricingCategory
+    );
+
+    // per_kg items are billed on weight (the estimate at booking, the weigh-in later);
+    // without a weight the quantity is taken as kilograms
+    const unit = pricingItem?.unit || 'per_piece';
+    const weightKg = unit === 'per_kg' ? Number(item.weightKg ?? quantity) : null;
+    if (unit === 'per_kg' && !(weightKg > 0)) {
+      throw new PricingError('INVALID_WEIGHT', `Invalid weight for ${pricingItem.name}`, 400, { item });
+    }
+    const billable = unit === 'per_kg' ? weightKg : quantity;
+
+    if (pricingItem) {
+      if (billable < pricingItem.minQuantity || billable > pricingItem.maxQuantity) {
+        throw new PricingError(
+          'INVALID_QUANTITY',
+          `${unit === 'per_kg' ? 'Weight' : 'Quantity'} for ${pricingItem.name} must be between ${pricingItem.minQuantity} and ${pricingItem.maxQuantity}`,
+          400,
+          { item }
+        );
+      }
+    }
+
+    let basePrice;
+    let priceSource;
+    if (pricingItem) {
+      basePrice = pricingItem.basePrice;
+      priceSource = 'pricing_version';
+    } else if (catalogueItem) {
+      basePrice = catalogueItem.basePrice;
+      priceSource = 'catalogue';
+    } else {
+      throw new PricingError(
+        'ITEM_NOT_PRICED',
+        `No price configured for ${itemType || item.name}${service ? ` (${service})` : ''}`,
+        400,
+        { item }
+      );
+    }
+
+    const serviceMultiplier = serviceDoc
+      ? (branchId ? serviceDoc.getPriceMultiplier(branchId) : serviceDoc.basePriceMultiplier) || 1
+      : 1;
+    const categoryMultiplier = PRICING_DEFAULTS.CATEGORY_MULTIPLIERS[category] || 1;
+    const unitPrice = Math.round(basePrice * serviceMultiplier * categoryMultiplier * 100) / 100;
+
+    return {
+      itemType: itemType || null,
+      name: pricingItem?.name || catalogueItem?.name || item.name || itemType,
+      service: service || pricingItem?.category || null,
+      category: category || null,
+      quantity,
+      unit,
+      weightKg,
+      priceSource,
+      catalogueItem: catalogueItem?._id || null,
+      pricingItem: pricingItem?._id || null,
+      basePrice,
+      serviceMultiplier,
+      categoryMultiplier,
+      unitPrice,
+      totalPrice: Math.round(unitPrice * billable * 100) / 100
+    };
+  }
+
+  // Express surcharge from the pricing version, or the default percentage
+  static calculateExpressCharge(pricing, subtotal, totalQuantity) {
+    const rule = pricing && pricing.expressCharges.find(charge =>
+      charge.isActive &&
+      subtotal >= charge.minOrderValue &&
+      (charge.maxOrderValue === 0 || subtotal <= charge.maxOrderValue)
+    );
+
+    if (!rule) {
+      return {
+        amount: subtotal * PRICING_DEFAULTS.EXPRESS_SURCHARGE_PERCENT / 100,
+        rule: null
+      };
+    }
+
+    switch (rule.type) {
+      case 'percentage':
+        return { amount: subtotal * rule.value / 100, rule };
+      case 'fixed_amount':
+        return { amount: rule.value, rule };
+      case 'per_item':
+        return { amount: rule.value * totalQuantity, rule };
+      default:
+        return { amount: 0, rule };
+    }
+  }
+
+  /**
+   * Build a full quote for a set of items
+   * @param {Array} items - [{ itemType, service, category, quantity, name? }]
+   * @param {Object} options - { branchId, isExpress, deliveryCharge, discount, discountCode, customer, pricingId, at, pickupDate }
+   * @returns {Promise<{ lines: Array, pricing: Object, pricingVersion: Object|null }>}
+   */
+  static async quote(items, options = {}) {
+    const {
+      branchId = null,
+      isExpress = false,
+      deliveryCharge = 0,
+      discount = 0,
+      discountCode = null,
+      customer = null,
+      pricingId = null,
+      at = new Date(),
+      pickupDate = null,
+      loyalty = null, // From LoyaltyService.getCheckoutBenefits
+      subscription = null // SubscriptionPlan pricing: { includedServices, extraDiscountPercent }
+    } = options;
+
+    if (!items || !Array.isArray(items) || items.length === 0) {
+      throw new PricingError('INVALID_ITEMS', 'Items array is required', 400);
+    }
+
+    const pricing = pricingId
+      ? await this.getPricingById(pricingId)
+      : await this.getActivePricing(at);
+    const { catalogueItems, services } = await this.loadCatalogue(items, branchId);
+
+    const context = { pricing, catalogueItems, services, branchId };
+    const lines = items.map(item => this.resolveLine(item, context));
+
+    const rule = pricing?.settings?.roundingRule || PRICING_DEFAULTS.ROUNDING_RULE;
+    const taxRate = pricing?.settings?.taxRate ?? PRICING_DEFAULTS.TAX_RATE;
+
+    const subtotal = lines.reduce((sum, line) => sum + line.totalPrice, 0);
+    const totalQuantity = lines.reduce((sum, line) => sum + line.quantity, 0);
+    const express = isExpress
+      ? this.calculateExpressCharge(pricing, subtotal, totalQuantity)
+      : { amount: 0, rule: null };
+    const expressWaived = loyalty?.freeExpress ? express.amount : 0;
+    const expressAmount = express.amount - expressWaived;
+
+    // Holiday / surge rules match on either the order date or the pickup date
+    const holiday = HolidayPricingService.evaluate(
+      pricing?.holidayPricing || [],
+      lines,
+      { placedAt: at, pickupDate }
+    );
+
+    // Discount codes come from the same pricing version's discountPolicies
+    let promotion = null;
+    if (discountCode) {
+      if (!pricing) {
+        throw new PricingError('INVALID_DISCOUNT_CODE', 'Invalid or expired discount code', 400);
+      }
+      const result = await PromotionService.evaluate(pricing, discountCode, {
+        customer,
+        branchId,
+        lines,
+        subtotal,
+        at
+      });
+      promotion = {
+        code: result.policy.code,
+        policyId: result.policy._id,
+        name: result.policy.name,
+        type: result.policy.type,
+        discount: result.discount
+      };
+    }
+
+    const promoDiscount = promotion ? promotion.discount : 0;
+    const tierDiscount = loyalty?.discountPercent ? subtotal * loyalty.discountPercent / 100 : 0;
+
+    // Subscription orders: included services are covered by the plan fee, the rest get the plan discount
+    const subscriptionCredit = subscription
+      ? lines.reduce((sum, line) => sum + ((subscription.includedServices || []).includes(line.service)
+        ? line.totalPrice
+        : line.totalPrice * (subscription.extraDiscountPercent || 0) / 100), 0)
+      : 0;
+
+    const discountAmount = Math.min(
+      Math.max(discount, 0) + promoDiscount + tierDiscount + subscriptionCredit,
+      subtotal + expressAmount
+    );
+
+    // Points are applied last and can pay for at most maxRedemptionPercent of what is left
+    let pointsRedeemed = 0;
+    if (loyalty?.redeemPoints > 0) {
+      const cap = (subtotal + expressAmount + holiday.total - discountAmount) * loyalty.maxRedemptionPercent / 100;
+      pointsRedeemed = Math.floor(Math.min(loyalty.redeemPoints * loyalty.pointValue, Math.max(cap, 0)) / loyalty.pointValue);
+    }
+    const pointsDiscount = pointsRedeemed * (loyalty?.pointValue || 0);
+
+    const taxableAmount = subtotal + expressAmount + holiday.total + deliveryCharge - discountAmount - pointsDiscount;
+    const tax = taxableAmount * taxRate / 100;
+
+    const minimumOrderValue = pricing?.settings?.minimumOrderValue || 0;
+
+    return {
+      lines,
+      pricing: {
+        subtotal: roundAmount(subtotal, rule),
+        expressCharge: roundAmount(expressAmount, rule),
+        holidaySurcharge: roundAmount(holiday.total, rule),
+        surcharges: holiday.surcharges,
+        deliveryCharge: roundAmount(deliveryCharge, rule),
+        discount: roundAmount(discountAmount, rule),
+        promoDiscount: roundAmount(promoDiscount, rule),
+        subscriptionCredit: roundAmount(subscriptionCredit, rule),
+        loyalty: loyalty ? {
+          tier: loyalty.tier,
+          tierDiscount: roundAmount(tierDiscount, rule),
+          expressWaived: roundAmount(expressWaived, rule),
+          pointsRedeemed,
+          pointsDiscount: roundAmount(pointsDiscount, rule)
+        } : undefined,
+        tax: roundAmount(tax, rule),
+        taxRate,
+        total: roundAmount(taxableAmount + tax, rule)
+      },
+      promotion,
+      pricingDocument: pricing,
+      expressRule: express.rule ? { name: express.rule.name, type: express.rule.type, value: express.rule.value } : null,
+      minimumOrderValue,
+      meetsMinimumOrder: subtotal >= minimumOrderValue,
+      pricingVersion: pricing ? {
+        pricing: pricing._id,
+        name: pricing.name,
+        version: pricing.version
+      } : null
+    };
+  }
+
+  // Record that an order was priced with a pricing version
+  static async recordUsage(pricingVersion, orderTotal) {
+    if (!pricingVersion || !pricingVersion.pricing) return;
+    try {
+      const pricing = await Pricing.findByIdAndUpdate(
+        pricingVersion.pricing,
+        { $inc: { 'stats.ordersProcessed': 1, 'stats.totalRevenue': orderTotal } },
+        { new: true }
+      );
+      if (pricing && pricing.stats.ordersProcessed > 0) {
+        pricing.stats.averageOrderValue = Math.round(pricing.stats.totalRevenue / pricing.stats.ordersProcessed);
+        await pricing.save();
+      }
+    } catch (error) {
+      console.error('Error recording pricing usage:', error);
+    }
+  }
+}
+
+PricingService.PricingError = PricingError;
+
+module.exports = PricingService;
@@ -0,0 +1,206 @@
+const Order = require('../models/Order');
+const OrderItem = require('../models/OrderItem');
+const Service = require('../models/Service');
+const GarmentTagService = require('./garmentTagService');
+const { renderReceiptEscPos, renderLabelsEscPos } = require('../utils/escpos');
+const { renderReceiptPdf, renderLabelsPdf } = require('../utils/thermalPdf');
+const { formatDate } = require('../utils/helpers');
+const { PRINT_CONFIG } = require('../config/constants');
+
+/**
+ * Print Service
+ * Renders intake receipts and garment tag labels for branch thermal printers,
+ * either as ESC/POS bytes sent straight to the printer or as a PDF sized to
+ * the paper roll.
+ */
+
+// Structured print error - `error` and `statusCode` are used by the global error handler
+class PrintError extends Error {
+  constructor(error, message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'PrintError';
+    this.error = error;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+const money = (value) => `Rs.${Number(value || 0).toFixed(2)}`;
+
+const humanize = (value) => String(value || '')
+  .split('_')
+  .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+  .join(' ');
+
+const CONTENT_TYPES = {
+  escpos: 'application/octet-stream',
+  pdf: 'application/pdf'
+};
+
+const EXTENSIONS = {
+  escpos: 'bin',
+  pdf: 'pdf'
+};
+
+class PrintService {
+  // Validate ?format=&width= from a print request
+  static resolveOptions({ format = 'escpos', width } = {}) {
+    if (!PRINT_CONFIG.FORMATS.includes(format)) {
+      throw new PrintError('INVALID_FORMAT', `Format must be one of ${PRINT_CONFIG.FORMATS.join(', ')}`, 400);
+    }
+    const paperWidth = Number(width || PRINT_CONFIG.DEFAULT_PAPER_WIDTH);
+    if (!PRINT_CONFIG.PAPER[paperWidth]) {
+      throw new PrintError('INVALID_PAPER_WIDTH', `Paper width must be one of ${Object.keys(PRINT_CONFIG.PAPER).join(', ')} mm`, 400);
+    }
+    return { format, paperWidth };
+  }
+
+  static async loadOrder(orderId, branchId = null) {
+    const query = { _id: orderId };
+    if (branchId) query.branch = branchId;
+
+    const order = await Order.findOne(query)
+      .populate('customer', 'name phone')
+      .populate('branch', 'name code address contact gstin');
+    if (!order) {
+      throw new PrintError('ORDER_NOT_FOUND', branchId ? 'Order not found in your branch' : 'Order not found', 404);
+    }
+    if (!order.branch) {
+      throw new PrintError('NO_BRANCH', 'The order has not been assigned to a branch yet', 409);
+    }
+    if (!order.barcode) {
+      // The pre-save hook assigns the barcode printed on the receipt
+      await order.save();
+    }
+    return order;
+  }
+
+  /**
+   * Everything printed on an intake receipt, already formatted for display
+   */
+  static async buildReceipt(order) {
+    const items = await OrderItem.find({ order: order._id }).sort({ createdAt: 1, _id: 1 });
+    const services = await Service.find({ code: { $in: [...new Set(items.map(item => item.service))] } })
+      .select('code displayName');
+    const serviceNames = new Map(services.map(service => [service.code, service.displayName]));
+
+    const { branch } = order;
+    const pricing = order.pricing || {};
+    const totals = [['Subtotal', money(pricing.subtotal)]];
+    [
+      ['Express', pricing.expressCharge],
+      ['Holiday surcharge', pricing.holidaySurcharge],
+      ['Weight overage', pricing.weightOverage],
+      ['Delivery', pricing.deliveryCharge]
+    ].forEach(([label, amount]) => {
+      if (amount > 0) totals.push([label, money(amount)]);
+    });
+    const discount = (pricing.discount || 0) + (pricing.loyalty?.pointsDiscount || 0);
+    if (discount > 0) totals.push(['Discount', `-${money(discount)}`]);
+    totals.push([pricing.taxRate != null ? `GST ${pricing.taxRate}%` : 'GST', money(pricing.tax)]);
+    if (pricing.subscriptionFee > 0) totals.push(['Plan fee', money(pricing.subscriptionFee)]);
+    if (order.walletPayment?.amount > 0) totals.push(['Paid from wallet', `-${money(order.walletPayment.amount)}`]);
+
+    const paymentStatus = order.paymentStatus === 'paid' ? 'Paid' : `Due ${money(pricing.amountDue ?? pricing.total)}`;
+
+    return {
+      title: 'INTAKE RECEIPT',
+      branch: {
+        name: branch.name,
+        code: branch.code,
+        address: [branch.address?.addressLine1, branch.address?.city, branch.address?.pincode].filter(Boolean).join(', '),
+        phone: branch.contact?.phone,
+        gstin: branch.gstin
+      },
+      orderNumber: order.orderNumber,
+      barcode: order.barcode,
+      placedAt: formatDate(order.createdAt, 'DD MMM YYYY HH:mm'),
+      dueDate: order.estimatedDeliveryDate ? formatDate(order.estimatedDeliveryDate, 'DD MMM YYYY') : '-',
+      isExpress: order.isExpress,
+      customer: {
+        name: order.customer?.name || '-',
+        phone: order.customer?.phone
+      },
+      items: items.map(item => ({
+        name: humanize(item.itemType),
+        service: `${serviceNames.get(item.service) || humanize(item.service)} (${humanize(item.category)})${item.unit === 'per_kg' ? ` ${item.getBillableQuantity()} kg` : ''}`,
+        quantity: item.quantity,
+        amount: money(item.totalPrice),
+        instructions: item.specialInstructions
+      })),
+      totals,
+      total: money(pricing.total),
+      payment: `${String(order.paymentMethod || '').toUpperCase()} - ${paymentStatus}`,
+      pieces: order.tagSummary?.total || items.reduce((sum, item) => sum + item.quantity, 0),
+      notes: order.specialInstructions,
+      footer: 'Please keep this receipt and show it when collecting your order.'
+    };
+  }
+
+  /**
+   * Render the intake receipt of an order
+   * @param {string} orderId
+   * @param {Object} options - { format, width, branchId } (branchId limits the lookup to one branch)
+   * @returns {Promise<{ content: Buffer, contentType: string, filename: string }>}
+   */
+  static async renderReceipt(orderId, options = {}) {
+    const { format, paperWidth } = this.resolveOptions(options);
+    const order = await this.loadOrder(orderId, options.branchId);
+    const receipt = await this.buildReceipt(order);
+
+    const content = format === 'pdf'
+      ? await renderReceiptPdf(receipt, paperWidth)
+      : renderReceiptEscPos(receipt, paperWidth);
+
+    return {
+      content,
+      contentType: CONTENT_TYPES[format],
+      filename: `receipt-${order.orderNumber}-${paperWidth}mm.${EXTENSIONS[format]}`
+    };
+  }
+
+  /**
+   * Render tag labels for an order's pieces, all of them or just `tagCodes`.
+   * Rendered tags are marked printed.
+   * @param {string} orderId
+   * @param {Object} options - { format, width, branchId, tagCodes }
+   * @returns {Promise<{ content: Buffer, contentType: string, filename: string, count: number }>}
+   */
+  static async renderLabels(orderId, options = {}) {
+    const { format, paperWidth } = this.resolveOptions(options);
+    const order = await this.loadOrder(orderId, options.branchId);
+
+    const { tags } = await GarmentTagService.getOrderTags(order._id);
+    const wanted = options.tagCodes?.length ? new Set(options.tagCodes.map(code => String(code).toUpperCase())) : null;
+    const selected = wanted ? tags.filter(tag => wanted.has(tag.tagCode)) : tags;
+    if (selected.length === 0) {
+      throw new PrintError('NO_TAGS', tags.length === 0
+        ? 'This order has no garment tags yet, generate them first'
+        : 'None of the requested tags belong to this order', 404);
+    }
+
+    const labels = selected.map(tag => ({
+      ...tag.label,
+      itemType: humanize(tag.label.itemType),
+      service: humanize(tag.label.service),
+      dueDate: tag.label.dueDate ? formatDate(tag.label.dueDate, 'DD MMM') : '-'
+    }));
+
+    const content = format === 'pdf'
+      ? await renderLabelsPdf(labels, paperWidth)
+      : renderLabelsEscPos(labels, paperWidth);
+
+    await GarmentTagService.markPrinted(order._id, selected.map(tag => tag.tagCode));
+
+    return {
+      content,
+      contentType: CONTENT_TYPES[format],
+      filename: `labels-${order.orderNumber}-${paperWidth}mm.${EXTENSIONS[format]}`,
+      count: labels.length
+    };
+  }
+}
+
+PrintService.PrintError = PrintError;
+
+module.exports = PrintService;
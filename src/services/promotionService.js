@@ -0,0 +1,273 @@
+const Pricing = require('../models/Pricing');
+const DiscountRedemption = require('../models/DiscountRedemption');
+const DiscountUsage = require('../models/DiscountUsage');
+const { PRICING_DEFAULTS } = require('../config/constants');
+
+/**
+ * Promotion Service
+ * Validates discount codes from the active pricing version's discountPolicies,
+ * redeems them atomically at checkout and reverses them on cancellation.
+ */
+
+// Structured promotion error - `error` and `statusCode` are used by the global error handler
+class PromotionError extends Error {
+  constructor(error, message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'PromotionError';
+    this.error = error;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+class PromotionService {
+  // Find a discount policy by code in a pricing version
+  static findPolicy(pricing, code) {
+    const wanted = normalizeCode(code);
+    if (!pricing || !wanted) return null;
+    return pricing.discountPolicies.find(policy => normalizeCode(policy.code) === wanted) || null;
+  }
+
+  // Resolve the customer segment used by discountPolicies.customerSegments
+  static getCustomerSegment(customer) {
+    if (!customer) return null;
+    if (customer.isVIP) return 'premium_customer';
+    if (!customer.totalOrders) return 'new_customer';
+    return 'regular_customer';
+  }
+
+  // Check whether an order line falls under the policy's applicable services
+  static isLineEligible(policy, line) {
+    const services = policy.applicableServices || [];
+    if (services.length === 0 || services.includes('all')) return true;
+    const pricingCategory = PRICING_DEFAULTS.SERVICE_PRICING_CATEGORIES[line.service] || line.service;
+    return services.includes(pricingCategory);
+  }
+
+  // Buy X get Y: for every (minQuantity + value) pieces the `value` cheapest are free
+  static calculateBuyXGetY(policy, lines) {
+    const groupSize = policy.minQuantity + policy.value;
+    const unitPrices = [];
+    lines.forEach(line => {
+      for (let i = 0; i < line.quantity; i++) unitPrices.push(line.unitPrice);
+    });
+    if (groupSize <= 0 || unitPrices.length < groupSize) return 0;
+
+    const freeUnits = Math.floor(unitPrices.length / groupSize) * policy.value;
+    return unitPrices
+      .sort((a, b) => a - b)
+      .slice(0, freeUnits)
+      .reduce((sum, price) => sum + price, 0);
+  }
+
+  /**
+   * Validate a discount code against every policy constraint and compute the discount.
+   * Customer-specific checks (segment, per-customer cap) are skipped when no customer
+   * is given, e.g. for anonymous quote previews.
+   * @param {Object} pricing - Pricing version document
+   * @param {string} code - Discount code entered by the customer
+   * @param {Object} context - { customer, branchId, lines, subtotal, at }
+   * @returns {Promise<{ policy: Object, discount: number, eligibleSubtotal: number }>}
+   */
+  static async evaluate(pricing, code, context = {}) {
+    const { customer = null, branchId = null, lines = null, subtotal = 0, at = new Date() } = context;
+    const policy = this.findPolicy(pricing, code);
+    const fail = (error, message, details = {}) => {
+      throw new PromotionError(error, message, 400, { code: normalizeCode(code), ...details });
+    };
+
+    if (!policy) {
+      fail('INVALID_DISCOUNT_CODE', 'Invalid or expired discount code');
+    }
+    if (!policy.isActive || at < policy.startDate || at > policy.endDate) {
+      fail('DISCOUNT_EXPIRED', 'This discount code is not active');
+    }
+    if (policy.maxTotalUsage > 0 && policy.usageCount >= policy.maxTotalUsage) {
+      fail('DISCOUNT_USAGE_EXCEEDED', 'This discount code has reached its usage limit');
+    }
+    if (policy.applicableBranches.length > 0 && (!branchId ||
+      !policy.applicableBranches.some(id => id.toString() === branchId.toString()))) {
+      fail('DISCOUNT_NOT_APPLICABLE', 'This discount code is not valid at the selected branch');
+    }
+
+    if (subtotal < policy.minOrderValue) {
+      fail('DISCOUNT_MIN_ORDER', `Minimum order value for this code is ₹${policy.minOrderValue}`, { minOrderValue: policy.minOrderValue });
+    }
+    if (policy.maxOrderValue > 0 && subtotal > policy.maxOrderValue) {
+      fail('DISCOUNT_MAX_ORDER', `This code is valid only for orders up to ₹${policy.maxOrderValue}`, { maxOrderValue: policy.maxOrderValue });
+    }
+
+    if (customer) {
+      const segments = policy.customerSegments || [];
+      const segment = this.getCustomerSegment(customer);
+      if (segments.length > 0 && !segments.includes('all') && !segments.includes(segment)) {
+        fail('DISCOUNT_NOT_ELIGIBLE', 'You are not eligible for this discount code', { segment });
+      }
+      if (policy.maxUsagePerCustomer > 0) {
+        const used = await DiscountRedemption.countActiveForCustomer(policy._id, customer._id);
+        if (used >= policy.maxUsagePerCustomer) {
+          fail('DISCOUNT_CUSTOMER_LIMIT', 'You have already used this discount code the maximum number of times');
+        }
+      }
+    }
+
+    // Without line items (admin validation) the whole order value is eligible
+    const eligibleLines = lines ? lines.filter(line => this.isLineEligible(policy, line)) : null;
+    const eligibleSubtotal = eligibleLines
+      ? eligibleLines.reduce((sum, line) => sum + line.totalPrice, 0)
+      : subtotal;
+    const eligibleQuantity = eligibleLines
+      ? eligibleLines.reduce((sum, line) => sum + line.quantity, 0)
+      : policy.minQuantity;
+
+    if (eligibleSubtotal <= 0) {
+      fail('DISCOUNT_NOT_APPLICABLE', 'This discount code does not apply to the selected services');
+    }
+    if (eligibleQuantity < policy.minQuantity) {
+      fail('DISCOUNT_MIN_QUANTITY', `This code needs at least ${policy.minQuantity} eligible items`, { minQuantity: policy.minQuantity });
+    }
+
+    let discount = 0;
+    switch (policy.type) {
+      case 'percentage':
+      case 'bulk_discount':
+        discount = eligibleSubtotal * policy.value / 100;
+        break;
+      case 'fixed_amount':
+        discount = policy.value;
+        break;
+      case 'buy_x_get_y':
+        discount = eligibleLines ? this.calculateBuyXGetY(policy, eligibleLines) : 0;
+        break;
+    }
+
+    return {
+      policy,
+      discount: Math.round(Math.min(discount, eligibleSubtotal) * 100) / 100,
+      eligibleSubtotal
+    };
+  }
+
+  /**
+   * Redeem a validated code for an order. The total usage cap is enforced with a
+   * conditional $inc on the policy and the per-customer cap with a conditional
+   * $inc on the customer's DiscountUsage counter, so two concurrent checkouts
+   * cannot both slip under either cap.
+   */
+  static async redeem({ pricing, policy, customer, orderId, branchId, amount }) {
+    const policyFilter = policy.maxTotalUsage > 0
+      ? { _id: policy._id, usageCount: { $lt: policy.maxTotalUsage } }
+      : { _id: policy._id };
+
+    const reserved = await Pricing.updateOne(
+      { _id: pricing._id, discountPolicies: { $elemMatch: { ...policyFilter, isActive: true } } },
+      { $inc: { 'discountPolicies.$.usageCount': 1, 'stats.discountsApplied': 1 } }
+    );
+
+    if (reserved.modifiedCount === 0) {
+      throw new PromotionError('DISCOUNT_USAGE_EXCEEDED', 'This discount code has reached its usage limit', 409, {
+        code: normalizeCode(policy.code)
+      });
+    }
+
+    let customerReserved = false;
+    try {
+      await this.reserveCustomerUsage(policy, customer._id);
+      customerReserved = true;
+
+      return await DiscountRedemption.create({
+        pricing: pricing._id,
+        policyId: policy._id,
+        code: normalizeCode(policy.code),
+        customer: customer._id,
+        order: orderId,
+        branch: branchId,
+        amount
+      });
+    } catch (error) {
+      // Roll back the reservations so the caps stay accurate
+      if (customerReserved) {
+        await this.releaseCustomerUsage(policy._id, customer._id);
+      }
+      await this.releaseUsage(pricing._id, policy._id);
+      throw error;
+    }
+  }
+
+  /**
+   * Take one use from the customer's counter for a policy. The counter is kept
+   * for every policy so a cap added later starts from the real count; a new
+   * counter is seeded from the customer's active redemptions.
+   */
+  static async reserveCustomerUsage(policy, customerId) {
+    const key = { policyId: policy._id, customer: customerId };
+
+    // Make sure the counter exists before the conditional increment
+    const existing = await DiscountUsage.exists(key);
+    if (!existing) {
+      try {
+        const active = await DiscountRedemption.countActiveForCustomer(policy._id, customerId);
+        await DiscountUsage.updateOne(key, { $setOnInsert: { count: active } }, { upsert: true });
+      } catch (error) {
+        // A concurrent upsert created it first
+        if (error.code !== 11000) throw error;
+      }
+    }
+
+    const filter = policy.maxUsagePerCustomer > 0
+      ? { ...key, count: { $lt: policy.maxUsagePerCustomer } }
+      : key;
+    const usage = await DiscountUsage.findOneAndUpdate(filter, { $inc: { count: 1 } }, { new: true });
+
+    if (!usage) {
+      throw new PromotionError('DISCOUNT_CUSTOMER_LIMIT', 'You have already used this discount code the maximum number of times', 409, {
+        code: normalizeCode(policy.code)
+      });
+    }
+    return usage;
+  }
+
+  // Give back one of the customer's uses of a policy
+  static async releaseCustomerUsage(policyId, customerId) {
+    await DiscountUsage.updateOne(
+      { policyId, customer: customerId, count: { $gt: 0 } },
+      { $inc: { count: -1 } }
+    );
+  }
+
+  // Give back one use of a policy
+  static async releaseUsage(pricingId, policyId) {
+    await Pricing.updateOne(
+      { _id: pricingId, discountPolicies: { $elemMatch: { _id: policyId, usageCount: { $gt: 0 } } } },
+      { $inc: { 'discountPolicies.$.usageCount': -1, 'stats.discountsApplied': -1 } }
+    );
+  }
+
+  // Reverse the redemption attached to an order (e.g. on cancellation)
+  static async reverseForOrder(orderId, reason = 'Order cancelled') {
+    const redemption = await DiscountRedemption.findOneAndUpdate(
+      { order: orderId, status: 'active' },
+      { status: 'reversed', reversedAt: new Date(), reversalReason: reason },
+      { new: true }
+    );
+
+    if (!redemption) return null;
+
+    await this.releaseUsage(redemption.pricing, redemption.policyId);
+    await this.releaseCustomerUsage(redemption.policyId, redemption.customer);
+    return redemption;
+  }
+
+  // Redemption history for a customer
+  static async getCustomerRedemptions(customerId) {
+    return DiscountRedemption.find({ customer: customerId })
+      .populate('order', 'orderNumber status pricing.total')
+      .sort({ createdAt: -1 });
+  }
+}
+
+PromotionService.PromotionError = PromotionError;
+
+module.exports = PromotionService;
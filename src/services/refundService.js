@@ -0,0 +1,482 @@
+const crypto = require('crypto');
+const Order = require('../models/Order');
+const Refund = require('../models/Refund');
+const Transaction = require('../models/Transaction');
+const PaymentOrder = require('../models/PaymentOrder');
+const AuditLog = require('../models/AuditLog');
+const WalletService = require('./walletService');
+const LoyaltyService = require('./loyaltyService');
+const { getGateway } = require('./paymentGateways');
+const { REFUND_STATUS, REFUND_LIMITS, PAYMENT_METHODS } = require('../config/constants');
+
+/**
+ * Refund Service
+ * Creates refunds against what the customer actually paid, enforces per-role
+ * approval limits, moves the money through the payment gateway, store credit
+ * or a manual payout, and records a refund Transaction and audit entry for
+ * every step.
+ */
+
+// Structured refund error - `error` and `statusCode` are used by the global error handler
+class RefundError extends Error {
+  constructor(error, message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'RefundError';
+    this.error = error;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+const REFUND_METHODS = ['original_method', 'store_credit', 'bank_transfer', 'cash'];
+
+// Refund.paymentMethod -> Transaction.paymentMethod for non-gateway payouts
+const PAYOUT_METHODS = {
+  store_credit: 'wallet',
+  bank_transfer: 'bank_transfer',
+  cash: 'cash'
+};
+
+// Actor roles -> AuditLog.userType
+const AUDIT_USER_TYPES = {
+  superadmin: 'center_admin',
+  center_admin: 'center_admin',
+  admin: 'admin',
+  branch_manager: 'branch_manager',
+  support_agent: 'support_agent',
+  staff: 'staff',
+  customer: 'customer',
+  system: 'system'
+};
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const generateTransactionId = () => {
+  const timestamp = Date.now().toString().slice(-8);
+  const random = crypto.randomBytes(3).toString('hex').toUpperCase();
+  return `REF${timestamp}${random}`;
+};
+
+class RefundService {
+  // Build the acting user from a request (User tokens set req.user, center admin tokens req.admin)
+  static actorFromRequest(req) {
+    const user = req.user || req.admin;
+    return {
+      id: user?._id || null,
+      role: user?.role || 'system',
+      email: user?.email || 'system',
+      ip: req.ip || 'system',
+      userAgent: req.get ? req.get('User-Agent') : undefined
+    };
+  }
+
+  // Actor used for automatic refunds (e.g. cancellation of a prepaid order)
+  static systemActor(initiatedBy = null) {
+    return { id: initiatedBy, role: 'system', email: 'system', ip: 'system' };
+  }
+
+  // Highest amount a role can approve on its own
+  static getRefundLimit(role) {
+    const limit = REFUND_LIMITS[role === 'super_admin' ? 'superadmin' : role];
+    return limit === undefined ? 0 : limit;
+  }
+
+  // Amount the customer has paid for an order
+  static async getPaidAmount(order) {
+    const payments = await Transaction.aggregate([
+      { $match: { orderId: order._id, type: 'payment', status: 'completed' } },
+      { $group: { _id: null, total: { $sum: '$amount' } } }
+    ]);
+    if (payments.length > 0 && payments[0].total > 0) {
+      return round(payments[0].total);
+    }
+
+    // COD and manually settled orders have no gateway payment record. The wallet
+    // share is not counted here; cancellation returns it to the wallet directly.
+    return ['paid', 'partially_refunded', 'refunded'].includes(order.paymentStatus)
+      ? (order.pricing.amountDue ?? order.pricing.total)
+      : 0;
+  }
+
+  // Paid, reserved and refundable amounts for an order
+  static async getRefundableAmount(order) {
+    const paid = await this.getPaidAmount(order);
+    const reserved = order.refundSummary?.reserved || 0;
+    const refunded = order.refundSummary?.refunded || 0;
+    return { paid, reserved, refunded, refundable: round(Math.max(paid - reserved, 0)) };
+  }
+
+  // Record an audit entry; never let logging break a money movement
+  static async audit(actor, action, refund, description, status = 'success', metadata = {}) {
+    try {
+      await AuditLog.logAction({
+        userId: actor.id || refund.customer,
+        userType: AUDIT_USER_TYPES[actor.role] || 'system',
+        userEmail: actor.email || 'system',
+        action,
+        category: 'financial',
+        description,
+        ipAddress: actor.ip || 'system',
+        userAgent: actor.userAgent,
+        resourceType: 'refund',
+        resourceId: refund._id.toString(),
+        status,
+        riskLevel: refund.amount >= 1000 ? 'high' : 'medium',
+        metadata: {
+          refundNumber: refund.refundNumber,
+          orderId: refund.order?._id || refund.order,
+          amount: refund.amount,
+          method: refund.paymentMethod,
+          actorRole: actor.role,
+          ...metadata
+        }
+      });
+    } catch (error) {
+      console.error('Failed to write refund audit log:', error);
+    }
+  }
+
+  /**
+   * Create a refund for an order. The amount is reserved against the paid
+   * amount with a conditional update, so several partial refunds can never add
+   * up to more than the customer paid. Refunds within the actor's limit are
+   * approved straight away (and executed when `execute` is set); larger ones
+   * wait for approval.
+   * @param {Object} params - { order, amount, reason, category, method, ticketId, source, execute }
+   * @param {Object} actor - { id, role, email, ip, userAgent }
+   */
+  static async createRefund(params, actor) {
+    const {
+      order,
+      reason,
+      category = 'other',
+      method = 'original_method',
+      ticketId = null,
+      source = 'manual',
+      execute = false
+    } = params;
+    const amount = round(Number(params.amount));
+
+    if (!amount || amount <= 0) {
+      throw new RefundError('INVALID_AMOUNT', 'Refund amount must be greater than zero', 400);
+    }
+    if (!REFUND_METHODS.includes(method)) {
+      throw new RefundError('INVALID_REFUND_METHOD', `Refund method must be one of: ${REFUND_METHODS.join(', ')}`, 400);
+    }
+
+    const { paid, refundable } = await this.getRefundableAmount(order);
+    if (paid <= 0) {
+      throw new RefundError('ORDER_NOT_PAID', 'Nothing has been paid for this order', 400);
+    }
+
+    const reserved = await Order.findOneAndUpdate(
+      {
+        _id: order._id,
+        $expr: { $lte: [{ $add: [{ $ifNull: ['$refundSummary.reserved', 0] }, amount] }, paid + 0.001] }
+      },
+      { $inc: { 'refundSummary.reserved': amount } },
+      { new: true }
+    );
+    if (!reserved) {
+      throw new RefundError('REFUND_EXCEEDS_PAID', `Refund amount exceeds the refundable amount of ₹${refundable}`, 400, {
+        paid,
+        refundable
+      });
+    }
+
+    let refund;
+    try {
+      refund = await Refund.create({
+        order: order._id,
+        customer: order.customer._id || order.customer,
+        ticket: ticketId || undefined,
+        amount,
+        reason,
+        category,
+        type: amount >= paid ? 'full' : 'partial',
+        paymentMethod: method,
+        source,
+        requestedBy: actor.id || order.customer._id || order.customer,
+        status: REFUND_STATUS.REQUESTED,
+        statusHistory: [{
+          status: REFUND_STATUS.REQUESTED,
+          changedBy: actor.id,
+          changedAt: new Date(),
+          notes: reason
+        }]
+      });
+    } catch (error) {
+      await this.releaseReservation(order._id, amount);
+      throw error;
+    }
+
+    const limit = this.getRefundLimit(actor.role);
+    const needsApproval = amount > limit;
+
+    const transaction = await Transaction.create({
+      transactionId: generateTransactionId(),
+      type: 'refund',
+      subType: refund.type === 'full' ? 'full_refund' : 'partial_refund',
+      amount,
+      netAmount: amount,
+      status: 'pending',
+      orderId: order._id,
+      customerId: refund.customer,
+      branchId: order.branch,
+      refundId: refund._id,
+      paymentMethod: PAYOUT_METHODS[method] || 'card',
+      requiresApproval: needsApproval,
+      approvalStatus: needsApproval ? 'pending' : 'approved',
+      description: `Refund ${refund.refundNumber} for order ${order.orderNumber}`
+    });
+    refund.transaction = transaction._id;
+    refund.transactionId = transaction.transactionId;
+    await refund.save();
+
+    await this.audit(actor, 'create_refund', refund,
+      `Created ${refund.type} refund ${refund.refundNumber} of ₹${amount} for order ${order.orderNumber}`,
+      'success', { source, needsApproval, limit: Number.isFinite(limit) ? limit : null });
+
+    if (needsApproval) {
+      return refund;
+    }
+
+    await this.approve(refund, actor, 'Within approval limit');
+    return execute ? this.execute(refund, actor) : refund;
+  }
+
+  /**
+   * Approve a requested refund, enforcing the approver's limit. The status moves
+   * with a conditional update, so two approvers cannot both approve it.
+   */
+  static async approve(refund, actor, notes = '') {
+    if (refund.status !== REFUND_STATUS.REQUESTED) {
+      throw new RefundError('INVALID_STATUS', 'Refund cannot be approved at this stage', 400);
+    }
+
+    const limit = this.getRefundLimit(actor.role);
+    if (refund.amount > limit) {
+      await this.audit(actor, 'approve_refund', refund,
+        `Approval of refund ${refund.refundNumber} denied: ₹${refund.amount} exceeds limit of ₹${limit}`,
+        'failure', { limit });
+      throw new RefundError('LIMIT_EXCEEDED',
+        `Refund amount exceeds your limit of ₹${limit}. Please escalate to Center Admin.`, 403, { limit });
+    }
+
+    const approvedAt = new Date();
+    const approved = await Refund.findOneAndUpdate(
+      { _id: refund._id, status: REFUND_STATUS.REQUESTED },
+      {
+        status: REFUND_STATUS.APPROVED,
+        approvedBy: actor.id,
+        approvedAt,
+        approvalNotes: notes || 'Approved',
+        $push: { statusHistory: { status: REFUND_STATUS.APPROVED, changedBy: actor.id, changedAt: approvedAt, notes: notes || 'Approved' } }
+      },
+      { new: true }
+    );
+    if (!approved) {
+      throw new RefundError('INVALID_STATUS', 'Refund cannot be approved at this stage', 400);
+    }
+    // Keep the caller's copy in step with the stored refund
+    refund.set({
+      status: approved.status,
+      approvedBy: approved.approvedBy,
+      approvedAt: approved.approvedAt,
+      approvalNotes: approved.approvalNotes,
+      statusHistory: approved.statusHistory
+    });
+
+    await Transaction.updateOne(
+      { _id: refund.transaction, approvalStatus: 'pending' },
+      { approvalStatus: 'approved', approvedBy: actor.id, approvedAt: new Date() }
+    );
+
+    await this.audit(actor, 'approve_refund', refund, `Approved refund ${refund.refundNumber} of ₹${refund.amount}`);
+    return refund;
+  }
+
+  // Reject a requested refund and give its amount back to the refundable balance
+  static async reject(refund, actor, reason) {
+    if (refund.status !== REFUND_STATUS.REQUESTED) {
+      throw new RefundError('INVALID_STATUS', 'Refund cannot be rejected at this stage', 400);
+    }
+
+    await refund.reject(actor.id, reason);
+    await this.releaseReservation(refund.order, refund.amount);
+    await Transaction.updateOne(
+      { _id: refund.transaction },
+      { status: 'cancelled', approvalStatus: 'rejected', rejectionReason: reason }
+    );
+
+    await this.audit(actor, 'reject_refund', refund, `Rejected refund ${refund.refundNumber}: ${reason}`);
+    return refund;
+  }
+
+  /**
+   * Move the money for an approved refund. The refund is claimed by moving it
+   * to `processed` first, so two callers cannot pay it out twice; a failed
+   * payout puts it back to `approved` for a retry.
+   */
+  static async execute(refund, actor) {
+    const claimed = await Refund.findOneAndUpdate(
+      { _id: refund._id, status: REFUND_STATUS.APPROVED },
+      {
+        status: REFUND_STATUS.PROCESSED,
+        processedBy: actor.id,
+        processedAt: new Date(),
+        $push: { statusHistory: { status: REFUND_STATUS.PROCESSED, changedBy: actor.id, changedAt: new Date() } }
+      },
+      { new: true }
+    );
+    if (!claimed) {
+      throw new RefundError('INVALID_STATUS', 'Only approved refunds can be processed', 400);
+    }
+
+    const order = await Order.findById(claimed.order);
+
+    let payout;
+    try {
+      payout = await this.payout(claimed, order, actor);
+    } catch (error) {
+      claimed.status = REFUND_STATUS.APPROVED;
+      claimed.failureReason = error.message;
+      claimed.statusHistory.push({ status: REFUND_STATUS.APPROVED, changedBy: actor.id, notes: `Payout failed: ${error.message}` });
+      await claimed.save();
+
+      const transaction = await Transaction.findById(claimed.transaction);
+      if (transaction) {
+        await transaction.markFailed(error.message, error.error || 'PAYOUT_FAILED');
+      }
+
+      await this.audit(actor, 'execute_refund', claimed,
+        `Refund ${claimed.refundNumber} payout failed: ${error.message}`, 'failure');
+      throw error instanceof RefundError
+        ? error
+        : new RefundError('REFUND_PAYOUT_FAILED', `Refund payout failed: ${error.message}`, 502);
+    }
+
+    await Transaction.updateOne(
+      { _id: claimed.transaction },
+      {
+        status: 'completed',
+        externalTransactionId: payout.reference,
+        paymentGateway: payout.gateway,
+        paymentMethod: payout.method,
+        processedAt: new Date(),
+        completedAt: new Date()
+      }
+    );
+
+    claimed.gatewayRefundId = payout.reference;
+    claimed.failureReason = undefined;
+    claimed.status = REFUND_STATUS.COMPLETED;
+    claimed.statusHistory.push({
+      status: REFUND_STATUS.COMPLETED,
+      changedBy: actor.id,
+      notes: `Refunded via ${claimed.paymentMethod}${payout.reference ? ` (${payout.reference})` : ''}`
+    });
+    await claimed.save();
+
+    // Track what has actually gone back to the customer
+    const updated = await Order.findByIdAndUpdate(
+      claimed.order,
+      { $inc: { 'refundSummary.refunded': claimed.amount } },
+      { new: true }
+    );
+    if (updated) {
+      const paid = await this.getPaidAmount(updated);
+      updated.paymentStatus = updated.refundSummary.refunded >= paid - 0.01 ? 'refunded' : 'partially_refunded';
+      await updated.save();
+
+      try {
+        await LoyaltyService.reverseForRefund(updated, claimed, paid);
+      } catch (error) {
+        console.error('Error reversing loyalty points for refund:', error);
+      }
+    }
+
+    await this.audit(actor, 'execute_refund', claimed,
+      `Refunded ₹${claimed.amount} for ${claimed.refundNumber} via ${claimed.paymentMethod}`,
+      'success', { reference: payout.reference });
+
+    return claimed;
+  }
+
+  // Send the money back through the chosen channel
+  static async payout(refund, order, actor) {
+    switch (refund.paymentMethod) {
+      case 'original_method': {
+        const paymentOrder = order && order.paymentMethod === PAYMENT_METHODS.ONLINE
+          ? await PaymentOrder.findOne({ order: order._id, status: 'paid' }).sort({ paidAt: -1 })
+          : null;
+        if (!paymentOrder) {
+          throw new RefundError('REFUND_METHOD_UNAVAILABLE',
+            'This order was not paid online; refund it as store credit, cash or bank transfer', 400);
+        }
+        const gateway = getGateway(paymentOrder.gateway);
+        if (!gateway || typeof gateway.refund !== 'function') {
+          throw new RefundError('GATEWAY_UNAVAILABLE', `Payment gateway ${paymentOrder.gateway} cannot issue refunds`, 502);
+        }
+        const result = await gateway.refund({
+          paymentId: paymentOrder.paymentId,
+          amount: refund.amount,
+          notes: { refundNumber: refund.refundNumber }
+        });
+        return { reference: result.refundId, gateway: gateway.name, method: paymentOrder.method || 'card' };
+      }
+      case 'store_credit': {
+        const entry = await WalletService.credit({
+          userId: refund.customer,
+          amount: refund.amount,
+          source: 'refund',
+          description: `Refund ${refund.refundNumber}`,
+          references: { order: refund.order?._id || refund.order, refund: refund._id },
+          idempotencyKey: `refund:${refund._id}`,
+          actor: { id: actor.id, role: actor.role, email: actor.email }
+        });
+        return { reference: entry.entryNumber, gateway: 'manual', method: 'wallet' };
+      }
+      default:
+        // Cash and bank transfers are paid out by staff; this records the payout
+        return { reference: null, gateway: 'manual', method: PAYOUT_METHODS[refund.paymentMethod] };
+    }
+  }
+
+  // Give a reserved amount back to the order's refundable balance
+  static async releaseReservation(orderId, amount) {
+    await Order.updateOne(
+      { _id: orderId, 'refundSummary.reserved': { $gte: amount } },
+      { $inc: { 'refundSummary.reserved': -amount } }
+    );
+  }
+
+  /**
+   * Refund whatever is still refundable when a paid order is cancelled.
+   * Online payments go back to the original method, cash payments to store credit.
+   * @param {Object} order - Cancelled order
+   * @param {ObjectId} initiatedBy - User who cancelled the order
+   */
+  static async refundOnCancellation(order, initiatedBy = null) {
+    if (!['paid', 'partially_refunded'].includes(order.paymentStatus)) return null;
+
+    const { refundable } = await this.getRefundableAmount(order);
+    if (refundable <= 0) return null;
+
+    const method = order.paymentMethod === PAYMENT_METHODS.ONLINE ? 'original_method' : 'store_credit';
+    return this.createRefund({
+      order,
+      amount: refundable,
+      reason: order.cancellationReason || 'Order cancelled',
+      category: 'other',
+      method,
+      source: 'cancellation',
+      execute: true
+    }, this.systemActor(initiatedBy));
+  }
+}
+
+RefundService.RefundError = RefundError;
+RefundService.REFUND_METHODS = REFUND_METHODS;
+
+module.exports = RefundService;
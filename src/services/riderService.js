@@ -0,0 +1,827 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Rider = require('../models/Rider');
+const User = require('../models/User');
+const Order = require('../models/Order');
+const Branch = require('../models/Branch');
+const DeliveryZone = require('../models/DeliveryZone');
+const PickupSlotService = require('./pickupSlotService');
+const DeliveryZoneService = require('./deliveryZoneService');
+const NotificationService = require('./notificationService');
+const distanceService = require('./distanceService');
+const { sendEmailAsync } = require('../config/email');
+const { parseDataUrl, saveFile, resolveFile } = require('../utils/fileStorage');
+const { generateOTP, formatDate } = require('../utils/helpers');
+const { ORDER_STATUS, USER_ROLES, NOTIFICATION_TYPES, RIDER_CONFIG } = require('../config/constants');
+
+/**
+ * Rider Service
+ * The branch's own pickup / delivery riders: profiles with vehicle and
+ * shifts, order assignment (one leg at a time), and the handover itself.
+ * A handover needs the customer's one-time code, a photo (plus an optional
+ * signature) and a geo-stamp; a failed attempt is recorded with its reason
+ * and, where the reason allows, booked again automatically.
+ */
+
+// Structured rider error - `error` and `statusCode` are used by the global error handler
+class RiderError extends Error {
+  constructor(error, message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'RiderError';
+    this.error = error;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+// Statuses from which an order can be given to a rider, per leg
+const ASSIGNABLE_STATUSES = {
+  pickup: [ORDER_STATUS.PLACED, ORDER_STATUS.ASSIGNED_TO_BRANCH, ORDER_STATUS.ASSIGNED_TO_LOGISTICS_PICKUP],
+  delivery: [ORDER_STATUS.READY, ORDER_STATUS.ASSIGNED_TO_LOGISTICS_DELIVERY]
+};
+
+// Service types with a doorstep pickup / delivery
+const LEG_SERVICE_TYPES = {
+  pickup: ['full_service', 'home_pickup_self_pickup'],
+  delivery: ['full_service', 'self_drop_home_delivery']
+};
+
+const ASSIGNED_STATUS = {
+  pickup: ORDER_STATUS.ASSIGNED_TO_LOGISTICS_PICKUP,
+  delivery: ORDER_STATUS.ASSIGNED_TO_LOGISTICS_DELIVERY
+};
+
+// Stops still to be done by the rider
+const OPEN_STATUSES = [
+  ORDER_STATUS.ASSIGNED_TO_LOGISTICS_PICKUP,
+  ORDER_STATUS.ASSIGNED_TO_LOGISTICS_DELIVERY,
+  ORDER_STATUS.OUT_FOR_DELIVERY
+];
+
+// Orders on the vehicle: picked up but not yet taken in by the branch, or out for delivery
+const CARRIED_STATUSES = [ORDER_STATUS.PICKED, ORDER_STATUS.OUT_FOR_DELIVERY];
+
+const VEHICLE_FIELDS = ['type', 'registrationNumber', 'capacityOrders', 'capacityKg'];
+
+const hashOtp = (orderId, otp) => crypto.createHash('sha256').update(`${orderId}:${otp}`).digest('hex');
+
+const hasCoordinates = (coords) => coords && distanceService.validateCoordinates(coords) &&
+  !(coords.lat === 0 && coords.lng === 0);
+
+const legAddress = (order, leg) => (leg === 'pickup' ? order.pickupAddress : order.deliveryAddress);
+
+class RiderService {
+  // ---------------------------------------------------------------------------
+  // Profiles
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Create a rider login and profile for a branch
+   * @param {Object} branch - Branch document
+   * @param {Object} data - { name, email, phone, password, vehicle, shifts }
+   */
+  static async createRider(branch, data, createdBy) {
+    const { name, email, phone, password } = data;
+    if (!name || !email || !phone || !password) {
+      throw new RiderError('RIDER_DETAILS_REQUIRED', 'name, email, phone and password are required', 400);
+    }
+
+    const existing = await User.findOne({ $or: [{ email: String(email).toLowerCase() }, { phone }] });
+    if (existing) {
+      throw new RiderError('USER_EXISTS', 'Email or phone already registered', 400);
+    }
+
+    const user = await User.create({
+      name,
+      email,
+      phone,
+      password,
+      role: USER_ROLES.RIDER,
+      assignedBranch: branch._id,
+      isActive: true
+    });
+
+    const rider = new Rider({ user: user._id, branch: branch._id, createdBy });
+    this.applyChanges(rider, data);
+    try {
+      await rider.save();
+    } catch (error) {
+      // Don't leave a login without a profile behind
+      await User.deleteOne({ _id: user._id });
+      throw error;
+    }
+
+    return rider.populate('user', 'name email phone isActive');
+  }
+
+  static async updateRider(branchId, riderId, data) {
+    const rider = await this.getRider(branchId, riderId);
+    this.applyChanges(rider, data);
+    await rider.save();
+
+    const userChanges = {};
+    if (data.name) userChanges.name = data.name;
+    if (data.phone) userChanges.phone = data.phone;
+    if (typeof data.isActive === 'boolean') userChanges.isActive = data.isActive;
+    if (Object.keys(userChanges).length > 0) {
+      await User.updateOne({ _id: rider.user._id }, { $set: userChanges }, { runValidators: true });
+    }
+
+    return this.getRider(branchId, riderId);
+  }
+
+  static applyChanges(rider, data) {
+    if (data.vehicle) {
+      VEHICLE_FIELDS.forEach(field => {
+        if (data.vehicle[field] !== undefined) rider.vehicle[field] = data.vehicle[field];
+      });
+    }
+    if (Array.isArray(data.shifts)) rider.shifts = data.shifts;
+    if (typeof data.isActive === 'boolean') rider.isActive = data.isActive;
+  }
+
+  static async getRider(branchId, riderId) {
+    if (!mongoose.Types.ObjectId.isValid(riderId)) {
+      throw new RiderError('RIDER_NOT_FOUND', 'Rider not found', 404);
+    }
+    const rider = await Rider.findOne({ _id: riderId, branch: branchId }).populate('user', 'name email phone isActive');
+    if (!rider) {
+      throw new RiderError('RIDER_NOT_FOUND', 'Rider not found in this branch', 404);
+    }
+    return rider;
+  }
+
+  // Rider profile of a signed-in rider
+  static async getRiderForUser(user) {
+    const rider = await Rider.findOne({ user: user._id, isActive: true }).populate('user', 'name email phone');
+    if (!rider) {
+      throw new RiderError('NOT_A_RIDER', 'No active rider profile for this account', 403);
+    }
+    return rider;
+  }
+
+  /**
+   * Stops waiting and load on board for each rider
+   * @returns {Promise<Map<string, { assigned: number, carrying: { orders: number, weightKg: number } }>>}
+   */
+  static async getLoad(riderIds) {
+    const orders = await Order.find({
+      'riderAssignment.rider': { $in: riderIds },
+      status: { $in: [...OPEN_STATUSES, ...CARRIED_STATUSES] }
+    }).select('status riderAssignment weight');
+
+    const load = new Map(riderIds.map(id => [id.toString(), { assigned: 0, carrying: { orders: 0, weightKg: 0 } }]));
+    orders.forEach(order => {
+      const entry = load.get(order.riderAssignment.rider.toString());
+      if (!entry) return;
+      if (CARRIED_STATUSES.includes(order.status)) {
+        entry.carrying.orders += 1;
+        entry.carrying.weightKg = Math.round((entry.carrying.weightKg + (order.weight?.actualKg ?? order.weight?.estimatedKg ?? 0)) * 100) / 100;
+      } else {
+        entry.assigned += 1;
+      }
+    });
+    return load;
+  }
+
+  static toSummary(rider, load = null) {
+    const shift = rider.getShift();
+    return {
+      _id: rider._id,
+      user: rider.user,
+      branch: rider.branch,
+      vehicle: rider.vehicle,
+      shifts: rider.shifts,
+      todayShift: shift,
+      isOnShift: rider.isOnShift(),
+      status: rider.status,
+      lastLocation: rider.lastLocation,
+      stats: rider.stats,
+      isActive: rider.isActive,
+      load: load || { assigned: 0, carrying: { orders: 0, weightKg: 0 } }
+    };
+  }
+
+  static async listRiders(branchId, { includeInactive = false } = {}) {
+    const query = { branch: branchId };
+    if (!includeInactive) query.isActive = true;
+
+    const riders = await Rider.find(query).populate('user', 'name email phone isActive').sort({ createdAt: 1 });
+    const load = await this.getLoad(riders.map(rider => rider._id));
+    return riders.map(rider => this.toSummary(rider, load.get(rider._id.toString())));
+  }
+
+  /**
+   * Riders as vehicles for RoutePlanningService: their vehicle capacity and
+   * that day's shift. Riders off that day are left out.
+   */
+  static async toPlanningVehicles(branchId, riderIds, dateKey) {
+    const ids = (Array.isArray(riderIds) ? riderIds : []).filter(id => mongoose.Types.ObjectId.isValid(id));
+    const riders = await Rider.find({ _id: { $in: ids }, branch: branchId, isActive: true }).populate('user', 'name phone');
+    if (ids.length === 0 || riders.length !== riderIds.length) {
+      throw new RiderError('RIDER_NOT_FOUND', 'Some of the riders were not found in this branch', 404);
+    }
+
+    const date = PickupSlotService.fromDateKey(dateKey);
+    const onShift = riders.filter(rider => rider.getShift(date));
+    if (onShift.length === 0) {
+      throw new RiderError('NO_RIDERS_ON_SHIFT', `None of the riders work on ${dateKey}`, 422);
+    }
+
+    return onShift.map(rider => {
+      const shift = rider.getShift(date);
+      return {
+        id: rider._id.toString(),
+        name: `${rider.user.name} (${rider.vehicle.type})`,
+        type: rider.vehicle.type,
+        registrationNumber: rider.vehicle.registrationNumber,
+        riderName: rider.user.name,
+        riderPhone: rider.user.phone,
+        capacity: { orders: rider.vehicle.capacityOrders, weightKg: rider.vehicle.capacityKg },
+        shiftStart: shift.start,
+        shiftEnd: shift.end
+      };
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Assignment
+  // ---------------------------------------------------------------------------
+
+  // Which leg a rider would do for an order in its current status
+  static legFor(order) {
+    return Object.keys(ASSIGNABLE_STATUSES).find(leg => ASSIGNABLE_STATUSES[leg].includes(order.status)) || null;
+  }
+
+  /**
+   * Give an order's next leg to a rider, moving it to assigned_to_logistics_pickup / _delivery
+   * @param {Object} order - Order document
+   * @param {Object} rider - Rider document with user populated
+   * @param {Object} actor - { id, role }
+   * @param {Object} [plan] - { routePlan, sequence } when assigned from a route plan
+   */
+  static async assignOrder(order, rider, actor, { routePlan = null, sequence = null } = {}) {
+    if (!rider.isActive) {
+      throw new RiderError('RIDER_INACTIVE', 'This rider is not active', 409);
+    }
+    if (!order.branch || !order.branch.equals(rider.branch)) {
+      throw new RiderError('WRONG_BRANCH', `Order ${order.orderNumber} belongs to another branch`, 409);
+    }
+
+    const leg = this.legFor(order);
+    if (!leg) {
+      throw new RiderError('NOT_ASSIGNABLE', `Order ${order.orderNumber} is ${order.status} and cannot be given to a rider`, 409);
+    }
+    if (!LEG_SERVICE_TYPES[leg].includes(order.serviceType)) {
+      throw new RiderError('NOT_ASSIGNABLE', `Order ${order.orderNumber} has no doorstep ${leg}`, 409);
+    }
+
+    order.riderAssignment = {
+      rider: rider._id,
+      leg,
+      routePlan,
+      sequence,
+      assignedAt: new Date(),
+      assignedBy: actor.id
+    };
+
+    const note = `${leg === 'pickup' ? 'Pickup' : 'Delivery'} assigned to rider ${rider.user?.name || rider._id}`;
+    if (order.status !== ASSIGNED_STATUS[leg]) {
+      return order.updateStatus(ASSIGNED_STATUS[leg], actor.id, note, actor.role);
+    }
+    order.statusHistory.push({ status: order.status, updatedBy: actor.id, updatedAt: new Date(), notes: note });
+    return order.save();
+  }
+
+  // Take an order back from its rider before the rider has set off with it
+  static async unassignOrder(order, actor) {
+    if (!order.riderAssignment?.rider || !Object.values(ASSIGNED_STATUS).includes(order.status)) {
+      throw new RiderError('NOT_UNASSIGNABLE', 'Only orders waiting for their rider can be taken back', 409);
+    }
+
+    order.set('riderAssignment', undefined);
+    order.set('handoverOtp', undefined);
+    order.statusHistory.push({ status: order.status, updatedBy: actor.id, updatedAt: new Date(), notes: 'Rider assignment removed' });
+    return order.save();
+  }
+
+  /**
+   * Give every stop of a planned run to a rider, in the run's order
+   * @returns {Promise<{ rider: Object, assigned: string[], skipped: Object[] }>}
+   */
+  static async assignRun(plan, runNumber, riderId, actor) {
+    const run = plan.runs.find(planned => planned.runNumber === Number(runNumber));
+    if (!run) {
+      throw new RiderError('RUN_NOT_FOUND', `Run ${runNumber} is not part of this plan`, 404);
+    }
+    if (plan.status !== 'planned') {
+      throw new RiderError('PLAN_SUPERSEDED', 'A newer plan exists for this day', 409);
+    }
+
+    const branchId = plan.branch._id || plan.branch;
+    const rider = await this.getRider(branchId, riderId || run.vehicle.id);
+    const orders = await Order.find({ _id: { $in: run.stops.map(stop => stop.order) } });
+    const byId = new Map(orders.map(order => [order._id.toString(), order]));
+
+    const assigned = [];
+    const skipped = [];
+    for (const stop of run.stops) {
+      const order = byId.get(stop.order.toString());
+      if (!order) {
+        skipped.push({ orderNumber: stop.orderNumber, error: 'ORDER_NOT_FOUND', message: 'Order no longer exists' });
+        continue;
+      }
+      try {
+        await this.assignOrder(order, rider, actor, { routePlan: plan._id, sequence: stop.sequence });
+        assigned.push(order.orderNumber);
+      } catch (error) {
+        if (!error.error) throw error;
+        skipped.push({ orderNumber: order.orderNumber, error: error.error, message: error.message });
+      }
+    }
+
+    return { rider: this.toSummary(rider), assigned, skipped };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Rider app
+  // ---------------------------------------------------------------------------
+
+  // A rider's open stops, in run order; `date` limits pickups to that day
+  static async listStops(rider, { date } = {}) {
+    const query = { 'riderAssignment.rider': rider._id, status: { $in: OPEN_STATUSES } };
+    if (date) {
+      const day = PickupSlotService.fromDateKey(PickupSlotService.toDateKey(date));
+      const nextDay = new Date(day);
+      nextDay.setDate(nextDay.getDate() + 1);
+      query.$or = [{ 'riderAssignment.leg': 'delivery' }, { pickupDate: { $gte: day, $lt: nextDay } }];
+    }
+
+    const orders = await Order.find(query)
+      .populate('customer', 'name phone')
+      .sort({ 'riderAssignment.sequence': 1, pickupDate: 1, pickupTimeSlot: 1 });
+    return orders.map(order => this.toStop(order));
+  }
+
+  // What the rider app shows for a stop
+  static toStop(order) {
+    const leg = order.riderAssignment.leg;
+    const address = legAddress(order, leg);
+    const due = order.pricing?.amountDue ?? order.pricing?.total ?? 0;
+
+    return {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      leg,
+      status: order.status,
+      sequence: order.riderAssignment.sequence ?? null,
+      date: leg === 'pickup' ? order.pickupDate : order.estimatedDeliveryDate,
+      timeSlot: leg === 'pickup' ? order.pickupTimeSlot : null,
+      customer: {
+        name: address?.name || order.customer?.name,
+        phone: address?.phone || order.customer?.phone
+      },
+      address,
+      amountToCollect: leg === 'delivery' && order.paymentStatus !== 'paid' ? due : 0,
+      specialInstructions: order.specialInstructions,
+      otpSent: Boolean(order.handoverOtp?.sentAt && order.handoverOtp.leg === leg),
+      failedAttempts: order.failedAttempts.filter(attempt => attempt.leg === leg).length
+    };
+  }
+
+  static async getAssignedOrder(rider, orderId, { withOtp = false } = {}) {
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      throw new RiderError('STOP_NOT_FOUND', 'Stop not found', 404);
+    }
+    const query = Order.findOne({ _id: orderId, 'riderAssignment.rider': rider._id });
+    if (withOtp) query.select('+handoverOtp.hash');
+    const order = await query;
+    if (!order) {
+      throw new RiderError('STOP_NOT_FOUND', 'This order is not assigned to you', 404);
+    }
+    return order;
+  }
+
+  static async setStatus(rider, status) {
+    if (!['available', 'off_duty'].includes(status)) {
+      throw new RiderError('INVALID_STATUS', 'Status must be available or off_duty', 400);
+    }
+    rider.status = status;
+    return rider.save();
+  }
+
+  static async updateLocation(rider, location) {
+    const geo = this.toGeoStamp(location);
+    rider.lastLocation = { lat: geo.lat, lng: geo.lng, accuracy: geo.accuracy, at: new Date() };
+    return rider.save();
+  }
+
+  /**
+   * Set off for a stop: a delivery goes out_for_delivery, and the customer
+   * gets the handover code (unless a valid one was already sent)
+   */
+  static async startStop(rider, user, orderId) {
+    const order = await this.getAssignedOrder(rider, orderId);
+    const leg = order.riderAssignment.leg;
+
+    if (!OPEN_STATUSES.includes(order.status)) {
+      throw new RiderError('STOP_CLOSED', `Order ${order.orderNumber} is already ${order.status}`, 409);
+    }
+
+    if (leg === 'delivery' && order.status === ORDER_STATUS.ASSIGNED_TO_LOGISTICS_DELIVERY) {
+      await order.updateStatus(ORDER_STATUS.OUT_FOR_DELIVERY, user._id, `Out for delivery with rider ${rider.user.name}`, USER_ROLES.RIDER);
+      try {
+        await NotificationService.notifyOrderOutForDelivery(order.customer, order);
+      } catch (error) {
+        console.error('Failed to send out-for-delivery notification:', error);
+        // Don't throw - the delivery has started
+      }
+    }
+
+    const otp = order.handoverOtp;
+    if (!(otp?.sentAt && otp.leg === leg && otp.expiresAt > new Date())) {
+      await this.issueOtp(order, leg);
+    }
+
+    if (rider.status !== 'on_run') {
+      rider.status = 'on_run';
+      await rider.save();
+    }
+    return order;
+  }
+
+  // Send the customer a fresh handover code, at most once per OTP_RESEND_SECONDS
+  static async resendOtp(rider, orderId) {
+    const order = await this.getAssignedOrder(rider, orderId);
+    const leg = order.riderAssignment.leg;
+    if (!OPEN_STATUSES.includes(order.status)) {
+      throw new RiderError('STOP_CLOSED', `Order ${order.orderNumber} is already ${order.status}`, 409);
+    }
+
+    const sentAt = order.handoverOtp?.sentAt;
+    const wait = sentAt ? Math.ceil((sentAt.getTime() + RIDER_CONFIG.OTP_RESEND_SECONDS * 1000 - Date.now()) / 1000) : 0;
+    if (wait > 0) {
+      throw new RiderError('OTP_RECENTLY_SENT', `Please wait ${wait} seconds before sending another code`, 429, { retryAfter: wait });
+    }
+
+    await this.issueOtp(order, leg);
+    return order;
+  }
+
+  static async issueOtp(order, leg) {
+    const otp = generateOTP(RIDER_CONFIG.OTP_LENGTH);
+    const now = new Date();
+    order.handoverOtp = {
+      hash: hashOtp(order._id, otp),
+      leg,
+      sentAt: now,
+      expiresAt: new Date(now.getTime() + RIDER_CONFIG.OTP_TTL_MINUTES * 60 * 1000),
+      attempts: 0
+    };
+    await order.save();
+    await this.sendOtp(order, leg, otp);
+  }
+
+  static async sendOtp(order, leg, otp) {
+    const action = leg === 'pickup' ? 'hand over' : 'receive';
+    const message = `Share code ${otp} with our rider to ${action} order ${order.orderNumber}. Do not share it before the rider is at your door.`;
+
+    try {
+      await NotificationService.createNotification({
+        recipientId: order.customer,
+        type: NOTIFICATION_TYPES.HANDOVER_OTP,
+        title: leg === 'pickup' ? 'Your pickup code' : 'Your delivery code',
+        message,
+        data: { orderId: order._id }
+      });
+
+      const customer = await User.findById(order.customer).select('name email');
+      if (customer?.email) {
+        sendEmailAsync({
+          from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+          to: customer.email,
+          subject: `${leg === 'pickup' ? 'Pickup' : 'Delivery'} code for order ${order.orderNumber}`,
+          html: `<p>Hi ${customer.name || ''},</p><p>${message}</p><p style="font-size:28px;font-weight:bold;letter-spacing:6px;">${otp}</p>`
+        });
+      }
+    } catch (error) {
+      console.error('Failed to send handover code:', error);
+      // Don't throw - the rider can send the code again
+    }
+  }
+
+  static async verifyOtp(order, otp, leg) {
+    const record = order.handoverOtp;
+    if (!record?.hash || record.leg !== leg) {
+      throw new RiderError('OTP_NOT_SENT', 'No handover code has been sent for this stop yet', 409);
+    }
+    if (record.expiresAt < new Date()) {
+      throw new RiderError('OTP_EXPIRED', 'The handover code has expired, send a new one', 400);
+    }
+
+    // Claim an attempt before comparing, so a burst of guesses can't all pass the limit
+    const claimed = await Order.findOneAndUpdate(
+      { _id: order._id, 'handoverOtp.hash': record.hash, 'handoverOtp.attempts': { $lt: RIDER_CONFIG.OTP_MAX_ATTEMPTS } },
+      { $inc: { 'handoverOtp.attempts': 1 } },
+      { new: true, projection: { 'handoverOtp.attempts': 1 } }
+    );
+    if (!claimed) {
+      throw new RiderError('OTP_LOCKED', 'Too many wrong codes, send a new one', 429);
+    }
+
+    const expected = Buffer.from(record.hash, 'hex');
+    const given = Buffer.from(hashOtp(order._id, String(otp || '').trim()), 'hex');
+    if (!otp || !crypto.timingSafeEqual(expected, given)) {
+      throw new RiderError('INVALID_OTP', 'The handover code is not correct', 400, {
+        attemptsLeft: Math.max(0, RIDER_CONFIG.OTP_MAX_ATTEMPTS - claimed.handoverOtp.attempts)
+      });
+    }
+  }
+
+  /**
+   * Where the rider was, with the distance from the address pin when there is one
+   * @param {Object} location - { lat, lng, accuracy (m) }
+   */
+  static toGeoStamp(location, address = null) {
+    const lat = Number(location?.lat);
+    const lng = Number(location?.lng);
+    if (!distanceService.validateCoordinates({ lat, lng })) {
+      throw new RiderError('GEO_STAMP_REQUIRED', 'A location fix (lat, lng) is required', 400);
+    }
+
+    const accuracy = location.accuracy !== undefined && location.accuracy !== null ? Number(location.accuracy) : null;
+    if (accuracy !== null && !(accuracy <= RIDER_CONFIG.GEO_STAMP_MAX_ACCURACY_M)) {
+      throw new RiderError('GEO_STAMP_INACCURATE', `Location is only accurate to ${accuracy} m, wait for a better fix`, 400);
+    }
+
+    const geo = { lat, lng, accuracy };
+    if (hasCoordinates(address?.coordinates)) {
+      geo.distanceFromAddressM = Math.round(distanceService.calculateHaversineDistance(address.coordinates, { lat, lng }) * 1000);
+      geo.isFar = geo.distanceFromAddressM > RIDER_CONFIG.GEO_STAMP_FAR_M;
+    }
+    return geo;
+  }
+
+  // Decode and check an uploaded image; it is written to disk only once the handover is accepted
+  static readImage(dataUrl, kind, maxBytes) {
+    const file = parseDataUrl(dataUrl);
+    if (!file) {
+      throw new RiderError('INVALID_UPLOAD', `The ${kind} must be a base64 data URL`, 400);
+    }
+    if (!RIDER_CONFIG.PROOF_IMAGE_TYPES.includes(file.contentType)) {
+      throw new RiderError('UNSUPPORTED_UPLOAD', `The ${kind} must be one of ${RIDER_CONFIG.PROOF_IMAGE_TYPES.join(', ')}`, 400);
+    }
+    if (file.buffer.length > maxBytes) {
+      throw new RiderError('UPLOAD_TOO_LARGE', `The ${kind} must be at most ${Math.round(maxBytes / 1024)} KB`, 413);
+    }
+    return file;
+  }
+
+  /**
+   * Complete a handover: the pickup (order picked) or the delivery (order delivered)
+   * @param {Object} proof - { otp, photo, signature, location, recipientName, notes }
+   */
+  static async completeStop(rider, user, orderId, proof = {}) {
+    const order = await this.getAssignedOrder(rider, orderId, { withOtp: true });
+    const leg = order.riderAssignment.leg;
+    const expected = leg === 'pickup' ? ORDER_STATUS.ASSIGNED_TO_LOGISTICS_PICKUP : ORDER_STATUS.OUT_FOR_DELIVERY;
+
+    if (order.status !== expected) {
+      if (order.status === ORDER_STATUS.ASSIGNED_TO_LOGISTICS_DELIVERY) {
+        throw new RiderError('STOP_NOT_STARTED', 'Start the delivery first so the customer gets the handover code', 409);
+      }
+      throw new RiderError('STOP_CLOSED', `Order ${order.orderNumber} is already ${order.status}`, 409);
+    }
+
+    const geo = this.toGeoStamp(proof.location, legAddress(order, leg));
+    if (!proof.photo) {
+      throw new RiderError('PHOTO_REQUIRED', 'A photo of the handover is required', 400);
+    }
+    const photo = this.readImage(proof.photo, 'photo', RIDER_CONFIG.MAX_PHOTO_BYTES);
+    const signature = proof.signature ? this.readImage(proof.signature, 'signature', RIDER_CONFIG.MAX_SIGNATURE_BYTES) : null;
+
+    await this.verifyOtp(order, proof.otp, leg);
+
+    const folder = `handovers/${order._id}`;
+    order.handovers.push({
+      leg,
+      rider: rider._id,
+      otpVerified: true,
+      recipientName: proof.recipientName,
+      photo: await saveFile(folder, `${leg}-photo`, photo),
+      signature: signature ? await saveFile(folder, `${leg}-signature`, signature) : undefined,
+      geo,
+      notes: proof.notes
+    });
+    order.set('handoverOtp', undefined);
+
+    const done = leg === 'pickup' ? 'Picked up' : 'Delivered';
+    const farNote = geo.isFar ? ` (${geo.distanceFromAddressM} m from the address)` : '';
+    await order.updateStatus(
+      leg === 'pickup' ? ORDER_STATUS.PICKED : ORDER_STATUS.DELIVERED,
+      user._id,
+      `${done} by rider ${rider.user.name}${farNote}`,
+      USER_ROLES.RIDER
+    );
+    await Rider.updateOne({ _id: rider._id }, { $inc: { [leg === 'pickup' ? 'stats.pickups' : 'stats.deliveries']: 1 } });
+
+    try {
+      if (leg === 'pickup') {
+        await NotificationService.notifyOrderPicked(order.customer, order);
+      } else {
+        await NotificationService.notifyOrderDelivered(order.customer, order);
+      }
+    } catch (error) {
+      console.error('Failed to send handover notification:', error);
+      // Don't throw - the handover is recorded
+    }
+
+    return order;
+  }
+
+  /**
+   * Record a failed attempt. Where the reason allows and the leg has not failed
+   * MAX_ATTEMPTS times, a pickup is moved to the next free slot and a delivery
+   * to the branch's next working day; otherwise the branch is asked to step in.
+   * Either way the stop leaves the rider's list so it can be planned again.
+   * @param {Object} report - { reason, notes, photo, location }
+   * @returns {Promise<{ order: Object, attempt: Object, rescheduledTo: Object|null }>}
+   */
+  static async failStop(rider, user, orderId, report = {}) {
+    const reason = RIDER_CONFIG.FAILURE_REASONS[report.reason];
+    if (!reason) {
+      throw new RiderError('INVALID_REASON', 'Unknown failure reason', 400, {
+        reasons: Object.keys(RIDER_CONFIG.FAILURE_REASONS)
+      });
+    }
+
+    const order = await this.getAssignedOrder(rider, orderId);
+    const leg = order.riderAssignment.leg;
+    if (!OPEN_STATUSES.includes(order.status)) {
+      throw new RiderError('STOP_CLOSED', `Order ${order.orderNumber} is already ${order.status}`, 409);
+    }
+
+    const geo = this.toGeoStamp(report.location, legAddress(order, leg));
+    const photo = report.photo ? this.readImage(report.photo, 'photo', RIDER_CONFIG.MAX_PHOTO_BYTES) : null;
+
+    const attemptNumber = order.failedAttempts.filter(attempt => attempt.leg === leg).length + 1;
+    const canReschedule = reason.reschedule && attemptNumber < RIDER_CONFIG.MAX_ATTEMPTS;
+    const branch = await Branch.findById(order.branch);
+
+    let rescheduledTo = null;
+    if (canReschedule) {
+      rescheduledTo = leg === 'pickup'
+        ? await this.reschedulePickup(order, branch)
+        : this.rescheduleDelivery(order, branch);
+    }
+
+    order.failedAttempts.push({
+      leg,
+      rider: rider._id,
+      reason: report.reason,
+      notes: report.notes,
+      photo: photo ? await saveFile(`handovers/${order._id}`, `${leg}-attempt-${attemptNumber}`, photo) : undefined,
+      geo,
+      rescheduledTo
+    });
+    order.set('riderAssignment', undefined);
+    order.set('handoverOtp', undefined);
+
+    const note = `${leg === 'pickup' ? 'Pickup' : 'Delivery'} attempt ${attemptNumber} failed: ${reason.label}` +
+      (rescheduledTo
+        ? `. Rescheduled to ${formatDate(rescheduledTo.date, 'DD MMM YYYY')}${rescheduledTo.timeSlot ? ` ${rescheduledTo.timeSlot}` : ''}`
+        : '. Needs branch follow-up');
+
+    // A delivery goes back on the branch shelf; a pickup stays waiting for its (new) slot
+    if (leg === 'delivery') {
+      await order.updateStatus(ORDER_STATUS.READY, user._id, note, USER_ROLES.RIDER);
+    } else {
+      order.statusHistory.push({ status: order.status, updatedBy: user._id, updatedAt: new Date(), notes: note });
+      await order.save();
+    }
+    await Rider.updateOne({ _id: rider._id }, { $inc: { 'stats.failedAttempts': 1 } });
+
+    await this.notifyFailedAttempt(order, branch, leg, note, rescheduledTo);
+
+    return { order, attempt: order.failedAttempts[order.failedAttempts.length - 1], rescheduledTo };
+  }
+
+  /**
+   * Book the next free pickup slot - the same time on a later day if possible,
+   * otherwise the earliest open one - within RESCHEDULE_DAYS
+   * @returns {Promise<{ date: Date, timeSlot: string }|null>}
+   */
+  static async reschedulePickup(order, branch) {
+    const zone = order.deliveryZone?.zone ? await DeliveryZone.findById(order.deliveryZone.zone) : null;
+
+    for (let offset = 0; offset <= RIDER_CONFIG.RESCHEDULE_DAYS; offset++) {
+      const date = new Date();
+      date.setDate(date.getDate() + offset);
+
+      const availability = await PickupSlotService.getAvailability(branch, date);
+      const open = availability.slots.filter(slot => slot.status === 'available');
+      const candidates = [
+        ...open.filter(slot => slot.timeSlot === order.pickupTimeSlot),
+        ...open.filter(slot => slot.timeSlot !== order.pickupTimeSlot)
+      ];
+
+      for (const candidate of candidates) {
+        let zoneSlot = null;
+        let slot;
+        try {
+          if (zone) zoneSlot = await DeliveryZoneService.reserveSlot(zone, availability.date, candidate.timeSlot);
+          slot = await PickupSlotService.reserve(branch, availability.date, candidate.timeSlot);
+        } catch (error) {
+          if (zoneSlot) await DeliveryZoneService.releaseSlot(zoneSlot._id);
+          // Taken in the meantime - keep looking
+          if (!['SlotError', 'ZoneError'].includes(error.name)) throw error;
+          continue;
+        }
+
+        await PickupSlotService.releaseForOrder(order);
+        if (zoneSlot) {
+          await DeliveryZoneService.releaseForOrder(order);
+          order.deliveryZone.slot = zoneSlot._id;
+          order.deliveryZone.slotReleasedAt = undefined;
+        }
+
+        order.pickupSlot = { slot: slot._id, reservedAt: new Date() };
+        order.pickupDate = PickupSlotService.fromDateKey(availability.date);
+        order.pickupTimeSlot = candidate.timeSlot;
+        return { date: order.pickupDate, timeSlot: candidate.timeSlot };
+      }
+    }
+
+    return null;
+  }
+
+  // Due again on the branch's next working day
+  static rescheduleDelivery(order, branch) {
+    for (let offset = 1; offset <= RIDER_CONFIG.RESCHEDULE_DAYS; offset++) {
+      const date = new Date();
+      date.setHours(0, 0, 0, 0);
+      date.setDate(date.getDate() + offset);
+      if (!branch || branch.isOperationalOn(date)) {
+        order.estimatedDeliveryDate = date;
+        return { date };
+      }
+    }
+    return null;
+  }
+
+  static async notifyFailedAttempt(order, branch, leg, note, rescheduledTo) {
+    try {
+      if (rescheduledTo) {
+        const when = `${formatDate(rescheduledTo.date, 'DD MMM')}${rescheduledTo.timeSlot ? `, ${rescheduledTo.timeSlot}` : ''}`;
+        await NotificationService.createNotification({
+          recipientId: order.customer,
+          type: NOTIFICATION_TYPES.ORDER_RESCHEDULED,
+          title: leg === 'pickup' ? 'Pickup Rescheduled' : 'Delivery Rescheduled',
+          message: `We could not complete the ${leg} of order ${order.orderNumber}. It has been moved to ${when}.`,
+          data: { orderId: order._id, additionalData: { rescheduledTo } }
+        });
+      } else if (branch?.manager) {
+        await NotificationService.createNotification({
+          recipientId: branch.manager,
+          type: NOTIFICATION_TYPES.HANDOVER_FAILED,
+          title: `Failed ${leg} needs attention`,
+          message: `Order ${order.orderNumber}: ${note}`,
+          data: { orderId: order._id, branchId: branch._id }
+        });
+      }
+    } catch (error) {
+      console.error('Failed to send failed-attempt notification:', error);
+      // Don't throw - the attempt is recorded
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Proof review
+  // ---------------------------------------------------------------------------
+
+  /**
+   * A stored photo / signature of a handover or failed attempt
+   * @param {string} kind - 'photo' | 'signature'
+   * @returns {Promise<{ path: string, contentType: string }>} absolute path on disk
+   */
+  static async getProofFile(branchId, orderId, recordId, kind) {
+    const notFound = new RiderError('FILE_NOT_FOUND', 'File not found', 404);
+    if (!['photo', 'signature'].includes(kind) ||
+      !mongoose.Types.ObjectId.isValid(orderId) || !mongoose.Types.ObjectId.isValid(recordId)) {
+      throw notFound;
+    }
+
+    const order = await Order.findOne({ _id: orderId, branch: branchId }).select('handovers failedAttempts');
+    const record = order && (order.handovers.id(recordId) || order.failedAttempts.id(recordId));
+    const file = record?.[kind];
+    const path = file?.path ? resolveFile(file.path) : null;
+    if (!path || !fs.existsSync(path)) throw notFound;
+
+    return { path, contentType: file.contentType };
+  }
+}
+
+RiderService.RiderError = RiderError;
+
+module.exports = RiderService;
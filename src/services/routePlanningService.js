@@ -0,0 +1,607 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const RoutePlan = require('../models/RoutePlan');
+const PickupSlotService = require('./pickupSlotService');
+const distanceService = require('./distanceService');
+const { renderManifestPdf } = require('../utils/manifestPdf');
+const { formatDate } = require('../utils/helpers');
+const { ORDER_STATUS, DISTANCE_CONFIG, ROUTE_PLANNING_CONFIG } = require('../config/constants');
+
+/**
+ * Route Planning Service
+ * Plans a branch's pickup and delivery runs for a day. Stops are the orders
+ * waiting for a logistics pickup that day and the ready orders due for home
+ * delivery; vehicles come with their capacity and shift. A local heuristic
+ * (cheapest insertion, then 2-opt and relocate moves) orders the stops over
+ * a Haversine x road-factor distance matrix, so planning never needs the
+ * network. Pickups must be reached within their time slot.
+ */
+
+// Structured route planning error - `error` and `statusCode` are used by the global error handler
+class RoutePlanningError extends Error {
+  constructor(error, message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'RoutePlanningError';
+    this.error = error;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+// Service types that end with a delivery to the customer's door
+const HOME_DELIVERY_SERVICES = ['full_service', 'self_drop_home_delivery'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const UNASSIGNED_MESSAGES = {
+  NO_LOCATION: 'The address could not be placed on the map',
+  CAPACITY: 'Too big a load for any of the vehicles',
+  TIME_WINDOW: 'No vehicle can reach it within its time slot',
+  SHIFT_END: 'Too far to reach and return within any shift',
+  FLEET_FULL: 'All vehicles are full or busy at that time'
+};
+
+const EPSILON = 1e-6;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// '09:30' -> 570
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// '09:00-11:00' -> { start: 540, end: 660 }
+const parseSlot = (timeSlot) => {
+  const [start, end] = String(timeSlot || '').split('-');
+  if (!TIME_PATTERN.test(start || '') || !TIME_PATTERN.test(end || '')) return null;
+  return { start: toMinutes(start), end: toMinutes(end) };
+};
+
+const addressToString = (address) => [
+  address.addressLine1,
+  address.addressLine2,
+  address.landmark,
+  address.city,
+  address.pincode,
+  'India'
+].filter(Boolean).join(', ');
+
+const hasCoordinates = (coords) => coords && distanceService.validateCoordinates(coords) &&
+  !(coords.lat === 0 && coords.lng === 0);
+
+/**
+ * Walk a run (stop nodes in visiting order) from the depot and back.
+ * Deliveries are loaded at the depot and pickups collected on the way, so the
+ * load is checked after every stop. Returns { feasible: false, reason } as
+ * soon as a constraint breaks.
+ */
+const simulate = (route, vehicle, stops, matrix, serviceMinutes) => {
+  const load = { orders: 0, weightKg: 0 };
+  route.forEach(node => {
+    const stop = stops[node - 1];
+    if (stop.type === 'delivery') {
+      load.orders += 1;
+      load.weightKg += stop.weightKg;
+    }
+  });
+
+  const overloaded = () => load.orders > vehicle.capacityOrders || load.weightKg > vehicle.capacityKg + EPSILON;
+  if (overloaded()) return { feasible: false, reason: 'CAPACITY' };
+
+  const peak = { ...load };
+  const visits = [];
+  let time = vehicle.start;
+  let distance = 0;
+  let previous = 0;
+
+  for (const node of route) {
+    const stop = stops[node - 1];
+    let arrival = time + matrix.minutes[previous][node];
+    let wait = 0;
+
+    if (stop.window) {
+      if (arrival > stop.window.end + EPSILON) return { feasible: false, reason: 'TIME_WINDOW' };
+      if (arrival < stop.window.start) {
+        wait = stop.window.start - arrival;
+        arrival = stop.window.start;
+      }
+    }
+
+    const sign = stop.type === 'delivery' ? -1 : 1;
+    load.orders += sign;
+    load.weightKg += sign * stop.weightKg;
+    if (overloaded()) return { feasible: false, reason: 'CAPACITY' };
+    peak.orders = Math.max(peak.orders, load.orders);
+    peak.weightKg = Math.max(peak.weightKg, load.weightKg);
+
+    visits.push({ node, arrival, wait, legKm: matrix.km[previous][node] });
+    distance += matrix.km[previous][node];
+    time = arrival + serviceMinutes;
+    previous = node;
+  }
+
+  distance += matrix.km[previous][0];
+  time += matrix.minutes[previous][0];
+  if (time > vehicle.end + EPSILON) return { feasible: false, reason: 'SHIFT_END' };
+
+  return { feasible: true, distance, returnAt: time, visits, peak };
+};
+
+class RoutePlanningService {
+  /**
+   * Validate the vehicles / riders available for the day
+   * @param {Object[]} vehicles - { id, name, type, registrationNumber, riderName, riderPhone,
+   *   capacity: { orders, weightKg } (or capacityOrders / capacityKg), shiftStart, shiftEnd }
+   */
+  static normalizeVehicles(vehicles) {
+    if (!Array.isArray(vehicles) || vehicles.length === 0) {
+      throw new RoutePlanningError('VEHICLES_REQUIRED', 'At least one vehicle or rider is required', 400);
+    }
+    if (vehicles.length > ROUTE_PLANNING_CONFIG.MAX_VEHICLES) {
+      throw new RoutePlanningError('TOO_MANY_VEHICLES', `At most ${ROUTE_PLANNING_CONFIG.MAX_VEHICLES} vehicles can be planned at once`, 400);
+    }
+
+    const { DEFAULT_CAPACITY, DEFAULT_SHIFT } = ROUTE_PLANNING_CONFIG;
+
+    return vehicles.map((vehicle, index) => {
+      const capacity = vehicle.capacity || {};
+      const capacityOrders = Number(vehicle.capacityOrders ?? capacity.orders ?? DEFAULT_CAPACITY.orders);
+      const capacityKg = Number(vehicle.capacityKg ?? capacity.weightKg ?? DEFAULT_CAPACITY.weightKg);
+      const shiftStart = vehicle.shiftStart || DEFAULT_SHIFT.start;
+      const shiftEnd = vehicle.shiftEnd || DEFAULT_SHIFT.end;
+
+      const invalid = (message) => new RoutePlanningError('INVALID_VEHICLE', `Vehicle ${index + 1}: ${message}`, 400, { index });
+      if (!Number.isInteger(capacityOrders) || capacityOrders < 1) {
+        throw invalid('order capacity must be a whole number of at least 1');
+      }
+      if (!(capacityKg > 0)) {
+        throw invalid('weight capacity must be greater than 0 kg');
+      }
+      if (!TIME_PATTERN.test(shiftStart) || !TIME_PATTERN.test(shiftEnd) || toMinutes(shiftStart) >= toMinutes(shiftEnd)) {
+        throw invalid('shift must be HH:mm times with the start before the end');
+      }
+
+      return {
+        id: String(vehicle.id || vehicle._id || index + 1),
+        name: vehicle.name || `Vehicle ${index + 1}`,
+        type: vehicle.type,
+        registrationNumber: vehicle.registrationNumber,
+        riderName: vehicle.riderName,
+        riderPhone: vehicle.riderPhone,
+        capacityOrders,
+        capacityKg,
+        shiftStart,
+        shiftEnd,
+        start: toMinutes(shiftStart),
+        end: toMinutes(shiftEnd)
+      };
+    });
+  }
+
+  // Where runs start and end
+  static getDepot(branch) {
+    const depot = { lat: branch.coordinates?.latitude, lng: branch.coordinates?.longitude };
+    if (hasCoordinates(depot)) return depot;
+    const address = branch.address?.coordinates;
+    return hasCoordinates(address) ? { lat: address.lat, lng: address.lng } : null;
+  }
+
+  /**
+   * Coordinates of an order's address without going online: the pin stored on
+   * the order, a cached geocode, or a pincode centroid
+   */
+  static async locate(address) {
+    if (!address) return null;
+
+    if (hasCoordinates(address.coordinates)) {
+      return { lat: address.coordinates.lat, lng: address.coordinates.lng, source: 'order' };
+    }
+
+    const result = await distanceService.geocodeAddress(addressToString(address), { offline: true });
+    if (result.status !== 'OK' || !hasCoordinates(result)) return null;
+
+    return { lat: result.lat, lng: result.lng, source: result.precision === 'address' ? 'geocoded' : result.precision };
+  }
+
+  /**
+   * The day's stops: logistics pickups booked for that day and ready orders
+   * due (on or before that day) for home delivery
+   * @returns {Promise<{ stops: Object[], unlocated: Object[] }>}
+   */
+  static async collectStops(branchId, dateKey) {
+    const day = PickupSlotService.fromDateKey(dateKey);
+    const nextDay = new Date(day);
+    nextDay.setDate(nextDay.getDate() + 1);
+
+    const orders = await Order.find({
+      branch: branchId,
+      $or: [
+        { status: ORDER_STATUS.ASSIGNED_TO_LOGISTICS_PICKUP, pickupDate: { $gte: day, $lt: nextDay } },
+        {
+          status: ORDER_STATUS.READY,
+          serviceType: { $in: HOME_DELIVERY_SERVICES },
+          $or: [{ estimatedDeliveryDate: { $lt: nextDay } }, { estimatedDeliveryDate: null }]
+        }
+      ]
+    })
+      .populate('customer', 'name phone')
+      .sort({ createdAt: 1 });
+
+    const stops = [];
+    const unlocated = [];
+
+    for (const order of orders) {
+      const type = order.status === ORDER_STATUS.READY ? 'delivery' : 'pickup';
+      const address = type === 'pickup' ? order.pickupAddress : order.deliveryAddress;
+      const timeSlot = type === 'pickup' ? order.pickupTimeSlot : null;
+      const location = await this.locate(address);
+
+      if (!location) {
+        unlocated.push({ type, order: order._id, orderNumber: order.orderNumber, timeSlot, reason: 'NO_LOCATION' });
+        continue;
+      }
+
+      stops.push({
+        type,
+        order: order._id,
+        orderNumber: order.orderNumber,
+        customerName: address?.name || order.customer?.name,
+        phone: address?.phone || order.customer?.phone,
+        address: addressToString(address),
+        pincode: address?.pincode,
+        coordinates: { lat: location.lat, lng: location.lng },
+        locationSource: location.source,
+        timeSlot,
+        window: parseSlot(timeSlot),
+        weightKg: order.weight?.actualKg ?? order.weight?.estimatedKg ?? 0
+      });
+    }
+
+    return { stops, unlocated };
+  }
+
+  /**
+   * Road km and driving minutes between every pair of points
+   * (index 0 is the depot, stop i is index i + 1)
+   */
+  static buildMatrix(points, { roadFactor, averageSpeedKmph }) {
+    const km = points.map(from => points.map(to => round(distanceService.calculateHaversineDistance(from, to) * roadFactor)));
+    const minutes = km.map(row => row.map(distance => distance / averageSpeedKmph * 60));
+    return { km, minutes };
+  }
+
+  /**
+   * Order the stops into one run per vehicle
+   * @returns {{ routes: number[][], unplaced: { node: number, reason: string }[] }}
+   */
+  static solve(stops, vehicles, matrix, serviceMinutes) {
+    const run = (route, index) => simulate(route, vehicles[index], stops, matrix, serviceMinutes);
+    const routes = vehicles.map(() => []);
+
+    // Cheapest feasible position over all runs; false when the stop fits nowhere
+    const insert = (node) => {
+      let best = null;
+      routes.forEach((route, index) => {
+        const base = run(route, index).distance;
+        for (let position = 0; position <= route.length; position++) {
+          const candidate = [...route.slice(0, position), node, ...route.slice(position)];
+          const result = run(candidate, index);
+          if (result.feasible && (!best || result.distance - base < best.cost - EPSILON)) {
+            best = { index, route: candidate, cost: result.distance - base };
+          }
+        }
+      });
+      if (best) routes[best.index] = best.route;
+      return Boolean(best);
+    };
+
+    // Tightest time slots first, and within a slot the farthest stops first
+    const nodes = stops.map((stop, i) => i + 1).sort((a, b) => {
+      const endA = stops[a - 1].window?.end ?? Infinity;
+      const endB = stops[b - 1].window?.end ?? Infinity;
+      return endA - endB || matrix.km[0][b] - matrix.km[0][a];
+    });
+    let pending = nodes.filter(node => !insert(node));
+
+    for (let pass = 0; pass < ROUTE_PLANNING_CONFIG.MAX_IMPROVEMENT_PASSES; pass++) {
+      if (!this.improve(routes, run)) break;
+    }
+    // Shorter runs may have made room for stops that did not fit the first time
+    pending = pending.filter(node => !insert(node));
+
+    const unplaced = pending.map(node => {
+      const alone = vehicles.map((vehicle, index) => run([node], index));
+      return { node, reason: alone.some(result => result.feasible) ? 'FLEET_FULL' : alone[0].reason };
+    });
+
+    return { routes, unplaced };
+  }
+
+  // One round of local search; true when any run got shorter
+  static improve(routes, run) {
+    let improved = false;
+    const distances = routes.map((route, index) => run(route, index).distance);
+
+    // 2-opt: reverse a stretch of a run
+    for (let index = 0; index < routes.length; index++) {
+      for (let i = 0; i < routes[index].length - 1; i++) {
+        for (let j = i + 1; j < routes[index].length; j++) {
+          const current = routes[index];
+          const candidate = [...current.slice(0, i), ...current.slice(i, j + 1).reverse(), ...current.slice(j + 1)];
+          const result = run(candidate, index);
+          if (result.feasible && result.distance < distances[index] - EPSILON) {
+            routes[index] = candidate;
+            distances[index] = result.distance;
+            improved = true;
+          }
+        }
+      }
+    }
+
+    // Relocate: move a stop to a cheaper place in the same or another run
+    for (let from = 0; from < routes.length; from++) {
+      for (let i = 0; i < routes[from].length; i++) {
+        const node = routes[from][i];
+        const remaining = routes[from].filter((_, k) => k !== i);
+        const remainingResult = run(remaining, from);
+        if (!remainingResult.feasible) continue;
+        const saving = distances[from] - remainingResult.distance;
+
+        let best = null;
+        routes.forEach((route, to) => {
+          const target = to === from ? remaining : route;
+          const base = to === from ? remainingResult.distance : distances[to];
+          for (let position = 0; position <= target.length; position++) {
+            if (to === from && position === i) continue;
+            const candidate = [...target.slice(0, position), node, ...target.slice(position)];
+            const result = run(candidate, to);
+            const cost = result.distance - base;
+            if (result.feasible && cost < saving - EPSILON && (!best || cost < best.cost)) {
+              best = { to, route: candidate, cost, distance: result.distance };
+            }
+          }
+        });
+
+        if (best) {
+          if (best.to !== from) {
+            routes[from] = remaining;
+            distances[from] = remainingResult.distance;
+          }
+          routes[best.to] = best.route;
+          distances[best.to] = best.distance;
+          improved = true;
+          i = -1; // the run changed under us, start it over
+        }
+      }
+    }
+
+    return improved;
+  }
+
+  /**
+   * Plan the day's runs for a branch and store them, superseding any earlier plan for that day
+   * @param {Object} branch - Branch document
+   * @param {Object} request - { date, vehicles, serviceMinutes }
+   * @param {string} userId - Who planned it
+   */
+  static async plan(branch, { date, vehicles, serviceMinutes } = {}, userId = null) {
+    if (!date) {
+      throw new RoutePlanningError('DATE_REQUIRED', 'date is required (YYYY-MM-DD)', 400);
+    }
+    const dateKey = PickupSlotService.toDateKey(date);
+    const fleet = this.normalizeVehicles(vehicles);
+
+    const settings = {
+      serviceMinutes: serviceMinutes !== undefined ? Number(serviceMinutes) : ROUTE_PLANNING_CONFIG.SERVICE_MINUTES,
+      averageSpeedKmph: DISTANCE_CONFIG.AVERAGE_SPEED_KMPH,
+      roadFactor: DISTANCE_CONFIG.ROAD_FACTOR
+    };
+    if (!(settings.serviceMinutes >= 0)) {
+      throw new RoutePlanningError('INVALID_SERVICE_MINUTES', 'serviceMinutes must be 0 or more', 400);
+    }
+
+    const depot = this.getDepot(branch);
+    if (!depot) {
+      throw new RoutePlanningError('BRANCH_LOCATION_MISSING', 'Set the branch coordinates before planning runs', 422);
+    }
+
+    const { stops, unlocated } = await this.collectStops(branch._id, dateKey);
+    if (stops.length === 0 && unlocated.length === 0) {
+      throw new RoutePlanningError('NO_STOPS', `No pickups or deliveries to plan on ${dateKey}`, 404);
+    }
+
+    const matrix = this.buildMatrix([depot, ...stops.map(stop => stop.coordinates)], settings);
+    const { routes, unplaced } = this.solve(stops, fleet, matrix, settings.serviceMinutes);
+
+    const day = PickupSlotService.fromDateKey(dateKey);
+    const at = (minutes) => new Date(day.getTime() + Math.round(minutes) * 60 * 1000);
+
+    const runs = [];
+    routes.forEach((route, index) => {
+      if (route.length === 0) return;
+      const vehicle = fleet[index];
+      const result = simulate(route, vehicle, stops, matrix, settings.serviceMinutes);
+      const { start, end, ...vehicleRecord } = vehicle;
+
+      runs.push({
+        runNumber: runs.length + 1,
+        vehicle: vehicleRecord,
+        stops: result.visits.map((visit, i) => {
+          const { window, ...stop } = stops[visit.node - 1];
+          return {
+            ...stop,
+            sequence: i + 1,
+            eta: at(visit.arrival),
+            waitMinutes: Math.round(visit.wait),
+            distanceFromPreviousKm: visit.legKm
+          };
+        }),
+        distanceKm: round(result.distance),
+        durationMinutes: Math.round(result.returnAt - vehicle.start),
+        startAt: at(vehicle.start),
+        returnAt: at(result.returnAt),
+        peakLoad: { orders: result.peak.orders, weightKg: round(result.peak.weightKg) }
+      });
+    });
+
+    const unassigned = [
+      ...unlocated,
+      ...unplaced.map(({ node, reason }) => {
+        const stop = stops[node - 1];
+        return { type: stop.type, order: stop.order, orderNumber: stop.orderNumber, timeSlot: stop.timeSlot, reason };
+      })
+    ].map(entry => ({ ...entry, message: UNASSIGNED_MESSAGES[entry.reason] }));
+
+    await RoutePlan.updateMany({ branch: branch._id, date: dateKey, status: 'planned' }, { status: 'superseded' });
+
+    return RoutePlan.create({
+      branch: branch._id,
+      date: dateKey,
+      runs,
+      unassigned,
+      settings,
+      totals: {
+        stops: runs.reduce((sum, planned) => sum + planned.stops.length, 0),
+        unassigned: unassigned.length,
+        distanceKm: round(runs.reduce((sum, planned) => sum + planned.distanceKm, 0)),
+        vehiclesUsed: runs.length
+      },
+      createdBy: userId
+    });
+  }
+
+  // Plans of a branch, newest first; superseded plans only when asked for
+  static async listPlans(branchId, { date, includeSuperseded = false } = {}) {
+    const query = { branch: branchId };
+    if (date) query.date = PickupSlotService.toDateKey(date);
+    if (!includeSuperseded) query.status = 'planned';
+
+    return RoutePlan.find(query)
+      .select('date status totals runs.runNumber runs.vehicle runs.distanceKm createdBy createdAt')
+      .populate('createdBy', 'name')
+      .sort({ date: -1, createdAt: -1 })
+      .limit(50);
+  }
+
+  static async getPlan(planId, branchId = null) {
+    if (!mongoose.Types.ObjectId.isValid(planId)) {
+      throw new RoutePlanningError('PLAN_NOT_FOUND', 'Route plan not found', 404);
+    }
+    const query = { _id: planId };
+    if (branchId) query.branch = branchId;
+
+    const plan = await RoutePlan.findOne(query).populate('branch', 'name code address contact');
+    if (!plan) {
+      throw new RoutePlanningError('PLAN_NOT_FOUND', branchId ? 'Route plan not found in your branch' : 'Route plan not found', 404);
+    }
+    return plan;
+  }
+
+  /**
+   * Everything printed on a run manifest, already formatted for display
+   * @param {Object} plan - RoutePlan with branch populated
+   * @param {number} [runNumber] - Only this run
+   */
+  static buildManifest(plan, runNumber = null) {
+    const runs = runNumber ? plan.runs.filter(planned => planned.runNumber === runNumber) : plan.runs;
+    if (runNumber && runs.length === 0) {
+      throw new RoutePlanningError('RUN_NOT_FOUND', `Run ${runNumber} is not part of this plan`, 404);
+    }
+
+    const clock = (date) => (date ? formatDate(date, 'HH:mm') : '-');
+
+    return {
+      title: 'RUN MANIFEST',
+      branch: {
+        name: plan.branch?.name,
+        code: plan.branch?.code,
+        phone: plan.branch?.contact?.phone
+      },
+      date: formatDate(PickupSlotService.fromDateKey(plan.date), 'DD MMM YYYY'),
+      dateKey: plan.date,
+      status: plan.status,
+      runs: runs.map(planned => ({
+        runNumber: planned.runNumber,
+        vehicle: [planned.vehicle.name, planned.vehicle.registrationNumber].filter(Boolean).join(' - '),
+        rider: [planned.vehicle.riderName, planned.vehicle.riderPhone].filter(Boolean).join(', ') || '-',
+        shift: `${planned.vehicle.shiftStart}-${planned.vehicle.shiftEnd}`,
+        start: clock(planned.startAt),
+        return: clock(planned.returnAt),
+        distanceKm: planned.distanceKm,
+        peakLoad: `${planned.peakLoad.orders} orders / ${planned.peakLoad.weightKg} kg`,
+        stops: planned.stops.map(stop => ({
+          sequence: stop.sequence,
+          type: stop.type === 'pickup' ? 'Pickup' : 'Delivery',
+          orderNumber: stop.orderNumber,
+          customerName: stop.customerName || '-',
+          phone: stop.phone || '-',
+          address: stop.address,
+          timeSlot: stop.timeSlot || '-',
+          eta: clock(stop.eta),
+          distanceFromPreviousKm: stop.distanceFromPreviousKm,
+          weightKg: stop.weightKg,
+          approximate: ['pincode', 'district'].includes(stop.locationSource)
+        }))
+      })),
+      unassigned: runNumber ? [] : plan.unassigned.map(entry => ({
+        type: entry.type === 'pickup' ? 'Pickup' : 'Delivery',
+        orderNumber: entry.orderNumber,
+        timeSlot: entry.timeSlot || '-',
+        message: entry.message || entry.reason
+      }))
+    };
+  }
+
+  static toCsv(manifest) {
+    const escape = (value) => {
+      const text = String(value ?? '');
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = [['Run', 'Vehicle', 'Rider', 'Stop', 'Type', 'Order', 'Customer', 'Phone', 'Address', 'Slot', 'ETA', 'Km from previous', 'Weight (kg)']];
+    manifest.runs.forEach(planned => planned.stops.forEach(stop => rows.push([
+      planned.runNumber,
+      planned.vehicle,
+      planned.rider,
+      stop.sequence,
+      stop.type,
+      stop.orderNumber,
+      stop.customerName,
+      stop.phone,
+      stop.approximate ? `${stop.address} (approximate location)` : stop.address,
+      stop.timeSlot,
+      stop.eta,
+      stop.distanceFromPreviousKm,
+      stop.weightKg
+    ])));
+    manifest.unassigned.forEach(entry => rows.push([
+      'Unassigned', '', '', '', entry.type, entry.orderNumber, '', '', entry.message, entry.timeSlot, '', '', ''
+    ]));
+
+    return Buffer.from(rows.map(row => row.map(escape).join(',')).join('\r\n') + '\r\n', 'utf8');
+  }
+
+  /**
+   * Render a plan's manifest for the dispatch desk
+   * @param {Object} plan - RoutePlan with branch populated
+   * @param {Object} options - { format: 'csv' | 'pdf', run }
+   * @returns {Promise<{ content: Buffer, contentType: string, filename: string }>}
+   */
+  static async renderManifest(plan, { format = 'csv', run } = {}) {
+    if (!ROUTE_PLANNING_CONFIG.MANIFEST_FORMATS.includes(format)) {
+      throw new RoutePlanningError('INVALID_FORMAT', `Format must be one of ${ROUTE_PLANNING_CONFIG.MANIFEST_FORMATS.join(', ')}`, 400);
+    }
+    const runNumber = run ? parseInt(run, 10) : null;
+    const manifest = this.buildManifest(plan, runNumber);
+    const name = `manifest-${plan.branch?.code || 'branch'}-${plan.date}${runNumber ? `-run${runNumber}` : ''}`;
+
+    return format === 'pdf'
+      ? { content: await renderManifestPdf(manifest), contentType: 'application/pdf', filename: `${name}.pdf` }
+      : { content: this.toCsv(manifest), contentType: 'text/csv; charset=utf-8', filename: `${name}.csv` };
+  }
+}
+
+RoutePlanningService.RoutePlanningError = RoutePlanningError;
+
+module.exports = RoutePlanningService;
@@ -0,0 +1,352 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Branch = require('../models/Branch');
+const GarmentTag = require('../models/GarmentTag');
+const ScanEvent = require('../models/ScanEvent');
+const OrderService = require('./orderService');
+const GarmentTagService = require('./garmentTagService');
+const { checkTransition } = require('./orderStateMachine');
+const { ORDER_STATUS, DEFAULT_SCAN_STATIONS } = require('../config/constants');
+
+/**
+ * Scan Service
+ * Station-based barcode workflow. Each branch has a list of plant stations
+ * with the stations allowed to follow them; every scan (accepted or not) is
+ * written to the ScanEvent log, which also feeds the throughput reports.
+ */
+
+// Structured scan error - `error` and `statusCode` are used by the global error handler
+class ScanError extends Error {
+  constructor(error, message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'ScanError';
+    this.error = error;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+const PIECE_STATUSES = GarmentTag.PIECE_STATUSES;
+const BRANCH_SCOPED_ROLES = ['branch_manager', 'staff'];
+
+class ScanService {
+  // A branch's stations, falling back to the defaults
+  static getStations(branch) {
+    const configured = (branch.scanStations || []).map(station =>
+      (typeof station.toObject === 'function' ? station.toObject() : station));
+    return configured.length > 0 ? configured : DEFAULT_SCAN_STATIONS.map(station => ({ ...station, isActive: true }));
+  }
+
+  // Check a station list before saving it
+  static validateStations(stations) {
+    const errors = [];
+    if (!Array.isArray(stations) || stations.length === 0) {
+      return ['At least one station is required'];
+    }
+
+    const codes = stations.map(station => String(station.code || '').toLowerCase().trim());
+    if (codes.some(code => !/^[a-z0-9_]+$/.test(code))) {
+      errors.push('Station codes may only contain letters, digits and underscores');
+    }
+    if (new Set(codes).size !== codes.length) {
+      errors.push('Station codes must be unique');
+    }
+    if (!stations.some(station => station.isEntry)) {
+      errors.push('At least one station must be an entry station');
+    }
+
+    stations.forEach(station => {
+      (station.nextStations || []).forEach(next => {
+        if (!codes.includes(String(next).toLowerCase())) {
+          errors.push(`Station ${station.code} lists unknown next station ${next}`);
+        }
+      });
+      if (station.pieceStatus && !PIECE_STATUSES.includes(station.pieceStatus)) {
+        errors.push(`Station ${station.code} has an invalid piece status ${station.pieceStatus}`);
+      }
+      if (station.orderStatus && !Object.values(ORDER_STATUS).includes(station.orderStatus)) {
+        errors.push(`Station ${station.code} has an invalid order status ${station.orderStatus}`);
+      }
+    });
+
+    return errors;
+  }
+
+  static async updateStations(branch, stations) {
+    const errors = this.validateStations(stations);
+    if (errors.length > 0) {
+      throw new ScanError('INVALID_STATIONS', 'Station configuration is invalid', 400, { errors });
+    }
+
+    branch.scanStations = stations.map(station => ({
+      code: String(station.code).toLowerCase().trim(),
+      name: station.name || station.code,
+      isEntry: Boolean(station.isEntry),
+      nextStations: (station.nextStations || []).map(next => String(next).toLowerCase()),
+      pieceStatus: station.pieceStatus || null,
+      orderStatus: station.orderStatus || null,
+      isActive: station.isActive !== false
+    }));
+    await branch.save();
+    return this.getStations(branch);
+  }
+
+  /**
+   * The branch a user scans for. Branch staff are tied to their branch;
+   * admins scan for the order's branch unless they name one.
+   * @returns {Promise<ObjectId|null>}
+   */
+  static async resolveScannerBranch(user, requestedBranchId = null) {
+    if (BRANCH_SCOPED_ROLES.includes(user.role)) {
+      if (user.assignedBranch) return user.assignedBranch;
+      const branch = await Branch.findOne({ manager: user._id }).select('_id');
+      if (!branch) {
+        throw new ScanError('NO_BRANCH', 'No branch assigned', 403);
+      }
+      return branch._id;
+    }
+    return requestedBranchId && mongoose.Types.ObjectId.isValid(requestedBranchId)
+      ? new mongoose.Types.ObjectId(requestedBranchId)
+      : null;
+  }
+
+  // Find what a code refers to: a garment tag or an order
+  static async resolveCode(code) {
+    const value = String(code || '').toUpperCase().trim();
+    if (GarmentTagService.isTagCode(value)) {
+      const tag = await GarmentTag.findOne({ tagCode: value });
+      const order = tag ? await Order.findById(tag.order) : null;
+      return { scanType: 'piece', tag, order };
+    }
+    const order = await Order.findOne({ $or: [{ barcode: value }, { orderNumber: value }] });
+    return { scanType: 'order', tag: null, order };
+  }
+
+  // Write a scan to the log; logging must never break the scan itself
+  static async record(event) {
+    try {
+      return await ScanEvent.create(event);
+    } catch (error) {
+      console.error('Error recording scan event:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Scan a garment tag or an order at a station
+   * @param {Object} params - { code, station, user, deviceId, branchId, notes }
+   * @returns {Promise<Object>} scan result with the recorded event
+   */
+  static async scanAtStation({ code, station: stationCode, user, deviceId = null, branchId = null, notes = '' }) {
+    const { scanType, tag, order } = await this.resolveCode(code);
+    const base = {
+      scanType,
+      code: String(code || '').toUpperCase(),
+      order: order?._id,
+      garmentTag: tag?._id,
+      station: String(stationCode || '').toLowerCase(),
+      staff: user._id,
+      staffRole: user.role,
+      deviceId,
+      notes,
+      fromStation: scanType === 'piece' ? tag?.currentStation : order?.currentStation,
+      statusBefore: scanType === 'piece' ? tag?.status : order?.status
+    };
+
+    const reject = async (error, message, statusCode, details = {}) => {
+      await this.record({ ...base, result: 'rejected', rejectionCode: error, rejectionReason: message });
+      throw new ScanError(error, message, statusCode, details);
+    };
+
+    if (!order || (scanType === 'piece' && !tag)) {
+      return reject('NOT_FOUND', scanType === 'piece' ? 'No garment found with this tag' : 'No order found with this barcode', 404);
+    }
+
+    const scannerBranch = await this.resolveScannerBranch(user, branchId);
+    base.branch = scannerBranch || order.branch;
+    if (!order.branch || (scannerBranch && !order.branch.equals(scannerBranch))) {
+      return reject('WRONG_BRANCH', `Order ${order.orderNumber} belongs to another branch`, 409, {
+        orderBranch: order.branch
+      });
+    }
+
+    const branch = await Branch.findById(order.branch).select('scanStations');
+    const stations = this.getStations(branch);
+    const station = stations.find(entry => entry.code === base.station && entry.isActive !== false);
+    if (!station) {
+      return reject('UNKNOWN_STATION', `Station ${base.station} is not configured for this branch`, 400, {
+        stations: stations.map(entry => entry.code)
+      });
+    }
+
+    const current = base.fromStation ? stations.find(entry => entry.code === base.fromStation) : null;
+    if (base.fromStation === station.code) {
+      return reject('ALREADY_AT_STATION', `Already scanned at ${station.name}`, 409);
+    }
+    if (!current && !station.isEntry) {
+      return reject('WRONG_STATION', `${scanType === 'piece' ? 'Garment' : 'Order'} must be scanned in at an entry station first`, 409, {
+        allowed: stations.filter(entry => entry.isEntry).map(entry => entry.code)
+      });
+    }
+    if (current && !(current.nextStations || []).includes(station.code)) {
+      return reject('WRONG_STATION', `${station.name} cannot follow ${current.name}`, 409, {
+        from: current.code,
+        allowed: current.nextStations || []
+      });
+    }
+
+    let statusAfter = base.statusBefore;
+    try {
+      if (scanType === 'piece') {
+        if (station.pieceStatus && station.pieceStatus !== tag.status) {
+          const result = await GarmentTagService.scanPiece(tag.tagCode, station.pieceStatus, { id: user._id, role: user.role },
+            notes || `Scanned at ${station.name}`);
+          statusAfter = result.tag.status;
+        }
+        await GarmentTag.updateOne({ _id: tag._id }, {
+          $set: { currentStation: station.code, lastScannedAt: new Date(), lastScannedBy: user._id }
+        });
+        await this.advanceOrderWithPieces(order, station, user);
+      } else {
+        if (station.orderStatus && station.orderStatus !== order.status) {
+          const transition = checkTransition(order, station.orderStatus, user.role);
+          if (!transition.allowed) {
+            return reject(transition.error, transition.message, transition.statusCode, transition.details);
+          }
+          await OrderService.updateOrderStatus(order._id, station.orderStatus, user._id, notes || `Scanned at ${station.name}`, user.role);
+          statusAfter = station.orderStatus;
+        }
+        await Order.updateOne({ _id: order._id }, { $set: { currentStation: station.code } });
+      }
+    } catch (error) {
+      if (error instanceof ScanError) throw error;
+      if (error.error && error.statusCode) {
+        return reject(error.error, error.message, error.statusCode, error.details);
+      }
+      throw error;
+    }
+
+    const event = await this.record({ ...base, result: 'accepted', statusAfter });
+    return {
+      event,
+      scanType,
+      station: { code: station.code, name: station.name, nextStations: station.nextStations || [] },
+      orderNumber: order.orderNumber,
+      tagCode: tag?.tagCode,
+      statusBefore: base.statusBefore,
+      statusAfter
+    };
+  }
+
+  /**
+   * After a piece scan: once every piece is at the station, the order is
+   * too, and the station's order status is applied when the move is legal.
+   */
+  static async advanceOrderWithPieces(order, station, user) {
+    const [total, atStation] = await Promise.all([
+      GarmentTag.countDocuments({ order: order._id }),
+      GarmentTag.countDocuments({ order: order._id, currentStation: station.code })
+    ]);
+
+    // The first piece to reach a processing station starts processing of the order
+    const fresh = await Order.findById(order._id);
+    if (station.orderStatus === ORDER_STATUS.IN_PROCESS && fresh.status === ORDER_STATUS.PICKED &&
+      checkTransition(fresh, ORDER_STATUS.IN_PROCESS, user.role).allowed) {
+      await OrderService.updateOrderStatus(order._id, ORDER_STATUS.IN_PROCESS, user._id, `Processing started at ${station.name}`, user.role);
+    }
+
+    if (total === 0 || atStation < total) return;
+
+    await Order.updateOne({ _id: order._id }, { $set: { currentStation: station.code } });
+    const latest = await Order.findById(order._id);
+    if (station.orderStatus && station.orderStatus !== latest.status &&
+      checkTransition(latest, station.orderStatus, user.role).allowed) {
+      await OrderService.updateOrderStatus(order._id, station.orderStatus, user._id, `All pieces scanned at ${station.name}`, user.role);
+    }
+  }
+
+  // Log a status change made through the plain scan endpoints (no station flow)
+  static logStatusScan({ code, order, user, deviceId = null, statusBefore, statusAfter, notes, result = 'accepted', rejectionCode, rejectionReason }) {
+    return this.record({
+      branch: order?.branch,
+      station: null,
+      scanType: 'order',
+      code: String(code).toUpperCase(),
+      order: order?._id,
+      staff: user._id,
+      staffRole: user.role,
+      deviceId,
+      result,
+      rejectionCode,
+      rejectionReason,
+      statusBefore,
+      statusAfter,
+      notes
+    });
+  }
+
+  /**
+   * Per-station throughput for a branch over a period
+   * @returns {Promise<{ period: Object, stations: Object[], staff: Object[] }>}
+   */
+  static async getThroughput(branchId, { from, to } = {}) {
+    const end = to ? new Date(to) : new Date();
+    const start = from ? new Date(from) : new Date(end.getTime() - 24 * 60 * 60 * 1000);
+    if (isNaN(start.getTime()) || isNaN(end.getTime()) || start >= end) {
+      throw new ScanError('INVALID_PERIOD', 'from must be before to', 400);
+    }
+    const hours = Math.max((end - start) / (60 * 60 * 1000), 1 / 60);
+    const match = { branch: new mongoose.Types.ObjectId(branchId), scannedAt: { $gte: start, $lte: end } };
+
+    const [byStation, byStaff] = await Promise.all([
+      ScanEvent.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: '$station',
+            accepted: { $sum: { $cond: [{ $eq: ['$result', 'accepted'] }, 1, 0] } },
+            rejected: { $sum: { $cond: [{ $eq: ['$result', 'rejected'] }, 1, 0] } },
+            pieces: { $sum: { $cond: [{ $and: [{ $eq: ['$result', 'accepted'] }, { $eq: ['$scanType', 'piece'] }] }, 1, 0] } },
+            orders: { $addToSet: '$order' },
+            staff: { $addToSet: '$staff' },
+            firstScan: { $min: '$scannedAt' },
+            lastScan: { $max: '$scannedAt' }
+          }
+        },
+        { $sort: { accepted: -1 } }
+      ]),
+      ScanEvent.aggregate([
+        { $match: { ...match, result: 'accepted' } },
+        { $group: { _id: { station: '$station', staff: '$staff' }, scans: { $sum: 1 } } },
+        { $lookup: { from: 'users', localField: '_id.staff', foreignField: '_id', as: 'user' } },
+        { $sort: { scans: -1 } }
+      ])
+    ]);
+
+    return {
+      period: { from: start, to: end, hours: Math.round(hours * 100) / 100 },
+      stations: byStation.map(row => ({
+        station: row._id || 'manual',
+        accepted: row.accepted,
+        rejected: row.rejected,
+        pieces: row.pieces,
+        orders: row.orders.filter(Boolean).length,
+        staff: row.staff.length,
+        perHour: Math.round(row.accepted / hours * 100) / 100,
+        firstScan: row.firstScan,
+        lastScan: row.lastScan
+      })),
+      staff: byStaff.map(row => ({
+        station: row._id.station || 'manual',
+        staffId: row._id.staff,
+        name: row.user[0]?.name,
+        scans: row.scans,
+        perHour: Math.round(row.scans / hours * 100) / 100
+      }))
+    };
+  }
+}
+
+ScanService.ScanError = ScanError;
+
+module.exports = ScanService;
@@ -1,13 +1,11 @@
 const crypto = require('crypto')
 const geoip = require('geoip-lite')
 const AuditLog = require('../models/AuditLog')
+const IpLoginAttempt = require('../models/IpLoginAttempt')
+const { MFA_CONFIG } = require('../config/constants')
 
+// Failed-login tracking lives in MongoDB (IpLoginAttempt) so every instance sees it
 class SessionService {
-  constructor() {
-    this.suspiciousIPs = new Set()
-    this.ipAttempts = new Map() // Track login attempts per IP
-  }
-
   // Generate session ID
   generateSessionId() {
     return crypto.randomBytes(32).toString('hex')
@@ -40,15 +38,10 @@ class SessionService {
   }
 
   // Check if IP is suspicious
-  isSuspiciousIP(ip, admin) {
-    // Check if IP is in suspicious list
-    if (this.suspiciousIPs.has(ip)) {
-      return true
-    }
-
-    // Check if IP has too many failed attempts
-    const attempts = this.ipAttempts.get(ip) || { count: 0, lastAttempt: 0 }
-    if (attempts.count >= 5 && Date.now() - attempts.lastAttempt < 60 * 60 * 1000) { // 1 hour
+  async isSuspiciousIP(ip, admin) {
+    // Check if IP was flagged for too many failed attempts
+    const attempts = await IpLoginAttempt.findOne({ ipAddress: ip, expiresAt: { $gt: new Date() } })
+    if (attempts && (attempts.flagged || attempts.count >= MFA_CONFIG.IP_FAILED_LOGIN_LIMIT)) {
       return true
     }
 
@@ -69,22 +62,32 @@ class SessionService {
   }
 
   // Record failed login attempt
-  recordFailedAttempt(ip) {
-    const attempts = this.ipAttempts.get(ip) || { count: 0, lastAttempt: 0 }
-    attempts.count++
-    attempts.lastAttempt = Date.now()
-    this.ipAttempts.set(ip, attempts)
+  async recordFailedAttempt(ip) {
+    try {
+      const now = new Date()
+      const expiresAt = new Date(now.getTime() + MFA_CONFIG.IP_TRACKING_MINUTES * 60 * 1000)
+
+      // A lapsed record the TTL monitor hasn't removed yet starts over
+      await IpLoginAttempt.deleteOne({ ipAddress: ip, expiresAt: { $lte: now } })
+      const attempts = await IpLoginAttempt.findOneAndUpdate(
+        { ipAddress: ip },
+        { $inc: { count: 1 }, $set: { lastAttemptAt: now, expiresAt } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      )
 
-    // Add to suspicious IPs if too many attempts
-    if (attempts.count >= 5) {
-      this.suspiciousIPs.add(ip)
+      // Add to suspicious IPs if too many attempts
+      if (attempts.count >= MFA_CONFIG.IP_FAILED_LOGIN_LIMIT && !attempts.flagged) {
+        await IpLoginAttempt.updateOne({ _id: attempts._id }, { $set: { flagged: true } })
+      }
+    } catch (error) {
+      console.error('Failed to record login attempt:', error)
+      // Don't throw - the login response matters more than the counter
     }
   }
 
   // Clear failed attempts for IP
-  clearFailedAttempts(ip) {
-    this.ipAttempts.delete(ip)
-    this.suspiciousIPs.delete(ip)
+  async clearFailedAttempts(ip) {
+    await IpLoginAttempt.deleteOne({ ipAddress: ip })
   }
 
   // Create session
@@ -112,7 +115,7 @@ class SessionService {
       await admin.save()
 
       // Clear failed attempts for this IP
-      this.clearFailedAttempts(ipAddress)
+      await this.clearFailedAttempts(ipAddress)
 
       // Log successful login
       await AuditLog.logAction({
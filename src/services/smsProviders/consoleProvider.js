@@ -0,0 +1,25 @@
+const crypto = require('crypto');
+const { SMS_CONFIG } = require('../../config/constants');
+
+/**
+ * Console SMS Provider
+ * Prints messages to the server log instead of sending them, for local runs.
+ *
+ * Provider contract:
+ *   send({ to, body }) -> { messageId, status: 'sent'|'queued' }
+ * `to` is an E.164 number. Throw when the message cannot be handed over.
+ */
+class ConsoleSmsProvider {
+  constructor(senderId = SMS_CONFIG.SENDER_ID) {
+    this.name = 'console';
+    this.senderId = senderId;
+  }
+
+  async send({ to, body }) {
+    const messageId = `sms_console_${crypto.randomBytes(8).toString('hex')}`;
+    console.log(`📱 SMS [${this.senderId} -> ${to}] ${body}`);
+    return { messageId, status: 'sent' };
+  }
+}
+
+module.exports = ConsoleSmsProvider;
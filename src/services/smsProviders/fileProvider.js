@@ -0,0 +1,29 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { SMS_CONFIG } = require('../../config/constants');
+
+/**
+ * File SMS Provider
+ * Appends each message as a JSON line to SMS_LOG_FILE so local runs and
+ * scripted checks can read the codes back. Same contract as ConsoleSmsProvider.
+ */
+class FileSmsProvider {
+  constructor(filePath = SMS_CONFIG.LOG_FILE, senderId = SMS_CONFIG.SENDER_ID) {
+    this.name = 'file';
+    this.filePath = path.resolve(filePath);
+    this.senderId = senderId;
+  }
+
+  async send({ to, body }) {
+    const messageId = `sms_file_${crypto.randomBytes(8).toString('hex')}`;
+    const line = JSON.stringify({ messageId, from: this.senderId, to, body, sentAt: new Date().toISOString() });
+
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.appendFile(this.filePath, `${line}\n`);
+
+    return { messageId, status: 'sent' };
+  }
+}
+
+module.exports = FileSmsProvider;
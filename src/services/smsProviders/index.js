@@ -0,0 +1,39 @@
+const ConsoleSmsProvider = require('./consoleProvider');
+const FileSmsProvider = require('./fileProvider');
+const { SMS_CONFIG } = require('../../config/constants');
+
+/**
+ * SMS provider registry
+ * Real gateways (MSG91, Twilio, ...) plug in here by implementing the
+ * provider contract documented in consoleProvider.js.
+ */
+
+const providers = {};
+
+// Console and file providers write login codes in plain text - never in production
+if (process.env.NODE_ENV !== 'production') {
+  providers.console = () => new ConsoleSmsProvider();
+  providers.file = () => new FileSmsProvider();
+}
+
+const instances = {};
+
+// Get an SMS provider by name (defaults to SMS_PROVIDER)
+const getSmsProvider = (name = SMS_CONFIG.PROVIDER) => {
+  if (!name || !Object.prototype.hasOwnProperty.call(providers, name)) return null;
+  if (!instances[name]) {
+    instances[name] = providers[name]();
+  }
+  return instances[name];
+};
+
+// Register a provider factory (used to add gateways or swap one in tests)
+const registerSmsProvider = (name, factory) => {
+  providers[name] = factory;
+  delete instances[name];
+};
+
+module.exports = {
+  getSmsProvider,
+  registerSmsProvider
+};
@@ -0,0 +1,723 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const OrderItem = require('../models/OrderItem');
+const Address = require('../models/Address');
+const Branch = require('../models/Branch');
+const Subscription = require('../models/Subscription');
+const SubscriptionPlan = require('../models/SubscriptionPlan');
+const PricingService = require('./pricingService');
+const PickupSlotService = require('./pickupSlotService');
+const WalletService = require('./walletService');
+const WeightService = require('./weightService');
+const NotificationService = require('./notificationService');
+const { calculateDeliveryDate } = require('../utils/helpers');
+const {
+  ORDER_STATUS,
+  PAYMENT_METHODS,
+  NOTIFICATION_TYPES,
+  SUBSCRIPTION_CONFIG
+} = require('../config/constants');
+
+/**
+ * Subscription Service
+ * Recurring pickups on a SubscriptionPlan: monthly periods with a fee and a
+ * pickup quota, a weekly/biweekly schedule the job in src/jobs turns into
+ * Orders, and pause/skip/cancel for the customer.
+ */
+
+// Structured subscription error - `error` and `statusCode` are used by the global error handler
+class SubscriptionError extends Error {
+  constructor(error, message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'SubscriptionError';
+    this.error = error;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SCHEDULE_HORIZON_DAYS = 120;
+
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  result.setMonth(result.getMonth() + months);
+  return result;
+};
+
+const startOfDay = (date) => {
+  const result = new Date(date);
+  result.setHours(0, 0, 0, 0);
+  return result;
+};
+
+const toAddressSnapshot = (address) => ({
+  name: address.name,
+  phone: address.phone,
+  addressLine1: address.addressLine1,
+  addressLine2: address.addressLine2,
+  landmark: address.landmark,
+  city: address.city,
+  state: address.state,
+  pincode: address.pincode
+});
+
+class SubscriptionService {
+  // Active plans, optionally only those offered at a branch
+  static listPlans({ branchId } = {}) {
+    const query = { isActive: true };
+    if (branchId) {
+      query.$or = [{ branches: { $size: 0 } }, { branches: branchId }];
+    }
+    return SubscriptionPlan.find(query).sort({ monthlyFee: 1 });
+  }
+
+  /**
+   * Scheduled pickup dates from a day onwards
+   * @param {Object} subscription
+   * @param {string} fromKey - YYYY-MM-DD, inclusive
+   * @param {number} count - Dates to return
+   * @returns {string[]} date keys
+   */
+  static getScheduledDates(subscription, fromKey, count) {
+    const startKey = PickupSlotService.toDateKey(subscription.startDate);
+    const first = PickupSlotService.fromDateKey(fromKey > startKey ? fromKey : startKey);
+    const anchor = PickupSlotService.fromDateKey(startKey);
+    anchor.setDate(anchor.getDate() - anchor.getDay()); // Week containing the start date
+
+    const dates = [];
+    for (let i = 0; i < SCHEDULE_HORIZON_DAYS && dates.length < count; i++) {
+      const day = new Date(first);
+      day.setDate(first.getDate() + i);
+      if (!subscription.schedule.daysOfWeek.includes(day.getDay())) continue;
+
+      if (subscription.schedule.frequency === 'biweekly') {
+        const week = Math.floor(Math.round((startOfDay(day) - anchor) / DAY_MS) / 7);
+        if (week % 2 !== 0) continue;
+      }
+      dates.push(PickupSlotService.toDateKey(day));
+    }
+    return dates;
+  }
+
+  // First scheduled date from today that is neither skipped nor already handled
+  static computeNextPickup(subscription) {
+    const today = PickupSlotService.toDateKey(new Date());
+    const handled = new Set(subscription.occurrences.map(occurrence => occurrence.date));
+    const next = this.getScheduledDates(subscription, today, 60)
+      .find(date => !handled.has(date) && !subscription.skippedDates.includes(date));
+    return next ? PickupSlotService.fromDateKey(next) : null;
+  }
+
+  // Period quota and fee status
+  static getQuota(subscription, at = new Date()) {
+    const period = subscription.getPeriod(at) || subscription.periods[subscription.periods.length - 1];
+    if (!period) return null;
+    return {
+      periodStart: period.start,
+      periodEnd: period.end,
+      allowed: period.pickupsAllowed,
+      used: period.pickupsUsed,
+      remaining: Math.max(period.pickupsAllowed - period.pickupsUsed, 0),
+      fee: period.fee,
+      feeStatus: period.feeStatus
+    };
+  }
+
+  // Upcoming dates with their state, plus the quota
+  static getOverview(subscription) {
+    const today = PickupSlotService.toDateKey(new Date());
+    const occurrences = new Map(subscription.occurrences.map(occurrence => [occurrence.date, occurrence]));
+    const upcoming = this.getScheduledDates(subscription, today, SUBSCRIPTION_CONFIG.UPCOMING_PREVIEW)
+      .map(date => ({
+        date,
+        timeSlot: subscription.schedule.timeSlot,
+        status: occurrences.get(date)?.status ||
+          (subscription.skippedDates.includes(date) ? 'skipped' : subscription.status === 'active' ? 'scheduled' : subscription.status),
+        order: occurrences.get(date)?.order || null
+      }));
+
+    return { quota: this.getQuota(subscription), upcoming };
+  }
+
+  /**
+   * Start a subscription for a customer
+   * @param {Object} customer - User document
+   * @param {Object} data - planId, branchId, pickupAddressId, deliveryAddressId,
+   *   daysOfWeek, frequency, timeSlot, items, feePaymentMethod, startDate, specialInstructions
+   */
+  static async subscribe(customer, data) {
+    const plan = await SubscriptionPlan.findOne({ _id: data.planId, isActive: true });
+    if (!plan) {
+      throw new SubscriptionError('PLAN_NOT_FOUND', 'Subscription plan not found', 404);
+    }
+
+    const branch = await Branch.findOne({ _id: data.branchId, isActive: true });
+    if (!branch) {
+      throw new SubscriptionError('BRANCH_NOT_FOUND', 'Branch not found or inactive', 404);
+    }
+    if (plan.branches.length > 0 && !plan.branches.some(id => id.equals(branch._id))) {
+      throw new SubscriptionError('PLAN_NOT_OFFERED', 'This plan is not offered at the selected branch', 400);
+    }
+
+    const existing = await Subscription.findOne({
+      customer: customer._id,
+      plan: plan._id,
+      status: { $ne: 'cancelled' }
+    });
+    if (existing) {
+      throw new SubscriptionError('ALREADY_SUBSCRIBED', 'You already have this plan', 409, { subscriptionId: existing._id });
+    }
+
+    await this.validateDetails(customer._id, branch, plan, data);
+
+    const startDate = data.startDate ? startOfDay(data.startDate) : startOfDay(new Date());
+    if (isNaN(startDate.getTime()) || startDate < startOfDay(new Date())) {
+      throw new SubscriptionError('INVALID_START_DATE', 'Start date must be today or later', 400);
+    }
+
+    const subscription = new Subscription({
+      customer: customer._id,
+      plan: plan._id,
+      branch: branch._id,
+      pickupAddressId: data.pickupAddressId,
+      deliveryAddressId: data.deliveryAddressId,
+      schedule: {
+        frequency: data.frequency || 'weekly',
+        daysOfWeek: [...new Set(data.daysOfWeek.map(Number))],
+        timeSlot: data.timeSlot
+      },
+      items: data.items,
+      specialInstructions: data.specialInstructions,
+      feePaymentMethod: data.feePaymentMethod || 'wallet',
+      startDate
+    });
+
+    await this.openPeriod(subscription, plan, startDate);
+    subscription.nextPickupDate = this.computeNextPickup(subscription);
+    await subscription.save();
+
+    return subscription;
+  }
+
+  // Check addresses, schedule and items against the branch and plan
+  static async validateDetails(customerId, branch, plan, data) {
+    const [pickupAddress, deliveryAddress] = await Promise.all([
+      Address.findOne({ _id: data.pickupAddressId, userId: customerId }),
+      Address.findOne({ _id: data.deliveryAddressId, userId: customerId })
+    ]);
+    if (!pickupAddress || !deliveryAddress) {
+      throw new SubscriptionError('ADDRESS_NOT_FOUND', 'Pickup or delivery address not found', 404);
+    }
+
+    if (!Array.isArray(data.daysOfWeek) || data.daysOfWeek.length === 0 ||
+      data.daysOfWeek.some(day => !Number.isInteger(Number(day)) || day < 0 || day > 6)) {
+      throw new SubscriptionError('INVALID_SCHEDULE', 'daysOfWeek must list days 0 (Sunday) to 6 (Saturday)', 400);
+    }
+    if (data.frequency && !['weekly', 'biweekly'].includes(data.frequency)) {
+      throw new SubscriptionError('INVALID_SCHEDULE', 'Frequency must be weekly or biweekly', 400);
+    }
+    if (!PickupSlotService.getSlotTemplate(branch).some(window => window.timeSlot === data.timeSlot)) {
+      throw new SubscriptionError('SLOT_NOT_OFFERED', `Time slot ${data.timeSlot} is not offered by this branch`, 400);
+    }
+
+    if (!Array.isArray(data.items) || data.items.length === 0) {
+      throw new SubscriptionError('INVALID_ITEMS', 'Items are required', 400);
+    }
+    const quantity = data.items.reduce((sum, item) => sum + (parseInt(item.quantity) || 0), 0);
+    if (plan.maxItemsPerPickup && quantity > plan.maxItemsPerPickup) {
+      throw new SubscriptionError('TOO_MANY_ITEMS',
+        `This plan covers up to ${plan.maxItemsPerPickup} items per pickup`, 400);
+    }
+    if (data.feePaymentMethod && !SUBSCRIPTION_CONFIG.FEE_PAYMENT_METHODS.includes(data.feePaymentMethod)) {
+      throw new SubscriptionError('INVALID_PAYMENT_METHOD',
+        `Fee payment method must be one of ${SUBSCRIPTION_CONFIG.FEE_PAYMENT_METHODS.join(', ')}`, 400);
+    }
+
+    // Prices the template so unknown items fail now rather than at the first pickup
+    await PricingService.quote(data.items, { branchId: branch._id, subscription: plan });
+  }
+
+  // Change schedule, addresses or items
+  static async update(subscription, data) {
+    if (subscription.status === 'cancelled') {
+      throw new SubscriptionError('SUBSCRIPTION_CANCELLED', 'This subscription has been cancelled', 400);
+    }
+    const [plan, branch] = await Promise.all([
+      SubscriptionPlan.findById(subscription.plan),
+      Branch.findById(subscription.branch)
+    ]);
+
+    const merged = {
+      pickupAddressId: data.pickupAddressId || subscription.pickupAddressId,
+      deliveryAddressId: data.deliveryAddressId || subscription.deliveryAddressId,
+      daysOfWeek: data.daysOfWeek || subscription.schedule.daysOfWeek,
+      frequency: data.frequency || subscription.schedule.frequency,
+      timeSlot: data.timeSlot || subscription.schedule.timeSlot,
+      items: data.items || subscription.items,
+      feePaymentMethod: data.feePaymentMethod || subscription.feePaymentMethod
+    };
+    await this.validateDetails(subscription.customer, branch, plan, merged);
+
+    subscription.pickupAddressId = merged.pickupAddressId;
+    subscription.deliveryAddressId = merged.deliveryAddressId;
+    subscription.schedule = {
+      frequency: merged.frequency,
+      daysOfWeek: [...new Set(merged.daysOfWeek.map(Number))],
+      timeSlot: merged.timeSlot
+    };
+    subscription.items = merged.items;
+    subscription.feePaymentMethod = merged.feePaymentMethod;
+    if (data.specialInstructions !== undefined) {
+      subscription.specialInstructions = data.specialInstructions;
+    }
+    subscription.nextPickupDate = this.computeNextPickup(subscription);
+    await subscription.save();
+    return subscription;
+  }
+
+  /**
+   * Open a billing period and charge its fee. Wallet fees are debited now
+   * (a failed debit leaves the subscription past_due); COD fees ride on the
+   * period's first pickup.
+   */
+  static async openPeriod(subscription, plan, start) {
+    const period = {
+      start,
+      end: addMonths(start, 1),
+      fee: plan.monthlyFee,
+      pickupsAllowed: plan.pickupsPerPeriod,
+      pickupsUsed: 0,
+      feeStatus: plan.monthlyFee > 0 ? 'pending' : 'waived'
+    };
+    subscription.periods.push(period);
+    const added = subscription.periods[subscription.periods.length - 1];
+
+    if (added.feeStatus === 'pending') {
+      if (subscription.feePaymentMethod === 'cod') {
+        added.feeStatus = 'collect_on_pickup';
+      } else {
+        await this.chargeWallet(subscription, added, plan);
+      }
+    }
+    return added;
+  }
+
+  // Debit a period's fee from the wallet; idempotent per period
+  static async chargeWallet(subscription, period, plan) {
+    try {
+      const entry = await WalletService.debit({
+        userId: subscription.customer,
+        amount: period.fee,
+        source: 'subscription',
+        description: `${plan.name} subscription fee from ${PickupSlotService.toDateKey(period.start)}`,
+        idempotencyKey: `subscription:${subscription._id}:${PickupSlotService.toDateKey(period.start)}`
+      });
+      period.feeStatus = 'paid';
+      period.feePaidAt = new Date();
+      period.walletEntry = entry._id;
+      if (subscription.status === 'past_due') subscription.status = 'active';
+      return true;
+    } catch (error) {
+      if (!(error instanceof WalletService.WalletError)) throw error;
+      subscription.status = 'past_due';
+      try {
+        await NotificationService.createNotification({
+          recipientId: subscription.customer,
+          type: NOTIFICATION_TYPES.SUBSCRIPTION_PAYMENT_DUE,
+          title: 'Subscription payment due',
+          message: `We couldn't take ₹${period.fee} for your ${plan.name} subscription from your wallet. Top up to keep your pickups coming.`,
+          data: { subscriptionId: subscription._id, amount: period.fee }
+        });
+      } catch (notifyError) {
+        console.error('Error sending subscription payment notification:', notifyError);
+      }
+      return false;
+    }
+  }
+
+  // Period containing `at`, opening the next one when the last has ended
+  static async ensurePeriod(subscription, plan, at) {
+    const current = subscription.getPeriod(at);
+    if (current) return current;
+
+    const last = subscription.periods[subscription.periods.length - 1];
+    // Continue back-to-back unless the subscription sat paused for a whole period
+    let start = last && at < addMonths(last.end, 1) ? last.end : startOfDay(at);
+    while (addMonths(start, 1) <= at) start = addMonths(start, 1);
+    return this.openPeriod(subscription, plan, start);
+  }
+
+  // Retry a failed wallet fee (customer topped up)
+  static async retryPayment(subscription) {
+    const plan = await SubscriptionPlan.findById(subscription.plan);
+    const period = subscription.periods.find(p => p.feeStatus === 'pending');
+    if (!period) {
+      throw new SubscriptionError('NOTHING_DUE', 'There is no unpaid subscription fee', 400);
+    }
+    const paid = await this.chargeWallet(subscription, period, plan);
+    await subscription.save();
+    if (!paid) {
+      throw new SubscriptionError('INSUFFICIENT_BALANCE', 'Wallet balance is too low for the subscription fee', 409);
+    }
+    return subscription;
+  }
+
+  static async pause(subscription, until = null) {
+    if (subscription.status === 'cancelled') {
+      throw new SubscriptionError('SUBSCRIPTION_CANCELLED', 'This subscription has been cancelled', 400);
+    }
+    const pausedUntil = until ? startOfDay(until) : null;
+    if (pausedUntil && (isNaN(pausedUntil.getTime()) || pausedUntil <= new Date())) {
+      throw new SubscriptionError('INVALID_DATE', 'Pause end date must be in the future', 400);
+    }
+    subscription.status = 'paused';
+    subscription.pausedAt = new Date();
+    subscription.pausedUntil = pausedUntil;
+    subscription.nextPickupDate = null;
+    await subscription.save();
+    return subscription;
+  }
+
+  static async resume(subscription) {
+    if (subscription.status !== 'paused') {
+      throw new SubscriptionError('NOT_PAUSED', 'Subscription is not paused', 400);
+    }
+    subscription.status = subscription.periods.some(p => p.feeStatus === 'pending') ? 'past_due' : 'active';
+    subscription.pausedAt = undefined;
+    subscription.pausedUntil = undefined;
+    subscription.nextPickupDate = this.computeNextPickup(subscription);
+    await subscription.save();
+    return subscription;
+  }
+
+  // Skip one scheduled date (doesn't use quota)
+  static async skip(subscription, date) {
+    const dateKey = PickupSlotService.toDateKey(date);
+    const today = PickupSlotService.toDateKey(new Date());
+    if (dateKey < today) {
+      throw new SubscriptionError('INVALID_DATE', 'Only future pickups can be skipped', 400);
+    }
+    if (!this.getScheduledDates(subscription, dateKey, 1).includes(dateKey)) {
+      throw new SubscriptionError('NOT_SCHEDULED', `No pickup is scheduled on ${dateKey}`, 400);
+    }
+    if (subscription.occurrences.some(occurrence => occurrence.date === dateKey)) {
+      throw new SubscriptionError('ALREADY_GENERATED',
+        'The order for this date has already been created; cancel the order instead', 409);
+    }
+    if (!subscription.skippedDates.includes(dateKey)) {
+      subscription.skippedDates.push(dateKey);
+    }
+    subscription.nextPickupDate = this.computeNextPickup(subscription);
+    await subscription.save();
+    return subscription;
+  }
+
+  static async unskip(subscription, date) {
+    const dateKey = PickupSlotService.toDateKey(date);
+    subscription.skippedDates = subscription.skippedDates.filter(skipped => skipped !== dateKey);
+    subscription.nextPickupDate = this.computeNextPickup(subscription);
+    await subscription.save();
+    return subscription;
+  }
+
+  static async cancel(subscription, reason) {
+    if (subscription.status === 'cancelled') {
+      throw new SubscriptionError('SUBSCRIPTION_CANCELLED', 'This subscription has already been cancelled', 400);
+    }
+    subscription.status = 'cancelled';
+    subscription.cancelledAt = new Date();
+    subscription.cancellationReason = reason || 'Cancelled by customer';
+    subscription.nextPickupDate = null;
+    await subscription.save();
+    return subscription;
+  }
+
+  // Record what happened on a date and move on to the next one
+  static recordOccurrence(subscription, date, status, { order = null, reason = null } = {}) {
+    subscription.occurrences.push({ date, status, order, reason, at: new Date() });
+    subscription.nextPickupDate = this.computeNextPickup(subscription);
+  }
+
+  /**
+   * Create the Order for one scheduled date. Quota, fee and slot problems are
+   * recorded on the subscription (and the customer notified) instead of thrown.
+   * @returns {Promise<Object|null>} the Order, or null when none was created
+   */
+  static async generateOrder(subscription, dateKey) {
+    if (subscription.occurrences.some(occurrence => occurrence.date === dateKey)) return null;
+
+    if (subscription.skippedDates.includes(dateKey)) {
+      this.recordOccurrence(subscription, dateKey, 'skipped', { reason: 'Skipped by customer' });
+      await subscription.save();
+      return null;
+    }
+
+    const [plan, branch] = await Promise.all([
+      SubscriptionPlan.findById(subscription.plan),
+      Branch.findById(subscription.branch)
+    ]);
+    const pickupDate = PickupSlotService.fromDateKey(dateKey);
+    const period = await this.ensurePeriod(subscription, plan, pickupDate);
+
+    const fail = async (reason, status = 'failed') => {
+      this.recordOccurrence(subscription, dateKey, status, { reason });
+      await subscription.save();
+      if (status === 'failed') {
+        try {
+          await NotificationService.createNotification({
+            recipientId: subscription.customer,
+            type: NOTIFICATION_TYPES.SUBSCRIPTION_ORDER_FAILED,
+            title: 'Subscription pickup not scheduled',
+            message: `We couldn't schedule your ${plan.name} pickup on ${dateKey}: ${reason}`,
+            data: { subscriptionId: subscription._id, date: dateKey, reason }
+          });
+        } catch (error) {
+          console.error('Error sending subscription notification:', error);
+        }
+      }
+      return null;
+    };
+
+    if (period.feeStatus === 'pending') {
+      return fail('Subscription fee is unpaid');
+    }
+
+    const [pickupAddress, deliveryAddress] = await Promise.all([
+      Address.findOne({ _id: subscription.pickupAddressId, userId: subscription.customer }),
+      Address.findOne({ _id: subscription.deliveryAddressId, userId: subscription.customer })
+    ]);
+    if (!pickupAddress || !deliveryAddress) {
+      return fail('Pickup or delivery address no longer exists');
+    }
+
+    // A period opened by this run has to be stored before its quota can be claimed
+    if (period.isNew) await subscription.save();
+    if (!(await this.claimQuota(subscription, period))) {
+      return fail('All pickups for this period have been used', 'skipped');
+    }
+
+    let deliveryCharge = 0;
+    if (!plan.includesDelivery) {
+      const serviceArea = (branch.serviceAreas || []).find(area => area.pincode === pickupAddress.pincode);
+      deliveryCharge = serviceArea ? serviceArea.deliveryCharge : 30;
+    }
+
+    const quote = await PricingService.quote(subscription.items, {
+      branchId: branch._id,
+      deliveryCharge,
+      subscription: plan,
+      pickupDate
+    });
+
+    // A COD fee is collected with the period's first pickup
+    const collectFee = period.feeStatus === 'collect_on_pickup' && !period.feeOrder;
+    const pricing = { ...quote.pricing, breakdown: quote.lines };
+    if (collectFee) {
+      pricing.subscriptionFee = period.fee;
+      pricing.total += period.fee;
+    }
+    pricing.amountDue = pricing.total;
+    const estimatedWeightKg = WeightService.estimateFromLines(quote.lines);
+
+    let slot;
+    try {
+      slot = await PickupSlotService.reserve(branch, dateKey, subscription.schedule.timeSlot);
+    } catch (error) {
+      await this.releaseQuota(subscription, period);
+      if (error instanceof PickupSlotService.SlotError) {
+        return fail(error.message);
+      }
+      throw error;
+    }
+
+    const orderId = new mongoose.Types.ObjectId();
+    const orderCount = await Order.countDocuments();
+    let order;
+    try {
+      order = await Order.create({
+        _id: orderId,
+        orderNumber: `ORD${Date.now()}${String(orderCount + 1).padStart(4, '0')}`,
+        customer: subscription.customer,
+        branch: branch._id,
+        serviceType: 'full_service',
+        pickupAddress: toAddressSnapshot(pickupAddress),
+        deliveryAddress: toAddressSnapshot(deliveryAddress),
+        pickupDate,
+        pickupTimeSlot: subscription.schedule.timeSlot,
+        pickupSlot: { slot: slot._id, reservedAt: new Date() },
+        estimatedDeliveryDate: calculateDeliveryDate(pickupDate, false),
+        pricing,
+        pricingVersion: quote.pricingVersion || undefined,
+        weight: estimatedWeightKg ? { estimatedKg: estimatedWeightKg } : undefined,
+        paymentMethod: PAYMENT_METHODS.COD,
+        paymentStatus: pricing.total > 0 ? 'pending' : 'paid',
+        specialInstructions: subscription.specialInstructions,
+        subscription: {
+          subscription: subscription._id,
+          plan: plan._id,
+          date: dateKey,
+          maxWeightKg: plan.maxWeightKgPerPickup,
+          overageRatePerKg: plan.overageRatePerKg
+        },
+        statusHistory: [{
+          status: ORDER_STATUS.PLACED,
+          updatedBy: subscription.customer,
+          updatedAt: new Date(),
+          notes: `Generated from ${plan.name} subscription`
+        }]
+      });
+    } catch (error) {
+      await PickupSlotService.release(slot._id);
+      await this.releaseQuota(subscription, period);
+      // Another run already created this date's order
+      if (error.code === 11000) return null;
+      throw error;
+    }
+
+    const items = await OrderItem.insertMany(quote.lines.map((line, index) => ({
+      order: order._id,
+      itemType: line.itemType,
+      service: line.service,
+      category: line.category,
+      quantity: line.quantity,
+      unit: line.unit,
+      estimatedWeightKg: line.weightKg || undefined,
+      priceSource: line.priceSource,
+      catalogueItem: line.catalogueItem,
+      basePrice: line.basePrice,
+      serviceMultiplier: line.serviceMultiplier,
+      categoryMultiplier: line.categoryMultiplier,
+      expressMultiplier: 1,
+      unitPrice: line.unitPrice,
+      totalPrice: line.totalPrice,
+      specialInstructions: subscription.items[index].specialInstructions || ''
+    })));
+    order.items = items.map(item => item._id);
+    await order.save();
+
+    if (collectFee) period.feeOrder = order._id;
+    this.recordOccurrence(subscription, dateKey, 'generated', { order: order._id });
+    await subscription.save();
+
+    await PricingService.recordUsage(quote.pricingVersion, pricing.total);
+    await User.updateOne({ _id: subscription.customer }, { $inc: { totalOrders: 1 } });
+
+    try {
+      await NotificationService.createNotification({
+        recipientId: subscription.customer,
+        type: NOTIFICATION_TYPES.SUBSCRIPTION_ORDER_CREATED,
+        title: 'Subscription pickup scheduled',
+        message: `Your ${plan.name} pickup on ${dateKey} (${subscription.schedule.timeSlot}) is booked as order ${order.orderNumber}.`,
+        data: { orderId: order._id, subscriptionId: subscription._id, date: dateKey }
+      });
+    } catch (error) {
+      console.error('Error sending subscription notification:', error);
+    }
+
+    return order;
+  }
+
+  /**
+   * Scheduler entry point: resume pauses that have ended and create orders for
+   * pickups within GENERATE_DAYS_AHEAD days.
+   * @returns {Promise<{ resumed: number, generated: number, skipped: number, failed: number }>}
+   */
+  static async runDue(now = new Date()) {
+    const summary = { resumed: 0, generated: 0, skipped: 0, failed: 0 };
+
+    const paused = await Subscription.find({ status: 'paused', pausedUntil: { $ne: null, $lte: now } });
+    for (const subscription of paused) {
+      await this.resume(subscription);
+      summary.resumed += 1;
+    }
+
+    const horizon = startOfDay(new Date(now.getTime() + SUBSCRIPTION_CONFIG.GENERATE_DAYS_AHEAD * DAY_MS));
+    const due = await Subscription.find({
+      status: { $in: ['active', 'past_due'] },
+      nextPickupDate: { $ne: null, $lte: horizon }
+    }).limit(500);
+
+    const today = PickupSlotService.toDateKey(now);
+    for (const subscription of due) {
+      try {
+        // Retry a wallet fee that failed earlier (the customer may have topped up)
+        if (subscription.status === 'past_due') {
+          const plan = await SubscriptionPlan.findById(subscription.plan);
+          const unpaid = subscription.periods.find(period => period.feeStatus === 'pending');
+          if (unpaid) await this.chargeWallet(subscription, unpaid, plan);
+        }
+
+        while (subscription.nextPickupDate && subscription.nextPickupDate <= horizon) {
+          const dateKey = PickupSlotService.toDateKey(subscription.nextPickupDate);
+          const before = subscription.occurrences.length;
+
+          if (dateKey < today) {
+            this.recordOccurrence(subscription, dateKey, 'failed', { reason: 'Pickup date passed before the order was created' });
+            await subscription.save();
+          } else {
+            await this.generateOrder(subscription, dateKey);
+          }
+
+          const latest = subscription.occurrences[subscription.occurrences.length - 1];
+          if (subscription.occurrences.length === before) break; // Nothing recorded (already created elsewhere)
+          summary[latest.status === 'generated' ? 'generated' : latest.status] += 1;
+        }
+      } catch (error) {
+        summary.failed += 1;
+        console.error(`Error processing subscription ${subscription._id}:`, error);
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Take one pickup from a period's quota with a conditional $inc, so concurrent
+   * runs can't both take the last pickup. The guard sits in the filter because
+   * the updatedAt timestamp makes every matched update count as modified.
+   * @returns {Promise<boolean>} false when the period's pickups are used up
+   */
+  static async claimQuota(subscription, period) {
+    const result = await Subscription.updateOne(
+      {
+        _id: subscription._id,
+        periods: { $elemMatch: { _id: period._id, pickupsUsed: { $lt: period.pickupsAllowed } } }
+      },
+      { $inc: { 'periods.$.pickupsUsed': 1 } }
+    );
+    if (result.matchedCount === 0) return false;
+
+    // Mirror the count without marking it for a later save to overwrite
+    period.pickupsUsed += 1;
+    subscription.unmarkModified(`periods.${subscription.periods.indexOf(period)}.pickupsUsed`);
+    return true;
+  }
+
+  // Give back a pickup claimed for an order that was not created
+  static async releaseQuota(subscription, period) {
+    await Subscription.updateOne(
+      { _id: subscription._id },
+      { $inc: { 'periods.$[period].pickupsUsed': -1 } },
+      { arrayFilters: [{ 'period._id': period._id, 'period.pickupsUsed': { $gt: 0 } }] }
+    );
+    period.pickupsUsed = Math.max(period.pickupsUsed - 1, 0);
+    subscription.unmarkModified(`periods.${subscription.periods.indexOf(period)}.pickupsUsed`);
+  }
+
+  // Give a pickup back to the period quota when its order is cancelled
+  static async releaseQuotaForOrder(order) {
+    if (!order.subscription?.subscription || !order.subscription.date) return;
+    const pickupDate = PickupSlotService.fromDateKey(order.subscription.date);
+    await Subscription.updateOne(
+      { _id: order.subscription.subscription },
+      { $inc: { 'periods.$[period].pickupsUsed': -1 } },
+      { arrayFilters: [{ 'period.start': { $lte: pickupDate }, 'period.end': { $gt: pickupDate }, 'period.pickupsUsed': { $gt: 0 } }] }
+    );
+  }
+}
+
+SubscriptionService.SubscriptionError = SubscriptionError;
+
+module.exports = SubscriptionService;
@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const UserSession = require('../models/UserSession');
+const AuditLog = require('../models/AuditLog');
+const sessionService = require('./sessionService');
+const { generateAccessToken } = require('../utils/jwt');
+const { SESSION_CONFIG } = require('../config/constants');
+
+/**
+ * User Session Service
+ * Server-side sign-in sessions for customers and staff (the User model).
+ * Each session hands out short-lived access tokens carrying its id (`sid`)
+ * and one refresh token that is replaced on every use. Presenting a refresh
+ * token that was already replaced means it was copied, so the session is
+ * revoked. Revoking a session voids its access tokens on the next request.
+ */
+
+// Structured session error - `error` and `statusCode` are used by the global error handler
+class SessionError extends Error {
+  constructor(error, message, statusCode = 401, details = {}) {
+    super(message);
+    this.name = 'SessionError';
+    this.error = error;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const newSecret = () => crypto.randomBytes(32).toString('hex');
+
+// "Chrome on Windows" from a user agent string; good enough to tell devices apart
+const describeDevice = (userAgent = '') => {
+  const browsers = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Chrome/', 'Chrome'], ['Firefox/', 'Firefox'], ['Safari/', 'Safari']];
+  const systems = [['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iPadOS'], ['Windows', 'Windows'], ['Mac OS X', 'macOS'], ['Linux', 'Linux']];
+  const browser = browsers.find(([token]) => userAgent.includes(token));
+  const system = systems.find(([token]) => userAgent.includes(token));
+
+  if (!browser && !system) return userAgent ? userAgent.slice(0, 60) : 'Unknown device';
+  return [browser?.[1], system?.[1]].filter(Boolean).join(' on ');
+};
+
+class UserSessionService {
+  static refreshExpiry() {
+    return new Date(Date.now() + SESSION_CONFIG.REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+  }
+
+  static issueTokens(user, session, secret) {
+    return {
+      accessToken: generateAccessToken(user._id, user.email, user.role, session._id.toString()),
+      refreshToken: `${session._id}.${secret}`,
+      sessionId: session._id,
+      accessTokenExpiresIn: SESSION_CONFIG.ACCESS_TOKEN_MINUTES * 60,
+      refreshTokenExpiresAt: session.expiresAt
+    };
+  }
+
+  /**
+   * Start a session for a user signing in on a device
+   * @returns {Promise<{ accessToken, refreshToken, sessionId, accessTokenExpiresIn, refreshTokenExpiresAt }>}
+   */
+  static async createSession(user, req) {
+    const secret = newSecret();
+    const ipAddress = req.ip || '127.0.0.1';
+    const userAgent = req.get('User-Agent') || '';
+    const location = sessionService.getLocationFromIP(ipAddress);
+
+    const session = await UserSession.create({
+      user: user._id,
+      tokenHash: hashSecret(secret),
+      device: {
+        name: describeDevice(userAgent),
+        userAgent,
+        ipAddress,
+        location: [location.city, location.country].filter(Boolean).join(', ')
+      },
+      expiresAt: this.refreshExpiry()
+    });
+
+    await this.enforceSessionLimit(user._id);
+    return this.issueTokens(user, session, secret);
+  }
+
+  // Sign out the oldest sessions beyond MAX_SESSIONS_PER_USER
+  static async enforceSessionLimit(userId) {
+    const active = await UserSession.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .select('_id')
+      .sort({ lastActiveAt: -1 });
+    const excess = active.slice(SESSION_CONFIG.MAX_SESSIONS_PER_USER).map(session => session._id);
+    if (excess.length > 0) {
+      await UserSession.updateMany({ _id: { $in: excess } }, { $set: { revokedAt: new Date(), revokedReason: 'session_limit' } });
+    }
+  }
+
+  /**
+   * Swap a refresh token for a new access and refresh token
+   * @param {string} refreshToken - `<session id>.<secret>`
+   * @param {Function} loadUser - (userId) => active User document or null
+   */
+  static async refresh(refreshToken, req, loadUser) {
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+    if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+      throw new SessionError('INVALID_REFRESH_TOKEN', 'Invalid refresh token');
+    }
+
+    const session = await UserSession.findById(sessionId).select('+tokenHash +rotatedHashes');
+    if (!session || !session.isActive()) {
+      throw new SessionError('SESSION_EXPIRED', 'Session has ended. Please log in again.');
+    }
+
+    const presented = hashSecret(secret);
+    if (presented !== session.tokenHash) {
+      if (session.rotatedHashes.includes(presented)) {
+        await this.handleReuse(session, req);
+      }
+      throw new SessionError('INVALID_REFRESH_TOKEN', 'Invalid refresh token');
+    }
+
+    const user = await loadUser(session.user);
+    if (!user) {
+      await this.revokeSession(session.user, session._id, 'deactivated');
+      throw new SessionError('SESSION_EXPIRED', 'Session has ended. Please log in again.');
+    }
+
+    // Rotate: the presented secret joins the replaced ones. The conditional
+    // update makes two concurrent refreshes with the same token count as reuse.
+    const next = newSecret();
+    const rotated = await UserSession.findOneAndUpdate(
+      { _id: session._id, tokenHash: presented, revokedAt: null },
+      {
+        $set: {
+          tokenHash: hashSecret(next),
+          refreshedAt: new Date(),
+          lastActiveAt: new Date(),
+          expiresAt: this.refreshExpiry(),
+          'device.ipAddress': req.ip || session.device.ipAddress
+        },
+        $push: { rotatedHashes: { $each: [presented], $slice: -SESSION_CONFIG.ROTATED_TOKENS_KEPT } }
+      },
+      { new: true }
+    );
+    if (!rotated) {
+      await this.handleReuse(session, req);
+      throw new SessionError('INVALID_REFRESH_TOKEN', 'Invalid refresh token');
+    }
+
+    return this.issueTokens(user, rotated, next);
+  }
+
+  // A replaced refresh token came back: someone else holds a copy
+  static async handleReuse(session, req) {
+    await this.revokeSession(session.user, session._id, 'token_reuse');
+
+    try {
+      const User = require('../models/User');
+      const user = await User.findById(session.user).select('email role');
+      const userTypes = AuditLog.schema.path('userType').enumValues;
+      await AuditLog.logAction({
+        userId: session.user,
+        userType: userTypes.includes(user?.role) ? user.role : 'customer',
+        userEmail: user?.email || 'unknown',
+        action: 'refresh_token_reuse',
+        category: 'auth',
+        description: 'A replaced refresh token was presented again; the session was revoked',
+        ipAddress: req.ip || 'unknown',
+        userAgent: req.get('User-Agent'),
+        sessionId: session._id.toString(),
+        status: 'warning',
+        riskLevel: 'high',
+        metadata: { device: session.device?.name, originalIP: session.device?.ipAddress }
+      });
+    } catch (error) {
+      console.error('Failed to log refresh token reuse:', error);
+      // Don't throw - the session is already revoked
+    }
+  }
+
+  /**
+   * Check the session an access token belongs to
+   * @returns {Promise<Object|null>} the active session, or null
+   */
+  static async validate(userId, sessionId) {
+    if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) return null;
+
+    const session = await UserSession.findOne({ _id: sessionId, user: userId });
+    if (!session || !session.isActive()) return null;
+
+    if (Date.now() - session.lastActiveAt.getTime() > SESSION_CONFIG.ACTIVITY_UPDATE_SECONDS * 1000) {
+      await UserSession.updateOne({ _id: session._id }, { $set: { lastActiveAt: new Date() } });
+    }
+    return session;
+  }
+
+  // Active sessions of a user, most recent first; `current` marks the caller's
+  static async listSessions(userId, currentSessionId = null) {
+    const sessions = await UserSession.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .sort({ lastActiveAt: -1 });
+
+    return sessions.map(session => ({
+      _id: session._id,
+      device: session.device,
+      createdAt: session.createdAt,
+      lastActiveAt: session.lastActiveAt,
+      expiresAt: session.expiresAt,
+      current: Boolean(currentSessionId) && session._id.toString() === currentSessionId.toString()
+    }));
+  }
+
+  static async revokeSession(userId, sessionId, reason = 'user_revoked') {
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      throw new SessionError('SESSION_NOT_FOUND', 'Session not found', 404);
+    }
+    const result = await UserSession.updateOne(
+      { _id: sessionId, user: userId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    if (result.matchedCount === 0) {
+      throw new SessionError('SESSION_NOT_FOUND', 'Session not found', 404);
+    }
+  }
+
+  // Sign-out with only a refresh token (the access token may have expired)
+  static async revokeByRefreshToken(refreshToken, reason = 'logout') {
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+    if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) return false;
+
+    const result = await UserSession.updateOne(
+      { _id: sessionId, tokenHash: hashSecret(secret), revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Revoke every session of a user, optionally keeping one
+   * @returns {Promise<number>} sessions revoked
+   */
+  static async revokeAll(userId, reason = 'revoke_all', { exceptSessionId = null } = {}) {
+    const query = { user: userId, revokedAt: null };
+    if (exceptSessionId) query._id = { $ne: exceptSessionId };
+
+    const result = await UserSession.updateMany(query, { $set: { revokedAt: new Date(), revokedReason: reason } });
+    return result.modifiedCount;
+  }
+}
+
+UserSessionService.SessionError = SessionError;
+
+module.exports = UserSessionService;
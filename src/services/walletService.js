@@ -0,0 +1,283 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Order = require('../models/Order');
+const WalletEntry = require('../models/WalletEntry');
+const { WALLET_ACCOUNTS, WALLET_SOURCES } = require('../config/constants');
+
+/**
+ * Wallet Service
+ * Store credit held per customer, kept as a double-entry ledger (WalletEntry).
+ * User.walletBalance is the running balance the ledger maintains; it is moved
+ * with conditional atomic updates so the wallet can never go negative.
+ */
+
+// Structured wallet error - `error` and `statusCode` are used by the global error handler
+class WalletError extends Error {
+  constructor(error, message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'WalletError';
+    this.error = error;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const generateEntryNumber = () => {
+  const timestamp = Date.now().toString().slice(-8);
+  const random = crypto.randomBytes(3).toString('hex').toUpperCase();
+  return `WAL${timestamp}${random}`;
+};
+
+class WalletService {
+  /**
+   * Post a movement to a customer's wallet
+   * @param {Object} params
+   * @param {ObjectId} params.userId - Wallet owner
+   * @param {string} params.direction - 'credit' or 'debit' (wallet side)
+   * @param {number} params.amount - Amount in rupees
+   * @param {string} params.source - Key of WALLET_SOURCES
+   * @param {string} params.description - Statement text
+   * @param {Object} [params.references] - { order, refund, complaint }
+   * @param {string} [params.idempotencyKey] - Posting the same key again returns the first entry
+   * @param {Object} [params.actor] - { id, role, email }
+   * @returns {Promise<Object>} WalletEntry
+   */
+  static async post({ userId, direction, amount, source, description, references = {}, idempotencyKey, actor = null, metadata }) {
+    amount = round(Number(amount));
+    if (!(amount > 0)) {
+      throw new WalletError('INVALID_AMOUNT', 'Amount must be greater than zero', 400);
+    }
+    if (!['credit', 'debit'].includes(direction)) {
+      throw new WalletError('INVALID_DIRECTION', 'Direction must be credit or debit', 400);
+    }
+    const contraAccount = WALLET_SOURCES[source];
+    if (!contraAccount) {
+      throw new WalletError('INVALID_SOURCE', `Unknown wallet source ${source}`, 400);
+    }
+
+    if (idempotencyKey) {
+      const existing = await WalletEntry.findOne({ idempotencyKey });
+      if (existing) return existing;
+    }
+
+    // Move the balance first; debits only succeed while the funds are there
+    const change = direction === 'credit' ? amount : -amount;
+    const filter = direction === 'credit'
+      ? { _id: userId }
+      : { _id: userId, walletBalance: { $gte: amount } };
+    const user = await User.findOneAndUpdate(filter, { $inc: { walletBalance: change } }, { new: true })
+      .select('walletBalance');
+
+    if (!user) {
+      const exists = await User.exists({ _id: userId });
+      if (!exists) {
+        throw new WalletError('USER_NOT_FOUND', 'Customer not found', 404);
+      }
+      const current = await this.getCachedBalance(userId);
+      throw new WalletError('INSUFFICIENT_BALANCE', 'Wallet balance is too low for this payment', 409, {
+        balance: current,
+        requested: amount
+      });
+    }
+
+    const walletLine = { account: WALLET_ACCOUNTS.CUSTOMER_WALLET };
+    const contraLine = { account: contraAccount };
+    if (direction === 'credit') {
+      contraLine.debit = amount;
+      walletLine.credit = amount;
+    } else {
+      walletLine.debit = amount;
+      contraLine.credit = amount;
+    }
+
+    try {
+      return await WalletEntry.create({
+        entryNumber: generateEntryNumber(),
+        user: userId,
+        direction,
+        source,
+        amount,
+        balanceAfter: round(user.walletBalance),
+        lines: direction === 'credit' ? [contraLine, walletLine] : [walletLine, contraLine],
+        description,
+        order: references.order,
+        refund: references.refund,
+        complaint: references.complaint,
+        idempotencyKey,
+        createdBy: actor ? { id: actor.id, role: actor.role, email: actor.email } : undefined,
+        metadata
+      });
+    } catch (error) {
+      // Undo the balance move so the cached balance stays equal to the ledger
+      await User.updateOne({ _id: userId }, { $inc: { walletBalance: -change } });
+      if (error.code === 11000 && idempotencyKey) {
+        return WalletEntry.findOne({ idempotencyKey });
+      }
+      throw error;
+    }
+  }
+
+  static credit(params) {
+    return this.post({ ...params, direction: 'credit' });
+  }
+
+  static debit(params) {
+    return this.post({ ...params, direction: 'debit' });
+  }
+
+  static async getCachedBalance(userId) {
+    const user = await User.findById(userId).select('walletBalance');
+    return round(user?.walletBalance || 0);
+  }
+
+  // Balance recomputed from the ledger (for reconciliation)
+  static async getLedgerBalance(userId) {
+    const [totals] = await WalletEntry.aggregate([
+      { $match: { user: new mongoose.Types.ObjectId(userId) } },
+      {
+        $group: {
+          _id: null,
+          credits: { $sum: { $cond: [{ $eq: ['$direction', 'credit'] }, '$amount', 0] } },
+          debits: { $sum: { $cond: [{ $eq: ['$direction', 'debit'] }, '$amount', 0] } }
+        }
+      }
+    ]);
+    return {
+      credits: round(totals?.credits || 0),
+      debits: round(totals?.debits || 0),
+      balance: round((totals?.credits || 0) - (totals?.debits || 0))
+    };
+  }
+
+  // Current balance with lifetime totals
+  static async getBalance(userId) {
+    const [balance, ledger] = await Promise.all([
+      this.getCachedBalance(userId),
+      this.getLedgerBalance(userId)
+    ]);
+    return {
+      balance,
+      currency: 'INR',
+      lifetimeCredits: ledger.credits,
+      lifetimeDebits: ledger.debits,
+      inSync: Math.abs(balance - ledger.balance) < 0.01
+    };
+  }
+
+  /**
+   * Paginated statement with opening/closing balances for the period
+   * @param {ObjectId} userId
+   * @param {Object} options - { page, limit, from, to, source, direction }
+   */
+  static async getStatement(userId, { page = 1, limit = 20, from, to, source, direction } = {}) {
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const query = { user: userId };
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+    if (source) query.source = source;
+    if (direction) query.direction = direction;
+
+    const [entries, total] = await Promise.all([
+      WalletEntry.find(query)
+        .select('entryNumber direction source amount balanceAfter description order refund complaint createdAt')
+        .populate('order', 'orderNumber')
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      WalletEntry.countDocuments(query)
+    ]);
+
+    // Opening balance is the balance after the last entry before the period
+    let openingBalance = 0;
+    if (query.createdAt?.$gte) {
+      const previous = await WalletEntry.findOne({ user: userId, createdAt: { $lt: query.createdAt.$gte } })
+        .sort({ createdAt: -1, _id: -1 })
+        .select('balanceAfter');
+      openingBalance = previous ? previous.balanceAfter : 0;
+    }
+    const closing = await WalletEntry.findOne({ user: userId, ...(query.createdAt?.$lte ? { createdAt: { $lte: query.createdAt.$lte } } : {}) })
+      .sort({ createdAt: -1, _id: -1 })
+      .select('balanceAfter');
+
+    return {
+      entries,
+      openingBalance,
+      closingBalance: closing ? closing.balanceAfter : 0,
+      pagination: {
+        current: pageNum,
+        pages: Math.ceil(total / limitNum),
+        total,
+        limit: limitNum
+      }
+    };
+  }
+
+  /**
+   * Work out how much of an order total to take from the wallet
+   * @param {number} balance - Available wallet balance
+   * @param {number} total - Order total
+   * @param {number|null} requested - Amount asked for; null means as much as the balance covers
+   */
+  static planCheckout(balance, total, requested = null) {
+    const wanted = requested === null ? Math.min(balance, total) : Math.min(round(Number(requested)), total);
+    if (!(wanted > 0)) return 0;
+    if (wanted > balance) {
+      throw new WalletError('INSUFFICIENT_BALANCE', 'Wallet balance is too low for this payment', 409, {
+        balance,
+        requested: wanted
+      });
+    }
+    return round(wanted);
+  }
+
+  // Take the wallet share of an order at checkout
+  static debitForOrder(order, amount, actor) {
+    return this.debit({
+      userId: order.customer,
+      amount,
+      source: 'checkout',
+      description: `Payment for order ${order.orderNumber}`,
+      references: { order: order._id },
+      idempotencyKey: `checkout:${order._id}`,
+      actor
+    });
+  }
+
+  /**
+   * Return the wallet share of an order (cancellation or failed checkout).
+   * Safe to call more than once; only the first call credits the wallet.
+   */
+  static async reverseOrderDebit(order, reason = 'Order cancelled', actor = null) {
+    const amount = order.walletPayment?.amount || 0;
+    if (amount <= 0 || order.walletPayment?.reversedAt) return null;
+
+    const entry = await this.credit({
+      userId: order.customer._id || order.customer,
+      amount,
+      source: 'checkout_reversal',
+      description: `${reason} - order ${order.orderNumber}`,
+      references: { order: order._id },
+      idempotencyKey: `checkout_reversal:${order._id}`,
+      actor
+    });
+
+    await Order.updateOne(
+      { _id: order._id },
+      { $set: { 'walletPayment.reversedAt': new Date(), 'walletPayment.reversalEntry': entry._id } }
+    );
+
+    return entry;
+  }
+}
+
+WalletService.WalletError = WalletError;
+
+module.exports = WalletService;
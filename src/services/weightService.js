@@ -0,0 +1,386 @@
+const Order = require('../models/Order');
+const OrderItem = require('../models/OrderItem');
+const SubscriptionPlan = require('../models/SubscriptionPlan');
+const NotificationService = require('./notificationService');
+const RefundService = require('./refundService');
+const WalletService = require('./walletService');
+const InvoiceService = require('./invoiceService');
+const { ORDER_STATUS, PAYMENT_METHODS, PRICING_DEFAULTS, WEIGHT_CONFIG } = require('../config/constants');
+
+/**
+ * Weight Service
+ * Weigh-ins for per_kg orders. The measured weight replaces the booking
+ * estimate, the order is repriced with the unit prices fixed at booking, and
+ * the difference is settled: unpaid orders just owe a new amount, paid ones
+ * get an extra charge or a refund.
+ */
+
+// Structured weight error - `error` and `statusCode` are used by the global error handler
+class WeightError extends Error {
+  constructor(error, message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'WeightError';
+    this.error = error;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+
+class WeightService {
+  // Sum of the per_kg estimates in a quote, or null when nothing is billed by weight
+  static estimateFromLines(lines) {
+    const weighed = lines.filter(line => line.unit === 'per_kg');
+    if (weighed.length === 0) return null;
+    return round(weighed.reduce((sum, line) => sum + line.weightKg, 0));
+  }
+
+  /**
+   * Check that a branch can take another order's estimated weight on a pickup day
+   * (Branch.capacity.maxWeightPerDay, counted over the estimates of open orders)
+   */
+  static async checkDailyCapacity(branch, pickupDate, estimatedKg) {
+    const limit = branch.capacity?.maxWeightPerDay;
+    if (!estimatedKg || !limit) return;
+
+    const start = new Date(pickupDate);
+    start.setHours(0, 0, 0, 0);
+    const end = new Date(start);
+    end.setDate(end.getDate() + 1);
+
+    const [booked] = await Order.aggregate([
+      {
+        $match: {
+          branch: branch._id,
+          pickupDate: { $gte: start, $lt: end },
+          status: { $ne: ORDER_STATUS.CANCELLED },
+          'weight.estimatedKg': { $gt: 0 }
+        }
+      },
+      { $group: { _id: null, kg: { $sum: '$weight.estimatedKg' } } }
+    ]);
+    const bookedKg = booked ? booked.kg : 0;
+
+    if (bookedKg + estimatedKg > limit) {
+      throw new WeightError('BRANCH_WEIGHT_CAPACITY',
+        'The branch cannot take more laundry by weight on this day, please choose another date', 409, {
+          bookedKg: round(bookedKg),
+          maxWeightPerDay: limit
+        });
+    }
+  }
+
+  /**
+   * Split a measured weight over the per_kg lines, or take per-line weights
+   * @param {Object[]} items - per_kg OrderItems
+   * @param {Object} input - { totalWeightKg } or { weights: [{ itemId, weightKg }] }
+   * @returns {Map<string, number>} item id -> kg
+   */
+  static distributeWeight(items, { totalWeightKg, weights }) {
+    const result = new Map();
+
+    if (Array.isArray(weights) && weights.length > 0) {
+      for (const item of items) {
+        const entry = weights.find(weight => String(weight.itemId) === item._id.toString());
+        if (!entry || !(Number(entry.weightKg) > 0)) {
+          throw new WeightError('INVALID_WEIGHT', `A weight is required for every per-kg item (missing ${item.itemType})`, 400, {
+            itemId: item._id
+          });
+        }
+        result.set(item._id.toString(), round(Number(entry.weightKg)));
+      }
+      return result;
+    }
+
+    const total = Number(totalWeightKg);
+    if (!(total > 0)) {
+      throw new WeightError('INVALID_WEIGHT', 'Weight must be greater than zero', 400);
+    }
+
+    // Proportional to the estimates; the last line takes the rounding remainder
+    const estimated = items.reduce((sum, item) => sum + (item.estimatedWeightKg || item.quantity), 0);
+    let assigned = 0;
+    items.forEach((item, index) => {
+      const share = index === items.length - 1
+        ? round(total - assigned)
+        : round(total * (item.estimatedWeightKg || item.quantity) / estimated);
+      assigned += share;
+      result.set(item._id.toString(), share);
+    });
+    return result;
+  }
+
+  /**
+   * Record the measured weight of an order and settle the price difference
+   * @param {Object} order - Order document
+   * @param {Object} input - { totalWeightKg } or { weights }, plus stage ('pickup' | 'intake')
+   * @param {Object} actor - { id, role, email }
+   * @returns {Promise<{ order: Object, adjustment: Object }>}
+   */
+  static async recordWeighIn(order, input, actor) {
+    const stage = input.stage || 'intake';
+    if (!['pickup', 'intake'].includes(stage)) {
+      throw new WeightError('INVALID_STAGE', 'Stage must be pickup or intake', 400);
+    }
+    if (!WEIGHT_CONFIG.WEIGH_IN_STATUSES.includes(order.status)) {
+      throw new WeightError('WEIGH_IN_CLOSED', `Orders cannot be weighed once they are ${order.status}`, 409, {
+        status: order.status
+      });
+    }
+
+    const items = await OrderItem.find({ order: order._id, unit: 'per_kg' });
+    if (items.length === 0) {
+      throw new WeightError('NOT_WEIGHT_BASED', 'This order has no items billed by weight', 400);
+    }
+
+    const weights = this.distributeWeight(items, input);
+    const totalKg = round([...weights.values()].reduce((sum, kg) => sum + kg, 0));
+    if (totalKg > WEIGHT_CONFIG.MAX_ORDER_WEIGHT_KG) {
+      throw new WeightError('WEIGHT_TOO_HIGH', `Weight cannot exceed ${WEIGHT_CONFIG.MAX_ORDER_WEIGHT_KG} kg`, 400);
+    }
+
+    await this.claimWeighIn(order);
+
+    let adjustment;
+    try {
+      adjustment = await this.applyWeighIn(order, items, weights, totalKg, stage, actor);
+    } finally {
+      // A settled weigh-in changed the adjustment count, so older snapshots still can't claim it
+      await Order.updateOne({ _id: order._id }, { $unset: { 'weight.lockedAt': 1 } });
+    }
+
+    if (order.invoice && adjustment.difference !== 0) {
+      try {
+        await InvoiceService.noteForWeightAdjustment(order, adjustment, actor);
+      } catch (error) {
+        console.error('Error issuing weight adjustment note:', error);
+      }
+    }
+
+    if (adjustment.difference !== 0) {
+      try {
+        await NotificationService.notifyWeightAdjusted(order.customer._id || order.customer, order, adjustment);
+      } catch (error) {
+        console.error('Error sending weight adjustment notification:', error);
+      }
+    }
+
+    return { order, adjustment };
+  }
+
+  /**
+   * Take the weigh-in lock on an order. The lock is tied to the number of
+   * weigh-ins already settled, so a scan working from an older snapshot fails.
+   */
+  static async claimWeighIn(order) {
+    const now = new Date();
+    const staleBefore = new Date(now.getTime() - WEIGHT_CONFIG.WEIGH_IN_LOCK_SECONDS * 1000);
+
+    const claimed = await Order.updateOne(
+      {
+        _id: order._id,
+        status: { $in: WEIGHT_CONFIG.WEIGH_IN_STATUSES },
+        weightAdjustments: { $size: order.weightAdjustments.length },
+        $or: [{ 'weight.lockedAt': null }, { 'weight.lockedAt': { $lt: staleBefore } }]
+      },
+      { $set: { 'weight.lockedAt': now } }
+    );
+    if (claimed.modifiedCount === 0) {
+      throw new WeightError('WEIGH_IN_CONFLICT', 'This order is being weighed or was just weighed, please reload it and try again', 409);
+    }
+  }
+
+  // Reprice the weighed lines, settle the difference, then store items and order
+  static async applyWeighIn(order, items, weights, totalKg, stage, actor) {
+    const plan = order.subscription?.plan ? await SubscriptionPlan.findById(order.subscription.plan) : null;
+
+    // Reprice the weighed lines at the unit prices fixed at booking
+    let subtotalDelta = 0;
+    let creditDelta = 0;
+    for (const item of items) {
+      const previous = item.totalPrice;
+      // Saved only once the difference is settled (see the pre-save hook on OrderItem)
+      item.actualWeightKg = weights.get(item._id.toString());
+      item.totalPrice = round(item.unitPrice * item.getBillableQuantity());
+      const lineDelta = item.totalPrice - previous;
+      subtotalDelta += lineDelta;
+
+      if (plan) {
+        creditDelta += (plan.includedServices || []).includes(item.service)
+          ? lineDelta
+          : lineDelta * (plan.extraDiscountPercent || 0) / 100;
+      }
+
+      const index = order.items.findIndex(id => id.toString() === item._id.toString());
+      const line = order.pricing.breakdown?.[index];
+      if (line) {
+        line.weightKg = item.actualWeightKg;
+        line.totalPrice = item.totalPrice;
+      }
+    }
+
+    // Subscription orders pay for weight above the plan's per-pickup allowance
+    const overage = order.subscription?.maxWeightKg
+      ? round(Math.max(totalKg - order.subscription.maxWeightKg, 0) * (order.subscription.overageRatePerKg || 0))
+      : 0;
+    const overageDelta = overage - (order.pricing.weightOverage || 0);
+
+    const taxRate = order.pricing.taxRate ?? PRICING_DEFAULTS.TAX_RATE;
+    const taxableDelta = subtotalDelta - creditDelta + overageDelta;
+    const taxDelta = taxableDelta * taxRate / 100;
+    const previousTotal = order.pricing.total;
+
+    order.pricing.subtotal = round(order.pricing.subtotal + subtotalDelta);
+    order.pricing.subscriptionCredit = round((order.pricing.subscriptionCredit || 0) + creditDelta);
+    order.pricing.discount = round(order.pricing.discount + creditDelta);
+    order.pricing.weightOverage = overage;
+    order.pricing.tax = round(order.pricing.tax + taxDelta);
+    order.pricing.total = round(Math.max(previousTotal + taxableDelta + taxDelta, 0));
+    order.markModified('pricing.breakdown');
+
+    order.weight = {
+      estimatedKg: order.weight?.estimatedKg,
+      actualKg: totalKg,
+      weighedAt: new Date(),
+      weighedBy: actor.id,
+      stage
+    };
+
+    const adjustment = {
+      stage,
+      weightKg: totalKg,
+      previousTotal,
+      newTotal: order.pricing.total,
+      difference: round(order.pricing.total - previousTotal),
+      recordedBy: actor.id,
+      recordedAt: new Date()
+    };
+    await this.settle(order, adjustment, actor);
+
+    for (const item of items) {
+      await item.save();
+    }
+    order.weightAdjustments.push(adjustment);
+    await order.save();
+    return adjustment;
+  }
+
+  // Decide how the price difference of a weigh-in is paid or returned
+  static async settle(order, adjustment, actor) {
+    const { difference } = adjustment;
+    const isPaid = ['paid', 'partially_refunded'].includes(order.paymentStatus);
+    const walletShare = order.walletPayment?.amount || 0;
+    const key = `weight:${order._id}:${order.weightAdjustments.length}`;
+
+    // Not paid yet: the customer simply owes the new amount
+    if (!isPaid) {
+      if (walletShare > order.pricing.total) {
+        // The wallet paid more than the order now costs; give the excess back
+        const excess = round(walletShare - order.pricing.total);
+        await WalletService.credit({
+          userId: order.customer._id || order.customer,
+          amount: excess,
+          source: 'refund',
+          description: `Weight adjustment for order ${order.orderNumber}`,
+          references: { order: order._id },
+          idempotencyKey: key,
+          actor
+        });
+        order.walletPayment.amount = order.pricing.total;
+      }
+      order.pricing.amountDue = round(Math.max(order.pricing.total - (order.walletPayment?.amount || 0), 0));
+      if (order.pricing.amountDue === 0 && walletShare > 0) {
+        order.paymentStatus = 'paid';
+      }
+      adjustment.settlement = 'amount_due_updated';
+      return;
+    }
+
+    if (Math.abs(difference) < WEIGHT_CONFIG.MIN_ADJUSTMENT) {
+      adjustment.settlement = 'absorbed';
+      return;
+    }
+
+    if (difference > 0) {
+      if (order.paymentMethod === PAYMENT_METHODS.ONLINE) {
+        // Paid through POST /api/customer/orders/:orderId/payment (see PaymentService)
+        adjustment.settlement = 'payment_pending';
+        return;
+      }
+      if (order.paymentMethod === PAYMENT_METHODS.WALLET) {
+        try {
+          const entry = await WalletService.debit({
+            userId: order.customer._id || order.customer,
+            amount: difference,
+            source: 'checkout',
+            description: `Weight adjustment for order ${order.orderNumber}`,
+            references: { order: order._id },
+            idempotencyKey: key,
+            actor
+          });
+          // Counted in the wallet share so a cancellation returns it too
+          order.walletPayment.amount = round(walletShare + difference);
+          adjustment.settlement = 'wallet_debited';
+          adjustment.walletEntry = entry._id;
+          return;
+        } catch (error) {
+          if (!(error instanceof WalletService.WalletError)) throw error;
+        }
+      }
+      adjustment.settlement = 'collect_on_delivery';
+      return;
+    }
+
+    if (order.paymentMethod === PAYMENT_METHODS.WALLET) {
+      const entry = await WalletService.credit({
+        userId: order.customer._id || order.customer,
+        amount: Math.abs(difference),
+        source: 'refund',
+        description: `Weight adjustment for order ${order.orderNumber}`,
+        references: { order: order._id },
+        idempotencyKey: key,
+        actor
+      });
+      order.walletPayment.amount = round(Math.max(walletShare + difference, 0));
+      adjustment.settlement = 'refunded';
+      adjustment.walletEntry = entry._id;
+      return;
+    }
+
+    const refund = await RefundService.createRefund({
+      order,
+      amount: Math.abs(difference),
+      reason: `Weight adjustment: order weighed ${adjustment.weightKg} kg`,
+      category: 'other',
+      method: order.paymentMethod === PAYMENT_METHODS.ONLINE ? 'original_method' : 'store_credit',
+      source: 'weight_adjustment',
+      execute: true
+    }, RefundService.systemActor(actor.id));
+    adjustment.refund = refund._id;
+    adjustment.settlement = refund.status === 'completed' ? 'refunded' : 'refund_pending';
+
+    // createRefund reserved the amount on the stored order; keep this copy in step
+    const latest = await Order.findById(order._id).select('refundSummary paymentStatus');
+    order.refundSummary = latest.refundSummary;
+    order.paymentStatus = latest.paymentStatus;
+  }
+
+  // Extra online charge still owed after weigh-ins on a paid order
+  static getPendingCharge(order) {
+    return round((order.weightAdjustments || [])
+      .filter(adjustment => adjustment.settlement === 'payment_pending')
+      .reduce((sum, adjustment) => sum + adjustment.difference, 0));
+  }
+
+  // Amount the delivery agent collects for weigh-ins on a paid order
+  static getCollectOnDelivery(order) {
+    return round((order.weightAdjustments || [])
+      .filter(adjustment => adjustment.settlement === 'collect_on_delivery')
+      .reduce((sum, adjustment) => sum + adjustment.difference, 0));
+  }
+}
+
+WeightService.WeightError = WeightError;
+
+module.exports = WeightService;
@@ -0,0 +1,133 @@
+/**
+ * Code 128 Encoder
+ * Encodes order barcodes and garment tag codes for server-side printing.
+ * Uses code set B for text and switches to code set C for runs of digits,
+ * which keeps tag codes narrow enough for 58 mm labels.
+ */
+
+// Bar/space widths of each symbol value (0-105); STOP is value 106
+const PATTERNS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+
+const CODE_C = 99;
+const CODE_B = 100;
+const START_B = 104;
+const START_C = 105;
+const STOP = 106;
+
+const QUIET_ZONE = 10; // modules of white on each side
+
+const isDigit = (char) => char >= '0' && char <= '9';
+
+// Number of consecutive digits starting at `index`
+const digitRun = (text, index) => {
+  let end = index;
+  while (end < text.length && isDigit(text[end])) end++;
+  return end - index;
+};
+
+/**
+ * Split text into code set B and C segments. A digit run goes to code set C
+ * when it saves space: at least 4 digits at the start or end, 6 in the middle.
+ * Odd runs leave their first digit in code set B.
+ * @returns {{ set: string, text: string }[]}
+ */
+const segment = (text) => {
+  const segments = [];
+  let index = 0;
+
+  while (index < text.length) {
+    const run = digitRun(text, index);
+    const atEdge = index === 0 || index + run === text.length;
+    if (run >= (atEdge ? 4 : 6)) {
+      const even = run - (run % 2);
+      if (run % 2) {
+        segments.push({ set: 'B', text: text[index] });
+        index += 1;
+      }
+      segments.push({ set: 'C', text: text.slice(index, index + even) });
+      index += even;
+    } else {
+      const start = index;
+      index += Math.max(run, 1);
+      while (index < text.length) {
+        const next = digitRun(text, index);
+        if (next >= (index + next === text.length ? 4 : 6)) break;
+        index += Math.max(next, 1);
+      }
+      segments.push({ set: 'B', text: text.slice(start, index) });
+    }
+  }
+
+  // Merge neighbouring B segments produced by odd digit runs
+  return segments.reduce((merged, part) => {
+    const last = merged[merged.length - 1];
+    if (last && last.set === 'B' && part.set === 'B') {
+      last.text += part.text;
+    } else {
+      merged.push({ ...part });
+    }
+    return merged;
+  }, []);
+};
+
+/**
+ * Encode text as Code 128
+ * @param {string} text - Printable ASCII (32-126)
+ * @returns {{ text: string, segments: Object[], codes: number[], modules: string }}
+ *   `modules` is the bar pattern, one character per module: '1' bar, '0' space
+ */
+const encode = (text) => {
+  const value = String(text);
+  if (!value || /[^\x20-\x7e]/.test(value)) {
+    throw new Error('Code 128 text must be non-empty printable ASCII');
+  }
+
+  const segments = segment(value);
+  const codes = [];
+  segments.forEach((part, index) => {
+    if (index === 0) {
+      codes.push(part.set === 'C' ? START_C : START_B);
+    } else {
+      codes.push(part.set === 'C' ? CODE_C : CODE_B);
+    }
+    if (part.set === 'C') {
+      for (let i = 0; i < part.text.length; i += 2) {
+        codes.push(parseInt(part.text.slice(i, i + 2), 10));
+      }
+    } else {
+      for (const char of part.text) {
+        codes.push(char.charCodeAt(0) - 32);
+      }
+    }
+  });
+
+  const checksum = codes.reduce((sum, code, index) => sum + code * (index === 0 ? 1 : index), 0) % 103;
+  codes.push(checksum, STOP);
+
+  let modules = '0'.repeat(QUIET_ZONE);
+  codes.forEach(code => {
+    [...PATTERNS[code]].forEach((width, index) => {
+      modules += (index % 2 === 0 ? '1' : '0').repeat(Number(width));
+    });
+  });
+  modules += '0'.repeat(QUIET_ZONE);
+
+  return { text: value, segments, codes, modules };
+};
+
+module.exports = {
+  encode,
+  segment
+};
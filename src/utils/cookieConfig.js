@@ -1,4 +1,5 @@
 // Cookie configuration for authentication
+const { SESSION_CONFIG } = require('../config/constants')
 
 const isProduction = process.env.NODE_ENV === 'production'
 
@@ -8,17 +9,17 @@ const cookieConfig = {
     httpOnly: true,           // Not accessible via JavaScript
     secure: isProduction,     // HTTPS only in production
     sameSite: isProduction ? 'strict' : 'lax',  // CSRF protection
-    maxAge: 24 * 60 * 60 * 1000,  // 24 hours
+    maxAge: SESSION_CONFIG.ACCESS_TOKEN_MINUTES * 60 * 1000,
     path: '/'
   },
   
-  // Refresh token cookie options (if needed later)
+  // Refresh token cookie options - only sent to the auth endpoints
   refreshToken: {
     httpOnly: true,
     secure: isProduction,
     sameSite: isProduction ? 'strict' : 'lax',
-    maxAge: 7 * 24 * 60 * 60 * 1000,  // 7 days
-    path: '/'
+    maxAge: SESSION_CONFIG.REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000,
+    path: '/api/auth'
   }
 }
 
@@ -34,6 +35,11 @@ const setAuthCookie = (res, token) => {
   res.cookie(COOKIE_NAMES.ACCESS_TOKEN, token, cookieConfig.accessToken)
 }
 
+// Set refresh token cookie
+const setRefreshCookie = (res, token) => {
+  res.cookie(COOKIE_NAMES.REFRESH_TOKEN, token, cookieConfig.refreshToken)
+}
+
 // Set superadmin auth cookie
 const setSuperAdminAuthCookie = (res, token, customMaxAge) => {
   const options = { ...cookieConfig.accessToken }
@@ -59,6 +65,16 @@ const clearAuthCookie = (res) => {
   })
 }
 
+// Clear refresh token cookie
+const clearRefreshCookie = (res) => {
+  res.clearCookie(COOKIE_NAMES.REFRESH_TOKEN, {
+    httpOnly: true,
+    secure: isProduction,
+    sameSite: isProduction ? 'strict' : 'lax',
+    path: '/api/auth'
+  })
+}
+
 // Clear superadmin auth cookie
 const clearSuperAdminAuthCookie = (res) => {
   res.clearCookie(COOKIE_NAMES.SUPERADMIN_TOKEN, {
@@ -84,6 +100,19 @@ const getTokenFromRequest = (req) => {
   return null
 }
 
+// Get refresh token from cookie or body (for mobile apps or API clients)
+const getRefreshTokenFromRequest = (req) => {
+  if (req.cookies && req.cookies[COOKIE_NAMES.REFRESH_TOKEN]) {
+    return req.cookies[COOKIE_NAMES.REFRESH_TOKEN]
+  }
+
+  if (req.body && typeof req.body.refreshToken === 'string') {
+    return req.body.refreshToken
+  }
+
+  return null
+}
+
 // Get superadmin token from cookie or header
 const getSuperAdminTokenFromRequest = (req) => {
   // First check superadmin cookie
@@ -103,9 +132,12 @@ module.exports = {
   cookieConfig,
   COOKIE_NAMES,
   setAuthCookie,
+  setRefreshCookie,
   setSuperAdminAuthCookie,
   clearAuthCookie,
+  clearRefreshCookie,
   clearSuperAdminAuthCookie,
   getTokenFromRequest,
+  getRefreshTokenFromRequest,
   getSuperAdminTokenFromRequest
 }
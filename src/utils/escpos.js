@@ -0,0 +1,224 @@
+/**
+ * ESC/POS Rendering
+ * Builds raw byte streams for 58 / 80 mm thermal printers: intake receipts and
+ * garment tag labels (see PrintService for the data they are built from).
+ * Barcodes use the printer's own Code 128 command, so they print at full resolution.
+ */
+const code128 = require('./code128');
+const { PRINT_CONFIG } = require('../config/constants');
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const LF = 0x0a;
+
+const ALIGN = { left: 0, center: 1, right: 2 };
+
+// Thermal printers only have a single-byte code page; keep text to plain ASCII
+const toAscii = (text) => String(text ?? '')
+  .replace(/₹/g, 'Rs.')
+  .normalize('NFKD')
+  .replace(/[^\x20-\x7e]/g, '');
+
+const wrap = (text, width) => {
+  const lines = [];
+  let line = '';
+  toAscii(text).split(/\s+/).filter(Boolean).forEach(word => {
+    while (word.length > width) {
+      if (line) {
+        lines.push(line);
+        line = '';
+      }
+      lines.push(word.slice(0, width));
+      word = word.slice(width);
+    }
+    if (!line) {
+      line = word;
+    } else if (line.length + 1 + word.length <= width) {
+      line += ` ${word}`;
+    } else {
+      lines.push(line);
+      line = word;
+    }
+  });
+  if (line) lines.push(line);
+  return lines;
+};
+
+class EscPosBuilder {
+  constructor(paperWidth) {
+    this.paper = PRINT_CONFIG.PAPER[paperWidth];
+    this.columns = this.paper.columns;
+    this.chunks = [];
+    this.raw(ESC, 0x40); // Initialise
+  }
+
+  raw(...bytes) {
+    this.chunks.push(Buffer.from(bytes));
+    return this;
+  }
+
+  text(text) {
+    this.chunks.push(Buffer.from(toAscii(text), 'ascii'));
+    return this;
+  }
+
+  line(text = '') {
+    return this.text(text).raw(LF);
+  }
+
+  // Word-wrapped paragraph at the current width
+  paragraph(text, columns = this.columns) {
+    wrap(text, columns).forEach(line => this.line(line));
+    return this;
+  }
+
+  align(position) {
+    return this.raw(ESC, 0x61, ALIGN[position]);
+  }
+
+  bold(on = true) {
+    return this.raw(ESC, 0x45, on ? 1 : 0);
+  }
+
+  // Double width and height; halves the columns per line
+  large(on = true) {
+    return this.raw(GS, 0x21, on ? 0x11 : 0x00);
+  }
+
+  // Left text and right-aligned value on one line
+  row(left, right) {
+    const value = toAscii(right);
+    const width = Math.max(this.columns - value.length - 1, 1);
+    const lines = wrap(left, width);
+    if (lines.length === 0) lines.push('');
+    lines.forEach((line, index) => {
+      const tail = index === lines.length - 1 ? value : '';
+      this.line(line.padEnd(this.columns - tail.length, ' ') + tail);
+    });
+    return this;
+  }
+
+  divider(char = '-') {
+    return this.line(char.repeat(this.columns));
+  }
+
+  feed(lines = 1) {
+    return this.raw(ESC, 0x64, lines);
+  }
+
+  /**
+   * Code 128 barcode with the human-readable text printed below.
+   * The module width is the widest that still fits the paper.
+   */
+  barcode(text, height = PRINT_CONFIG.BARCODE_HEIGHT_DOTS) {
+    const { segments, modules } = code128.encode(toAscii(text));
+    const moduleWidth = Math.min(Math.max(Math.floor(this.paper.dots / modules.length), 1), 4);
+
+    // Data: {B / {C switch code sets; code set C carries one byte per digit pair
+    const data = [];
+    segments.forEach(part => {
+      data.push(0x7b, part.set === 'C' ? 0x43 : 0x42);
+      if (part.set === 'C') {
+        for (let i = 0; i < part.text.length; i += 2) {
+          data.push(parseInt(part.text.slice(i, i + 2), 10));
+        }
+      } else {
+        for (const char of part.text) {
+          data.push(char.charCodeAt(0));
+          if (char === '{') data.push(0x7b);
+        }
+      }
+    });
+
+    return this
+      .raw(GS, 0x68, height)      // Height in dots
+      .raw(GS, 0x77, moduleWidth) // Module width
+      .raw(GS, 0x48, 2)           // Human-readable text below
+      .raw(GS, 0x6b, 73, data.length, ...data)
+      .raw(LF);
+  }
+
+  cut() {
+    return this.feed(3).raw(GS, 0x56, 66, 0);
+  }
+
+  toBuffer() {
+    return Buffer.concat(this.chunks);
+  }
+}
+
+/**
+ * Intake receipt
+ * @param {Object} receipt - From PrintService.buildReceipt
+ * @param {number} paperWidth - 58 or 80 (mm)
+ * @returns {Buffer}
+ */
+const renderReceiptEscPos = (receipt, paperWidth) => {
+  const printer = new EscPosBuilder(paperWidth);
+  const { branch } = receipt;
+
+  printer.align('center').bold().large().paragraph(branch.name, Math.floor(printer.columns / 2)).large(false).bold(false);
+  printer.paragraph(branch.address);
+  if (branch.phone) printer.line(`Ph: ${branch.phone}`);
+  if (branch.gstin) printer.line(`GSTIN: ${branch.gstin}`);
+  printer.divider();
+
+  printer.bold().line(receipt.title).bold(false);
+  printer.barcode(receipt.barcode);
+  printer.align('left');
+  printer.row('Order', receipt.orderNumber);
+  printer.row('Date', receipt.placedAt);
+  printer.row('Due', receipt.dueDate);
+  printer.row('Customer', receipt.customer.name);
+  if (receipt.customer.phone) printer.row('Phone', receipt.customer.phone);
+  if (receipt.isExpress) printer.bold().line('** EXPRESS **').bold(false);
+  printer.divider();
+
+  receipt.items.forEach(item => {
+    printer.row(`${item.quantity} x ${item.name}`, item.amount);
+    printer.paragraph(item.service);
+    if (item.instructions) printer.paragraph(`Note: ${item.instructions}`);
+  });
+  printer.divider();
+
+  receipt.totals.forEach(([label, value]) => printer.row(label, value));
+  printer.bold().row('TOTAL', receipt.total).bold(false);
+  printer.row('Payment', receipt.payment);
+  if (receipt.pieces) printer.row('Pieces', String(receipt.pieces));
+  printer.divider();
+
+  if (receipt.notes) printer.paragraph(`Instructions: ${receipt.notes}`).divider();
+  printer.align('center').paragraph(receipt.footer);
+
+  return printer.cut().toBuffer();
+};
+
+/**
+ * Garment tag labels, one cut per label
+ * @param {Object[]} labels - GarmentTagService.buildLabel output
+ * @param {number} paperWidth - 58 or 80 (mm)
+ * @returns {Buffer}
+ */
+const renderLabelsEscPos = (labels, paperWidth) => {
+  const printer = new EscPosBuilder(paperWidth);
+
+  labels.forEach(label => {
+    printer.align('center');
+    printer.barcode(label.tagCode, PRINT_CONFIG.LABEL_BARCODE_HEIGHT_DOTS);
+    printer.bold().row(label.orderNumber, label.piece).bold(false);
+    printer.align('left');
+    printer.paragraph([label.itemType, label.service].filter(Boolean).join(' / '));
+    printer.row(`${label.customerName || ''} ${label.branchCode ? `[${label.branchCode}]` : ''}`.trim(), `Due ${label.dueDate}`);
+    if (label.isExpress) printer.bold().line('EXPRESS').bold(false);
+    if (label.specialInstructions) printer.paragraph(label.specialInstructions);
+    printer.cut();
+  });
+
+  return printer.toBuffer();
+};
+
+module.exports = {
+  EscPosBuilder,
+  renderReceiptEscPos,
+  renderLabelsEscPos
+};
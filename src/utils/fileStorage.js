@@ -0,0 +1,58 @@
+/**
+ * File Storage
+ * Keeps uploaded files (handover photos, signatures) on local disk under
+ * RIDER_CONFIG.UPLOAD_DIR. Stored paths are relative to that directory so
+ * the folder can be moved or mounted elsewhere.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { RIDER_CONFIG } = require('../config/constants');
+
+const ROOT = path.resolve(RIDER_CONFIG.UPLOAD_DIR || path.join(__dirname, '../../uploads'));
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp'
+};
+
+/**
+ * Decode a base64 data URL ("data:image/png;base64,....")
+ * @returns {{ contentType: string, buffer: Buffer } | null} null when it is not a base64 data URL
+ */
+const parseDataUrl = (dataUrl) => {
+  const match = /^data:([\w.+-]+\/[\w.+-]+);base64,([A-Za-z0-9+/=\s]+)$/.exec(String(dataUrl || ''));
+  if (!match) return null;
+  return { contentType: match[1].toLowerCase(), buffer: Buffer.from(match[2], 'base64') };
+};
+
+/**
+ * Write a file under the upload directory
+ * @param {string} folder - Sub folder, e.g. 'handovers/<orderId>'
+ * @param {string} name - File name without extension
+ * @param {{ contentType: string, buffer: Buffer }} file
+ * @returns {Promise<{ path: string, contentType: string, size: number }>}
+ */
+const saveFile = async (folder, name, file) => {
+  const extension = EXTENSIONS[file.contentType] || 'bin';
+  const relative = path.posix.join(folder, `${name}-${crypto.randomBytes(4).toString('hex')}.${extension}`);
+  const absolute = path.join(ROOT, relative);
+
+  await fs.promises.mkdir(path.dirname(absolute), { recursive: true });
+  await fs.promises.writeFile(absolute, file.buffer);
+
+  return { path: relative, contentType: file.contentType, size: file.buffer.length };
+};
+
+// Absolute path of a stored file, or null if the stored path points outside the upload directory
+const resolveFile = (relative) => {
+  const absolute = path.resolve(ROOT, String(relative || ''));
+  return absolute.startsWith(ROOT + path.sep) ? absolute : null;
+};
+
+module.exports = {
+  parseDataUrl,
+  saveFile,
+  resolveFile
+};
@@ -1,5 +1,5 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
-const { SERVICES, CLOTHING_CATEGORIES, ITEM_TYPES } = require('../config/constants');
 
 // Generate JWT token
 const generateToken = (userId) => {
@@ -60,106 +60,6 @@ const formatPaginationResponse = (data, total, page, limit) => {
   };
 };
 
-// Pricing calculation helper
-const calculateItemPrice = (itemType, service, category, isExpress = false) => {
-  // Base prices (in rupees) - these would come from database in real implementation
-  const basePrices = {
-    // Men's items
-    [ITEM_TYPES.MENS_SHIRT]: 30,
-    [ITEM_TYPES.MENS_PANT]: 40,
-    [ITEM_TYPES.MENS_TSHIRT]: 25,
-    [ITEM_TYPES.MENS_JEANS]: 50,
-    [ITEM_TYPES.MENS_SUIT]: 200,
-    
-    // Women's items
-    [ITEM_TYPES.WOMENS_DRESS]: 60,
-    [ITEM_TYPES.WOMENS_BLOUSE]: 35,
-    [ITEM_TYPES.WOMENS_SAREE]: 80,
-    [ITEM_TYPES.WOMENS_KURTI]: 40,
-    [ITEM_TYPES.WOMENS_JEANS]: 50,
-    
-    // Kids items
-    [ITEM_TYPES.KIDS_SHIRT]: 20,
-    [ITEM_TYPES.KIDS_DRESS]: 25,
-    [ITEM_TYPES.KIDS_PANT]: 25,
-    
-    // Household items
-    [ITEM_TYPES.BEDSHEET]: 60,
-    [ITEM_TYPES.CURTAIN]: 100,
-    [ITEM_TYPES.TOWEL]: 20,
-    [ITEM_TYPES.PILLOW_COVER]: 15
-  };
-
-  // Service multipliers
-  const serviceMultipliers = {
-    // New 8 services
-    [SERVICES.WASH_FOLD]: 1,
-    [SERVICES.WASH_IRON]: 1.3,
-    [SERVICES.PREMIUM_LAUNDRY]: 1.8,
-    [SERVICES.DRY_CLEAN]: 2,
-    [SERVICES.STEAM_PRESS]: 0.6,
-    [SERVICES.STARCHING]: 0.7,
-    [SERVICES.PREMIUM_STEAM_PRESS]: 0.9,
-    [SERVICES.PREMIUM_DRY_CLEAN]: 2.5,
-    // Legacy services (backward compatibility)
-    [SERVICES.WASHING]: 1,
-    [SERVICES.DRY_CLEANING]: 2,
-    [SERVICES.IRONING]: 0.5
-  };
-
-  // Category multipliers
-  const categoryMultipliers = {
-    [CLOTHING_CATEGORIES.NORMAL]: 1,
-    [CLOTHING_CATEGORIES.DELICATE]: 1.5,
-    [CLOTHING_CATEGORIES.WOOLEN]: 2
-  };
-
-  const basePrice = basePrices[itemType] || 30;
-  const serviceMultiplier = serviceMultipliers[service] || 1;
-  const categoryMultiplier = categoryMultipliers[category] || 1;
-  const expressMultiplier = isExpress ? 1.5 : 1;
-
-  const unitPrice = basePrice * serviceMultiplier * categoryMultiplier * expressMultiplier;
-
-  return {
-    basePrice,
-    serviceMultiplier,
-    categoryMultiplier,
-    expressMultiplier,
-    unitPrice: Math.round(unitPrice)
-  };
-};
-
-// Calculate order total
-const calculateOrderTotal = (items, deliveryCharge = 0, discount = 0, taxRate = 0.18) => {
-  let subtotal = 0;
-  let expressCharge = 0;
-
-  items.forEach(item => {
-    const pricing = calculateItemPrice(item.itemType, item.service, item.category, item.isExpress);
-    const itemTotal = pricing.unitPrice * item.quantity;
-    subtotal += itemTotal;
-    
-    if (item.isExpress) {
-      expressCharge += (pricing.unitPrice * 0.5) * item.quantity; // 50% express charge
-    }
-  });
-
-  const discountAmount = (subtotal * discount) / 100;
-  const taxableAmount = subtotal + deliveryCharge + expressCharge - discountAmount;
-  const tax = taxableAmount * taxRate;
-  const total = taxableAmount + tax;
-
-  return {
-    subtotal: Math.round(subtotal),
-    expressCharge: Math.round(expressCharge),
-    deliveryCharge: Math.round(deliveryCharge),
-    discount: Math.round(discountAmount),
-    tax: Math.round(tax),
-    total: Math.round(total)
-  };
-};
-
 // Generate order number
 const generateOrderNumber = () => {
   const timestamp = Date.now();
@@ -217,10 +117,9 @@ const calculateDeliveryDate = (pickupDate, isExpress = false) => {
 
 // Generate random OTP
 const generateOTP = (length = 6) => {
-  const digits = '0123456789';
   let otp = '';
   for (let i = 0; i < length; i++) {
-    otp += digits[Math.floor(Math.random() * 10)];
+    otp += crypto.randomInt(0, 10);
   }
   return otp;
 };
@@ -250,8 +149,6 @@ module.exports = {
   sendError,
   getPagination,
   formatPaginationResponse,
-  calculateItemPrice,
-  calculateOrderTotal,
   generateOrderNumber,
   generateTicketNumber,
   formatDate,
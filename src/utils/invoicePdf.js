@@ -0,0 +1,154 @@
+/**
+ * Invoice PDF Rendering
+ * Lays out a GST invoice, credit note or debit note (see InvoiceService) on an A4 page
+ */
+const PDFDocument = require('pdfkit');
+
+const TITLES = {
+  invoice: 'TAX INVOICE',
+  credit_note: 'CREDIT NOTE',
+  debit_note: 'DEBIT NOTE'
+};
+
+// Description, SAC, Qty, Rate, Amount
+const COLUMNS = [
+  { key: 'description', label: 'Description', x: 40, width: 235, align: 'left' },
+  { key: 'sacCode', label: 'SAC', x: 280, width: 55, align: 'left' },
+  { key: 'quantity', label: 'Qty', x: 340, width: 55, align: 'right' },
+  { key: 'unitPrice', label: 'Rate', x: 400, width: 70, align: 'right' },
+  { key: 'amount', label: 'Amount', x: 475, width: 80, align: 'right' }
+];
+
+// The built-in fonts have no rupee glyph
+const money = (value) => `Rs. ${Number(value || 0).toFixed(2)}`;
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' });
+
+const drawParty = (doc, heading, party, x, y, width) => {
+  doc.font('Helvetica-Bold').fontSize(9).text(heading, x, y, { width });
+  doc.font('Helvetica').fontSize(9);
+  [
+    party?.name,
+    party?.address,
+    party?.state ? `State: ${party.state}` : null,
+    party?.gstin ? `GSTIN: ${party.gstin}` : null,
+    party?.phone ? `Phone: ${party.phone}` : null,
+    party?.email
+  ].filter(Boolean).forEach(line => doc.text(line, { width }));
+  return doc.y;
+};
+
+const drawTotals = (doc, rows, y) => {
+  rows.forEach(([label, value, bold]) => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(bold ? 10 : 9);
+    doc.text(label, 340, y, { width: 130, align: 'right' });
+    doc.text(value, 475, y, { width: 80, align: 'right' });
+    y += bold ? 16 : 14;
+  });
+  return y;
+};
+
+/**
+ * Render an invoice document to a PDF
+ * @param {Object} invoice - Invoice model document
+ * @returns {Promise<Buffer>}
+ */
+const renderInvoicePdf = (invoice) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 40, info: { Title: `${TITLES[invoice.documentType]} ${invoice.number}` } });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  // Header
+  doc.font('Helvetica-Bold').fontSize(16).text(TITLES[invoice.documentType], 40, 40, { align: 'center', width: 515 });
+  doc.moveDown(0.5);
+
+  const metaY = doc.y;
+  const sellerBottom = drawParty(doc, 'From', invoice.seller, 40, metaY, 260);
+
+  doc.font('Helvetica').fontSize(9);
+  const meta = [
+    ['Number', invoice.number],
+    ['Date', formatDate(invoice.issuedAt)],
+    ['Order', invoice.orderNumber],
+    invoice.originalInvoiceNumber ? ['Against invoice', invoice.originalInvoiceNumber] : null,
+    ['Place of supply', invoice.placeOfSupply || '-'],
+    ['Supply', invoice.supplyType === 'inter_state' ? 'Inter-state (IGST)' : 'Intra-state (CGST + SGST)']
+  ].filter(Boolean);
+  meta.forEach(([label, value], index) => {
+    doc.font('Helvetica-Bold').text(`${label}:`, 330, metaY + index * 13, { width: 90 });
+    doc.font('Helvetica').text(value, 420, metaY + index * 13, { width: 135 });
+  });
+
+  const buyerTop = Math.max(sellerBottom, metaY + meta.length * 13) + 12;
+  let y = drawParty(doc, 'Bill to', invoice.buyer, 40, buyerTop, 260) + 8;
+
+  if (invoice.reason) {
+    doc.font('Helvetica-Bold').fontSize(9).text('Reason: ', 40, y, { continued: true })
+      .font('Helvetica').text(invoice.reason);
+    y = doc.y + 8;
+  }
+
+  // Line items
+  doc.moveTo(40, y).lineTo(555, y).stroke();
+  y += 5;
+  doc.font('Helvetica-Bold').fontSize(9);
+  COLUMNS.forEach(column => doc.text(column.label, column.x, y, { width: column.width, align: column.align }));
+  y += 14;
+  doc.moveTo(40, y).lineTo(555, y).stroke();
+  y += 5;
+
+  doc.font('Helvetica').fontSize(9);
+  invoice.lines.forEach(line => {
+    if (y > 720) {
+      doc.addPage();
+      y = 40;
+    }
+    const values = {
+      description: line.description,
+      sacCode: line.sacCode || '',
+      quantity: `${line.quantity ?? ''} ${line.unit === 'service' ? '' : line.unit || ''}`.trim(),
+      unitPrice: Number(line.unitPrice || 0).toFixed(2),
+      amount: Number(line.amount || 0).toFixed(2)
+    };
+    const height = doc.heightOfString(values.description, { width: COLUMNS[0].width });
+    COLUMNS.forEach(column => doc.text(values[column.key], column.x, y, { width: column.width, align: column.align }));
+    y += Math.max(height, 12) + 4;
+  });
+
+  doc.moveTo(40, y).lineTo(555, y).stroke();
+  y += 8;
+
+  // Totals
+  const halfRate = invoice.taxRate / 2;
+  const rows = [];
+  if (invoice.discount > 0) {
+    rows.push(['Gross value', money(invoice.taxableValue + invoice.discount)]);
+    rows.push(['Less discounts', `- ${money(invoice.discount)}`]);
+  }
+  rows.push(['Taxable value', money(invoice.taxableValue)]);
+  if (invoice.supplyType === 'inter_state') {
+    rows.push([`IGST @ ${invoice.taxRate}%`, money(invoice.igst)]);
+  } else {
+    rows.push([`CGST @ ${halfRate}%`, money(invoice.cgst)]);
+    rows.push([`SGST @ ${halfRate}%`, money(invoice.sgst)]);
+  }
+  if (invoice.roundOff) {
+    rows.push(['Round off', money(invoice.roundOff)]);
+  }
+  rows.push(['Total', money(invoice.total), true]);
+  y = drawTotals(doc, rows, y);
+
+  doc.font('Helvetica').fontSize(8).fillColor('#666666')
+    .text('This is a computer generated document and does not require a signature.', 40, Math.max(y + 30, 760), {
+      width: 515,
+      align: 'center'
+    });
+
+  doc.end();
+});
+
+module.exports = {
+  renderInvoicePdf
+};
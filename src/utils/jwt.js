@@ -1,4 +1,5 @@
 const jwt = require('jsonwebtoken');
+const { SESSION_CONFIG } = require('../config/constants');
 
 // Generate JWT token
 const generateToken = (payload, expiresIn = process.env.JWT_EXPIRE || '24h') => {
@@ -64,16 +65,17 @@ const verifyPasswordResetToken = (token) => {
   }
 };
 
-// Generate access token for authentication
-const generateAccessToken = (userId, email, role = 'customer') => {
+// Generate a short-lived access token for a sign-in session
+const generateAccessToken = (userId, email, role = 'customer', sessionId = null) => {
   return generateToken(
     { 
       userId, 
       email, 
       role,
+      sid: sessionId,
       type: 'access_token' 
     }, 
-    process.env.JWT_EXPIRE || '7d'
+    `${SESSION_CONFIG.ACCESS_TOKEN_MINUTES}m`
   );
 };
 
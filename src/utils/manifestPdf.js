@@ -0,0 +1,104 @@
+/**
+ * Run Manifest PDF Rendering
+ * Lays out the runs of a route plan (see RoutePlanningService) on A4 pages,
+ * one run per page, for riders to carry
+ */
+const PDFDocument = require('pdfkit');
+
+// #, Type, Order, Customer, Address, Slot, ETA, Km
+const COLUMNS = [
+  { key: 'sequence', label: '#', x: 40, width: 18, align: 'left' },
+  { key: 'type', label: 'Type', x: 60, width: 45, align: 'left' },
+  { key: 'orderNumber', label: 'Order', x: 107, width: 70, align: 'left' },
+  { key: 'customer', label: 'Customer', x: 179, width: 90, align: 'left' },
+  { key: 'address', label: 'Address', x: 271, width: 150, align: 'left' },
+  { key: 'timeSlot', label: 'Slot', x: 423, width: 62, align: 'left' },
+  { key: 'eta', label: 'ETA', x: 487, width: 32, align: 'left' },
+  { key: 'distanceFromPreviousKm', label: 'Km', x: 521, width: 34, align: 'right' }
+];
+
+const PAGE_BOTTOM = 770;
+
+const drawHeader = (doc, manifest, heading, lines) => {
+  doc.font('Helvetica-Bold').fontSize(14).text(manifest.title, 40, 40, { width: 515, align: 'center' });
+  doc.font('Helvetica').fontSize(9)
+    .text(`${manifest.branch.name || ''} (${manifest.branch.code || ''})  -  ${manifest.date}`, 40, doc.y + 2, { width: 515, align: 'center' });
+  if (manifest.status === 'superseded') {
+    doc.font('Helvetica-Bold').text('SUPERSEDED - a newer plan exists for this day', 40, doc.y + 2, { width: 515, align: 'center' });
+  }
+
+  doc.font('Helvetica-Bold').fontSize(11).text(heading, 40, doc.y + 10);
+  doc.font('Helvetica').fontSize(9);
+  lines.forEach(line => doc.text(line, 40, doc.y + 1));
+  return doc.y + 8;
+};
+
+const drawColumnHeadings = (doc, columns, y) => {
+  doc.moveTo(40, y).lineTo(555, y).stroke();
+  doc.font('Helvetica-Bold').fontSize(8);
+  columns.forEach(column => doc.text(column.label, column.x, y + 4, { width: column.width, align: column.align }));
+  doc.moveTo(40, y + 16).lineTo(555, y + 16).stroke();
+  doc.font('Helvetica').fontSize(8);
+  return y + 20;
+};
+
+// Rows that wrap onto new pages, repeating the column headings
+const drawRows = (doc, columns, rows, y) => {
+  y = drawColumnHeadings(doc, columns, y);
+  rows.forEach(values => {
+    const height = Math.max(...columns.map(column => doc.heightOfString(String(values[column.key] ?? ''), { width: column.width })), 10);
+    if (y + height > PAGE_BOTTOM) {
+      doc.addPage();
+      y = drawColumnHeadings(doc, columns, 40);
+    }
+    columns.forEach(column => doc.text(String(values[column.key] ?? ''), column.x, y, { width: column.width, align: column.align }));
+    y += height + 6;
+  });
+  return y;
+};
+
+/**
+ * Render a run manifest to a PDF
+ * @param {Object} manifest - From RoutePlanningService.buildManifest
+ * @returns {Promise<Buffer>}
+ */
+const renderManifestPdf = (manifest) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 40, info: { Title: `Run manifest ${manifest.branch.code || ''} ${manifest.dateKey}` } });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  manifest.runs.forEach((run, index) => {
+    if (index > 0) doc.addPage();
+
+    const y = drawHeader(doc, manifest, `Run ${run.runNumber} - ${run.vehicle}`, [
+      `Rider: ${run.rider}`,
+      `Shift: ${run.shift}   Leaves: ${run.start}   Back: ${run.return}`,
+      `Stops: ${run.stops.length}   Distance: ${run.distanceKm} km   Peak load: ${run.peakLoad}`
+    ]);
+
+    drawRows(doc, COLUMNS, run.stops.map(stop => ({
+      ...stop,
+      customer: `${stop.customerName}\n${stop.phone}`,
+      address: stop.approximate ? `${stop.address} (approx.)` : stop.address
+    })), y);
+  });
+
+  if (manifest.unassigned.length > 0) {
+    if (manifest.runs.length > 0) doc.addPage();
+    const y = drawHeader(doc, manifest, 'Not planned', [`${manifest.unassigned.length} stop(s) could not be fitted into a run`]);
+    drawRows(doc, [
+      { key: 'type', label: 'Type', x: 40, width: 60, align: 'left' },
+      { key: 'orderNumber', label: 'Order', x: 102, width: 90, align: 'left' },
+      { key: 'timeSlot', label: 'Slot', x: 194, width: 70, align: 'left' },
+      { key: 'message', label: 'Reason', x: 266, width: 289, align: 'left' }
+    ], manifest.unassigned, y);
+  }
+
+  doc.end();
+});
+
+module.exports = {
+  renderManifestPdf
+};
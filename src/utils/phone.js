@@ -0,0 +1,62 @@
+const { PHONE_AUTH_CONFIG } = require('../config/constants');
+
+// National mobile number formats we can check, by country code
+const MOBILE_PATTERNS = {
+  91: /^[6-9]\d{9}$/
+};
+
+/**
+ * Normalize a phone number to E.164 (+<country code><number>)
+ * Accepts spaces, dashes, brackets and a 00 or 0 prefix. Numbers without a
+ * country code get PHONE_AUTH_CONFIG.DEFAULT_COUNTRY_CODE.
+ * @returns {string|null} E.164 number, or null when the input is not a valid number
+ */
+const normalizePhone = (input, defaultCountryCode = PHONE_AUTH_CONFIG.DEFAULT_COUNTRY_CODE) => {
+  if (input === undefined || input === null) return null;
+
+  const raw = String(input).trim();
+  if (!/^\+?[\d\s().-]+$/.test(raw)) return null;
+
+  let digits = raw.replace(/\D/g, '');
+  if (!raw.startsWith('+')) {
+    if (digits.startsWith('00')) {
+      digits = digits.slice(2);
+    } else {
+      digits = digits.replace(/^0+/, '');
+      const national = MOBILE_PATTERNS[defaultCountryCode];
+      const hasCountryCode = digits.startsWith(defaultCountryCode) &&
+        (national ? national.test(digits.slice(defaultCountryCode.length)) : digits.length > 10);
+      if (!hasCountryCode) digits = `${defaultCountryCode}${digits}`;
+    }
+  }
+
+  // E.164: up to 15 digits, no leading zero
+  if (!/^[1-9]\d{7,14}$/.test(digits)) return null;
+
+  for (const [code, pattern] of Object.entries(MOBILE_PATTERNS)) {
+    if (digits.startsWith(code) && !pattern.test(digits.slice(code.length))) return null;
+  }
+
+  return `+${digits}`;
+};
+
+// User.phone keeps the national number for PHONE_AUTH_CONFIG.ACCOUNT_COUNTRY_CODE
+const toAccountPhone = (e164) => {
+  const prefix = `+${PHONE_AUTH_CONFIG.ACCOUNT_COUNTRY_CODE}`;
+  return e164 && e164.startsWith(prefix) ? e164.slice(prefix.length) : null;
+};
+
+const fromAccountPhone = (phone) => normalizePhone(phone, PHONE_AUTH_CONFIG.ACCOUNT_COUNTRY_CODE);
+
+// +91******3210 for responses and logs
+const maskPhone = (e164) => {
+  if (!e164) return '';
+  return `${e164.slice(0, 3)}${'*'.repeat(Math.max(0, e164.length - 7))}${e164.slice(-4)}`;
+};
+
+module.exports = {
+  normalizePhone,
+  toAccountPhone,
+  fromAccountPhone,
+  maskPhone
+};
@@ -0,0 +1,176 @@
+/**
+ * Thermal PDF Rendering
+ * Intake receipts and garment tag labels sized for 58 / 80 mm rolls, for
+ * printers driven through the OS print dialog rather than raw ESC/POS.
+ */
+const PDFDocument = require('pdfkit');
+const code128 = require('./code128');
+const { PRINT_CONFIG } = require('../config/constants');
+
+const MM = 72 / 25.4; // PDF points per millimetre
+
+// The built-in fonts have no rupee glyph
+const clean = (text) => String(text ?? '').replace(/₹/g, 'Rs.');
+
+const toBuffer = (doc) => new Promise((resolve, reject) => {
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+  doc.end();
+});
+
+// Paper geometry in points
+const getGeometry = (paperWidth) => {
+  const paper = PRINT_CONFIG.PAPER[paperWidth];
+  const width = paperWidth * MM;
+  const margin = (paperWidth - paper.printableMm) / 2 * MM;
+  return { width, margin, content: width - margin * 2, fontSize: paperWidth === 58 ? 7 : 8.5 };
+};
+
+// Draw a Code 128 barcode with its text centred under it; returns the y below it
+const drawBarcode = (doc, text, x, y, maxWidth, height) => {
+  const { modules } = code128.encode(text);
+  const moduleWidth = maxWidth / modules.length;
+
+  let run = 0;
+  for (let i = 0; i <= modules.length; i++) {
+    if (modules[i] === '1') {
+      run++;
+    } else if (run > 0) {
+      doc.rect(x + (i - run) * moduleWidth, y, run * moduleWidth, height).fill('#000000');
+      run = 0;
+    }
+  }
+
+  doc.font('Courier').fontSize(7).fillColor('#000000').text(text, x, y + height + 2, { width: maxWidth, align: 'center' });
+  return doc.y + 4;
+};
+
+const drawRow = (doc, left, right, x, y, width, bold = false) => {
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+  const valueWidth = doc.widthOfString(clean(right)) + 2;
+  doc.text(clean(left), x, y, { width: width - valueWidth - 4 });
+  const bottom = doc.y;
+  doc.text(clean(right), x + width - valueWidth, y, { width: valueWidth, align: 'right' });
+  return Math.max(bottom, doc.y);
+};
+
+const drawDivider = (doc, x, y, width) => {
+  doc.moveTo(x, y + 2).lineTo(x + width, y + 2).dash(1, { space: 1 }).lineWidth(0.5).stroke('#000000').undash();
+  return y + 6;
+};
+
+// Lay the receipt out from the top of the page; returns the final y
+const drawReceipt = (doc, receipt, geometry) => {
+  const { margin: x, content: width, fontSize } = geometry;
+  const { branch } = receipt;
+  let y = x;
+
+  doc.font('Helvetica-Bold').fontSize(fontSize + 3).text(clean(branch.name), x, y, { width, align: 'center' });
+  doc.font('Helvetica').fontSize(fontSize);
+  [branch.address, branch.phone ? `Ph: ${branch.phone}` : null, branch.gstin ? `GSTIN: ${branch.gstin}` : null]
+    .filter(Boolean)
+    .forEach(line => doc.text(clean(line), { width, align: 'center' }));
+  y = drawDivider(doc, x, doc.y, width);
+
+  doc.font('Helvetica-Bold').text(receipt.title, x, y, { width, align: 'center' });
+  y = drawBarcode(doc, receipt.barcode, x, doc.y + 3, width, 32);
+
+  doc.fontSize(fontSize);
+  [
+    ['Order', receipt.orderNumber],
+    ['Date', receipt.placedAt],
+    ['Due', receipt.dueDate],
+    ['Customer', receipt.customer.name],
+    receipt.customer.phone ? ['Phone', receipt.customer.phone] : null
+  ].filter(Boolean).forEach(([label, value]) => {
+    y = drawRow(doc, label, value, x, y, width);
+  });
+  if (receipt.isExpress) {
+    doc.font('Helvetica-Bold').text('** EXPRESS **', x, y, { width, align: 'center' });
+    y = doc.y;
+  }
+  y = drawDivider(doc, x, y, width);
+
+  receipt.items.forEach(item => {
+    y = drawRow(doc, `${item.quantity} x ${item.name}`, item.amount, x, y, width);
+    doc.font('Helvetica').text(clean(item.service), x + 6, y, { width: width - 6 });
+    if (item.instructions) doc.text(clean(`Note: ${item.instructions}`), x + 6, doc.y, { width: width - 6 });
+    y = doc.y + 1;
+  });
+  y = drawDivider(doc, x, y, width);
+
+  receipt.totals.forEach(([label, value]) => {
+    y = drawRow(doc, label, value, x, y, width);
+  });
+  doc.fontSize(fontSize + 1);
+  y = drawRow(doc, 'TOTAL', receipt.total, x, y, width, true);
+  doc.fontSize(fontSize);
+  y = drawRow(doc, 'Payment', receipt.payment, x, y, width);
+  if (receipt.pieces) y = drawRow(doc, 'Pieces', String(receipt.pieces), x, y, width);
+  y = drawDivider(doc, x, y, width);
+
+  if (receipt.notes) {
+    doc.font('Helvetica').text(clean(`Instructions: ${receipt.notes}`), x, y, { width });
+    y = drawDivider(doc, x, doc.y, width);
+  }
+  doc.font('Helvetica').text(clean(receipt.footer), x, y, { width, align: 'center' });
+
+  return doc.y;
+};
+
+/**
+ * Intake receipt on a continuous roll; the page is as long as the receipt
+ * @param {Object} receipt - From PrintService.buildReceipt
+ * @param {number} paperWidth - 58 or 80 (mm)
+ * @returns {Promise<Buffer>}
+ */
+const renderReceiptPdf = (receipt, paperWidth) => {
+  const geometry = getGeometry(paperWidth);
+
+  // Measure on a throwaway page first, then lay out on one of the right length
+  const measure = new PDFDocument({ size: [geometry.width, 5000], margin: 0 });
+  const height = drawReceipt(measure, receipt, geometry) + geometry.margin * 2;
+  measure.end();
+
+  const doc = new PDFDocument({ size: [geometry.width, height], margin: 0, info: { Title: `Receipt ${receipt.orderNumber}` } });
+  drawReceipt(doc, receipt, geometry);
+  return toBuffer(doc);
+};
+
+/**
+ * Garment tag labels, one page per label
+ * @param {Object[]} labels - GarmentTagService.buildLabel output
+ * @param {number} paperWidth - 58 or 80 (mm)
+ * @returns {Promise<Buffer>}
+ */
+const renderLabelsPdf = (labels, paperWidth) => {
+  const { width, margin: x, content, fontSize } = getGeometry(paperWidth);
+  const doc = new PDFDocument({ size: [width, PRINT_CONFIG.LABEL_HEIGHT_MM * MM], margin: 0, autoFirstPage: false });
+
+  labels.forEach(label => {
+    doc.addPage();
+    let y = drawBarcode(doc, label.tagCode, x, x, content, 34);
+
+    doc.fontSize(fontSize + 1);
+    y = drawRow(doc, label.orderNumber, label.piece, x, y, content, true);
+    doc.font('Helvetica').fontSize(fontSize)
+      .text(clean([label.itemType, label.service].filter(Boolean).join(' / ')), x, y, { width: content });
+    y = drawRow(doc, `${label.customerName || ''} ${label.branchCode ? `[${label.branchCode}]` : ''}`.trim(), `Due ${label.dueDate}`, x, doc.y, content);
+    if (label.isExpress) {
+      doc.font('Helvetica-Bold').text('EXPRESS', x, y, { width: content });
+      y = doc.y;
+    }
+    if (label.specialInstructions) {
+      doc.font('Helvetica').text(clean(label.specialInstructions), x, y, { width: content, height: content / 4, ellipsis: true });
+    }
+  });
+
+  return toBuffer(doc);
+};
+
+module.exports = {
+  renderReceiptPdf,
+  renderLabelsPdf
+};
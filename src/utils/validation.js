@@ -225,6 +225,77 @@ const passwordResetValidation = Joi.object({
     })
 });
 
+// Phone OTP request validation (the number is normalized to E.164 by PhoneAuthService)
+const phoneOtpRequestValidation = Joi.object({
+  phone: Joi.string()
+    .trim()
+    .max(20)
+    .required()
+    .messages({
+      'string.empty': 'Phone number is required'
+    })
+});
+
+// Phone OTP verification validation
+const phoneOtpVerifyValidation = Joi.object({
+  phone: Joi.string()
+    .trim()
+    .max(20)
+    .required()
+    .messages({
+      'string.empty': 'Phone number is required'
+    }),
+
+  otp: Joi.string()
+    .pattern(/^\d{6}$/)
+    .required()
+    .messages({
+      'string.empty': 'Verification code is required',
+      'string.pattern.base': 'Verification code must be 6 digits'
+    }),
+
+  // Only used when the number has no account yet
+  name: Joi.string()
+    .trim()
+    .min(2)
+    .max(50)
+    .messages({
+      'string.min': 'Name must be at least 2 characters long',
+      'string.max': 'Name cannot exceed 50 characters'
+    })
+});
+
+// Link email to a phone-only account validation
+const emailLinkValidation = Joi.object({
+  email: Joi.string()
+    .email()
+    .lowercase()
+    .trim()
+    .required()
+    .messages({
+      'string.empty': 'Email is required',
+      'string.email': 'Please enter a valid email address'
+    }),
+
+  password: Joi.string()
+    .min(8)
+    .pattern(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[!@#$%^&*(),.?":{}|<>])/)
+    .required()
+    .messages({
+      'string.empty': 'Password is required',
+      'string.min': 'Password must be at least 8 characters long',
+      'string.pattern.base': 'Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character'
+    }),
+
+  confirmPassword: Joi.string()
+    .valid(Joi.ref('password'))
+    .required()
+    .messages({
+      'any.only': 'Passwords do not match',
+      'string.empty': 'Please confirm your password'
+    })
+});
+
 // Validation middleware
 const validate = (schema) => {
   return (req, res, next) => {
@@ -255,5 +326,8 @@ module.exports = {
   addressValidation,
   passwordResetRequestValidation,
   passwordResetValidation,
+  phoneOtpRequestValidation,
+  phoneOtpVerifyValidation,
+  emailLinkValidation,
   validate
 };
\ No newline at end of file
@@ -1,5 +1,5 @@
 const Joi = require('joi');
-const { USER_ROLES, SERVICES, CLOTHING_CATEGORIES, ITEM_TYPES, TICKET_CATEGORIES, TICKET_PRIORITY } = require('../config/constants');
+const { USER_ROLES, SERVICES, CLOTHING_CATEGORIES, ITEM_TYPES, TICKET_CATEGORIES, TICKET_PRIORITY, WEIGHT_CONFIG } = require('../config/constants');
 
 // Common validation schemas
 const commonSchemas = {
@@ -66,6 +66,7 @@ const orderValidation = {
         service: Joi.string().valid(...Object.values(SERVICES)).required(),
         category: Joi.string().valid(...Object.values(CLOTHING_CATEGORIES)).required(),
         quantity: Joi.number().integer().min(1).required(),
+        weightKg: Joi.number().positive().max(WEIGHT_CONFIG.MAX_ORDER_WEIGHT_KG), // Estimate for per-kg items
         specialInstructions: Joi.string().trim().allow('')
       })
     ).min(1).required(),
@@ -73,7 +74,10 @@ const orderValidation = {
     deliveryAddressId: commonSchemas.objectId.required(),
     pickupDate: Joi.date().min('now').required(),
     pickupTimeSlot: Joi.string().required(),
-    paymentMethod: Joi.string().valid('online', 'cod').required(),
+    paymentMethod: Joi.string().valid('online', 'cod', 'wallet').required(),
+    useWallet: Joi.boolean(),
+    walletAmount: Joi.number().min(0),
+    redeemPoints: Joi.number().integer().min(0),
     isExpress: Joi.boolean().default(false),
     specialInstructions: Joi.string().trim().allow('')
   }),
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Order = require('../src/models/Order');
+const ScanEvent = require('../src/models/ScanEvent');
+const OrderService = require('../src/services/orderService');
+const UserSessionService = require('../src/services/userSessionService');
+const { OrderTransitionError } = require('../src/services/orderStateMachine');
+const db = require('./helpers/db');
+const { ORDER_STATUS } = require('../src/config/constants');
+
+const { ObjectId } = mongoose.Types;
+
+const req = {
+  ip: '10.3.0.1',
+  get: () => undefined
+};
+
+const branchId = new ObjectId();
+let customer;
+
+const createOrder = (orderNumber, branch = branchId) => Order.create({
+  orderNumber,
+  customer: customer._id,
+  branch,
+  status: ORDER_STATUS.IN_PROCESS,
+  pickupDate: new Date(),
+  pickupTimeSlot: '09:00-11:00',
+  pricing: { subtotal: 100, total: 100 },
+  paymentMethod: 'cod'
+});
+
+const statusOf = async (order) => (await Order.findById(order._id)).status;
+
+describe('Bulk scan', () => {
+  let bulkScan;
+
+  beforeEach(async () => {
+    await db.clear();
+    customer = await User.create({ name: 'Scan Customer', phone: '9876500021', phoneVerified: true });
+    const manager = await User.create({
+      name: 'Scan Manager',
+      email: 'scan.manager@test.com',
+      phone: '9876500020',
+      password: 'ManagerPassword123!',
+      role: 'branch_manager',
+      assignedBranch: branchId
+    });
+    const { accessToken } = await UserSessionService.createSession(manager, req);
+    bulkScan = (body) => request(app).post('/api/barcode/bulk-scan').set('Authorization', `Bearer ${accessToken}`).send(body);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('should report an order that fails to move and still move the rest of the batch', async () => {
+    const first = await createOrder('ORD-SCAN-1');
+    const raced = await createOrder('ORD-SCAN-2');
+    const last = await createOrder('ORD-SCAN-3');
+    const updateOrderStatus = OrderService.updateOrderStatus.bind(OrderService);
+    jest.spyOn(OrderService, 'updateOrderStatus').mockImplementation((orderId, ...args) => (orderId.equals(raced._id)
+      ? Promise.reject(new OrderTransitionError('INVALID_TRANSITION', 'Order moved on since it was scanned', 400))
+      : updateOrderStatus(orderId, ...args)));
+
+    const res = await bulkScan({ barcodes: ['ORD-SCAN-1', 'ORD-SCAN-2', 'ORD-SCAN-3'], status: ORDER_STATUS.READY });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.found.map(entry => entry.orderNumber)).toEqual(['ORD-SCAN-1', 'ORD-SCAN-3']);
+    expect(res.body.data.rejected).toEqual([
+      expect.objectContaining({ orderNumber: 'ORD-SCAN-2', error: 'INVALID_TRANSITION', message: 'Order moved on since it was scanned' })
+    ]);
+    expect(await statusOf(first)).toBe(ORDER_STATUS.READY);
+    expect(await statusOf(last)).toBe(ORDER_STATUS.READY);
+    expect(await db.documents(ScanEvent)).toContainEqual(
+      expect.objectContaining({ result: 'rejected', rejectionCode: 'INVALID_TRANSITION' })
+    );
+  });
+
+  test('should report errors without a code as a failed update', async () => {
+    await createOrder('ORD-SCAN-1');
+    jest.spyOn(OrderService, 'updateOrderStatus').mockRejectedValue(new Error('write failed'));
+
+    const res = await bulkScan({ barcodes: ['ORD-SCAN-1'], status: ORDER_STATUS.READY });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.rejected).toEqual([
+      expect.objectContaining({ orderNumber: 'ORD-SCAN-1', error: 'STATUS_UPDATE_FAILED', message: 'write failed' })
+    ]);
+  });
+
+  test('should leave orders of other branches alone', async () => {
+    const foreign = await createOrder('ORD-SCAN-9', new ObjectId());
+
+    const res = await bulkScan({ barcodes: ['ORD-SCAN-9'], status: ORDER_STATUS.READY });
+
+    expect(res.body.data.rejected).toEqual([expect.objectContaining({ error: 'WRONG_BRANCH' })]);
+    expect(await statusOf(foreign)).toBe(ORDER_STATUS.IN_PROCESS);
+  });
+});
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+const Order = require('../src/models/Order');
+const OrderItem = require('../src/models/OrderItem');
+const GarmentTag = require('../src/models/GarmentTag');
+const GarmentTagService = require('../src/services/garmentTagService');
+const OrderService = require('../src/services/orderService');
+const db = require('./helpers/db');
+const { settle } = require('./helpers/concurrency');
+const { ORDER_STATUS } = require('../src/config/constants');
+
+const { ObjectId } = mongoose.Types;
+
+const actor = { id: new ObjectId(), role: 'staff' };
+
+const addItem = (order, itemType, quantity) => OrderItem.create({
+  order: order._id,
+  itemType,
+  service: 'wash_iron',
+  category: 'normal',
+  quantity,
+  basePrice: 50,
+  unitPrice: 50,
+  totalPrice: 50 * quantity
+});
+
+// Walk a piece through the plant to ready
+const finishPiece = async (tagCode) => {
+  for (const status of ['in_progress', 'completed', 'ready']) {
+    await GarmentTagService.scanPiece(tagCode, status, actor);
+  }
+};
+
+describe('Garment tags', () => {
+  let order;
+  let shirts;
+
+  beforeEach(async () => {
+    await db.clear();
+    const customer = await User.create({ name: 'Tag Customer', email: 'tag.customer@test.com', phone: '9876500080', password: 'Password123!' });
+    order = await Order.create({
+      orderNumber: 'ORD-TAG-1',
+      customer: customer._id,
+      branch: new ObjectId(),
+      status: ORDER_STATUS.IN_PROCESS,
+      pickupDate: new Date(),
+      pickupTimeSlot: '09:00-11:00',
+      pricing: { subtotal: 200, total: 200 },
+      paymentMethod: 'cod'
+    });
+    shirts = await addItem(order, 'shirt', 2);
+    await addItem(order, 'trouser', 1);
+  });
+
+  test('should issue one tag per piece and only tag new pieces on a second run', async () => {
+    const tags = await GarmentTagService.generateForOrder(order);
+
+    expect(tags.map(tag => tag.tagCode)).toEqual([1, 2, 3].map(sequence => GarmentTagService.buildTagCode(order.barcode, sequence)));
+    tags.forEach(tag => expect(GarmentTagService.isTagCode(tag.tagCode)).toBe(true));
+
+    await OrderItem.updateOne({ _id: shirts._id }, { $set: { quantity: 3 } });
+    const again = await GarmentTagService.generateForOrder(order);
+
+    expect(again).toHaveLength(4);
+    expect(again[3]).toMatchObject({ sequence: 4, pieceNumber: 3 });
+    expect((await Order.findById(order._id)).tagSummary).toMatchObject({ total: 4, ready: 0 });
+  });
+
+  test('should keep an item at the status of its least advanced piece', async () => {
+    const [first, second] = await GarmentTagService.generateForOrder(order);
+
+    await finishPiece(first.tagCode);
+    await GarmentTagService.scanPiece(second.tagCode, 'in_progress', actor);
+
+    expect((await OrderItem.findById(shirts._id)).processingStatus).toBe('in_progress');
+    await expect(GarmentTagService.scanPiece(first.tagCode, 'in_progress', actor))
+      .rejects.toMatchObject({ error: 'INVALID_PIECE_TRANSITION', statusCode: 409 });
+  });
+
+  test('should let only one of two concurrent scans move a piece', async () => {
+    const [tag] = await GarmentTagService.generateForOrder(order);
+
+    const { fulfilled, rejected } = await settle([
+      GarmentTagService.scanPiece(tag.tagCode, 'in_progress', actor),
+      GarmentTagService.scanPiece(tag.tagCode, 'in_progress', actor)
+    ]);
+
+    expect(fulfilled).toHaveLength(1);
+    expect(rejected).toEqual([expect.objectContaining({ error: 'SCAN_CONFLICT' })]);
+    expect((await GarmentTag.findById(tag._id)).history).toHaveLength(1);
+  });
+
+  test('should not mark a tagged order ready until every piece is ready', async () => {
+    const tags = await GarmentTagService.generateForOrder(order);
+    await finishPiece(tags[0].tagCode);
+    await finishPiece(tags[1].tagCode);
+
+    await expect(OrderService.updateOrderStatus(order._id, ORDER_STATUS.READY, actor.id, '', 'branch_manager'))
+      .rejects.toMatchObject({ message: expect.stringContaining('1 of 3 pieces') });
+
+    await finishPiece(tags[2].tagCode);
+    await OrderService.updateOrderStatus(order._id, ORDER_STATUS.READY, actor.id, '', 'branch_manager');
+
+    expect((await Order.findById(order._id)).status).toBe(ORDER_STATUS.READY);
+  });
+
+  test('should stop scanning once the order has left the plant', async () => {
+    const [tag] = await GarmentTagService.generateForOrder(order);
+    await Order.updateOne({ _id: order._id }, { $set: { status: ORDER_STATUS.OUT_FOR_DELIVERY } });
+
+    await expect(GarmentTagService.scanPiece(tag.tagCode, 'in_progress', actor))
+      .rejects.toMatchObject({ error: 'ORDER_NOT_IN_PLANT' });
+  });
+});
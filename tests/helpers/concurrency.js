@@ -0,0 +1,13 @@
+/**
+ * Run requests side by side and split the outcomes, for checking how many of a
+ * concurrent batch got through
+ * @returns {Promise<{ fulfilled: Array, rejected: Array }>} resolved values and rejection reasons
+ */
+const settle = (promises) => Promise.allSettled(promises).then(results => ({
+  fulfilled: results.filter(result => result.status === 'fulfilled').map(result => result.value),
+  rejected: results.filter(result => result.status === 'rejected').map(result => result.reason)
+}));
+
+module.exports = {
+  settle
+};
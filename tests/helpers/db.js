@@ -0,0 +1,45 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+
+/**
+ * Test database: every test file gets its own database on the mongod started
+ * by tests/helpers/globalSetup.js, so suites never see each other's documents.
+ */
+
+const databaseName = () => {
+  const file = path.basename(expect.getState().testPath || 'tests', '.js');
+  return `test_${file.replace(/[^A-Za-z0-9_]/g, '_')}`;
+};
+
+const MODELS_DIR = path.join(__dirname, '../../src/models');
+
+// Connect and build the indexes of every model, unique ones included, before
+// the first test; services that load a model lazily would otherwise race them
+const connect = async () => {
+  fs.readdirSync(MODELS_DIR).forEach(file => require(path.join(MODELS_DIR, file)));
+  await mongoose.connect(process.env.MONGODB_TEST_URI, { dbName: databaseName() });
+  await Promise.all(mongoose.modelNames().map(name => mongoose.model(name).init()));
+};
+
+const disconnect = async () => {
+  if (mongoose.connection.readyState !== 1) return;
+  await mongoose.connection.dropDatabase();
+  await mongoose.disconnect();
+};
+
+// Empty every collection; indexes are kept
+const clear = async () => {
+  const collections = await mongoose.connection.db.collections();
+  await Promise.all(collections.map(collection => collection.deleteMany({})));
+};
+
+// Raw stored documents of a model, as MongoDB holds them
+const documents = (model) => model.collection.find({}).toArray();
+
+module.exports = {
+  connect,
+  disconnect,
+  clear,
+  documents
+};
@@ -0,0 +1,14 @@
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+/**
+ * Start a throwaway mongod for the test run, unless MONGODB_TEST_URI already
+ * points at one (e.g. a CI service container). Test workers read the URI from
+ * the environment; see tests/helpers/db.js.
+ */
+module.exports = async () => {
+  if (process.env.MONGODB_TEST_URI) return;
+
+  const mongod = await MongoMemoryServer.create();
+  global.__MONGOD__ = mongod;
+  process.env.MONGODB_TEST_URI = mongod.getUri();
+};
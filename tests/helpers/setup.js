@@ -0,0 +1,8 @@
+const db = require('./db');
+
+// Tokens are signed in most flows; a real secret is never needed here
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+beforeAll(() => db.connect());
+
+afterAll(() => db.disconnect());
@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+const Branch = require('../src/models/Branch');
+const Order = require('../src/models/Order');
+const OrderItem = require('../src/models/OrderItem');
+const Invoice = require('../src/models/Invoice');
+const InvoiceService = require('../src/services/invoiceService');
+const db = require('./helpers/db');
+const { ORDER_STATUS } = require('../src/config/constants');
+
+const { ObjectId } = mongoose.Types;
+
+describe('Invoice numbering', () => {
+  let branch;
+  let customer;
+  let financialYear;
+
+  beforeEach(async () => {
+    await db.clear();
+    branch = await Branch.create({
+      name: 'Branch INV',
+      code: 'INV',
+      address: { addressLine1: '1 Street', city: 'Pune', state: 'Maharashtra', pincode: '411001' },
+      contact: { phone: '9876500090' },
+      createdBy: new ObjectId()
+    });
+    customer = await User.create({ name: 'Invoice Customer', email: 'invoice.customer@test.com', phone: '9876500091', password: 'Password123!' });
+    financialYear = InvoiceService.getFinancialYear(new Date());
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  // A delivered ₹236 order: ₹200 of shirts plus 18% GST
+  const createOrder = async (orderNumber, state = 'Maharashtra') => {
+    const order = await Order.create({
+      orderNumber,
+      customer: customer._id,
+      branch: branch._id,
+      status: ORDER_STATUS.DELIVERED,
+      deliveryAddress: { name: 'Invoice Customer', phone: '9876500091', addressLine1: '2 Street', city: 'City', state, pincode: '411002' },
+      pickupDate: new Date(),
+      pickupTimeSlot: '09:00-11:00',
+      pricing: { subtotal: 200, tax: 36, total: 236 },
+      paymentMethod: 'cod'
+    });
+    await OrderItem.create({
+      order: order._id,
+      itemType: 'shirt',
+      service: 'wash_iron',
+      category: 'normal',
+      quantity: 4,
+      basePrice: 50,
+      unitPrice: 50,
+      totalPrice: 200
+    });
+    return order;
+  };
+
+  const numberFor = (sequence, documentType = 'invoice') => InvoiceService.formatNumber(documentType, 'INV', financialYear, sequence);
+
+  test('should issue one invoice per order, even from concurrent requests', async () => {
+    const order = await createOrder('ORD-INV-1');
+
+    const invoices = await Promise.allSettled([
+      InvoiceService.issueForOrder(order),
+      InvoiceService.issueForOrder(order),
+      InvoiceService.issueForOrder(order)
+    ]);
+
+    const issued = invoices.filter(result => result.status === 'fulfilled').map(result => result.value.number);
+    expect(new Set(issued)).toEqual(new Set([numberFor(1)]));
+    expect(await db.documents(Invoice)).toHaveLength(1);
+    expect((await Order.findById(order._id)).invoiceNumber).toBe(numberFor(1));
+  });
+
+  test('should number concurrent invoices of a branch consecutively', async () => {
+    const orders = await Promise.all([1, 2, 3, 4].map(n => createOrder(`ORD-INV-${n}`)));
+
+    const invoices = await Promise.all(orders.map(order => InvoiceService.issueForOrder(order)));
+
+    expect(invoices.map(invoice => invoice.number).sort()).toEqual([1, 2, 3, 4].map(n => numberFor(n)));
+  });
+
+  test('should reuse the number of an invoice that failed to save', async () => {
+    const [first, second] = await Promise.all([createOrder('ORD-INV-1'), createOrder('ORD-INV-2')]);
+    jest.spyOn(Invoice, 'create').mockRejectedValueOnce(new Error('write failed'));
+
+    await expect(InvoiceService.issueForOrder(first)).rejects.toThrow('write failed');
+    const invoice = await InvoiceService.issueForOrder(second);
+
+    expect(invoice.number).toBe(numberFor(1));
+    expect((await Order.findById(first._id)).invoicePendingAt).toBeUndefined();
+  });
+
+  test('should split GST by place of supply and credit a cancelled order in its own series', async () => {
+    const local = await InvoiceService.issueForOrder(await createOrder('ORD-INV-1'));
+    const order = await createOrder('ORD-INV-2', 'Karnataka');
+    const interState = await InvoiceService.issueForOrder(order);
+
+    expect(local).toMatchObject({ supplyType: 'intra_state', cgst: 18, sgst: 18, igst: 0, taxableValue: 200, total: 236 });
+    expect(interState).toMatchObject({ supplyType: 'inter_state', cgst: 0, sgst: 0, igst: 36 });
+
+    const note = await InvoiceService.creditOnCancellation(order);
+
+    expect(note).toMatchObject({ number: numberFor(1, 'credit_note'), originalInvoiceNumber: interState.number, total: 236 });
+    expect(await InvoiceService.getNetInvoiced(order._id)).toMatchObject({ total: 0 });
+    await expect(InvoiceService.creditOnCancellation(order)).resolves.toBeNull();
+  });
+
+  test('should not invoice a cancelled order', async () => {
+    const order = await createOrder('ORD-INV-1');
+    order.status = ORDER_STATUS.CANCELLED;
+
+    await expect(InvoiceService.issueForOrder(order)).rejects.toMatchObject({ error: 'ORDER_CANCELLED', statusCode: 409 });
+  });
+
+  test('should start a new series with each April', () => {
+    expect(InvoiceService.getFinancialYear(new Date(2027, 2, 31))).toBe('2026-27');
+    expect(InvoiceService.getFinancialYear(new Date(2027, 3, 1))).toBe('2027-28');
+    expect(InvoiceService.formatNumber('invoice', 'PUN', '2026-27', 42)).toBe('INV/PUN/2026-27/00042');
+  });
+});
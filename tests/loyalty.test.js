@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+const ServiceItem = require('../src/models/ServiceItem');
+const LoyaltyTransaction = require('../src/models/LoyaltyTransaction');
+const LoyaltyService = require('../src/services/loyaltyService');
+const PricingService = require('../src/services/pricingService');
+const db = require('./helpers/db');
+const { settle } = require('./helpers/concurrency');
+const { LOYALTY_DEFAULTS } = require('../src/config/constants');
+
+const { ObjectId } = mongoose.Types;
+
+const deliveredOrder = (customer, total) => ({
+  _id: new ObjectId(),
+  orderNumber: `ORD-LOY-${new ObjectId()}`,
+  customer: customer._id,
+  pricing: { total }
+});
+
+describe('Loyalty points', () => {
+  let customer;
+
+  beforeEach(async () => {
+    await db.clear();
+    customer = await User.create({ name: 'Loyal Customer', email: 'loyal.customer@test.com', phone: '9876500070', password: 'Password123!' });
+  });
+
+  const points = async () => (await User.findById(customer._id)).rewardPoints;
+
+  test('should award points for a delivered order once at the tier rate', async () => {
+    const order = deliveredOrder(customer, 1250);
+
+    const [entry, again] = [await LoyaltyService.earnForOrder(order), await LoyaltyService.earnForOrder(order)];
+
+    expect(entry).toMatchObject({ type: 'earn', points: 12, remainingPoints: 12, tier: 'bronze' });
+    expect(again).toBeNull();
+    expect(await points()).toBe(12);
+  });
+
+  test('should cap points at the program share of the order', async () => {
+    await User.updateOne({ _id: customer._id }, { $set: { rewardPoints: 500 } });
+    await ServiceItem.create({ name: 'Shirt', itemId: 'shirt', service: 'wash_iron', category: 'men', basePrice: 100 });
+
+    const loyalty = await LoyaltyService.getCheckoutBenefits(customer, 500);
+    const quote = await PricingService.quote(
+      [{ itemType: 'shirt', service: 'wash_iron', category: 'normal', quantity: 10 }],
+      { loyalty }
+    );
+
+    // ₹1000 of shirts: points can pay for MAX_REDEMPTION_PERCENT of it
+    const cap = 1000 * LOYALTY_DEFAULTS.MAX_REDEMPTION_PERCENT / 100;
+    expect(quote.pricing.loyalty).toMatchObject({ pointsRedeemed: cap, pointsDiscount: cap });
+  });
+
+  test('should refuse redemptions below the minimum or above the balance', async () => {
+    await User.updateOne({ _id: customer._id }, { $set: { rewardPoints: 100 } });
+
+    await expect(LoyaltyService.getCheckoutBenefits(customer, LOYALTY_DEFAULTS.MIN_REDEMPTION_POINTS - 1))
+      .rejects.toMatchObject({ error: 'BELOW_MINIMUM_REDEMPTION' });
+    await expect(LoyaltyService.getCheckoutBenefits(customer, 150))
+      .rejects.toMatchObject({ error: 'INSUFFICIENT_POINTS', details: { balance: 100, requested: 150 } });
+  });
+
+  test('should not let concurrent checkouts spend the same points twice', async () => {
+    await LoyaltyService.earnForOrder(deliveredOrder(customer, 20000));
+
+    const { fulfilled, rejected } = await settle([
+      LoyaltyService.redeemForOrder(customer._id, 150, deliveredOrder(customer, 0)),
+      LoyaltyService.redeemForOrder(customer._id, 150, deliveredOrder(customer, 0))
+    ]);
+
+    expect(fulfilled).toHaveLength(1);
+    expect(rejected).toEqual([expect.objectContaining({ error: 'INSUFFICIENT_POINTS' })]);
+    expect(await points()).toBe(50);
+  });
+
+  test('should give redeemed points back once when the order is cancelled', async () => {
+    await LoyaltyService.earnForOrder(deliveredOrder(customer, 20000));
+    const order = deliveredOrder(customer, 500);
+    await LoyaltyService.redeemForOrder(customer._id, 120, order);
+
+    await Promise.all([
+      LoyaltyService.restoreRedeemed(order, 'Order cancelled'),
+      LoyaltyService.restoreRedeemed(order, 'Order cancelled')
+    ]);
+
+    expect(await points()).toBe(200);
+    const [lot] = await db.documents(LoyaltyTransaction).then(entries => entries.filter(entry => entry.type === 'earn'));
+    expect(lot.remainingPoints).toBe(200);
+  });
+
+  test('should expire only the unspent part of a lot, once', async () => {
+    const earned = await LoyaltyService.earnForOrder(deliveredOrder(customer, 10000));
+    await LoyaltyService.redeemForOrder(customer._id, 60, deliveredOrder(customer, 0));
+    await LoyaltyTransaction.updateOne({ _id: earned._id }, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+
+    const first = await LoyaltyService.expirePoints();
+    const second = await LoyaltyService.expirePoints();
+
+    expect(first).toEqual({ lots: 1, points: 40, customers: 1 });
+    expect(second).toEqual({ lots: 0, points: 0, customers: 0 });
+    expect(await points()).toBe(0);
+  });
+});
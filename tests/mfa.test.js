@@ -0,0 +1,146 @@
+const User = require('../src/models/User');
+const MfaAttempt = require('../src/models/MfaAttempt');
+const OtpCode = require('../src/models/OtpCode');
+const mfaService = require('../src/services/mfaService');
+const db = require('./helpers/db');
+const { MFA_CONFIG } = require('../src/config/constants');
+
+// Each request loads its own copy of the account, as the login handlers do
+const loadAccount = (id) => User.findById(id).select('+mfa.secret +mfa.pendingSecret +mfa.backupCodes');
+
+let account;
+
+const createAdmin = async () => {
+  const user = await User.create({
+    name: 'MFA Admin',
+    email: 'mfa.admin@test.com',
+    phone: '9876500003',
+    password: 'AdminPassword123!',
+    role: 'admin'
+  });
+  return loadAccount(user._id);
+};
+
+const wrongAnswers = async (count) => {
+  for (let i = 0; i < count; i++) {
+    await mfaService.verifyChallenge(await loadAccount(account._id), { backupCode: 'WRONG000' });
+  }
+};
+
+describe('MFA challenge', () => {
+  beforeAll(async () => {
+    await db.clear();
+    account = await createAdmin();
+  });
+
+  beforeEach(async () => {
+    await MfaAttempt.deleteMany({});
+    await OtpCode.deleteMany({});
+  });
+
+  test('should accept a backup code once, even from concurrent requests', async () => {
+    const { backupCodes } = await mfaService.enableMFA(await loadAccount(account._id), { method: 'email' });
+
+    const results = await Promise.all([
+      mfaService.verifyChallenge(await loadAccount(account._id), { backupCode: backupCodes[0] }),
+      mfaService.verifyChallenge(await loadAccount(account._id), { backupCode: backupCodes[0] }),
+      mfaService.verifyChallenge(await loadAccount(account._id), { backupCode: backupCodes[0] })
+    ]);
+
+    expect(results.filter(result => result.success)).toHaveLength(1);
+    const stored = await loadAccount(account._id);
+    expect(stored.mfa.backupCodes).toHaveLength(MFA_CONFIG.BACKUP_CODE_COUNT - 1);
+    // The other codes still work
+    await expect(mfaService.verifyChallenge(stored, { backupCode: backupCodes[1] }))
+      .resolves.toMatchObject({ success: true, backupCodesLeft: MFA_CONFIG.BACKUP_CODE_COUNT - 2 });
+  });
+
+  test('should accept each authenticator code once', async () => {
+    const { secret } = await mfaService.startTOTPSetup(await loadAccount(account._id));
+    const now = mfaService.currentStep();
+    await mfaService.enableMFA(await loadAccount(account._id), { method: 'totp', code: mfaService.generateTOTP(secret, now) });
+
+    // The code used to confirm setup can't sign in again
+    await expect(mfaService.verifyChallenge(await loadAccount(account._id), { otp: mfaService.generateTOTP(secret, now) }))
+      .resolves.toMatchObject({ success: false });
+
+    const next = mfaService.generateTOTP(secret, now + 1);
+    const results = await Promise.all([
+      mfaService.verifyChallenge(await loadAccount(account._id), { otp: next }),
+      mfaService.verifyChallenge(await loadAccount(account._id), { otp: next })
+    ]);
+
+    expect(results.map(result => result.success).sort()).toEqual([false, true]);
+    expect((await loadAccount(account._id)).mfa.lastTotpStep).toBe(now + 1);
+  });
+
+  test('should lock the account after repeated wrong answers, even for a right one', async () => {
+    const { backupCodes } = await mfaService.enableMFA(await loadAccount(account._id), { method: 'email' });
+
+    await wrongAnswers(MFA_CONFIG.MAX_FAILED_VERIFICATIONS);
+    const result = await mfaService.verifyChallenge(await loadAccount(account._id), { backupCode: backupCodes[0] });
+
+    expect(result).toMatchObject({ success: false, code: 'MFA_LOCKED' });
+    // The locked-out attempt didn't spend the code
+    expect((await loadAccount(account._id)).mfa.backupCodes).toHaveLength(MFA_CONFIG.BACKUP_CODE_COUNT);
+  });
+
+  test('should count concurrent wrong answers against the same lockout', async () => {
+    await mfaService.enableMFA(await loadAccount(account._id), { method: 'email' });
+
+    const results = await Promise.all(Array.from({ length: MFA_CONFIG.MAX_FAILED_VERIFICATIONS + 3 }, async () =>
+      mfaService.verifyChallenge(await loadAccount(account._id), { backupCode: 'WRONG000' })));
+
+    expect(results.filter(result => result.code === 'MFA_LOCKED')).toHaveLength(3);
+  });
+
+  test('should reset the count after a successful answer and after the lockout lapses', async () => {
+    const { backupCodes } = await mfaService.enableMFA(await loadAccount(account._id), { method: 'email' });
+
+    await wrongAnswers(MFA_CONFIG.MAX_FAILED_VERIFICATIONS - 1);
+    await expect(mfaService.verifyChallenge(await loadAccount(account._id), { backupCode: backupCodes[0] }))
+      .resolves.toMatchObject({ success: true });
+    expect(await db.documents(MfaAttempt)).toHaveLength(0);
+
+    await wrongAnswers(MFA_CONFIG.MAX_FAILED_VERIFICATIONS);
+    await MfaAttempt.updateMany({}, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+    await expect(mfaService.verifyChallenge(await loadAccount(account._id), { backupCode: backupCodes[1] }))
+      .resolves.toMatchObject({ success: true });
+  });
+});
+
+describe('Email verification codes', () => {
+  const key = 'mfa.admin@test.com';
+
+  beforeEach(() => db.clear());
+
+  test('should stop accepting a code after the allowed wrong guesses', async () => {
+    const { otp } = await mfaService.issueCode(key, 'login');
+    const wrong = otp === '000000' ? '111111' : '000000';
+
+    const guesses = await Promise.all(Array.from({ length: MFA_CONFIG.OTP_MAX_ATTEMPTS + 2 }, () =>
+      mfaService.checkCode(key, 'login', wrong)));
+
+    expect(guesses.filter(result => result.code === 'OTP_INVALID').map(result => result.attemptsLeft).sort())
+      .toEqual([0, 1, 2]);
+    await expect(mfaService.checkCode(key, 'login', otp)).resolves.toMatchObject({ success: false });
+  });
+
+  test('should accept a code once', async () => {
+    const { otp } = await mfaService.issueCode(key, 'login');
+
+    const results = await Promise.all([
+      mfaService.checkCode(key, 'login', otp),
+      mfaService.checkCode(key, 'login', otp)
+    ]);
+
+    expect(results.map(result => result.success).sort()).toEqual([false, true]);
+    expect(await db.documents(OtpCode)).toHaveLength(0);
+  });
+
+  test('should reject an expired code', async () => {
+    const { otp } = await mfaService.issueCode(key, 'login', -1000);
+
+    await expect(mfaService.checkCode(key, 'login', otp)).resolves.toMatchObject({ success: false, code: 'OTP_EXPIRED' });
+  });
+});
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Branch = require('../src/models/Branch');
+const Order = require('../src/models/Order');
+const OrderItem = require('../src/models/OrderItem');
+const PickupSlot = require('../src/models/PickupSlot');
+const BranchRoutingService = require('../src/services/branchRoutingService');
+const PickupSlotService = require('../src/services/pickupSlotService');
+const PricingService = require('../src/services/pricingService');
+const UserSessionService = require('../src/services/userSessionService');
+const db = require('./helpers/db');
+
+const { ObjectId } = mongoose.Types;
+
+const req = {
+  ip: '10.4.0.1',
+  get: () => undefined
+};
+
+const TIME_SLOT = '11:00-13:00';
+
+const tomorrow = () => {
+  const date = new Date();
+  date.setDate(date.getDate() + 1);
+  return PickupSlotService.toDateKey(date);
+};
+
+// One shirt at ₹200, paid in full from the wallet
+const quote = {
+  pricing: { subtotal: 200, tax: 0, deliveryCharge: 0, discount: 0, total: 200 },
+  lines: [{
+    itemType: 'shirt',
+    service: 'wash_iron',
+    category: 'normal',
+    quantity: 1,
+    unit: 'per_piece',
+    priceSource: 'catalogue',
+    basePrice: 200,
+    serviceMultiplier: 1,
+    categoryMultiplier: 1,
+    unitPrice: 200,
+    totalPrice: 200
+  }],
+  pricingVersion: null,
+  promotion: null
+};
+
+describe('Order checkout', () => {
+  let customer;
+  let placeOrder;
+
+  beforeEach(async () => {
+    await db.clear();
+    const branch = await Branch.create({
+      name: 'Branch CHK',
+      code: 'CHK',
+      address: { addressLine1: '1 Street', city: 'Pune', state: 'Maharashtra', pincode: '411001' },
+      contact: { phone: '9876500030' },
+      operatingHours: {
+        openTime: '09:00',
+        closeTime: '18:00',
+        workingDays: ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday']
+      },
+      createdBy: new ObjectId()
+    });
+    customer = await User.create({ name: 'Checkout Customer', phone: '9876500031', phoneVerified: true, walletBalance: 500 });
+    const { accessToken } = await UserSessionService.createSession(customer, req);
+
+    jest.spyOn(BranchRoutingService, 'route').mockResolvedValue({
+      branch,
+      candidate: { distanceKm: null, reasons: [], zone: null }
+    });
+    jest.spyOn(PricingService, 'quote').mockResolvedValue(quote);
+
+    placeOrder = () => request(app).post('/api/customer/orders').set('Authorization', `Bearer ${accessToken}`).send({
+      items: [{ itemType: 'shirt', service: 'wash_iron', category: 'normal', quantity: 1 }],
+      serviceType: 'self_drop_self_pickup',
+      pickupDate: tomorrow(),
+      pickupTimeSlot: TIME_SLOT,
+      paymentMethod: 'wallet'
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const walletBalance = async () => (await User.findById(customer._id)).walletBalance;
+  const bookedSlots = async () => (await db.documents(PickupSlot)).reduce((sum, slot) => sum + slot.booked, 0);
+
+  test('should hold the slot and the wallet share for a placed order', async () => {
+    const res = await placeOrder();
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.order.items).toHaveLength(1);
+    expect(await bookedSlots()).toBe(1);
+    expect(await walletBalance()).toBe(300);
+  });
+
+  test('should give everything back when the order items cannot be saved', async () => {
+    jest.spyOn(OrderItem, 'create').mockRejectedValue(new Error('write failed'));
+
+    const res = await placeOrder();
+
+    expect(res.status).toBe(500);
+    expect(await db.documents(Order)).toHaveLength(0);
+    expect(await db.documents(OrderItem)).toHaveLength(0);
+    expect(await bookedSlots()).toBe(0);
+    expect(await walletBalance()).toBe(500);
+  });
+});
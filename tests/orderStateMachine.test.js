@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const Order = require('../src/models/Order');
+const db = require('./helpers/db');
+const {
+  checkTransition,
+  assertTransition,
+  getAllowedTransitions,
+  isTerminal,
+  OrderTransitionError
+} = require('../src/services/orderStateMachine');
+const { ORDER_STATUS } = require('../src/config/constants');
+
+const branchId = new mongoose.Types.ObjectId();
+
+const orderAt = (status, overrides = {}) => ({
+  status,
+  branch: branchId,
+  serviceType: 'full_service',
+  ...overrides
+});
+
+const newOrder = (overrides = {}) => new Order({
+  orderNumber: `ORD${Date.now()}`,
+  customer: new mongoose.Types.ObjectId(),
+  branch: branchId,
+  pickupAddress: { name: 'Test', phone: '9876543210', addressLine1: '1 Street', city: 'Pune', pincode: '411001' },
+  deliveryAddress: { name: 'Test', phone: '9876543210', addressLine1: '1 Street', city: 'Pune', pincode: '411001' },
+  pickupDate: new Date(),
+  pickupTimeSlot: '09:00-11:00',
+  pricing: { subtotal: 100, total: 100 },
+  paymentMethod: 'cod',
+  ...overrides
+});
+
+describe('Order state machine', () => {
+  beforeEach(() => db.clear());
+
+  test('should allow a declared transition for a permitted role', () => {
+    const result = checkTransition(orderAt(ORDER_STATUS.IN_PROCESS), ORDER_STATUS.READY, 'branch_manager');
+    expect(result.allowed).toBe(true);
+  });
+
+  test.each([undefined, null, ''])('should reject a transition without an actor role (%p)', (role) => {
+    const result = checkTransition(orderAt(ORDER_STATUS.PLACED), ORDER_STATUS.CANCELLED, role);
+    expect(result).toMatchObject({ allowed: false, error: 'ROLE_REQUIRED', statusCode: 403 });
+  });
+
+  test('should accept system only where it is declared', () => {
+    expect(checkTransition(orderAt(ORDER_STATUS.PLACED), ORDER_STATUS.CANCELLED, 'system').allowed).toBe(true);
+    expect(checkTransition(orderAt(ORDER_STATUS.IN_PROCESS), ORDER_STATUS.READY, 'system'))
+      .toMatchObject({ allowed: false, error: 'TRANSITION_FORBIDDEN' });
+  });
+
+  test('should reject transitions that are not in the graph', () => {
+    const result = checkTransition(orderAt(ORDER_STATUS.PLACED), ORDER_STATUS.DELIVERED, 'admin');
+    expect(result).toMatchObject({ allowed: false, error: 'INVALID_TRANSITION', statusCode: 400 });
+    expect(result.details.allowedTransitions).not.toContain(ORDER_STATUS.DELIVERED);
+  });
+
+  test('should reject a role that may not make the move', () => {
+    const result = checkTransition(orderAt(ORDER_STATUS.PICKED), ORDER_STATUS.CANCELLED, 'customer');
+    expect(result).toMatchObject({ allowed: false, error: 'TRANSITION_FORBIDDEN', statusCode: 403 });
+  });
+
+  test('should enforce preconditions', () => {
+    const order = orderAt(ORDER_STATUS.IN_PROCESS, { tagSummary: { total: 5, ready: 3 } });
+    const result = checkTransition(order, ORDER_STATUS.READY, 'staff');
+    expect(result).toMatchObject({ allowed: false, error: 'TRANSITION_PRECONDITION_FAILED' });
+    expect(result.message).toBe('2 of 5 pieces have not been scanned ready');
+  });
+
+  test('should treat delivered and cancelled as terminal', () => {
+    expect(isTerminal(ORDER_STATUS.DELIVERED)).toBe(true);
+    expect(isTerminal(ORDER_STATUS.CANCELLED)).toBe(true);
+    expect(getAllowedTransitions(ORDER_STATUS.DELIVERED, 'admin')).toEqual([]);
+  });
+
+  test('should map super_admin to superadmin', () => {
+    expect(checkTransition(orderAt(ORDER_STATUS.PICKED), ORDER_STATUS.CANCELLED, 'super_admin').allowed).toBe(true);
+  });
+
+  test('should throw OrderTransitionError from assertTransition', () => {
+    expect(() => assertTransition(orderAt(ORDER_STATUS.PLACED), ORDER_STATUS.READY))
+      .toThrow(OrderTransitionError);
+  });
+
+  test('Order.updateStatus should refuse to save without a role', async () => {
+    const order = newOrder();
+    await order.save();
+
+    expect(() => order.updateStatus(ORDER_STATUS.CANCELLED, null, 'no actor'))
+      .toThrow(expect.objectContaining({ error: 'ROLE_REQUIRED' }));
+
+    const [stored] = await db.documents(Order);
+    expect(stored.status).toBe(ORDER_STATUS.PLACED);
+  });
+
+  test('Order.updateStatus should record a permitted move', async () => {
+    const order = newOrder();
+    await order.save();
+    const actor = new mongoose.Types.ObjectId();
+
+    await order.updateStatus(ORDER_STATUS.CANCELLED, actor, 'Customer asked', 'customer');
+
+    const [stored] = await db.documents(Order);
+    expect(stored.status).toBe(ORDER_STATUS.CANCELLED);
+    expect(stored.isCancelled).toBe(true);
+    expect(stored.statusHistory[stored.statusHistory.length - 1]).toMatchObject({
+      status: ORDER_STATUS.CANCELLED,
+      notes: 'Customer asked'
+    });
+  });
+});
@@ -0,0 +1,144 @@
+const request = require('supertest');
+
+jest.mock('../src/config/email', () => ({
+  ...jest.requireActual('../src/config/email'),
+  sendEmail: jest.fn().mockResolvedValue({ success: true }),
+  sendEmailAsync: jest.fn()
+}));
+
+const app = require('../src/app');
+const User = require('../src/models/User');
+const UserSession = require('../src/models/UserSession');
+const { sendEmail } = require('../src/config/email');
+const { PASSWORD_RESET_CONFIG } = require('../src/config/constants');
+const db = require('./helpers/db');
+
+const NEW_PASSWORD = 'NewPassword123!';
+
+// Each test talks from its own address so the per-IP limiters don't carry over
+let clientCount = 0;
+const client = () => {
+  clientCount += 1;
+  const ip = `10.0.${clientCount}.1`;
+  return {
+    forgot: (email) => request(app).post('/api/auth/forgot-password').set('X-Forwarded-For', ip).send({ email }),
+    reset: (token, password = NEW_PASSWORD) => request(app).post('/api/auth/reset-password').set('X-Forwarded-For', ip).send({ token, password, confirmPassword: password })
+  };
+};
+
+// Fresh address per user so the per-email limiter doesn't carry over either
+let userCount = 0;
+const createUser = (email = `reset.user${++userCount}@test.com`) => User.create({
+  name: 'Reset User',
+  email,
+  phone: '9876500001',
+  password: 'OldPassword123!',
+  isEmailVerified: true
+});
+
+// The raw token from the last reset link that was generated
+const lastResetToken = () => {
+  const results = User.prototype.generatePasswordResetToken.mock.results;
+  return results[results.length - 1].value;
+};
+
+describe('Password reset', () => {
+  beforeEach(async () => {
+    await db.clear();
+    sendEmail.mockClear();
+    jest.spyOn(User.prototype, 'generatePasswordResetToken');
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('should set the new password and sign the user out everywhere', async () => {
+    const user = await createUser();
+    await UserSession.create({ user: user._id, tokenHash: 'hash', expiresAt: new Date(Date.now() + 60 * 60 * 1000) });
+    const api = client();
+
+    await api.forgot(user.email).expect(200);
+    const res = await api.reset(lastResetToken());
+
+    expect(res.status).toBe(200);
+    const stored = await User.findById(user._id).select('+password +passwordResetToken +passwordResetExpires');
+    expect(await stored.comparePassword(NEW_PASSWORD)).toBe(true);
+    expect(stored.passwordResetToken).toBeUndefined();
+    expect(stored.passwordResetExpires).toBeUndefined();
+    expect((await db.documents(UserSession)).every(session => session.revokedReason === 'password_reset')).toBe(true);
+  });
+
+  test('should accept a reset token only once, even from concurrent requests', async () => {
+    const user = await createUser();
+    const api = client();
+    await api.forgot(user.email).expect(200);
+    const token = lastResetToken();
+
+    const responses = await Promise.all([
+      api.reset(token, 'FirstPassword1!'),
+      api.reset(token, 'SecondPassword2!'),
+      api.reset(token, 'ThirdPassword3!')
+    ]);
+
+    expect(responses.map(res => res.status).sort()).toEqual([200, 400, 400]);
+    await expect(api.reset(token).then(res => res.status)).resolves.toBe(400);
+  });
+
+  test('should reject an expired token', async () => {
+    const user = await createUser();
+    const api = client();
+    await api.forgot(user.email).expect(200);
+    await User.updateOne({ _id: user._id }, { $set: { passwordResetExpires: new Date(Date.now() - 1000) } });
+
+    const res = await api.reset(lastResetToken());
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Invalid or expired reset token');
+  });
+
+  test('should answer the same for unknown addresses without sending mail', async () => {
+    const user = await createUser();
+    const api = client();
+
+    const known = await api.forgot(user.email);
+    const unknown = await api.forgot('nobody@test.com');
+
+    expect(unknown.status).toBe(known.status);
+    expect(unknown.body).toEqual(known.body);
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+  });
+
+  test('should drop the token when the email could not be sent', async () => {
+    const user = await createUser();
+    sendEmail.mockResolvedValueOnce({ success: false, error: 'SMTP down' });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await client().forgot(user.email).expect(200);
+
+    const stored = await User.findById(user._id).select('+passwordResetToken');
+    expect(stored.passwordResetToken).toBeUndefined();
+  });
+
+  test('should limit requests per email address whichever IP they come from', async () => {
+    await createUser('limited@test.com');
+
+    for (let i = 0; i < PASSWORD_RESET_CONFIG.MAX_REQUESTS_PER_EMAIL; i++) {
+      await client().forgot('limited@test.com').expect(200);
+    }
+
+    const blocked = await client().forgot(' Limited@Test.com ');
+    expect(blocked.status).toBe(429);
+    // Other addresses are unaffected
+    await client().forgot('someone.else@test.com').expect(200);
+  });
+
+  test('should limit requests per IP whichever addresses they ask for', async () => {
+    const api = client();
+
+    for (let i = 0; i < PASSWORD_RESET_CONFIG.MAX_REQUESTS_PER_IP; i++) {
+      await api.forgot(`probe${i}@test.com`).expect(200);
+    }
+
+    const blocked = await api.forgot('one.more@test.com');
+    expect(blocked.status).toBe(429);
+  });
+});
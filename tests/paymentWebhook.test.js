@@ -0,0 +1,224 @@
+const mongoose = require('mongoose');
+const Order = require('../src/models/Order');
+const PaymentOrder = require('../src/models/PaymentOrder');
+const Refund = require('../src/models/Refund');
+const Transaction = require('../src/models/Transaction');
+const WebhookEvent = require('../src/models/WebhookEvent');
+const PaymentService = require('../src/services/paymentService');
+const RefundService = require('../src/services/refundService');
+const NotificationService = require('../src/services/notificationService');
+const { getGateway } = require('../src/services/paymentGateways');
+const db = require('./helpers/db');
+
+const { ObjectId } = mongoose.Types;
+
+const gateway = getGateway('mock');
+
+const createOrder = () => Order.create({
+  orderNumber: `ORD-PAY-${new ObjectId()}`,
+  customer: new ObjectId(),
+  branch: new ObjectId(),
+  pickupDate: new Date(),
+  pickupTimeSlot: '09:00-11:00',
+  pricing: { subtotal: 250, total: 250 },
+  paymentMethod: 'online'
+});
+
+// A signed gateway delivery, as the webhook route receives it
+const delivery = (paymentOrder, { eventId = 'evt_1', event = 'payment.captured', paymentId = 'pay_1', amount } = {}) => {
+  const payload = {
+    id: eventId,
+    event,
+    payload: {
+      payment: {
+        id: paymentId,
+        order_id: paymentOrder.gatewayOrderId,
+        amount: Math.round((amount ?? paymentOrder.amount) * 100),
+        method: 'upi',
+        ...(event === 'payment.failed' ? { error_code: 'BAD_REQUEST', error_description: 'Declined' } : {})
+      }
+    }
+  };
+  const rawBody = JSON.stringify(payload);
+  return [rawBody, gateway.sign(rawBody), payload];
+};
+
+const payableOrder = async () => {
+  const order = await createOrder();
+  const { paymentOrder } = await PaymentService.createPaymentOrder(order);
+  return { order, paymentOrder };
+};
+
+// A second payment order for the same order, as when the first one expired at checkout
+const anotherPaymentOrder = async (order, paymentOrder) => {
+  await PaymentOrder.updateOne({ _id: paymentOrder._id }, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+  return (await PaymentService.createPaymentOrder(await Order.findById(order._id))).paymentOrder;
+};
+
+describe('Payment webhook reconciliation', () => {
+  beforeEach(async () => {
+    await db.clear();
+    jest.spyOn(NotificationService, 'notifyPaymentReceived').mockResolvedValue();
+    jest.spyOn(NotificationService, 'notifyPaymentFailed').mockResolvedValue();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('should apply an event once however many times it is delivered', async () => {
+    const { order, paymentOrder } = await payableOrder();
+    const args = delivery(paymentOrder);
+
+    const results = await Promise.all([
+      PaymentService.handleWebhook('mock', ...args),
+      PaymentService.handleWebhook('mock', ...args),
+      PaymentService.handleWebhook('mock', ...args)
+    ]);
+
+    expect(results.filter(result => !result.duplicate)).toEqual([{ duplicate: false, status: 'processed', result: 'PAID' }]);
+    expect(await db.documents(Transaction)).toHaveLength(1);
+    expect(await db.documents(WebhookEvent)).toHaveLength(1);
+    expect((await Order.findById(order._id)).paymentStatus).toBe('paid');
+    expect(NotificationService.notifyPaymentReceived).toHaveBeenCalledTimes(1);
+
+    // A later redelivery reports the recorded outcome
+    await expect(PaymentService.handleWebhook('mock', ...args))
+      .resolves.toEqual({ duplicate: true, status: 'processed', result: 'PAID' });
+  });
+
+  test('should not record a second payment for a capture sent under a new event id', async () => {
+    const { paymentOrder } = await payableOrder();
+
+    await PaymentService.handleWebhook('mock', ...delivery(paymentOrder, { eventId: 'evt_1' }));
+    const second = await PaymentService.handleWebhook('mock', ...delivery(paymentOrder, { eventId: 'evt_2', paymentId: 'pay_2' }));
+
+    expect(second).toEqual({ duplicate: false, status: 'ignored', result: 'ALREADY_PAID' });
+    expect(await db.documents(Transaction)).toHaveLength(1);
+  });
+
+  test('should reject deliveries with a bad signature without recording them', async () => {
+    const { paymentOrder } = await payableOrder();
+    const [rawBody, , payload] = delivery(paymentOrder);
+
+    await expect(PaymentService.handleWebhook('mock', rawBody, gateway.sign('{}'), payload))
+      .rejects.toMatchObject({ error: 'INVALID_SIGNATURE', statusCode: 401 });
+    expect(await db.documents(WebhookEvent)).toHaveLength(0);
+  });
+
+  test('should process the retry of a delivery that failed part way', async () => {
+    const { order, paymentOrder } = await payableOrder();
+    const args = delivery(paymentOrder);
+    jest.spyOn(Transaction, 'create').mockRejectedValueOnce(new Error('write failed'));
+
+    await expect(PaymentService.handleWebhook('mock', ...args)).rejects.toThrow('write failed');
+    expect(await db.documents(WebhookEvent)).toHaveLength(0);
+
+    await expect(PaymentService.handleWebhook('mock', ...args))
+      .resolves.toEqual({ duplicate: false, status: 'processed', result: 'PAID' });
+    expect(await db.documents(Transaction)).toHaveLength(1);
+    expect((await Order.findById(order._id)).paymentStatus).toBe('paid');
+  });
+
+  test('should ignore a failure that arrives after the payment succeeded', async () => {
+    const { order, paymentOrder } = await payableOrder();
+
+    await PaymentService.handleWebhook('mock', ...delivery(paymentOrder));
+    const late = await PaymentService.handleWebhook('mock', ...delivery(paymentOrder, { eventId: 'evt_fail', event: 'payment.failed' }));
+
+    expect(late).toEqual({ duplicate: false, status: 'ignored', result: 'ALREADY_PAID' });
+    expect((await Order.findById(order._id)).paymentStatus).toBe('paid');
+    expect(NotificationService.notifyPaymentFailed).not.toHaveBeenCalled();
+  });
+
+  test('should refund a capture that arrives after the order was cancelled', async () => {
+    const { order, paymentOrder } = await payableOrder();
+    await Order.updateOne({ _id: order._id }, { $set: { status: 'cancelled' } });
+
+    const result = await PaymentService.handleWebhook('mock', ...delivery(paymentOrder));
+
+    expect(result).toEqual({ duplicate: false, status: 'processed', result: 'REFUNDED' });
+    const stored = await Order.findById(order._id);
+    expect(stored.paymentStatus).not.toBe('paid');
+    expect(stored.refundSummary.refunded).toBe(250);
+    expect(await db.documents(Refund)).toEqual([
+      expect.objectContaining({ amount: 250, source: 'late_payment', status: 'completed' })
+    ]);
+    expect((await db.documents(Transaction)).map(transaction => [transaction.type, transaction.status]).sort())
+      .toEqual([['payment', 'completed'], ['refund', 'completed']]);
+    expect(NotificationService.notifyPaymentReceived).not.toHaveBeenCalled();
+  });
+
+  test('should refund a second capture for an order that is already paid', async () => {
+    const { order, paymentOrder } = await payableOrder();
+    const stale = await anotherPaymentOrder(order, paymentOrder);
+    await PaymentService.handleWebhook('mock', ...delivery(stale, { eventId: 'evt_1', paymentId: 'pay_1' }));
+
+    const second = await PaymentService.handleWebhook('mock', ...delivery(paymentOrder, { eventId: 'evt_2', paymentId: 'pay_2' }));
+
+    expect(second).toEqual({ duplicate: false, status: 'processed', result: 'REFUNDED' });
+    const stored = await Order.findById(order._id);
+    expect(stored.paymentStatus).toBe('partially_refunded');
+    expect(stored.paymentDetails.paymentId).toBe('pay_1');
+    expect(NotificationService.notifyPaymentReceived).toHaveBeenCalledTimes(1);
+  });
+
+  test('should tag a late capture for a manual refund when the refund fails', async () => {
+    const { order, paymentOrder } = await payableOrder();
+    await Order.updateOne({ _id: order._id }, { $set: { status: 'cancelled' } });
+    jest.spyOn(RefundService, 'createRefund').mockRejectedValueOnce(new Error('gateway down'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const result = await PaymentService.handleWebhook('mock', ...delivery(paymentOrder));
+
+    expect(result).toEqual({ duplicate: false, status: 'processed', result: 'REFUND_REQUIRED' });
+    expect(await db.documents(Transaction)).toEqual([
+      expect.objectContaining({ type: 'payment', status: 'completed', tags: ['refund_required'] })
+    ]);
+    expect((await Order.findById(order._id)).paymentStatus).not.toBe('paid');
+  });
+
+  test('should not mark a refunded order failed when a stale payment order fails', async () => {
+    const { order, paymentOrder } = await payableOrder();
+    const stale = await anotherPaymentOrder(order, paymentOrder);
+    await PaymentService.handleWebhook('mock', ...delivery(paymentOrder));
+    await Order.updateOne({ _id: order._id }, { $set: { paymentStatus: 'partially_refunded' } });
+
+    const late = await PaymentService.handleWebhook('mock', ...delivery(stale, { eventId: 'evt_fail', event: 'payment.failed' }));
+
+    expect(late).toEqual({ duplicate: false, status: 'processed', result: 'FAILED' });
+    expect((await Order.findById(order._id)).paymentStatus).toBe('partially_refunded');
+    expect(NotificationService.notifyPaymentFailed).not.toHaveBeenCalled();
+  });
+
+  test('should ignore a capture for the wrong amount', async () => {
+    const { order, paymentOrder } = await payableOrder();
+
+    const result = await PaymentService.handleWebhook('mock', ...delivery(paymentOrder, { amount: 1 }));
+
+    expect(result).toEqual({ duplicate: false, status: 'ignored', result: 'AMOUNT_MISMATCH' });
+    expect((await Order.findById(order._id)).paymentStatus).toBe('pending');
+  });
+});
+
+describe('Payment gateway registry', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  test('should not offer the mock gateway or its secret in production', () => {
+    process.env.NODE_ENV = 'production';
+    delete process.env.PAYMENT_WEBHOOK_SECRET;
+    delete process.env.PAYMENT_GATEWAY;
+
+    jest.isolateModules(() => {
+      const { PAYMENT_GATEWAY_CONFIG } = require('../src/config/constants');
+      const gateways = require('../src/services/paymentGateways');
+
+      expect(PAYMENT_GATEWAY_CONFIG.WEBHOOK_SECRET).toBeNull();
+      expect(PAYMENT_GATEWAY_CONFIG.DEFAULT_GATEWAY).toBeNull();
+      expect(gateways.getGateway('mock')).toBeNull();
+      expect(gateways.getGateway()).toBeNull();
+    });
+  });
+});
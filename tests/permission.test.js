@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Branch = require('../src/models/Branch');
+const Order = require('../src/models/Order');
+const AuditLog = require('../src/models/AuditLog');
+const PermissionService = require('../src/services/permissionService');
+const UserSessionService = require('../src/services/userSessionService');
+const db = require('./helpers/db');
+const { ORDER_STATUS } = require('../src/config/constants');
+
+const { ObjectId } = mongoose.Types;
+
+const req = {
+  ip: '10.2.0.1',
+  get: () => undefined
+};
+
+const createBranch = (code) => Branch.create({
+  name: `Branch ${code}`,
+  code,
+  address: { addressLine1: '1 Street', city: 'Pune', state: 'Maharashtra', pincode: '411001' },
+  contact: { phone: '9876500010' },
+  createdBy: new ObjectId()
+});
+
+const createOrder = async (branch, status = ORDER_STATUS.IN_PROCESS) => Order.create({
+  orderNumber: `ORD-PERM-${new ObjectId()}`,
+  customer: (await User.create({ name: 'Customer', phone: '9876500012', phoneVerified: true }))._id,
+  branch: branch._id,
+  status,
+  pickupDate: new Date(),
+  pickupTimeSlot: '09:00-11:00',
+  pricing: { subtotal: 100, total: 100 },
+  paymentMethod: 'cod'
+});
+
+// A branch manager of `branch`, signed in
+const signIn = async (branch) => {
+  const manager = await User.create({
+    name: `Manager ${branch.code}`,
+    email: `manager.${branch.code.toLowerCase()}@test.com`,
+    phone: '9876500011',
+    password: 'ManagerPassword123!',
+    role: 'branch_manager',
+    assignedBranch: branch._id
+  });
+  const { accessToken } = await UserSessionService.createSession(manager, req);
+  return (method, url) => request(app)[method](url).set('Authorization', `Bearer ${accessToken}`);
+};
+
+describe('Branch-restricted permissions', () => {
+  let ownBranch;
+  let otherBranch;
+  let api;
+
+  beforeEach(async () => {
+    await db.clear();
+    PermissionService.clearCache();
+    ownBranch = await createBranch('OWN');
+    otherBranch = await createBranch('OTHER');
+    api = await signIn(ownBranch);
+  });
+
+  test('should let a manager update the status of an order of their branch', async () => {
+    const order = await createOrder(ownBranch);
+
+    const res = await api('put', `/api/admin/orders/${order._id}/status`).send({ status: ORDER_STATUS.READY });
+
+    expect(res.status).toBe(200);
+    expect((await Order.findById(order._id)).status).toBe(ORDER_STATUS.READY);
+  });
+
+  test('should scope a status update by the stored order, not a branchId in the request', async () => {
+    const order = await createOrder(otherBranch);
+
+    const res = await api('put', `/api/admin/orders/${order._id}/status?branchId=${ownBranch._id}`)
+      .send({ status: ORDER_STATUS.READY, branchId: ownBranch._id });
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('BRANCH_RESTRICTED');
+    expect((await Order.findById(order._id)).status).toBe(ORDER_STATUS.IN_PROCESS);
+    expect(await db.documents(AuditLog)).toEqual([
+      expect.objectContaining({ action: 'permission_denied', riskLevel: 'high' })
+    ]);
+  });
+
+  test('should not let a manager pull another branch\'s order into their own', async () => {
+    const order = await createOrder(otherBranch, ORDER_STATUS.PLACED);
+
+    const res = await api('put', `/api/admin/orders/${order._id}/assign-branch`)
+      .send({ branchId: ownBranch._id, override: true });
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('BRANCH_RESTRICTED');
+    expect((await Order.findById(order._id)).branch.toString()).toBe(otherBranch._id.toString());
+  });
+
+  test('should not let a manager hand their own order to another branch', async () => {
+    const order = await createOrder(ownBranch, ORDER_STATUS.PLACED);
+
+    const res = await api('put', `/api/admin/orders/${order._id}/assign-branch`)
+      .send({ branchId: otherBranch._id, override: true });
+
+    expect(res.status).toBe(403);
+    expect((await Order.findById(order._id)).branch.toString()).toBe(ownBranch._id.toString());
+  });
+
+  test('should keep branch-restricted roles off routes that span all branches', async () => {
+    const res = await api('get', '/api/admin/orders');
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('BRANCH_RESTRICTED');
+  });
+});
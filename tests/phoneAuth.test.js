@@ -0,0 +1,143 @@
+const User = require('../src/models/User');
+const OtpCode = require('../src/models/OtpCode');
+const PhoneAuthService = require('../src/services/phoneAuthService');
+const { registerSmsProvider } = require('../src/services/smsProviders');
+const db = require('./helpers/db');
+const { PHONE_AUTH_CONFIG, SMS_CONFIG } = require('../src/config/constants');
+
+const PHONE = '98765 43210';
+
+// Collect outgoing messages instead of printing them
+let outbox = [];
+registerSmsProvider(SMS_CONFIG.PROVIDER, () => ({
+  name: 'test',
+  send: async (message) => {
+    outbox.push(message);
+    return { messageId: `sms_${outbox.length}`, status: 'sent' };
+  }
+}));
+
+const lastCode = () => /\d{6}/.exec(outbox[outbox.length - 1].body)[0];
+
+const wrongCode = (code) => (code === '000000' ? '111111' : '000000');
+
+describe('Phone login', () => {
+  beforeEach(async () => {
+    await db.clear();
+    outbox = [];
+  });
+
+  test('should text a code to the E.164 number and sign up on first use', async () => {
+    const sent = await PhoneAuthService.requestLoginCode(PHONE);
+
+    expect(sent).toMatchObject({ isNewUser: true, resendAfter: PHONE_AUTH_CONFIG.RESEND_COOLDOWN_SECONDS });
+    expect(outbox[0].to).toBe('+919876543210');
+
+    const { user, isNewUser } = await PhoneAuthService.loginWithCode({ phone: PHONE, otp: lastCode(), name: 'New Customer' });
+
+    expect(isNewUser).toBe(true);
+    expect(user).toMatchObject({ phone: '9876543210', phoneVerified: true });
+    expect(user.email).toBeUndefined();
+  });
+
+  test('should refuse a new code during the resend cooldown', async () => {
+    await PhoneAuthService.requestLoginCode(PHONE);
+
+    await expect(PhoneAuthService.requestLoginCode(PHONE)).rejects.toMatchObject({ error: 'OTP_COOLDOWN', statusCode: 429 });
+    expect(outbox).toHaveLength(1);
+  });
+
+  test('should stop accepting the code after the allowed wrong guesses', async () => {
+    await PhoneAuthService.requestLoginCode(PHONE);
+    const code = lastCode();
+
+    const guesses = await Promise.allSettled(Array.from({ length: PHONE_AUTH_CONFIG.MAX_VERIFY_ATTEMPTS + 2 }, () =>
+      PhoneAuthService.loginWithCode({ phone: PHONE, otp: wrongCode(code), name: 'Guesser' })));
+
+    expect(guesses.filter(result => result.reason?.error === 'OTP_INVALID')).toHaveLength(PHONE_AUTH_CONFIG.MAX_VERIFY_ATTEMPTS);
+    await expect(PhoneAuthService.loginWithCode({ phone: PHONE, otp: code, name: 'Guesser' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(await db.documents(User)).toHaveLength(0);
+  });
+
+  test('should create one account when the same code is submitted twice at once', async () => {
+    await PhoneAuthService.requestLoginCode(PHONE);
+    const code = lastCode();
+
+    const results = await Promise.allSettled([
+      PhoneAuthService.loginWithCode({ phone: PHONE, otp: code, name: 'Twice' }),
+      PhoneAuthService.loginWithCode({ phone: PHONE, otp: code, name: 'Twice' })
+    ]);
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    expect(await db.documents(User)).toHaveLength(1);
+  });
+
+  test('should let several phone-only customers sign up without an email', async () => {
+    for (const phone of ['9876543210', '9876543211', '9876543212']) {
+      await PhoneAuthService.requestLoginCode(phone);
+      await PhoneAuthService.loginWithCode({ phone, otp: lastCode(), name: `Customer ${phone}` });
+    }
+
+    expect(await db.documents(User)).toHaveLength(3);
+  });
+
+  test('should report PHONE_TAKEN only for a collision on the phone number', async () => {
+    const duplicate = (keyPattern) => Object.assign(new Error('E11000 duplicate key error'), { code: 11000, keyPattern });
+    const create = jest.spyOn(User, 'create');
+
+    try {
+      create.mockRejectedValueOnce(duplicate({ phone: 1 }));
+      await PhoneAuthService.requestLoginCode(PHONE);
+      await expect(PhoneAuthService.loginWithCode({ phone: PHONE, otp: lastCode(), name: 'Racer' }))
+        .rejects.toMatchObject({ error: 'PHONE_TAKEN', statusCode: 409 });
+
+      create.mockRejectedValueOnce(duplicate({ email: 1 }));
+      await PhoneAuthService.requestLoginCode('9876543211');
+      await expect(PhoneAuthService.loginWithCode({ phone: '9876543211', otp: lastCode(), name: 'Racer' }))
+        .rejects.toMatchObject({ code: 11000, keyPattern: { email: 1 } });
+    } finally {
+      create.mockRestore();
+    }
+  });
+
+  test('should keep staff accounts out of phone login', async () => {
+    await User.create({ name: 'Staff', phone: '9876543210', phoneVerified: true, role: 'staff' });
+
+    await expect(PhoneAuthService.requestLoginCode(PHONE)).rejects.toMatchObject({ error: 'PHONE_LOGIN_NOT_ALLOWED' });
+    expect(outbox).toHaveLength(0);
+  });
+});
+
+describe('SMS providers', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  test('should not send codes through the console or file provider in production', () => {
+    process.env.NODE_ENV = 'production';
+    delete process.env.SMS_PROVIDER;
+
+    jest.isolateModules(() => {
+      const { SMS_CONFIG: config } = require('../src/config/constants');
+      const { getSmsProvider } = require('../src/services/smsProviders');
+
+      expect(config.PROVIDER).toBeNull();
+      expect(getSmsProvider()).toBeNull();
+      expect(getSmsProvider('console')).toBeNull();
+      expect(getSmsProvider('file')).toBeNull();
+    });
+  });
+
+  test('should answer SMS_UNAVAILABLE without storing a code when no provider is available', async () => {
+    await db.clear();
+    // Stands in for the production registry, which has no provider for the default name
+    registerSmsProvider(SMS_CONFIG.PROVIDER, () => null);
+
+    await expect(PhoneAuthService.requestLoginCode(PHONE))
+      .rejects.toMatchObject({ error: 'SMS_UNAVAILABLE', statusCode: 503 });
+    expect(await db.documents(OtpCode)).toHaveLength(0);
+  });
+});
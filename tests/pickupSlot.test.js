@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const Order = require('../src/models/Order');
+const PickupSlot = require('../src/models/PickupSlot');
+const PickupSlotService = require('../src/services/pickupSlotService');
+const db = require('./helpers/db');
+const { settle } = require('./helpers/concurrency');
+
+const { ObjectId } = mongoose.Types;
+
+const ALL_DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const TIME_SLOT = '11:00-13:00';
+
+const branch = {
+  _id: new ObjectId(),
+  isActive: true,
+  status: 'active',
+  capacity: { maxOrdersPerDay: 10 },
+  operatingHours: { openTime: '09:00', closeTime: '18:00', workingDays: ALL_DAYS },
+  holidays: []
+};
+
+const tomorrow = () => {
+  const date = new Date();
+  date.setDate(date.getDate() + 1);
+  return PickupSlotService.toDateKey(date);
+};
+
+const slotCapacity = () => PickupSlotService.getSlotTemplate(branch)
+  .find(entry => entry.timeSlot === TIME_SLOT).capacity;
+
+const storedSlot = async (date) => PickupSlot.findOne({ branch: branch._id, date, timeSlot: TIME_SLOT });
+
+describe('Pickup slot reservation', () => {
+  beforeEach(() => db.clear());
+
+  test('should never book more concurrent checkouts than the slot holds', async () => {
+    const date = tomorrow();
+    const capacity = slotCapacity();
+
+    const { fulfilled, rejected } = await settle(
+      Array.from({ length: capacity + 4 }, () => PickupSlotService.reserve(branch, date, TIME_SLOT))
+    );
+
+    expect(fulfilled).toHaveLength(capacity);
+    expect(rejected).toHaveLength(4);
+    rejected.forEach(error => expect(error).toMatchObject({ error: 'SLOT_FULL', statusCode: 409 }));
+    expect((await storedSlot(date)).booked).toBe(capacity);
+    // Every reservation landed in the same slot document
+    expect(await db.documents(PickupSlot)).toHaveLength(1);
+  });
+
+  test('should honour an admin capacity override and blocked slots', async () => {
+    const date = tomorrow();
+    await PickupSlotService.updateSlot(branch, date, { timeSlot: TIME_SLOT, capacityOverride: 1 }, new ObjectId());
+
+    await PickupSlotService.reserve(branch, date, TIME_SLOT);
+    await expect(PickupSlotService.reserve(branch, date, TIME_SLOT)).rejects.toMatchObject({ error: 'SLOT_FULL' });
+
+    await PickupSlotService.updateSlot(branch, date, { timeSlot: TIME_SLOT, isBlocked: true, blockReason: 'Rain' }, new ObjectId());
+    await PickupSlotService.updateSlot(branch, date, { timeSlot: TIME_SLOT, capacityOverride: 5 }, new ObjectId());
+    await expect(PickupSlotService.reserve(branch, date, TIME_SLOT))
+      .rejects.toMatchObject({ error: 'SLOT_BLOCKED', message: 'Rain' });
+  });
+
+  test('should reject slots that have already started or are not offered', async () => {
+    const yesterday = new Date();
+    yesterday.setDate(yesterday.getDate() - 1);
+
+    await expect(PickupSlotService.reserve(branch, yesterday, TIME_SLOT)).rejects.toMatchObject({ error: 'SLOT_IN_PAST' });
+    await expect(PickupSlotService.reserve(branch, tomorrow(), '19:00-21:00')).rejects.toMatchObject({ error: 'SLOT_NOT_OFFERED' });
+    expect(await db.documents(PickupSlot)).toHaveLength(0);
+  });
+
+  test('should free an order\'s slot once however often it is released', async () => {
+    const date = tomorrow();
+    const capacity = slotCapacity();
+    const slots = await Promise.all(Array.from({ length: capacity }, () => PickupSlotService.reserve(branch, date, TIME_SLOT)));
+
+    const order = await Order.create({
+      orderNumber: 'ORD-SLOT-1',
+      customer: new ObjectId(),
+      branch: branch._id,
+      pickupDate: PickupSlotService.fromDateKey(date),
+      pickupTimeSlot: TIME_SLOT,
+      pickupSlot: { slot: slots[0]._id, reservedAt: new Date() },
+      pricing: { subtotal: 100, total: 100 },
+      paymentMethod: 'cod'
+    });
+
+    const released = await Promise.all([
+      PickupSlotService.releaseForOrder(order),
+      PickupSlotService.releaseForOrder(order),
+      PickupSlotService.releaseForOrder(order)
+    ]);
+
+    expect(released.filter(Boolean)).toHaveLength(1);
+    expect((await storedSlot(date)).booked).toBe(capacity - 1);
+    await expect(PickupSlotService.reserve(branch, date, TIME_SLOT)).resolves.toBeTruthy();
+  });
+
+  test('should not take a slot below zero', async () => {
+    const date = tomorrow();
+    const slot = await PickupSlotService.reserve(branch, date, TIME_SLOT);
+
+    await PickupSlotService.release(slot._id);
+    await PickupSlotService.release(slot._id);
+
+    expect((await storedSlot(date)).booked).toBe(0);
+  });
+});
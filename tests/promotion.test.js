@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const Pricing = require('../src/models/Pricing');
+const DiscountRedemption = require('../src/models/DiscountRedemption');
+const DiscountUsage = require('../src/models/DiscountUsage');
+const PromotionService = require('../src/services/promotionService');
+const db = require('./helpers/db');
+const { settle } = require('./helpers/concurrency');
+
+const { ObjectId } = mongoose.Types;
+
+const createPricing = (policy) => Pricing.create({
+  name: 'Test pricing',
+  version: '1.0',
+  createdBy: new ObjectId(),
+  discountPolicies: [{
+    name: 'Welcome',
+    code: 'WELCOME10',
+    type: 'percentage',
+    value: 10,
+    startDate: new Date(Date.now() - 24 * 60 * 60 * 1000),
+    endDate: new Date(Date.now() + 24 * 60 * 60 * 1000),
+    ...policy
+  }]
+});
+
+const redeem = (pricing, customerId) => PromotionService.redeem({
+  pricing,
+  policy: pricing.discountPolicies[0],
+  customer: { _id: customerId },
+  orderId: new ObjectId(),
+  branchId: new ObjectId(),
+  amount: 50
+});
+
+const usageCount = async (pricing) => (await Pricing.findById(pricing._id)).discountPolicies[0].usageCount;
+
+describe('Discount redemption caps', () => {
+  beforeEach(() => db.clear());
+
+  test('should let concurrent checkouts of one customer use a code only up to the per-customer cap', async () => {
+    const pricing = await createPricing({ maxUsagePerCustomer: 2 });
+    const customerId = new ObjectId();
+
+    const { fulfilled, rejected } = await settle(Array.from({ length: 6 }, () => redeem(pricing, customerId)));
+
+    expect(fulfilled).toHaveLength(2);
+    expect(rejected).toHaveLength(4);
+    rejected.forEach(error => expect(error).toMatchObject({ error: 'DISCOUNT_CUSTOMER_LIMIT', statusCode: 409 }));
+    expect(await DiscountRedemption.countActiveForCustomer(pricing.discountPolicies[0]._id, customerId)).toBe(2);
+    // Uses taken for rejected checkouts are handed back
+    expect(await usageCount(pricing)).toBe(2);
+  });
+
+  test('should stop concurrent checkouts at the total usage cap', async () => {
+    const pricing = await createPricing({ maxTotalUsage: 3 });
+
+    const { fulfilled, rejected } = await settle(Array.from({ length: 5 }, () => redeem(pricing, new ObjectId())));
+
+    expect(fulfilled).toHaveLength(3);
+    rejected.forEach(error => expect(error).toMatchObject({ error: 'DISCOUNT_USAGE_EXCEEDED', statusCode: 409 }));
+    expect(await usageCount(pricing)).toBe(3);
+  });
+
+  test('should give the customer a use back when an order is reversed', async () => {
+    const pricing = await createPricing({ maxUsagePerCustomer: 1 });
+    const customerId = new ObjectId();
+
+    const first = await redeem(pricing, customerId);
+    await expect(redeem(pricing, customerId)).rejects.toMatchObject({ error: 'DISCOUNT_CUSTOMER_LIMIT' });
+
+    await PromotionService.reverseForOrder(first.order, 'Order cancelled');
+    // A second reversal of the same order changes nothing
+    expect(await PromotionService.reverseForOrder(first.order)).toBeNull();
+
+    await expect(redeem(pricing, customerId)).resolves.toMatchObject({ status: 'active' });
+    expect(await usageCount(pricing)).toBe(1);
+  });
+
+  test('should seed a new counter from redemptions made before it existed', async () => {
+    const pricing = await createPricing({ maxUsagePerCustomer: 2 });
+    const policy = pricing.discountPolicies[0];
+    const customerId = new ObjectId();
+
+    await DiscountRedemption.create({
+      pricing: pricing._id,
+      policyId: policy._id,
+      code: policy.code,
+      customer: customerId,
+      order: new ObjectId(),
+      amount: 50
+    });
+
+    const { fulfilled } = await settle([redeem(pricing, customerId), redeem(pricing, customerId)]);
+
+    expect(fulfilled).toHaveLength(1);
+    const [usage] = await db.documents(DiscountUsage);
+    expect(usage.count).toBe(2);
+  });
+});
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+const Order = require('../src/models/Order');
+const Refund = require('../src/models/Refund');
+const RefundService = require('../src/services/refundService');
+const WalletService = require('../src/services/walletService');
+const db = require('./helpers/db');
+const { settle } = require('./helpers/concurrency');
+const { REFUND_STATUS } = require('../src/config/constants');
+
+const { ObjectId } = mongoose.Types;
+
+const actor = (role) => ({ id: new ObjectId(), role, email: `${role}@test.com`, ip: '10.5.0.1' });
+
+describe('Refunds', () => {
+  let customer;
+  let order;
+
+  beforeEach(async () => {
+    await db.clear();
+    customer = await User.create({ name: 'Refund Customer', email: 'refund.customer@test.com', phone: '9876500060', password: 'Password123!' });
+    // A COD order the customer has paid ₹600 for
+    order = await Order.create({
+      orderNumber: 'ORD-REF-1',
+      customer: customer._id,
+      branch: new ObjectId(),
+      status: 'delivered',
+      pickupDate: new Date(),
+      pickupTimeSlot: '09:00-11:00',
+      pricing: { subtotal: 600, total: 600, amountDue: 600 },
+      paymentMethod: 'cod',
+      paymentStatus: 'paid'
+    });
+  });
+
+  const refund = (amount, role = 'admin', extra = {}) => RefundService.createRefund({
+    order,
+    amount,
+    reason: 'Damaged garment',
+    method: 'store_credit',
+    ...extra
+  }, actor(role));
+
+  const refundSummary = async () => (await Order.findById(order._id)).refundSummary;
+
+  test('should never let concurrent partial refunds add up to more than was paid', async () => {
+    const { fulfilled, rejected } = await settle([refund(250), refund(250), refund(250)]);
+
+    expect(fulfilled).toHaveLength(2);
+    expect(rejected).toEqual([expect.objectContaining({ error: 'REFUND_EXCEEDS_PAID', statusCode: 400 })]);
+    expect((await refundSummary()).reserved).toBe(500);
+    order = await Order.findById(order._id);
+    await expect(refund(101)).rejects.toMatchObject({ error: 'REFUND_EXCEEDS_PAID', details: { refundable: 100 } });
+  });
+
+  test('should hold refunds above the actor\'s limit for an approver with a higher limit', async () => {
+    const requested = await refund(550);
+    expect(requested.status).toBe(REFUND_STATUS.REQUESTED);
+
+    await expect(RefundService.approve(requested, actor('branch_manager')))
+      .rejects.toMatchObject({ error: 'LIMIT_EXCEEDED', statusCode: 403 });
+    await RefundService.approve(requested, actor('center_admin'));
+
+    expect((await Refund.findById(requested._id)).status).toBe(REFUND_STATUS.APPROVED);
+  });
+
+  test('should give a rejected refund\'s amount back to the refundable balance', async () => {
+    const requested = await refund(400, 'support_agent');
+
+    await RefundService.reject(requested, actor('center_admin'), 'Not eligible');
+
+    expect((await refundSummary()).reserved).toBe(0);
+    await expect(RefundService.getRefundableAmount(await Order.findById(order._id)))
+      .resolves.toMatchObject({ refundable: 600 });
+  });
+
+  test('should pay an approved refund out once, even from concurrent requests', async () => {
+    const approved = await refund(200);
+
+    const { fulfilled, rejected } = await settle([
+      RefundService.execute(approved, actor('admin')),
+      RefundService.execute(approved, actor('admin'))
+    ]);
+
+    expect(fulfilled).toHaveLength(1);
+    expect(rejected).toEqual([expect.objectContaining({ error: 'INVALID_STATUS' })]);
+    expect(await WalletService.getCachedBalance(customer._id)).toBe(200);
+    expect(await Order.findById(order._id)).toMatchObject({
+      paymentStatus: 'partially_refunded',
+      refundSummary: { reserved: 200, refunded: 200 }
+    });
+  });
+
+  test('should keep a refund approved and its amount reserved when the payout fails', async () => {
+    const approved = await refund(150, 'admin', { method: 'original_method' });
+
+    await expect(RefundService.execute(approved, actor('admin')))
+      .rejects.toMatchObject({ error: 'REFUND_METHOD_UNAVAILABLE' });
+
+    expect(await Refund.findById(approved._id)).toMatchObject({ status: REFUND_STATUS.APPROVED });
+    expect((await refundSummary()).reserved).toBe(150);
+  });
+
+  test('should mark the order refunded once the whole payment is back', async () => {
+    await refund(600, 'center_admin', { execute: true });
+
+    expect((await Order.findById(order._id)).paymentStatus).toBe('refunded');
+    await expect(refund(1)).rejects.toMatchObject({ error: 'REFUND_EXCEEDS_PAID' });
+  });
+});
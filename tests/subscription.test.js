@@ -0,0 +1,173 @@
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+const Branch = require('../src/models/Branch');
+const Address = require('../src/models/Address');
+const Order = require('../src/models/Order');
+const Subscription = require('../src/models/Subscription');
+const SubscriptionPlan = require('../src/models/SubscriptionPlan');
+const PickupSlotService = require('../src/services/pickupSlotService');
+const PricingService = require('../src/services/pricingService');
+const SubscriptionService = require('../src/services/subscriptionService');
+const db = require('./helpers/db');
+
+const { ObjectId } = mongoose.Types;
+
+const TIME_SLOT = '11:00-13:00';
+
+const daysFromNow = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  return PickupSlotService.toDateKey(date);
+};
+
+// Every pickup is one shirt, covered by the plan
+const quote = {
+  pricing: { subtotal: 0, tax: 0, deliveryCharge: 0, discount: 0, total: 0 },
+  lines: [{
+    itemType: 'shirt',
+    service: 'wash_iron',
+    category: 'normal',
+    quantity: 1,
+    unit: 'per_piece',
+    priceSource: 'catalogue',
+    basePrice: 0,
+    serviceMultiplier: 1,
+    categoryMultiplier: 1,
+    unitPrice: 0,
+    totalPrice: 0
+  }],
+  pricingVersion: null,
+  promotion: null
+};
+
+describe('Subscription pickups', () => {
+  let customer;
+  let branch;
+  let addressId;
+
+  beforeEach(async () => {
+    await db.clear();
+    branch = await Branch.create({
+      name: 'Branch SUB',
+      code: 'SUB',
+      address: { addressLine1: '1 Street', city: 'Pune', state: 'Maharashtra', pincode: '411001' },
+      contact: { phone: '9876500040' },
+      operatingHours: {
+        openTime: '09:00',
+        closeTime: '18:00',
+        workingDays: ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday']
+      },
+      createdBy: new ObjectId()
+    });
+    customer = await User.create({ name: 'Subscriber', phone: '9876500041', phoneVerified: true, walletBalance: 1000 });
+    ({ _id: addressId } = await Address.create({
+      userId: customer._id,
+      name: 'Subscriber',
+      phone: '9876500041',
+      addressLine1: '2 Street',
+      city: 'Pune',
+      state: 'Maharashtra',
+      pincode: '411001'
+    }));
+    jest.spyOn(PricingService, 'quote').mockResolvedValue(quote);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  // A subscription with its first period open, as SubscriptionService.subscribe leaves it
+  const subscribe = async ({ pickupsPerPeriod = 2, monthlyFee = 0, feePaymentMethod = 'wallet' } = {}) => {
+    const plan = await SubscriptionPlan.create({ name: 'Weekly', code: `WEEKLY${pickupsPerPeriod}`, monthlyFee, pickupsPerPeriod });
+    const subscription = new Subscription({
+      customer: customer._id,
+      plan: plan._id,
+      branch: branch._id,
+      pickupAddressId: addressId,
+      deliveryAddressId: addressId,
+      schedule: { daysOfWeek: [0, 1, 2, 3, 4, 5, 6], timeSlot: TIME_SLOT },
+      items: [{ itemType: 'shirt', service: 'wash_iron', category: 'normal', quantity: 1 }],
+      feePaymentMethod,
+      startDate: PickupSlotService.fromDateKey(daysFromNow(0))
+    });
+    await SubscriptionService.openPeriod(subscription, plan, subscription.startDate);
+    await subscription.save();
+    return subscription;
+  };
+
+  const pickupsUsed = async (subscription) => (await Subscription.findById(subscription._id)).periods[0].pickupsUsed;
+
+  test('should create orders up to the period quota and skip the rest', async () => {
+    const subscription = await subscribe({ pickupsPerPeriod: 1 });
+
+    const first = await SubscriptionService.generateOrder(subscription, daysFromNow(1));
+    const second = await SubscriptionService.generateOrder(subscription, daysFromNow(2));
+
+    expect(first).not.toBeNull();
+    expect(second).toBeNull();
+    expect(subscription.occurrences.map(occurrence => occurrence.status)).toEqual(['generated', 'skipped']);
+    expect(SubscriptionService.getQuota(subscription)).toMatchObject({ used: 1, remaining: 0 });
+    expect(await pickupsUsed(subscription)).toBe(1);
+  });
+
+  test('should let only one of two concurrent runs take the last pickup', async () => {
+    const subscription = await subscribe({ pickupsPerPeriod: 1 });
+    const [copyA, copyB] = await Promise.all([Subscription.findById(subscription._id), Subscription.findById(subscription._id)]);
+
+    const orders = await Promise.all([
+      SubscriptionService.generateOrder(copyA, daysFromNow(1)),
+      SubscriptionService.generateOrder(copyB, daysFromNow(2))
+    ]);
+
+    expect(orders.filter(Boolean)).toHaveLength(1);
+    expect(await db.documents(Order)).toHaveLength(1);
+    expect(await pickupsUsed(subscription)).toBe(1);
+  });
+
+  test('should give the pickup back when the slot cannot be booked', async () => {
+    const subscription = await subscribe();
+    await PickupSlotService.updateSlot(branch, daysFromNow(1), { timeSlot: TIME_SLOT, isBlocked: true, blockReason: 'Rain' }, new ObjectId());
+
+    const order = await SubscriptionService.generateOrder(subscription, daysFromNow(1));
+
+    expect(order).toBeNull();
+    expect(subscription.occurrences[0].status).toBe('failed');
+    expect(await pickupsUsed(subscription)).toBe(0);
+  });
+
+  test('should give a cancelled order\'s pickup back to the period', async () => {
+    const subscription = await subscribe();
+    const order = await SubscriptionService.generateOrder(subscription, daysFromNow(1));
+    expect(await pickupsUsed(subscription)).toBe(1);
+
+    await SubscriptionService.releaseQuotaForOrder(order);
+    await SubscriptionService.releaseQuotaForOrder(order);
+
+    expect(await pickupsUsed(subscription)).toBe(0);
+  });
+
+  test('should take a wallet fee when the period opens and hold pickups while it is unpaid', async () => {
+    const paid = await subscribe({ monthlyFee: 400 });
+    expect(paid.periods[0].feeStatus).toBe('paid');
+    expect((await User.findById(customer._id)).walletBalance).toBe(600);
+
+    const unpaid = await subscribe({ pickupsPerPeriod: 4, monthlyFee: 800 });
+    expect(unpaid.status).toBe('past_due');
+    expect(unpaid.periods[0].feeStatus).toBe('pending');
+
+    const order = await SubscriptionService.generateOrder(unpaid, daysFromNow(1));
+
+    expect(order).toBeNull();
+    expect(unpaid.occurrences[0]).toMatchObject({ status: 'failed', reason: 'Subscription fee is unpaid' });
+    expect(await pickupsUsed(unpaid)).toBe(0);
+  });
+
+  test('should collect a COD fee with the first pickup of the period only', async () => {
+    const subscription = await subscribe({ monthlyFee: 500, feePaymentMethod: 'cod' });
+
+    const first = await SubscriptionService.generateOrder(subscription, daysFromNow(1));
+    const second = await SubscriptionService.generateOrder(subscription, daysFromNow(2));
+
+    expect(first.pricing).toMatchObject({ subscriptionFee: 500, total: 500 });
+    expect(second.pricing).toMatchObject({ subscriptionFee: 0, total: 0 });
+    expect((await User.findById(customer._id)).walletBalance).toBe(1000);
+  });
+});
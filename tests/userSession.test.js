@@ -0,0 +1,111 @@
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const UserSession = require('../src/models/UserSession');
+const AuditLog = require('../src/models/AuditLog');
+const UserSessionService = require('../src/services/userSessionService');
+const db = require('./helpers/db');
+
+const req = {
+  ip: '10.1.0.1',
+  get: (header) => (header === 'User-Agent' ? 'Mozilla/5.0 (Windows NT 10.0) Chrome/120.0' : undefined)
+};
+
+const createCustomer = () => User.create({
+  name: 'Session User',
+  email: 'session.user@test.com',
+  phone: '9876500002',
+  password: 'Password123!'
+});
+
+const refresh = (refreshToken) => request(app).post('/api/auth/refresh').send({ refreshToken });
+
+const listSessions = (accessToken) => request(app).get('/api/auth/sessions').set('Authorization', `Bearer ${accessToken}`);
+
+describe('Refresh token rotation', () => {
+  let user;
+
+  beforeEach(async () => {
+    await db.clear();
+    user = await createCustomer();
+  });
+
+  test('should replace the refresh token on every use', async () => {
+    const first = await UserSessionService.createSession(user, req);
+
+    const res = await refresh(first.refreshToken);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.refreshToken).not.toBe(first.refreshToken);
+    expect(res.body.data.refreshToken.split('.')[0]).toBe(first.sessionId.toString());
+    await listSessions(res.body.data.token).expect(200);
+  });
+
+  test('should revoke the session when a replaced refresh token comes back', async () => {
+    const first = await UserSessionService.createSession(user, req);
+    const second = (await refresh(first.refreshToken)).body.data;
+
+    // An attacker replays the copied original token
+    const replay = await refresh(first.refreshToken);
+
+    expect(replay.status).toBe(401);
+    expect(replay.body.error).toBe('INVALID_REFRESH_TOKEN');
+    const [session] = await db.documents(UserSession);
+    expect(session.revokedReason).toBe('token_reuse');
+    expect(await db.documents(AuditLog)).toEqual([
+      expect.objectContaining({ action: 'refresh_token_reuse', riskLevel: 'high' })
+    ]);
+
+    // The legitimate holder's tokens die with the session
+    await expect(refresh(second.refreshToken).then(res => res.body.error)).resolves.toBe('SESSION_EXPIRED');
+    await expect(listSessions(second.token).then(res => res.body.error)).resolves.toBe('SESSION_EXPIRED');
+  });
+
+  test('should let only one of two concurrent refreshes with the same token through', async () => {
+    const first = await UserSessionService.createSession(user, req);
+    const loadUser = async () => user;
+
+    const results = await Promise.allSettled([
+      UserSessionService.refresh(first.refreshToken, req, loadUser),
+      UserSessionService.refresh(first.refreshToken, req, loadUser)
+    ]);
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    expect(results.find(result => result.status === 'rejected').reason)
+      .toMatchObject({ error: 'INVALID_REFRESH_TOKEN', statusCode: 401 });
+    // The duplicate is treated as a stolen copy
+    const [session] = await db.documents(UserSession);
+    expect(session.revokedReason).toBe('token_reuse');
+  });
+
+  test('should reject tokens of other or unknown sessions', async () => {
+    const first = await UserSessionService.createSession(user, req);
+    const other = await UserSessionService.createSession(user, req);
+    const [, otherSecret] = other.refreshToken.split('.');
+
+    await expect(refresh(`${first.sessionId}.${otherSecret}`).then(res => res.body.error)).resolves.toBe('INVALID_REFRESH_TOKEN');
+    await expect(refresh('not-a-token').then(res => res.status)).resolves.toBe(401);
+    // A wrong secret that was never issued doesn't revoke anything
+    expect((await db.documents(UserSession)).every(session => !session.revokedAt)).toBe(true);
+  });
+
+  test('should end the session on logout so its refresh token stops working', async () => {
+    const first = await UserSessionService.createSession(user, req);
+
+    await expect(UserSessionService.revokeByRefreshToken(first.refreshToken)).resolves.toBe(true);
+
+    await expect(refresh(first.refreshToken).then(res => res.body.error)).resolves.toBe('SESSION_EXPIRED');
+    await expect(UserSessionService.validate(user._id, first.sessionId)).resolves.toBeNull();
+  });
+
+  test('should not refresh a session of a deactivated account', async () => {
+    const first = await UserSessionService.createSession(user, req);
+    await User.updateOne({ _id: user._id }, { $set: { isActive: false } });
+
+    const res = await refresh(first.refreshToken);
+
+    expect(res.body.error).toBe('SESSION_EXPIRED');
+    const [session] = await db.documents(UserSession);
+    expect(session.revokedReason).toBe('deactivated');
+  });
+});
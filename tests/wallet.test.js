@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+const WalletEntry = require('../src/models/WalletEntry');
+const WalletService = require('../src/services/walletService');
+const db = require('./helpers/db');
+const { settle } = require('./helpers/concurrency');
+
+const { ObjectId } = mongoose.Types;
+
+const credit = (userId, amount, extra = {}) => WalletService.credit({
+  userId,
+  amount,
+  source: 'goodwill',
+  description: 'Goodwill credit',
+  ...extra
+});
+
+const debit = (userId, amount, extra = {}) => WalletService.debit({
+  userId,
+  amount,
+  source: 'checkout',
+  description: 'Payment',
+  ...extra
+});
+
+describe('Wallet ledger', () => {
+  let customer;
+
+  beforeEach(async () => {
+    await db.clear();
+    customer = await User.create({ name: 'Wallet Customer', email: 'wallet.customer@test.com', phone: '9876500050', password: 'Password123!' });
+  });
+
+  const balance = () => WalletService.getCachedBalance(customer._id);
+
+  test('should keep the cached balance equal to a balanced ledger', async () => {
+    await credit(customer._id, 250.5);
+    const entry = await debit(customer._id, 100.25);
+
+    expect(entry).toMatchObject({ direction: 'debit', amount: 100.25, balanceAfter: 150.25 });
+    expect(await WalletService.getBalance(customer._id)).toMatchObject({
+      balance: 150.25,
+      lifetimeCredits: 250.5,
+      lifetimeDebits: 100.25,
+      inSync: true
+    });
+    (await db.documents(WalletEntry)).forEach(({ lines }) => {
+      const debits = lines.reduce((sum, line) => sum + (line.debit || 0), 0);
+      const credits = lines.reduce((sum, line) => sum + (line.credit || 0), 0);
+      expect(debits).toBe(credits);
+    });
+  });
+
+  test('should refuse a debit larger than the balance and leave the wallet as it was', async () => {
+    await credit(customer._id, 50);
+
+    await expect(debit(customer._id, 80)).rejects.toMatchObject({
+      error: 'INSUFFICIENT_BALANCE',
+      statusCode: 409,
+      details: { balance: 50, requested: 80 }
+    });
+    expect(await balance()).toBe(50);
+    expect(await db.documents(WalletEntry)).toHaveLength(1);
+  });
+
+  test('should never let concurrent debits take the wallet below zero', async () => {
+    await credit(customer._id, 100);
+
+    const { fulfilled, rejected } = await settle(Array.from({ length: 4 }, () => debit(customer._id, 40)));
+
+    expect(fulfilled).toHaveLength(2);
+    rejected.forEach(error => expect(error).toMatchObject({ error: 'INSUFFICIENT_BALANCE' }));
+    expect(await balance()).toBe(20);
+    expect(await WalletService.getBalance(customer._id)).toMatchObject({ inSync: true });
+  });
+
+  test('should post an idempotency key once, even from concurrent requests', async () => {
+    const results = await Promise.all([
+      credit(customer._id, 75, { idempotencyKey: 'goodwill:ticket-1' }),
+      credit(customer._id, 75, { idempotencyKey: 'goodwill:ticket-1' }),
+      credit(customer._id, 75, { idempotencyKey: 'goodwill:ticket-1' })
+    ]);
+
+    expect(new Set(results.map(entry => entry._id.toString())).size).toBe(1);
+    expect(await db.documents(WalletEntry)).toHaveLength(1);
+    expect(await balance()).toBe(75);
+  });
+
+  test('should give an order\'s wallet share back once', async () => {
+    await credit(customer._id, 300);
+    const order = { _id: new ObjectId(), orderNumber: 'ORD-WAL-1', customer: customer._id };
+    await WalletService.debitForOrder(order, 120);
+
+    const reversals = await Promise.all([
+      WalletService.reverseOrderDebit({ ...order, walletPayment: { amount: 120 } }, 'Order cancelled'),
+      WalletService.reverseOrderDebit({ ...order, walletPayment: { amount: 120 } }, 'Order cancelled')
+    ]);
+
+    expect(reversals[0]._id.toString()).toBe(reversals[1]._id.toString());
+    expect(await balance()).toBe(300);
+  });
+
+  test('should reject amounts that are not positive or come from an unknown source', async () => {
+    await expect(credit(customer._id, 0)).rejects.toMatchObject({ error: 'INVALID_AMOUNT' });
+    await expect(credit(customer._id, 10, { source: 'gift' })).rejects.toMatchObject({ error: 'INVALID_SOURCE' });
+    await expect(credit(new ObjectId(), 10)).rejects.toMatchObject({ error: 'USER_NOT_FOUND', statusCode: 404 });
+    expect(await db.documents(WalletEntry)).toHaveLength(0);
+  });
+
+  test('should plan a checkout share within the balance and the order total', () => {
+    expect(WalletService.planCheckout(500, 320)).toBe(320);
+    expect(WalletService.planCheckout(120, 320)).toBe(120);
+    expect(WalletService.planCheckout(500, 320, 100)).toBe(100);
+    expect(WalletService.planCheckout(0, 320)).toBe(0);
+    expect(() => WalletService.planCheckout(50, 320, 100)).toThrow(WalletService.WalletError);
+  });
+});